@@ -38,6 +38,12 @@ const blogNotificationService = (await import('../src/services/blogNotificationS
 const broadcastService = (await import('../src/services/broadcastService.js')).default;
 const priceService = (await import('../src/services/priceService.js')).default;
 const disputeService = (await import('../src/services/disputeService.js')).default;
+const arbitrationService = (await import('../src/services/arbitrationService.js')).default;
+const banService = (await import('../src/services/banService.js')).default;
+const trustService = (await import('../src/services/trustService.js')).default;
+const reputationService = (await import('../src/services/reputationService.js')).default;
+const reviewService = (await import('../src/services/reviewService.js')).default;
+const offlineSigningService = (await import('../src/services/offlineSigningService.js')).default;
 
 // Models
 const Deal = (await import('../src/models/Deal.js')).default;
@@ -45,8 +51,10 @@ const User = (await import('../src/models/User.js')).default;
 const Transaction = (await import('../src/models/Transaction.js')).default;
 const Dispute = (await import('../src/models/Dispute.js')).default;
 const Platform = (await import('../src/models/Platform.js')).default;
+const Arbiter = (await import('../src/models/Arbiter.js')).default;
 const ExportLog = (await import('../src/models/ExportLog.js')).default;
 const Broadcast = (await import('../src/models/Broadcast.js')).default;
+const EnergyDecision = (await import('../src/models/EnergyDecision.js')).default;
 
 // Routes
 const partnerRoutes = (await import('../src/web/routes/partner.js')).default;
@@ -56,6 +64,7 @@ const referralsRoutes = (await import('../src/api/routes/referrals.js')).default
 
 // Services
 const botStatusChecker = (await import('../src/services/botStatusChecker.js')).default;
+const reencryptionService = (await import('../src/services/reencryptionService.js')).default;
 const encryptionModule = await import('../src/utils/encryption.js');
 const encryption = encryptionModule.default || encryptionModule;
 
@@ -248,7 +257,7 @@ app.use((req, res, next) => {
   next();
 });
 
-// JWT Auth middleware
+// JWT Auth middleware (admin account only)
 const adminAuth = (req, res, next) => {
   const auth = req.headers['authorization'];
   if (!auth || !auth.startsWith('Bearer ')) {
@@ -257,6 +266,9 @@ const adminAuth = (req, res, next) => {
   const token = auth.replace('Bearer ', '');
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'admin') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
     req.admin = decoded;
     next();
   } catch (error) {
@@ -264,6 +276,52 @@ const adminAuth = (req, res, next) => {
   }
 };
 
+// JWT Auth middleware for dispute routes: admin or arbiter accounts
+// req.arbiter is the Arbiter document (null for the admin account)
+const arbiterAuth = async (req, res, next) => {
+  const auth = req.headers['authorization'];
+  if (!auth || !auth.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  const token = auth.replace('Bearer ', '');
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  if (decoded.role === 'admin') {
+    req.admin = decoded;
+    req.arbiter = null;
+    return next();
+  }
+  if (!['arbiter', 'senior_arbiter'].includes(decoded.role)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  try {
+    // Deactivated arbiters lose access immediately, role changes apply without re-login
+    const arbiter = await Arbiter.findById(decoded.arbiterId);
+    if (!arbiter || !arbiter.isActive) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    req.admin = { ...decoded, role: arbiter.role };
+    req.arbiter = arbiter;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Dispute routes only for the admin account and senior arbiters
+const requireSenior = (req, res, next) => {
+  if (req.arbiter && req.arbiter.role !== 'senior_arbiter') {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+  next();
+};
+
 // ============ HEALTH CHECK ============
 
 // Health check (for UptimeRobot and diagnostics)
@@ -373,8 +431,8 @@ app.all('/hear', async (req, res) => {
 
 // ============ API ROUTES ============
 
-// Admin login (with rate limiting)
-app.post('/api/admin/login', adminLoginLimiter, (req, res) => {
+// Admin login (with rate limiting): admin account from env or an arbiter account
+app.post('/api/admin/login', adminLoginLimiter, async (req, res) => {
   const { username, password } = req.body;
   const ADMIN_USERNAME = process.env.ADMIN_USERNAME || 'admin';
   const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'admin123';
@@ -385,14 +443,35 @@ app.post('/api/admin/login', adminLoginLimiter, (req, res) => {
       process.env.JWT_SECRET,
       { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
     );
-    res.json({ success: true, token, admin: { username, role: 'admin' } });
-  } else {
-    res.status(401).json({ success: false, error: 'Invalid credentials' });
+    return res.json({ success: true, token, admin: { username, role: 'admin' } });
+  }
+
+  try {
+    const arbiter = typeof username === 'string'
+      ? await Arbiter.findOne({ username: username.trim().toLowerCase(), isActive: true }).select('+passwordHash')
+      : null;
+
+    if (!arbiter || !password || !(await arbiter.checkPassword(password))) {
+      return res.status(401).json({ success: false, error: 'Invalid credentials' });
+    }
+
+    arbiter.lastLoginAt = new Date();
+    await arbiter.save();
+
+    const token = jwt.sign(
+      { username: arbiter.username, role: arbiter.role, arbiterId: arbiter._id },
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+    );
+    res.json({ success: true, token, admin: { username: arbiter.username, role: arbiter.role } });
+  } catch (error) {
+    console.error('Admin login error:', error);
+    res.status(500).json({ success: false, error: 'Login failed' });
   }
 });
 
 // Admin verify token
-app.get('/api/admin/verify', adminAuth, (req, res) => {
+app.get('/api/admin/verify', arbiterAuth, (req, res) => {
   res.json({ valid: true, admin: { username: req.admin.username, role: req.admin.role } });
 });
 
@@ -442,6 +521,53 @@ app.post('/api/web-deal', async (req, res) => {
   }
 });
 
+// ============ Reputation API (public) ============
+// Opt-in reputation page (/:lang/u/:publicId): 404 while the owner keeps it off,
+// metrics hidden by the owner are not returned
+app.get('/api/reputation/:publicId', searchLimiter, async (req, res) => {
+  try {
+    const card = await reputationService.getPublicCard(req.params.publicId);
+    if (!card) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    res.json({ card });
+  } catch (error) {
+    console.error('Reputation page error:', error);
+    res.status(500).json({ error: 'Failed to load profile' });
+  }
+});
+
+// ============ Offline Signing API (public) ============
+// Signing page (/:lang/sign/:token): prepared payout transactions are signed in the
+// user's wallet, only signatures come back. The bot process broadcasts the payout
+app.get('/api/signing/:token', searchLimiter, async (req, res) => {
+  try {
+    const request = await offlineSigningService.getPublicRequest(req.params.token);
+    if (!request) {
+      return res.status(404).json({ error: 'Signing request not found' });
+    }
+    res.json({ request });
+  } catch (error) {
+    console.error('Signing page error:', error);
+    res.status(500).json({ error: 'Failed to load signing request' });
+  }
+});
+
+app.post('/api/signing/:token', searchLimiter, async (req, res) => {
+  try {
+    const { transactions } = req.body || {};
+    if (!Array.isArray(transactions)) {
+      return res.status(400).json({ error: 'Signed transactions are required' });
+    }
+
+    const request = await offlineSigningService.submitSignatures(req.params.token, transactions);
+    res.json({ success: true, status: request.status });
+  } catch (error) {
+    console.error('Signature submit error:', error.message);
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // ============ SEO: Sitemap & Robots ============
 
 // Models for sitemap
@@ -691,6 +817,7 @@ app.get('/api/admin/stats', adminAuth, async (req, res) => {
     let dealsWithCostData = 0;
     let feesaverDeals = 0;
     let fallbackDeals = 0;
+    let stakingDeals = 0;
 
     for (const deal of finishedDeals) {
       if (deal.operationalCosts && deal.operationalCosts.totalTrxSpent > 0) {
@@ -699,6 +826,7 @@ app.get('/api/admin/stats', adminAuth, async (req, res) => {
         dealsWithCostData++;
         if (deal.operationalCosts.energyMethod === 'feesaver') feesaverDeals++;
         if (deal.operationalCosts.energyMethod === 'trx') fallbackDeals++;
+        if (deal.operationalCosts.energyMethod === 'staking') stakingDeals++;
       } else {
         // Fallback estimate for old deals
         const estimatedTrx = 2.2;
@@ -756,6 +884,49 @@ app.get('/api/admin/stats', adminAuth, async (req, res) => {
     const avgTrxPerDeal = finishedDeals.length > 0 ? totalTrxSpent / finishedDeals.length : 0;
     const avgCostPerDeal = finishedDeals.length > 0 ? totalCostUsd / finishedDeals.length : 0;
 
+    // Energy strategies: one decision per payout, saving compared to burning TRX
+    const energyByStrategy = await EnergyDecision.aggregate([
+      { $match: { completedAt: { $ne: null } } },
+      {
+        $addFields: {
+          burnQuote: {
+            $arrayElemAt: [{ $filter: { input: '$quotes', cond: { $eq: ['$$this.strategy', 'trx'] } } }, 0]
+          }
+        }
+      },
+      {
+        $group: {
+          _id: '$strategy',
+          payouts: { $sum: 1 },
+          energy: { $sum: '$energyNeeded' },
+          costTrx: { $sum: '$costTrx' },
+          savedTrx: {
+            $sum: {
+              $cond: [
+                { $and: [{ $ne: ['$strategy', 'trx'] }, { $gt: ['$burnQuote.costTrx', null] }] },
+                { $subtract: ['$burnQuote.costTrx', '$costTrx'] },
+                0
+              ]
+            }
+          },
+          fallbacks: { $sum: { $cond: [{ $gt: [{ $size: '$failedStrategies' }, 0] }, 1, 0] } }
+        }
+      },
+      { $sort: { payouts: -1 } }
+    ]);
+
+    const energyStrategies = energyByStrategy.map(s => ({
+      strategy: s._id,
+      payouts: s.payouts,
+      energy: s.energy,
+      costTrx: s.costTrx.toFixed(2),
+      avgCostTrx: (s.costTrx / s.payouts).toFixed(2),
+      costPer100kEnergy: s.energy > 0 ? (s.costTrx / s.energy * 100000).toFixed(2) : '0.00',
+      savedTrx: s.savedTrx.toFixed(2),
+      fallbacks: s.fallbacks
+    }));
+    const energySavedTrx = energyByStrategy.reduce((sum, s) => sum + s.savedTrx, 0);
+
     // User analytics - activity tracking
     const now = new Date();
     const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
@@ -803,7 +974,13 @@ app.get('/api/admin/stats', adminAuth, async (req, res) => {
         avgCostPerDeal: avgCostPerDeal.toFixed(2),
         dealsWithCostData,
         feesaverDeals,
-        fallbackDeals
+        fallbackDeals,
+        stakingDeals
+      },
+      energy: {
+        strategies: energyStrategies,
+        totalSavedTrx: energySavedTrx.toFixed(2),
+        totalSavedUsd: (energySavedTrx * TRX_TO_USDT).toFixed(2)
       },
       partners: {
         count: activePlatforms.length,
@@ -995,7 +1172,7 @@ app.get('/api/admin/users', adminAuth, searchLimiter, async (req, res) => {
 app.get('/api/admin/users/:telegramId', adminAuth, async (req, res) => {
   try {
     const user = await User.findOne({ telegramId: parseInt(req.params.telegramId) })
-      .select('telegramId username firstName role blacklisted blacklistReason disputeStats platformCode source referredBy referralCode referralBalance referralTotalEarned notes createdAt lastActivity botBlocked botBlockedAt lastActionType lastActionAt sessionCount stats wallets email averageRating ratingsCount ratings')
+      .select('telegramId username firstName role blacklisted blacklistReason restrictions trustOverride disputeStats platformCode source referredBy referralCode referralBalance referralTotalEarned notes createdAt lastActivity botBlocked botBlockedAt lastActionType lastActionAt sessionCount stats wallets email averageRating ratingsCount ratings')
       .lean();
     if (!user) return res.status(404).json({ error: 'User not found' });
 
@@ -1017,36 +1194,133 @@ app.get('/api/admin/users/:telegramId', adminAuth, async (req, res) => {
     // Get referrals count (users this user invited)
     user.referralsCount = await User.countDocuments({ referredBy: user.telegramId });
 
+    // Trust tier with effective deal limits
+    user.trust = await trustService.getProfile(user);
+
     res.json({ user });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Restriction errors thrown by banService -> HTTP status
+const sendRestrictionError = (res, error) => {
+  const status = ['User not found', 'Restriction not found or not active'].includes(error.message) ? 404
+    : error.message.startsWith('Invalid') ? 400 : 500;
+  res.status(status).json({ error: error.message });
+};
+
+// Full ban; durationHours omitted = permanent
 app.post('/api/admin/users/:telegramId/ban', adminAuth, async (req, res) => {
   try {
-    const { reason } = req.body;
-    const user = await User.findOne({ telegramId: parseInt(req.params.telegramId) });
-    if (!user) return res.status(404).json({ error: 'User not found' });
-    user.blacklisted = true;
-    user.blacklistReason = reason;
-    await user.save();
-    res.json({ success: true });
+    const { reason, reasonCode, durationHours } = req.body;
+    const result = await banService.banUser(parseInt(req.params.telegramId), req.admin.username, reason, {
+      reasonCode,
+      durationHours
+    });
+    res.json({ success: true, ...result });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendRestrictionError(res, error);
   }
 });
 
 app.post('/api/admin/users/:telegramId/unban', adminAuth, async (req, res) => {
   try {
-    const user = await User.findOne({ telegramId: parseInt(req.params.telegramId) });
-    if (!user) return res.status(404).json({ error: 'User not found' });
-    user.blacklisted = false;
-    user.blacklistReason = null;
-    await user.save();
-    res.json({ success: true });
+    const result = await banService.unbanUser(parseInt(req.params.telegramId), req.admin.username, req.body?.reason);
+    res.json({ success: true, ...result });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendRestrictionError(res, error);
+  }
+});
+
+// Pin trust tier / override deal limits; empty fields reset to the computed tier
+app.put('/api/admin/users/:telegramId/trust', adminAuth, async (req, res) => {
+  try {
+    const { tier, maxActiveDeals, maxDealAmount, maxOpenInvites, note } = req.body;
+    const trust = await trustService.setOverride(parseInt(req.params.telegramId), {
+      tier,
+      maxActiveDeals,
+      maxDealAmount,
+      maxOpenInvites,
+      note
+    }, req.admin.username);
+    res.json({ success: true, trust });
+  } catch (error) {
+    const status = error.message === 'User not found' ? 404 : error.message.startsWith('Invalid') ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// Restrictions API: bans, deal creation restrictions and withdrawal freezes
+app.get('/api/admin/restrictions', adminAuth, async (req, res) => {
+  try {
+    const { status = 'active', type, telegramId, page, limit } = req.query;
+    res.json(await banService.listRestrictions({ status, type, telegramId, page, limit }));
+  } catch (error) {
+    sendRestrictionError(res, error);
+  }
+});
+
+app.post('/api/admin/restrictions', adminAuth, async (req, res) => {
+  try {
+    const { telegramId, type, reasonCode, reason, durationHours } = req.body;
+    const restriction = await banService.issueRestriction(parseInt(telegramId), {
+      type,
+      reasonCode,
+      reason,
+      durationHours,
+      issuedBy: req.admin.username
+    });
+    res.json(restriction);
+  } catch (error) {
+    sendRestrictionError(res, error);
+  }
+});
+
+app.post('/api/admin/restrictions/:id/lift', adminAuth, async (req, res) => {
+  try {
+    const restriction = await banService.liftRestriction(req.params.id, req.admin.username, req.body?.reason);
+    res.json(restriction);
+  } catch (error) {
+    sendRestrictionError(res, error);
+  }
+});
+
+// Reviews moderation API: written reviews and replies, pending -> approved / hidden
+const sendReviewError = (res, error) => {
+  const status = ['Review not found', 'Reply not found'].includes(error.message) || error.name === 'CastError' ? 404
+    : error.message.startsWith('Invalid') ? 400 : 500;
+  res.status(status).json({ error: error.name === 'CastError' ? 'Review not found' : error.message });
+};
+
+app.get('/api/admin/reviews', adminAuth, async (req, res) => {
+  try {
+    const { status = 'pending', replyStatus, toUserId, page, limit } = req.query;
+    const [result, pending] = await Promise.all([
+      reviewService.listReviews({ status, replyStatus, toUserId, page, limit }),
+      reviewService.getPendingCounts()
+    ]);
+    res.json({ ...result, pending });
+  } catch (error) {
+    sendReviewError(res, error);
+  }
+});
+
+app.put('/api/admin/reviews/:id', adminAuth, async (req, res) => {
+  try {
+    const review = await reviewService.moderateReview(req.params.id, req.body?.status, req.admin.username);
+    res.json({ success: true, review });
+  } catch (error) {
+    sendReviewError(res, error);
+  }
+});
+
+app.put('/api/admin/reviews/:id/reply', adminAuth, async (req, res) => {
+  try {
+    const review = await reviewService.moderateReply(req.params.id, req.body?.status, req.admin.username);
+    res.json({ success: true, review });
+  } catch (error) {
+    sendReviewError(res, error);
   }
 });
 
@@ -1118,19 +1392,49 @@ app.post('/api/admin/partner-withdrawals/:id/reject', adminAuth, async (req, res
 });
 
 // Disputes API
-app.get('/api/admin/disputes', adminAuth, async (req, res) => {
+// Arbitration errors thrown by arbitrationService -> HTTP status
+const sendArbitrationError = (res, error) => {
+  const status = ['Dispute not found', 'Arbiter not found'].includes(error.message) ? 404
+    : error.message === 'Appeal is assigned to another arbiter' ? 403 : 400;
+  res.status(status).json({ error: error.message });
+};
+
+// Queues: mine (assigned to me), unassigned, appeals (pending review), all;
+// ?arbiterId= for one arbiter's queue
+app.get('/api/admin/disputes', arbiterAuth, async (req, res) => {
   try {
-    const { status, page = 1, limit = 20 } = req.query;
+    const { status, queue = 'all', arbiterId, page = 1, limit = 20 } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
+    const arbiter = req.arbiter;
 
     let query = {};
     if (status) query.status = status;
 
+    if (queue === 'mine' && arbiter) {
+      query.assignedTo = arbiter._id;
+    } else if (queue === 'unassigned') {
+      query.assignedTo = null;
+    } else if (queue === 'appeals') {
+      query['appeal.status'] = 'pending';
+      if (arbiter && arbiter.role !== 'senior_arbiter') {
+        query['appeal.reviewerId'] = arbiter._id;
+      }
+    } else if (arbiter && arbiter.role !== 'senior_arbiter') {
+      // Regular arbiters only see their own, unassigned and appealed to them disputes
+      query.$or = [
+        { assignedTo: { $in: [arbiter._id, null] } },
+        { 'appeal.reviewerId': arbiter._id }
+      ];
+    } else if (arbiterId) {
+      query.assignedTo = arbiterId;
+    }
+
     const disputes = await Dispute.find(query)
       .sort({ createdAt: -1 })
       .limit(parseInt(limit))
       .skip(skip)
       .populate('dealId')
+      .populate('assignedTo', 'name username')
       .lean();
 
     const total = await Dispute.countDocuments(query);
@@ -1141,24 +1445,73 @@ app.get('/api/admin/disputes', adminAuth, async (req, res) => {
   }
 });
 
-app.get('/api/admin/disputes/:id', adminAuth, async (req, res) => {
+app.get('/api/admin/disputes/:id', arbiterAuth, async (req, res) => {
   try {
-    const dispute = await Dispute.findById(req.params.id).populate('dealId').lean();
+    const dispute = await Dispute.findById(req.params.id)
+      .populate('dealId')
+      .populate('assignedTo', 'name username')
+      .populate('appeal.reviewerId', 'name username')
+      .lean();
     if (!dispute) return res.status(404).json({ error: 'Dispute not found' });
+
+    if (req.arbiter) {
+      const conflict = dispute.dealId && await arbitrationService.getConflict(req.arbiter, dispute.dealId);
+      if (!arbitrationService.canView(req.arbiter, dispute) || conflict) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+    }
+
+    // Opening claim, typed evidence and comments on one timeline
+    if (dispute.dealId) {
+      dispute.timeline = disputeService.getTimeline(dispute, dispute.dealId);
+    }
+    dispute.respondentSilent = Dispute.schema.methods.isRespondentSilent.call(dispute);
+
     res.json({ dispute });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/api/admin/disputes/:id/resolve', adminAuth, async (req, res) => {
+// Take dispute into review (unassigned -> assigned to me)
+app.post('/api/admin/disputes/:id/take', arbiterAuth, async (req, res) => {
+  try {
+    if (!req.arbiter) {
+      return res.status(400).json({ error: 'Only arbiter accounts take disputes into review' });
+    }
+    const dispute = await arbitrationService.takeForReview(req.params.id, req.arbiter);
+    res.json({ success: true, dispute });
+  } catch (error) {
+    sendArbitrationError(res, error);
+  }
+});
+
+// Manual (re)assignment
+app.post('/api/admin/disputes/:id/assign', arbiterAuth, requireSenior, async (req, res) => {
+  try {
+    const { arbiterId } = req.body;
+    if (!arbiterId) return res.status(400).json({ error: 'arbiterId is required' });
+
+    const dispute = await arbitrationService.assign(req.params.id, arbiterId, req.admin.username);
+    res.json({ success: true, dispute });
+  } catch (error) {
+    sendArbitrationError(res, error);
+  }
+});
+
+app.post('/api/admin/disputes/:id/resolve', arbiterAuth, async (req, res) => {
   try {
-    const { winner, reason } = req.body;
+    const { winner, reason, split } = req.body;
     const dispute = await Dispute.findById(req.params.id).populate('dealId');
     if (!dispute) return res.status(404).json({ error: 'Dispute not found' });
     if (!dispute.dealId) return res.status(404).json({ error: 'Deal not found' });
+    if (!arbitrationService.canResolve(req.arbiter, dispute)) {
+      return res.status(403).json({ error: 'Take the dispute into review first' });
+    }
+    if (winner === 'split' && !split) return res.status(400).json({ error: 'Split details are required' });
 
-    const decision = winner === 'buyer' ? 'refund_buyer' : 'release_seller';
+    const decision = winner === 'split' ? 'split'
+      : winner === 'buyer' ? 'refund_buyer' : 'release_seller';
     const dealId = dispute.dealId.dealId; // e.g. 'DL-000034'
 
     // Add arbiter's reason as a comment before resolving
@@ -1172,7 +1525,7 @@ app.post('/api/admin/disputes/:id/resolve', adminAuth, async (req, res) => {
     }
 
     // Use disputeService for full flow: notifications, key validation, stats, ban check
-    const result = await disputeService.resolveDispute(dealId, decision, 0);
+    const result = await disputeService.resolveDispute(dealId, decision, req.arbiter?.telegramId || 0, split);
 
     res.json({ success: true, result });
   } catch (error) {
@@ -1181,11 +1534,51 @@ app.post('/api/admin/disputes/:id/resolve', adminAuth, async (req, res) => {
   }
 });
 
-app.post('/api/admin/disputes/:id/cancel', adminAuth, async (req, res) => {
+// Respondent missed their window - decide in favour of the opener
+app.post('/api/admin/disputes/:id/default', arbiterAuth, async (req, res) => {
+  try {
+    const dispute = await Dispute.findById(req.params.id).populate('dealId');
+    if (!dispute) return res.status(404).json({ error: 'Dispute not found' });
+    if (!dispute.dealId) return res.status(404).json({ error: 'Deal not found' });
+    if (!arbitrationService.canResolve(req.arbiter, dispute)) {
+      return res.status(403).json({ error: 'Take the dispute into review first' });
+    }
+    if (!dispute.isRespondentSilent()) {
+      return res.status(400).json({ error: dispute.respondedAt ? 'Respondent has replied' : 'Respondent still has time to reply' });
+    }
+
+    const result = await disputeService.resolveByDefault(dispute.dealId.dealId, req.arbiter?.telegramId || 0);
+    res.json({ success: true, result });
+  } catch (error) {
+    console.error('Dispute default decision error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Appeal review by another arbiter: confirm or reverse the decision
+app.post('/api/admin/disputes/:id/appeal', arbiterAuth, async (req, res) => {
+  try {
+    const { outcome, comment } = req.body;
+    if (!['confirm', 'reverse'].includes(outcome)) {
+      return res.status(400).json({ error: 'outcome must be confirm or reverse' });
+    }
+
+    const result = await disputeService.reviewAppeal(req.params.id, outcome, req.arbiter, comment);
+    res.json({ success: true, dispute: result.dispute, reversed: result.reversed });
+  } catch (error) {
+    console.error('Appeal review error:', error);
+    sendArbitrationError(res, error);
+  }
+});
+
+app.post('/api/admin/disputes/:id/cancel', arbiterAuth, async (req, res) => {
   try {
     const { deadlineHours } = req.body;
     const dispute = await Dispute.findById(req.params.id).populate('dealId');
     if (!dispute) return res.status(404).json({ error: 'Dispute not found' });
+    if (!arbitrationService.canResolve(req.arbiter, dispute)) {
+      return res.status(403).json({ error: 'Take the dispute into review first' });
+    }
 
     const deal = dispute.dealId;
     if (!deal) return res.status(404).json({ error: 'Deal not found' });
@@ -1246,6 +1639,101 @@ app.post('/api/admin/disputes/:id/cancel', adminAuth, async (req, res) => {
   }
 });
 
+// Arbiters API
+app.get('/api/admin/arbiters', arbiterAuth, requireSenior, async (req, res) => {
+  try {
+    const [arbiters, queueStats, unassigned] = await Promise.all([
+      Arbiter.find().sort({ createdAt: 1 }),
+      arbitrationService.getQueueStats(),
+      Dispute.countDocuments({ status: { $ne: 'resolved' }, assignedTo: null })
+    ]);
+
+    res.json({
+      arbiters: arbiters.map(arbiter => ({
+        ...arbiter.toPublic(),
+        queue: queueStats[arbiter._id.toString()] || { open: 0, resolved: 0 }
+      })),
+      unassigned
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/admin/arbiters', adminAuth, async (req, res) => {
+  try {
+    const { username, password, name, telegramId, role, platformId, autoAssign } = req.body;
+
+    if (!username || !name || !telegramId) {
+      return res.status(400).json({ error: 'username, name and telegramId are required' });
+    }
+    if (!password || password.length < 8) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+    if (username.trim().toLowerCase() === (process.env.ADMIN_USERNAME || 'admin').toLowerCase()) {
+      return res.status(400).json({ error: 'Username is reserved' });
+    }
+
+    const exists = await Arbiter.findOne({
+      $or: [{ username: username.trim().toLowerCase() }, { telegramId: parseInt(telegramId) }]
+    });
+    if (exists) {
+      return res.status(400).json({ error: 'Arbiter with this username or Telegram ID already exists' });
+    }
+
+    const arbiter = await Arbiter.create({
+      username,
+      passwordHash: password,
+      name,
+      telegramId: parseInt(telegramId),
+      role: role === 'senior_arbiter' ? 'senior_arbiter' : 'arbiter',
+      platformId: platformId || null,
+      autoAssign: autoAssign !== false
+    });
+
+    res.json({ success: true, arbiter: arbiter.toPublic() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/admin/arbiters/:id', adminAuth, async (req, res) => {
+  try {
+    const { name, role, platformId, isActive, autoAssign, password } = req.body;
+
+    const arbiter = await Arbiter.findById(req.params.id);
+    if (!arbiter) return res.status(404).json({ error: 'Arbiter not found' });
+
+    if (password !== undefined) {
+      if (!password || password.length < 8) {
+        return res.status(400).json({ error: 'Password must be at least 8 characters' });
+      }
+      arbiter.passwordHash = password;
+    }
+    if (name !== undefined) arbiter.name = name;
+    if (role !== undefined) arbiter.role = role === 'senior_arbiter' ? 'senior_arbiter' : 'arbiter';
+    if (platformId !== undefined) arbiter.platformId = platformId || null;
+    if (isActive !== undefined) arbiter.isActive = !!isActive;
+    if (autoAssign !== undefined) arbiter.autoAssign = !!autoAssign;
+    await arbiter.save();
+
+    // Disputes of a deactivated arbiter go back to the unassigned queue (SLA loop reassigns them)
+    if (!arbiter.isActive) {
+      await Dispute.updateMany(
+        { assignedTo: arbiter._id, status: { $ne: 'resolved' } },
+        {
+          $set: { assignedTo: null, assignedAt: null, assignedBy: null, status: 'open', reviewStartedAt: null, reviewDueAt: null },
+          $pull: { escalations: { $in: ['unassigned', 'review'] } }
+        }
+      );
+    }
+
+    res.json({ success: true, arbiter: arbiter.toPublic() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Platforms API
 app.get('/api/admin/platforms', adminAuth, async (req, res) => {
   try {
@@ -2047,6 +2535,38 @@ app.get('/api/admin/bot-status/progress', adminAuth, (req, res) => {
   res.json(botStatusChecker.getProgress());
 });
 
+// ============ ENCRYPTION KEYS ============
+
+// Records per key version + re-encryption progress
+app.get('/api/admin/encryption', adminAuth, async (req, res) => {
+  try {
+    const [report, progress] = await Promise.all([
+      reencryptionService.getReport(),
+      reencryptionService.getProgress()
+    ]);
+    res.json({ ...report, progress });
+  } catch (error) {
+    console.error('Encryption report error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Start (or resume) re-encryption with the active key
+app.post('/api/admin/encryption/reencrypt', adminAuth, async (req, res) => {
+  try {
+    const progress = await reencryptionService.start({ restart: req.body?.restart === true });
+    res.json({ success: true, progress });
+  } catch (error) {
+    res.status(409).json({ error: error.message });
+  }
+});
+
+// Stop after the current batch (can be resumed later)
+app.post('/api/admin/encryption/stop', adminAuth, async (req, res) => {
+  reencryptionService.stop();
+  res.json({ success: true, progress: await reencryptionService.getProgress() });
+});
+
 // ============ BROADCASTS API ============
 
 // Get all broadcasts with pagination
@@ -2341,6 +2861,9 @@ async function startServer() {
   try {
     await connectDB();
     encryption.init();
+    await reencryptionService.resume().catch(err => {
+      console.error('[Reencryption] Resume failed:', err.message);
+    });
 
     // Determine base URL for prerendering
     const SITE_URL = process.env.WEB_DOMAIN
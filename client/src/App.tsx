@@ -39,6 +39,8 @@ import {
   PrivacyPage,
   OfferPage,
   DealGuardPage,
+  ReputationPage,
+  SignPage,
 } from '@/pages/public'
 import {
   BlogListPage,
@@ -55,10 +57,14 @@ import {
   AdminUserDetailsPage,
   AdminDisputesPage,
   AdminDisputeDetailsPage,
+  AdminArbitersPage,
+  AdminRestrictionsPage,
+  AdminReviewsPage,
   AdminPlatformsPage,
   AdminExportsPage,
   AdminTransactionsPage,
   AdminIpCheckPage,
+  AdminEncryptionPage,
   AdminReferralsPage,
   AdminPartnerWithdrawalsPage,
   AdminBroadcastsPage,
@@ -79,6 +85,7 @@ import {
   PartnerDealsPage,
   PartnerSettingsPage,
   PartnerWithdrawalsPage,
+  PartnerWebhooksPage,
 } from '@/pages/partner'
 
 // Create a React Query client
@@ -109,6 +116,8 @@ function App() {
               <Route path="terms" element={<TermsPage />} />
               <Route path="privacy" element={<PrivacyPage />} />
               <Route path="offer" element={<OfferPage />} />
+              <Route path="u/:publicId" element={<ReputationPage />} />
+              <Route path="sign/:token" element={<SignPage />} />
 
               {/* Blog routes */}
               <Route path="blog" element={<BlogListPage />} />
@@ -134,8 +143,11 @@ function App() {
             <Route path="deals/:id" element={<AdminDealDetailsPage />} />
             <Route path="users" element={<AdminUsersPage />} />
             <Route path="users/:telegramId" element={<AdminUserDetailsPage />} />
+            <Route path="restrictions" element={<AdminRestrictionsPage />} />
+            <Route path="reviews" element={<AdminReviewsPage />} />
             <Route path="disputes" element={<AdminDisputesPage />} />
             <Route path="disputes/:id" element={<AdminDisputeDetailsPage />} />
+            <Route path="arbiters" element={<AdminArbitersPage />} />
             <Route path="platforms" element={<AdminPlatformsPage />} />
             <Route path="referrals" element={<AdminReferralsPage />} />
             <Route path="partner-withdrawals" element={<AdminPartnerWithdrawalsPage />} />
@@ -143,6 +155,7 @@ function App() {
             <Route path="exports" element={<AdminExportsPage />} />
             <Route path="transactions" element={<AdminTransactionsPage />} />
             <Route path="ip-check" element={<AdminIpCheckPage />} />
+            <Route path="encryption" element={<AdminEncryptionPage />} />
             {/* Blog admin routes */}
             <Route path="blog" element={<Navigate to="/admin/blog/posts" replace />} />
             <Route path="blog/posts" element={<BlogPostsPage />} />
@@ -184,6 +197,7 @@ function App() {
             <Route path="users" element={<PartnerUsersPage />} />
             <Route path="deals" element={<PartnerDealsPage />} />
             <Route path="withdrawals" element={<PartnerWithdrawalsPage />} />
+            <Route path="webhooks" element={<PartnerWebhooksPage />} />
             <Route path="settings" element={<PartnerSettingsPage />} />
           </Route>
         </Routes>
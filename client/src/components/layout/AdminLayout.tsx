@@ -20,13 +20,20 @@ import {
   Gift,
   Megaphone,
   Wallet,
+  Gavel,
+  ShieldOff,
+  MessageSquare,
+  KeyRound,
 } from 'lucide-react'
 
 const mainNavItems = [
   { path: '/admin', icon: LayoutDashboard, label: 'Дашборд', exact: true },
   { path: '/admin/deals', icon: FileText, label: 'Сделки' },
   { path: '/admin/users', icon: Users, label: 'Пользователи' },
+  { path: '/admin/restrictions', icon: ShieldOff, label: 'Ограничения' },
+  { path: '/admin/reviews', icon: MessageSquare, label: 'Отзывы' },
   { path: '/admin/disputes', icon: Scale, label: 'Споры' },
+  { path: '/admin/arbiters', icon: Gavel, label: 'Арбитры' },
   { path: '/admin/referrals', icon: Gift, label: 'Рефералы' },
   { path: '/admin/partner-withdrawals', icon: Wallet, label: 'Выводы партнёров' },
   { path: '/admin/broadcasts', icon: Megaphone, label: 'Рассылки' },
@@ -34,8 +41,12 @@ const mainNavItems = [
   { path: '/admin/transactions', icon: Activity, label: 'Транзакции' },
   { path: '/admin/platforms', icon: Building2, label: 'Платформы' },
   { path: '/admin/ip-check', icon: Globe, label: 'IP Check' },
+  { path: '/admin/encryption', icon: KeyRound, label: 'Шифрование' },
 ]
 
+// Arbiter accounts only work with disputes
+const arbiterNavItems = mainNavItems.filter((item) => item.path === '/admin/disputes')
+
 const blogNavItems = [
   { path: '/admin/blog', icon: BookOpen, label: 'Статьи', exact: true },
   { path: '/admin/blog/categories', icon: FileText, label: 'Категории' },
@@ -51,6 +62,8 @@ export function AdminLayout() {
   const { admin, logout, verifyAuth, isAuthenticated } = useAuthStore()
   const navigate = useNavigate()
   const location = useLocation()
+  const isArbiter = !!admin?.role && admin.role !== 'admin'
+  const navItems = isArbiter ? arbiterNavItems : mainNavItems
 
   useEffect(() => {
     verifyAuth().then((valid) => {
@@ -67,6 +80,12 @@ export function AdminLayout() {
     }
   }, [location.pathname])
 
+  useEffect(() => {
+    if (isArbiter && !location.pathname.startsWith('/admin/disputes')) {
+      navigate('/admin/disputes', { replace: true })
+    }
+  }, [isArbiter, location.pathname, navigate])
+
   const handleLogout = () => {
     logout()
     navigate('/admin/login')
@@ -118,7 +137,7 @@ export function AdminLayout() {
 
         {/* Navigation */}
         <nav className="p-4 space-y-1 overflow-y-auto h-[calc(100vh-8rem)]">
-          {mainNavItems.map((item) => (
+          {navItems.map((item) => (
             <NavLink
               key={item.path}
               to={item.path}
@@ -139,43 +158,45 @@ export function AdminLayout() {
           ))}
 
           {/* Blog section */}
-          <div className="pt-4">
-            <button
-              onClick={() => setBlogExpanded(!blogExpanded)}
-              className="w-full flex items-center justify-between px-4 py-2.5 text-sm text-gray-400 hover:text-white rounded-lg hover:bg-dark-lighter transition-colors"
-            >
-              <span className="flex items-center gap-3">
-                <BookOpen size={18} />
-                Блог
-              </span>
-              <ChevronDown
-                size={16}
-                className={cn('transition-transform', blogExpanded && 'rotate-180')}
-              />
-            </button>
-            {blogExpanded && (
-              <div className="ml-4 mt-1 space-y-1">
-                {blogNavItems.map((item) => (
-                  <NavLink
-                    key={item.path}
-                    to={item.path}
-                    end={item.exact}
-                    className={({ isActive }) =>
-                      cn(
-                        'flex items-center gap-3 px-4 py-2 rounded-lg text-sm transition-colors',
-                        isActive
-                          ? 'bg-primary/20 text-primary'
-                          : 'text-gray-400 hover:text-white hover:bg-dark-lighter'
-                      )
-                    }
-                    onClick={() => setSidebarOpen(false)}
-                  >
-                    {item.label}
-                  </NavLink>
-                ))}
-              </div>
-            )}
-          </div>
+          {!isArbiter && (
+            <div className="pt-4">
+              <button
+                onClick={() => setBlogExpanded(!blogExpanded)}
+                className="w-full flex items-center justify-between px-4 py-2.5 text-sm text-gray-400 hover:text-white rounded-lg hover:bg-dark-lighter transition-colors"
+              >
+                <span className="flex items-center gap-3">
+                  <BookOpen size={18} />
+                  Блог
+                </span>
+                <ChevronDown
+                  size={16}
+                  className={cn('transition-transform', blogExpanded && 'rotate-180')}
+                />
+              </button>
+              {blogExpanded && (
+                <div className="ml-4 mt-1 space-y-1">
+                  {blogNavItems.map((item) => (
+                    <NavLink
+                      key={item.path}
+                      to={item.path}
+                      end={item.exact}
+                      className={({ isActive }) =>
+                        cn(
+                          'flex items-center gap-3 px-4 py-2 rounded-lg text-sm transition-colors',
+                          isActive
+                            ? 'bg-primary/20 text-primary'
+                            : 'text-gray-400 hover:text-white hover:bg-dark-lighter'
+                        )
+                      }
+                      onClick={() => setSidebarOpen(false)}
+                    >
+                      {item.label}
+                    </NavLink>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
         </nav>
 
         {/* User section */}
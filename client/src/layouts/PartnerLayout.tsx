@@ -12,6 +12,7 @@ import {
   Shield,
   ChevronDown,
   Wallet,
+  Webhook,
   Sun,
   Moon,
 } from 'lucide-react'
@@ -21,6 +22,7 @@ const navigation = [
   { name: 'Пользователи', shortName: 'Юзеры', href: '/partner/users', icon: Users },
   { name: 'Сделки', shortName: 'Сделки', href: '/partner/deals', icon: FileText },
   { name: 'Вывод средств', shortName: 'Вывод', href: '/partner/withdrawals', icon: Wallet },
+  { name: 'API и вебхуки', shortName: 'API', href: '/partner/webhooks', icon: Webhook, desktopOnly: true },
   { name: 'Настройки', shortName: 'Ещё', href: '/partner/settings', icon: Settings },
 ]
 
@@ -136,6 +138,15 @@ export function PartnerLayout() {
                           <Settings size={15} />
                           Настройки
                         </NavLink>
+                        <NavLink
+                          to="/partner/webhooks"
+                          onClick={() => setDropdownOpen(false)}
+                          className="flex items-center gap-2 px-4 py-2.5 text-sm transition-colors"
+                          style={{ color: 'var(--p-text-secondary)' }}
+                        >
+                          <Webhook size={15} />
+                          API и вебхуки
+                        </NavLink>
                         <button
                           onClick={() => { setDropdownOpen(false); handleLogout() }}
                           className="w-full flex items-center gap-2 px-4 py-2.5 text-sm text-red-400 transition-colors"
@@ -162,7 +173,7 @@ export function PartnerLayout() {
           style={{ background: 'var(--p-chrome-bg)', borderTop: '1px solid var(--p-chrome-border)' }}
         >
           <div className="flex items-center justify-around h-16">
-            {navigation.map((item) => (
+            {navigation.filter((item) => !item.desktopOnly).map((item) => (
               <NavLink
                 key={item.href}
                 to={item.href}
@@ -0,0 +1,347 @@
+import { useState, useEffect } from 'react'
+import { adminService } from '@/services/admin'
+import type { Arbiter, Platform } from '@/types'
+import { Card, Button, Input } from '@/components/ui'
+import { Badge } from '@/components/ui/badge'
+import { formatDateShort } from '@/utils/format'
+import { Plus, Edit, Power, Gavel, Scale, CheckCircle, Shuffle } from 'lucide-react'
+
+interface ArbiterFormData {
+  username: string
+  password: string
+  name: string
+  telegramId: string
+  role: Arbiter['role']
+  platformId: string
+  autoAssign: boolean
+}
+
+const initialFormData: ArbiterFormData = {
+  username: '',
+  password: '',
+  name: '',
+  telegramId: '',
+  role: 'arbiter',
+  platformId: '',
+  autoAssign: true,
+}
+
+const roleLabels: Record<Arbiter['role'], string> = {
+  arbiter: 'Арбитр',
+  senior_arbiter: 'Старший арбитр',
+}
+
+function apiError(err: unknown, fallback: string): string {
+  return (err as { response?: { data?: { error?: string } } })?.response?.data?.error || fallback
+}
+
+export function AdminArbitersPage() {
+  const [arbiters, setArbiters] = useState<Arbiter[]>([])
+  const [unassigned, setUnassigned] = useState(0)
+  const [platforms, setPlatforms] = useState<Platform[]>([])
+  const [loading, setLoading] = useState(true)
+  const [showForm, setShowForm] = useState(false)
+  const [editingArbiter, setEditingArbiter] = useState<Arbiter | null>(null)
+  const [formData, setFormData] = useState<ArbiterFormData>(initialFormData)
+  const [submitting, setSubmitting] = useState(false)
+
+  const fetchArbiters = () => {
+    adminService
+      .getArbiters()
+      .then((data) => {
+        setArbiters(data.arbiters)
+        setUnassigned(data.unassigned)
+      })
+      .catch(console.error)
+      .finally(() => setLoading(false))
+  }
+
+  useEffect(() => {
+    fetchArbiters()
+    adminService.getPlatforms().then(setPlatforms).catch(console.error)
+  }, [])
+
+  const handleOpenForm = (arbiter?: Arbiter) => {
+    if (arbiter) {
+      setEditingArbiter(arbiter)
+      setFormData({
+        username: arbiter.username,
+        password: '',
+        name: arbiter.name,
+        telegramId: String(arbiter.telegramId),
+        role: arbiter.role,
+        platformId: arbiter.platformId || '',
+        autoAssign: arbiter.autoAssign,
+      })
+    } else {
+      setEditingArbiter(null)
+      setFormData(initialFormData)
+    }
+    setShowForm(true)
+  }
+
+  const handleCloseForm = () => {
+    setShowForm(false)
+    setEditingArbiter(null)
+    setFormData(initialFormData)
+  }
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+    setSubmitting(true)
+    try {
+      if (editingArbiter) {
+        await adminService.updateArbiter(editingArbiter._id, {
+          name: formData.name,
+          role: formData.role,
+          platformId: formData.platformId || null,
+          autoAssign: formData.autoAssign,
+          ...(formData.password && { password: formData.password }),
+        })
+      } else {
+        await adminService.createArbiter({
+          username: formData.username,
+          password: formData.password,
+          name: formData.name,
+          telegramId: parseInt(formData.telegramId),
+          role: formData.role,
+          platformId: formData.platformId || null,
+          autoAssign: formData.autoAssign,
+        })
+      }
+      handleCloseForm()
+      fetchArbiters()
+    } catch (error) {
+      console.error('Save error:', error)
+      alert(apiError(error, 'Ошибка сохранения'))
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const handleToggle = async (arbiter: Arbiter) => {
+    if (arbiter.isActive && !confirm(`Отключить арбитра "${arbiter.name}"? Его открытые споры вернутся в очередь.`)) return
+    try {
+      await adminService.updateArbiter(arbiter._id, { isActive: !arbiter.isActive })
+      fetchArbiters()
+    } catch (error) {
+      console.error('Toggle error:', error)
+      alert(apiError(error, 'Ошибка сохранения'))
+    }
+  }
+
+  const platformName = (platformId: string | null) =>
+    platforms.find((platform) => platform._id === platformId)?.name || null
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-white">Арбитры</h1>
+          <p className="text-muted">Не назначено споров: {unassigned}</p>
+        </div>
+        <Button onClick={() => handleOpenForm()}>
+          <Plus size={18} className="mr-2" />
+          Добавить арбитра
+        </Button>
+      </div>
+
+      {/* Form Modal */}
+      {showForm && (
+        <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
+          <Card className="w-full max-w-lg p-6">
+            <h2 className="text-xl font-semibold text-white mb-6">
+              {editingArbiter ? 'Редактировать арбитра' : 'Новый арбитр'}
+            </h2>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-2">
+                  Имя
+                </label>
+                <Input
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  placeholder="Имя арбитра"
+                  required
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Логин
+                  </label>
+                  <Input
+                    type="text"
+                    value={formData.username}
+                    onChange={(e) => setFormData({ ...formData, username: e.target.value })}
+                    placeholder="Логин для входа"
+                    disabled={!!editingArbiter}
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    {editingArbiter ? 'Новый пароль' : 'Пароль'}
+                  </label>
+                  <Input
+                    type="password"
+                    value={formData.password}
+                    onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+                    placeholder={editingArbiter ? 'Оставьте пустым' : 'Минимум 8 символов'}
+                    minLength={8}
+                    required={!editingArbiter}
+                  />
+                </div>
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Telegram ID
+                  </label>
+                  <Input
+                    type="number"
+                    value={formData.telegramId}
+                    onChange={(e) => setFormData({ ...formData, telegramId: e.target.value })}
+                    placeholder="Для уведомлений"
+                    disabled={!!editingArbiter}
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Роль
+                  </label>
+                  <select
+                    value={formData.role}
+                    onChange={(e) => setFormData({ ...formData, role: e.target.value as Arbiter['role'] })}
+                    className="w-full px-3 py-2 bg-dark-lighter border border-border rounded-lg text-white focus:outline-none focus:border-primary"
+                  >
+                    <option value="arbiter">{roleLabels.arbiter}</option>
+                    <option value="senior_arbiter">{roleLabels.senior_arbiter}</option>
+                  </select>
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-2">
+                  Платформа
+                </label>
+                <select
+                  value={formData.platformId}
+                  onChange={(e) => setFormData({ ...formData, platformId: e.target.value })}
+                  className="w-full px-3 py-2 bg-dark-lighter border border-border rounded-lg text-white focus:outline-none focus:border-primary"
+                >
+                  <option value="">Не связан с платформой</option>
+                  {platforms.map((platform) => (
+                    <option key={platform._id} value={platform._id}>
+                      {platform.name}
+                    </option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">Споры по сделкам этой платформы арбитру не назначаются</p>
+              </div>
+              <label className="flex items-center gap-2 text-sm text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={formData.autoAssign}
+                  onChange={(e) => setFormData({ ...formData, autoAssign: e.target.checked })}
+                />
+                Участвует в автоматическом распределении
+              </label>
+              <div className="flex gap-3 pt-4">
+                <Button type="button" variant="secondary" onClick={handleCloseForm} className="flex-1">
+                  Отмена
+                </Button>
+                <Button type="submit" disabled={submitting} className="flex-1">
+                  {submitting ? 'Сохранение...' : 'Сохранить'}
+                </Button>
+              </div>
+            </form>
+          </Card>
+        </div>
+      )}
+
+      {/* Arbiters Grid */}
+      {loading ? (
+        <div className="flex items-center justify-center h-64">
+          <div className="animate-spin w-8 h-8 border-2 border-primary border-t-transparent rounded-full" />
+        </div>
+      ) : arbiters.length === 0 ? (
+        <Card className="p-12 text-center">
+          <Gavel size={48} className="mx-auto text-muted mb-4" />
+          <p className="text-muted">Арбитров пока нет — все споры рассматривает администратор</p>
+          <Button onClick={() => handleOpenForm()} className="mt-4">
+            Добавить первого арбитра
+          </Button>
+        </Card>
+      ) : (
+        <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {arbiters.map((arbiter) => (
+            <Card key={arbiter._id} className="p-6">
+              <div className="flex items-start justify-between mb-4">
+                <div>
+                  <h3 className="text-lg font-semibold text-white">{arbiter.name}</h3>
+                  <p className="font-mono text-sm text-primary mt-1">@{arbiter.username}</p>
+                </div>
+                <div className="flex flex-col items-end gap-1">
+                  <Badge variant={arbiter.isActive ? 'success' : 'destructive'}>
+                    {arbiter.isActive ? 'Активен' : 'Отключён'}
+                  </Badge>
+                  <Badge variant={arbiter.role === 'senior_arbiter' ? 'primary' : 'default'}>
+                    {roleLabels[arbiter.role]}
+                  </Badge>
+                </div>
+              </div>
+
+              {/* Queue */}
+              <div className="grid grid-cols-2 gap-3 text-sm mb-4">
+                <div className="flex items-center gap-2">
+                  <Scale size={14} className="text-muted" />
+                  <span className="text-gray-300">{arbiter.queue?.open || 0} в работе</span>
+                </div>
+                <div className="flex items-center gap-2">
+                  <CheckCircle size={14} className="text-muted" />
+                  <span className="text-gray-300">{arbiter.queue?.resolved || 0} решено</span>
+                </div>
+              </div>
+
+              {/* Info */}
+              <div className="text-sm text-muted mb-4 space-y-1">
+                <p>Telegram ID: <span className="font-mono">{arbiter.telegramId}</span></p>
+                {platformName(arbiter.platformId) && <p>Платформа: {platformName(arbiter.platformId)}</p>}
+                <p className="flex items-center gap-1">
+                  <Shuffle size={12} />
+                  {arbiter.autoAssign ? 'Автораспределение включено' : 'Только ручное назначение'}
+                </p>
+                <p>
+                  Последний вход: {arbiter.lastLoginAt ? formatDateShort(arbiter.lastLoginAt) : '—'}
+                </p>
+              </div>
+
+              {/* Actions */}
+              <div className="flex gap-2">
+                <Button
+                  variant="secondary"
+                  size="sm"
+                  onClick={() => handleOpenForm(arbiter)}
+                  className="flex-1"
+                >
+                  <Edit size={16} className="mr-1" />
+                  Изменить
+                </Button>
+                <Button
+                  variant={arbiter.isActive ? 'destructive' : 'success'}
+                  size="sm"
+                  onClick={() => handleToggle(arbiter)}
+                >
+                  <Power size={16} />
+                </Button>
+              </div>
+            </Card>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -25,6 +25,12 @@ import {
   Loader2,
 } from 'lucide-react'
 
+const energyStrategyLabels: Record<string, string> = {
+  feesaver: 'FeeSaver (аренда)',
+  staking: 'Стейкинг (делегирование)',
+  trx: 'Сжигание TRX',
+}
+
 interface StatCardProps {
   title: string
   value: string | number
@@ -164,6 +170,7 @@ export function AdminDashboardPage() {
   const finance = stats.finance
   const partners = stats.partners
   const deals = stats.deals
+  const energy = stats.energy
 
   // Parse values
   const netProfit = parseFloat(finance?.netProfit || '0')
@@ -325,6 +332,10 @@ export function AdminDashboardPage() {
               <span className="text-muted">Сделок с TRX fallback</span>
               <span className="text-orange-400 font-medium">{finance?.fallbackDeals || 0}</span>
             </div>
+            <div className="flex justify-between items-center">
+              <span className="text-muted">Сделок со стейкингом (делегирование)</span>
+              <span className="text-purple-400 font-medium">{finance?.stakingDeals || 0}</span>
+            </div>
             <div className="flex justify-between items-center">
               <span className="text-muted">Сделок с данными о расходах</span>
               <span className="text-white font-medium">
@@ -493,6 +504,50 @@ export function AdminDashboardPage() {
         </Card>
       )}
 
+      {/* Energy Strategies */}
+      {energy?.strategies && energy.strategies.length > 0 && (
+        <Card className="p-6">
+          <h2 className="text-lg font-semibold text-white mb-4 flex items-center gap-2">
+            <Zap size={20} />
+            Стратегии энергии
+          </h2>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-muted border-b border-border">
+                  <th className="pb-3 font-medium">Стратегия</th>
+                  <th className="pb-3 font-medium text-right">Выплат</th>
+                  <th className="pb-3 font-medium text-right">Энергия</th>
+                  <th className="pb-3 font-medium text-right">Расход</th>
+                  <th className="pb-3 font-medium text-right">В среднем</th>
+                  <th className="pb-3 font-medium text-right">За 100k энергии</th>
+                  <th className="pb-3 font-medium text-right">Экономия vs сжигание</th>
+                  <th className="pb-3 font-medium text-right">Запасной выбор</th>
+                </tr>
+              </thead>
+              <tbody>
+                {energy.strategies.map((s) => (
+                  <tr key={s.strategy} className="border-b border-border/50">
+                    <td className="py-3 text-white">{energyStrategyLabels[s.strategy] || s.strategy}</td>
+                    <td className="py-3 text-right text-gray-300">{s.payouts}</td>
+                    <td className="py-3 text-right text-gray-300">{formatNumber(s.energy)}</td>
+                    <td className="py-3 text-right text-red-400">{s.costTrx} TRX</td>
+                    <td className="py-3 text-right text-gray-300">{s.avgCostTrx} TRX</td>
+                    <td className="py-3 text-right text-gray-300">{s.costPer100kEnergy} TRX</td>
+                    <td className="py-3 text-right text-green-400">{s.savedTrx} TRX</td>
+                    <td className="py-3 text-right text-muted">{s.fallbacks}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-muted mt-4">
+            Экономия по сравнению со сжиганием TRX: {energy.totalSavedTrx} TRX
+            ({formatCurrency(parseFloat(energy.totalSavedUsd))}). Запасной выбор — выплаты, где более дешёвая стратегия не сработала.
+          </p>
+        </Card>
+      )}
+
       {/* Quick Actions */}
       <Card className="p-6">
         <h2 className="text-lg font-semibold text-white mb-4">Быстрые действия</h2>
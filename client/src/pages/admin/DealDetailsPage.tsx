@@ -2,10 +2,10 @@ import { useState, useEffect } from 'react'
 import { useParams, Link } from 'react-router-dom'
 import { adminService } from '@/services/admin'
 import { configService } from '@/services/config'
-import type { Deal, DealStatus, Dispute } from '@/types'
+import type { Deal, DealMilestone, DealStatus, Dispute } from '@/types'
 import { Card, Button } from '@/components/ui'
 import { Badge } from '@/components/ui/badge'
-import { formatCurrency, formatDate } from '@/utils/format'
+import { formatCurrency, formatDate, explorerAddressUrl, explorerName, explorerTxUrl } from '@/utils/format'
 import {
   ArrowLeft,
   Download,
@@ -17,6 +17,7 @@ import {
   Copy,
   Check,
   Receipt,
+  Flag,
 } from 'lucide-react'
 
 const statusLabels: Record<DealStatus, string> = {
@@ -35,6 +36,14 @@ const statusLabels: Record<DealStatus, string> = {
   refunded: 'Возврат',
 }
 
+const milestoneStatusLabels: Record<DealMilestone['status'], string> = {
+  pending: 'Ожидает',
+  submitted: 'Сдан',
+  released: 'Выплачен',
+  refunded: 'Возвращён',
+  split: 'Разделён',
+}
+
 const statusVariants: Record<DealStatus, 'default' | 'primary' | 'secondary' | 'success' | 'warning' | 'destructive'> = {
   created: 'default',
   waiting_for_seller_wallet: 'warning',
@@ -71,17 +80,17 @@ function CopyButton({ text }: { text: string }) {
   )
 }
 
-function AddressLink({ address }: { address: string }) {
+function AddressLink({ address, network }: { address: string; network?: string }) {
   return (
     <div className="flex items-center gap-2">
       <span className="font-mono text-sm">{address}</span>
       <CopyButton text={address} />
       <a
-        href={`https://tronscan.org/#/address/${address}`}
+        href={explorerAddressUrl(address, network)}
         target="_blank"
         rel="noopener noreferrer"
         className="text-primary hover:text-primary-light"
-        title="Открыть в Tronscan"
+        title={`Открыть в ${explorerName(network)}`}
       >
         <ExternalLink size={14} />
       </a>
@@ -334,7 +343,7 @@ export function AdminDealDetailsPage() {
               <div>
                 <dt className="text-muted text-sm">Multisig адрес</dt>
                 <dd className="text-primary">
-                  <AddressLink address={deal.multisigAddress} />
+                  <AddressLink address={deal.multisigAddress} network={deal.network} />
                 </dd>
               </div>
             )}
@@ -342,7 +351,7 @@ export function AdminDealDetailsPage() {
               <div>
                 <dt className="text-muted text-sm">Кошелёк покупателя</dt>
                 <dd className="text-gray-300">
-                  <AddressLink address={deal.buyerAddress} />
+                  <AddressLink address={deal.buyerAddress} network={deal.network} />
                 </dd>
               </div>
             )}
@@ -350,7 +359,7 @@ export function AdminDealDetailsPage() {
               <div>
                 <dt className="text-muted text-sm">Кошелёк продавца</dt>
                 <dd className="text-gray-300">
-                  <AddressLink address={deal.sellerAddress} />
+                  <AddressLink address={deal.sellerAddress} network={deal.network} />
                 </dd>
               </div>
             )}
@@ -381,6 +390,46 @@ export function AdminDealDetailsPage() {
           </dl>
         </Card>
 
+        {/* Milestones */}
+        {deal.milestones && deal.milestones.length > 0 && (
+          <Card className="p-6 lg:col-span-2">
+            <h2 className="text-lg font-semibold text-white mb-4 flex items-center gap-2">
+              <Flag size={20} />
+              Этапы ({(deal.currentMilestone ?? 0) + 1} из {deal.milestones.length})
+            </h2>
+            <div className="space-y-3">
+              {deal.milestones.map((milestone, index) => (
+                <div key={index} className="flex items-center justify-between gap-4 p-3 bg-dark-lighter rounded-lg">
+                  <div>
+                    <p className="text-white">
+                      {index + 1}. {milestone.title}
+                    </p>
+                    <p className="text-muted text-sm">
+                      до {formatDate(milestone.deadline, 'd MMMM yyyy, HH:mm')}
+                      {milestone.payoutTxHash && (
+                        <a
+                          href={explorerTxUrl(milestone.payoutTxHash, deal.network)}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="text-primary hover:text-primary-light ml-2 inline-flex items-center gap-1"
+                        >
+                          Выплата <ExternalLink size={12} />
+                        </a>
+                      )}
+                    </p>
+                  </div>
+                  <div className="text-right">
+                    <p className="text-white font-medium">{formatCurrency(milestone.amount, deal.asset)}</p>
+                    <Badge variant={index === deal.currentMilestone ? 'primary' : 'default'}>
+                      {milestoneStatusLabels[milestone.status]}
+                    </Badge>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </Card>
+        )}
+
         {/* Transactions */}
         {(deal.depositTxHash || deal.payoutTxHash) && (
           <Card className="p-6 lg:col-span-2">
@@ -392,7 +441,7 @@ export function AdminDealDetailsPage() {
                   <dd className="flex items-center gap-2">
                     <span className="font-mono text-sm text-gray-300">{deal.depositTxHash}</span>
                     <a
-                      href={`https://tronscan.org/#/transaction/${deal.depositTxHash}`}
+                      href={explorerTxUrl(deal.depositTxHash, deal.network)}
                       target="_blank"
                       rel="noopener noreferrer"
                       className="text-primary hover:text-primary-light"
@@ -402,13 +451,33 @@ export function AdminDealDetailsPage() {
                   </dd>
                 </div>
               )}
+              {!!deal.overpayment && (
+                <div>
+                  <dt className="text-muted text-sm">Переплата</dt>
+                  <dd className="flex items-center gap-2">
+                    <span className="text-sm text-gray-300">
+                      {deal.overpayment} {deal.asset} · {deal.overpaymentRefundTxHash ? 'возвращена покупателю' : 'вернётся покупателю с выплатой'}
+                    </span>
+                    {deal.overpaymentRefundTxHash && (
+                      <a
+                        href={explorerTxUrl(deal.overpaymentRefundTxHash, deal.network)}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-primary hover:text-primary-light"
+                      >
+                        <ExternalLink size={14} />
+                      </a>
+                    )}
+                  </dd>
+                </div>
+              )}
               {deal.payoutTxHash && (
                 <div>
                   <dt className="text-muted text-sm">Выплата</dt>
                   <dd className="flex items-center gap-2">
                     <span className="font-mono text-sm text-gray-300">{deal.payoutTxHash}</span>
                     <a
-                      href={`https://tronscan.org/#/transaction/${deal.payoutTxHash}`}
+                      href={explorerTxUrl(deal.payoutTxHash, deal.network)}
                       target="_blank"
                       rel="noopener noreferrer"
                       className="text-primary hover:text-primary-light"
@@ -468,6 +537,8 @@ export function AdminDealDetailsPage() {
                   Ресурсы: {' '}
                   {deal.operationalCosts.energyMethod === 'feesaver' ? (
                     <span className="text-green-400">FeeSaver (динамическая аренда)</span>
+                  ) : deal.operationalCosts.energyMethod === 'staking' ? (
+                    <span className="text-purple-400">Стейкинг (делегированная энергия)</span>
                   ) : deal.operationalCosts.energyMethod === 'trx' ? (
                     <span className="text-orange-400">TRX Fallback</span>
                   ) : (
@@ -490,6 +561,17 @@ export function AdminDealDetailsPage() {
                         <span className="text-green-400 font-medium">{(deal.operationalCosts.feesaverCostTrx || 0).toFixed(2)} TRX</span>
                       </div>
                     </>
+                  ) : deal.operationalCosts.energyMethod === 'staking' ? (
+                    <>
+                      <div className="flex justify-between">
+                        <span className="text-muted">📶 Bandwidth (1000 bw):</span>
+                        <span className="text-blue-400">{(deal.operationalCosts.feesaverBandwidthCostTrx || 0).toFixed(2)} TRX</span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span className="text-muted">⚡ Энергия (свой стейк, возвращена после выплаты):</span>
+                        <span className="text-purple-400">0.00 TRX</span>
+                      </div>
+                    </>
                   ) : deal.operationalCosts.energyMethod === 'trx' ? (
                     <>
                       <div className="flex justify-between">
@@ -542,6 +624,12 @@ export function AdminDealDetailsPage() {
                     </div>
                   </>
                 )}
+                {deal.operationalCosts.energyMethod !== 'feesaver' && (deal.operationalCosts.feesaverBandwidthCostTrx || 0) > 0 && (
+                  <div className="flex justify-between">
+                    <span className="text-muted">📶 Bandwidth (FeeSaver):</span>
+                    <span className="text-blue-400">+{(deal.operationalCosts.feesaverBandwidthCostTrx || 0).toFixed(2)} TRX</span>
+                  </div>
+                )}
                 {deal.operationalCosts.energyMethod === 'trx' && (
                   <>
                     <div className="flex justify-between">
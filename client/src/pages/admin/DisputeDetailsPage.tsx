@@ -1,11 +1,22 @@
 import { useState, useEffect } from 'react'
 import { useParams, Link } from 'react-router-dom'
 import { adminService } from '@/services/admin'
-import type { Dispute, Deal } from '@/types'
+import { useAuthStore } from '@/stores/authStore'
+import type { Dispute, Deal, Arbiter, DisputeTimelineEntry } from '@/types'
 import { Card, Button } from '@/components/ui'
 import { Badge } from '@/components/ui/badge'
 import { DeadlineSelectModal } from '@/components/ui/DeadlineSelectModal'
-import { formatDate, formatCurrency } from '@/utils/format'
+import { formatDate, formatCurrency, explorerTxUrl } from '@/utils/format'
+import {
+  getAssignee,
+  getSlaDeadline,
+  canResolveDispute,
+  canTakeDispute,
+  canReviewAppeal,
+  getAppealReviewer,
+  isAppealWindowOpen,
+  isSeniorAccount,
+} from '@/utils/arbitration'
 import {
   ArrowLeft,
   Scale,
@@ -17,14 +28,51 @@ import {
   File,
   Video,
   Mic,
+  Split,
+  UserCheck,
+  History,
+  Gavel,
+  RotateCcw,
 } from 'lucide-react'
 
+const timelineTypeLabels: Record<DisputeTimelineEntry['type'], string> = {
+  claim: 'Претензия',
+  statement: 'Пояснение',
+  chat_screenshot: 'Скриншот переписки',
+  delivery_proof: 'Подтверждение доставки',
+  tx_hash: 'Транзакция',
+  comment: 'Комментарий',
+  appeal: 'Апелляция',
+  appeal_confirmed: 'Решение оставлено в силе',
+  appeal_reversed: 'Решение отменено',
+}
+
+const appealStatusLabels: Record<NonNullable<NonNullable<Dispute['appeal']>['status']>, string> = {
+  pending: 'На рассмотрении',
+  confirmed: 'Решение оставлено в силе',
+  reversed: 'Решение отменено',
+}
+
+const timelineRoleLabels: Record<DisputeTimelineEntry['role'], string> = {
+  buyer: 'Покупатель',
+  seller: 'Продавец',
+  arbiter: 'Арбитр',
+}
+
+function apiError(err: unknown, fallback: string): string {
+  return (err as { response?: { data?: { error?: string } } })?.response?.data?.error || fallback
+}
+
 export function AdminDisputeDetailsPage() {
   const { id } = useParams<{ id: string }>()
   const [dispute, setDispute] = useState<Dispute | null>(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState<string | null>(null)
   const [resolving, setResolving] = useState(false)
+  const [arbiters, setArbiters] = useState<Arbiter[]>([])
+  const [assigning, setAssigning] = useState(false)
+  const { admin } = useAuthStore()
+  const isSenior = isSeniorAccount(admin)
 
   // Modal state
   const [cancelModalOpen, setCancelModalOpen] = useState(false)
@@ -36,7 +84,7 @@ export function AdminDisputeDetailsPage() {
       const data = await adminService.getDispute(id)
       setDispute(data)
     } catch (err) {
-      setError(err instanceof Error ? err.message : 'Ошибка загрузки')
+      setError(apiError(err, err instanceof Error ? err.message : 'Ошибка загрузки'))
     } finally {
       setLoading(false)
     }
@@ -46,6 +94,42 @@ export function AdminDisputeDetailsPage() {
     fetchDispute()
   }, [id])
 
+  useEffect(() => {
+    if (!isSenior) return
+    adminService
+      .getArbiters()
+      .then((data) => setArbiters(data.arbiters.filter((arbiter) => arbiter.isActive)))
+      .catch(console.error)
+  }, [isSenior])
+
+  const handleTake = async () => {
+    if (!dispute) return
+    setAssigning(true)
+    try {
+      await adminService.takeDispute(dispute._id)
+      fetchDispute()
+    } catch (error) {
+      console.error('Take error:', error)
+      alert(apiError(error, 'Не удалось взять спор в работу'))
+    } finally {
+      setAssigning(false)
+    }
+  }
+
+  const handleAssign = async (arbiterId: string) => {
+    if (!dispute || !arbiterId) return
+    setAssigning(true)
+    try {
+      await adminService.assignDispute(dispute._id, arbiterId)
+      fetchDispute()
+    } catch (error) {
+      console.error('Assign error:', error)
+      alert(apiError(error, 'Не удалось назначить арбитра'))
+    } finally {
+      setAssigning(false)
+    }
+  }
+
   const handleResolve = async (winner: 'buyer' | 'seller') => {
     if (!dispute) return
     const reason = prompt(`Причина решения в пользу ${winner === 'buyer' ? 'покупателя' : 'продавца'}:`)
@@ -56,7 +140,63 @@ export function AdminDisputeDetailsPage() {
       fetchDispute()
     } catch (error) {
       console.error('Resolve error:', error)
-      alert('Ошибка при решении спора')
+      alert(apiError(error, 'Ошибка при решении спора'))
+    } finally {
+      setResolving(false)
+    }
+  }
+
+  const handleSplit = async () => {
+    if (!dispute) return
+    const input = prompt('Доля покупателя в процентах (1-99), остаток получит продавец:')
+    if (!input) return
+    const buyerPercent = parseFloat(input.replace(',', '.'))
+    if (!Number.isFinite(buyerPercent) || buyerPercent <= 0 || buyerPercent >= 100) {
+      alert('Доля должна быть больше 0 и меньше 100')
+      return
+    }
+    const reason = prompt(`Причина раздела (покупателю ${buyerPercent}%, продавцу ${100 - buyerPercent}%):`)
+    if (!reason) return
+    setResolving(true)
+    try {
+      await adminService.resolveDispute(dispute._id, { winner: 'split', reason, split: { buyerPercent } })
+      fetchDispute()
+    } catch (error) {
+      console.error('Split error:', error)
+      alert(apiError(error, 'Ошибка при разделе средств'))
+    } finally {
+      setResolving(false)
+    }
+  }
+
+  const handleDefaultDecision = async () => {
+    if (!dispute) return
+    if (!confirm('Ответчик не ответил в срок. Решить спор в пользу инициатора?')) return
+    setResolving(true)
+    try {
+      await adminService.resolveDisputeByDefault(dispute._id)
+      fetchDispute()
+    } catch (error) {
+      console.error('Default decision error:', error)
+      alert(apiError(error, 'Ошибка при решении спора'))
+    } finally {
+      setResolving(false)
+    }
+  }
+
+  const handleAppealReview = async (outcome: 'confirm' | 'reverse') => {
+    if (!dispute) return
+    const comment = prompt(outcome === 'reverse'
+      ? 'Причина отмены решения (сообщение сторонам):'
+      : 'Комментарий для сторон (необязательно):')
+    if (comment === null || (outcome === 'reverse' && !comment.trim())) return
+    setResolving(true)
+    try {
+      await adminService.reviewAppeal(dispute._id, outcome, comment.trim())
+      fetchDispute()
+    } catch (error) {
+      console.error('Appeal review error:', error)
+      alert(apiError(error, 'Ошибка при рассмотрении апелляции'))
     } finally {
       setResolving(false)
     }
@@ -71,7 +211,7 @@ export function AdminDisputeDetailsPage() {
       fetchDispute()
     } catch (error) {
       console.error('Cancel error:', error)
-      alert('Ошибка при отмене спора')
+      alert(apiError(error, 'Ошибка при отмене спора'))
     } finally {
       setCancelling(false)
     }
@@ -97,6 +237,11 @@ export function AdminDisputeDetailsPage() {
   }
 
   const deal = typeof dispute.dealId === 'object' ? dispute.dealId as Deal : null
+  const assignee = getAssignee(dispute)
+  const sla = getSlaDeadline(dispute)
+  const appeal = dispute.appeal?.status ? dispute.appeal : null
+  const appealReviewer = getAppealReviewer(dispute)
+  const appealWindowOpen = isAppealWindowOpen(dispute)
 
   // Helper to determine file type from URL
   const getFileType = (url: string): 'image' | 'video' | 'audio' | 'document' => {
@@ -187,8 +332,19 @@ export function AdminDisputeDetailsPage() {
             <p className="text-muted">Создан {formatDate(dispute.createdAt)}</p>
           </div>
         </div>
-        {(dispute.status === 'open' || dispute.status === 'pending' || dispute.status === 'in_review') && (
+        {(dispute.status === 'open' || dispute.status === 'pending' || dispute.status === 'in_review') &&
+          canResolveDispute(admin, dispute) && (
           <div className="flex gap-2">
+            {dispute.respondentSilent && (
+              <Button
+                onClick={handleDefaultDecision}
+                variant="secondary"
+                disabled={resolving}
+              >
+                <Gavel size={18} className="mr-2" />
+                По умолчанию
+              </Button>
+            )}
             <Button
               onClick={() => handleResolve('buyer')}
               variant="success"
@@ -205,6 +361,14 @@ export function AdminDisputeDetailsPage() {
               <CheckCircle size={18} className="mr-2" />
               Продавцу
             </Button>
+            <Button
+              onClick={handleSplit}
+              variant="secondary"
+              disabled={resolving}
+            >
+              <Split size={18} className="mr-2" />
+              Разделить
+            </Button>
             <Button
               onClick={() => setCancelModalOpen(true)}
               variant="destructive"
@@ -246,10 +410,25 @@ export function AdminDisputeDetailsPage() {
                 <div>
                   <dt className="text-muted text-sm">Решение</dt>
                   <dd className="text-white">
-                    В пользу{' '}
-                    <Badge variant={dispute.decision === 'refund_buyer' ? 'success' : 'primary'}>
-                      {dispute.decision === 'refund_buyer' ? 'покупателя' : 'продавца'}
-                    </Badge>
+                    {dispute.decision === 'split' ? (
+                      <>
+                        Раздел: покупателю{' '}
+                        <Badge variant="success">
+                          {dispute.split?.buyerPercent}% · {formatCurrency(dispute.split?.buyerAmount || 0, deal?.asset)}
+                        </Badge>
+                        , продавцу{' '}
+                        <Badge variant="primary">
+                          {formatCurrency(dispute.split?.sellerAmount || 0, deal?.asset)}
+                        </Badge>
+                      </>
+                    ) : (
+                      <>
+                        В пользу{' '}
+                        <Badge variant={dispute.decision === 'refund_buyer' ? 'success' : 'primary'}>
+                          {dispute.decision === 'refund_buyer' ? 'покупателя' : 'продавца'}
+                        </Badge>
+                      </>
+                    )}
                   </dd>
                 </div>
                 {dispute.resolvedAt && (
@@ -263,6 +442,154 @@ export function AdminDisputeDetailsPage() {
           </dl>
         </Card>
 
+        {/* Assignment */}
+        <Card className="p-6">
+          <h2 className="text-lg font-semibold text-white mb-4 flex items-center gap-2">
+            <UserCheck size={20} />
+            Арбитраж
+          </h2>
+          <dl className="space-y-4">
+            <div>
+              <dt className="text-muted text-sm">Арбитр</dt>
+              <dd className="text-white">
+                {assignee ? `${assignee.name} (@${assignee.username})` : 'Не назначен'}
+              </dd>
+            </div>
+            {dispute.assignedAt && (
+              <div>
+                <dt className="text-muted text-sm">Назначен</dt>
+                <dd className="text-white">
+                  {formatDate(dispute.assignedAt)}
+                  {dispute.assignedBy && (
+                    <span className="text-muted">
+                      {' '}· {dispute.assignedBy === 'auto' ? 'автоматически' : `@${dispute.assignedBy}`}
+                    </span>
+                  )}
+                </dd>
+              </div>
+            )}
+            {dispute.responseDueAt && (
+              <div>
+                <dt className="text-muted text-sm">Ответ второй стороны</dt>
+                <dd className={dispute.respondentSilent ? 'text-red-400' : 'text-white'}>
+                  {dispute.respondedAt
+                    ? `получен ${formatDate(dispute.respondedAt)}`
+                    : `до ${formatDate(dispute.responseDueAt)}${dispute.respondentSilent ? ' · не получен' : ''}`}
+                </dd>
+              </div>
+            )}
+            {dispute.decidedByDefault && (
+              <div>
+                <dt className="text-muted text-sm">Решение</dt>
+                <dd className="text-white">По умолчанию — ответчик не ответил в срок</dd>
+              </div>
+            )}
+            {sla && (
+              <div>
+                <dt className="text-muted text-sm">SLA: {sla.label.toLowerCase()}</dt>
+                <dd className={sla.overdue ? 'text-red-400' : 'text-white'}>
+                  до {formatDate(sla.dueAt)}{sla.overdue && ' · просрочено'}
+                </dd>
+              </div>
+            )}
+          </dl>
+          {dispute.status !== 'resolved' && (
+            <div className="flex flex-wrap gap-2 mt-4">
+              {canTakeDispute(admin, dispute) && (
+                <Button onClick={handleTake} disabled={assigning}>
+                  <UserCheck size={18} className="mr-2" />
+                  Взять в работу
+                </Button>
+              )}
+              {isSenior && arbiters.length > 0 && (
+                <select
+                  value=""
+                  onChange={(e) => handleAssign(e.target.value)}
+                  disabled={assigning}
+                  className="px-3 py-2 bg-dark-lighter border border-border rounded-lg text-sm text-white focus:outline-none focus:border-primary"
+                >
+                  <option value="">{assignee ? 'Переназначить…' : 'Назначить арбитра…'}</option>
+                  {arbiters.map((arbiter) => (
+                    <option key={arbiter._id} value={arbiter._id}>
+                      {arbiter.name} (@{arbiter.username})
+                    </option>
+                  ))}
+                </select>
+              )}
+            </div>
+          )}
+        </Card>
+
+        {/* Appeal */}
+        {dispute.appealDueAt && (
+          <Card className="p-6">
+            <h2 className="text-lg font-semibold text-white mb-4 flex items-center gap-2">
+              <RotateCcw size={20} />
+              Апелляция
+            </h2>
+            <dl className="space-y-4">
+              {!appeal ? (
+                <div>
+                  <dt className="text-muted text-sm">Окно апелляции</dt>
+                  <dd className="text-white">
+                    до {formatDate(dispute.appealDueAt)}
+                    {!appealWindowOpen && <span className="text-muted"> · закрыто, апелляции не было</span>}
+                  </dd>
+                </div>
+              ) : (
+                <>
+                  <div>
+                    <dt className="text-muted text-sm">Статус</dt>
+                    <dd>
+                      <Badge variant={appeal.status === 'pending' ? 'warning' : appeal.status === 'reversed' ? 'destructive' : 'success'}>
+                        {appealStatusLabels[appeal.status!]}
+                      </Badge>
+                    </dd>
+                  </div>
+                  <div>
+                    <dt className="text-muted text-sm">Подана {appeal.filedAt && formatDate(appeal.filedAt)}</dt>
+                    <dd className="text-gray-300 whitespace-pre-wrap">{appeal.reason}</dd>
+                  </div>
+                  <div>
+                    <dt className="text-muted text-sm">Рассматривает</dt>
+                    <dd className="text-white">
+                      {appealReviewer ? `${appealReviewer.name} (@${appealReviewer.username})` : 'Администратор'}
+                    </dd>
+                  </div>
+                  {appeal.reviewedAt && (
+                    <div>
+                      <dt className="text-muted text-sm">
+                        Рассмотрена {formatDate(appeal.reviewedAt)}{appeal.reviewedBy && ` · @${appeal.reviewedBy}`}
+                      </dt>
+                      {appeal.comment && <dd className="text-gray-300 whitespace-pre-wrap">{appeal.comment}</dd>}
+                    </div>
+                  )}
+                </>
+              )}
+              <div>
+                <dt className="text-muted text-sm">Выплата победителю</dt>
+                <dd className="text-white">
+                  {dispute.payoutRequestedAt
+                    ? `ключ запрошен ${formatDate(dispute.payoutRequestedAt)}`
+                    : 'ожидает окончания окна апелляции или решения по ней'}
+                </dd>
+              </div>
+            </dl>
+            {canReviewAppeal(admin, dispute) && (
+              <div className="flex flex-wrap gap-2 mt-4">
+                <Button variant="success" onClick={() => handleAppealReview('confirm')} disabled={resolving}>
+                  <CheckCircle size={18} className="mr-2" />
+                  Оставить в силе
+                </Button>
+                <Button variant="destructive" onClick={() => handleAppealReview('reverse')} disabled={resolving}>
+                  <XCircle size={18} className="mr-2" />
+                  Отменить решение
+                </Button>
+              </div>
+            )}
+          </Card>
+        )}
+
         {/* Deal Info */}
         {deal && (
           <Card className="p-6">
@@ -349,6 +676,49 @@ export function AdminDisputeDetailsPage() {
         )}
       </div>
 
+      {/* Timeline */}
+      {dispute.timeline && dispute.timeline.length > 0 && (
+        <Card className="p-6">
+          <h2 className="text-lg font-semibold text-white mb-4 flex items-center gap-2">
+            <History size={20} />
+            Ход спора ({dispute.timeline.length})
+          </h2>
+          <ol className="space-y-6 border-l border-border pl-6">
+            {dispute.timeline.map((entry, idx) => (
+              <li key={idx} className="relative">
+                <span className="absolute -left-[29px] top-1.5 w-2.5 h-2.5 rounded-full bg-primary" />
+                <div className="flex flex-wrap items-center gap-2 mb-1">
+                  <Badge variant={entry.role === 'arbiter' ? 'primary' : entry.role === 'buyer' ? 'success' : 'default'}>
+                    {timelineRoleLabels[entry.role]}
+                  </Badge>
+                  <span className="text-white text-sm font-medium">{timelineTypeLabels[entry.type]}</span>
+                  <span className="text-muted text-xs">{formatDate(entry.at)}</span>
+                </div>
+                {entry.text && (
+                  <p className="text-gray-300 whitespace-pre-wrap">{entry.text}</p>
+                )}
+                {entry.txHash && (
+                  <a
+                    href={explorerTxUrl(entry.txHash, deal?.network)}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-primary hover:underline font-mono text-sm break-all inline-flex items-center gap-1"
+                  >
+                    {entry.txHash}
+                    <ExternalLink size={12} />
+                  </a>
+                )}
+                {entry.media.length > 0 && (
+                  <div className="grid grid-cols-2 md:grid-cols-6 gap-2 mt-2">
+                    {entry.media.map((url, mediaIdx) => renderMediaItem(url, mediaIdx))}
+                  </div>
+                )}
+              </li>
+            ))}
+          </ol>
+        </Card>
+      )}
+
       {/* Cancel Dispute Modal */}
       <DeadlineSelectModal
         isOpen={cancelModalOpen}
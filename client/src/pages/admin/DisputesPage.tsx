@@ -1,13 +1,21 @@
 import { useState, useEffect } from 'react'
 import { useSearchParams, Link } from 'react-router-dom'
 import { adminService } from '@/services/admin'
-import type { Dispute, Deal } from '@/types'
+import { useAuthStore } from '@/stores/authStore'
+import type { Dispute, Deal, Arbiter } from '@/types'
 import { Card } from '@/components/ui'
 import { Badge } from '@/components/ui/badge'
 import { Pagination } from '@/components/ui/pagination'
 import { DeadlineSelectModal } from '@/components/ui/DeadlineSelectModal'
 import { formatDateShort, truncate } from '@/utils/format'
-import { Eye, Filter, CheckCircle, XCircle } from 'lucide-react'
+import {
+  getAssignee,
+  getSlaDeadline,
+  canResolveDispute,
+  canTakeDispute,
+  isSeniorAccount,
+} from '@/utils/arbitration'
+import { Eye, Filter, CheckCircle, XCircle, UserCheck } from 'lucide-react'
 
 const statusFilters = [
   { value: '', label: 'Все' },
@@ -16,12 +24,29 @@ const statusFilters = [
   { value: 'resolved', label: 'Решённые' },
 ]
 
+type DisputeQueue = 'mine' | 'unassigned' | 'appeals' | 'all'
+
+const queueFilters: { value: DisputeQueue; label: string; seniorOnly?: boolean }[] = [
+  { value: 'mine', label: 'Мои' },
+  { value: 'unassigned', label: 'Не назначены' },
+  { value: 'appeals', label: 'Апелляции' },
+  { value: 'all', label: 'Все', seniorOnly: true },
+]
+
+function apiError(err: unknown, fallback: string): string {
+  return (err as { response?: { data?: { error?: string } } })?.response?.data?.error || fallback
+}
+
 export function AdminDisputesPage() {
   const [searchParams, setSearchParams] = useSearchParams()
   const [disputes, setDisputes] = useState<Dispute[]>([])
   const [total, setTotal] = useState(0)
   const [totalPages, setTotalPages] = useState(1)
   const [loading, setLoading] = useState(true)
+  const [arbiters, setArbiters] = useState<Arbiter[]>([])
+  const { admin } = useAuthStore()
+  const isSenior = isSeniorAccount(admin)
+  const isArbiter = !!admin?.role && admin.role !== 'admin'
 
   // Modal state
   const [cancelModalOpen, setCancelModalOpen] = useState(false)
@@ -30,6 +55,9 @@ export function AdminDisputesPage() {
 
   const page = parseInt(searchParams.get('page') || '1')
   const status = searchParams.get('status') || ''
+  // Admin and senior arbiters start with the whole list, arbiters with their own queue
+  const queue = (searchParams.get('queue') || (isSenior ? 'all' : 'mine')) as DisputeQueue
+  const arbiterId = searchParams.get('arbiterId') || ''
 
   const fetchDisputes = () => {
     setLoading(true)
@@ -38,6 +66,8 @@ export function AdminDisputesPage() {
         page,
         limit: 20,
         status: status || undefined,
+        queue,
+        arbiterId: queue === 'all' && arbiterId ? arbiterId : undefined,
       })
       .then((data) => {
         setDisputes(data.disputes)
@@ -50,19 +80,29 @@ export function AdminDisputesPage() {
 
   useEffect(() => {
     fetchDisputes()
-  }, [page, status])
+  }, [page, status, queue, arbiterId])
+
+  useEffect(() => {
+    if (!isSenior) return
+    adminService
+      .getArbiters()
+      .then((data) => setArbiters(data.arbiters))
+      .catch(console.error)
+  }, [isSenior])
 
-  const handleStatusFilter = (newStatus: string) => {
+  const setFilter = (key: string, value: string) => {
     const params = new URLSearchParams(searchParams)
-    if (newStatus) {
-      params.set('status', newStatus)
+    if (value) {
+      params.set(key, value)
     } else {
-      params.delete('status')
+      params.delete(key)
     }
     params.set('page', '1')
     setSearchParams(params)
   }
 
+  const handleStatusFilter = (newStatus: string) => setFilter('status', newStatus)
+
   const handlePageChange = (newPage: number) => {
     const params = new URLSearchParams(searchParams)
     params.set('page', String(newPage))
@@ -77,7 +117,17 @@ export function AdminDisputesPage() {
       fetchDisputes()
     } catch (error) {
       console.error('Resolve error:', error)
-      alert('Ошибка при решении спора')
+      alert(apiError(error, 'Ошибка при решении спора'))
+    }
+  }
+
+  const handleTake = async (disputeId: string) => {
+    try {
+      await adminService.takeDispute(disputeId)
+      fetchDisputes()
+    } catch (error) {
+      console.error('Take error:', error)
+      alert(apiError(error, 'Не удалось взять спор в работу'))
     }
   }
 
@@ -96,7 +146,7 @@ export function AdminDisputesPage() {
       fetchDisputes()
     } catch (error) {
       console.error('Cancel error:', error)
-      alert('Ошибка при отмене спора')
+      alert(apiError(error, 'Ошибка при отмене спора'))
     } finally {
       setCancelling(false)
     }
@@ -113,7 +163,44 @@ export function AdminDisputesPage() {
       </div>
 
       {/* Filters */}
-      <Card className="p-4">
+      <Card className="p-4 space-y-3">
+        {(isArbiter || arbiters.length > 0) && (
+          <div className="flex flex-wrap items-center gap-2">
+            <UserCheck size={18} className="text-muted" />
+            <div className="flex gap-2">
+              {queueFilters
+                .filter((filter) => isSenior || !filter.seniorOnly)
+                .filter((filter) => isArbiter || filter.value !== 'mine')
+                .map((filter) => (
+                  <button
+                    key={filter.value}
+                    onClick={() => setFilter('queue', filter.value)}
+                    className={`px-3 py-1.5 text-sm rounded-lg transition-colors ${
+                      queue === filter.value
+                        ? 'bg-primary text-white'
+                        : 'bg-dark-lighter text-gray-300 hover:bg-dark-light'
+                    }`}
+                  >
+                    {filter.label}
+                  </button>
+                ))}
+            </div>
+            {isSenior && queue === 'all' && arbiters.length > 0 && (
+              <select
+                value={arbiterId}
+                onChange={(e) => setFilter('arbiterId', e.target.value)}
+                className="px-3 py-1.5 bg-dark-lighter border border-border rounded-lg text-sm text-white focus:outline-none focus:border-primary"
+              >
+                <option value="">Все арбитры</option>
+                {arbiters.map((arbiter) => (
+                  <option key={arbiter._id} value={arbiter._id}>
+                    {arbiter.name} (@{arbiter.username})
+                  </option>
+                ))}
+              </select>
+            )}
+          </div>
+        )}
         <div className="flex items-center gap-2">
           <Filter size={18} className="text-muted" />
           <div className="flex gap-2">
@@ -152,6 +239,8 @@ export function AdminDisputesPage() {
                   <th className="text-left p-4 text-sm font-medium text-muted">Причина</th>
                   <th className="text-left p-4 text-sm font-medium text-muted">Доказательства</th>
                   <th className="text-left p-4 text-sm font-medium text-muted">Статус</th>
+                  <th className="text-left p-4 text-sm font-medium text-muted">Арбитр</th>
+                  <th className="text-left p-4 text-sm font-medium text-muted">SLA</th>
                   <th className="text-left p-4 text-sm font-medium text-muted">Дата</th>
                   <th className="text-right p-4 text-sm font-medium text-muted">Действия</th>
                 </tr>
@@ -166,7 +255,11 @@ export function AdminDisputesPage() {
                   const isOpen = dispute.status === 'open' || dispute.status === 'in_review' || dispute.status === 'pending'
                   const winner = dispute.decision === 'refund_buyer' ? 'buyer'
                     : dispute.decision === 'release_seller' ? 'seller'
+                    : dispute.decision === 'split' ? 'split'
                     : dispute.winner
+                  const assignee = getAssignee(dispute)
+                  const sla = getSlaDeadline(dispute)
+                  const canResolve = canResolveDispute(admin, dispute)
 
                   return (
                     <tr key={dispute._id} className="border-b border-border hover:bg-dark-lighter/50">
@@ -202,9 +295,28 @@ export function AdminDisputesPage() {
                             {dispute.status === 'in_review' ? 'На рассмотрении' : 'Открыт'}
                           </Badge>
                         ) : (
-                          <Badge variant="success">
-                            {winner === 'buyer' ? 'Покупатель' : 'Продавец'}
-                          </Badge>
+                          <div className="flex flex-wrap gap-1">
+                            <Badge variant="success">
+                              {winner === 'buyer' ? 'Покупатель' : winner === 'split' ? 'Раздел' : 'Продавец'}
+                            </Badge>
+                            {dispute.appeal?.status === 'pending' && <Badge variant="warning">Апелляция</Badge>}
+                          </div>
+                        )}
+                      </td>
+                      <td className="p-4 text-sm">
+                        {assignee ? (
+                          <span className="text-white">{assignee.name}</span>
+                        ) : (
+                          <span className="text-muted">Не назначен</span>
+                        )}
+                      </td>
+                      <td className="p-4 text-sm">
+                        {sla ? (
+                          <span className={sla.overdue ? 'text-red-400' : 'text-muted'} title={sla.label}>
+                            {formatDateShort(sla.dueAt)}
+                          </span>
+                        ) : (
+                          <span className="text-muted">—</span>
                         )}
                       </td>
                       <td className="p-4 text-sm text-muted">
@@ -219,7 +331,16 @@ export function AdminDisputesPage() {
                           >
                             <Eye size={18} />
                           </Link>
-                          {isOpen && (
+                          {canTakeDispute(admin, dispute) && (
+                            <button
+                              onClick={() => handleTake(dispute._id)}
+                              className="p-2 text-primary hover:text-primary/80 hover:bg-dark-lighter rounded-lg transition-colors"
+                              title="Взять в работу"
+                            >
+                              <UserCheck size={18} />
+                            </button>
+                          )}
+                          {isOpen && canResolve && (
                             <>
                               <button
                                 onClick={() => handleResolve(dispute._id, 'buyer')}
@@ -0,0 +1,239 @@
+import { useState, useEffect } from 'react'
+import { adminService } from '@/services/admin'
+import type { EncryptionReport } from '@/types'
+import { Card, Button } from '@/components/ui'
+import { Badge } from '@/components/ui/badge'
+import { formatDate } from '@/utils/format'
+import { KeyRound, RefreshCw, Play, Square, RotateCcw } from 'lucide-react'
+
+const POLL_INTERVAL = 3000
+
+const collectionLabels: Record<string, string> = {
+  deals: 'Сделки',
+  users: 'Пользователи',
+  multisigwallets: 'Escrow-кошельки',
+  apikeys: 'API-ключи',
+  partnerwebhooks: 'Вебхуки партнёров',
+}
+
+const statusLabels: Record<string, string> = {
+  running: 'Выполняется',
+  stopped: 'Остановлено',
+  completed: 'Завершено',
+}
+
+function apiError(err: unknown, fallback: string): string {
+  return (err as { response?: { data?: { error?: string } } })?.response?.data?.error || fallback
+}
+
+export function AdminEncryptionPage() {
+  const [report, setReport] = useState<EncryptionReport | null>(null)
+  const [loading, setLoading] = useState(true)
+  const [reloadKey, setReloadKey] = useState(0)
+  const [submitting, setSubmitting] = useState(false)
+
+  useEffect(() => {
+    adminService
+      .getEncryptionReport()
+      .then(setReport)
+      .catch(console.error)
+      .finally(() => setLoading(false))
+  }, [reloadKey])
+
+  // Follow the background job until it finishes
+  useEffect(() => {
+    if (!report?.progress.isRunning) return
+    const timer = setTimeout(() => setReloadKey((key) => key + 1), POLL_INTERVAL)
+    return () => clearTimeout(timer)
+  }, [report])
+
+  const reload = () => {
+    setLoading(true)
+    setReloadKey((key) => key + 1)
+  }
+
+  const runAction = async (action: () => Promise<unknown>) => {
+    setSubmitting(true)
+    try {
+      await action()
+      reload()
+    } catch (err) {
+      alert(apiError(err, 'Ошибка'))
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const handleRestart = () => {
+    if (!confirm('Начать перешифрование заново с первой записи?')) return
+    runAction(() => adminService.startReencryption(true))
+  }
+
+  // Key ids in use, active key first
+  const keyIds = report
+    ? [...new Set([
+      ...(report.activeKeyId ? [report.activeKeyId] : []),
+      ...report.collections.flatMap((collection) => Object.keys(collection.keys)),
+    ])]
+    : []
+  const progress = report?.progress
+  const staleRecords = report
+    ? report.collections.reduce((sum, collection) => sum + Object.entries(collection.keys)
+      .filter(([keyId]) => keyId !== report.activeKeyId)
+      .reduce((acc, [, count]) => acc + count, 0), 0)
+    : 0
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-white">Ключи шифрования</h1>
+          <p className="text-muted">Версии ключей в базе и перешифрование после ротации</p>
+        </div>
+        <Button variant="secondary" onClick={reload} disabled={loading}>
+          <RefreshCw size={16} className="mr-2" />
+          Обновить
+        </Button>
+      </div>
+
+      {loading && !report ? (
+        <div className="flex items-center justify-center h-64">
+          <div className="animate-spin w-8 h-8 border-2 border-primary border-t-transparent rounded-full" />
+        </div>
+      ) : !report ? (
+        <Card className="p-12 text-center text-muted">
+          <KeyRound size={48} className="mx-auto mb-4" />
+          Не удалось загрузить отчёт
+        </Card>
+      ) : (
+        <>
+          {/* Keys */}
+          <Card className="p-6">
+            <div className="flex flex-wrap items-center gap-3">
+              <span className="text-muted">Активный ключ:</span>
+              {report.activeKeyId ? (
+                <Badge variant="success">{report.activeKeyId}</Badge>
+              ) : (
+                <Badge variant="destructive">шифрование отключено</Badge>
+              )}
+              <span className="text-muted ml-4">Загружены:</span>
+              {report.loadedKeys.map((keyId) => (
+                <Badge key={keyId} variant="outline">{keyId}</Badge>
+              ))}
+            </div>
+            {keyIds.some((keyId) => keyId !== 'v1' && !report.loadedKeys.includes(keyId)) && (
+              <p className="text-red-400 text-sm mt-4">
+                В базе есть данные на ключах, которые не загружены — они не расшифровываются
+              </p>
+            )}
+          </Card>
+
+          {/* Records per key version */}
+          <Card className="overflow-hidden">
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b border-border">
+                    <th className="text-left p-4 text-sm font-medium text-muted">Коллекция</th>
+                    <th className="text-right p-4 text-sm font-medium text-muted">Записей</th>
+                    {keyIds.map((keyId) => (
+                      <th key={keyId} className="text-right p-4 text-sm font-medium text-muted">
+                        {keyId === 'v1' ? 'v1 (без id)' : `Ключ ${keyId}`}
+                      </th>
+                    ))}
+                    <th className="text-right p-4 text-sm font-medium text-muted">Не зашифровано</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.collections.map((collection) => (
+                    <tr key={collection.name} className="border-b border-border last:border-0">
+                      <td className="p-4 text-white">{collectionLabels[collection.name] || collection.name}</td>
+                      <td className="p-4 text-right text-gray-300">{collection.total}</td>
+                      {keyIds.map((keyId) => (
+                        <td
+                          key={keyId}
+                          className={`p-4 text-right ${keyId === report.activeKeyId ? 'text-green-400' : collection.keys[keyId] ? 'text-yellow-400' : 'text-muted'}`}
+                        >
+                          {collection.keys[keyId] || 0}
+                        </td>
+                      ))}
+                      <td className="p-4 text-right text-muted">{collection.plaintext}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </Card>
+
+          {/* Re-encryption job */}
+          <Card className="p-6 space-y-4">
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+              <div>
+                <h2 className="text-lg font-semibold text-white">Перешифрование</h2>
+                <p className="text-sm text-muted">
+                  {staleRecords > 0
+                    ? `Записей на старых ключах: ${staleRecords}`
+                    : 'Все зашифрованные данные на активном ключе'}
+                </p>
+              </div>
+              <div className="flex gap-2">
+                {progress?.isRunning ? (
+                  <Button variant="secondary" onClick={() => runAction(adminService.stopReencryption)} loading={submitting}>
+                    <Square size={16} className="mr-2" />
+                    Остановить
+                  </Button>
+                ) : (
+                  <>
+                    <Button
+                      onClick={() => runAction(() => adminService.startReencryption())}
+                      loading={submitting}
+                      disabled={!report.activeKeyId}
+                    >
+                      <Play size={16} className="mr-2" />
+                      {progress?.status === 'stopped' && progress.keyId === report.activeKeyId ? 'Продолжить' : 'Запустить'}
+                    </Button>
+                    {progress?.status === 'stopped' && (
+                      <Button variant="secondary" onClick={handleRestart} disabled={submitting}>
+                        <RotateCcw size={16} className="mr-2" />
+                        Заново
+                      </Button>
+                    )}
+                  </>
+                )}
+              </div>
+            </div>
+
+            {progress?.status && progress.startedAt && (
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                <div>
+                  <p className="text-muted">Статус</p>
+                  <p className="text-white">
+                    {statusLabels[progress.status] || progress.status}
+                    {progress.keyId && ` (ключ ${progress.keyId})`}
+                  </p>
+                </div>
+                <div>
+                  <p className="text-muted">Проверено / обновлено</p>
+                  <p className="text-white">{progress.processed || 0} / {progress.updated || 0}</p>
+                </div>
+                <div>
+                  <p className="text-muted">Не расшифровано</p>
+                  <p className={progress.failed ? 'text-red-400' : 'text-white'}>{progress.failed || 0}</p>
+                </div>
+                <div>
+                  <p className="text-muted">{progress.completedAt ? 'Завершено' : 'Начато'}</p>
+                  <p className="text-white">
+                    {formatDate(progress.completedAt || progress.startedAt, 'd MMM yyyy, HH:mm')}
+                  </p>
+                </div>
+              </div>
+            )}
+
+            {progress?.error && <p className="text-red-400 text-sm">{progress.error}</p>}
+          </Card>
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,394 @@
+import { useState, useEffect } from 'react'
+import { useSearchParams, Link } from 'react-router-dom'
+import { adminService } from '@/services/admin'
+import type { UserRestriction, RestrictionType, RestrictionReasonCode, RestrictionStatus } from '@/types'
+import { Card, Button, Input } from '@/components/ui'
+import { Badge } from '@/components/ui/badge'
+import { Pagination } from '@/components/ui/pagination'
+import { formatDateShort } from '@/utils/format'
+import { Plus, Filter, ShieldOff, Unlock, X } from 'lucide-react'
+
+interface RestrictionFormData {
+  telegramId: string
+  type: RestrictionType
+  reasonCode: RestrictionReasonCode
+  reason: string
+  durationDays: string
+}
+
+const initialFormData: RestrictionFormData = {
+  telegramId: '',
+  type: 'deal_creation',
+  reasonCode: 'other',
+  reason: '',
+  durationDays: '7',
+}
+
+const typeLabels: Record<RestrictionType, string> = {
+  ban: 'Блокировка',
+  deal_creation: 'Запрет сделок',
+  withdrawal: 'Заморозка вывода',
+}
+
+const typeVariants: Record<RestrictionType, 'destructive' | 'warning' | 'secondary'> = {
+  ban: 'destructive',
+  deal_creation: 'warning',
+  withdrawal: 'secondary',
+}
+
+const reasonLabels: Record<RestrictionReasonCode, string> = {
+  dispute_loss_streak: 'Проигранные споры подряд',
+  fraud: 'Мошенничество',
+  scam: 'Скам',
+  abuse: 'Злоупотребления',
+  spam: 'Спам',
+  multi_account: 'Мультиаккаунт',
+  other: 'Другое',
+}
+
+const statusLabels: Record<RestrictionStatus, { label: string; variant: 'success' | 'default' | 'destructive' }> = {
+  active: { label: 'Действует', variant: 'destructive' },
+  expired: { label: 'Истекло', variant: 'default' },
+  lifted: { label: 'Снято', variant: 'success' },
+}
+
+const statusFilters = [
+  { value: 'active', label: 'Действующие' },
+  { value: 'expired', label: 'Истёкшие' },
+  { value: 'lifted', label: 'Снятые' },
+  { value: 'all', label: 'Все' },
+]
+
+const typeFilters = [
+  { value: 'all', label: 'Все типы' },
+  { value: 'ban', label: typeLabels.ban },
+  { value: 'deal_creation', label: typeLabels.deal_creation },
+  { value: 'withdrawal', label: typeLabels.withdrawal },
+]
+
+function apiError(err: unknown, fallback: string): string {
+  return (err as { response?: { data?: { error?: string } } })?.response?.data?.error || fallback
+}
+
+export function AdminRestrictionsPage() {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const [restrictions, setRestrictions] = useState<UserRestriction[]>([])
+  const [total, setTotal] = useState(0)
+  const [totalPages, setTotalPages] = useState(1)
+  const [loading, setLoading] = useState(true)
+  const [reloadKey, setReloadKey] = useState(0)
+  const [showForm, setShowForm] = useState(false)
+  const [formData, setFormData] = useState<RestrictionFormData>(initialFormData)
+  const [submitting, setSubmitting] = useState(false)
+
+  const page = parseInt(searchParams.get('page') || '1')
+  const status = (searchParams.get('status') || 'active') as RestrictionStatus | 'all'
+  const type = (searchParams.get('type') || 'all') as RestrictionType | 'all'
+  const telegramId = searchParams.get('telegramId') || ''
+
+  useEffect(() => {
+    adminService
+      .getRestrictions({ status, type, telegramId: telegramId || undefined, page })
+      .then((data) => {
+        setRestrictions(data.restrictions)
+        setTotal(data.total)
+        setTotalPages(data.pages)
+      })
+      .catch(console.error)
+      .finally(() => setLoading(false))
+  }, [page, status, type, telegramId, reloadKey])
+
+  const updateParams = (changes: Record<string, string | null>) => {
+    const params = new URLSearchParams(searchParams)
+    for (const [key, value] of Object.entries(changes)) {
+      if (value) {
+        params.set(key, value)
+      } else {
+        params.delete(key)
+      }
+    }
+    setLoading(true)
+    setSearchParams(params)
+  }
+
+  const reload = () => {
+    setLoading(true)
+    setReloadKey((key) => key + 1)
+  }
+
+  const handleOpenForm = () => {
+    setFormData({ ...initialFormData, telegramId })
+    setShowForm(true)
+  }
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+    setSubmitting(true)
+    try {
+      const days = parseFloat(formData.durationDays)
+      await adminService.issueRestriction({
+        telegramId: parseInt(formData.telegramId),
+        type: formData.type,
+        reasonCode: formData.reasonCode,
+        reason: formData.reason,
+        ...(days > 0 && { durationHours: Math.round(days * 24) }),
+      })
+      setShowForm(false)
+      reload()
+    } catch (error) {
+      console.error('Issue restriction error:', error)
+      alert(apiError(error, 'Ошибка выдачи ограничения'))
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const handleLift = async (restriction: UserRestriction) => {
+    const reason = prompt(`Снять ограничение «${typeLabels[restriction.type]}» с ${restriction.telegramId}? Причина:`)
+    if (reason === null) return
+    try {
+      await adminService.liftRestriction(restriction._id, reason)
+      reload()
+    } catch (error) {
+      console.error('Lift restriction error:', error)
+      alert(apiError(error, 'Ошибка снятия ограничения'))
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-white">Ограничения</h1>
+          <p className="text-muted">Всего: {total}</p>
+        </div>
+        <Button onClick={handleOpenForm}>
+          <Plus size={18} className="mr-2" />
+          Выдать ограничение
+        </Button>
+      </div>
+
+      {/* Form Modal */}
+      {showForm && (
+        <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
+          <Card className="w-full max-w-lg p-6">
+            <h2 className="text-xl font-semibold text-white mb-6">Новое ограничение</h2>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-2">
+                  Telegram ID
+                </label>
+                <Input
+                  type="number"
+                  value={formData.telegramId}
+                  onChange={(e) => setFormData({ ...formData, telegramId: e.target.value })}
+                  placeholder="ID пользователя"
+                  required
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Тип
+                  </label>
+                  <select
+                    value={formData.type}
+                    onChange={(e) => setFormData({ ...formData, type: e.target.value as RestrictionType })}
+                    className="w-full px-3 py-2 bg-dark-lighter border border-border rounded-lg text-white focus:outline-none focus:border-primary"
+                  >
+                    {(Object.keys(typeLabels) as RestrictionType[]).map((value) => (
+                      <option key={value} value={value}>{typeLabels[value]}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Срок, дней
+                  </label>
+                  <Input
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={formData.durationDays}
+                    onChange={(e) => setFormData({ ...formData, durationDays: e.target.value })}
+                    placeholder="Пусто — бессрочно"
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-2">
+                  Причина
+                </label>
+                <select
+                  value={formData.reasonCode}
+                  onChange={(e) => setFormData({ ...formData, reasonCode: e.target.value as RestrictionReasonCode })}
+                  className="w-full px-3 py-2 bg-dark-lighter border border-border rounded-lg text-white focus:outline-none focus:border-primary"
+                >
+                  {(Object.keys(reasonLabels) as RestrictionReasonCode[])
+                    .filter((value) => value !== 'dispute_loss_streak')
+                    .map((value) => (
+                      <option key={value} value={value}>{reasonLabels[value]}</option>
+                    ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-2">
+                  Комментарий
+                </label>
+                <Input
+                  type="text"
+                  value={formData.reason}
+                  onChange={(e) => setFormData({ ...formData, reason: e.target.value })}
+                  placeholder="Виден только администраторам"
+                />
+              </div>
+              <div className="flex gap-3 pt-4">
+                <Button type="button" variant="secondary" onClick={() => setShowForm(false)} className="flex-1">
+                  Отмена
+                </Button>
+                <Button type="submit" disabled={submitting} className="flex-1">
+                  {submitting ? 'Сохранение...' : 'Выдать'}
+                </Button>
+              </div>
+            </form>
+          </Card>
+        </div>
+      )}
+
+      {/* Filters */}
+      <Card className="p-4">
+        <div className="flex flex-col md:flex-row md:items-center gap-4">
+          <div className="flex items-center gap-2">
+            <Filter size={18} className="text-muted" />
+            <div className="flex flex-wrap gap-2">
+              {statusFilters.map((filter) => (
+                <button
+                  key={filter.value}
+                  onClick={() => updateParams({ status: filter.value, page: null })}
+                  className={`px-3 py-1.5 text-sm rounded-lg transition-colors ${
+                    status === filter.value
+                      ? 'bg-primary text-white'
+                      : 'bg-dark-lighter text-gray-300 hover:bg-dark-light'
+                  }`}
+                >
+                  {filter.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <select
+            value={type}
+            onChange={(e) => updateParams({ type: e.target.value === 'all' ? null : e.target.value, page: null })}
+            className="px-3 py-1.5 bg-dark-lighter border border-border rounded-lg text-sm text-white focus:outline-none focus:border-primary"
+          >
+            {typeFilters.map((filter) => (
+              <option key={filter.value} value={filter.value}>{filter.label}</option>
+            ))}
+          </select>
+          {telegramId && (
+            <button
+              onClick={() => updateParams({ telegramId: null, page: null })}
+              className="flex items-center gap-1 px-3 py-1.5 text-sm rounded-lg bg-dark-lighter text-gray-300 hover:bg-dark-light"
+            >
+              Пользователь {telegramId}
+              <X size={14} />
+            </button>
+          )}
+        </div>
+      </Card>
+
+      {/* Table */}
+      <Card className="overflow-hidden">
+        {loading ? (
+          <div className="flex items-center justify-center h-64">
+            <div className="animate-spin w-8 h-8 border-2 border-primary border-t-transparent rounded-full" />
+          </div>
+        ) : restrictions.length === 0 ? (
+          <div className="text-center py-12 text-muted">
+            <ShieldOff size={48} className="mx-auto mb-4" />
+            Ограничений не найдено
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b border-border">
+                  <th className="text-left p-4 text-sm font-medium text-muted">Пользователь</th>
+                  <th className="text-left p-4 text-sm font-medium text-muted">Тип</th>
+                  <th className="text-left p-4 text-sm font-medium text-muted">Причина</th>
+                  <th className="text-left p-4 text-sm font-medium text-muted">Выдал</th>
+                  <th className="text-left p-4 text-sm font-medium text-muted">До</th>
+                  <th className="text-left p-4 text-sm font-medium text-muted">Статус</th>
+                  <th className="text-right p-4 text-sm font-medium text-muted">Действия</th>
+                </tr>
+              </thead>
+              <tbody>
+                {restrictions.map((restriction) => (
+                  <tr key={restriction._id} className="border-b border-border hover:bg-dark-lighter/50">
+                    <td className="p-4">
+                      <Link to={`/admin/users/${restriction.telegramId}`} className="text-white hover:text-primary">
+                        {restriction.user?.username ? `@${restriction.user.username}` : restriction.user?.firstName || '—'}
+                      </Link>
+                      <span className="block text-xs font-mono text-muted">{restriction.telegramId}</span>
+                    </td>
+                    <td className="p-4">
+                      <Badge variant={typeVariants[restriction.type]}>{typeLabels[restriction.type]}</Badge>
+                    </td>
+                    <td className="p-4">
+                      <span className="text-white">{reasonLabels[restriction.reasonCode] || restriction.reasonCode}</span>
+                      {restriction.reason && (
+                        <span className="block text-xs text-muted">{restriction.reason}</span>
+                      )}
+                    </td>
+                    <td className="p-4 text-sm text-muted">
+                      {restriction.issuedBy}
+                      <span className="block text-xs">{formatDateShort(restriction.createdAt)}</span>
+                    </td>
+                    <td className="p-4 text-sm text-gray-300">
+                      {restriction.expiresAt ? formatDateShort(restriction.expiresAt) : 'Бессрочно'}
+                    </td>
+                    <td className="p-4">
+                      <Badge variant={statusLabels[restriction.status].variant}>
+                        {statusLabels[restriction.status].label}
+                      </Badge>
+                      {restriction.status === 'lifted' && (
+                        <span className="block text-xs text-muted mt-1">
+                          {restriction.liftedBy}{restriction.liftReason ? `: ${restriction.liftReason}` : ''}
+                        </span>
+                      )}
+                    </td>
+                    <td className="p-4">
+                      <div className="flex items-center justify-end gap-2">
+                        {restriction.status === 'active' && (
+                          <button
+                            onClick={() => handleLift(restriction)}
+                            className="p-2 text-gray-400 hover:text-white hover:bg-dark-lighter rounded-lg transition-colors"
+                            title="Снять ограничение"
+                          >
+                            <Unlock size={18} />
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </Card>
+
+      {/* Pagination */}
+      {totalPages > 1 && (
+        <div className="flex justify-center">
+          <Pagination
+            currentPage={page}
+            totalPages={totalPages}
+            onPageChange={(newPage) => updateParams({ page: String(newPage) })}
+          />
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,270 @@
+import { useState, useEffect } from 'react'
+import { useSearchParams, Link } from 'react-router-dom'
+import { adminService } from '@/services/admin'
+import type { UserReview, ReviewStatus } from '@/types'
+import { Card } from '@/components/ui'
+import { Badge } from '@/components/ui/badge'
+import { Pagination } from '@/components/ui/pagination'
+import { formatDateShort } from '@/utils/format'
+import { Filter, MessageSquare, Check, EyeOff, X } from 'lucide-react'
+
+const statusLabels: Record<ReviewStatus, { label: string; variant: 'warning' | 'success' | 'default' }> = {
+  pending: { label: 'На модерации', variant: 'warning' },
+  approved: { label: 'Опубликован', variant: 'success' },
+  hidden: { label: 'Скрыт', variant: 'default' },
+}
+
+const statusFilters = [
+  { value: 'pending', label: 'На модерации' },
+  { value: 'approved', label: 'Опубликованные' },
+  { value: 'hidden', label: 'Скрытые' },
+  { value: 'all', label: 'Все' },
+]
+
+const roleLabels: Record<UserReview['role'], string> = {
+  buyer: 'покупателю',
+  seller: 'продавцу',
+}
+
+function apiError(err: unknown, fallback: string): string {
+  return (err as { response?: { data?: { error?: string } } })?.response?.data?.error || fallback
+}
+
+function userLabel(user: UserReview['fromUser'], telegramId: number): string {
+  return user?.username ? `@${user.username}` : user?.firstName || String(telegramId)
+}
+
+export function AdminReviewsPage() {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const [reviews, setReviews] = useState<UserReview[]>([])
+  const [total, setTotal] = useState(0)
+  const [totalPages, setTotalPages] = useState(1)
+  const [pending, setPending] = useState({ reviews: 0, replies: 0 })
+  const [loading, setLoading] = useState(true)
+  const [reloadKey, setReloadKey] = useState(0)
+
+  const page = parseInt(searchParams.get('page') || '1')
+  // Replies queue shows reviews of any status with a pending reply
+  const repliesQueue = searchParams.get('replies') === 'pending'
+  const status = (repliesQueue ? 'all' : searchParams.get('status') || 'pending') as ReviewStatus | 'all'
+  const toUserId = searchParams.get('toUserId') || ''
+
+  useEffect(() => {
+    adminService
+      .getReviews({
+        status,
+        replyStatus: repliesQueue ? 'pending' : undefined,
+        toUserId: toUserId || undefined,
+        page,
+      })
+      .then((data) => {
+        setReviews(data.reviews)
+        setTotal(data.total)
+        setTotalPages(data.pages)
+        setPending(data.pending)
+      })
+      .catch(console.error)
+      .finally(() => setLoading(false))
+  }, [page, status, repliesQueue, toUserId, reloadKey])
+
+  const updateParams = (changes: Record<string, string | null>) => {
+    const params = new URLSearchParams(searchParams)
+    for (const [key, value] of Object.entries(changes)) {
+      if (value) {
+        params.set(key, value)
+      } else {
+        params.delete(key)
+      }
+    }
+    setLoading(true)
+    setSearchParams(params)
+  }
+
+  const reload = () => {
+    setLoading(true)
+    setReloadKey((key) => key + 1)
+  }
+
+  const handleModerate = async (review: UserReview, newStatus: ReviewStatus) => {
+    try {
+      await adminService.moderateReview(review._id, newStatus)
+      reload()
+    } catch (error) {
+      console.error('Moderate review error:', error)
+      alert(apiError(error, 'Ошибка модерации отзыва'))
+    }
+  }
+
+  const handleModerateReply = async (review: UserReview, newStatus: ReviewStatus) => {
+    try {
+      await adminService.moderateReviewReply(review._id, newStatus)
+      reload()
+    } catch (error) {
+      console.error('Moderate reply error:', error)
+      alert(apiError(error, 'Ошибка модерации ответа'))
+    }
+  }
+
+  const actionButton = 'p-2 text-gray-400 hover:bg-dark-lighter rounded-lg transition-colors'
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-white">Отзывы</h1>
+        <p className="text-muted">
+          Всего: {total} · на модерации: {pending.reviews} отзывов, {pending.replies} ответов
+        </p>
+      </div>
+
+      {/* Filters */}
+      <Card className="p-4">
+        <div className="flex flex-col md:flex-row md:items-center gap-4">
+          <div className="flex items-center gap-2">
+            <Filter size={18} className="text-muted" />
+            <div className="flex flex-wrap gap-2">
+              {statusFilters.map((filter) => (
+                <button
+                  key={filter.value}
+                  onClick={() => updateParams({ status: filter.value, replies: null, page: null })}
+                  className={`px-3 py-1.5 text-sm rounded-lg transition-colors ${
+                    !repliesQueue && status === filter.value
+                      ? 'bg-primary text-white'
+                      : 'bg-dark-lighter text-gray-300 hover:bg-dark-light'
+                  }`}
+                >
+                  {filter.label}
+                </button>
+              ))}
+              <button
+                onClick={() => updateParams({ replies: 'pending', status: null, page: null })}
+                className={`px-3 py-1.5 text-sm rounded-lg transition-colors ${
+                  repliesQueue
+                    ? 'bg-primary text-white'
+                    : 'bg-dark-lighter text-gray-300 hover:bg-dark-light'
+                }`}
+              >
+                Ответы на модерации
+              </button>
+            </div>
+          </div>
+          {toUserId && (
+            <button
+              onClick={() => updateParams({ toUserId: null, page: null })}
+              className="flex items-center gap-1 px-3 py-1.5 text-sm rounded-lg bg-dark-lighter text-gray-300 hover:bg-dark-light"
+            >
+              Пользователь {toUserId}
+              <X size={14} />
+            </button>
+          )}
+        </div>
+      </Card>
+
+      {/* List */}
+      <Card className="overflow-hidden">
+        {loading ? (
+          <div className="flex items-center justify-center h-64">
+            <div className="animate-spin w-8 h-8 border-2 border-primary border-t-transparent rounded-full" />
+          </div>
+        ) : reviews.length === 0 ? (
+          <div className="text-center py-12 text-muted">
+            <MessageSquare size={48} className="mx-auto mb-4" />
+            Отзывов не найдено
+          </div>
+        ) : (
+          <div className="divide-y divide-border">
+            {reviews.map((review) => (
+              <div key={review._id} className="p-4 space-y-3">
+                <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-2">
+                  <div className="text-sm">
+                    <Link to={`/admin/users/${review.fromUserId}`} className="text-white hover:text-primary">
+                      {userLabel(review.fromUser, review.fromUserId)}
+                    </Link>
+                    <span className="text-muted"> → {roleLabels[review.role]} </span>
+                    <Link to={`/admin/users/${review.toUserId}`} className="text-white hover:text-primary">
+                      {userLabel(review.toUser, review.toUserId)}
+                    </Link>
+                    <span className="block text-xs text-muted">
+                      {'⭐'.repeat(review.rating)} · сделка{' '}
+                      <Link to={`/admin/deals/${review.dealId}`} className="font-mono hover:text-primary">
+                        {review.dealId}
+                      </Link>
+                      {' '}· {formatDateShort(review.createdAt)}
+                    </span>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <Badge variant={statusLabels[review.status].variant}>{statusLabels[review.status].label}</Badge>
+                    {review.status !== 'approved' && (
+                      <button
+                        onClick={() => handleModerate(review, 'approved')}
+                        className={`${actionButton} hover:text-green-400`}
+                        title="Опубликовать"
+                      >
+                        <Check size={18} />
+                      </button>
+                    )}
+                    {review.status !== 'hidden' && (
+                      <button
+                        onClick={() => handleModerate(review, 'hidden')}
+                        className={`${actionButton} hover:text-red-400`}
+                        title="Скрыть"
+                      >
+                        <EyeOff size={18} />
+                      </button>
+                    )}
+                  </div>
+                </div>
+                <p className="text-gray-300 whitespace-pre-wrap break-words">{review.text}</p>
+
+                {review.reply?.text && review.reply.status && (
+                  <div className="ml-4 pl-4 border-l-2 border-border space-y-2">
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="text-xs text-muted">
+                        Ответ · {review.reply.createdAt && formatDateShort(review.reply.createdAt)}
+                      </span>
+                      <div className="flex items-center gap-2">
+                        <Badge variant={statusLabels[review.reply.status].variant}>
+                          {statusLabels[review.reply.status].label}
+                        </Badge>
+                        {review.reply.status !== 'approved' && (
+                          <button
+                            onClick={() => handleModerateReply(review, 'approved')}
+                            className={`${actionButton} hover:text-green-400`}
+                            title="Опубликовать ответ"
+                          >
+                            <Check size={16} />
+                          </button>
+                        )}
+                        {review.reply.status !== 'hidden' && (
+                          <button
+                            onClick={() => handleModerateReply(review, 'hidden')}
+                            className={`${actionButton} hover:text-red-400`}
+                            title="Скрыть ответ"
+                          >
+                            <EyeOff size={16} />
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                    <p className="text-gray-300 text-sm whitespace-pre-wrap break-words">{review.reply.text}</p>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </Card>
+
+      {/* Pagination */}
+      {totalPages > 1 && (
+        <div className="flex justify-center">
+          <Pagination
+            currentPage={page}
+            totalPages={totalPages}
+            onPageChange={(newPage) => updateParams({ page: String(newPage) })}
+          />
+        </div>
+      )}
+    </div>
+  )
+}
@@ -5,7 +5,7 @@ import type { Transaction } from '@/types'
 import { Card, Button, Input } from '@/components/ui'
 import { Badge } from '@/components/ui/badge'
 import { Pagination } from '@/components/ui/pagination'
-import { formatCurrency, formatDateShort } from '@/utils/format'
+import { formatCurrency, formatDateShort, explorerTxUrl } from '@/utils/format'
 import { Search, ExternalLink, Filter } from 'lucide-react'
 
 const typeLabels: Record<string, string> = {
@@ -25,6 +25,7 @@ const typeVariants: Record<string, 'default' | 'success' | 'warning' | 'destruct
 const statusVariants: Record<string, 'default' | 'success' | 'warning' | 'destructive'> = {
   pending: 'warning',
   confirmed: 'success',
+  finalized: 'success',
   failed: 'destructive',
 }
 
@@ -200,7 +201,7 @@ export function AdminTransactionsPage() {
                             {truncateHash(tx.txHash)}
                           </span>
                           <a
-                            href={`https://tronscan.org/#/transaction/${tx.txHash}`}
+                            href={explorerTxUrl(tx.txHash, tx.network)}
                             target="_blank"
                             rel="noopener noreferrer"
                             className="text-primary hover:text-primary-light"
@@ -227,6 +228,11 @@ export function AdminTransactionsPage() {
                       <Badge variant={statusVariants[tx.status] || 'default'}>
                         {tx.status}
                       </Badge>
+                      {tx.status === 'pending' && tx.requiredConfirmations != null && (
+                        <span className="text-xs text-muted ml-1">
+                          {tx.confirmations || 0}/{tx.requiredConfirmations}
+                        </span>
+                      )}
                       {tx.block !== undefined && (
                         <span className="text-xs text-muted ml-1">
                           (блок {tx.block})
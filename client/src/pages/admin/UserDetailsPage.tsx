@@ -1,7 +1,7 @@
 import { useState, useEffect } from 'react'
 import { useParams, Link } from 'react-router-dom'
 import { adminService } from '@/services/admin'
-import type { User, Deal } from '@/types'
+import type { User, Deal, RestrictionType, TrustTier, TrustLimits } from '@/types'
 import { Card, Button } from '@/components/ui'
 import { Badge } from '@/components/ui/badge'
 import { formatDate, formatCurrency } from '@/utils/format'
@@ -9,6 +9,7 @@ import {
   ArrowLeft,
   Download,
   Ban,
+  ShieldOff,
   CheckCircle,
   User as UserIcon,
   FileText,
@@ -17,8 +18,28 @@ import {
   Activity,
   Bot,
   Gift,
+  ShieldCheck,
 } from 'lucide-react'
 
+const restrictionLabels: Record<RestrictionType, string> = {
+  ban: 'Блокировка',
+  deal_creation: 'Запрет сделок',
+  withdrawal: 'Заморозка вывода',
+}
+
+const trustTierLabels: Record<TrustTier, string> = {
+  new: 'Новичок',
+  verified: 'Проверенный',
+  trusted: 'Надёжный',
+  pro: 'Профи',
+}
+
+const trustLimitLabels: Record<keyof TrustLimits, string> = {
+  maxActiveDeals: 'Активных сделок',
+  maxDealAmount: 'Макс. сумма сделки, USDT',
+  maxOpenInvites: 'Открытых приглашений',
+}
+
 export function AdminUserDetailsPage() {
   const { telegramId } = useParams<{ telegramId: string }>()
   const [user, setUser] = useState<User | null>(null)
@@ -51,8 +72,9 @@ export function AdminUserDetailsPage() {
     if (!user) return
     const reason = prompt('Причина блокировки:')
     if (!reason) return
+    const days = parseFloat(prompt('Срок блокировки в днях (пусто — бессрочно):') || '')
     try {
-      await adminService.banUser(user.telegramId, reason)
+      await adminService.banUser(user.telegramId, reason, days > 0 ? { durationHours: Math.round(days * 24) } : {})
       fetchUser()
     } catch (error) {
       console.error('Ban error:', error)
@@ -70,6 +92,48 @@ export function AdminUserDetailsPage() {
     }
   }
 
+  // Empty answers reset the field to the computed tier
+  const handleTrustOverride = async () => {
+    if (!user?.trust) return
+    const tierInput = prompt(
+      `Закрепить уровень (${Object.keys(trustTierLabels).join(', ')}; пусто — по истории):`,
+      user.trust.override?.tier || ''
+    )
+    if (tierInput === null) return
+    const tier = tierInput.trim() || null
+    if (tier && !(tier in trustTierLabels)) {
+      alert('Неизвестный уровень')
+      return
+    }
+
+    const limits: Partial<Record<keyof TrustLimits, number | null>> = {}
+    for (const field of Object.keys(trustLimitLabels) as (keyof TrustLimits)[]) {
+      const value = prompt(`${trustLimitLabels[field]} (пусто — по уровню):`, String(user.trust.override?.[field] ?? ''))
+      if (value === null) return
+      limits[field] = value.trim() ? parseFloat(value) : null
+    }
+    const note = prompt('Комментарий:', user.trust.override?.note || '') || ''
+
+    try {
+      await adminService.setUserTrust(user.telegramId, { tier: tier as TrustTier | null, ...limits, note })
+      fetchUser()
+    } catch (error) {
+      console.error('Trust override error:', error)
+      alert('Ошибка сохранения уровня доверия')
+    }
+  }
+
+  const handleTrustReset = async () => {
+    if (!user) return
+    if (!confirm('Сбросить ручные настройки уровня доверия?')) return
+    try {
+      await adminService.setUserTrust(user.telegramId, {})
+      fetchUser()
+    } catch (error) {
+      console.error('Trust reset error:', error)
+    }
+  }
+
   const handleExport = async () => {
     if (!user) return
     try {
@@ -126,6 +190,11 @@ export function AdminUserDetailsPage() {
               ) : (
                 <Badge variant="success">Активен</Badge>
               )}
+              {user.restrictions?.filter((r) => r.type !== 'ban').map((r) => (
+                <Badge key={r.restrictionId} variant="warning">
+                  {restrictionLabels[r.type]} {r.expiresAt ? `до ${formatDate(r.expiresAt)}` : 'бессрочно'}
+                </Badge>
+              ))}
             </div>
             <p className="text-muted">ID: {user.telegramId}</p>
           </div>
@@ -135,6 +204,12 @@ export function AdminUserDetailsPage() {
             <Download size={18} className="mr-2" />
             Экспорт
           </Button>
+          <Link to={`/admin/restrictions?telegramId=${user.telegramId}&status=all`}>
+            <Button variant="secondary">
+              <ShieldOff size={18} className="mr-2" />
+              Ограничения
+            </Button>
+          </Link>
           {user.blacklisted ? (
             <Button onClick={handleUnban} variant="success">
               <CheckCircle size={18} className="mr-2" />
@@ -308,6 +383,56 @@ export function AdminUserDetailsPage() {
           )}
         </Card>
 
+        {/* Trust Tier */}
+        {user.trust && (
+          <Card className="p-6 lg:col-span-2">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-semibold text-white flex items-center gap-2">
+                <ShieldCheck size={20} />
+                Уровень доверия
+              </h2>
+              <div className="flex gap-2">
+                <Button variant="secondary" size="sm" onClick={handleTrustOverride}>
+                  Изменить
+                </Button>
+                {(user.trust.pinned || user.trust.overridden.length > 0) && (
+                  <Button variant="secondary" size="sm" onClick={handleTrustReset}>
+                    Сбросить
+                  </Button>
+                )}
+              </div>
+            </div>
+            <div className="flex items-center gap-2 mb-4">
+              <Badge variant="primary">{trustTierLabels[user.trust.tier]}</Badge>
+              {user.trust.pinned && <Badge variant="warning">Закреплён</Badge>}
+              {user.trust.tier !== user.trust.computedTier && (
+                <span className="text-muted text-sm">по истории: {trustTierLabels[user.trust.computedTier]}</span>
+              )}
+            </div>
+            <div className="grid grid-cols-3 gap-4 mb-4">
+              {(Object.keys(trustLimitLabels) as (keyof TrustLimits)[]).map((field) => (
+                <div key={field} className="text-center p-4 bg-dark rounded-lg">
+                  <p className={`text-2xl font-bold ${user.trust?.overridden.includes(field) ? 'text-yellow-400' : 'text-white'}`}>
+                    {user.trust?.limits[field]}
+                  </p>
+                  <p className="text-muted text-sm">{trustLimitLabels[field]}</p>
+                </div>
+              ))}
+            </div>
+            <p className="text-sm text-muted">
+              Завершено сделок: {user.trust.history.completedDeals} · Оборот: {formatCurrency(user.trust.history.volume)} ·
+              Проиграно споров: {user.trust.history.disputesLost}
+            </p>
+            {user.trust.override?.setBy && (user.trust.pinned || user.trust.overridden.length > 0) && (
+              <p className="text-xs text-muted mt-2">
+                Изменено: {user.trust.override.setBy}
+                {user.trust.override.setAt && `, ${formatDate(user.trust.override.setAt)}`}
+                {user.trust.override.note && ` — ${user.trust.override.note}`}
+              </p>
+            )}
+          </Card>
+        )}
+
         {/* Referral Stats */}
         {(user.referralCode || user.referralsCount !== undefined && user.referralsCount > 0) && (
           <Card className="p-6 lg:col-span-2">
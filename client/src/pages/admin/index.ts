@@ -6,10 +6,14 @@ export { AdminUsersPage } from './UsersPage'
 export { AdminUserDetailsPage } from './UserDetailsPage'
 export { AdminDisputesPage } from './DisputesPage'
 export { AdminDisputeDetailsPage } from './DisputeDetailsPage'
+export { AdminArbitersPage } from './ArbitersPage'
+export { AdminRestrictionsPage } from './RestrictionsPage'
+export { AdminReviewsPage } from './ReviewsPage'
 export { AdminPlatformsPage } from './PlatformsPage'
 export { AdminExportsPage } from './ExportsPage'
 export { AdminTransactionsPage } from './TransactionsPage'
 export { AdminIpCheckPage } from './IpCheckPage'
+export { AdminEncryptionPage } from './EncryptionPage'
 export { AdminReferralsPage } from './ReferralsPage'
 export { AdminPartnerWithdrawalsPage } from './PartnerWithdrawalsPage'
 export { BroadcastsPage as AdminBroadcastsPage } from './BroadcastsPage'
@@ -0,0 +1,504 @@
+import { useState, useEffect, useCallback } from 'react'
+import { partnerService } from '@/services/partner'
+import type { PartnerApiKey, PartnerWebhook, WebhookDelivery } from '@/types'
+import { Input } from '@/components/ui'
+import { Badge } from '@/components/ui/badge'
+import { Pagination } from '@/components/ui/pagination'
+import { formatDate } from '@/utils/format'
+import {
+  CheckCircle2, AlertCircle, Loader2, Send, Trash2, Copy, Plus, Power, KeyRound,
+} from 'lucide-react'
+
+const eventLabels: Record<string, string> = {
+  'deal.created': 'Сделка создана',
+  'deal.deposit_detected': 'Депозит получен',
+  'deal.work_submitted': 'Работа сдана',
+  'deal.completed': 'Сделка завершена',
+  'deal.dispute_opened': 'Открыт спор',
+  'deal.dispute_resolved': 'Спор решён',
+  'deal.expired': 'Срок истёк',
+  test: 'Тестовое событие',
+}
+
+const deliveryStatusLabels: Record<WebhookDelivery['status'], { label: string; variant: 'success' | 'warning' | 'destructive' }> = {
+  delivered: { label: 'Доставлено', variant: 'success' },
+  pending: { label: 'Повтор', variant: 'warning' },
+  failed: { label: 'Ошибка', variant: 'destructive' },
+}
+
+function apiError(err: unknown, fallback: string): string {
+  return (err as { response?: { data?: { error?: string } } })?.response?.data?.error || fallback
+}
+
+export function PartnerWebhooksPage() {
+  // API key
+  const [apiKey, setApiKey] = useState<PartnerApiKey | null>(null)
+  const [newApiKey, setNewApiKey] = useState<string | null>(null)
+  const [apiKeyBusy, setApiKeyBusy] = useState(false)
+
+  const [webhooks, setWebhooks] = useState<PartnerWebhook[]>([])
+  const [events, setEvents] = useState<string[]>([])
+  const [maxWebhooks, setMaxWebhooks] = useState(5)
+  const [loading, setLoading] = useState(true)
+
+  // New webhook form
+  const [url, setUrl] = useState('')
+  const [selectedEvents, setSelectedEvents] = useState<string[]>([])
+  const [creating, setCreating] = useState(false)
+  const [formError, setFormError] = useState('')
+  const [newSecret, setNewSecret] = useState<string | null>(null)
+
+  // Delivery log
+  const [deliveries, setDeliveries] = useState<WebhookDelivery[]>([])
+  const [deliveriesPage, setDeliveriesPage] = useState(1)
+  const [deliveriesPages, setDeliveriesPages] = useState(1)
+  const [expandedDelivery, setExpandedDelivery] = useState<string | null>(null)
+
+  const [busyId, setBusyId] = useState<string | null>(null)
+
+  // Toast
+  const [toast, setToast] = useState<{ type: 'success' | 'error'; text: string } | null>(null)
+
+  const showToast = (type: 'success' | 'error', text: string) => {
+    setToast({ type, text })
+    setTimeout(() => setToast(null), 4000)
+  }
+
+  const fetchWebhooks = useCallback(() => {
+    partnerService.getWebhooks()
+      .then((data) => {
+        setWebhooks(data.webhooks)
+        setEvents(data.events)
+        setMaxWebhooks(data.maxWebhooks)
+      })
+      .catch(console.error)
+      .finally(() => setLoading(false))
+  }, [])
+
+  const fetchDeliveries = useCallback(() => {
+    partnerService.getWebhookDeliveries({ page: deliveriesPage, limit: 20 })
+      .then((data) => {
+        setDeliveries(data.deliveries || [])
+        setDeliveriesPages(data.pagination?.pages || 1)
+      })
+      .catch(console.error)
+  }, [deliveriesPage])
+
+  useEffect(() => {
+    partnerService.getApiKey().then(setApiKey).catch(console.error)
+  }, [])
+  useEffect(() => { fetchWebhooks() }, [fetchWebhooks])
+  useEffect(() => { fetchDeliveries() }, [fetchDeliveries])
+
+  const handleGenerateApiKey = async () => {
+    if (apiKey && !confirm('Выпустить новый ключ? Текущий ключ перестанет работать.')) return
+    setApiKeyBusy(true)
+    try {
+      const { apiKey: key, info } = await partnerService.generateApiKey()
+      setNewApiKey(key)
+      setApiKey(info)
+    } catch (err) {
+      showToast('error', apiError(err, 'Ошибка выпуска ключа'))
+    } finally {
+      setApiKeyBusy(false)
+    }
+  }
+
+  const handleRevokeApiKey = async () => {
+    if (!confirm('Отозвать API-ключ? Запросы с ним перестанут работать.')) return
+    setApiKeyBusy(true)
+    try {
+      await partnerService.revokeApiKey()
+      setApiKey(null)
+      setNewApiKey(null)
+      showToast('success', 'Ключ отозван')
+    } catch (err) {
+      showToast('error', apiError(err, 'Ошибка отзыва ключа'))
+    } finally {
+      setApiKeyBusy(false)
+    }
+  }
+
+  const copyApiKey = () => {
+    if (!newApiKey) return
+    navigator.clipboard.writeText(newApiKey)
+    showToast('success', 'Ключ скопирован')
+  }
+
+  const toggleEvent = (event: string) => {
+    setSelectedEvents((prev) => prev.includes(event) ? prev.filter((e) => e !== event) : [...prev, event])
+  }
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault()
+    setFormError('')
+
+    if (!url.trim()) { setFormError('Укажите URL'); return }
+
+    setCreating(true)
+    try {
+      const { secret } = await partnerService.createWebhook(url.trim(), selectedEvents)
+      setNewSecret(secret)
+      setUrl('')
+      setSelectedEvents([])
+      fetchWebhooks()
+    } catch (err) {
+      setFormError(apiError(err, 'Ошибка создания'))
+    } finally {
+      setCreating(false)
+    }
+  }
+
+  const handleTest = async (webhook: PartnerWebhook) => {
+    setBusyId(webhook._id)
+    try {
+      const delivery = await partnerService.sendTestWebhook(webhook._id)
+      if (delivery.status === 'delivered') {
+        showToast('success', `Доставлено: HTTP ${delivery.responseStatus}`)
+      } else {
+        showToast('error', `Не доставлено: ${delivery.lastError}`)
+      }
+      fetchWebhooks()
+      fetchDeliveries()
+    } catch (err) {
+      showToast('error', apiError(err, 'Ошибка отправки'))
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handleToggle = async (webhook: PartnerWebhook) => {
+    setBusyId(webhook._id)
+    try {
+      await partnerService.updateWebhook(webhook._id, { isActive: !webhook.isActive })
+      fetchWebhooks()
+    } catch (err) {
+      showToast('error', apiError(err, 'Ошибка сохранения'))
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handleDelete = async (webhook: PartnerWebhook) => {
+    if (!confirm(`Удалить вебхук ${webhook.url}?`)) return
+    setBusyId(webhook._id)
+    try {
+      await partnerService.deleteWebhook(webhook._id)
+      showToast('success', 'Вебхук удалён')
+      fetchWebhooks()
+    } catch (err) {
+      showToast('error', apiError(err, 'Ошибка удаления'))
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const copySecret = () => {
+    if (!newSecret) return
+    navigator.clipboard.writeText(newSecret)
+    showToast('success', 'Секрет скопирован')
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-40">
+        <div className="animate-spin w-6 h-6 border-2 border-primary border-t-transparent rounded-full" />
+      </div>
+    )
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <div className="mb-8">
+        <h1 className="text-xl font-medium p-text">API и вебхуки</h1>
+        <p className="text-sm p-text-muted">
+          Создание сделок с вашего сайта и уведомления об изменении их статуса
+        </p>
+      </div>
+
+      {/* API key */}
+      <div className="mb-10">
+        <h2 className="text-[11px] uppercase tracking-widest p-text-muted mb-4">API-ключ</h2>
+
+        <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+          <div className="flex-1 min-w-0">
+            {apiKey ? (
+              <>
+                <p className="text-sm font-mono p-text">{apiKey.prefix}••••••••</p>
+                <p className="text-[11px] p-text-faint">
+                  Выпущен {formatDate(apiKey.createdAt, 'd MMM yyyy')}
+                  {' · '}
+                  {apiKey.lastUsedAt ? `использован ${formatDate(apiKey.lastUsedAt, 'd MMM HH:mm')}` : 'не использовался'}
+                </p>
+              </>
+            ) : (
+              <p className="text-sm p-text-faint">Ключ не выпущен</p>
+            )}
+          </div>
+          <div className="flex items-center gap-2 shrink-0">
+            <button
+              onClick={handleGenerateApiKey}
+              disabled={apiKeyBusy}
+              className="flex items-center gap-1.5 text-xs px-3 py-1.5 rounded-full transition-colors disabled:opacity-50"
+              style={{ background: 'var(--p-btn-bg)', color: 'var(--p-btn-text)' }}
+            >
+              {apiKeyBusy ? <Loader2 size={12} className="animate-spin" /> : <KeyRound size={12} />}
+              {apiKey ? 'Перевыпустить' : 'Выпустить'}
+            </button>
+            {apiKey && (
+              <button
+                onClick={handleRevokeApiKey}
+                disabled={apiKeyBusy}
+                className="p-1.5 rounded-lg transition-colors p-text-muted hover:text-red-400 disabled:opacity-50"
+                title="Отозвать"
+              >
+                <Trash2 size={14} />
+              </button>
+            )}
+          </div>
+        </div>
+
+        {newApiKey && (
+          <div className="mt-4 p-4 rounded-xl" style={{ background: 'var(--p-input-bg)', border: '1px solid var(--p-input-border)' }}>
+            <p className="text-xs p-text-muted mb-2">
+              Сохраните ключ — он показывается только один раз.
+            </p>
+            <div className="flex items-center gap-2">
+              <code className="flex-1 text-xs font-mono p-text break-all">{newApiKey}</code>
+              <button onClick={copyApiKey} className="p-1.5 rounded-lg p-text-muted hover:opacity-70" title="Копировать">
+                <Copy size={14} />
+              </button>
+            </div>
+          </div>
+        )}
+
+        <p className="text-xs p-text-faint leading-relaxed mt-4">
+          <span className="font-mono p-text-secondary">POST /api/partner/api/v1/deals</span> с заголовком
+          {' '}<span className="font-mono p-text-secondary">X-API-Key</span> создаёт черновик сделки и возвращает
+          ссылку для участника в боте. Статус —
+          {' '}<span className="font-mono p-text-secondary">GET /api/partner/api/v1/deals/&lt;token&gt;</span>.
+        </p>
+      </div>
+
+      {/* Webhooks */}
+      <div className="border-t border-[var(--p-divider)] pt-8 mb-10">
+        <h2 className="text-[11px] uppercase tracking-widest p-text-muted mb-4">
+          Вебхуки ({webhooks.length}/{maxWebhooks})
+        </h2>
+
+        {webhooks.length === 0 ? (
+          <p className="text-sm p-text-faint py-4">Вебхуки не настроены</p>
+        ) : (
+          <div className="divide-y [&>*]:border-[var(--p-divider)]">
+            {webhooks.map((webhook) => (
+              <div key={webhook._id} className="py-3.5 flex flex-col sm:flex-row sm:items-center gap-3">
+                <div className="flex-1 min-w-0">
+                  <p className={`text-sm font-mono truncate ${webhook.isActive ? 'p-text' : 'p-text-faint line-through'}`}>
+                    {webhook.url}
+                  </p>
+                  <p className="text-[11px] p-text-faint">
+                    {webhook.events.length === 0
+                      ? 'Все события'
+                      : webhook.events.map((event) => eventLabels[event] || event).join(', ')}
+                    {webhook.lastDeliveryAt && (
+                      <>
+                        {' · '}
+                        <span className={webhook.lastDeliveryStatus === 'delivered' ? 'text-emerald-500' : 'text-red-400'}>
+                          {webhook.lastDeliveryStatus === 'delivered' ? 'доставлено' : 'ошибка'}
+                        </span>
+                        {' '}{formatDate(webhook.lastDeliveryAt, 'd MMM HH:mm')}
+                      </>
+                    )}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2 shrink-0">
+                  <button
+                    onClick={() => handleTest(webhook)}
+                    disabled={busyId === webhook._id || !webhook.isActive}
+                    className="flex items-center gap-1.5 text-xs px-3 py-1.5 rounded-full transition-colors disabled:opacity-50"
+                    style={{ background: 'var(--p-btn-bg)', color: 'var(--p-btn-text)' }}
+                  >
+                    {busyId === webhook._id ? <Loader2 size={12} className="animate-spin" /> : <Send size={12} />}
+                    Тест
+                  </button>
+                  <button
+                    onClick={() => handleToggle(webhook)}
+                    disabled={busyId === webhook._id}
+                    className="p-1.5 rounded-lg transition-colors hover:opacity-70 p-text-muted disabled:opacity-50"
+                    title={webhook.isActive ? 'Выключить' : 'Включить'}
+                  >
+                    <Power size={14} className={webhook.isActive ? 'text-emerald-500' : ''} />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(webhook)}
+                    disabled={busyId === webhook._id}
+                    className="p-1.5 rounded-lg transition-colors p-text-muted hover:text-red-400 disabled:opacity-50"
+                    title="Удалить"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Secret of the new webhook */}
+        {newSecret && (
+          <div className="mt-4 p-4 rounded-xl" style={{ background: 'var(--p-input-bg)', border: '1px solid var(--p-input-border)' }}>
+            <p className="text-xs p-text-muted mb-2">
+              Секрет для проверки подписи. Сохраните его — он показывается только один раз.
+            </p>
+            <div className="flex items-center gap-2">
+              <code className="flex-1 text-xs font-mono p-text break-all">{newSecret}</code>
+              <button onClick={copySecret} className="p-1.5 rounded-lg p-text-muted hover:opacity-70" title="Копировать">
+                <Copy size={14} />
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* New webhook */}
+      {webhooks.length < maxWebhooks && (
+        <div className="border-t border-[var(--p-divider)] pt-8 mb-10">
+          <h2 className="text-[11px] uppercase tracking-widest p-text-muted mb-5">Новый вебхук</h2>
+
+          {formError && (
+            <div className="flex items-center gap-2 mb-4">
+              <AlertCircle size={14} className="text-red-400" />
+              <p className="text-sm text-red-400">{formError}</p>
+            </div>
+          )}
+
+          <form onSubmit={handleCreate} className="space-y-4">
+            <div className="max-w-md">
+              <label className="block text-xs p-text-muted mb-1.5">URL</label>
+              <Input
+                type="url"
+                value={url}
+                onChange={(e) => setUrl(e.target.value)}
+                placeholder="https://example.com/keyshield/webhook"
+                className="font-mono text-sm"
+              />
+            </div>
+
+            <div>
+              <label className="block text-xs p-text-muted mb-1.5">События (ничего не выбрано — все)</label>
+              <div className="flex gap-1.5 flex-wrap">
+                {events.map((event) => (
+                  <button
+                    key={event}
+                    type="button"
+                    onClick={() => toggleEvent(event)}
+                    className={`px-3 py-1.5 text-xs rounded-full transition-colors ${
+                      selectedEvents.includes(event)
+                        ? 'bg-[var(--p-pill-active-bg)] text-[var(--p-pill-active-text)]'
+                        : 'p-text-secondary hover:p-text border border-[var(--p-divider)]'
+                    }`}
+                  >
+                    {eventLabels[event] || event}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <button
+              type="submit"
+              disabled={creating}
+              className="flex items-center gap-2 text-sm px-5 py-2.5 rounded-full transition-colors disabled:opacity-50"
+              style={{ background: 'var(--p-btn-accent)', color: 'var(--p-btn-accent-text)' }}
+            >
+              {creating ? <Loader2 size={15} className="animate-spin" /> : <Plus size={15} />}
+              Добавить
+            </button>
+          </form>
+        </div>
+      )}
+
+      {/* Signature help */}
+      <div className="border-t border-[var(--p-divider)] pt-8 mb-10">
+        <h2 className="text-[11px] uppercase tracking-widest p-text-muted mb-3">Проверка подписи</h2>
+        <p className="text-xs p-text-faint leading-relaxed">
+          Заголовок <span className="font-mono p-text-secondary">X-KeyShield-Signature</span> содержит
+          {' '}<span className="font-mono p-text-secondary">sha256=HMAC_SHA256(секрет, "&lt;X-KeyShield-Timestamp&gt;.&lt;тело запроса&gt;")</span>.
+          Ответьте кодом 2xx в течение 10 секунд — иначе доставка повторится через 1 мин, 5 мин, 30 мин, 2 ч и 12 ч.
+        </p>
+      </div>
+
+      {/* Delivery log */}
+      <div className="border-t border-[var(--p-divider)] pt-8">
+        <h2 className="text-[11px] uppercase tracking-widest p-text-muted mb-4">Журнал доставки</h2>
+
+        {deliveries.length === 0 ? (
+          <p className="text-sm p-text-faint py-4">Доставок пока не было</p>
+        ) : (
+          <div className="divide-y [&>*]:border-[var(--p-divider)]">
+            {deliveries.map((delivery) => {
+              const statusInfo = deliveryStatusLabels[delivery.status]
+              const expanded = expandedDelivery === delivery._id
+              return (
+                <div key={delivery._id} className="py-3">
+                  <button
+                    onClick={() => setExpandedDelivery(expanded ? null : delivery._id)}
+                    className="w-full flex items-center gap-3 text-left"
+                  >
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm p-text truncate">{eventLabels[delivery.event] || delivery.event}</p>
+                      <p className="text-[11px] p-text-faint truncate">
+                        {delivery.dealId && <span className="font-mono">{delivery.dealId} · </span>}
+                        {delivery.responseStatus ? `HTTP ${delivery.responseStatus}` : delivery.lastError || '—'}
+                        {delivery.attempts > 1 && ` · попыток: ${delivery.attempts}`}
+                      </p>
+                    </div>
+                    <Badge variant={statusInfo.variant}>{statusInfo.label}</Badge>
+                    <span className="text-xs p-text-faint w-24 text-right shrink-0">
+                      {formatDate(delivery.createdAt, 'd MMM HH:mm')}
+                    </span>
+                  </button>
+                  {expanded && (
+                    <div className="mt-2 space-y-1">
+                      {delivery.status === 'pending' && (
+                        <p className="text-[11px] p-text-faint">
+                          Следующая попытка: {formatDate(delivery.nextAttemptAt, 'd MMM HH:mm')}
+                        </p>
+                      )}
+                      <pre
+                        className="text-[11px] font-mono p-3 rounded-xl overflow-x-auto p-text-secondary"
+                        style={{ background: 'var(--p-input-bg)' }}
+                      >
+                        {JSON.stringify(JSON.parse(delivery.payload), null, 2)}
+                      </pre>
+                    </div>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+        )}
+
+        {deliveriesPages > 1 && (
+          <div className="flex justify-center mt-6">
+            <Pagination currentPage={deliveriesPage} totalPages={deliveriesPages} onPageChange={setDeliveriesPage} />
+          </div>
+        )}
+      </div>
+
+      {/* Toast */}
+      {toast && (
+        <div
+          className="fixed bottom-20 lg:bottom-6 left-1/2 -translate-x-1/2 z-50 flex items-center gap-2 px-4 py-2.5 rounded-full text-sm shadow-xl animate-fade-in"
+          style={{
+            background: toast.type === 'success' ? 'rgba(16,185,129,0.15)' : 'rgba(239,68,68,0.15)',
+            color: toast.type === 'success' ? '#10b981' : '#ef4444',
+            backdropFilter: 'blur(12px)',
+            border: `1px solid ${toast.type === 'success' ? 'rgba(16,185,129,0.2)' : 'rgba(239,68,68,0.2)'}`,
+          }}
+        >
+          {toast.type === 'success' ? <CheckCircle2 size={15} /> : <AlertCircle size={15} />}
+          {toast.text}
+        </div>
+      )}
+    </div>
+  )
+}
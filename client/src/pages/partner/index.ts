@@ -4,3 +4,4 @@ export { PartnerUsersPage } from './UsersPage'
 export { PartnerDealsPage } from './DealsPage'
 export { PartnerSettingsPage } from './SettingsPage'
 export { PartnerWithdrawalsPage } from './WithdrawalsPage'
+export { PartnerWebhooksPage } from './WebhooksPage'
@@ -0,0 +1,169 @@
+import { useState, useEffect } from 'react'
+import { useParams } from 'react-router-dom'
+import { useTranslation } from 'react-i18next'
+import { ShieldCheck, Star, CheckCircle, Wallet, Scale, Calendar, MessageCircle } from 'lucide-react'
+import { reputationService } from '@/services/reputation'
+import { SEO } from '@/components/SEO'
+import { Card } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { PageLoading } from '@/components/ui/loading'
+import { formatDate } from '@/utils/format'
+import type { ReputationCard } from '@/types'
+
+export function ReputationPage() {
+  const { t } = useTranslation()
+  const { publicId } = useParams<{ publicId: string }>()
+  const [card, setCard] = useState<ReputationCard | null>(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    if (!publicId) return
+    let cancelled = false
+    reputationService.getCard(publicId)
+      .then((data) => {
+        if (!cancelled) setCard(data)
+      })
+      .catch(() => {
+        if (!cancelled) setCard(null)
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [publicId])
+
+  if (loading) {
+    return <PageLoading />
+  }
+
+  if (!card) {
+    return (
+      <>
+        <SEO title={t('reputation.not_found')} noindex />
+        <div className="container mx-auto px-4 py-16 text-center">
+          <div className="text-6xl mb-4">🔒</div>
+          <h1 className="text-2xl text-white mb-2">{t('reputation.not_found')}</h1>
+          <p className="text-muted">{t('reputation.not_found_hint')}</p>
+        </div>
+      </>
+    )
+  }
+
+  const volumeLabel = card.volume
+    ? card.volume.max === null
+      ? t('reputation.volume_over', { min: card.volume.min })
+      : card.volume.min > 0
+        ? t('reputation.volume_range', { min: card.volume.min, max: card.volume.max })
+        : t('reputation.volume_under', { max: card.volume.max })
+    : null
+
+  const metrics = [
+    card.rating && {
+      icon: Star,
+      label: t('reputation.rating'),
+      value: card.rating.count > 0
+        ? t('reputation.rating_value', { average: card.rating.average, count: card.rating.count })
+        : t('reputation.no_rating'),
+    },
+    card.deals !== undefined && {
+      icon: CheckCircle,
+      label: t('reputation.deals'),
+      value: String(card.deals),
+    },
+    volumeLabel && {
+      icon: Wallet,
+      label: t('reputation.volume'),
+      value: volumeLabel,
+    },
+    card.disputes && {
+      icon: Scale,
+      label: t('reputation.disputes'),
+      value: t('reputation.disputes_value', card.disputes),
+    },
+    card.accountAge && {
+      icon: Calendar,
+      label: t('reputation.since'),
+      value: formatDate(card.accountAge.since),
+    },
+  ].filter((metric): metric is { icon: typeof Star; label: string; value: string } => !!metric)
+
+  const name = card.username ? `@${card.username}` : t('reputation.anonymous')
+
+  return (
+    <>
+      <SEO title={t('reputation.seo_title', { name })} noindex />
+      <section className="py-16">
+        <div className="container mx-auto px-4 max-w-2xl">
+          <Card className="p-8">
+            <div className="flex items-center gap-4 mb-8">
+              <div className="w-14 h-14 rounded-full bg-primary/20 flex items-center justify-center">
+                <ShieldCheck className="w-7 h-7 text-primary" />
+              </div>
+              <div>
+                <h1 className="text-2xl font-bold text-white">{name}</h1>
+                <p className="text-muted">{t('reputation.title')}</p>
+              </div>
+            </div>
+
+            {metrics.length > 0 ? (
+              <dl className="grid sm:grid-cols-2 gap-4">
+                {metrics.map(({ icon: Icon, label, value }) => (
+                  <div key={label} className="p-4 bg-dark rounded-lg">
+                    <dt className="text-muted text-sm flex items-center gap-2 mb-1">
+                      <Icon className="w-4 h-4" />
+                      {label}
+                    </dt>
+                    <dd className="text-white text-lg font-semibold">{value}</dd>
+                  </div>
+                ))}
+              </dl>
+            ) : (
+              <p className="text-muted">{t('reputation.all_hidden')}</p>
+            )}
+
+            {card.reviews && card.reviews.length > 0 && (
+              <div className="mt-8">
+                <h2 className="text-lg font-semibold text-white mb-4">{t('reputation.reviews')}</h2>
+                <div className="space-y-4">
+                  {card.reviews.map((review) => (
+                    <div key={review.createdAt} className="p-4 bg-dark rounded-lg">
+                      <div className="flex items-center justify-between gap-2 text-sm text-muted mb-2">
+                        {/* role is the rated user's side, the author was on the other one */}
+                        <span>
+                          {t(review.role === 'seller' ? 'reputation.review_from_buyer' : 'reputation.review_from_seller')}
+                          {' · '}
+                          {formatDate(review.createdAt)}
+                        </span>
+                        <span>{'⭐'.repeat(review.rating)}</span>
+                      </div>
+                      <p className="text-gray-300 whitespace-pre-wrap break-words">{review.text}</p>
+                      {review.reply && (
+                        <div className="mt-3 pl-4 border-l-2 border-border">
+                          <p className="text-xs text-muted mb-1">{t('reputation.reply')}</p>
+                          <p className="text-gray-300 text-sm whitespace-pre-wrap break-words">{review.reply}</p>
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <p className="text-xs text-muted mt-6">{t('reputation.note')}</p>
+          </Card>
+
+          <div className="text-center mt-8">
+            <Button asChild>
+              <a href="https://t.me/keyshield_bot" target="_blank" rel="noopener noreferrer">
+                <MessageCircle className="mr-2 h-4 w-4" />
+                {t('reputation.open_bot')}
+              </a>
+            </Button>
+          </div>
+        </div>
+      </section>
+    </>
+  )
+}
@@ -0,0 +1,272 @@
+import { useState, useEffect, useRef } from 'react'
+import { useParams } from 'react-router-dom'
+import { useTranslation } from 'react-i18next'
+import { KeyRound, Download, Upload, Smartphone, MessageCircle } from 'lucide-react'
+import { signingService } from '@/services/signing'
+import { SEO } from '@/components/SEO'
+import { Card } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { PageLoading } from '@/components/ui/loading'
+import { formatDate } from '@/utils/format'
+import type { SigningRequest, TronTransaction } from '@/types'
+
+// Injected by the TronLink extension / in-app browser
+declare global {
+  interface Window {
+    tronLink?: {
+      request: (args: { method: string }) => Promise<unknown>
+    }
+    tronWeb?: {
+      defaultAddress: { base58: string | false }
+      trx: {
+        multiSign: (transaction: TronTransaction, privateKey?: string | false, permissionId?: number) => Promise<TronTransaction>
+      }
+    }
+  }
+}
+
+const POLL_INTERVAL = 5000
+
+function errorMessage(err: unknown, fallback: string): string {
+  return (err as { response?: { data?: { error?: string } } })?.response?.data?.error
+    || (err as Error)?.message
+    || fallback
+}
+
+export function SignPage() {
+  const { t } = useTranslation()
+  const { token } = useParams<{ token: string }>()
+  const [request, setRequest] = useState<SigningRequest | null>(null)
+  const [loading, setLoading] = useState(true)
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+  const fileInputRef = useRef<HTMLInputElement>(null)
+
+  useEffect(() => {
+    if (!token) return
+    let cancelled = false
+    signingService.getRequest(token)
+      .then((data) => {
+        if (!cancelled) setRequest(data)
+      })
+      .catch(() => {
+        if (!cancelled) setRequest(null)
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [token])
+
+  // The bot broadcasts the payout - follow the status until it is done
+  useEffect(() => {
+    if (!token || (request?.status !== 'signed' && request?.status !== 'processing')) return
+    const timer = setTimeout(() => {
+      signingService.getRequest(token).then(setRequest).catch(() => {})
+    }, POLL_INTERVAL)
+    return () => clearTimeout(timer)
+  }, [token, request])
+
+  const submit = async (transactions: TronTransaction[]) => {
+    if (!token) return
+    setSubmitting(true)
+    setError(null)
+    try {
+      await signingService.submit(token, transactions)
+      setRequest(await signingService.getRequest(token))
+    } catch (err) {
+      setError(t('signing.submit_error', { error: errorMessage(err, t('signing.invalid_file')) }))
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const signWithTronLink = async () => {
+    if (!request) return
+    setError(null)
+
+    try {
+      await window.tronLink?.request({ method: 'tron_requestAccounts' })
+    } catch {
+      // Older TronLink versions expose tronWeb without the request API
+    }
+
+    const wallet = window.tronWeb
+    const address = wallet?.defaultAddress.base58
+    if (!wallet || !address) {
+      setError(t('signing.no_tronlink'))
+      return
+    }
+    if (address !== request.signerAddress) {
+      setError(t('signing.wrong_account', { address }))
+      return
+    }
+
+    setSubmitting(true)
+    try {
+      const signed: TronTransaction[] = []
+      for (const item of request.transactions) {
+        // Escrow owner permission (id 0) - the deal key is one of its 2-of-3 keys
+        signed.push(await wallet.trx.multiSign(item.transaction, false, 0))
+      }
+      await submit(signed)
+    } catch (err) {
+      setError(t('signing.submit_error', { error: errorMessage(err, t('signing.no_tronlink')) }))
+      setSubmitting(false)
+    }
+  }
+
+  const downloadTransactions = () => {
+    if (!request) return
+    const json = JSON.stringify(request.transactions.map((item) => item.transaction), null, 2)
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `keyshield-${request.dealId}-unsigned.json`
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  const handleUpload = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+
+    try {
+      const payload = JSON.parse(await file.text())
+      const transactions: TronTransaction[] = Array.isArray(payload) ? payload : payload.transactions || [payload]
+      await submit(transactions)
+    } catch {
+      setError(t('signing.invalid_file'))
+    }
+  }
+
+  if (loading) {
+    return <PageLoading />
+  }
+
+  if (!request) {
+    return (
+      <>
+        <SEO title={t('signing.not_found')} noindex />
+        <div className="container mx-auto px-4 py-16 text-center">
+          <div className="text-6xl mb-4">🔒</div>
+          <h1 className="text-2xl text-white mb-2">{t('signing.not_found')}</h1>
+          <p className="text-muted">{t('signing.not_found_hint')}</p>
+        </div>
+      </>
+    )
+  }
+
+  const tronLinkDeepLink = `tronlinkoutside://pull.activity?param=${encodeURIComponent(JSON.stringify({
+    url: window.location.href,
+    action: 'open',
+    protocol: 'tronlink',
+    version: '1.0',
+  }))}`
+
+  const statusText = request.status === 'failed'
+    ? t('signing.status_failed', { error: request.error || '' })
+    : request.status !== 'pending'
+      ? t(`signing.status_${request.status}`)
+      : null
+
+  return (
+    <>
+      <SEO title={t('signing.seo_title')} noindex />
+      <section className="py-16">
+        <div className="container mx-auto px-4 max-w-2xl">
+          <Card className="p-8">
+            <div className="flex items-center gap-4 mb-6">
+              <div className="w-14 h-14 rounded-full bg-primary/20 flex items-center justify-center">
+                <KeyRound className="w-7 h-7 text-primary" />
+              </div>
+              <div>
+                <h1 className="text-2xl font-bold text-white">{t('signing.title')}</h1>
+                <p className="text-muted">
+                  {t('signing.deal', { dealId: request.dealId })}
+                  {request.productName && ` · ${request.productName}`}
+                </p>
+              </div>
+            </div>
+
+            <div className="space-y-3 mb-6">
+              {request.transactions.map((item) => (
+                <div key={item.transaction.txID} className="p-4 bg-dark rounded-lg">
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="text-muted text-sm">{t(`signing.${item.kind}`)}</span>
+                    <span className="text-white font-semibold">{item.amount} {request.asset}</span>
+                  </div>
+                  <p className="text-xs text-muted mt-1 break-all">{t('signing.to', { address: item.toAddress })}</p>
+                </div>
+              ))}
+            </div>
+
+            <div className="p-4 bg-dark rounded-lg mb-6">
+              <p className="text-muted text-sm mb-1">{t('signing.signer')}</p>
+              <p className="text-white font-mono text-sm break-all">{request.signerAddress}</p>
+              <p className="text-xs text-muted mt-2">{t('signing.signer_hint')}</p>
+            </div>
+
+            {statusText ? (
+              <p className={request.status === 'completed' ? 'text-secondary' : 'text-white'}>{statusText}</p>
+            ) : (
+              <>
+                <p className="text-gray-300 mb-2">{t('signing.intro')}</p>
+                <p className="text-xs text-muted mb-6">
+                  {t('signing.expires', { date: formatDate(request.expiresAt, 'd MMMM yyyy, HH:mm') })}
+                </p>
+
+                <div className="flex flex-col sm:flex-row gap-3 mb-8">
+                  <Button onClick={signWithTronLink} loading={submitting}>
+                    <KeyRound className="mr-2 h-4 w-4" />
+                    {t('signing.sign_tronlink')}
+                  </Button>
+                  <Button variant="outline" asChild>
+                    <a href={tronLinkDeepLink}>
+                      <Smartphone className="mr-2 h-4 w-4" />
+                      {t('signing.open_tronlink')}
+                    </a>
+                  </Button>
+                </div>
+
+                <h2 className="text-lg font-semibold text-white mb-2">{t('signing.other_wallet')}</h2>
+                <p className="text-sm text-muted mb-4">{t('signing.other_wallet_hint')}</p>
+                <div className="flex flex-col sm:flex-row gap-3">
+                  <Button variant="secondary" onClick={downloadTransactions}>
+                    <Download className="mr-2 h-4 w-4" />
+                    {t('signing.download')}
+                  </Button>
+                  <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept="application/json,.json"
+                    onChange={handleUpload}
+                    className="hidden"
+                  />
+                  <Button variant="secondary" onClick={() => fileInputRef.current?.click()} disabled={submitting}>
+                    <Upload className="mr-2 h-4 w-4" />
+                    {t('signing.upload')}
+                  </Button>
+                </div>
+              </>
+            )}
+
+            {error && <p className="text-red-400 text-sm mt-6">{error}</p>}
+          </Card>
+
+          <div className="text-center mt-8">
+            <Button asChild>
+              <a href="https://t.me/keyshield_bot" target="_blank" rel="noopener noreferrer">
+                <MessageCircle className="mr-2 h-4 w-4" />
+                {t('signing.open_bot')}
+              </a>
+            </Button>
+          </div>
+        </div>
+      </section>
+    </>
+  )
+}
@@ -4,3 +4,5 @@ export * from './TermsPage'
 export * from './PrivacyPage'
 export * from './OfferPage'
 export * from './DealGuardPage'
+export * from './ReputationPage'
+export * from './SignPage'
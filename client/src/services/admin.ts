@@ -3,10 +3,23 @@ import type {
   Deal,
   User,
   Dispute,
+  DisputeSplit,
+  Arbiter,
+  AdminRole,
+  UserRestriction,
+  RestrictionType,
+  RestrictionReasonCode,
+  RestrictionStatus,
+  TrustProfile,
+  UserReview,
+  ReviewStatus,
+  TrustTier,
   Platform,
   AdminStats,
   ApiResponse,
   BotStatusProgress,
+  EncryptionReport,
+  ReencryptionProgress,
   ReferralWithdrawal,
   ReferralStats,
   Broadcast,
@@ -15,12 +28,12 @@ import type {
 export const adminService = {
   // ========== Auth ==========
 
-  login: async (username: string, password: string): Promise<{ token: string }> => {
+  login: async (username: string, password: string): Promise<{ token: string; admin: { username: string; role: AdminRole } }> => {
     const { data } = await api.post('/admin/login', { username, password })
     return data
   },
 
-  verifyToken: async (): Promise<{ valid: boolean; admin: { username: string } }> => {
+  verifyToken: async (): Promise<{ valid: boolean; admin: { username: string; role: AdminRole } }> => {
     const { data } = await api.get('/admin/verify')
     return data
   },
@@ -91,8 +104,12 @@ export const adminService = {
     return data.user
   },
 
-  banUser: async (telegramId: number, reason: string): Promise<ApiResponse> => {
-    const { data } = await api.post(`/admin/users/${telegramId}/ban`, { reason })
+  banUser: async (
+    telegramId: number,
+    reason: string,
+    options: { reasonCode?: RestrictionReasonCode; durationHours?: number } = {}
+  ): Promise<ApiResponse> => {
+    const { data } = await api.post(`/admin/users/${telegramId}/ban`, { reason, ...options })
     return data
   },
 
@@ -101,10 +118,26 @@ export const adminService = {
     return data
   },
 
+  setUserTrust: async (
+    telegramId: number,
+    override: {
+      tier?: TrustTier | null
+      maxActiveDeals?: number | null
+      maxDealAmount?: number | null
+      maxOpenInvites?: number | null
+      note?: string
+    }
+  ): Promise<{ success: boolean; trust: TrustProfile }> => {
+    const { data } = await api.put(`/admin/users/${telegramId}/trust`, override)
+    return data
+  },
+
   // ========== Disputes ==========
 
   getDisputes: async (params?: {
     status?: string
+    queue?: 'mine' | 'unassigned' | 'appeals' | 'all'
+    arbiterId?: string
     page?: number
     limit?: number
   }): Promise<{ disputes: Dispute[]; total: number; totalPages: number }> => {
@@ -119,7 +152,7 @@ export const adminService = {
 
   resolveDispute: async (
     id: string,
-    decision: { winner: 'buyer' | 'seller'; reason: string }
+    decision: { winner: 'buyer' | 'seller' | 'split'; reason: string; split?: DisputeSplit }
   ): Promise<ApiResponse> => {
     const { data } = await api.post(`/admin/disputes/${id}/resolve`, decision)
     return data
@@ -130,6 +163,110 @@ export const adminService = {
     return data
   },
 
+  resolveDisputeByDefault: async (id: string): Promise<ApiResponse> => {
+    const { data } = await api.post(`/admin/disputes/${id}/default`)
+    return data
+  },
+
+  reviewAppeal: async (id: string, outcome: 'confirm' | 'reverse', comment: string): Promise<ApiResponse> => {
+    const { data } = await api.post(`/admin/disputes/${id}/appeal`, { outcome, comment })
+    return data
+  },
+
+  takeDispute: async (id: string): Promise<ApiResponse> => {
+    const { data } = await api.post(`/admin/disputes/${id}/take`)
+    return data
+  },
+
+  assignDispute: async (id: string, arbiterId: string): Promise<ApiResponse> => {
+    const { data } = await api.post(`/admin/disputes/${id}/assign`, { arbiterId })
+    return data
+  },
+
+  // ========== Restrictions ==========
+
+  getRestrictions: async (params?: {
+    status?: RestrictionStatus | 'all'
+    type?: RestrictionType | 'all'
+    telegramId?: string
+    page?: number
+  }): Promise<{ restrictions: UserRestriction[]; total: number; page: number; pages: number }> => {
+    const { data } = await api.get('/admin/restrictions', { params })
+    return data
+  },
+
+  issueRestriction: async (restriction: {
+    telegramId: number
+    type: RestrictionType
+    reasonCode: RestrictionReasonCode
+    reason: string
+    durationHours?: number
+  }): Promise<UserRestriction> => {
+    const { data } = await api.post('/admin/restrictions', restriction)
+    return data
+  },
+
+  liftRestriction: async (id: string, reason: string): Promise<UserRestriction> => {
+    const { data } = await api.post(`/admin/restrictions/${id}/lift`, { reason })
+    return data
+  },
+
+  // ========== Reviews ==========
+
+  getReviews: async (params?: {
+    status?: ReviewStatus | 'all'
+    replyStatus?: ReviewStatus
+    toUserId?: string
+    page?: number
+  }): Promise<{
+    reviews: UserReview[]
+    total: number
+    page: number
+    pages: number
+    pending: { reviews: number; replies: number }
+  }> => {
+    const { data } = await api.get('/admin/reviews', { params })
+    return data
+  },
+
+  moderateReview: async (id: string, status: ReviewStatus): Promise<{ success: boolean; review: UserReview }> => {
+    const { data } = await api.put(`/admin/reviews/${id}`, { status })
+    return data
+  },
+
+  moderateReviewReply: async (id: string, status: ReviewStatus): Promise<{ success: boolean; review: UserReview }> => {
+    const { data } = await api.put(`/admin/reviews/${id}/reply`, { status })
+    return data
+  },
+
+  // ========== Arbiters ==========
+
+  getArbiters: async (): Promise<{ arbiters: Arbiter[]; unassigned: number }> => {
+    const { data } = await api.get('/admin/arbiters')
+    return data
+  },
+
+  createArbiter: async (arbiter: {
+    username: string
+    password: string
+    name: string
+    telegramId: number
+    role: Arbiter['role']
+    platformId: string | null
+    autoAssign: boolean
+  }): Promise<Arbiter> => {
+    const { data } = await api.post('/admin/arbiters', arbiter)
+    return data.arbiter
+  },
+
+  updateArbiter: async (
+    id: string,
+    updates: Partial<Pick<Arbiter, 'name' | 'role' | 'platformId' | 'isActive' | 'autoAssign'>> & { password?: string }
+  ): Promise<Arbiter> => {
+    const { data } = await api.put(`/admin/arbiters/${id}`, updates)
+    return data.arbiter
+  },
+
   // ========== Platforms/Partners ==========
 
   getPlatforms: async (): Promise<Platform[]> => {
@@ -266,6 +403,23 @@ export const adminService = {
     return data
   },
 
+  // ========== Encryption Keys ==========
+
+  getEncryptionReport: async (): Promise<EncryptionReport> => {
+    const { data } = await api.get('/admin/encryption')
+    return data
+  },
+
+  startReencryption: async (restart = false): Promise<{ success: boolean; progress: ReencryptionProgress }> => {
+    const { data } = await api.post('/admin/encryption/reencrypt', { restart })
+    return data
+  },
+
+  stopReencryption: async (): Promise<{ success: boolean; progress: ReencryptionProgress }> => {
+    const { data } = await api.post('/admin/encryption/stop')
+    return data
+  },
+
   // ========== Referral Withdrawals ==========
 
   getReferralWithdrawals: async (params?: {
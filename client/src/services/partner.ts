@@ -1,5 +1,5 @@
 import api from './api'
-import type { Platform, Deal, User } from '@/types'
+import type { Platform, Deal, User, PartnerApiKey, PartnerWebhook, WebhookDelivery } from '@/types'
 
 export interface PartnerStats {
   totalUsers: number
@@ -119,4 +119,65 @@ export const partnerService = {
   deleteWallet: async (password: string): Promise<void> => {
     await api.post('/partner/api/wallet/delete', { password })
   },
+
+  // ========== API Key ==========
+
+  getApiKey: async (): Promise<PartnerApiKey | null> => {
+    const { data } = await api.get('/partner/api/api-key')
+    return data.apiKey
+  },
+
+  // Full key is returned only on generation
+  generateApiKey: async (): Promise<{ apiKey: string; info: PartnerApiKey }> => {
+    const { data } = await api.post('/partner/api/api-key')
+    return data
+  },
+
+  revokeApiKey: async (): Promise<void> => {
+    await api.delete('/partner/api/api-key')
+  },
+
+  // ========== Webhooks ==========
+
+  getWebhooks: async (): Promise<{
+    webhooks: PartnerWebhook[]
+    events: string[]
+    maxWebhooks: number
+  }> => {
+    const { data } = await api.get('/partner/api/webhooks')
+    return data
+  },
+
+  // Secret is returned only on creation
+  createWebhook: async (url: string, events: string[]): Promise<{ webhook: PartnerWebhook; secret: string }> => {
+    const { data } = await api.post('/partner/api/webhooks', { url, events })
+    return data
+  },
+
+  updateWebhook: async (
+    id: string,
+    updates: Partial<Pick<PartnerWebhook, 'url' | 'events' | 'isActive'>>
+  ): Promise<PartnerWebhook> => {
+    const { data } = await api.put(`/partner/api/webhooks/${id}`, updates)
+    return data.webhook
+  },
+
+  deleteWebhook: async (id: string): Promise<void> => {
+    await api.delete(`/partner/api/webhooks/${id}`)
+  },
+
+  sendTestWebhook: async (id: string): Promise<WebhookDelivery> => {
+    const { data } = await api.post(`/partner/api/webhooks/${id}/test`)
+    return data.delivery
+  },
+
+  getWebhookDeliveries: async (params?: {
+    webhookId?: string
+    status?: string
+    page?: number
+    limit?: number
+  }): Promise<{ deliveries: WebhookDelivery[]; pagination: { total: number; pages: number } }> => {
+    const { data } = await api.get('/partner/api/webhooks/deliveries', { params })
+    return data
+  },
 }
@@ -0,0 +1,10 @@
+import api from './api'
+import type { ReputationCard } from '@/types'
+
+export const reputationService = {
+  // Public reputation page; 404 while the owner keeps it off
+  getCard: async (publicId: string): Promise<ReputationCard> => {
+    const { data } = await api.get(`/reputation/${publicId}`)
+    return data.card
+  },
+}
@@ -0,0 +1,15 @@
+import api from './api'
+import type { SigningRequest, TronTransaction } from '@/types'
+
+export const signingService = {
+  // Payout transactions prepared in the bot for signing in the user's wallet
+  getRequest: async (token: string): Promise<SigningRequest> => {
+    const { data } = await api.get(`/signing/${token}`)
+    return data.request
+  },
+
+  // Only signatures are taken from the submitted transactions
+  submit: async (token: string, transactions: TronTransaction[]): Promise<void> => {
+    await api.post(`/signing/${token}`, { transactions })
+  },
+}
@@ -1,10 +1,11 @@
 import { create } from 'zustand'
 import { persist } from 'zustand/middleware'
 import { adminService } from '@/services/admin'
+import type { AdminRole } from '@/types'
 
 interface AdminUser {
   username: string
-  role?: 'admin' | 'superadmin'
+  role?: AdminRole
 }
 
 interface AuthState {
@@ -31,11 +32,11 @@ export const useAuthStore = create<AuthState>()(
       login: async (username: string, password: string) => {
         set({ isLoading: true, error: null })
         try {
-          const { token } = await adminService.login(username, password)
+          const { token, admin } = await adminService.login(username, password)
           localStorage.setItem('adminToken', token)
           set({
             token,
-            admin: { username },
+            admin,
             isAuthenticated: true,
             isLoading: false,
           })
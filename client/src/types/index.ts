@@ -129,6 +129,18 @@ export type DealStatus =
   | 'cancelled'
   | 'refunded'
 
+export interface DealMilestone {
+  title: string
+  amount: number
+  deadline: string
+  status: 'pending' | 'submitted' | 'released' | 'refunded' | 'split'
+  submittedAt?: string
+  payoutAmount?: number
+  commission?: number
+  payoutTxHash?: string
+  paidAt?: string
+}
+
 export interface Deal {
   _id: string
   dealId: string
@@ -140,6 +152,7 @@ export interface Deal {
   productName: string
   description: string
   amount: number
+  network?: 'tron' | 'bep20'
   asset: string
   commission: number
   commissionType: 'buyer' | 'seller' | 'split'
@@ -148,8 +161,13 @@ export interface Deal {
   buyerAddress?: string
   sellerAddress?: string
   depositTxHash?: string
+  depositReceived?: number
+  overpayment?: number
+  overpaymentRefundTxHash?: string | null
   payoutTxHash?: string
   deadline: string
+  milestones?: DealMilestone[]
+  currentMilestone?: number
   createdAt: string
   completedAt?: string
   platformCode?: string
@@ -160,7 +178,7 @@ export interface Deal {
     activationTrxReturned?: number
     activationTrxNet?: number
     // Energy & bandwidth costs (dynamic)
-    energyMethod?: 'feesaver' | 'trx' | 'none'
+    energyMethod?: 'feesaver' | 'trx' | 'staking' | 'none'
     feesaverEnergyCostTrx?: number
     feesaverBandwidthCostTrx?: number
     feesaverCostTrx?: number
@@ -207,11 +225,17 @@ export interface User {
   role: 'buyer' | 'seller' | 'both'
   blacklisted: boolean
   blacklistReason?: string
+  restrictions?: {
+    restrictionId: string
+    type: RestrictionType
+    expiresAt: string | null
+  }[]
   disputeStats: {
     totalWon: number
     totalLost: number
     lossStreak: number
   }
+  trust?: TrustProfile
   platformCode?: string
   source?: string
   referralCode?: string
@@ -258,6 +282,12 @@ export interface DisputeComment {
   createdAt: string
 }
 
+export interface DisputeSplit {
+  buyerPercent?: number | null
+  buyerAmount?: number | null
+  sellerAmount?: number | null
+}
+
 export interface Dispute {
   _id: string
   dealId: Deal | string
@@ -274,13 +304,231 @@ export interface Dispute {
   counterEvidence?: string[]
   status: DisputeStatus
   decision?: string | null
+  split?: DisputeSplit
   winner?: 'buyer' | 'seller'
   arbiterId?: number | null
   resolvedBy?: string
   resolvedAt?: string
+  // Arbitration queue (populated with name/username in admin API)
+  assignedTo?: Pick<Arbiter, '_id' | 'name' | 'username'> | string | null
+  assignedAt?: string | null
+  assignedBy?: string | null
+  reviewStartedAt?: string | null
+  reviewDueAt?: string | null
+  resolveDueAt?: string | null
+  // Evidence timeline
+  evidenceItems?: DisputeEvidence[]
+  respondentId?: number | null
+  responseDueAt?: string | null
+  respondedAt?: string | null
+  decidedByDefault?: boolean
+  // Appeal against a win/lose decision
+  appealDueAt?: string | null
+  payoutRequestedAt?: string | null
+  appeal?: DisputeAppeal
+  // Admin API only
+  timeline?: DisputeTimelineEntry[]
+  respondentSilent?: boolean
+  createdAt: string
+}
+
+export type DisputeEvidenceType = 'statement' | 'chat_screenshot' | 'delivery_proof' | 'tx_hash'
+
+export type DisputeAppealStatus = 'pending' | 'confirmed' | 'reversed'
+
+export interface DisputeAppeal {
+  userId: number | null
+  reason: string | null
+  filedAt: string | null
+  status: DisputeAppealStatus | null
+  // Populated with name/username in admin API; null = the admin reviews
+  reviewerId: Pick<Arbiter, '_id' | 'name' | 'username'> | string | null
+  reviewedBy: string | null
+  reviewedAt: string | null
+  comment: string | null
+  originalDecision: string | null
+}
+
+export interface DisputeEvidence {
+  _id: string
+  userId: number
+  role: 'buyer' | 'seller'
+  type: DisputeEvidenceType
+  text: string | null
+  media: string[]
+  txHash: string | null
   createdAt: string
 }
 
+export interface DisputeTimelineEntry {
+  at: string
+  userId: number
+  role: 'buyer' | 'seller' | 'arbiter'
+  type: DisputeEvidenceType | 'claim' | 'comment' | 'appeal' | 'appeal_confirmed' | 'appeal_reversed'
+  text: string | null
+  media: string[]
+  txHash: string | null
+}
+
+export type AdminRole = 'admin' | 'senior_arbiter' | 'arbiter'
+
+export type RestrictionType = 'ban' | 'deal_creation' | 'withdrawal'
+export type RestrictionReasonCode =
+  | 'dispute_loss_streak'
+  | 'fraud'
+  | 'scam'
+  | 'abuse'
+  | 'spam'
+  | 'multi_account'
+  | 'other'
+export type RestrictionStatus = 'active' | 'expired' | 'lifted'
+
+export interface UserRestriction {
+  _id: string
+  telegramId: number
+  type: RestrictionType
+  reasonCode: RestrictionReasonCode
+  reason: string | null
+  issuedBy: string
+  expiresAt: string | null
+  status: RestrictionStatus
+  liftedAt: string | null
+  liftedBy: string | null
+  liftReason: string | null
+  disputeId: string | null
+  createdAt: string
+  user?: Pick<User, 'telegramId' | 'username' | 'firstName'> | null
+}
+
+// Payout prepared for signing in the user's wallet (/sign/:token)
+export type SigningStatus = 'pending' | 'signed' | 'processing' | 'completed' | 'failed' | 'expired'
+
+export interface TronTransaction {
+  txID: string
+  raw_data: Record<string, unknown>
+  raw_data_hex: string
+  signature?: string[]
+}
+
+export interface SigningTransaction {
+  kind: 'payout' | 'commission' | 'overpayment'
+  toAddress: string
+  amount: number
+  transaction: TronTransaction
+}
+
+export interface SigningRequest {
+  dealId: string
+  productName: string | null
+  escrowAddress: string | null
+  asset: string
+  role: 'buyer' | 'seller'
+  signerAddress: string
+  status: SigningStatus
+  error: string | null
+  expiresAt: string
+  transactions: SigningTransaction[]
+}
+
+// Reputation card; metrics hidden by the user are absent
+export interface ReputationCard {
+  username: string | null
+  rating?: { average: number; count: number }
+  deals?: number
+  volume?: { min: number; max: number | null }
+  disputes?: { total: number; lost: number; ratio: number }
+  accountAge?: { since: string }
+  reviews?: ReputationReview[]
+}
+
+// Approved review as shown on the reputation card
+export interface ReputationReview {
+  rating: number
+  role: 'buyer' | 'seller'
+  text: string
+  createdAt: string
+  reply: string | null
+}
+
+export type ReviewStatus = 'pending' | 'approved' | 'hidden'
+
+export interface UserReview {
+  _id: string
+  dealId: string
+  fromUserId: number
+  toUserId: number
+  rating: number
+  role: 'buyer' | 'seller'
+  text: string
+  status: ReviewStatus
+  moderatedBy: string | null
+  moderatedAt: string | null
+  reply: {
+    text: string | null
+    status: ReviewStatus | null
+    createdAt: string | null
+    moderatedBy: string | null
+    moderatedAt: string | null
+  }
+  createdAt: string
+  fromUser?: Pick<User, 'telegramId' | 'username' | 'firstName'> | null
+  toUser?: Pick<User, 'telegramId' | 'username' | 'firstName'> | null
+}
+
+export type TrustTier = 'new' | 'verified' | 'trusted' | 'pro'
+
+export interface TrustLimits {
+  maxActiveDeals: number
+  maxDealAmount: number
+  maxOpenInvites: number
+}
+
+export interface TrustOverride {
+  tier: TrustTier | null
+  maxActiveDeals: number | null
+  maxDealAmount: number | null
+  maxOpenInvites: number | null
+  note: string | null
+  setBy: string | null
+  setAt: string | null
+}
+
+export interface TrustProfile {
+  tier: TrustTier
+  computedTier: TrustTier
+  pinned: boolean
+  limits: TrustLimits
+  overridden: (keyof TrustLimits)[]
+  history: {
+    completedDeals: number
+    volume: number
+    averageRating: number
+    ratingsCount: number
+    disputesLost: number
+  }
+  next: {
+    tier: TrustTier
+    limits: TrustLimits
+    missing: { key: 'deals' | 'volume' | 'rating' | 'disputes'; current: number; required: number }[]
+  } | null
+  override: TrustOverride | null
+}
+
+export interface Arbiter {
+  _id: string
+  username: string
+  name: string
+  telegramId: number
+  platformId: string | null
+  role: 'arbiter' | 'senior_arbiter'
+  isActive: boolean
+  autoAssign: boolean
+  lastAssignedAt: string | null
+  lastLoginAt: string | null
+  createdAt: string
+  queue?: { open: number; resolved: number }
+}
+
 // ========== Platform/Partner Types ==========
 
 export interface Platform {
@@ -312,6 +560,38 @@ export interface Platform {
   updatedAt?: string
 }
 
+export interface PartnerApiKey {
+  prefix: string
+  createdAt: string
+  lastUsedAt: string | null
+}
+
+export interface PartnerWebhook {
+  _id: string
+  url: string
+  events: string[] // empty = all events
+  isActive: boolean
+  lastDeliveryAt: string | null
+  lastDeliveryStatus: 'delivered' | 'failed' | null
+  createdAt: string
+}
+
+export interface WebhookDelivery {
+  _id: string
+  webhookId: string
+  event: string
+  dealId: string | null
+  payload: string
+  status: 'pending' | 'delivered' | 'failed'
+  attempts: number
+  nextAttemptAt: string
+  responseStatus: number | null
+  responseTimeMs: number | null
+  lastError: string | null
+  deliveredAt: string | null
+  createdAt: string
+}
+
 // ========== Transaction Types ==========
 
 export interface Transaction {
@@ -322,9 +602,12 @@ export interface Transaction {
   fromAddress: string | null
   toAddress: string | null
   amount: number
+  network?: 'tron' | 'bep20'
   asset: string
-  status: 'pending' | 'confirmed' | 'failed'
+  status: 'pending' | 'confirmed' | 'finalized' | 'failed'
   block?: number
+  confirmations?: number | null
+  requiredConfirmations?: number | null
   timestamp: string
 }
 
@@ -380,6 +663,24 @@ export interface AdminFinanceStats {
   dealsWithCostData: number
   feesaverDeals: number
   fallbackDeals: number
+  stakingDeals: number
+}
+
+export interface AdminEnergyStrategyStats {
+  strategy: 'feesaver' | 'trx' | 'staking'
+  payouts: number
+  energy: number
+  costTrx: string
+  avgCostTrx: string
+  costPer100kEnergy: string
+  savedTrx: string
+  fallbacks: number
+}
+
+export interface AdminEnergyStats {
+  strategies: AdminEnergyStrategyStats[]
+  totalSavedTrx: string
+  totalSavedUsd: string
 }
 
 export interface PartnerDetail {
@@ -424,6 +725,34 @@ export interface BotStatusProgress {
   percent: number
 }
 
+export type ReencryptionStatus = 'running' | 'stopped' | 'completed'
+
+export interface ReencryptionProgress {
+  keyId?: string
+  status?: ReencryptionStatus
+  collections?: Record<string, { lastId: string | null; done: boolean }>
+  processed?: number
+  updated?: number
+  failed?: number
+  startedAt?: string
+  completedAt?: string | null
+  error?: string | null
+  isRunning: boolean
+}
+
+export interface EncryptionReport {
+  activeKeyId: string | null
+  loadedKeys: string[]
+  collections: Array<{
+    name: string
+    total: number
+    // Records per key id ("v1" - legacy values without a key id)
+    keys: Record<string, number>
+    plaintext: number
+  }>
+  progress: ReencryptionProgress
+}
+
 export interface AdminStats {
   deals: {
     total: number
@@ -441,6 +770,7 @@ export interface AdminStats {
   }
   userAnalytics?: UserAnalytics
   finance: AdminFinanceStats
+  energy?: AdminEnergyStats
   partners: AdminPartnersStats
   // Legacy fields for backward compat
   totalDeals: number
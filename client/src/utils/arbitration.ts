@@ -0,0 +1,69 @@
+import type { Arbiter, Dispute } from '@/types'
+
+type Assignee = Pick<Arbiter, '_id' | 'name' | 'username'>
+
+interface ViewerAccount {
+  username: string
+  role?: string
+}
+
+export function getAssignee(dispute: Dispute): Assignee | null {
+  return dispute.assignedTo && typeof dispute.assignedTo === 'object' ? dispute.assignedTo : null
+}
+
+export function getAppealReviewer(dispute: Dispute): Assignee | null {
+  const reviewer = dispute.appeal?.reviewerId
+  return reviewer && typeof reviewer === 'object' ? reviewer : null
+}
+
+export function isAdminAccount(account: ViewerAccount | null): boolean {
+  return !account?.role || account.role === 'admin'
+}
+
+export function isSeniorAccount(account: ViewerAccount | null): boolean {
+  return isAdminAccount(account) || account?.role === 'senior_arbiter'
+}
+
+// Only the admin and the assigned arbiter may resolve or cancel a dispute
+export function canResolveDispute(account: ViewerAccount | null, dispute: Dispute): boolean {
+  if (isAdminAccount(account)) return true
+  return getAssignee(dispute)?.username === account?.username
+}
+
+// Arbiters take unassigned disputes and start review of their own open ones
+export function canTakeDispute(account: ViewerAccount | null, dispute: Dispute): boolean {
+  if (isAdminAccount(account) || dispute.status === 'resolved') return false
+  const assignee = getAssignee(dispute)
+  return !assignee || (assignee.username === account?.username && dispute.status === 'open')
+}
+
+// Appeals are reviewed by their reviewer (never the arbiter who decided) or the admin
+export function canReviewAppeal(account: ViewerAccount | null, dispute: Dispute): boolean {
+  if (dispute.appeal?.status !== 'pending') return false
+  if (isAdminAccount(account)) return true
+  return getAppealReviewer(dispute)?.username === account?.username
+}
+
+// Loser may still appeal: no appeal filed and the winner's key not requested yet
+export function isAppealWindowOpen(dispute: Dispute): boolean {
+  if (dispute.appeal?.status || dispute.payoutRequestedAt || !dispute.appealDueAt) return false
+  return new Date(dispute.appealDueAt).getTime() > Date.now()
+}
+
+/**
+ * Nearest SLA deadline: review start while an assigned dispute is still open,
+ * then the overall resolution deadline
+ */
+export function getSlaDeadline(dispute: Dispute): { label: string; dueAt: string; overdue: boolean } | null {
+  if (dispute.status === 'resolved') return null
+
+  const review = dispute.status === 'open' && dispute.reviewDueAt
+  const dueAt = review ? dispute.reviewDueAt : dispute.resolveDueAt
+  if (!dueAt) return null
+
+  return {
+    label: review ? 'Начать рассмотрение' : 'Вынести решение',
+    dueAt,
+    overdue: new Date(dueAt).getTime() < Date.now(),
+  }
+}
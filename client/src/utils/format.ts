@@ -35,6 +35,27 @@ export function formatCurrency(amount: number, currency: string = 'USDT'): strin
   return `${amount.toFixed(2)} ${currency}`
 }
 
+const EXPLORERS: Record<string, { name: string; tx: string; address: string }> = {
+  tron: { name: 'Tronscan', tx: 'https://tronscan.org/#/transaction/', address: 'https://tronscan.org/#/address/' },
+  bep20: { name: 'BscScan', tx: 'https://bscscan.com/tx/', address: 'https://bscscan.com/address/' },
+}
+
+function getExplorer(network?: string) {
+  return EXPLORERS[network || 'tron'] || EXPLORERS.tron
+}
+
+export function explorerName(network?: string): string {
+  return getExplorer(network).name
+}
+
+export function explorerTxUrl(txHash: string, network?: string): string {
+  return getExplorer(network).tx + txHash
+}
+
+export function explorerAddressUrl(address: string, network?: string): string {
+  return getExplorer(network).address + address
+}
+
 export function truncate(str: string | null | undefined, length: number): string {
   if (!str) return ''
   if (str.length <= length) return str
@@ -0,0 +1,177 @@
+/**
+ * API Keys Management Script
+ *
+ * Manages keys for the internal REST API (src/api).
+ *
+ * Usage:
+ *   node scripts/api-keys.js create <name> <scope1,scope2,...>
+ *   node scripts/api-keys.js list
+ *   node scripts/api-keys.js rotate <keyId> [graceHours]
+ *   node scripts/api-keys.js revoke <keyId>
+ *
+ * Example:
+ *   node scripts/api-keys.js create "Support dashboard" deals:read,disputes:read
+ *   node scripts/api-keys.js rotate ks_1a2b3c4d5e6f7a8b 48
+ *
+ * The secret is printed ONCE on create/rotate - store it securely.
+ * On rotate the old secret keeps working for the grace period
+ * (API_KEY_ROTATION_GRACE_HOURS, default 24h).
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { init: initEncryption } = require('../src/utils/encryption');
+const { API_SCOPES, API_KEY_ROTATION_GRACE_HOURS } = require('../src/config/constants');
+
+const ApiKey = require('../src/models/ApiKey');
+const AuditLog = require('../src/models/AuditLog');
+
+function printUsage() {
+  console.log('Usage:');
+  console.log('  node scripts/api-keys.js create <name> <scope1,scope2,...>');
+  console.log('  node scripts/api-keys.js list');
+  console.log('  node scripts/api-keys.js rotate <keyId> [graceHours]');
+  console.log('  node scripts/api-keys.js revoke <keyId>');
+  console.log(`\nAvailable scopes: ${API_SCOPES.join(', ')}`);
+}
+
+async function createKey(name, scopesArg) {
+  if (!name || !scopesArg) {
+    printUsage();
+    return;
+  }
+
+  const scopes = scopesArg.split(',').map(s => s.trim()).filter(Boolean);
+  const { apiKey, secret } = await ApiKey.generate(name, scopes);
+
+  await AuditLog.log(null, 'api_key_created', {
+    keyId: apiKey.keyId,
+    name,
+    scopes
+  });
+
+  console.log('✅ API key created\n');
+  console.log(`   Key ID: ${apiKey.keyId}`);
+  console.log(`   Secret: ${secret}`);
+  console.log(`   Scopes: ${scopes.join(', ')}`);
+  console.log('\n⚠️  Save the secret now - it will not be shown again!');
+}
+
+async function listKeys() {
+  const keys = await ApiKey.find().sort({ createdAt: -1 }).lean();
+
+  if (keys.length === 0) {
+    console.log('No API keys found');
+    return;
+  }
+
+  for (const key of keys) {
+    const status = key.isActive ? '🟢 active' : '🔴 revoked';
+    console.log(`${key.keyId}  ${status}  "${key.name}"`);
+    console.log(`   Scopes: ${key.scopes.join(', ') || '—'}`);
+    console.log(`   Created: ${key.createdAt.toISOString()}`);
+    console.log(`   Last used: ${key.lastUsedAt ? key.lastUsedAt.toISOString() : 'never'}`);
+    if (key.rotatedAt) {
+      console.log(`   Rotated: ${key.rotatedAt.toISOString()}`);
+    }
+    if (key.previousSecretExpiresAt && key.previousSecretExpiresAt > new Date()) {
+      console.log(`   Previous secret valid until: ${key.previousSecretExpiresAt.toISOString()}`);
+    }
+    console.log('');
+  }
+}
+
+async function rotateKey(keyId, graceHoursArg) {
+  if (!keyId) {
+    printUsage();
+    return;
+  }
+
+  if (graceHoursArg !== undefined && !/^\d+(\.\d+)?$/.test(graceHoursArg)) {
+    console.log('❌ graceHours must be a non-negative number');
+    return;
+  }
+
+  const apiKey = await ApiKey.findOne({ keyId, isActive: true }).select('+secret +previousSecret');
+  if (!apiKey) {
+    console.log('❌ Active API key not found');
+    return;
+  }
+
+  const graceHours = graceHoursArg !== undefined ? parseFloat(graceHoursArg) : API_KEY_ROTATION_GRACE_HOURS;
+  const secret = await apiKey.rotate(graceHours);
+
+  await AuditLog.log(null, 'api_key_rotated', {
+    keyId,
+    graceHours
+  });
+
+  console.log('✅ API key rotated\n');
+  console.log(`   Key ID: ${keyId}`);
+  console.log(`   New secret: ${secret}`);
+  console.log(graceHours > 0
+    ? `   Old secret valid for ${graceHours}h more`
+    : '   Old secret revoked immediately');
+  console.log('\n⚠️  Save the secret now - it will not be shown again!');
+}
+
+async function revokeKey(keyId) {
+  if (!keyId) {
+    printUsage();
+    return;
+  }
+
+  const apiKey = await ApiKey.findOne({ keyId, isActive: true });
+  if (!apiKey) {
+    console.log('❌ Active API key not found');
+    return;
+  }
+
+  await apiKey.revoke();
+  await AuditLog.log(null, 'api_key_revoked', { keyId });
+
+  console.log(`✅ API key ${keyId} revoked`);
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (!command) {
+    printUsage();
+    process.exit(1);
+  }
+
+  // Secrets are stored encrypted - key is required to read/write them
+  if (!initEncryption()) {
+    console.error('❌ ENCRYPTION_KEY not set. Aborting.');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    switch (command) {
+      case 'create':
+        await createKey(args[0], args[1]);
+        break;
+      case 'list':
+        await listKeys();
+        break;
+      case 'rotate':
+        await rotateKey(args[0], args[1]);
+        break;
+      case 'revoke':
+        await revokeKey(args[0]);
+        break;
+      default:
+        printUsage();
+    }
+  } catch (error) {
+    console.error('❌ Script error:', error.message);
+  } finally {
+    await mongoose.disconnect();
+    process.exit(0);
+  }
+}
+
+main();
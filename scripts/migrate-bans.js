@@ -0,0 +1,46 @@
+/**
+ * Migration: blacklisted users -> user restrictions
+ * Creates a permanent 'ban' restriction for every user banned by the old
+ * boolean flag, so the ban shows up in the admin panel and survives the sync
+ * of User.blacklisted with active restrictions.
+ * Run once: node scripts/migrate-bans.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('Connected to MongoDB');
+
+  const User = require('../src/models/User');
+  const UserRestriction = require('../src/models/UserRestriction');
+
+  const users = await User.find({ blacklisted: true }).select('telegramId').lean();
+  let created = 0;
+
+  for (const user of users) {
+    const exists = await UserRestriction.exists({ telegramId: user.telegramId, type: 'ban', status: 'active' });
+    if (exists) continue;
+
+    const restriction = await UserRestriction.create({
+      telegramId: user.telegramId,
+      type: 'ban',
+      reasonCode: 'other',
+      reason: 'Migrated from blacklist',
+      issuedBy: 'migration'
+    });
+
+    await User.updateOne(
+      { telegramId: user.telegramId },
+      { $push: { restrictions: { restrictionId: restriction._id, type: 'ban', expiresAt: null } } }
+    );
+    created++;
+  }
+
+  console.log(`Blacklisted users: ${users.length}, restrictions created: ${created}`);
+
+  await mongoose.disconnect();
+}
+
+migrate().catch(console.error);
@@ -0,0 +1,27 @@
+/**
+ * Migration: allow one dispute per milestone
+ * Replaces unique index { dealId } with unique { dealId, milestoneIndex }
+ * The bot does the same at startup; run this by hand if it lacks dropIndex rights:
+ * node scripts/migrate-dispute-milestones.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('Connected to MongoDB');
+
+  const Dispute = require('../src/models/Dispute');
+  const dropped = await Dispute.dropLegacyIndexes();
+  if (!dropped) {
+    console.log('Unique index dealId_1 not found, skipping');
+  }
+
+  await Dispute.syncIndexes();
+  console.log('Dispute indexes synced');
+
+  await mongoose.disconnect();
+}
+
+migrate().catch(console.error);
@@ -0,0 +1,122 @@
+/**
+ * Migration: pseudo-multisig deals -> on-chain 2-of-3 escrows
+ *
+ * 1. Stores the key addresses (buyerKeyAddress / sellerKeyAddress) of deals
+ *    that still keep the participants' private keys.
+ * 2. Sets the on-chain permissions of funded TRON escrows (status locked /
+ *    in_progress / dispute, or a payout waiting for a key). The arbiter pays
+ *    ESCROW_PERMISSION_FEE_TRX + ESCROW_MULTISIG_RESERVE_TRX per escrow.
+ * 3. Deletes the stored private keys and the temp template keys - keys are
+ *    validated by address from now on.
+ *
+ * Finished deals keep their escrow key (a permission update costs
+ * ESCROW_PERMISSION_FEE_TRX and there is nothing left to protect).
+ *
+ * Run once: node scripts/migrate-onchain-multisig.js [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const FUNDED_STATUSES = ['locked', 'in_progress', 'dispute'];
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`Connected to MongoDB${DRY_RUN ? ' (dry run)' : ''}`);
+
+  // Stored keys are encrypted
+  require('../src/utils/encryption').init();
+
+  const Deal = require('../src/models/Deal');
+  const MultisigWallet = require('../src/models/MultisigWallet');
+  const blockchainService = require('../src/services/blockchain');
+  const escrowPermissionService = require('../src/services/escrowPermissionService');
+
+  // 1. Key addresses
+  const legacyDeals = await Deal.find({
+    $or: [{ buyerPrivateKey: { $ne: null } }, { sellerPrivateKey: { $ne: null } }]
+  }).select('+buyerPrivateKey +sellerPrivateKey').lean();
+  let addressed = 0;
+
+  for (const deal of legacyDeals) {
+    const update = {};
+    if (deal.buyerPrivateKey && !deal.buyerKeyAddress) {
+      update.buyerKeyAddress = blockchainService.privateKeyToAddress(deal.buyerPrivateKey);
+    }
+    if (deal.sellerPrivateKey && !deal.sellerKeyAddress) {
+      update.sellerKeyAddress = blockchainService.privateKeyToAddress(deal.sellerPrivateKey);
+    }
+    if (Object.keys(update).length === 0) continue;
+
+    if (!DRY_RUN) {
+      await Deal.updateOne({ _id: deal._id }, { $set: update });
+    }
+    addressed++;
+  }
+
+  console.log(`Deals with stored keys: ${legacyDeals.length}, key addresses saved: ${addressed}`);
+
+  // 2. On-chain permissions for funded escrows
+  const fundedDeals = await Deal.find({
+    network: { $in: ['tron', null] },
+    depositTxHash: { $ne: null },
+    $or: [{ status: { $in: FUNDED_STATUSES } }, { pendingKeyValidation: { $ne: null } }]
+  }).lean();
+  let converted = 0;
+  let skipped = 0;
+  let failed = 0;
+
+  for (const deal of fundedDeals) {
+    const wallet = await MultisigWallet.findOne({ dealId: deal._id }).select('permissionMode').lean();
+    if (!wallet || wallet.permissionMode === 'onchain') {
+      skipped++;
+      continue;
+    }
+
+    if (DRY_RUN) {
+      console.log(`  ${deal.dealId} (${deal.status}): would set permissions on ${deal.multisigAddress}`);
+      converted++;
+      continue;
+    }
+
+    const result = await escrowPermissionService.setupPermissions(deal);
+    if (result.success) {
+      console.log(`  ${deal.dealId}: ${result.txHash}`);
+      converted++;
+    } else if (result.skipped) {
+      console.log(`  ${deal.dealId}: skipped (participant key missing)`);
+      skipped++;
+    } else {
+      console.log(`  ${deal.dealId}: failed - ${result.error}`);
+      failed++;
+    }
+  }
+
+  console.log(`Funded escrows: ${fundedDeals.length}, converted: ${converted}, skipped: ${skipped}, failed: ${failed}`);
+
+  // 3. Drop stored keys of deals that have key addresses
+  const cleanup = [
+    { field: 'buyerPrivateKey', address: 'buyerKeyAddress' },
+    { field: 'sellerPrivateKey', address: 'sellerKeyAddress' }
+  ];
+  for (const { field, address } of cleanup) {
+    const query = { [field]: { $ne: null }, [address]: { $ne: null } };
+    const count = await Deal.countDocuments(query);
+    if (!DRY_RUN) {
+      await Deal.updateMany(query, { $set: { [field]: null } });
+    }
+    console.log(`${field} removed: ${count}`);
+  }
+
+  const tempQuery = { $or: [{ buyerKey: { $ne: null } }, { sellerKey: { $ne: null } }, { arbiterKey: { $ne: null } }] };
+  const tempCount = await Deal.countDocuments(tempQuery);
+  if (!DRY_RUN) {
+    await Deal.updateMany(tempQuery, { $set: { buyerKey: null, sellerKey: null, arbiterKey: null } });
+  }
+  console.log(`Temp template keys removed: ${tempCount}`);
+
+  await mongoose.disconnect();
+}
+
+migrate().catch(console.error);
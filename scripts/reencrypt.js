@@ -0,0 +1,66 @@
+/**
+ * Re-encrypt sensitive data with the active encryption key.
+ *
+ * Key rotation:
+ *   1. Generate a key: node -e "require('./src/utils/encryption').generateKey()"
+ *   2. Add it next to the old one and make it active:
+ *        ENCRYPTION_KEYS=2:<new_key_hex>
+ *        ENCRYPTION_KEY_ID=2
+ *   3. Restart the services (new values use the new key), then run:
+ *        node scripts/reencrypt.js
+ *   4. Once the report shows no records on the old key, remove it from .env.
+ *
+ * Usage:
+ *   node scripts/reencrypt.js             # re-encrypt (resumes an interrupted run)
+ *   node scripts/reencrypt.js --restart   # start over from the first record
+ *   node scripts/reencrypt.js --report    # only show records per key version
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const encryption = require('../src/utils/encryption');
+const reencryptionService = require('../src/services/reencryptionService');
+
+const REPORT_ONLY = process.argv.includes('--report');
+const RESTART = process.argv.includes('--restart');
+
+function printReport(report) {
+  console.log(`\nActive key: ${report.activeKeyId}, loaded: ${report.loadedKeys.join(', ')}`);
+  for (const collection of report.collections) {
+    const keys = Object.entries(collection.keys).map(([keyId, count]) => `${keyId}: ${count}`).join(', ') || '-';
+    console.log(`  ${collection.name.padEnd(16)} total: ${collection.total}, keys: ${keys}, plaintext: ${collection.plaintext}`);
+  }
+}
+
+async function main() {
+  if (!encryption.init()) {
+    console.error('❌ Encryption keys not set. Aborting.');
+    process.exit(1);
+  }
+
+  const uri = process.env.MONGODB_URI;
+  if (!uri) {
+    console.error('❌ MONGODB_URI not set. Aborting.');
+    process.exit(1);
+  }
+
+  await mongoose.connect(uri);
+  console.log('✅ Connected to MongoDB');
+
+  if (!REPORT_ONLY) {
+    await reencryptionService.prepare(RESTART);
+    const state = await reencryptionService.run();
+    console.log(`\nProcessed: ${state.processed}, updated: ${state.updated}, not decryptable: ${state.failed}`);
+  }
+
+  printReport(await reencryptionService.getReport());
+
+  await mongoose.disconnect();
+  process.exit(0);
+}
+
+main().catch(err => {
+  console.error('❌ Re-encryption failed:', err);
+  process.exit(1);
+});
@@ -8,6 +8,7 @@ const connectDB = require('../config/database');
 const { testConnection } = require('../config/tron');
 const encryption = require('../utils/encryption');
 const errorHandler = require('./middleware/errorHandler');
+const { apiKeyAuth, requireScope } = require('./middleware/apiKeyAuth');
 const mongoose = require('mongoose');
 
 // Track server start time for uptime calculation
@@ -31,7 +32,12 @@ app.use(helmet({
   contentSecurityPolicy: false // Allow inline scripts for admin panel
 }));
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  // Keep raw body for HMAC signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Rate limiting
@@ -172,11 +178,12 @@ app.get('/api/check-ip', async (req, res) => {
 });
 
 // API Routes (internal - for system/bot operations)
-app.use('/api/deals', dealsRouter);
-app.use('/api/multisig', multisigRouter);
-app.use('/api/transactions', transactionsRouter);
-app.use('/api/disputes', disputesRouter);
-app.use('/api/referrals', referralsRouter);
+// Require API key (or HMAC signature) with per-router scopes
+app.use('/api/deals', apiKeyAuth, requireScope('deals'), dealsRouter);
+app.use('/api/multisig', apiKeyAuth, requireScope('multisig'), multisigRouter);
+app.use('/api/transactions', apiKeyAuth, requireScope('transactions'), transactionsRouter);
+app.use('/api/disputes', apiKeyAuth, requireScope('disputes'), disputesRouter);
+app.use('/api/referrals', apiKeyAuth, requireScope('referrals'), referralsRouter);
 
 // Note: Admin and Blog APIs are served by client/server.js (port 3001)
 
@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const ApiKey = require('../../models/ApiKey');
+const ApiNonce = require('../../models/ApiNonce');
+const AuditLog = require('../../models/AuditLog');
+const { API_SIGNATURE_MAX_AGE_MS } = require('../../config/constants');
+
+/**
+ * Routes that need a dedicated scope instead of <router>:read / <router>:write.
+ * Key format: '<router> <METHOD> <path relative to router>'
+ */
+const ROUTE_SCOPES = {
+  'disputes POST /resolve': 'disputes:resolve',
+  'transactions POST /sign': 'transactions:broadcast',
+  'transactions POST /broadcast': 'transactions:broadcast'
+};
+
+/**
+ * Compare two strings in constant time (hashing first, so lengths always match)
+ */
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const hashA = crypto.createHash('sha256').update(a).digest();
+  const hashB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Build HMAC-SHA256 signature for a request.
+ * Payload: "<timestamp>.<nonce>.<METHOD>.<originalUrl>.<raw body>"
+ * @param {string} secret
+ * @param {string} timestamp - Unix time in milliseconds
+ * @param {string} nonce - Unique per request (accepted once)
+ * @param {string} method
+ * @param {string} url - Path with query string
+ * @param {string} body - Raw request body ('' for GET)
+ * @returns {string} hex signature
+ */
+function signRequest(secret, timestamp, nonce, method, url, body = '') {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${nonce}.${method.toUpperCase()}.${url}.${body}`)
+    .digest('hex');
+}
+
+/**
+ * Authenticate service-to-service calls to internal API.
+ *
+ * Headers:
+ * - X-Api-Key-Id: key identifier (always required)
+ * - X-Signature + X-Timestamp + X-Nonce: HMAC-SHA256 of the request (preferred),
+ *   each nonce is accepted once
+ * - or X-Api-Key: plain secret
+ */
+const apiKeyAuth = async (req, res, next) => {
+  try {
+    const keyId = req.get('X-Api-Key-Id');
+
+    if (!keyId) {
+      return res.status(401).json({
+        success: false,
+        error: 'API key required'
+      });
+    }
+
+    const apiKey = await ApiKey.findOne({ keyId, isActive: true }).select('+secret +previousSecret');
+
+    if (!apiKey) {
+      console.warn(`🔑 Unknown or revoked API key: ${keyId} (ip: ${req.ip})`);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid API key'
+      });
+    }
+
+    const secrets = apiKey.getValidSecrets();
+    const signature = req.get('X-Signature');
+    let authMethod;
+    let valid = false;
+
+    if (signature) {
+      authMethod = 'hmac';
+      const timestamp = req.get('X-Timestamp');
+      const nonce = req.get('X-Nonce');
+      const age = Math.abs(Date.now() - parseInt(timestamp));
+
+      if (!timestamp || !Number.isFinite(age) || age > API_SIGNATURE_MAX_AGE_MS) {
+        return res.status(401).json({
+          success: false,
+          error: 'Request timestamp is missing or expired'
+        });
+      }
+
+      if (!nonce || nonce.length > 128) {
+        return res.status(401).json({
+          success: false,
+          error: 'Request nonce is missing or invalid'
+        });
+      }
+
+      valid = secrets.some(secret =>
+        safeEqual(signRequest(secret, timestamp, nonce, req.method, req.originalUrl, req.rawBody || ''), signature)
+      );
+
+      // Claimed only for a valid signature - others can't burn the client's nonces
+      if (valid && !(await ApiNonce.claim(apiKey.keyId, nonce))) {
+        console.warn(`🔑 Replayed request for API key ${keyId} (ip: ${req.ip})`);
+        return res.status(401).json({
+          success: false,
+          error: 'Request already processed'
+        });
+      }
+    } else {
+      authMethod = 'api_key';
+      const providedSecret = req.get('X-Api-Key');
+      valid = !!providedSecret && secrets.some(secret => safeEqual(secret, providedSecret));
+    }
+
+    if (!valid) {
+      console.warn(`🔑 Invalid ${authMethod} credentials for API key ${keyId} (ip: ${req.ip})`);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid API credentials'
+      });
+    }
+
+    req.apiKey = {
+      id: apiKey._id,
+      keyId: apiKey.keyId,
+      name: apiKey.name,
+      scopes: apiKey.scopes,
+      authMethod,
+      hasScope: (scope) => apiKey.hasScope(scope)
+    };
+
+    // Don't block request on usage tracking
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() }).catch(() => {});
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Require scope for a mounted router.
+ * GET -> '<router>:read', other methods -> '<router>:write',
+ * unless the route is listed in ROUTE_SCOPES.
+ * Every call with a non-read scope is written to AuditLog.
+ * @param {string} routerName - e.g. 'deals', 'disputes'
+ */
+const requireScope = (routerName) => (req, res, next) => {
+  if (!req.apiKey) {
+    return res.status(401).json({
+      success: false,
+      error: 'API key required'
+    });
+  }
+
+  const routePath = req.path.length > 1 ? req.path.replace(/\/$/, '') : req.path;
+  const scope = ROUTE_SCOPES[`${routerName} ${req.method} ${routePath}`]
+    || `${routerName}:${req.method === 'GET' ? 'read' : 'write'}`;
+
+  if (!req.apiKey.hasScope(scope)) {
+    return res.status(403).json({
+      success: false,
+      error: `API key lacks required scope: ${scope}`
+    });
+  }
+
+  // Audit privileged calls once the response is sent (status code is known)
+  if (!scope.endsWith(':read')) {
+    res.on('finish', () => {
+      AuditLog.logApiCall(req.apiKey.keyId, {
+        keyName: req.apiKey.name,
+        authMethod: req.apiKey.authMethod,
+        scope,
+        method: req.method,
+        // req.params is empty at router level - ids from the URL are kept in path
+        path: req.originalUrl,
+        statusCode: res.statusCode,
+        dealId: req.body?.dealId || null
+      }, { ip: req.ip }).catch(error => {
+        console.error('Error writing API audit log:', error.message);
+      });
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  apiKeyAuth,
+  requireScope,
+  signRequest
+};
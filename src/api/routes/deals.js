@@ -52,6 +52,9 @@ router.get('/user/:telegramId', async (req, res, next) => {
 /**
  * POST /api/deals/create
  * Create a new deal
+ * For a milestone deal pass milestones: [{ title, amount, deadlineHours }]
+ * instead of amount and deadlineHours
+ * network: 'tron' (default) or 'bep20' - wallet addresses must belong to that network
  */
 router.post('/create', async (req, res, next) => {
   try {
@@ -61,13 +64,21 @@ router.post('/create', async (req, res, next) => {
       productName,
       description,
       asset,
+      network,
       amount,
       commissionType,
-      deadlineHours
+      deadlineHours,
+      milestones,
+      creatorRole,
+      buyerAddress,
+      sellerAddress
     } = req.body;
 
+    const hasMilestones = Array.isArray(milestones) && milestones.length > 0;
+
     // Validate required fields
-    if (!buyerId || !sellerId || !productName || !description || !amount || !commissionType || !deadlineHours) {
+    if (!buyerId || !sellerId || !productName || !description || !commissionType ||
+        (!hasMilestones && (!amount || !deadlineHours))) {
       return res.status(400).json({
         success: false,
         error: 'Missing required fields'
@@ -80,9 +91,14 @@ router.post('/create', async (req, res, next) => {
       productName,
       description,
       asset: asset || 'USDT',
-      amount: parseFloat(amount),
+      network: network || undefined,
+      amount: amount ? parseFloat(amount) : undefined,
       commissionType,
-      deadlineHours: parseInt(deadlineHours)
+      deadlineHours: deadlineHours ? parseInt(deadlineHours) : undefined,
+      milestones: hasMilestones ? milestones : undefined,
+      creatorRole: creatorRole || 'buyer',
+      buyerAddress,
+      sellerAddress
     });
 
     res.status(201).json({
@@ -66,13 +66,46 @@ router.post('/comment', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/disputes/evidence
+ * Add typed evidence to the dispute timeline
+ */
+router.post('/evidence', async (req, res, next) => {
+  try {
+    const { dealId, userId, type, text, media, txHash } = req.body;
+
+    if (!dealId || !userId || !type) {
+      return res.status(400).json({
+        success: false,
+        error: 'dealId, userId, and type are required'
+      });
+    }
+
+    const { dispute, item } = await disputeService.addEvidence(
+      dealId,
+      parseInt(userId),
+      { type, text, media: media || [], txHash }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Evidence added',
+      evidence: item,
+      responseDueAt: dispute.responseDueAt,
+      respondedAt: dispute.respondedAt
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/disputes/resolve
  * Resolve a dispute (admin/arbiter action)
  */
 router.post('/resolve', async (req, res, next) => {
   try {
-    const { dealId, decision, arbiterId } = req.body;
+    const { dealId, decision, arbiterId, split } = req.body;
 
     if (!dealId || !decision || !arbiterId) {
       return res.status(400).json({
@@ -81,17 +114,25 @@ router.post('/resolve', async (req, res, next) => {
       });
     }
 
-    if (!['refund_buyer', 'release_seller'].includes(decision)) {
+    if (!['refund_buyer', 'release_seller', 'split'].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        error: 'decision must be "refund_buyer", "release_seller" or "split"'
+      });
+    }
+
+    if (decision === 'split' && !split) {
       return res.status(400).json({
         success: false,
-        error: 'decision must be "refund_buyer" or "release_seller"'
+        error: 'split ({ buyerPercent } or { buyerAmount, sellerAmount }) is required for "split" decision'
       });
     }
 
     const result = await disputeService.resolveDispute(
       dealId,
       decision,
-      parseInt(arbiterId)
+      parseInt(arbiterId),
+      split
     );
 
     res.json({
@@ -2,6 +2,7 @@ const dealService = require('../../services/dealService');
 const User = require('../../models/User');
 const Deal = require('../../models/Deal');
 const Session = require('../../models/Session');
+const WebDeal = require('../../models/WebDeal');
 const { Markup } = require('telegraf');
 const {
   roleSelectionKeyboard,
@@ -26,9 +27,13 @@ const messageManager = require('../utils/messageManager');
 const { getMainMenuText } = require('./start');
 const { t, formatDate } = require('../../locales');
 const blockchainService = require('../../services/blockchain');
+const priceService = require('../../services/priceService');
 const adminAlertService = require('../../services/adminAlertService');
 const {
-  MIN_DEAL_AMOUNT
+  MIN_DEAL_AMOUNT,
+  MIN_MILESTONE_AMOUNT,
+  MAX_MILESTONES,
+  SUPPORTED_ASSETS
 } = require('../../config/constants');
 
 // Escape special Markdown characters
@@ -84,10 +89,15 @@ const startCreateDeal = async (ctx) => {
     const telegramId = ctx.from.id;
     const lang = ctx.state?.lang || 'ru';
 
-    // Check if user is banned
+    // Check if user is banned or restricted from deals
     const user = await User.findOne({ telegramId });
-    if (user?.blacklisted) {
-      const text = t(lang, 'welcome.account_blocked');
+    if (user && !user.canCreateDeal()) {
+      const restriction = User.getRestriction(user, 'deal_creation');
+      const text = user.blacklisted
+        ? t(lang, 'welcome.account_blocked')
+        : t(lang, 'welcome.deals_restricted', {
+          until: restriction?.expiresAt ? formatDate(lang, restriction.expiresAt, { second: undefined }) : null
+        });
       const keyboard = mainMenuButton(lang);
       await messageManager.navigateToScreen(ctx, telegramId, 'banned', text, keyboard);
       return;
@@ -128,12 +138,32 @@ const startCreateDeal = async (ctx) => {
         return;
       }
 
-      if ((pendingDeal.pendingKeyValidation === 'seller_payout' || pendingDeal.pendingKeyValidation === 'seller_release') && !isBuyer) {
+      if (pendingDeal.pendingKeyValidation === 'mutual_cancel' && isBuyer) {
+        const refund = dealService.getCancellationRefund(pendingDeal);
+        const text = t(lang, 'createDeal.pending_buyer_refund', {
+          dealId: pendingDeal.dealId,
+          refundAmount: refund.refundAmount.toFixed(2),
+          asset: pendingDeal.asset,
+          commission: refund.commission.toFixed(2)
+        });
+
+        const keyboard = mainMenuButton(lang);
+        await messageManager.navigateToScreen(ctx, telegramId, 'pending_refund', text, keyboard);
+        return;
+      }
+
+      const sellerPayoutTypes = ['seller_payout', 'seller_release', 'milestone_release'];
+      if (sellerPayoutTypes.includes(pendingDeal.pendingKeyValidation) && !isBuyer) {
+        // Milestone release pays out only the current milestone
+        const payout = pendingDeal.pendingKeyValidation === 'milestone_release'
+          ? Deal.getMilestonePayout(pendingDeal, pendingDeal.currentMilestone)
+          : { payoutAmount: refundAmount, commission: pendingDeal.commission };
+
         const text = t(lang, 'createDeal.pending_seller_payout', {
           dealId: pendingDeal.dealId,
-          payoutAmount: refundAmount.toFixed(2),
+          payoutAmount: payout.payoutAmount.toFixed(2),
           asset: pendingDeal.asset,
-          commission: pendingDeal.commission.toFixed(2)
+          commission: payout.commission.toFixed(2)
         });
 
         const keyboard = mainMenuButton(lang);
@@ -141,6 +171,24 @@ const startCreateDeal = async (ctx) => {
         return;
       }
 
+      if (pendingDeal.pendingKeyValidation === 'dispute_split') {
+        const split = pendingDeal.splitPayout || {};
+        const alreadyPaid = isBuyer ? split.buyerTxHash : split.sellerTxHash;
+
+        if (!alreadyPaid) {
+          const text = t(lang, 'createDeal.pending_split_payout', {
+            dealId: pendingDeal.dealId,
+            payoutAmount: ((isBuyer ? split.buyerAmount : split.sellerAmount) || 0).toFixed(2),
+            asset: pendingDeal.asset,
+            commission: ((isBuyer ? split.buyerCommission : split.sellerCommission) || 0).toFixed(2)
+          });
+
+          const keyboard = mainMenuButton(lang);
+          await messageManager.navigateToScreen(ctx, telegramId, 'pending_payout', text, keyboard);
+          return;
+        }
+      }
+
       // Other party has pending validation - inform them
       const text = t(lang, 'createDeal.pending_other_party', { dealId: pendingDeal.dealId });
       const keyboard = mainMenuButton(lang);
@@ -151,8 +199,8 @@ const startCreateDeal = async (ctx) => {
     // Check if user hasn't reached the deals limit
     if (!(await dealService.canCreateNewDeal(telegramId))) {
       const count = await dealService.countActiveDeals(telegramId);
-      const { MAX_ACTIVE_DEALS_PER_USER } = require('../../config/constants');
-      const text = t(lang, 'createDeal.error_deals_limit', { count, max: MAX_ACTIVE_DEALS_PER_USER });
+      const max = await dealService.getMaxActiveDeals(telegramId);
+      const text = t(lang, 'createDeal.error_deals_limit', { count, max });
       const keyboard = mainMenuButton(lang);
       await messageManager.navigateToScreen(ctx, telegramId, 'has_active_deal', text, keyboard);
       return;
@@ -306,6 +354,10 @@ const handleCreateDealInput = async (ctx) => {
         await handleAmount(ctx, session, text);
         break;
 
+      case 'milestones':
+        await handleMilestones(ctx, session, text);
+        break;
+
       case 'creator_wallet':
         await handleCreatorWallet(ctx, session, text);
         break;
@@ -352,7 +404,7 @@ const handleCounterpartyUsername = async (ctx, session, text) => {
     return;
   }
 
-  if (counterparty.blacklisted) {
+  if (!counterparty.canCreateDeal()) {
     const errorText = t(lang, 'createDeal.error_user_blocked');
     const keyboard = backButton(lang);
     await messageManager.updateScreen(ctx, telegramId, 'create_deal_username', errorText, keyboard);
@@ -361,8 +413,8 @@ const handleCounterpartyUsername = async (ctx, session, text) => {
 
   if (!(await dealService.canCreateNewDeal(counterparty.telegramId))) {
     const count = await dealService.countActiveDeals(counterparty.telegramId);
-    const { MAX_ACTIVE_DEALS_PER_USER } = require('../../config/constants');
-    const errorText = t(lang, 'createDeal.error_counterparty_limit', { username, count, max: MAX_ACTIVE_DEALS_PER_USER });
+    const max = await dealService.getMaxActiveDeals(counterparty.telegramId);
+    const errorText = t(lang, 'createDeal.error_counterparty_limit', { username, count, max });
     const keyboard = backButton(lang);
     await messageManager.updateScreen(ctx, telegramId, 'create_deal_username', errorText, keyboard);
     return;
@@ -443,9 +495,14 @@ const handleDescription = async (ctx, session, text) => {
     session.step = 'commission';
     await setCreateDealSession(telegramId, session);
 
-    const { amount, asset } = session.data;
-    const commission = Deal.calculateCommission(amount);
-    const successText = t(lang, 'createDeal.step7_commission', { amount, asset, commission });
+    const { amount, asset, commissionType } = session.data;
+    const commission = Deal.calculateCommission(amount, asset);
+    let successText = t(lang, 'createDeal.step7_commission', { amount, asset, commission });
+    if (commissionType) {
+      const commTypeText = commissionType === 'buyer' ? t(lang, 'commission.type_buyer') :
+        commissionType === 'seller' ? t(lang, 'commission.type_seller') : t(lang, 'commission.type_split');
+      successText += `\n\n${t(lang, 'createDeal.previously_selected', { value: commTypeText })}`;
+    }
     const keyboard = commissionTypeKeyboard(amount, asset, lang);
     await messageManager.navigateToScreen(ctx, telegramId, 'create_deal_commission', successText, keyboard);
     return;
@@ -479,11 +536,20 @@ const handleAssetSelection = async (ctx) => {
     }
 
     const asset = ctx.callbackQuery.data.split(':')[1];
+    if (!SUPPORTED_ASSETS.includes(asset)) {
+      return;
+    }
+
+    // Refresh TRX rate - commission previews below use the cached value
+    if (asset === 'TRX') {
+      await priceService.getTrxPrice();
+    }
+
     session.data.asset = asset;
     session.step = 'amount';
     await setCreateDealSession(telegramId, session);
 
-    const text = t(lang, 'createDeal.step6_amount', { asset, minAmount: MIN_DEAL_AMOUNT });
+    const text = t(lang, 'createDeal.step6_amount', { asset, minAmount: Deal.fromUsdt(MIN_DEAL_AMOUNT, asset) });
 
     const keyboard = backButton(lang);
     await messageManager.navigateToScreen(ctx, telegramId, 'create_deal_amount', text, keyboard);
@@ -500,9 +566,22 @@ const handleAmount = async (ctx, session, text) => {
   const telegramId = ctx.from.id;
   const lang = ctx.state?.lang || 'ru';
   const amount = parseFloat(text);
+  const asset = session.data.asset || 'USDT';
+  const minAmount = Deal.fromUsdt(MIN_DEAL_AMOUNT, asset);
 
-  if (isNaN(amount) || amount < 50) {
-    const errorText = t(lang, 'createDeal.error_amount');
+  if (isNaN(amount) || amount < minAmount) {
+    const errorText = t(lang, 'createDeal.error_amount', { minAmount, asset });
+    const keyboard = backButton(lang);
+    await messageManager.updateScreen(ctx, telegramId, 'create_deal_amount', errorText, keyboard);
+    return;
+  }
+
+  // Trust tier limit of the creator and of the counterparty (if already chosen)
+  const participants = [telegramId, session.data.buyerId, session.data.sellerId]
+    .filter((id, index, ids) => id && ids.indexOf(id) === index);
+  const maxAmount = await dealService.getMaxDealAmount(participants, asset);
+  if (amount > maxAmount) {
+    const errorText = t(lang, 'createDeal.error_amount_limit', { maxAmount, asset });
     const keyboard = backButton(lang);
     await messageManager.updateScreen(ctx, telegramId, 'create_deal_amount', errorText, keyboard);
     return;
@@ -512,8 +591,7 @@ const handleAmount = async (ctx, session, text) => {
   session.step = 'commission';
   await setCreateDealSession(telegramId, session);
 
-  const { asset } = session.data;
-  const commission = Deal.calculateCommission(amount);
+  const commission = Deal.calculateCommission(amount, asset);
 
   const successText = t(lang, 'createDeal.step7_commission', { amount, asset, commission });
 
@@ -556,17 +634,18 @@ const handleCreatorWallet = async (ctx, session, inputText) => {
   // For BUYER: verify wallet has sufficient balance
   if (creatorRole === 'buyer') {
     // Calculate required amount
-    const commission = Deal.calculateCommission(data.amount);
+    const commission = Deal.calculateCommission(data.amount, data.asset);
     let depositAmount = data.amount;
     if (data.commissionType === 'buyer') {
       depositAmount = data.amount + commission;
     } else if (data.commissionType === 'split') {
       depositAmount = data.amount + (commission / 2);
     }
-    const requiredAmount = depositAmount + 5; // +5 USDT buffer
+    const buffer = Deal.fromUsdt(5, data.asset); // 5 USDT buffer (in TRX for TRX deals)
+    const requiredAmount = depositAmount + buffer;
 
     // Verify wallet balance
-    const verification = await blockchainService.verifyBuyerWallet(address, requiredAmount, depositAmount);
+    const verification = await blockchainService.verifyBuyerWallet(address, requiredAmount, depositAmount, data.asset);
 
     if (!verification.valid) {
       // Store session for retry
@@ -583,7 +662,9 @@ const handleCreatorWallet = async (ctx, session, inputText) => {
         const currentBalance = verification.balance || 0;
         const warningMessage = t(lang, 'wallet.balance_warning', {
           balance: currentBalance.toFixed(2),
-          depositAmount
+          depositAmount,
+          asset: data.asset,
+          buffer
         });
 
         // Save wallet address before showing choice
@@ -714,7 +795,7 @@ const handleWalletNameDeal = async (ctx, session, walletName) => {
  */
 const showDealConfirmation = async (ctx, telegramId, data) => {
   const lang = ctx.state?.lang || 'ru';
-  const commission = Deal.calculateCommission(data.amount);
+  const commission = Deal.calculateCommission(data.amount, data.asset);
 
   let commissionText;
   if (data.commissionType === 'buyer') {
@@ -841,9 +922,14 @@ const handleCommissionSelection = async (ctx) => {
     session.step = 'deadline';
     await setCreateDealSession(telegramId, session);
 
-    const text = t(lang, 'createDeal.step8_deadline');
+    // Deadline may be prefilled (web/partner draft or back navigation)
+    let text = t(lang, 'createDeal.step8_deadline');
+    if (session.data.deadlineHours) {
+      text += `\n\n${t(lang, 'createDeal.previously_selected', { value: getDeadlineText(lang, session.data.deadlineHours) })}`;
+    }
 
-    const keyboard = deadlineKeyboard(lang);
+    // Milestones need a known counterparty - invite deals have a single deadline
+    const keyboard = deadlineKeyboard(lang, !session.data.isInviteLink);
     await messageManager.navigateToScreen(ctx, telegramId, 'create_deal_deadline', text, keyboard);
   } catch (error) {
     console.error('Error handling commission selection:', error);
@@ -859,7 +945,6 @@ const handleDeadlineSelection = async (ctx) => {
     await ctx.answerCbQuery();
 
     const telegramId = ctx.from.id;
-    const lang = ctx.state?.lang || 'ru';
     const session = await getCreateDealSession(telegramId);
 
     // Allow re-selection for back navigation (don't check step strictly)
@@ -870,37 +955,146 @@ const handleDeadlineSelection = async (ctx) => {
 
     const hours = parseInt(ctx.callbackQuery.data.split(':')[1]);
     session.data.deadlineHours = hours;
+    delete session.data.milestones;
 
-    // Check if user has saved wallets
-    const user = await User.findOne({ telegramId }).select('wallets');
-    const savedWallets = user?.wallets || [];
+    await showWalletStep(ctx, telegramId, session);
+  } catch (error) {
+    console.error('Error handling deadline selection:', error);
+  }
+};
 
-    const creatorRole = session.data.creatorRole;
-    const walletPurpose = creatorRole === 'buyer'
-      ? t(lang, 'wallet.purpose_buyer')
-      : t(lang, 'wallet.purpose_seller');
+// ============================================
+// STEP 8b: MILESTONES (instead of a single deadline)
+// ============================================
 
-    if (savedWallets.length > 0) {
-      // User has saved wallets - show selection screen
-      session.step = 'select_wallet';
-      await setCreateDealSession(telegramId, session);
+/**
+ * Ask for the milestone list (button on the deadline screen)
+ */
+const handleMilestonesStart = async (ctx) => {
+  try {
+    await ctx.answerCbQuery();
 
-      const text = t(lang, 'createDeal.step9_wallet', { walletPurpose });
+    const telegramId = ctx.from.id;
+    const lang = ctx.state?.lang || 'ru';
+    const session = await getCreateDealSession(telegramId);
 
-      const keyboard = walletSelectionKeyboard(savedWallets, true, lang);
-      await messageManager.navigateToScreen(ctx, telegramId, 'create_deal_select_wallet', text, keyboard);
-    } else {
-      // No saved wallets - go directly to wallet input
-      session.step = 'creator_wallet';
-      await setCreateDealSession(telegramId, session);
+    if (!session) {
+      // Session expired - restart deal creation
+      return await startCreateDeal(ctx);
+    }
 
-      const text = t(lang, 'createDeal.step9_wallet_input', { walletPurpose });
+    session.step = 'milestones';
+    await setCreateDealSession(telegramId, session);
 
-      const keyboard = backButton(lang);
-      await messageManager.navigateToScreen(ctx, telegramId, 'create_deal_wallet', text, keyboard);
+    const keyboard = backButton(lang);
+    await messageManager.navigateToScreen(ctx, telegramId, 'create_deal_milestones', getMilestonesText(lang, session.data), keyboard);
+  } catch (error) {
+    console.error('Error starting milestone input:', error);
+  }
+};
+
+/**
+ * Milestone input screen (with the previously entered list on back navigation)
+ */
+function getMilestonesText(lang, data) {
+  const asset = data.asset || 'USDT';
+  let text = t(lang, 'createDeal.step8_milestones', {
+    amount: data.amount,
+    asset,
+    min: Deal.fromUsdt(MIN_MILESTONE_AMOUNT, asset),
+    max: MAX_MILESTONES
+  });
+
+  if (data.milestones) {
+    text += `\n\n${t(lang, 'myDeals.milestones_label')}\n${formatMilestoneLines(lang, data)}`;
+  }
+  return text;
+}
+
+/**
+ * Milestone list of the deal being created, one line per milestone
+ */
+function formatMilestoneLines(lang, data) {
+  return data.milestones.map((milestone, index) => t(lang, 'createDeal.milestone_line', {
+    number: index + 1,
+    title: escapeMarkdown(milestone.title),
+    amount: milestone.amount,
+    asset: data.asset,
+    deadline: getDeadlineText(lang, milestone.deadlineHours)
+  })).join('\n');
+}
+
+/**
+ * Parse "title; amount; days" lines and validate them as the deal will
+ * (dealService.buildMilestones); amounts must add up to the deal amount
+ */
+const handleMilestones = async (ctx, session, text) => {
+  const telegramId = ctx.from.id;
+  const lang = ctx.state?.lang || 'ru';
+  const asset = session.data.asset || 'USDT';
+
+  const milestones = text.split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const [title, amount, days] = line.split(';').map(part => (part || '').trim());
+      return { title, amount: parseFloat(amount), deadlineHours: parseFloat(days) * 24 };
+    });
+
+  try {
+    const trxPrice = await dealService.getAssetPrice(asset);
+    const built = dealService.buildMilestones(milestones, asset, trxPrice);
+    if (Math.abs(built.amount - session.data.amount) > 0.01) {
+      throw new Error(`Milestone amounts add up to ${built.amount} ${asset}, the deal amount is ${session.data.amount} ${asset}`);
     }
   } catch (error) {
-    console.error('Error handling deadline selection:', error);
+    const errorText = t(lang, 'createDeal.error_milestones', { message: escapeMarkdown(error.message) });
+    const keyboard = backButton(lang);
+    await messageManager.updateScreen(ctx, telegramId, 'create_deal_milestones', errorText, keyboard);
+    return;
+  }
+
+  session.data.milestones = milestones;
+  // Overall deadline of the deal is the deadline of the last milestone
+  session.data.deadlineHours = milestones[milestones.length - 1].deadlineHours;
+
+  await showWalletStep(ctx, telegramId, session);
+};
+
+/**
+ * Wallet step after the deadline (or milestones) is set:
+ * saved wallets to choose from, or address input
+ */
+const showWalletStep = async (ctx, telegramId, session) => {
+  const lang = ctx.state?.lang || 'ru';
+
+  // Check if user has saved wallets
+  const user = await User.findOne({ telegramId }).select('wallets');
+  const savedWallets = user?.wallets || [];
+
+  const creatorRole = session.data.creatorRole;
+  const walletPurpose = creatorRole === 'buyer'
+    ? t(lang, 'wallet.purpose_buyer')
+    : t(lang, 'wallet.purpose_seller');
+
+  if (savedWallets.length > 0) {
+    // User has saved wallets - show selection screen
+    session.step = 'select_wallet';
+    await setCreateDealSession(telegramId, session);
+
+    const text = t(lang, 'createDeal.step9_wallet', { walletPurpose });
+
+    const keyboard = walletSelectionKeyboard(savedWallets, true, lang);
+    await messageManager.navigateToScreen(ctx, telegramId, 'create_deal_select_wallet', text, keyboard);
+  } else {
+    // No saved wallets - go directly to wallet input
+    session.step = 'creator_wallet';
+    await setCreateDealSession(telegramId, session);
+
+    const text = t(lang, 'createDeal.step9_wallet_input', { walletPurpose });
+
+    const keyboard = backButton(lang);
+    await messageManager.navigateToScreen(ctx, telegramId, 'create_deal_wallet', text, keyboard);
   }
 };
 
@@ -1163,6 +1357,7 @@ const SCREEN_TO_STEP = {
   'create_deal_amount': 'amount',
   'create_deal_commission': 'commission',
   'create_deal_deadline': 'deadline',
+  'create_deal_milestones': 'milestones',
   'create_deal_wallet': 'creator_wallet',
   'create_deal_select_wallet': 'select_wallet',
   'create_deal_confirm': 'confirm'
@@ -1302,7 +1497,7 @@ const showDealCreationScreen = async (ctx, telegramId, session, step) => {
       break;
 
     case 'amount':
-      text = t(lang, 'createDeal.step6_amount', { asset: data.asset || 'USDT', minAmount: MIN_DEAL_AMOUNT });
+      text = t(lang, 'createDeal.step6_amount', { asset: data.asset || 'USDT', minAmount: Deal.fromUsdt(MIN_DEAL_AMOUNT, data.asset) });
 
       if (data.amount) {
         text += `\n\n${t(lang, 'createDeal.previously_entered_amount', { amount: data.amount, asset: data.asset || 'USDT' })}`;
@@ -1313,7 +1508,7 @@ const showDealCreationScreen = async (ctx, telegramId, session, step) => {
       break;
 
     case 'commission':
-      const commission = Deal.calculateCommission(data.amount);
+      const commission = Deal.calculateCommission(data.amount, data.asset);
       text = t(lang, 'createDeal.step7_commission', { amount: data.amount, asset: data.asset, commission });
       if (data.commissionType) {
         const commTypeText = data.commissionType === 'buyer' ? t(lang, 'commission.type_buyer') :
@@ -1329,7 +1524,12 @@ const showDealCreationScreen = async (ctx, telegramId, session, step) => {
         const dlText = getDeadlineText(lang, data.deadlineHours);
         text += `\n\n${t(lang, 'createDeal.previously_selected', { value: dlText })}`;
       }
-      keyboard = deadlineKeyboard(lang);
+      keyboard = deadlineKeyboard(lang, !data.isInviteLink);
+      break;
+
+    case 'milestones':
+      text = getMilestonesText(lang, data);
+      keyboard = backButton(lang);
       break;
 
     case 'creator_wallet':
@@ -1654,7 +1854,7 @@ async function showConfirmationScreen(ctx, telegramId, session) {
   const counterpartyUsername = (rawUsername || '').replace('@', '');
 
   // Calculate commission
-  const commission = Deal.calculateCommission(data.amount);
+  const commission = Deal.calculateCommission(data.amount, data.asset);
 
   // Commission distribution
   let commissionNote = '';
@@ -1666,8 +1866,10 @@ async function showConfirmationScreen(ctx, telegramId, session) {
     commissionNote = t(lang, 'commission.split_note', { half: (commission / 2).toFixed(2), asset: data.asset });
   }
 
-  // Deadline text
-  const deadlineText = getDeadlineText(lang, data.deadlineHours);
+  // Deadline text (milestone deals list every milestone)
+  const deadlineText = data.milestones
+    ? `\n${formatMilestoneLines(lang, data)}`
+    : getDeadlineText(lang, data.deadlineHours);
 
   // Get creator wallet
   const creatorWallet = creatorRole === 'buyer' ? data.buyerAddress : data.sellerAddress;
@@ -1684,7 +1886,7 @@ ${t(lang, 'myDeals.amount_label')} ${data.amount} ${data.asset}
 ${t(lang, 'myDeals.commission_label')} ${commission} ${data.asset}
 _${commissionNote}_
 
-${t(lang, 'myDeals.deadline_label')} ${deadlineText}
+${t(lang, data.milestones ? 'myDeals.milestones_label' : 'myDeals.deadline_label')} ${deadlineText}
 ${t(lang, 'myDeals.escrow_address')} \`${shortWallet}\`
 
 ${t(lang, 'createDeal.confirm_check')}`;
@@ -1706,7 +1908,7 @@ async function showInviteConfirmationScreen(ctx, telegramId, session) {
   const creatorRole = data.creatorRole;
 
   // Calculate commission
-  const commission = Deal.calculateCommission(data.amount);
+  const commission = Deal.calculateCommission(data.amount, data.asset);
 
   // Commission distribution
   let commissionNote = '';
@@ -1809,6 +2011,11 @@ const handleInviteKeySaved = async (ctx) => {
     const lang = ctx.state?.lang || 'ru';
     await messageManager.updateScreen(ctx, telegramId, 'create_deal_loading', t(lang, 'common.creating_deal'), {});
 
+    // Draft created by a partner via API → deal is attributed to that platform
+    const webDeal = data.webDealToken
+      ? await WebDeal.findOne({ token: data.webDealToken }).select('platformId platformCode').lean()
+      : null;
+
     // Create invite deal via dealService with pre-generated key
     const result = await dealService.createInviteDeal({
       creatorRole: data.creatorRole,
@@ -1820,11 +2027,18 @@ const handleInviteKeySaved = async (ctx) => {
       commissionType: data.commissionType,
       deadlineHours: data.deadlineHours,
       creatorAddress: data.creatorRole === 'buyer' ? data.buyerAddress : data.sellerAddress,
-      creatorPrivateKey: data.creatorPrivateKey // Pass the pre-generated key
+      creatorPrivateKey: data.creatorPrivateKey, // Pass the pre-generated key
+      sourcePlatformId: webDeal?.platformId || null,
+      sourcePlatformCode: webDeal?.platformCode || null
     });
 
     const { deal, inviteToken } = result;
 
+    // Link the draft to the created deal (partner API status lookup)
+    if (data.webDealToken) {
+      await WebDeal.updateOne({ token: data.webDealToken }, { $set: { dealId: deal.dealId } });
+    }
+
     // Clean up session
     await deleteCreateDealSession(telegramId);
 
@@ -2003,6 +2217,7 @@ module.exports = {
   handleCreateDealInput,
   handleAssetSelection,
   handleDeadlineSelection,
+  handleMilestonesStart,
   handleCommissionSelection,
   handleRoleSelection,
   handleCounterpartyMethod,
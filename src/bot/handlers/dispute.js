@@ -7,11 +7,20 @@ const {
   mainMenuButton,
   backButton,
   disputeMediaKeyboard,
-  disputeOpenedKeyboard
+  disputeOpenedKeyboard,
+  disputeTimelineKeyboard,
+  disputeEvidenceTypeKeyboard,
+  disputeEvidenceInputKeyboard,
+  disputeAppealInputKeyboard
 } = require('../keyboards/main');
 const messageManager = require('../utils/messageManager');
 const adminAlertService = require('../../services/adminAlertService');
-const { t } = require('../../locales');
+const { DISPUTE_EVIDENCE_TYPES } = require('../../config/constants');
+const { t, formatDate } = require('../../locales');
+
+// Timeline screen must fit into one Telegram message
+const TIMELINE_MAX_ENTRIES = 10;
+const TIMELINE_MAX_TEXT = 300;
 
 function escapeMarkdown(text) {
   if (!text) return '';
@@ -114,6 +123,18 @@ const handleDisputeInput = async (ctx) => {
     // Delete user message
     await messageManager.deleteUserMessage(ctx);
 
+    if (session.step === 'evidence') {
+      const text = ctx.message.text.trim();
+      const evidence = session.evidenceType === 'tx_hash' ? { txHash: text } : { text };
+      await submitEvidence(ctx, session, evidence);
+      return true;
+    }
+
+    if (session.step === 'appeal') {
+      await submitAppeal(ctx, session, ctx.message.text);
+      return true;
+    }
+
     if (session.step === 'reason') {
       const text = ctx.message.text.trim();
 
@@ -162,6 +183,86 @@ setInterval(() => {
   }
 }, 300000);
 
+/**
+ * Download a file from the message and run security validation
+ * On rejection the user sees the reason with `keyboard`
+ * @returns {Promise<Object|null>} - { fileId, fileUrl, fileName, type, metadata }, null if rejected/failed
+ */
+async function downloadDisputeFile(ctx, lang, keyboard) {
+  const telegramId = ctx.from.id;
+
+  // Get file_id, type, and name
+  let fileId;
+  let fileType;
+  let fileName;
+
+  if (ctx.message.photo) {
+    fileId = ctx.message.photo[ctx.message.photo.length - 1].file_id;
+    fileType = 'photo';
+    fileName = `photo_${Date.now()}.jpg`;
+  } else if (ctx.message.video) {
+    fileId = ctx.message.video.file_id;
+    fileType = 'video';
+    fileName = ctx.message.video.file_name || `video_${Date.now()}.mp4`;
+  } else if (ctx.message.document) {
+    fileId = ctx.message.document.file_id;
+    fileType = 'document';
+    fileName = ctx.message.document.file_name || `document_${Date.now()}.pdf`;
+  } else if (ctx.message.voice) {
+    fileId = ctx.message.voice.file_id;
+    fileType = 'voice';
+    fileName = `voice_${Date.now()}.ogg`;
+  }
+
+  if (!fileId) {
+    return null;
+  }
+
+  try {
+    // Download file from Telegram servers
+    const fileUrl = await ctx.telegram.getFileLink(fileId);
+    const fileResponse = await require('axios').get(fileUrl.href || fileUrl.toString(), {
+      responseType: 'arraybuffer'
+    });
+
+    // Validate file security
+    const validation = await fileSecurityService.validateFile(
+      Buffer.from(fileResponse.data),
+      fileType,
+      fileName
+    );
+
+    if (!validation.valid) {
+      // File failed security validation
+      const errorMsg = t(lang, 'dispute.file_rejected', { reason: validation.error });
+      console.error(`🚫 [SECURITY] File rejected for dispute: ${validation.error}`);
+
+      // Log security incident
+      await adminAlertService.alertSecurityThreat(
+        'MALICIOUS_FILE_UPLOAD',
+        ctx.from.username || 'unknown',
+        ctx.from.id,
+        `File: ${fileName} - ${validation.error}`
+      );
+
+      // Notify user
+      await messageManager.updateScreen(ctx, telegramId, 'dispute_file_rejected', errorMsg, keyboard);
+      return null;
+    }
+
+    return {
+      fileId,
+      fileUrl: fileUrl.href || fileUrl.toString(),
+      fileName,
+      type: fileType,
+      metadata: validation.metadata
+    };
+  } catch (err) {
+    console.error('Error handling dispute media file:', err.message);
+    return null;
+  }
+}
+
 /**
  * Handle media attachments for dispute
  * Accepts media at both 'reason' step (with caption as reason) and 'media' step
@@ -177,6 +278,17 @@ const handleDisputeMedia = async (ctx) => {
       return false;
     }
 
+    if (session.step === 'evidence') {
+      return await handleEvidenceMedia(ctx, session);
+    }
+
+    if (session.step === 'appeal') {
+      await messageManager.deleteUserMessage(ctx);
+      await messageManager.updateScreen(ctx, telegramId, 'dispute_appeal_error',
+        t(lang, 'dispute.appeal_text_only'), disputeAppealInputKeyboard(session.dealId, lang));
+      return true;
+    }
+
     const mediaGroupId = ctx.message.media_group_id;
 
     // If still on reason step but user sent media, check for caption as reason text
@@ -240,82 +352,19 @@ ${t(lang, 'dispute.media_single_hint')}`;
     // Delete user message (media)
     await messageManager.deleteUserMessage(ctx);
 
-    // Get file_id, type, and name
-    let fileId;
-    let fileType;
-    let fileName;
-    let fileData;
-
-    if (ctx.message.photo) {
-      fileId = ctx.message.photo[ctx.message.photo.length - 1].file_id;
-      fileType = 'photo';
-      fileName = `photo_${Date.now()}.jpg`;
-    } else if (ctx.message.video) {
-      fileId = ctx.message.video.file_id;
-      fileType = 'video';
-      fileName = ctx.message.video.file_name || `video_${Date.now()}.mp4`;
-    } else if (ctx.message.document) {
-      fileId = ctx.message.document.file_id;
-      fileType = 'document';
-      fileName = ctx.message.document.file_name || `document_${Date.now()}.pdf`;
-    } else if (ctx.message.voice) {
-      fileId = ctx.message.voice.file_id;
-      fileType = 'voice';
-      fileName = `voice_${Date.now()}.ogg`;
-    }
+    const file = await downloadDisputeFile(ctx, lang, disputeMediaKeyboard(session.dealId, lang));
 
-    if (fileId) {
+    if (file) {
       try {
-        // Download file from Telegram servers
-        const fileUrl = await ctx.telegram.getFileLink(fileId);
-        const fileResponse = await require('axios').get(fileUrl.href || fileUrl.toString(), {
-          responseType: 'arraybuffer'
-        });
-        fileData = fileResponse.data;
-
-        // Validate file security
-        const validation = await fileSecurityService.validateFile(
-          Buffer.from(fileData),
-          fileType,
-          fileName
-        );
-
-        if (!validation.valid) {
-          // File failed security validation
-          const errorMsg = t(lang, 'dispute.file_rejected', { reason: validation.error });
-          console.error(`🚫 [SECURITY] File rejected for dispute: ${validation.error}`);
-
-          // Log security incident
-          await adminAlertService.alertSecurityThreat(
-            'MALICIOUS_FILE_UPLOAD',
-            ctx.from.username || 'unknown',
-            ctx.from.id,
-            `File: ${fileName} - ${validation.error}`
-          );
-
-          // Notify user
-          await messageManager.updateScreen(
-            ctx,
-            telegramId,
-            'dispute_file_rejected',
-            errorMsg,
-            disputeMediaKeyboard(session.dealId, lang)
-          );
-
-          return false;
-        }
-
-        // File is valid - store in session
-        const permanentFileUrl = fileUrl.href || fileUrl.toString();
         session.media.push({
-          fileId,
-          fileUrl: permanentFileUrl,
-          type: fileType,
-          metadata: validation.metadata,
+          fileId: file.fileId,
+          fileUrl: file.fileUrl,
+          type: file.type,
+          metadata: file.metadata,
           securityValidated: true
         });
 
-        console.log(`✅ [SECURITY] File validated and added to dispute: ${fileName}`);
+        console.log(`✅ [SECURITY] File validated and added to dispute: ${file.fileName}`);
         await setDisputeSession(telegramId, session);
       } catch (err) {
         console.error('Error handling dispute media file:', err.message);
@@ -436,7 +485,8 @@ const finalizeDisputeHandler = async (ctx) => {
     const otherText = t(counterpartyLang, 'dispute.notify_other', {
       dealId: session.dealId,
       productName: escapeMarkdown(deal.productName),
-      role
+      role,
+      deadline: formatDate(counterpartyLang, dispute.responseDueAt)
     });
 
     const otherKeyboard = disputeOpenedKeyboard(session.dealId, counterpartyLang);
@@ -456,11 +506,354 @@ const finalizeDisputeHandler = async (ctx) => {
   }
 };
 
+// ============================================
+// EVIDENCE TIMELINE
+// ============================================
+
+/**
+ * Render timeline screen text for a participant
+ */
+function buildTimelineText(lang, telegramId, deal, dispute) {
+  const timeline = disputeService.getTimeline(dispute, deal);
+  const shown = timeline.slice(-TIMELINE_MAX_ENTRIES);
+
+  const entries = shown.map(entry => {
+    const author = entry.role === 'arbiter'
+      ? t(lang, 'dispute.arbiter_label')
+      : t(lang, `role.${entry.role}`);
+    const text = entry.type === 'tx_hash'
+      ? `\`${entry.txHash}\``
+      : escapeMarkdown(entry.text?.length > TIMELINE_MAX_TEXT
+        ? `${entry.text.substring(0, TIMELINE_MAX_TEXT)}…`
+        : entry.text);
+
+    return t(lang, 'dispute.timeline_entry', {
+      date: formatDate(lang, entry.at, { second: undefined }),
+      author,
+      type: t(lang, `dispute.evidence_types.${entry.type}`),
+      text,
+      files: entry.media.length
+    });
+  }).join('\n\n');
+
+  const more = timeline.length - shown.length;
+
+  let footer = '';
+  if (dispute.status === 'resolved') {
+    footer = t(lang, 'dispute.resolved_note') + buildAppealNote(lang, telegramId, deal, dispute);
+  } else if (dispute.isRespondentSilent()) {
+    footer = t(lang, 'dispute.response_missed');
+  } else if (dispute.responseDueAt && !dispute.respondedAt) {
+    const deadline = formatDate(lang, dispute.responseDueAt, { second: undefined });
+    footer = dispute.respondentId === telegramId
+      ? t(lang, 'dispute.response_due_you', { deadline })
+      : t(lang, 'dispute.response_due_other', { deadline });
+  }
+
+  return t(lang, 'dispute.timeline', {
+    dealId: deal.dealId,
+    productName: escapeMarkdown(deal.productName),
+    entries: (more > 0 ? t(lang, 'dispute.timeline_more', { count: more }) : '') + entries,
+    footer
+  });
+}
+
+/**
+ * Appeal state under a resolved dispute: window open or appeal under review
+ */
+function buildAppealNote(lang, telegramId, deal, dispute) {
+  if (dispute.appeal?.status === 'pending') {
+    return t(lang, 'dispute.appeal_pending');
+  }
+  if (!dispute.isAppealOpen()) {
+    return '';
+  }
+
+  const deadline = formatDate(lang, dispute.appealDueAt, { second: undefined });
+  return canAppeal(telegramId, deal, dispute)
+    ? t(lang, 'dispute.appeal_open_you', { deadline })
+    : t(lang, 'dispute.appeal_open_other', { deadline });
+}
+
+/**
+ * Losing party of a win/lose decision while the appeal window is open
+ */
+function canAppeal(telegramId, deal, dispute) {
+  if (!dispute.isAppealOpen() || !['refund_buyer', 'release_seller'].includes(dispute.decision)) {
+    return false;
+  }
+  return disputeService.getDecisionParties(deal, dispute.decision).loserId === telegramId;
+}
+
+/**
+ * Timeline keyboard actions for a participant
+ */
+function timelineActions(telegramId, deal, dispute) {
+  return {
+    evidence: dispute.status !== 'resolved',
+    appeal: canAppeal(telegramId, deal, dispute)
+  };
+}
+
+/**
+ * Load deal + latest dispute for a participant, showing an error screen otherwise
+ * @returns {Promise<Object|null>} - { deal, dispute }
+ */
+async function loadParticipantDispute(ctx, dealId, lang) {
+  const telegramId = ctx.from.id;
+  const dispute = await disputeService.getDisputeByDealId(dealId);
+  const deal = dispute?.dealId;
+
+  if (!deal || !deal.isParticipant(telegramId)) {
+    const keyboard = mainMenuButton(lang);
+    await messageManager.showFinalScreen(ctx, telegramId, 'error', t(lang, 'common.not_participant'), keyboard);
+    return null;
+  }
+
+  return { deal, dispute };
+}
+
+/**
+ * Show dispute timeline (also "Done" after adding evidence)
+ */
+const showDisputeTimeline = async (ctx) => {
+  try {
+    const lang = ctx.state?.lang || 'ru';
+    await ctx.answerCbQuery();
+
+    const dealId = ctx.callbackQuery.data.split(':')[1];
+    const telegramId = ctx.from.id;
+
+    // Leaving evidence input
+    await deleteDisputeSession(telegramId);
+
+    const loaded = await loadParticipantDispute(ctx, dealId, lang);
+    if (!loaded) return;
+
+    const text = buildTimelineText(lang, telegramId, loaded.deal, loaded.dispute);
+    const keyboard = disputeTimelineKeyboard(dealId, timelineActions(telegramId, loaded.deal, loaded.dispute), lang);
+    await messageManager.navigateToScreen(ctx, telegramId, `dispute_timeline_${dealId}`, text, keyboard);
+  } catch (error) {
+    console.error('Error showing dispute timeline:', error);
+  }
+};
+
+/**
+ * Choose evidence type
+ */
+const startAddEvidence = async (ctx) => {
+  try {
+    const lang = ctx.state?.lang || 'ru';
+    await ctx.answerCbQuery();
+
+    const dealId = ctx.callbackQuery.data.split(':')[1];
+    const telegramId = ctx.from.id;
+
+    const loaded = await loadParticipantDispute(ctx, dealId, lang);
+    if (!loaded) return;
+
+    if (loaded.dispute.status === 'resolved') {
+      const text = buildTimelineText(lang, telegramId, loaded.deal, loaded.dispute);
+      await messageManager.navigateToScreen(ctx, telegramId, `dispute_timeline_${dealId}`, text,
+        disputeTimelineKeyboard(dealId, timelineActions(telegramId, loaded.deal, loaded.dispute), lang));
+      return;
+    }
+
+    const text = t(lang, 'dispute.evidence_choose', { dealId });
+    const keyboard = disputeEvidenceTypeKeyboard(dealId, DISPUTE_EVIDENCE_TYPES, lang);
+    await messageManager.navigateToScreen(ctx, telegramId, `dispute_evidence_${dealId}`, text, keyboard);
+  } catch (error) {
+    console.error('Error starting evidence input:', error);
+  }
+};
+
+/**
+ * Evidence type selected - wait for text / files
+ */
+const selectEvidenceType = async (ctx) => {
+  try {
+    const lang = ctx.state?.lang || 'ru';
+    await ctx.answerCbQuery();
+
+    const [, dealId, evidenceType] = ctx.callbackQuery.data.split(':');
+    const telegramId = ctx.from.id;
+
+    if (!DISPUTE_EVIDENCE_TYPES.includes(evidenceType)) return;
+
+    const loaded = await loadParticipantDispute(ctx, dealId, lang);
+    if (!loaded) return;
+
+    await setDisputeSession(telegramId, {
+      dealId,
+      step: 'evidence',
+      evidenceType,
+      added: 0,
+      notified: false
+    });
+
+    await messageManager.updateScreen(ctx, telegramId, `dispute_evidence_input_${dealId}`,
+      buildEvidencePrompt(lang, dealId, evidenceType, 0), disputeEvidenceInputKeyboard(dealId, lang));
+  } catch (error) {
+    console.error('Error selecting evidence type:', error);
+  }
+};
+
+function buildEvidencePrompt(lang, dealId, evidenceType, count) {
+  return t(lang, 'dispute.evidence_prompt', {
+    dealId,
+    type: t(lang, `dispute.evidence_types.${evidenceType}`),
+    hint: t(lang, `dispute.evidence_hints.${evidenceType}`),
+    count
+  });
+}
+
+/**
+ * File sent while adding evidence - one file, one timeline item
+ */
+async function handleEvidenceMedia(ctx, session) {
+  const lang = ctx.state?.lang || 'ru';
+  const telegramId = ctx.from.id;
+  const keyboard = disputeEvidenceInputKeyboard(session.dealId, lang);
+
+  await messageManager.deleteUserMessage(ctx);
+
+  if (session.evidenceType === 'tx_hash') {
+    await messageManager.updateScreen(ctx, telegramId, 'dispute_evidence_error',
+      t(lang, 'dispute.evidence_text_only'), keyboard);
+    return true;
+  }
+
+  const file = await downloadDisputeFile(ctx, lang, keyboard);
+  if (!file) {
+    return false;
+  }
+
+  await submitEvidence(ctx, session, {
+    text: ctx.message.caption,
+    media: [file.fileUrl]
+  });
+  return true;
+}
+
+/**
+ * Add evidence item, update the input screen and tell the other party once per session
+ */
+async function submitEvidence(ctx, session, evidence) {
+  const lang = ctx.state?.lang || 'ru';
+  const telegramId = ctx.from.id;
+  const keyboard = disputeEvidenceInputKeyboard(session.dealId, lang);
+
+  let result;
+  try {
+    result = await disputeService.addEvidence(session.dealId, telegramId, {
+      type: session.evidenceType,
+      ...evidence
+    });
+  } catch (error) {
+    await messageManager.updateScreen(ctx, telegramId, 'dispute_evidence_error',
+      t(lang, 'dispute.evidence_error', { message: escapeMarkdown(error.message) }), keyboard);
+    return;
+  }
+
+  // Media groups arrive as parallel updates - re-read the counter
+  const latest = await getDisputeSession(telegramId) || session;
+  latest.added = (latest.added || 0) + 1;
+  const shouldNotify = !latest.notified;
+  latest.notified = true;
+  await setDisputeSession(telegramId, latest);
+
+  await messageManager.updateScreen(ctx, telegramId, `dispute_evidence_input_${session.dealId}`,
+    buildEvidencePrompt(lang, session.dealId, session.evidenceType, latest.added), keyboard);
+
+  if (shouldNotify) {
+    const deal = await dealService.getDealById(session.dealId);
+    const otherPartyId = deal.buyerId === telegramId ? deal.sellerId : deal.buyerId;
+    const otherUser = await User.findOne({ telegramId: otherPartyId }).select('languageCode').lean();
+    const otherLang = otherUser?.languageCode || 'ru';
+
+    const text = t(otherLang, 'dispute.notify_evidence', {
+      dealId: session.dealId,
+      role: t(otherLang, `role.${result.item.role}`),
+      type: t(otherLang, `dispute.evidence_types.${result.item.type}`)
+    });
+    await messageManager.showNotification(ctx, otherPartyId, text,
+      disputeTimelineKeyboard(session.dealId, { evidence: true }, otherLang));
+  }
+}
+
+// ============================================
+// APPEAL
+// ============================================
+
+/**
+ * Start appeal - losing party enters the reason
+ */
+const startAppeal = async (ctx) => {
+  try {
+    const lang = ctx.state?.lang || 'ru';
+    await ctx.answerCbQuery();
+
+    const dealId = ctx.callbackQuery.data.split(':')[1];
+    const telegramId = ctx.from.id;
+
+    const loaded = await loadParticipantDispute(ctx, dealId, lang);
+    if (!loaded) return;
+
+    // Window closed or not the loser - show where the dispute stands
+    if (!canAppeal(telegramId, loaded.deal, loaded.dispute)) {
+      const text = buildTimelineText(lang, telegramId, loaded.deal, loaded.dispute);
+      await messageManager.navigateToScreen(ctx, telegramId, `dispute_timeline_${dealId}`, text,
+        disputeTimelineKeyboard(dealId, timelineActions(telegramId, loaded.deal, loaded.dispute), lang));
+      return;
+    }
+
+    await setDisputeSession(telegramId, { dealId, step: 'appeal' });
+
+    const text = t(lang, 'dispute.appeal_prompt', {
+      dealId,
+      deadline: formatDate(lang, loaded.dispute.appealDueAt, { second: undefined })
+    });
+    await messageManager.navigateToScreen(ctx, telegramId, `dispute_appeal_${dealId}`, text,
+      disputeAppealInputKeyboard(dealId, lang));
+  } catch (error) {
+    console.error('Error starting appeal:', error);
+  }
+};
+
+/**
+ * File the appeal with the entered reason
+ */
+async function submitAppeal(ctx, session, reason) {
+  const lang = ctx.state?.lang || 'ru';
+  const telegramId = ctx.from.id;
+
+  try {
+    await disputeService.fileAppeal(session.dealId, telegramId, reason);
+  } catch (error) {
+    const text = error.message === 'Appeal reason is too short'
+      ? t(lang, 'dispute.reason_too_short', { length: reason.trim().length })
+      : t(lang, 'dispute.appeal_error', { message: escapeMarkdown(error.message) });
+    await messageManager.updateScreen(ctx, telegramId, 'dispute_appeal_error', text,
+      disputeAppealInputKeyboard(session.dealId, lang));
+    return;
+  }
+
+  await deleteDisputeSession(telegramId);
+
+  const keyboard = disputeTimelineKeyboard(session.dealId, {}, lang);
+  await messageManager.showFinalScreen(ctx, telegramId, `dispute_appeal_filed_${session.dealId}`,
+    t(lang, 'dispute.appeal_filed', { dealId: session.dealId }), keyboard);
+}
+
 module.exports = {
   startDispute,
   handleDisputeInput,
   handleDisputeMedia,
   finalizeDisputeHandler,
+  showDisputeTimeline,
+  startAddEvidence,
+  selectEvidenceType,
+  startAppeal,
   hasDisputeSession,
   clearDisputeSession: deleteDisputeSession
 };
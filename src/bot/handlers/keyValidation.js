@@ -6,23 +6,33 @@
  * - deadline expired (work not done): buyer must input key for refund
  * - deadline expired (work submitted): seller must input key for release
  * - dispute resolved: winner must input key for payout
+ * - dispute split: each party must input own key for its share
+ * - milestone accepted (not the last one): seller must input key for a partial release
+ * - late transfer to a closed deal: sender's participant key returns it (stray funds)
+ *
+ * On-chain multisig escrows: the entered key and the arbiter co-sign the payout
+ * (escrowPermissionService), the key itself is never stored. Instead of the key
+ * the user may sign the payout in their own wallet (offlineSigningService) and
+ * upload the signed transactions here or on the signing page.
  */
 
 const Session = require('../../models/Session');
 const Deal = require('../../models/Deal');
 const User = require('../../models/User');
-const Transaction = require('../../models/Transaction');
-const MultisigWallet = require('../../models/MultisigWallet');
+const StrayDeposit = require('../../models/StrayDeposit');
 const AuditLog = require('../../models/AuditLog');
 const ServiceStatus = require('../../models/ServiceStatus');
 const ReferralTransaction = require('../../models/ReferralTransaction');
-const blockchainService = require('../../services/blockchain');
-const feesaverService = require('../../services/feesaver');
+const { getChainAdapter } = require('../../services/chains');
 const adminAlertService = require('../../services/adminAlertService');
+const escrowPermissionService = require('../../services/escrowPermissionService');
+const offlineSigningService = require('../../services/offlineSigningService');
+const payoutService = require('../../services/payoutService');
+const webhookService = require('../../services/webhookService');
 const messageManager = require('../utils/messageManager');
-const { mainMenuButton, backButton } = require('../keyboards/main');
+const { mainMenuButton, backButton, keyRequestKeyboard, offlineSigningKeyboard, strayRefundKeyboard } = require('../keyboards/main');
 const { showReceiptQuestion, sendReceiptNotification } = require('./receiptEmail');
-const { t, escapeMarkdown } = require('../../locales');
+const { t, escapeMarkdown, formatDate } = require('../../locales');
 
 // ============================================
 // REFERRAL BONUS SYSTEM
@@ -210,7 +220,7 @@ async function clearKeyValidationSession(telegramId) {
  * Create key validation session
  * @param {number} telegramId - User telegram ID
  * @param {string} dealId - Deal ID
- * @param {string} type - Validation type: 'seller_payout', 'buyer_refund', 'seller_release', 'dispute_buyer', 'dispute_seller'
+ * @param {string} type - Validation type: 'seller_payout', 'buyer_refund', 'seller_release', 'mutual_cancel', 'dispute_buyer', 'dispute_seller', 'dispute_split', 'stray_refund'
  * @param {Object} extraData - Additional data (e.g., buyerId for notifications)
  */
 async function createKeyValidationSession(telegramId, dealId, type, extraData = {}) {
@@ -222,6 +232,44 @@ async function createKeyValidationSession(telegramId, dealId, type, extraData =
   }, 24); // TTL 24 hours
 }
 
+/**
+ * Run the payout of a key validation session
+ * @param {Object} ctx - Bot context (or { telegram } from background services)
+ * @param {Object} deal
+ * @param {Object} session - Key validation session
+ * @param {string|Object} signer - Entered key, or offline signatures (offlineSigningService)
+ */
+async function runPayout(ctx, deal, session, signer) {
+  // Dispute on a milestone that is not the last one settles only that milestone
+  if (payoutService.getPlanKind(deal, session) === 'milestone') {
+    await processMilestonePayout(ctx, deal, signer, session);
+    return;
+  }
+
+  switch (session.type) {
+    case 'seller_payout':
+      await processSellerPayout(ctx, deal, signer, session);
+      break;
+    case 'seller_release':
+      await processSellerRelease(ctx, deal, signer, session);
+      break;
+    case 'buyer_refund':
+    case 'mutual_cancel':
+      await processBuyerRefund(ctx, deal, signer, session);
+      break;
+    case 'dispute_buyer':
+    case 'dispute_seller':
+      await processDisputePayout(ctx, deal, signer, session);
+      break;
+    case 'dispute_split':
+      await processDisputeSplitPayout(ctx, deal, signer, session);
+      break;
+    case 'stray_refund':
+      await processStrayRefund(ctx, deal, signer, session.strayId);
+      break;
+  }
+}
+
 /**
  * Handle key validation input
  * Main function that processes private key input from users
@@ -238,35 +286,27 @@ async function handleKeyValidationInput(ctx) {
   const session = await Session.getSession(telegramId, 'key_validation');
   if (!session) return false;
 
-  // Get deal with private keys
+  // Stored private keys exist only on pseudo-multisig deals
   const deal = await Deal.findOne({ dealId: session.dealId })
-    .select('+buyerPrivateKey +sellerPrivateKey +buyerKey +sellerKey +arbiterKey');
+    .select('+buyerPrivateKey +sellerPrivateKey');
 
   if (!deal) {
     await clearKeyValidationSession(telegramId);
     return false;
   }
 
-  // Determine which key to validate against
-  let expectedKey;
-  let isSellerKey = false;
+  // Determine whose key to validate
+  const keyRole = payoutService.getRecipientRole(session);
+  if (!keyRole) {
+    console.error(`Unknown key validation type: ${session.type}`);
+    await clearKeyValidationSession(telegramId);
+    return false;
+  }
 
-  switch (session.type) {
-    case 'seller_payout':
-    case 'seller_release':
-    case 'dispute_seller':
-      expectedKey = deal.sellerPrivateKey;
-      isSellerKey = true;
-      break;
-    case 'buyer_refund':
-    case 'dispute_buyer':
-      expectedKey = deal.buyerPrivateKey;
-      isSellerKey = false;
-      break;
-    default:
-      console.error(`Unknown key validation type: ${session.type}`);
-      await clearKeyValidationSession(telegramId);
-      return false;
+  // Signed transactions pasted from the wallet instead of the key
+  if (/^[[{]/.test(inputKey)) {
+    await submitSignedTransactions(ctx, session, inputKey);
+    return true;
   }
 
   // Increment attempts
@@ -274,7 +314,7 @@ async function handleKeyValidationInput(ctx) {
   await Session.setSession(telegramId, 'key_validation', session, 24);
 
   // === VALIDATE KEY ===
-  if (inputKey === expectedKey) {
+  if (escrowPermissionService.matchesKey(deal, keyRole, inputKey)) {
     // ✅ KEY CORRECT - process payout
     await clearKeyValidationSession(telegramId);
 
@@ -283,24 +323,7 @@ async function handleKeyValidationInput(ctx) {
 
     await messageManager.updateScreen(ctx, telegramId, 'payout_processing', processingText, { inline_keyboard: [] });
 
-    // Process payout based on type
-    switch (session.type) {
-      case 'seller_payout':
-        await processSellerPayout(ctx, deal, session.buyerId);
-        break;
-      case 'seller_release':
-        await processSellerRelease(ctx, deal);
-        break;
-      case 'buyer_refund':
-        await processBuyerRefund(ctx, deal);
-        break;
-      case 'dispute_buyer':
-        await processDisputePayout(ctx, deal, 'buyer');
-        break;
-      case 'dispute_seller':
-        await processDisputePayout(ctx, deal, 'seller');
-        break;
-    }
+    await runPayout(ctx, deal, session, inputKey);
     return true;
   }
 
@@ -318,15 +341,256 @@ async function handleKeyValidationInput(ctx) {
   return true;
 }
 
+// ============================================
+// OFFLINE SIGNING (payout signed in the user's wallet)
+// ============================================
+
+/**
+ * Handle "Sign in wallet" button: prepare the payout transactions and send
+ * the signing page link
+ */
+async function handleOfflineSign(ctx) {
+  const telegramId = ctx.from.id;
+  const lang = ctx.state?.lang || 'ru';
+
+  try {
+    await ctx.answerCbQuery();
+    const dealId = ctx.callbackQuery.data.split(':')[1];
+
+    const session = await Session.getSession(telegramId, 'key_validation');
+    const deal = session?.dealId === dealId
+      ? await Deal.findOne({ dealId }).select('+buyerPrivateKey +sellerPrivateKey')
+      : null;
+    if (!deal || !payoutService.getRecipientRole(session)) {
+      await messageManager.updateScreen(ctx, telegramId, 'offline_sign_error', t(lang, 'offlineSign.no_payout'), mainMenuButton(lang));
+      return;
+    }
+
+    if (!await offlineSigningService.isAvailable(deal)) {
+      await messageManager.updateScreen(ctx, telegramId, 'offline_sign_error', t(lang, 'offlineSign.unavailable'), mainMenuButton(lang));
+      return;
+    }
+
+    const request = await offlineSigningService.createRequest(deal, session, telegramId, payoutService.getRecipientRole(session));
+    const payout = request.transactions.find(tx => tx.kind === 'payout');
+    const commission = request.transactions.find(tx => tx.kind === 'commission')?.amount || 0;
+
+    const text = t(lang, 'offlineSign.link', {
+      dealId: deal.dealId,
+      payoutAmount: payout.amount.toFixed(2),
+      asset: deal.asset,
+      commission: commission.toFixed(2),
+      minutes: Math.max(1, Math.round((request.expiresAt - Date.now()) / 60000))
+    });
+    const url = offlineSigningService.getSigningUrl(request.token, lang);
+    await messageManager.updateScreen(ctx, telegramId, 'offline_sign', text, offlineSigningKeyboard(url, lang));
+  } catch (error) {
+    console.error('Error preparing offline signing:', error);
+    const text = t(lang, 'offlineSign.prepare_error', { error: escapeMarkdown(error.message) });
+    await messageManager.updateScreen(ctx, telegramId, 'offline_sign_error', text, mainMenuButton(lang));
+  }
+}
+
+/**
+ * Signed transactions uploaded in the bot (pasted JSON or a JSON file)
+ * @param {Object} ctx
+ * @param {Object} session - Key validation session
+ * @param {string} json - Signed transactions exported from the wallet
+ */
+async function submitSignedTransactions(ctx, session, json) {
+  const telegramId = ctx.from.id;
+  const lang = ctx.state?.lang || 'ru';
+
+  const request = await offlineSigningService.findPendingRequest(telegramId, session);
+  if (!request) {
+    await messageManager.updateScreen(ctx, telegramId, 'offline_sign_error', t(lang, 'offlineSign.no_request'),
+      keyRequestKeyboard(session.dealId, lang));
+    return;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(json);
+  } catch (error) {
+    await messageManager.updateScreen(ctx, telegramId, 'offline_sign_error', t(lang, 'offlineSign.invalid_file'),
+      keyRequestKeyboard(session.dealId, lang));
+    return;
+  }
+
+  let signed;
+  try {
+    signed = await offlineSigningService.submitSignatures(request.token, payload);
+  } catch (error) {
+    const text = t(lang, 'offlineSign.rejected', { error: escapeMarkdown(error.message) });
+    await messageManager.updateScreen(ctx, telegramId, 'offline_sign_error', text, keyRequestKeyboard(session.dealId, lang));
+    return;
+  }
+
+  await offlineSigningService.processNow(signed, ctx);
+}
+
+/**
+ * Signed transactions sent as a JSON file
+ * @returns {Promise<boolean>} - false if the user has no key validation session
+ */
+async function handleSignedFileUpload(ctx) {
+  const telegramId = ctx.from.id;
+  const lang = ctx.state?.lang || 'ru';
+
+  const session = await Session.getSession(telegramId, 'key_validation');
+  const document = ctx.message?.document;
+  if (!session || !document) {
+    return false;
+  }
+
+  await messageManager.deleteUserMessage(ctx);
+
+  // A couple of signed transfers is well under 64 KB
+  if (document.file_size > 64 * 1024) {
+    await messageManager.updateScreen(ctx, telegramId, 'offline_sign_error', t(lang, 'offlineSign.invalid_file'),
+      keyRequestKeyboard(session.dealId, lang));
+    return true;
+  }
+
+  try {
+    const fileUrl = await ctx.telegram.getFileLink(document.file_id);
+    const fileResponse = await require('axios').get(fileUrl.href || fileUrl.toString(), {
+      responseType: 'text'
+    });
+    await submitSignedTransactions(ctx, session, String(fileResponse.data).trim());
+  } catch (error) {
+    console.error('Error downloading signed transactions:', error.message);
+    await messageManager.updateScreen(ctx, telegramId, 'offline_sign_error', t(lang, 'offlineSign.invalid_file'),
+      keyRequestKeyboard(session.dealId, lang));
+  }
+  return true;
+}
+
+// ============================================
+// STRAY FUNDS (late transfers to closed deals)
+// ============================================
+
+/**
+ * Handle "Return funds" button under a stray transfer notice: ask the sender's
+ * participant key (or wallet signature) for the refund
+ */
+async function handleStrayRefund(ctx) {
+  const telegramId = ctx.from.id;
+  const lang = ctx.state?.lang || 'ru';
+
+  try {
+    await ctx.answerCbQuery();
+    const strayId = ctx.callbackQuery.data.split(':')[1];
+
+    const stray = await StrayDeposit.findById(strayId).lean();
+    const deal = stray && await Deal.findById(stray.dealId).lean();
+    const participantId = deal && (stray.senderRole === 'seller' ? deal.sellerId : deal.buyerId);
+    if (!stray || stray.status !== 'detected' || participantId !== telegramId) {
+      await messageManager.updateScreen(ctx, telegramId, 'stray_refund', t(lang, 'stray.not_available'), mainMenuButton(lang));
+      return;
+    }
+
+    await createKeyValidationSession(telegramId, deal.dealId, 'stray_refund', {
+      strayId: String(stray._id),
+      role: stray.senderRole
+    });
+
+    const text = t(lang, 'stray.enter_key', {
+      dealId: deal.dealId,
+      amount: stray.amount,
+      asset: stray.asset,
+      fromAddress: stray.fromAddress
+    });
+    await messageManager.updateScreen(ctx, telegramId, 'stray_refund', text, keyRequestKeyboard(deal.dealId, lang));
+  } catch (error) {
+    console.error('Error starting stray funds refund:', error);
+    await messageManager.updateScreen(ctx, telegramId, 'stray_refund', t(lang, 'stray.not_available'), mainMenuButton(lang));
+  }
+}
+
+/**
+ * Return a late transfer to a closed deal to the address it came from
+ * @param {string|Object} signerKey - Participant key (or offline signatures), co-signs on-chain multisig escrows
+ * @param {string} strayId - StrayDeposit id
+ */
+async function processStrayRefund(ctx, deal, signerKey, strayId) {
+  // Claim the transfer - a double submit must not refund it twice
+  const stray = await StrayDeposit.findOneAndUpdate(
+    { _id: strayId, dealId: deal._id, status: 'detected' },
+    { $set: { status: 'refunding', error: null } },
+    { new: true }
+  );
+
+  const telegramId = stray?.senderRole === 'seller' ? deal.sellerId : deal.buyerId;
+  const user = await User.findOne({ telegramId }).select('languageCode').lean();
+  const lang = user?.languageCode || 'ru';
+
+  if (!stray) {
+    await messageManager.updateScreen(ctx, telegramId, 'stray_refund', t(lang, 'stray.not_available'), mainMenuButton(lang));
+    return;
+  }
+
+  try {
+    if (!stray.fromAddress) {
+      throw new Error('Sender address unknown');
+    }
+
+    console.log(`💸 Returning stray ${stray.amount} ${stray.asset} of deal ${deal.dealId} to ${stray.fromAddress}`);
+
+    const wallet = await escrowPermissionService.loadWallet(deal);
+    const chain = getChainAdapter(deal.network);
+    const { txHash } = await payoutService.sendFromEscrow(deal, wallet, signerKey, chain, stray.fromAddress, stray.amount, 'stray_refund');
+
+    await StrayDeposit.updateOne({ _id: stray._id }, {
+      $set: { status: 'refunded', refundTxHash: txHash, refundedAt: new Date() }
+    });
+
+    await AuditLog.create({
+      action: 'STRAY_FUNDS_REFUNDED',
+      userId: telegramId,
+      dealId: deal._id,
+      details: {
+        dealId: deal.dealId,
+        amount: stray.amount,
+        asset: stray.asset,
+        toAddress: stray.fromAddress,
+        txHash
+      }
+    });
+
+    console.log(`✅ Stray funds returned: ${txHash}`);
+
+    const text = t(lang, 'stray.refunded', {
+      dealId: deal.dealId,
+      amount: stray.amount,
+      asset: stray.asset,
+      txHash
+    });
+    await messageManager.updateScreen(ctx, telegramId, 'stray_refunded', text, mainMenuButton(lang));
+  } catch (error) {
+    console.error(`❌ Error returning stray funds of deal ${deal.dealId}:`, error);
+
+    // Back to detected - the sender may try again
+    await StrayDeposit.updateOne({ _id: stray._id }, { $set: { status: 'detected', error: error.message } });
+    await adminAlertService.alertError(`Stray funds refund ${deal.dealId}`, error);
+
+    const text = t(lang, 'stray.refund_failed', { dealId: deal.dealId });
+    await messageManager.updateScreen(ctx, telegramId, 'stray_refund_error', text, strayRefundKeyboard(stray._id, lang));
+  }
+}
+
 // ============================================
 // PAYOUT PROCESSING FUNCTIONS
 // ============================================
 
 /**
  * Process seller payout (after buyer accepts work)
+ * @param {string|Object} signerKey - Seller's key (or offline signatures), co-signs on-chain multisig payouts
+ * @param {Object} session - Key validation session
  */
-async function processSellerPayout(ctx, deal, buyerId) {
+async function processSellerPayout(ctx, deal, signerKey, session) {
   const telegramId = deal.sellerId;
+  const buyerId = session.buyerId || deal.buyerId;
 
   // Load seller's language from DB to ensure correct language for seller notifications
   const seller = await User.findOne({ telegramId: deal.sellerId }).select('languageCode').lean();
@@ -335,10 +599,6 @@ async function processSellerPayout(ctx, deal, buyerId) {
   // Load buyer's language from DB to ensure correct language for buyer notifications
   const buyer = await User.findOne({ telegramId: buyerId }).select('languageCode').lean();
   const buyerLang = buyer?.languageCode || 'ru';
-  let energyMethod = 'none';
-  let feesaverEnergyCost = 0;
-  let feesaverBandwidthCost = 0;
-  let trxReturned = 0;
 
   // Fetch usernames for rating system
   let sellerUsername = null;
@@ -357,229 +617,23 @@ async function processSellerPayout(ctx, deal, buyerId) {
   }
 
   try {
-    // Get multisig wallet
-    const wallet = await MultisigWallet.findOne({ dealId: deal._id }).select('+privateKey');
-    if (!wallet || !wallet.privateKey) {
-      throw new Error('Multisig wallet key not found');
-    }
-
-    // Get balance
-    const balance = await blockchainService.getBalance(deal.multisigAddress, deal.asset);
-    if (balance <= 0) {
-      throw new Error('Insufficient balance');
-    }
-
-    // Calculate amounts
-    const commission = deal.commission;
-    const releaseAmount = balance - commission;
-
-    if (releaseAmount <= 0) {
-      throw new Error('Balance too low for payout');
-    }
-
-    console.log(`💸 Processing seller payout for deal ${deal.dealId}: ${releaseAmount} ${deal.asset}`);
-
-    // Check if FeeSaver is available
-    const useFeeSaver = feesaverService.isEnabled();
-    const FALLBACK_AMOUNT = parseInt(process.env.FALLBACK_TRX_AMOUNT) || 30;
-
-    // If not using FeeSaver, send fallback TRX upfront
-    if (!useFeeSaver) {
-      console.log(`⚠️ FeeSaver not available, using TRX fallback (${FALLBACK_AMOUNT} TRX)`);
-      const trxResult = await blockchainService.sendTRX(
-        process.env.ARBITER_PRIVATE_KEY,
-        deal.multisigAddress,
-        FALLBACK_AMOUNT
-      );
-      if (trxResult.success) {
-        console.log(`✅ Sent ${FALLBACK_AMOUNT} TRX to multisig: ${trxResult.txHash}`);
-        await new Promise(r => setTimeout(r, 3000));
-        energyMethod = 'trx';
-      } else {
-        throw new Error(`Failed to send TRX: ${trxResult.message}`);
-      }
-    }
-
-    // ============================================
-    // 0. RENT BANDWIDTH FOR BOTH TRANSFERS
-    // ============================================
-
-    // 📶 Rent bandwidth once for both transfers (400 rented + 600 free = 1000)
-    if (useFeeSaver) {
-      try {
-        const bwRental = await feesaverService.rentBandwidthForDeal(deal.multisigAddress);
-        if (bwRental.success) {
-          feesaverBandwidthCost += bwRental.cost;
-          console.log(`✅ Bandwidth rental successful (${bwRental.bandwidthRented} bw, cost: ${bwRental.cost} TRX)`);
-        }
-      } catch (error) {
-        console.error(`⚠️ Bandwidth rental failed: ${error.message}, will use TRX for bandwidth`);
-      }
-    }
-
-    // ============================================
-    // 1. FIRST TRANSFER: Release to seller
-    // ============================================
-
-    // 🔋 Estimate and rent exact energy for first transfer (if using FeeSaver)
-    if (useFeeSaver) {
-      try {
-        // Estimate energy needed for this specific transfer
-        const estimate1 = await blockchainService.estimateTransferEnergy(
-          deal.multisigAddress,
-          deal.sellerAddress,
-          releaseAmount
-        );
-        console.log(`🔋 Renting ${estimate1.energyNeeded} energy for seller payout...`);
-
-        const rental1 = await feesaverService.rentExactEnergy(deal.multisigAddress, estimate1.energyNeeded);
-        if (rental1.success) {
-          feesaverEnergyCost += rental1.cost;
-          energyMethod = 'feesaver';
-          console.log(`✅ Energy rental #1 successful (${estimate1.energyNeeded} energy, cost: ${rental1.cost} TRX)`);
-        } else {
-          throw new Error('Energy rental failed');
-        }
-      } catch (error) {
-        console.error(`⚠️ Energy rental #1 failed: ${error.message}`);
-        // Fallback to TRX
-        const trxResult = await blockchainService.sendTRX(
-          process.env.ARBITER_PRIVATE_KEY,
-          deal.multisigAddress,
-          FALLBACK_AMOUNT
-        );
-        if (trxResult.success) {
-          await new Promise(r => setTimeout(r, 3000));
-          energyMethod = 'trx';
-        } else {
-          throw new Error(`Failed to send fallback TRX: ${trxResult.message}`);
-        }
-      }
-    }
-
-    // Create and send release transaction
-    const releaseTx = await blockchainService.createReleaseTransaction(
-      deal.multisigAddress,
-      deal.sellerAddress,
-      releaseAmount,
-      deal.asset
-    );
-
-    const signedReleaseTx = await blockchainService.signTransaction(releaseTx, wallet.privateKey);
-    const releaseResult = await blockchainService.broadcastTransaction(signedReleaseTx);
-
-    if (!releaseResult.success) {
-      throw new Error(`Release transaction failed: ${releaseResult.error}`);
-    }
-
-    console.log(`✅ Release successful: ${releaseResult.txHash}`);
-
-    // Record transaction
-    const releaseTransaction = new Transaction({
-      dealId: deal._id,
-      type: 'release',
-      asset: deal.asset,
-      amount: releaseAmount,
-      txHash: releaseResult.txHash,
-      status: 'confirmed',
-      fromAddress: deal.multisigAddress,
-      toAddress: deal.sellerAddress
-    });
-    releaseTransaction.generateExplorerLink();
-    await releaseTransaction.save();
-
-    // ============================================
-    // 2. SECOND TRANSFER: Commission to service
-    // ============================================
-
-    console.log(`💰 Commission block: commission=${commission}, useFeeSaver=${useFeeSaver}, energyMethod=${energyMethod}`);
-
-    if (commission > 0) {
-      // Wait a bit before second transfer
-      await new Promise(r => setTimeout(r, 3000));
-
-      // 🔋 Smart energy check for commission transfer
-      const MIN_ENERGY_FOR_TRANSFER = 65000;
-      const MIN_RENTAL = 32000;
-
-      console.log(`🔋 Checking energy before commission transfer...`);
-
-      if (useFeeSaver && energyMethod === 'feesaver') {
-        try {
-          const availableEnergy = await blockchainService.getAvailableEnergy(deal.multisigAddress);
-          console.log(`🔋 Available energy for commission: ${availableEnergy}`);
-
-          if (availableEnergy >= MIN_ENERGY_FOR_TRANSFER) {
-            // Enough energy - no rental needed
-            console.log(`✅ Sufficient energy remaining (${availableEnergy}), no rental needed for commission`);
-          } else {
-            // Not enough energy - rent minimum 32000 (FeeSaver minimum)
-            console.log(`🔋 Have ${availableEnergy} energy, need ${MIN_ENERGY_FOR_TRANSFER}, renting ${MIN_RENTAL}...`);
-            const rental2 = await feesaverService.rentExactEnergy(deal.multisigAddress, MIN_RENTAL);
-            if (rental2.success) {
-              feesaverEnergyCost += rental2.cost;
-              console.log(`✅ Energy rental successful (${MIN_RENTAL} energy, cost: ${rental2.cost} TRX)`);
-            }
-          }
-        } catch (error) {
-          console.error(`⚠️ Energy check/rental failed: ${error.message}, trying transfer anyway...`);
-        }
-      } else {
-        console.log(`⚠️ Skipping energy check: useFeeSaver=${useFeeSaver}, energyMethod=${energyMethod}`);
-      }
-
-      // Wait for energy delegation if we just rented
-      if (useFeeSaver && energyMethod === 'feesaver') {
-        await new Promise(r => setTimeout(r, 5000));
-      }
+    // Amounts (milestone deals: commission of paid milestones is already taken)
+    const plan = await payoutService.getPlan(deal, session);
+    const releaseAmount = plan.payoutAmount;
+    const commission = plan.commission;
 
-      const commissionTx = await blockchainService.createReleaseTransaction(
-        deal.multisigAddress,
-        process.env.SERVICE_WALLET_ADDRESS,
-        commission,
-        deal.asset
-      );
-      const signedCommissionTx = await blockchainService.signTransaction(commissionTx, wallet.privateKey);
-      const commissionResult = await blockchainService.broadcastTransaction(signedCommissionTx);
-
-      if (commissionResult.success) {
-        // Record transaction immediately (broadcast success = transaction submitted)
-        const commissionTransaction = new Transaction({
-          dealId: deal._id,
-          type: 'fee',
-          asset: deal.asset,
-          amount: commission,
-          txHash: commissionResult.txHash,
-          status: 'confirmed',
-          toAddress: process.env.SERVICE_WALLET_ADDRESS
-        });
-        commissionTransaction.generateExplorerLink();
-        await commissionTransaction.save();
-        console.log(`✅ Commission transferred: ${commissionResult.txHash}`);
-      } else {
-        console.error(`❌ Commission transfer broadcast failed: ${commissionResult.error}`);
-      }
-    }
+    // Payout, commission and the deposit overpayment back to the buyer
+    const releaseResult = await payoutService.execute(deal, plan, signerKey);
 
     // Update deal status
     await Deal.findByIdAndUpdate(deal._id, {
       status: 'completed',
       pendingKeyValidation: null,
+      ...closeMilestones(deal, 'released'),
       completedAt: new Date()
     });
 
-    // Return leftover TRX only if fallback was used (FeeSaver keeps 1 TRX for bandwidth)
-    if (energyMethod === 'trx') {
-      trxReturned = await returnLeftoverTRX(deal, wallet.privateKey);
-    }
-
-    // Save operational costs
-    const feesaverCosts = {
-      energy: feesaverEnergyCost,
-      bandwidth: feesaverBandwidthCost,
-      total: feesaverEnergyCost + feesaverBandwidthCost
-    };
-    await saveOperationalCosts(deal, energyMethod, feesaverCosts, trxReturned, 'seller_payout');
+    await webhookService.dispatch(deal, 'deal.completed');
 
     // Notify seller (success) - with receipt option
     const sellerText = t(sellerLang, 'payout.seller_success', {
@@ -656,7 +710,8 @@ async function processSellerPayout(ctx, deal, buyerId) {
     await adminAlertService.alertPayoutCompleted(deal, releaseAmount, commission, releaseResult.txHash, 'release');
 
     // Credit referral bonuses (10% of commission to each participant's referrer)
-    await creditReferralBonuses(deal, commission);
+    // Whole deal commission - milestone payouts don't credit bonuses on their own
+    await creditReferralBonuses(deal, deal.commission);
 
     // Chain reaction: link counterparty to partner on successful completion
     await handlePlatformChainReaction(deal);
@@ -682,12 +737,12 @@ async function processSellerPayout(ctx, deal, buyerId) {
     // Alert admin about error
     await adminAlertService.alertError(`Seller payout ${deal.dealId}`, error);
 
-    const errorText = t(lang, 'payout.seller_error', {
+    const errorText = t(sellerLang, 'payout.seller_error', {
       dealId: deal.dealId,
       errorMessage: error.message
     });
 
-    const keyboard = mainMenuButton(lang);
+    const keyboard = mainMenuButton(sellerLang);
     // Update the "Processing..." message to show error
     await messageManager.updateScreen(ctx, telegramId, 'payout_error', errorText, keyboard);
   }
@@ -696,15 +751,19 @@ async function processSellerPayout(ctx, deal, buyerId) {
 /**
  * Process seller release (after deadline + grace period, work was submitted)
  */
-async function processSellerRelease(ctx, deal) {
+async function processSellerRelease(ctx, deal, signerKey, session) {
   // Same logic as processSellerPayout but with different notifications
-  await processSellerPayout(ctx, deal, deal.buyerId);
+  await processSellerPayout(ctx, deal, signerKey, session);
 }
 
 /**
  * Process buyer refund (after deadline + grace period, work not done)
+ * @param {string|Object} signerKey - Buyer's key (or offline signatures), co-signs on-chain multisig payouts
+ * @param {Object} session - Key validation session; mutual_cancel - deal cancelled by mutual agreement:
+ *   commission per MUTUAL_CANCEL_COMMISSION_SHARE, deal stays 'cancelled'
  */
-async function processBuyerRefund(ctx, deal) {
+async function processBuyerRefund(ctx, deal, signerKey, session) {
+  const mutual = session.type === 'mutual_cancel';
   const telegramId = deal.buyerId;
 
   // Load buyer's and seller's languages from DB
@@ -712,241 +771,24 @@ async function processBuyerRefund(ctx, deal) {
   const buyerLang = buyer?.languageCode || 'ru';
   const seller = await User.findOne({ telegramId: deal.sellerId }).select('languageCode').lean();
   const sellerLang = seller?.languageCode || 'ru';
-  let energyMethod = 'none';
-  let feesaverEnergyCost = 0;
-  let feesaverBandwidthCost = 0;
-  let trxReturned = 0;
 
   try {
-    // Get multisig wallet
-    const wallet = await MultisigWallet.findOne({ dealId: deal._id }).select('+privateKey');
-    if (!wallet || !wallet.privateKey) {
-      throw new Error('Multisig wallet key not found');
-    }
-
-    // Get balance
-    const balance = await blockchainService.getBalance(deal.multisigAddress, deal.asset);
-    if (balance <= 0) {
-      throw new Error('Insufficient balance');
-    }
-
-    // Calculate amounts (commission is still taken on refund)
-    const commission = deal.commission;
-    const refundAmount = balance - commission;
-
-    if (refundAmount <= 0) {
-      throw new Error('Balance too low for refund');
-    }
-
-    console.log(`💸 Processing buyer refund for deal ${deal.dealId}: ${refundAmount} ${deal.asset}`);
-
-    // Check if FeeSaver is available
-    const useFeeSaver = feesaverService.isEnabled();
-    const FALLBACK_AMOUNT = parseInt(process.env.FALLBACK_TRX_AMOUNT) || 30;
-
-    // If not using FeeSaver, send fallback TRX upfront
-    if (!useFeeSaver) {
-      console.log(`⚠️ FeeSaver not available, using TRX fallback (${FALLBACK_AMOUNT} TRX)`);
-      const trxResult = await blockchainService.sendTRX(
-        process.env.ARBITER_PRIVATE_KEY,
-        deal.multisigAddress,
-        FALLBACK_AMOUNT
-      );
-      if (trxResult.success) {
-        await new Promise(r => setTimeout(r, 3000));
-        energyMethod = 'trx';
-      } else {
-        throw new Error(`Failed to send TRX: ${trxResult.message}`);
-      }
-    }
+    // Amounts (commission is still taken on refund, mutual cancellation may waive part of it;
+    // deposit overpayment goes back with the refund)
+    const plan = await payoutService.getPlan(deal, session);
+    const refundAmount = plan.payoutAmount;
+    const { commission, waivedCommission } = plan;
 
-    // ============================================
-    // 0. RENT BANDWIDTH FOR BOTH TRANSFERS
-    // ============================================
-
-    // 📶 Rent bandwidth once for both transfers (400 rented + 600 free = 1000)
-    if (useFeeSaver) {
-      try {
-        const bwRental = await feesaverService.rentBandwidthForDeal(deal.multisigAddress);
-        if (bwRental.success) {
-          feesaverBandwidthCost += bwRental.cost;
-          console.log(`✅ Bandwidth rental successful (${bwRental.bandwidthRented} bw, cost: ${bwRental.cost} TRX)`);
-        }
-      } catch (error) {
-        console.error(`⚠️ Bandwidth rental failed: ${error.message}, will use TRX for bandwidth`);
-      }
-    }
-
-    // ============================================
-    // 1. FIRST TRANSFER: Refund to buyer
-    // ============================================
-
-    // 🔋 Estimate and rent exact energy for refund (if using FeeSaver)
-    if (useFeeSaver) {
-      try {
-        // Estimate energy needed for this specific transfer
-        const estimate1 = await blockchainService.estimateTransferEnergy(
-          deal.multisigAddress,
-          deal.buyerAddress,
-          refundAmount
-        );
-        console.log(`🔋 Renting ${estimate1.energyNeeded} energy for buyer refund...`);
-
-        const rental1 = await feesaverService.rentExactEnergy(deal.multisigAddress, estimate1.energyNeeded);
-        if (rental1.success) {
-          feesaverEnergyCost += rental1.cost;
-          energyMethod = 'feesaver';
-          console.log(`✅ Energy rental #1 successful (${estimate1.energyNeeded} energy, cost: ${rental1.cost} TRX)`);
-        } else {
-          throw new Error('Energy rental failed');
-        }
-      } catch (error) {
-        console.error(`⚠️ Energy rental #1 failed: ${error.message}`);
-        const trxResult = await blockchainService.sendTRX(
-          process.env.ARBITER_PRIVATE_KEY,
-          deal.multisigAddress,
-          FALLBACK_AMOUNT
-        );
-        if (trxResult.success) {
-          await new Promise(r => setTimeout(r, 3000));
-          energyMethod = 'trx';
-        } else {
-          throw new Error(`Failed to send fallback TRX: ${trxResult.message}`);
-        }
-      }
-    }
-
-    // Create and send refund transaction
-    const refundTx = await blockchainService.createReleaseTransaction(
-      deal.multisigAddress,
-      deal.buyerAddress,
-      refundAmount,
-      deal.asset
-    );
-
-    const signedRefundTx = await blockchainService.signTransaction(refundTx, wallet.privateKey);
-    const refundResult = await blockchainService.broadcastTransaction(signedRefundTx);
-
-    if (!refundResult.success) {
-      throw new Error(`Refund transaction failed: ${refundResult.error}`);
-    }
-
-    console.log(`✅ Refund successful: ${refundResult.txHash}`);
-
-    // Record transaction
-    const refundTransaction = new Transaction({
-      dealId: deal._id,
-      type: 'refund',
-      asset: deal.asset,
-      amount: refundAmount,
-      txHash: refundResult.txHash,
-      status: 'confirmed',
-      fromAddress: deal.multisigAddress,
-      toAddress: deal.buyerAddress
-    });
-    refundTransaction.generateExplorerLink();
-    await refundTransaction.save();
-
-    // ============================================
-    // 2. SECOND TRANSFER: Commission to service
-    // ============================================
-
-    if (commission > 0) {
-      await new Promise(r => setTimeout(r, 3000));
-
-      // 🔋 Smart energy check for commission transfer
-      const MIN_ENERGY_FOR_TRANSFER = 65000;
-      const MIN_RENTAL = 32000;
-
-      console.log(`🔋 Commission transfer: checking energy (useFeeSaver=${useFeeSaver}, energyMethod=${energyMethod})`);
-
-      // Always check and rent energy for commission if using FeeSaver
-      if (useFeeSaver && energyMethod === 'feesaver') {
-        try {
-          const availableEnergy = await blockchainService.getAvailableEnergy(deal.multisigAddress);
-          console.log(`🔋 Available energy for commission: ${availableEnergy}`);
-
-          if (availableEnergy >= MIN_ENERGY_FOR_TRANSFER) {
-            // Enough energy - no rental needed
-            console.log(`✅ Sufficient energy remaining (${availableEnergy}), no rental needed for commission`);
-          } else if (availableEnergy >= MIN_ENERGY_FOR_TRANSFER - MIN_RENTAL) {
-            // Between 33000-64999: rent minimum 32000
-            console.log(`🔋 Have ${availableEnergy} energy, renting minimum ${MIN_RENTAL}...`);
-            const rental2 = await feesaverService.rentExactEnergy(deal.multisigAddress, MIN_RENTAL);
-            if (rental2.success) {
-              feesaverEnergyCost += rental2.cost;
-              console.log(`✅ Energy rental successful (${MIN_RENTAL} energy, cost: ${rental2.cost} TRX)`);
-            }
-          } else {
-            // Less than 33000: rent exact difference to reach 65000
-            const energyNeeded = MIN_ENERGY_FOR_TRANSFER - availableEnergy;
-            console.log(`🔋 Have ${availableEnergy} energy, renting ${energyNeeded} to reach ${MIN_ENERGY_FOR_TRANSFER}...`);
-            const rental2 = await feesaverService.rentExactEnergy(deal.multisigAddress, energyNeeded);
-            if (rental2.success) {
-              feesaverEnergyCost += rental2.cost;
-              console.log(`✅ Energy rental successful (${energyNeeded} energy, cost: ${rental2.cost} TRX)`);
-            }
-          }
-        } catch (error) {
-          console.error(`⚠️ Energy check/rental failed: ${error.message}, trying transfer anyway...`);
-        }
-      } else {
-        console.log(`⚠️ Skipping energy check: useFeeSaver=${useFeeSaver}, energyMethod=${energyMethod}`);
-      }
-
-      // Wait for energy delegation if we just rented
-      if (useFeeSaver && energyMethod === 'feesaver') {
-        await new Promise(r => setTimeout(r, 5000));
-      }
-
-      const commissionTx = await blockchainService.createReleaseTransaction(
-        deal.multisigAddress,
-        process.env.SERVICE_WALLET_ADDRESS,
-        commission,
-        deal.asset
-      );
-      const signedCommissionTx = await blockchainService.signTransaction(commissionTx, wallet.privateKey);
-      const commissionResult = await blockchainService.broadcastTransaction(signedCommissionTx);
-
-      if (commissionResult.success) {
-        // Record transaction immediately (broadcast success = transaction submitted)
-        const commissionTransaction = new Transaction({
-          dealId: deal._id,
-          type: 'fee',
-          asset: deal.asset,
-          amount: commission,
-          txHash: commissionResult.txHash,
-          status: 'confirmed',
-          toAddress: process.env.SERVICE_WALLET_ADDRESS
-        });
-        commissionTransaction.generateExplorerLink();
-        await commissionTransaction.save();
-        console.log(`✅ Commission transferred: ${commissionResult.txHash}`);
-      } else {
-        console.error(`❌ Commission transfer broadcast failed: ${commissionResult.error}`);
-      }
-    }
+    const refundResult = await payoutService.execute(deal, plan, signerKey);
 
     // Update deal status
     await Deal.findByIdAndUpdate(deal._id, {
-      status: 'expired',
+      status: mutual ? 'cancelled' : 'expired',
       pendingKeyValidation: null,
+      ...closeMilestones(deal, 'refunded'),
       completedAt: new Date()
     });
 
-    // Return leftover TRX only if fallback was used
-    if (energyMethod === 'trx') {
-      trxReturned = await returnLeftoverTRX(deal, wallet.privateKey);
-    }
-
-    // Save operational costs
-    const feesaverCosts = {
-      energy: feesaverEnergyCost,
-      bandwidth: feesaverBandwidthCost,
-      total: feesaverEnergyCost + feesaverBandwidthCost
-    };
-    await saveOperationalCosts(deal, energyMethod, feesaverCosts, trxReturned, 'buyer_refund');
-
     // Notify buyer (success) - with receipt option
     const buyerText = t(buyerLang, 'payout.buyer_refund_success', {
       dealId: deal.dealId,
@@ -969,7 +811,7 @@ async function processBuyerRefund(ctx, deal) {
     await showReceiptQuestion(ctx, telegramId, deal, transactionData, buyerText);
 
     // Notify seller
-    const sellerText = t(sellerLang, 'payout.seller_refund_notify', {
+    const sellerText = t(sellerLang, mutual ? 'payout.seller_cancel_refund_notify' : 'payout.seller_refund_notify', {
       dealId: deal.dealId,
       productName: escapeMarkdown(deal.productName),
       refundAmount: refundAmount.toFixed(2),
@@ -977,7 +819,7 @@ async function processBuyerRefund(ctx, deal) {
       txHash: refundResult.txHash
     });
 
-    const sellerKeyboard = mainMenuButton(lang);
+    const sellerKeyboard = mainMenuButton(sellerLang);
     await messageManager.showNotification(ctx, deal.sellerId, sellerText, sellerKeyboard);
 
     // Audit log
@@ -989,6 +831,7 @@ async function processBuyerRefund(ctx, deal) {
         dealId: deal.dealId,
         refundAmount,
         commission,
+        reason: mutual ? 'mutual_cancel' : 'deadline',
         txHash: refundResult.txHash
       }
     });
@@ -997,7 +840,10 @@ async function processBuyerRefund(ctx, deal) {
     await adminAlertService.alertPayoutCompleted(deal, refundAmount, commission, refundResult.txHash, 'refund');
 
     // Credit referral bonuses (10% of commission to each participant's referrer)
-    await creditReferralBonuses(deal, commission);
+    // Whole deal commission - milestone payouts don't credit bonuses on their own
+    if (deal.commission - waivedCommission > 0) {
+      await creditReferralBonuses(deal, deal.commission - waivedCommission);
+    }
 
     // Chain reaction: link counterparty to partner on successful completion
     await handlePlatformChainReaction(deal);
@@ -1023,12 +869,12 @@ async function processBuyerRefund(ctx, deal) {
     // Alert admin about error
     await adminAlertService.alertError(`Buyer refund ${deal.dealId}`, error);
 
-    const errorText = t(lang, 'payout.buyer_refund_error', {
+    const errorText = t(buyerLang, 'payout.buyer_refund_error', {
       dealId: deal.dealId,
       errorMessage: error.message
     });
 
-    const keyboard = mainMenuButton(lang);
+    const keyboard = mainMenuButton(buyerLang);
     // Update the "Processing..." message to show error
     await messageManager.updateScreen(ctx, telegramId, 'refund_error', errorText, keyboard);
   }
@@ -1036,8 +882,10 @@ async function processBuyerRefund(ctx, deal) {
 
 /**
  * Process dispute payout to winner
+ * @param {string|Object} signerKey - Winner's key (or offline signatures), co-signs on-chain multisig payouts
  */
-async function processDisputePayout(ctx, deal, winnerRole) {
+async function processDisputePayout(ctx, deal, signerKey, session) {
+  const winnerRole = payoutService.getRecipientRole(session);
   const winnerId = winnerRole === 'buyer' ? deal.buyerId : deal.sellerId;
   const loserId = winnerRole === 'buyer' ? deal.sellerId : deal.buyerId;
   const winnerAddress = winnerRole === 'buyer' ? deal.buyerAddress : deal.sellerAddress;
@@ -1048,240 +896,22 @@ async function processDisputePayout(ctx, deal, winnerRole) {
   const loser = await User.findOne({ telegramId: loserId }).select('languageCode').lean();
   const loserLang = loser?.languageCode || 'ru';
 
-  let energyMethod = 'none';
-  let feesaverEnergyCost = 0;
-  let feesaverBandwidthCost = 0;
-  let trxReturned = 0;
-
   try {
-    // Get multisig wallet
-    const wallet = await MultisigWallet.findOne({ dealId: deal._id }).select('+privateKey');
-    if (!wallet || !wallet.privateKey) {
-      throw new Error('Multisig wallet key not found');
-    }
-
-    // Get balance
-    const balance = await blockchainService.getBalance(deal.multisigAddress, deal.asset);
-    if (balance <= 0) {
-      throw new Error('Insufficient balance');
-    }
-
-    // Calculate amounts
-    const commission = deal.commission;
-    const payoutAmount = balance - commission;
-
-    if (payoutAmount <= 0) {
-      throw new Error('Balance too low for payout');
-    }
-
-    console.log(`💸 Processing dispute payout for deal ${deal.dealId}: ${payoutAmount} ${deal.asset} to ${winnerRole}`);
-
-    // Check if FeeSaver is available
-    const useFeeSaver = feesaverService.isEnabled();
-    const FALLBACK_AMOUNT = parseInt(process.env.FALLBACK_TRX_AMOUNT) || 30;
-
-    // If not using FeeSaver, send fallback TRX upfront
-    if (!useFeeSaver) {
-      console.log(`⚠️ FeeSaver not available, using TRX fallback (${FALLBACK_AMOUNT} TRX)`);
-      const trxResult = await blockchainService.sendTRX(
-        process.env.ARBITER_PRIVATE_KEY,
-        deal.multisigAddress,
-        FALLBACK_AMOUNT
-      );
-      if (trxResult.success) {
-        await new Promise(r => setTimeout(r, 3000));
-        energyMethod = 'trx';
-      } else {
-        throw new Error(`Failed to send TRX: ${trxResult.message}`);
-      }
-    }
-
-    // ============================================
-    // 0. RENT BANDWIDTH FOR BOTH TRANSFERS
-    // ============================================
-    // 📶 Rent bandwidth once for both transfers (400 rented + 600 free = 1000)
-    if (useFeeSaver) {
-      try {
-        const bwRental = await feesaverService.rentBandwidthForDeal(deal.multisigAddress);
-        if (bwRental.success) {
-          feesaverBandwidthCost += bwRental.cost;
-          console.log(`✅ Bandwidth rental successful (${bwRental.bandwidthRented} bw, cost: ${bwRental.cost} TRX)`);
-        }
-      } catch (error) {
-        console.error(`⚠️ Bandwidth rental failed: ${error.message}, will use TRX for bandwidth`);
-      }
-    }
-
-    // ============================================
-    // 1. FIRST TRANSFER: Payout to winner
-    // ============================================
-
-    // 🔋 Estimate and rent exact energy for dispute payout (if using FeeSaver)
-    if (useFeeSaver) {
-      try {
-        // Estimate energy needed for this specific transfer
-        const estimate1 = await blockchainService.estimateTransferEnergy(
-          deal.multisigAddress,
-          winnerAddress,
-          payoutAmount
-        );
-        console.log(`🔋 Renting ${estimate1.energyNeeded} energy for dispute payout...`);
-
-        const rental1 = await feesaverService.rentExactEnergy(deal.multisigAddress, estimate1.energyNeeded);
-        if (rental1.success) {
-          feesaverEnergyCost += rental1.cost;
-          energyMethod = 'feesaver';
-          console.log(`✅ Energy rental #1 successful (${estimate1.energyNeeded} energy, cost: ${rental1.cost} TRX)`);
-        } else {
-          throw new Error('Energy rental failed');
-        }
-      } catch (error) {
-        console.error(`⚠️ Energy rental #1 failed: ${error.message}`);
-        const trxResult = await blockchainService.sendTRX(
-          process.env.ARBITER_PRIVATE_KEY,
-          deal.multisigAddress,
-          FALLBACK_AMOUNT
-        );
-        if (trxResult.success) {
-          await new Promise(r => setTimeout(r, 3000));
-          energyMethod = 'trx';
-        } else {
-          throw new Error(`Failed to send fallback TRX: ${trxResult.message}`);
-        }
-      }
-    }
-
-    // Create and send payout transaction
-    const payoutTx = await blockchainService.createReleaseTransaction(
-      deal.multisigAddress,
-      winnerAddress,
-      payoutAmount,
-      deal.asset
-    );
-
-    const signedPayoutTx = await blockchainService.signTransaction(payoutTx, wallet.privateKey);
-    const payoutResult = await blockchainService.broadcastTransaction(signedPayoutTx);
-
-    if (!payoutResult.success) {
-      throw new Error(`Payout transaction failed: ${payoutResult.error}`);
-    }
-
-    console.log(`✅ Dispute payout successful: ${payoutResult.txHash}`);
-
-    // Record transaction
-    const payoutTransaction = new Transaction({
-      dealId: deal._id,
-      type: winnerRole === 'buyer' ? 'refund' : 'release',
-      asset: deal.asset,
-      amount: payoutAmount,
-      txHash: payoutResult.txHash,
-      status: 'confirmed',
-      fromAddress: deal.multisigAddress,
-      toAddress: winnerAddress
-    });
-    payoutTransaction.generateExplorerLink();
-    await payoutTransaction.save();
-
-    // ============================================
-    // 2. SECOND TRANSFER: Commission to service
-    // ============================================
-
-    if (commission > 0) {
-      await new Promise(r => setTimeout(r, 3000));
-
-      // 🔋 Smart energy check for commission transfer
-      const MIN_ENERGY_FOR_TRANSFER = 65000;
-      const MIN_RENTAL = 32000;
-
-      console.log(`🔋 Commission transfer: checking energy (useFeeSaver=${useFeeSaver}, energyMethod=${energyMethod})`);
-
-      // Always check and rent energy for commission if using FeeSaver
-      if (useFeeSaver && energyMethod === 'feesaver') {
-        try {
-          const availableEnergy = await blockchainService.getAvailableEnergy(deal.multisigAddress);
-          console.log(`🔋 Available energy for commission: ${availableEnergy}`);
-
-          if (availableEnergy >= MIN_ENERGY_FOR_TRANSFER) {
-            // Enough energy - no rental needed
-            console.log(`✅ Sufficient energy remaining (${availableEnergy}), no rental needed for commission`);
-          } else if (availableEnergy >= MIN_ENERGY_FOR_TRANSFER - MIN_RENTAL) {
-            // Between 33000-64999: rent minimum 32000
-            console.log(`🔋 Have ${availableEnergy} energy, renting minimum ${MIN_RENTAL}...`);
-            const rental2 = await feesaverService.rentExactEnergy(deal.multisigAddress, MIN_RENTAL);
-            if (rental2.success) {
-              feesaverEnergyCost += rental2.cost;
-              console.log(`✅ Energy rental successful (${MIN_RENTAL} energy, cost: ${rental2.cost} TRX)`);
-            }
-          } else {
-            // Less than 33000: rent exact difference to reach 65000
-            const energyNeeded = MIN_ENERGY_FOR_TRANSFER - availableEnergy;
-            console.log(`🔋 Have ${availableEnergy} energy, renting ${energyNeeded} to reach ${MIN_ENERGY_FOR_TRANSFER}...`);
-            const rental2 = await feesaverService.rentExactEnergy(deal.multisigAddress, energyNeeded);
-            if (rental2.success) {
-              feesaverEnergyCost += rental2.cost;
-              console.log(`✅ Energy rental successful (${energyNeeded} energy, cost: ${rental2.cost} TRX)`);
-            }
-          }
-        } catch (error) {
-          console.error(`⚠️ Energy check/rental failed: ${error.message}, trying transfer anyway...`);
-        }
-      } else {
-        console.log(`⚠️ Skipping energy check: useFeeSaver=${useFeeSaver}, energyMethod=${energyMethod}`);
-      }
+    // Amounts (a winning buyer also gets the deposit overpayment back, a winning
+    // seller's payout returns it to the buyer separately)
+    const plan = await payoutService.getPlan(deal, session);
+    const { payoutAmount, commission } = plan;
 
-      // Wait for energy delegation if we just rented
-      if (useFeeSaver && energyMethod === 'feesaver') {
-        await new Promise(r => setTimeout(r, 5000));
-      }
-
-      const commissionTx = await blockchainService.createReleaseTransaction(
-        deal.multisigAddress,
-        process.env.SERVICE_WALLET_ADDRESS,
-        commission,
-        deal.asset
-      );
-      const signedCommissionTx = await blockchainService.signTransaction(commissionTx, wallet.privateKey);
-      const commissionResult = await blockchainService.broadcastTransaction(signedCommissionTx);
-
-      if (commissionResult.success) {
-        // Record transaction immediately (broadcast success = transaction submitted)
-        const commissionTransaction = new Transaction({
-          dealId: deal._id,
-          type: 'fee',
-          asset: deal.asset,
-          amount: commission,
-          txHash: commissionResult.txHash,
-          status: 'confirmed',
-          toAddress: process.env.SERVICE_WALLET_ADDRESS
-        });
-        commissionTransaction.generateExplorerLink();
-        await commissionTransaction.save();
-        console.log(`✅ Commission transferred: ${commissionResult.txHash}`);
-      } else {
-        console.error(`❌ Commission transfer broadcast failed: ${commissionResult.error}`);
-      }
-    }
+    const payoutResult = await payoutService.execute(deal, plan, signerKey);
 
     // Update deal status
     await Deal.findByIdAndUpdate(deal._id, {
       status: 'resolved',
       pendingKeyValidation: null,
+      ...closeMilestones(deal, winnerRole === 'buyer' ? 'refunded' : 'released'),
       completedAt: new Date()
     });
 
-    // Return leftover TRX only if fallback was used
-    if (energyMethod === 'trx') {
-      trxReturned = await returnLeftoverTRX(deal, wallet.privateKey);
-    }
-
-    // Save operational costs
-    const feesaverCosts = {
-      energy: feesaverEnergyCost,
-      bandwidth: feesaverBandwidthCost,
-      total: feesaverEnergyCost + feesaverBandwidthCost
-    };
-    await saveOperationalCosts(deal, energyMethod, feesaverCosts, trxReturned, 'dispute_payout');
-
     // Notify winner - with receipt option
     const winnerText = t(winnerLang, 'payout.dispute_winner', {
       dealId: deal.dealId,
@@ -1321,7 +951,8 @@ async function processDisputePayout(ctx, deal, winnerRole) {
     await adminAlertService.alertPayoutCompleted(deal, payoutAmount, commission, payoutResult.txHash, 'dispute');
 
     // Credit referral bonuses (10% of commission to each participant's referrer)
-    await creditReferralBonuses(deal, commission);
+    // Whole deal commission - milestone payouts don't credit bonuses on their own
+    await creditReferralBonuses(deal, deal.commission);
 
     // Chain reaction: link counterparty to partner on successful completion
     await handlePlatformChainReaction(deal);
@@ -1347,171 +978,358 @@ async function processDisputePayout(ctx, deal, winnerRole) {
     // Alert admin about error
     await adminAlertService.alertError(`Dispute payout ${deal.dealId}`, error);
 
-    const errorText = t(lang, 'payout.dispute_error', {
+    const errorText = t(winnerLang, 'payout.dispute_error', {
       dealId: deal.dealId,
       errorMessage: error.message
     });
 
-    const keyboard = mainMenuButton(lang);
+    const keyboard = mainMenuButton(winnerLang);
     // Update the "Processing..." message to show error
     await messageManager.updateScreen(ctx, winnerId, 'dispute_payout_error', errorText, keyboard);
   }
 }
 
-// ============================================
-// HELPER FUNCTIONS
-// ============================================
-
 /**
- * Return leftover TRX from multisig to arbiter
- * Called ONLY when fallback TRX was used (not FeeSaver)
- * Returns: (balance - 1.1 TRX) to keep minimum for potential future fees
+ * Process one party's share of a split dispute decision.
+ * Each share is paid out separately (share + its commission part);
+ * the deal is finalized once both shares are released.
+ * @param {Object} ctx
+ * @param {Object} deal - Deal with splitPayout details
+ * @param {string|Object} signerKey - Key of the party (or offline signatures), co-signs on-chain multisig payouts
+ * @param {Object} session - Key validation session, role - 'buyer' or 'seller'
  */
-async function returnLeftoverTRX(deal, walletPrivateKey) {
+async function processDisputeSplitPayout(ctx, deal, signerKey, session) {
+  const role = payoutService.getRecipientRole(session);
+  const recipientId = role === 'buyer' ? deal.buyerId : deal.sellerId;
+  const recipientAddress = role === 'buyer' ? deal.buyerAddress : deal.sellerAddress;
+
+  const recipient = await User.findOne({ telegramId: recipientId }).select('languageCode').lean();
+  const recipientLang = recipient?.languageCode || 'ru';
+
   try {
-    await new Promise(r => setTimeout(r, 5000)); // Wait for previous tx to settle
-
-    const trxBalance = await blockchainService.getBalance(deal.multisigAddress, 'TRX');
-    // Keep 1.1 TRX for potential future fees, return the rest
-    const returnAmount = trxBalance - 1.1;
-
-    if (returnAmount > 0.5) {
-      const arbiterAddress = blockchainService.privateKeyToAddress(process.env.ARBITER_PRIVATE_KEY);
-      const returnTx = await blockchainService.tronWeb.transactionBuilder.sendTrx(
-        arbiterAddress,
-        Math.floor(returnAmount * 1e6),
-        deal.multisigAddress
-      );
-      const signedReturnTx = await blockchainService.signTransaction(returnTx, walletPrivateKey);
-      const returnResult = await blockchainService.broadcastTransaction(signedReturnTx);
+    // Share and its part of the commission; the buyer's share of the final split
+    // also returns the deposit overpayment
+    const plan = await payoutService.getPlan(deal, session);
+    const { commission, overpayment } = plan;
+    const transferAmount = plan.payoutAmount;
+    const payoutAmount = transferAmount - overpayment;
+
+    const payoutResult = await payoutService.execute(deal, plan, signerKey);
+
+    // Record this share as paid and accumulate its costs
+    const splitUpdate = {
+      $set: {
+        [`splitPayout.${role}TxHash`]: payoutResult.txHash,
+        [`splitPayout.${role}PaidAt`]: new Date()
+      },
+      $inc: {
+        'splitPayout.feesaverEnergyCost': payoutResult.costs.energy,
+        'splitPayout.feesaverBandwidthCost': payoutResult.costs.bandwidth,
+        'splitPayout.trxReturned': payoutResult.trxReturned,
+        'splitPayout.fallbackTrxSent': payoutResult.trxSent
+      }
+    };
+    if (payoutResult.energyMethod !== 'none') {
+      splitUpdate.$set['splitPayout.energyMethod'] = payoutResult.energyMethod;
+    }
+    await Deal.findByIdAndUpdate(deal._id, splitUpdate);
+
+    // Notify recipient - with receipt option
+    const recipientText = t(recipientLang, 'payout.dispute_split_success', {
+      dealId: deal.dealId,
+      productName: escapeMarkdown(deal.productName),
+      payoutAmount: transferAmount.toFixed(2),
+      asset: deal.asset,
+      commission: commission.toFixed(2),
+      txHash: payoutResult.txHash
+    });
+
+    const transactionData = {
+      type: role === 'buyer' ? 'refund' : 'release',
+      amount: payoutAmount,
+      txHash: payoutResult.txHash,
+      toAddress: recipientAddress
+    };
 
-      if (returnResult.success) {
-        console.log(`✅ Returned ${returnAmount.toFixed(2)} TRX to service wallet from ${deal.dealId}`);
-        return returnAmount;
+    await showReceiptQuestion(ctx, recipientId, deal, transactionData, recipientText);
+
+    await AuditLog.create({
+      action: 'DISPUTE_SPLIT_PAYOUT_COMPLETED',
+      userId: recipientId,
+      dealId: deal._id,
+      details: {
+        dealId: deal.dealId,
+        role,
+        payoutAmount,
+        commission,
+        txHash: payoutResult.txHash
+      }
+    });
+
+    await adminAlertService.alertPayoutCompleted(deal, payoutAmount, commission, payoutResult.txHash, 'dispute');
+
+    // Finalize once both shares are released (atomic - only one payout gets here)
+    const bothPaidQuery = {
+      _id: deal._id,
+      pendingKeyValidation: 'dispute_split',
+      'splitPayout.buyerTxHash': { $ne: null },
+      'splitPayout.sellerTxHash': { $ne: null }
+    };
+
+    if (Deal.hasNextMilestone(deal)) {
+      // Milestone deal: the split only settled the current milestone - move on to the next one
+      const index = deal.currentMilestone;
+      const settledDeal = await Deal.findOne({ ...bothPaidQuery, currentMilestone: index }).lean();
+      const totals = settledDeal?.splitPayout;
+
+      // The buyer's part of the milestone commission went back inside the buyer's share
+      const collectedCommission = totals ? (totals.buyerCommission || 0) + (totals.sellerCommission || 0) : 0;
+      const refundedCommission = Math.max(0,
+        Math.round((Deal.getMilestonePayout(deal, index).commission - collectedCommission) * 1e6) / 1e6);
+
+      const nextDeal = totals && await Deal.completeMilestone(deal, index, 'split', {
+        payoutAmount: (totals.buyerAmount || 0) + (totals.sellerAmount || 0),
+        commission: collectedCommission,
+        refundedCommission,
+        energyMethod: totals.energyMethod,
+        feesaverCostTrx: (totals.feesaverEnergyCost || 0) + (totals.feesaverBandwidthCost || 0),
+        trxReturned: totals.trxReturned
+      });
+
+      if (nextDeal) {
+        await notifyNextMilestone(ctx, nextDeal);
+        console.log(`✅ Split payout finished for milestone ${index + 1} of deal ${deal.dealId}`);
       }
     } else {
-      console.log(`ℹ️ TRX balance too low to return: ${trxBalance} TRX on ${deal.dealId}`);
+      const finishedDeal = await Deal.findOneAndUpdate(
+        bothPaidQuery,
+        {
+          status: 'resolved',
+          pendingKeyValidation: null,
+          completedAt: new Date(),
+          ...closeMilestones(deal, 'split')
+        },
+        { new: true }
+      );
+
+      if (finishedDeal) {
+        const totals = finishedDeal.splitPayout;
+        const feesaverCosts = {
+          energy: totals.feesaverEnergyCost || 0,
+          bandwidth: totals.feesaverBandwidthCost || 0,
+          total: (totals.feesaverEnergyCost || 0) + (totals.feesaverBandwidthCost || 0)
+        };
+        await payoutService.saveOperationalCosts(deal, totals.energyMethod || 'none', feesaverCosts, totals.trxReturned || 0, 'dispute_split', totals.fallbackTrxSent);
+
+        // Referral bonuses on the commission actually released from both shares
+        // (plus commission collected from milestones paid out earlier)
+        const releasedCommission = Deal.getCollectedCommission(deal)
+          + (totals.buyerCommission || 0) + (totals.sellerCommission || 0);
+        await creditReferralBonuses(deal, releasedCommission);
+
+        await handlePlatformChainReaction(deal);
+
+        console.log(`✅ Split dispute payout finished for deal ${deal.dealId}`);
+      }
     }
+
+    try {
+      await ServiceStatus.trackSuccess('payout_completed', {
+        dealId: deal.dealId,
+        type: 'dispute_split',
+        amount: payoutAmount,
+        txHash: payoutResult.txHash
+      });
+    } catch (e) { /* ignore */ }
+
   } catch (error) {
-    console.error(`Error returning TRX from ${deal.dealId}:`, error.message);
-  }
+    console.error(`❌ Error processing split dispute payout:`, error);
+
+    try {
+      await ServiceStatus.trackFailure('payout_completed', error);
+    } catch (e) { /* ignore */ }
+
+    await adminAlertService.alertError(`Split dispute payout ${deal.dealId}`, error);
+
+    const errorText = t(recipientLang, 'payout.dispute_error', {
+      dealId: deal.dealId,
+      errorMessage: error.message
+    });
 
-  return 0;
+    const keyboard = mainMenuButton(recipientLang);
+    await messageManager.updateScreen(ctx, recipientId, 'dispute_payout_error', errorText, keyboard);
+  }
 }
 
 /**
- * Save operational costs to deal
- *
- * COST BREAKDOWN:
- *
- * 1. Activation (always):
- *    - activationTrxSent: 1 TRX (MULTISIG_ACTIVATION_TRX)
- *    - activationTxFee: 1.1 TRX (fee for sending TRX from service wallet)
- *    - Total activation: 2.1 TRX
- *
- * 2a. FeeSaver scenario (dynamic):
- *    - feesaverBandwidthCostTrx: ~0.4 TRX (1000 bw minimum for 1h)
- *    - feesaverEnergyCostTrx: ~6.5 TRX for both transfers
- *      - Single upfront rental: ~130k energy (65k base + 50k penalty) * 1.1 + 5k reserve
- *      - TRON requires seeing all energy at once for multiple transfers
- *    - feesaverCostTrx: total of bandwidth + energy
- *    - Total: 2.1 + feesaverCost
- *
- * 2b. Fallback scenario:
- *    - fallbackTrxSent: 30 TRX (FALLBACK_TRX_AMOUNT)
- *    - fallbackTxFee: 1.1 TRX (fee for sending TRX)
- *    - fallbackTrxReturned: varies (balance - 1.1 TRX)
- *    - Total: 2.1 + 30 + 1.1 - returned
- *
- * @param {Object} deal - Deal object
- * @param {string} energyMethod - 'feesaver', 'trx', or 'none'
- * @param {Object} feesaverCosts - FeeSaver costs breakdown {energy: number, bandwidth: number, total: number}
- * @param {number} trxReturned - TRX returned to service wallet
- * @param {string} operationType - Type of operation for logging
+ * Pay out the current milestone of a milestone deal (partial release).
+ * Used when a milestone that is not the last one is accepted by the buyer
+ * or decided by the arbiter. Funds of later milestones stay in the multisig;
+ * the last milestone is paid out by the regular payout functions.
+ * @param {Object} ctx
+ * @param {Object} deal - Deal with milestones
+ * @param {string|Object} signerKey - Recipient's key (or offline signatures), co-signs on-chain multisig payouts
+ * @param {Object} session - Key validation session, its recipient is the seller (release) or the buyer (refund)
  */
-async function saveOperationalCosts(deal, energyMethod, feesaverCosts, trxReturned, operationType) {
+async function processMilestonePayout(ctx, deal, signerKey, session) {
+  const role = payoutService.getRecipientRole(session);
+  const recipientId = role === 'buyer' ? deal.buyerId : deal.sellerId;
+  const counterpartyId = role === 'buyer' ? deal.sellerId : deal.buyerId;
+  const index = deal.currentMilestone;
+
+  const recipient = await User.findOne({ telegramId: recipientId }).select('languageCode').lean();
+  const recipientLang = recipient?.languageCode || 'ru';
+  const counterparty = await User.findOne({ telegramId: counterpartyId }).select('languageCode').lean();
+  const counterpartyLang = counterparty?.languageCode || 'ru';
+
   try {
-    const priceService = require('../../services/priceService');
-    const TX_FEE = 1.1; // Standard TRON transaction fee
-    const activationTrx = parseInt(process.env.MULTISIG_ACTIVATION_TRX) || 1;
-    const FALLBACK_AMOUNT = parseInt(process.env.FALLBACK_TRX_AMOUNT) || 30;
-
-    const updateData = {
-      'operationalCosts.energyMethod': energyMethod,
-      'operationalCosts.activationTrxSent': activationTrx,
-      'operationalCosts.activationTxFee': TX_FEE
-    };
+    // This milestone and its part of the commission
+    const plan = await payoutService.getPlan(deal, session);
+    const { payoutAmount, commission } = plan;
+
+    const payoutResult = await payoutService.execute(deal, plan, signerKey);
 
-    let totalTrxSpent = activationTrx + TX_FEE; // Activation + its tx fee
-
-    if (energyMethod === 'feesaver') {
-      // FeeSaver was used - record costs (energy + bandwidth, amounts determined dynamically)
-      const energyCost = feesaverCosts?.energy || 0;
-      const bandwidthCost = feesaverCosts?.bandwidth || 0;
-      const totalFeesaver = feesaverCosts?.total || (energyCost + bandwidthCost);
-
-      updateData['operationalCosts.feesaverEnergyCostTrx'] = energyCost;
-      updateData['operationalCosts.feesaverBandwidthCostTrx'] = bandwidthCost;
-      updateData['operationalCosts.feesaverCostTrx'] = totalFeesaver;
-      updateData['operationalCosts.activationTrxReturned'] = 0;
-      updateData['operationalCosts.fallbackTrxSent'] = 0;
-      updateData['operationalCosts.fallbackTxFee'] = 0;
-      updateData['operationalCosts.fallbackTrxReturned'] = 0;
-      updateData['operationalCosts.fallbackTrxNet'] = 0;
-
-      // FeeSaver: activation (2.1) + feesaver cost
-      totalTrxSpent += totalFeesaver;
-
-    } else if (energyMethod === 'trx') {
-      // Fallback TRX was used
-      updateData['operationalCosts.feesaverCostTrx'] = 0;
-      updateData['operationalCosts.fallbackTrxSent'] = FALLBACK_AMOUNT;
-      updateData['operationalCosts.fallbackTxFee'] = TX_FEE;
-      updateData['operationalCosts.fallbackTrxReturned'] = trxReturned;
-      updateData['operationalCosts.fallbackTrxNet'] = FALLBACK_AMOUNT + TX_FEE - trxReturned;
-      updateData['operationalCosts.activationTrxReturned'] = 0; // Nothing returned from activation
-
-      // Fallback: activation (2.1) + fallback (30 + 1.1) - returned
-      totalTrxSpent += FALLBACK_AMOUNT + TX_FEE - trxReturned;
+    // Record milestone payout and start the next milestone
+    const nextDeal = await Deal.completeMilestone(deal, index, role === 'buyer' ? 'refunded' : 'released', {
+      payoutAmount,
+      commission,
+      txHash: payoutResult.txHash,
+      energyMethod: payoutResult.energyMethod,
+      feesaverCostTrx: payoutResult.costs.total,
+      trxReturned: payoutResult.trxReturned
+    });
+
+    if (!nextDeal) {
+      console.warn(`⚠️ Milestone ${index + 1} of deal ${deal.dealId} was already completed`);
     }
 
-    // Calculate net activation cost (sent + fee - returned)
-    const activationNet = activationTrx + TX_FEE;
-    updateData['operationalCosts.activationTrxNet'] = activationNet;
+    const milestoneParams = {
+      dealId: deal.dealId,
+      productName: escapeMarkdown(deal.productName),
+      number: index + 1,
+      total: deal.milestones.length,
+      title: escapeMarkdown(deal.milestones[index].title),
+      payoutAmount: payoutAmount.toFixed(2),
+      asset: deal.asset,
+      commission: commission.toFixed(2),
+      txHash: payoutResult.txHash
+    };
+
+    // Notify recipient (success + next milestone)
+    const recipientText = t(recipientLang, 'payout.milestone_success', milestoneParams) +
+      '\n\n' + getNextMilestoneText(recipientLang, nextDeal || deal, index + 1);
+    await messageManager.showFinalScreen(ctx, recipientId, 'milestone_payout_success', recipientText, mainMenuButton(recipientLang));
 
-    updateData['operationalCosts.totalTrxSpent'] = totalTrxSpent;
+    // Notify counterparty
+    const counterpartyKey = role === 'buyer' ? 'milestone.refunded_notify' : 'milestone.released_notify';
+    const counterpartyText = t(counterpartyLang, counterpartyKey, milestoneParams) +
+      '\n\n' + getNextMilestoneText(counterpartyLang, nextDeal || deal, index + 1);
+    await messageManager.showNotification(ctx, counterpartyId, counterpartyText, mainMenuButton(counterpartyLang));
+
+    await AuditLog.create({
+      action: 'MILESTONE_PAYOUT_COMPLETED',
+      userId: recipientId,
+      dealId: deal._id,
+      details: {
+        dealId: deal.dealId,
+        milestone: index + 1,
+        role,
+        payoutAmount,
+        commission,
+        txHash: payoutResult.txHash
+      }
+    });
+
+    await adminAlertService.alertPayoutCompleted(deal, payoutAmount, commission, payoutResult.txHash, role === 'buyer' ? 'refund' : 'release');
 
-    // Get TRX price and calculate USD cost
     try {
-      const trxPrice = await priceService.getTrxPrice();
-      const totalCostUsd = totalTrxSpent * trxPrice;
-      updateData['operationalCosts.totalCostUsd'] = totalCostUsd;
-      updateData['operationalCosts.trxPriceAtCompletion'] = trxPrice;
-    } catch (priceError) {
-      console.warn('Could not get TRX price:', priceError.message);
-    }
+      await ServiceStatus.trackSuccess('payout_completed', {
+        dealId: deal.dealId,
+        type: 'milestone',
+        amount: payoutAmount,
+        txHash: payoutResult.txHash
+      });
+    } catch (e) { /* ignore */ }
 
-    await Deal.findByIdAndUpdate(deal._id, { $set: updateData });
-
-    console.log(`\n📊 Operational costs saved for ${deal.dealId}:`);
-    console.log(`   Type: ${operationType}`);
-    console.log(`   Method: ${energyMethod}`);
-    console.log(`   Activation: ${activationTrx} + ${TX_FEE} fee = ${activationNet.toFixed(2)} TRX`);
-    if (energyMethod === 'feesaver') {
-      const energyCost = feesaverCosts?.energy || 0;
-      const bandwidthCost = feesaverCosts?.bandwidth || 0;
-      const totalFeesaver = feesaverCosts?.total || (energyCost + bandwidthCost);
-      console.log(`   FeeSaver Energy: ${energyCost.toFixed(2)} TRX`);
-      console.log(`   FeeSaver Bandwidth: ${bandwidthCost.toFixed(2)} TRX`);
-      console.log(`   FeeSaver Total: ${totalFeesaver.toFixed(2)} TRX`);
-    } else if (energyMethod === 'trx') {
-      console.log(`   Fallback: ${FALLBACK_AMOUNT} + ${TX_FEE} fee - ${trxReturned.toFixed(2)} returned = ${(FALLBACK_AMOUNT + TX_FEE - trxReturned).toFixed(2)} TRX`);
+  } catch (error) {
+    console.error(`❌ Error processing milestone payout:`, error);
+
+    try {
+      await ServiceStatus.trackFailure('payout_completed', error);
+    } catch (e) { /* ignore */ }
+
+    await adminAlertService.alertError(`Milestone payout ${deal.dealId}`, error);
+
+    const errorText = t(recipientLang, 'payout.seller_error', {
+      dealId: deal.dealId,
+      errorMessage: error.message
+    });
+
+    const keyboard = mainMenuButton(recipientLang);
+    await messageManager.updateScreen(ctx, recipientId, 'payout_error', errorText, keyboard);
+  }
+}
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Deal update that closes all unpaid milestones on final payout
+ * @param {Object} deal
+ * @param {string} status - 'released', 'refunded' or 'split'
+ * @returns {Object} - dotted paths for update (empty for regular deals)
+ */
+function closeMilestones(deal, status) {
+  const update = {};
+  if (!Deal.isMilestoneDeal(deal)) return update;
+
+  deal.milestones.forEach((milestone, index) => {
+    if (!milestone.paidAt) {
+      update[`milestones.${index}.status`] = status;
     }
-    console.log(`   ════════════════════════════`);
-    console.log(`   TOTAL: ${totalTrxSpent.toFixed(2)} TRX\n`);
+  });
+  return update;
+}
 
-  } catch (error) {
-    console.error('Error saving operational costs:', error.message);
+/**
+ * Text block about the milestone that starts next
+ * @param {string} lang
+ * @param {Object} deal
+ * @param {number} index - Milestone index
+ */
+function getNextMilestoneText(lang, deal, index) {
+  const milestone = deal.milestones[index];
+  return t(lang, 'milestone.next_info', {
+    number: index + 1,
+    total: deal.milestones.length,
+    title: escapeMarkdown(milestone.title),
+    amount: milestone.amount,
+    asset: deal.asset,
+    deadline: formatDate(lang, milestone.deadline)
+  });
+}
+
+/**
+ * Notify both parties that the next milestone has started
+ * @param {Object} ctx
+ * @param {Object} deal - Deal after moving to the next milestone
+ */
+async function notifyNextMilestone(ctx, deal) {
+  for (const userId of [deal.buyerId, deal.sellerId]) {
+    try {
+      const user = await User.findOne({ telegramId: userId }).select('languageCode').lean();
+      const lang = user?.languageCode || 'ru';
+
+      const text = t(lang, 'milestone.next_started', {
+        dealId: deal.dealId,
+        productName: escapeMarkdown(deal.productName)
+      }) + '\n\n' + getNextMilestoneText(lang, deal, deal.currentMilestone);
+
+      await messageManager.showNotification(ctx, userId, text, mainMenuButton(lang));
+    } catch (error) {
+      console.error(`Error sending next milestone notification to ${userId}:`, error.message);
+    }
   }
 }
 
@@ -1520,7 +1338,15 @@ module.exports = {
   clearKeyValidationSession,
   createKeyValidationSession,
   handleKeyValidationInput,
+  handleOfflineSign,
+  handleSignedFileUpload,
+  handleStrayRefund,
+  submitSignedTransactions,
+  runPayout,
   processSellerPayout,
   processBuyerRefund,
-  processDisputePayout
+  processDisputePayout,
+  processDisputeSplitPayout,
+  processMilestonePayout,
+  processStrayRefund
 };
@@ -11,6 +11,8 @@ const Session = require('../../models/Session');
 const User = require('../../models/User');
 const emailService = require('../../services/emailService');
 const blockchainService = require('../../services/blockchain');
+const trustService = require('../../services/trustService');
+const reputationService = require('../../services/reputationService');
 const messageManager = require('../utils/messageManager');
 const { t, formatDate } = require('../../locales');
 const { languageSync } = require('../middleware/languageSync');
@@ -18,6 +20,7 @@ const {
   mainMenuButton,
   backButton,
   myDataMenuKeyboard,
+  reputationKeyboard,
   walletsListKeyboard,
   walletsEmptyKeyboard,
   walletNameInputKeyboard,
@@ -100,6 +103,121 @@ async function showMyData(ctx) {
   }
 }
 
+/**
+ * Show trust tier screen - current limits, history and requirements of the next tier
+ */
+async function showTrustTier(ctx) {
+  try {
+    const lang = ctx.state?.lang || 'ru';
+
+    if (ctx.callbackQuery) {
+      await ctx.answerCbQuery();
+    }
+
+    const telegramId = ctx.from.id;
+    const user = await User.findOne({ telegramId }).select('telegramId averageRating ratingsCount disputeStats trustOverride');
+    if (!user) {
+      const keyboard = mainMenuButton(lang);
+      await messageManager.sendNewMessage(ctx, telegramId, t(lang, 'common.user_not_found'), keyboard);
+      return;
+    }
+
+    const profile = await trustService.getProfile(user);
+    const { history, limits } = profile;
+
+    const ratingDisplay = user.getRatingDisplay(lang);
+    let text = t(lang, 'trust.title', {
+      tier: t(lang, `trust.tiers.${profile.tier}`),
+      ...limits,
+      completedDeals: history.completedDeals,
+      volume: history.volume,
+      ratingDisplay,
+      disputesLost: history.disputesLost
+    });
+
+    if (profile.pinned || profile.overridden.length > 0) {
+      text += '\n\n' + t(lang, 'trust.pinned');
+    } else if (profile.next) {
+      const lines = profile.next.missing.map(item => t(lang, `trust.need_${item.key}`, item));
+      text += '\n\n' + t(lang, 'trust.next_title', {
+        tier: t(lang, `trust.tiers.${profile.next.tier}`),
+        ...profile.next.limits
+      }) + '\n' + lines.join('\n');
+    } else {
+      text += '\n\n' + t(lang, 'trust.max_tier');
+    }
+
+    const keyboard = Markup.inlineKeyboard([
+      [Markup.button.callback(t(lang, 'btn.back'), 'my_data')]
+    ]);
+    await messageManager.sendNewMessage(ctx, telegramId, text, keyboard);
+  } catch (error) {
+    console.error('Error in showTrustTier:', error);
+  }
+}
+
+/**
+ * Show reputation screen - own card as counterparties see it, privacy toggles
+ */
+async function showReputation(ctx) {
+  try {
+    const lang = ctx.state?.lang || 'ru';
+
+    if (ctx.callbackQuery) {
+      await ctx.answerCbQuery();
+    }
+
+    const telegramId = ctx.from.id;
+    const user = await User.findOne({ telegramId })
+      .select('telegramId username createdAt averageRating ratingsCount disputeStats reputation')
+      .lean();
+    if (!user) {
+      const keyboard = mainMenuButton(lang);
+      await messageManager.sendNewMessage(ctx, telegramId, t(lang, 'common.user_not_found'), keyboard);
+      return;
+    }
+
+    const reputation = user.reputation || { hidden: [], public: false };
+    const card = await reputationService.getVisibleCard(user);
+
+    let text = t(lang, 'reputation.title', { card: reputationService.formatCard(card, lang) });
+    text += '\n\n' + (reputation.public
+      ? t(lang, 'reputation.public_on', { url: reputationService.getPublicUrl(reputation.publicId, lang) })
+      : t(lang, 'reputation.public_off'));
+
+    const keyboard = reputationKeyboard(reputation.hidden || [], !!reputation.public, lang);
+    await messageManager.sendNewMessage(ctx, telegramId, text, keyboard);
+  } catch (error) {
+    console.error('Error in showReputation:', error);
+  }
+}
+
+/**
+ * Hide or show a metric of the reputation card
+ */
+async function handleReputationToggle(ctx) {
+  try {
+    const metric = ctx.callbackQuery.data.split(':')[2];
+    await reputationService.toggleMetric(ctx.from.id, metric);
+    await showReputation(ctx);
+  } catch (error) {
+    console.error('Error in handleReputationToggle:', error);
+  }
+}
+
+/**
+ * Switch the public reputation page on/off
+ */
+async function handleReputationPublic(ctx) {
+  try {
+    const enabled = ctx.callbackQuery.data.split(':')[2] === 'on';
+    await reputationService.setPublic(ctx.from.id, enabled);
+    await showReputation(ctx);
+  } catch (error) {
+    console.error('Error in handleReputationPublic:', error);
+  }
+}
+
 /**
  * Handle add/change email button - ask for email input
  */
@@ -1041,6 +1159,10 @@ module.exports = {
   hasMyDataSession,
   clearMyDataSession,
   showMyData,
+  showTrustTier,
+  showReputation,
+  handleReputationToggle,
+  handleReputationPublic,
   handleAddEmail,
   handleChangeEmail,
   handleDeleteEmail,
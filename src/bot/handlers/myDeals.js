@@ -7,6 +7,11 @@ const {
   backAndMainMenu,
   finalScreenKeyboard,
   workSubmittedKeyboard,
+  extendDeadlineKeyboard,
+  extensionProposalKeyboard,
+  mutualCancelConfirmKeyboard,
+  mutualCancelProposalKeyboard,
+  keyRequestKeyboard,
   getStatusIcon
 } = require('../keyboards/main');
 const messageManager = require('../utils/messageManager');
@@ -14,6 +19,8 @@ const { MAIN_MENU_TEXT } = require('./start');
 const feesaverService = require('../../services/feesaver');
 const { createKeyValidationSession } = require('./keyValidation');
 const Deal = require('../../models/Deal');
+const User = require('../../models/User');
+const { getChainAdapter } = require('../../services/chains');
 const { t, formatDate } = require('../../locales');
 
 function escapeMarkdown(text) {
@@ -29,6 +36,40 @@ function getStatusText(status, lang = 'ru') {
   return t(lang, 'status.' + status) || status;
 }
 
+const MILESTONE_ICONS = {
+  pending: '⏳',
+  submitted: '📬',
+  released: '✅',
+  refunded: '↩️',
+  split: '⚖️'
+};
+
+/**
+ * Payout shown to seller before key input
+ * (milestone deals: only the current milestone is paid out)
+ */
+function getSellerPayout(deal) {
+  if (Deal.isMilestoneDeal(deal)) {
+    return Deal.getMilestonePayout(deal, deal.currentMilestone);
+  }
+  return { payoutAmount: deal.amount - deal.commission, commission: deal.commission };
+}
+
+/**
+ * Milestone list for deal details
+ */
+function formatMilestones(deal, lang) {
+  let text = `${t(lang, 'myDeals.milestones_label')}\n`;
+
+  deal.milestones.forEach((milestone, index) => {
+    const isCurrent = index === deal.currentMilestone && ['pending', 'submitted'].includes(milestone.status);
+    const icon = isCurrent ? '▶️' : MILESTONE_ICONS[milestone.status];
+    text += `${icon} ${index + 1}. ${escapeMarkdown(milestone.title)} — ${milestone.amount} ${deal.asset} (${formatDate(lang, milestone.deadline)})\n`;
+  });
+
+  return text;
+}
+
 // ============================================
 // MY DEALS LIST WITH PAGINATION
 // ============================================
@@ -133,7 +174,7 @@ const showDealDetails = async (ctx, dealId) => {
           commission: deal.commission.toFixed(2)
         });
 
-        const keyboard = backAndMainMenu(lang);
+        const keyboard = keyRequestKeyboard(deal.dealId, lang, { back: true });
         await messageManager.navigateToScreen(ctx, telegramId, `deal_${dealId}_refund`, text, keyboard);
         return;
       } else {
@@ -161,7 +202,7 @@ const showDealDetails = async (ctx, dealId) => {
           commission: deal.commission.toFixed(2)
         });
 
-        const keyboard = backAndMainMenu(lang);
+        const keyboard = keyRequestKeyboard(deal.dealId, lang, { back: true });
         await messageManager.navigateToScreen(ctx, telegramId, `deal_${dealId}_release`, text, keyboard);
         return;
       } else {
@@ -177,19 +218,29 @@ const showDealDetails = async (ctx, dealId) => {
       }
     }
 
-    if (deal.pendingKeyValidation === 'seller_payout') {
+    if (deal.pendingKeyValidation === 'seller_payout' || deal.pendingKeyValidation === 'milestone_release') {
       if (role === 'seller') {
         // Seller needs to enter key for payout (work accepted by buyer)
-        const releaseAmount = deal.amount - deal.commission;
-        const text = t(lang, 'myDeals.pending_seller_payout', {
-          dealId: deal.dealId,
-          productName: deal.productName,
-          releaseAmount: releaseAmount.toFixed(2),
-          asset: deal.asset,
-          commission: deal.commission.toFixed(2)
-        });
-
-        const keyboard = backAndMainMenu(lang);
+        const payout = getSellerPayout(deal);
+        const text = deal.pendingKeyValidation === 'milestone_release'
+          ? t(lang, 'myDeals.pending_milestone_payout', {
+            dealId: deal.dealId,
+            productName: deal.productName,
+            number: deal.currentMilestone + 1,
+            total: deal.milestones.length,
+            releaseAmount: payout.payoutAmount.toFixed(2),
+            asset: deal.asset,
+            commission: payout.commission.toFixed(2)
+          })
+          : t(lang, 'myDeals.pending_seller_payout', {
+            dealId: deal.dealId,
+            productName: deal.productName,
+            releaseAmount: payout.payoutAmount.toFixed(2),
+            asset: deal.asset,
+            commission: payout.commission.toFixed(2)
+          });
+
+        const keyboard = keyRequestKeyboard(deal.dealId, lang, { back: true });
         await messageManager.navigateToScreen(ctx, telegramId, `deal_${dealId}_payout`, text, keyboard);
         return;
       } else {
@@ -205,6 +256,61 @@ const showDealDetails = async (ctx, dealId) => {
       }
     }
 
+    if (deal.pendingKeyValidation === 'mutual_cancel') {
+      let text;
+
+      if (role === 'buyer') {
+        // Buyer needs to enter key for refund (deal cancelled by agreement)
+        const { refundAmount, commission: cancelCommission } = dealService.getCancellationRefund(deal);
+        text = t(lang, 'mutualCancel.buyer_key', {
+          dealId: deal.dealId,
+          productName: deal.productName,
+          refundAmount: refundAmount.toFixed(2),
+          asset: deal.asset,
+          commission: cancelCommission.toFixed(2)
+        });
+      } else {
+        // Seller sees that funds are being returned
+        text = t(lang, 'mutualCancel.seller_waiting', {
+          dealId: deal.dealId,
+          productName: deal.productName
+        });
+      }
+
+      const keyboard = role === 'buyer' ? keyRequestKeyboard(deal.dealId, lang, { back: true }) : backAndMainMenu(lang);
+      await messageManager.navigateToScreen(ctx, telegramId, `deal_${dealId}_cancel_refund`, text, keyboard);
+      return;
+    }
+
+    if (deal.pendingKeyValidation === 'dispute_split') {
+      const split = deal.splitPayout || {};
+      const alreadyPaid = role === 'buyer' ? split.buyerTxHash : split.sellerTxHash;
+      let text;
+
+      if (alreadyPaid) {
+        // Own share released - waiting for the other party
+        text = t(lang, 'myDeals.pending_split_waiting', {
+          dealId: deal.dealId,
+          productName: deal.productName
+        });
+      } else {
+        // Party needs to enter key for its share
+        const payoutAmount = role === 'buyer' ? split.buyerAmount : split.sellerAmount;
+        const shareCommission = role === 'buyer' ? split.buyerCommission : split.sellerCommission;
+        text = t(lang, 'myDeals.pending_split_payout', {
+          dealId: deal.dealId,
+          productName: deal.productName,
+          payoutAmount: (payoutAmount || 0).toFixed(2),
+          asset: deal.asset,
+          commission: (shareCommission || 0).toFixed(2)
+        });
+      }
+
+      const keyboard = alreadyPaid ? backAndMainMenu(lang) : keyRequestKeyboard(deal.dealId, lang, { back: true });
+      await messageManager.navigateToScreen(ctx, telegramId, `deal_${dealId}_split`, text, keyboard);
+      return;
+    }
+
     let text = t(lang, 'myDeals.deal_label', { dealId: deal.dealId }) + '\n\n';
     text += `${t(lang, 'myDeals.product_label')} ${deal.productName}\n\n`;
     text += `${t(lang, 'myDeals.description_label')}\n${deal.description.substring(0, 300)}${deal.description.length > 300 ? '...' : ''}\n\n`;
@@ -212,7 +318,6 @@ const showDealDetails = async (ctx, dealId) => {
     text += `${t(lang, 'myDeals.your_role')} ${t(lang, 'role.' + role)}\n`;
 
     // Get counterparty username (or show invite link status)
-    const User = require('../../models/User');
     const counterpartyId = role === 'buyer' ? deal.sellerId : deal.buyerId;
     const counterpartyRole = role === 'buyer' ? 'seller' : 'buyer';
 
@@ -240,6 +345,25 @@ const showDealDetails = async (ctx, dealId) => {
       text += `${t(lang, 'myDeals.deadline_label')} ${formatDate(lang, deal.deadline)}\n`;
     }
 
+    // Deadline extension negotiation
+    const hasPendingExtension = Deal.hasPendingExtension(deal);
+    const isExtensionProposer = hasPendingExtension && deal.deadlineExtension.proposedBy === telegramId;
+    if (hasPendingExtension) {
+      const key = isExtensionProposer ? 'extension.pending_yours' : 'extension.pending_theirs';
+      text += t(lang, key, { newDeadline: formatDate(lang, deal.deadlineExtension.newDeadline) }) + '\n';
+    }
+
+    // Mutual cancellation negotiation
+    const hasPendingCancellation = Deal.hasPendingCancellation(deal);
+    const isCancellationProposer = hasPendingCancellation && deal.cancellation.proposedBy === telegramId;
+    if (hasPendingCancellation) {
+      text += t(lang, isCancellationProposer ? 'mutualCancel.pending_yours' : 'mutualCancel.pending_theirs') + '\n';
+    }
+
+    if (Deal.isMilestoneDeal(deal)) {
+      text += `\n${formatMilestones(deal, lang)}`;
+    }
+
     // Show hint when waiting for wallet
     if (role === 'seller' && deal.status === 'waiting_for_seller_wallet') {
       text += `\n━━━━━━━━━━━━━━━━━━━━━━━━\n`;
@@ -263,24 +387,38 @@ const showDealDetails = async (ctx, dealId) => {
       text += `\n${t(lang, 'myDeals.invite_send_to')}`;
     }
 
+    const chain = getChainAdapter(deal.network);
+
     // Show multisig address for waiting_for_deposit
     if (deal.status === 'waiting_for_deposit' && deal.multisigAddress) {
       text += `\n━━━━━━━━━━━━━━━━━━━━━━━━\n`;
       text += `${t(lang, 'myDeals.escrow_address')}\n\`${deal.multisigAddress}\`\n`;
-      text += `\n[${t(lang, 'myDeals.check_tronscan')}](https://tronscan.org/#/address/${deal.multisigAddress})`;
+      text += `\n[${t(lang, 'myDeals.check_tronscan', { explorer: chain.explorerName })}](${chain.getExplorerAddressLink(deal.multisigAddress)})`;
     }
 
     // Show deposit TX
     if (deal.depositTxHash) {
-      text += `\n\n${t(lang, 'myDeals.deposit_label')} [${t(lang, 'myDeals.transaction_link_label')}](https://tronscan.org/#/transaction/${deal.depositTxHash})`;
+      text += `\n\n${t(lang, 'myDeals.deposit_label')} [${t(lang, 'myDeals.transaction_link_label')}](${chain.getExplorerTxLink(deal.depositTxHash)})`;
     }
 
     // Determine if user is the deal creator
     const isCreator = role === deal.creatorRole;
 
+    let extension = null;
+    if (dealService.canExtendDeadline(deal)) {
+      extension = hasPendingExtension && !isExtensionProposer ? 'respond' : 'propose';
+    }
+
+    let cancellation = null;
+    if (dealService.canCancelByAgreement(deal)) {
+      cancellation = hasPendingCancellation && !isCancellationProposer ? 'respond' : 'propose';
+    }
+
     const keyboard = dealDetailsKeyboard(deal.dealId, role, deal.status, {
       isCreator,
       fromTemplate: deal.fromTemplate || false,
+      extension,
+      cancellation,
       lang
     });
     await messageManager.navigateToScreen(ctx, telegramId, `deal_${dealId}`, text, keyboard);
@@ -361,13 +499,17 @@ const acceptWork = async (ctx) => {
       return;
     }
 
+    // Milestone deals: accepting a milestone that is not the last one releases only its funds
+    const isMilestoneRelease = Deal.hasNextMilestone(deal);
+    const keyValidationType = isMilestoneRelease ? 'milestone_release' : 'seller_payout';
+
     // Update deal status to mark pending key validation
     await Deal.findByIdAndUpdate(deal._id, {
-      pendingKeyValidation: 'seller_payout'
+      pendingKeyValidation: keyValidationType
     });
 
     // Create key validation session for seller
-    await createKeyValidationSession(deal.sellerId, dealId, 'seller_payout', {
+    await createKeyValidationSession(deal.sellerId, dealId, keyValidationType, {
       buyerId: telegramId
     });
 
@@ -383,27 +525,345 @@ const acceptWork = async (ctx) => {
     await messageManager.showFinalScreen(ctx, telegramId, 'waiting_seller_key', buyerText, buyerKeyboard);
 
     // Notify seller - request private key
-    const releaseAmount = deal.amount - deal.commission;
-    const sellerText = t(lang, 'myDeals.pending_seller_payout', {
-      dealId: dealId,
-      productName: deal.productName,
-      releaseAmount: releaseAmount.toFixed(2),
+    const payout = getSellerPayout(deal);
+    const sellerText = isMilestoneRelease
+      ? t(lang, 'myDeals.pending_milestone_payout', {
+        dealId: dealId,
+        productName: deal.productName,
+        number: deal.currentMilestone + 1,
+        total: deal.milestones.length,
+        releaseAmount: payout.payoutAmount.toFixed(2),
+        asset: deal.asset,
+        commission: payout.commission.toFixed(2)
+      })
+      : t(lang, 'myDeals.pending_seller_payout', {
+        dealId: dealId,
+        productName: deal.productName,
+        releaseAmount: payout.payoutAmount.toFixed(2),
+        asset: deal.asset,
+        commission: payout.commission.toFixed(2)
+      });
+
+    const sellerKeyboard = keyRequestKeyboard(deal.dealId, lang);
+    await messageManager.showNotification(ctx, deal.sellerId, sellerText, sellerKeyboard);
+
+  } catch (error) {
+    console.error('Error accepting work:', error);
+  }
+};
+
+// ============================================
+// DEADLINE EXTENSION (EITHER PARTY)
+// One party proposes a new deadline, the counterparty accepts or rejects
+// ============================================
+
+/**
+ * Show extension options
+ */
+const showExtendDeadline = async (ctx) => {
+  try {
+    const lang = ctx.state?.lang || 'ru';
+    await ctx.answerCbQuery();
+
+    const dealId = ctx.callbackQuery.data.split(':')[1];
+    const telegramId = ctx.from.id;
+
+    const deal = await dealService.getDealById(dealId);
+
+    if (!deal || !deal.isParticipant(telegramId)) {
+      const keyboard = mainMenuButton(lang);
+      await messageManager.showFinalScreen(ctx, telegramId, 'error', t(lang, 'common.deal_not_found'), keyboard);
+      return;
+    }
+
+    if (!dealService.canExtendDeadline(deal)) {
+      const keyboard = mainMenuButton(lang);
+      await messageManager.showFinalScreen(ctx, telegramId, 'error', t(lang, 'extension.not_allowed', { status: getStatusText(deal.status, lang) }), keyboard);
+      return;
+    }
+
+    const text = t(lang, 'extension.choose', {
+      dealId: deal.dealId,
+      deadline: formatDate(lang, deal.deadline)
+    });
+
+    const keyboard = extendDeadlineKeyboard(deal.dealId, lang);
+    await messageManager.navigateToScreen(ctx, telegramId, `deal_${dealId}_extend`, text, keyboard);
+  } catch (error) {
+    console.error('Error showing deadline extension:', error);
+  }
+};
+
+/**
+ * Send proposal to counterparty
+ */
+const proposeDeadlineExtension = async (ctx) => {
+  const lang = ctx.state?.lang || 'ru';
+  const telegramId = ctx.from.id;
+
+  try {
+    await ctx.answerCbQuery();
+
+    const [, dealId, hours] = ctx.callbackQuery.data.split(':');
+
+    const deal = await dealService.proposeDeadlineExtension(dealId, telegramId, parseInt(hours));
+    const newDeadline = deal.deadlineExtension.newDeadline;
+
+    const proposerText = t(lang, 'extension.proposed_you', {
+      dealId: deal.dealId,
+      newDeadline: formatDate(lang, newDeadline)
+    });
+
+    const proposerKeyboard = mainMenuButton(lang);
+    await messageManager.showFinalScreen(ctx, telegramId, 'extension_proposed', proposerText, proposerKeyboard);
+
+    // Notify counterparty
+    const counterpartyId = deal.buyerId === telegramId ? deal.sellerId : deal.buyerId;
+    const counterpartyUser = await User.findOne({ telegramId: counterpartyId }).select('languageCode').lean();
+    const counterpartyLang = counterpartyUser?.languageCode || 'ru';
+
+    const counterpartyText = t(counterpartyLang, 'extension.proposed_other', {
+      dealId: deal.dealId,
+      productName: escapeMarkdown(deal.productName),
+      role: t(counterpartyLang, 'role.' + deal.getUserRole(telegramId)),
+      deadline: formatDate(counterpartyLang, deal.deadline),
+      newDeadline: formatDate(counterpartyLang, newDeadline)
+    });
+
+    const counterpartyKeyboard = extensionProposalKeyboard(deal.dealId, counterpartyLang);
+    await messageManager.showNotification(ctx, counterpartyId, counterpartyText, counterpartyKeyboard);
+
+    console.log(`⏰ Deadline extension proposed for deal ${dealId} by ${telegramId}: ${newDeadline.toISOString()}`);
+  } catch (error) {
+    console.error('Error proposing deadline extension:', error);
+    const keyboard = mainMenuButton(lang);
+    await messageManager.showFinalScreen(ctx, telegramId, 'error', t(lang, 'extension.failed'), keyboard);
+  }
+};
+
+/**
+ * Accept or reject counterparty's proposal
+ * @param {boolean} accept
+ */
+const respondToDeadlineExtension = (accept) => async (ctx) => {
+  const lang = ctx.state?.lang || 'ru';
+  const telegramId = ctx.from.id;
+
+  try {
+    await ctx.answerCbQuery();
+
+    const dealId = ctx.callbackQuery.data.split(':')[1];
+
+    const { deal, proposedBy, newDeadline } = await dealService.respondToDeadlineExtension(dealId, telegramId, accept);
+
+    const responderText = t(lang, accept ? 'extension.accepted_you' : 'extension.rejected_you', {
+      dealId: deal.dealId,
+      productName: escapeMarkdown(deal.productName),
+      newDeadline: formatDate(lang, newDeadline)
+    });
+
+    const responderKeyboard = mainMenuButton(lang);
+    await messageManager.showFinalScreen(ctx, telegramId, accept ? 'extension_accepted' : 'extension_rejected', responderText, responderKeyboard);
+
+    // Notify proposer
+    const proposerUser = await User.findOne({ telegramId: proposedBy }).select('languageCode').lean();
+    const proposerLang = proposerUser?.languageCode || 'ru';
+
+    const proposerText = t(proposerLang, accept ? 'extension.accepted_other' : 'extension.rejected_other', {
+      dealId: deal.dealId,
+      productName: escapeMarkdown(deal.productName),
+      newDeadline: formatDate(proposerLang, newDeadline)
+    });
+
+    const proposerKeyboard = mainMenuButton(proposerLang);
+    await messageManager.showNotification(ctx, proposedBy, proposerText, proposerKeyboard);
+
+    console.log(`⏰ Deadline extension for deal ${dealId} ${accept ? 'accepted' : 'rejected'} by ${telegramId}`);
+  } catch (error) {
+    console.error('Error responding to deadline extension:', error);
+    const keyboard = mainMenuButton(lang);
+    await messageManager.showFinalScreen(ctx, telegramId, 'error', t(lang, 'extension.failed'), keyboard);
+  }
+};
+
+const acceptDeadlineExtension = respondToDeadlineExtension(true);
+const rejectDeadlineExtension = respondToDeadlineExtension(false);
+
+// ============================================
+// MUTUAL CANCELLATION (FUNDED DEALS)
+// One party proposes, the other confirms, then the buyer enters the key for a refund
+// ============================================
+
+/**
+ * Show cancellation terms before sending the proposal
+ */
+const showMutualCancel = async (ctx) => {
+  try {
+    const lang = ctx.state?.lang || 'ru';
+    await ctx.answerCbQuery();
+
+    const dealId = ctx.callbackQuery.data.split(':')[1];
+    const telegramId = ctx.from.id;
+
+    const deal = await dealService.getDealById(dealId);
+
+    if (!deal || !deal.isParticipant(telegramId)) {
+      const keyboard = mainMenuButton(lang);
+      await messageManager.showFinalScreen(ctx, telegramId, 'error', t(lang, 'common.deal_not_found'), keyboard);
+      return;
+    }
+
+    if (!dealService.canCancelByAgreement(deal)) {
+      const keyboard = mainMenuButton(lang);
+      await messageManager.showFinalScreen(ctx, telegramId, 'error', t(lang, 'mutualCancel.not_allowed', { status: getStatusText(deal.status, lang) }), keyboard);
+      return;
+    }
+
+    const { refundAmount, commission } = dealService.getCancellationRefund(deal);
+    const text = t(lang, 'mutualCancel.confirm', {
+      dealId: deal.dealId,
+      refundAmount: refundAmount.toFixed(2),
       asset: deal.asset,
-      commission: deal.commission.toFixed(2)
+      commission: commission.toFixed(2)
     });
 
-    const sellerKeyboard = mainMenuButton(lang);
-    await messageManager.showNotification(ctx, deal.sellerId, sellerText, sellerKeyboard);
+    const keyboard = mutualCancelConfirmKeyboard(deal.dealId, lang);
+    await messageManager.navigateToScreen(ctx, telegramId, `deal_${dealId}_cancel`, text, keyboard);
+  } catch (error) {
+    console.error('Error showing mutual cancellation:', error);
+  }
+};
+
+/**
+ * Send cancellation proposal to counterparty
+ */
+const proposeMutualCancel = async (ctx) => {
+  const lang = ctx.state?.lang || 'ru';
+  const telegramId = ctx.from.id;
+
+  try {
+    await ctx.answerCbQuery();
 
+    const dealId = ctx.callbackQuery.data.split(':')[1];
+
+    const deal = await dealService.proposeMutualCancellation(dealId, telegramId);
+
+    const proposerText = t(lang, 'mutualCancel.proposed_you', { dealId: deal.dealId });
+    const proposerKeyboard = mainMenuButton(lang);
+    await messageManager.showFinalScreen(ctx, telegramId, 'mutual_cancel_proposed', proposerText, proposerKeyboard);
+
+    // Notify counterparty
+    const counterpartyId = deal.buyerId === telegramId ? deal.sellerId : deal.buyerId;
+    const counterpartyUser = await User.findOne({ telegramId: counterpartyId }).select('languageCode').lean();
+    const counterpartyLang = counterpartyUser?.languageCode || 'ru';
+
+    const { refundAmount, commission } = dealService.getCancellationRefund(deal);
+    const counterpartyText = t(counterpartyLang, 'mutualCancel.proposed_other', {
+      dealId: deal.dealId,
+      productName: escapeMarkdown(deal.productName),
+      role: t(counterpartyLang, 'role.' + deal.getUserRole(telegramId)),
+      refundAmount: refundAmount.toFixed(2),
+      asset: deal.asset,
+      commission: commission.toFixed(2)
+    });
+
+    const counterpartyKeyboard = mutualCancelProposalKeyboard(deal.dealId, counterpartyLang);
+    await messageManager.showNotification(ctx, counterpartyId, counterpartyText, counterpartyKeyboard);
+
+    console.log(`🤝 Mutual cancellation proposed for deal ${dealId} by ${telegramId}`);
   } catch (error) {
-    console.error('Error accepting work:', error);
+    console.error('Error proposing mutual cancellation:', error);
+    const keyboard = mainMenuButton(lang);
+    await messageManager.showFinalScreen(ctx, telegramId, 'error', t(lang, 'mutualCancel.failed'), keyboard);
+  }
+};
+
+/**
+ * Confirm or reject counterparty's cancellation proposal.
+ * On confirmation the buyer is asked for the private key (refund like on deadline expiry).
+ * @param {boolean} accept
+ */
+const respondToMutualCancel = (accept) => async (ctx) => {
+  const lang = ctx.state?.lang || 'ru';
+  const telegramId = ctx.from.id;
+
+  try {
+    await ctx.answerCbQuery();
+
+    const dealId = ctx.callbackQuery.data.split(':')[1];
+
+    const { deal, proposedBy, commission } = await dealService.respondToMutualCancellation(dealId, telegramId, accept);
+
+    const proposerUser = await User.findOne({ telegramId: proposedBy }).select('languageCode').lean();
+    const proposerLang = proposerUser?.languageCode || 'ru';
+
+    if (!accept) {
+      const responderText = t(lang, 'mutualCancel.rejected_you', { dealId: deal.dealId });
+      await messageManager.showFinalScreen(ctx, telegramId, 'mutual_cancel_rejected', responderText, mainMenuButton(lang));
+
+      const proposerText = t(proposerLang, 'mutualCancel.rejected_other', {
+        dealId: deal.dealId,
+        productName: escapeMarkdown(deal.productName)
+      });
+      await messageManager.showNotification(ctx, proposedBy, proposerText, mainMenuButton(proposerLang));
+
+      console.log(`🤝 Mutual cancellation for deal ${dealId} rejected by ${telegramId}`);
+      return;
+    }
+
+    // Buyer must enter the private key to receive the refund
+    const { refundAmount } = dealService.getCancellationRefund(deal);
+    await createKeyValidationSession(deal.buyerId, deal.dealId, 'mutual_cancel', {
+      refundAmount,
+      commission
+    });
+
+    const buyerLang = deal.buyerId === telegramId ? lang : proposerLang;
+    const sellerLang = deal.sellerId === telegramId ? lang : proposerLang;
+
+    const buyerText = t(buyerLang, 'mutualCancel.buyer_key', {
+      dealId: deal.dealId,
+      productName: escapeMarkdown(deal.productName),
+      refundAmount: refundAmount.toFixed(2),
+      asset: deal.asset,
+      commission: commission.toFixed(2)
+    });
+    const sellerText = t(sellerLang, 'mutualCancel.seller_waiting', {
+      dealId: deal.dealId,
+      productName: escapeMarkdown(deal.productName)
+    });
+
+    if (deal.buyerId === telegramId) {
+      await messageManager.showFinalScreen(ctx, telegramId, 'mutual_cancel_refund', buyerText, keyRequestKeyboard(deal.dealId, buyerLang));
+      await messageManager.showNotification(ctx, deal.sellerId, sellerText, mainMenuButton(sellerLang));
+    } else {
+      await messageManager.showFinalScreen(ctx, telegramId, 'mutual_cancel_agreed', sellerText, mainMenuButton(sellerLang));
+      await messageManager.showNotification(ctx, deal.buyerId, buyerText, keyRequestKeyboard(deal.dealId, buyerLang));
+    }
+
+    console.log(`🤝 Deal ${dealId} cancelled by agreement, waiting for buyer's key`);
+  } catch (error) {
+    console.error('Error responding to mutual cancellation:', error);
+    const keyboard = mainMenuButton(lang);
+    await messageManager.showFinalScreen(ctx, telegramId, 'error', t(lang, 'mutualCancel.failed'), keyboard);
   }
 };
 
+const acceptMutualCancel = respondToMutualCancel(true);
+const rejectMutualCancel = respondToMutualCancel(false);
+
 module.exports = {
   showMyDeals,
   showDealDetails,
   submitWork,
   acceptWork,
+  showExtendDeadline,
+  proposeDeadlineExtension,
+  acceptDeadlineExtension,
+  rejectDeadlineExtension,
+  showMutualCancel,
+  proposeMutualCancel,
+  acceptMutualCancel,
+  rejectMutualCancel,
   getStatusText
 };
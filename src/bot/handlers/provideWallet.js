@@ -241,9 +241,9 @@ async function processSellerWalletNew(ctx, telegramId, deal, walletAddress, lang
     const sellerKeys = await blockchainService.generateKeyPair();
     const sellerPrivateKey = sellerKeys.privateKey;
 
-    // Update deal with seller address and private key
+    // Update deal with seller address and key address
     deal.sellerAddress = walletAddress;
-    deal.sellerPrivateKey = sellerPrivateKey;
+    deal.sellerKeyAddress = sellerKeys.address;
     deal.status = 'waiting_for_deposit';
     await deal.save();
 
@@ -366,11 +366,12 @@ const handleBuyerWalletInput = async (ctx) => {
       depositAmount = deal.amount + deal.commission / 2;
     }
 
-    // Required amount = deposit amount + 5 USDT buffer
-    const requiredAmount = depositAmount + 5;
+    // Required amount = deposit amount + 5 USDT buffer (in TRX for TRX deals)
+    const buffer = Deal.fromUsdt(5, deal.asset, deal.assetPriceUsdt);
+    const requiredAmount = depositAmount + buffer;
 
     // ========== STEP 3: Verify wallet ==========
-    const verification = await blockchainService.verifyBuyerWallet(text, requiredAmount, depositAmount);
+    const verification = await blockchainService.verifyBuyerWallet(text, requiredAmount, depositAmount, deal.asset);
 
     if (!verification.valid) {
       // Check if it's a balance issue (can proceed anyway - funds on exchange)
@@ -379,7 +380,9 @@ const handleBuyerWalletInput = async (ctx) => {
         const currentBalance = verification.balance || 0;
         const warningMessage = t(lang, 'wallet.balance_warning', {
           balance: currentBalance.toFixed(2),
-          depositAmount: depositAmount.toFixed(2)
+          depositAmount: depositAmount.toFixed(2),
+          asset: deal.asset,
+          buffer
         });
 
         // Store pending wallet for later confirmation
@@ -454,7 +457,7 @@ async function processBuyerWalletNew(ctx, telegramId, deal, walletAddress, lang)
     const buyerPrivateKey = buyerKeys.privateKey;
 
     deal.buyerAddress = walletAddress;
-    deal.buyerPrivateKey = buyerPrivateKey;
+    deal.buyerKeyAddress = buyerKeys.address;
     deal.status = 'waiting_for_deposit';
     await deal.save();
 
@@ -844,7 +847,7 @@ const handleWalletContinue = async (ctx) => {
     const buyerPrivateKey = buyerKeys.privateKey;
 
     deal.buyerAddress = walletAddress;
-    deal.buyerPrivateKey = buyerPrivateKey;
+    deal.buyerKeyAddress = buyerKeys.address;
     deal.status = 'waiting_for_deposit';
     await deal.save();
 
@@ -1019,9 +1022,9 @@ async function processSellerWalletSaved(ctx, telegramId, deal, address, lang) {
   const sellerKeys = await blockchainService.generateKeyPair();
   const sellerPrivateKey = sellerKeys.privateKey;
 
-  // Update deal with seller address and private key
+  // Update deal with seller address and key address
   deal.sellerAddress = address;
-  deal.sellerPrivateKey = sellerPrivateKey;
+  deal.sellerKeyAddress = sellerKeys.address;
   deal.status = 'waiting_for_deposit';
   await deal.save();
 
@@ -1109,7 +1112,7 @@ async function processBuyerWalletSaved(ctx, telegramId, deal, address, lang) {
   const buyerPrivateKey = buyerKeys.privateKey;
 
   deal.buyerAddress = address;
-  deal.buyerPrivateKey = buyerPrivateKey;
+  deal.buyerKeyAddress = buyerKeys.address;
   deal.status = 'waiting_for_deposit';
   await deal.save();
 
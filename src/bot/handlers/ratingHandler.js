@@ -5,7 +5,10 @@
  * 1. After receipt email step - show rating screen
  * 2. User selects 1-5 stars or skips
  * 3. Rating is saved to counterparty's profile
- * 4. Show final deal completion message
+ * 4. Optional written review (goes to moderation) or skip
+ * 5. Show final deal completion message
+ *
+ * Also handles the one public reply of the rated user to a published review.
  *
  * IMPORTANT: Rating step only appears for successful deals (not disputes, refunds, etc.)
  */
@@ -13,10 +16,13 @@
 const Session = require('../../models/Session');
 const Deal = require('../../models/Deal');
 const User = require('../../models/User');
+const UserReview = require('../../models/UserReview');
+const reviewService = require('../../services/reviewService');
 const messageManager = require('../utils/messageManager');
 const { mainMenuButton } = require('../keyboards/main');
 const { Markup } = require('telegraf');
 const { t } = require('../../locales');
+const { REVIEW_MIN_LENGTH, REVIEW_MAX_LENGTH } = require('../../config/constants');
 
 function escapeMarkdown(text) {
   if (!text) return '';
@@ -185,7 +191,84 @@ async function handleRatingConfirm(ctx) {
       console.log(`✅ Rating ${session.selectedRating} saved for user ${session.counterpartyId} (deal ${session.dealId})`);
     }
 
-    // Clear session
+    // Offer a written review - the session now waits for text input
+    session.step = 'review';
+    await Session.setSession(telegramId, 'deal_rating', session, 1);
+
+    const text = t(lang, 'rating.ask_review', {
+      stars: '⭐'.repeat(session.selectedRating),
+      username: session.counterpartyUsername,
+      min: REVIEW_MIN_LENGTH,
+      max: REVIEW_MAX_LENGTH
+    });
+    const keyboard = Markup.inlineKeyboard([
+      [Markup.button.callback(t(lang, 'btn.skip'), `rating_review_skip:${session.dealId}`)]
+    ]);
+    await messageManager.sendNewMessage(ctx, telegramId, text, keyboard);
+  } catch (error) {
+    console.error('Error in handleRatingConfirm:', error);
+  }
+}
+
+/**
+ * Handle written review text (after the rating is confirmed)
+ * @returns {Promise<boolean>} - true if the message was handled
+ */
+async function handleRatingReviewInput(ctx) {
+  const telegramId = ctx.from.id;
+  const lang = ctx.state?.lang || 'ru';
+
+  const session = await Session.getSession(telegramId, 'deal_rating');
+  if (!session || session.step !== 'review') {
+    return false;
+  }
+
+  await messageManager.deleteUserMessage(ctx);
+
+  const keyboard = Markup.inlineKeyboard([
+    [Markup.button.callback(t(lang, 'btn.skip'), `rating_review_skip:${session.dealId}`)]
+  ]);
+
+  try {
+    await reviewService.createReview({
+      dealId: session.dealId,
+      fromUserId: telegramId,
+      toUserId: session.counterpartyId,
+      text: ctx.message.text
+    });
+  } catch (error) {
+    if (error.message === 'Invalid review length') {
+      const text = t(lang, 'rating.review_invalid', { min: REVIEW_MIN_LENGTH, max: REVIEW_MAX_LENGTH });
+      await messageManager.sendNewMessage(ctx, telegramId, text, keyboard);
+      return true;
+    }
+    // Rating missing or review already left - finish without it
+    console.error('Error saving review:', error.message);
+  }
+
+  await clearRatingSession(telegramId);
+
+  const text = t(lang, 'rating.review_sent', { finalMessage: session.finalMessage });
+  await messageManager.sendNewMessage(ctx, telegramId, text, mainMenuButton(lang));
+  return true;
+}
+
+/**
+ * Handle skip of the written review - rating is already saved
+ */
+async function handleRatingReviewSkip(ctx) {
+  try {
+    await ctx.answerCbQuery();
+    const telegramId = ctx.from.id;
+    const lang = ctx.state?.lang || 'ru';
+
+    const session = await Session.getSession(telegramId, 'deal_rating');
+    if (!session) {
+      const keyboard = mainMenuButton(lang);
+      await messageManager.sendNewMessage(ctx, telegramId, t(lang, 'common.session_expired'), keyboard);
+      return;
+    }
+
     await clearRatingSession(telegramId);
 
     // Show final message with thank you
@@ -198,7 +281,7 @@ async function handleRatingConfirm(ctx) {
     const keyboard = mainMenuButton(lang);
     await messageManager.sendNewMessage(ctx, telegramId, thankYouText, keyboard);
   } catch (error) {
-    console.error('Error in handleRatingConfirm:', error);
+    console.error('Error in handleRatingReviewSkip:', error);
   }
 }
 
@@ -229,6 +312,114 @@ async function handleRatingSkip(ctx) {
   }
 }
 
+// ============================================
+// REPLY TO A PUBLISHED REVIEW
+// ============================================
+
+/**
+ * Check if user is writing a reply to a review
+ */
+async function hasReviewReplySession(telegramId) {
+  const session = await Session.getSession(telegramId, 'review_reply');
+  return !!session;
+}
+
+/**
+ * Clear review reply session
+ */
+async function clearReviewReplySession(telegramId) {
+  await Session.deleteSession(telegramId, 'review_reply');
+}
+
+/**
+ * Handle "Reply to review" button from the publication notification
+ */
+async function handleReviewReplyStart(ctx) {
+  try {
+    await ctx.answerCbQuery();
+    const telegramId = ctx.from.id;
+    const lang = ctx.state?.lang || 'ru';
+    const reviewId = ctx.callbackQuery.data.split(':')[1];
+
+    const review = await UserReview.findOne({ _id: reviewId, toUserId: telegramId, status: 'approved' })
+      .select('reply')
+      .lean()
+      .catch(() => null);
+    if (!review) {
+      await messageManager.sendNewMessage(ctx, telegramId, t(lang, 'review.not_found'), mainMenuButton(lang));
+      return;
+    }
+    if (review.reply?.text) {
+      await messageManager.sendNewMessage(ctx, telegramId, t(lang, 'review.reply_exists'), mainMenuButton(lang));
+      return;
+    }
+
+    await Session.setSession(telegramId, 'review_reply', { reviewId }, 1); // TTL 1 hour
+
+    const text = t(lang, 'review.reply_ask', { min: REVIEW_MIN_LENGTH, max: REVIEW_MAX_LENGTH });
+    const keyboard = Markup.inlineKeyboard([
+      [Markup.button.callback(t(lang, 'btn.cancel'), 'review_reply_cancel')]
+    ]);
+    await messageManager.sendNewMessage(ctx, telegramId, text, keyboard);
+  } catch (error) {
+    console.error('Error in handleReviewReplyStart:', error);
+  }
+}
+
+/**
+ * Handle reply text
+ * @returns {Promise<boolean>} - true if the message was handled
+ */
+async function handleReviewReplyInput(ctx) {
+  const telegramId = ctx.from.id;
+  const lang = ctx.state?.lang || 'ru';
+
+  const session = await Session.getSession(telegramId, 'review_reply');
+  if (!session) {
+    return false;
+  }
+
+  await messageManager.deleteUserMessage(ctx);
+
+  try {
+    await reviewService.addReply(session.reviewId, telegramId, ctx.message.text);
+  } catch (error) {
+    if (error.message === 'Invalid review length') {
+      const text = t(lang, 'rating.review_invalid', { min: REVIEW_MIN_LENGTH, max: REVIEW_MAX_LENGTH });
+      const keyboard = Markup.inlineKeyboard([
+        [Markup.button.callback(t(lang, 'btn.cancel'), 'review_reply_cancel')]
+      ]);
+      await messageManager.sendNewMessage(ctx, telegramId, text, keyboard);
+      return true;
+    }
+
+    await clearReviewReplySession(telegramId);
+    const key = error.message === 'Reply already exists' ? 'review.reply_exists' : 'review.not_found';
+    await messageManager.sendNewMessage(ctx, telegramId, t(lang, key), mainMenuButton(lang));
+    return true;
+  }
+
+  await clearReviewReplySession(telegramId);
+  await messageManager.sendNewMessage(ctx, telegramId, t(lang, 'review.reply_sent'), mainMenuButton(lang));
+  return true;
+}
+
+/**
+ * Cancel writing a reply
+ */
+async function handleReviewReplyCancel(ctx) {
+  try {
+    await ctx.answerCbQuery();
+    const telegramId = ctx.from.id;
+    const lang = ctx.state?.lang || 'ru';
+
+    await clearReviewReplySession(telegramId);
+    await messageManager.sendNewMessage(ctx, telegramId, t(lang, 'review.reply_cancelled'), mainMenuButton(lang));
+  } catch (error) {
+    console.error('Error in handleReviewReplyCancel:', error);
+  }
+}
+
 module.exports = {
   hasRatingSession,
   clearRatingSession,
@@ -236,5 +427,13 @@ module.exports = {
   showRatingScreen,
   handleRatingSelect,
   handleRatingConfirm,
-  handleRatingSkip
+  handleRatingSkip,
+  handleRatingReviewInput,
+  handleRatingReviewSkip,
+  // Review replies
+  hasReviewReplySession,
+  clearReviewReplySession,
+  handleReviewReplyStart,
+  handleReviewReplyInput,
+  handleReviewReplyCancel
 };
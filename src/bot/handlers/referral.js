@@ -397,6 +397,28 @@ async function showWithdrawalInfo(ctx) {
   }
 }
 
+/**
+ * Show the frozen withdrawals screen if a restriction is in force
+ * @returns {Promise<boolean>} - true if withdrawals are frozen
+ */
+async function showWithdrawalFrozen(ctx, user, lang) {
+  if (!User.isRestricted(user, 'withdrawal')) {
+    return false;
+  }
+
+  const restriction = User.getRestriction(user, 'withdrawal');
+  const text = t(lang, 'referral.withdraw_frozen', {
+    until: restriction?.expiresAt ? formatDate(lang, restriction.expiresAt, { second: undefined }) : null
+  });
+
+  const keyboard = Markup.inlineKeyboard([
+    [Markup.button.callback(t(lang, 'btn.back'), 'referral:back')]
+  ]);
+
+  await messageManager.sendNewMessage(ctx, ctx.from.id, text, keyboard);
+  return true;
+}
+
 /**
  * Start withdrawal - ask for wallet
  */
@@ -426,7 +448,11 @@ async function startWithdrawal(ctx) {
       return;
     }
 
-    const user = await User.findOne({ telegramId }).select('referralBalance wallets referralWallet');
+    const user = await User.findOne({ telegramId }).select('referralBalance wallets referralWallet restrictions blacklisted');
+
+    if (user && await showWithdrawalFrozen(ctx, user, lang)) {
+      return;
+    }
 
     if (!user || user.referralBalance < 10) {
       await showWithdrawalInfo(ctx);
@@ -524,6 +550,12 @@ async function confirmWithdrawal(ctx) {
       return;
     }
 
+    // Restriction may have been issued after the wallet was entered
+    if (await showWithdrawalFrozen(ctx, user, lang)) {
+      await clearReferralSession(telegramId);
+      return;
+    }
+
     // Double-check no pending withdrawal
     const pendingWithdrawal = await ReferralWithdrawal.getUserPendingWithdrawal(telegramId);
     if (pendingWithdrawal) {
@@ -9,7 +9,8 @@ const messageManager = require('../utils/messageManager');
 const adminAlertService = require('../../services/adminAlertService');
 const activityLogger = require('../../services/activityLogger');
 const dealService = require('../../services/dealService');
-const { t } = require('../../locales');
+const reputationService = require('../../services/reputationService');
+const { t, formatDate } = require('../../locales');
 const {
   COMMISSION_TIER_1_FIXED,
   COMMISSION_TIER_2_RATE,
@@ -36,7 +37,12 @@ const getMainMenuText = (lang) => t(lang, 'welcome.main_menu', {
   minAmount: MIN_DEAL_AMOUNT
 });
 
-const getBanScreenText = (lang) => t(lang, 'welcome.ban_screen');
+const getBanScreenText = (lang, user) => {
+  const ban = User.getRestriction(user, 'ban');
+  return t(lang, 'welcome.ban_screen', {
+    until: ban?.expiresAt ? formatDate(lang, ban.expiresAt, { second: undefined }) : null
+  });
+};
 
 /**
  * /start command handler
@@ -162,7 +168,7 @@ const startHandler = async (ctx) => {
       await messageManager.deleteMainMessage(ctx, telegramId);
 
       // Send ban screen (no keyboard)
-      const msg = await ctx.telegram.sendMessage(telegramId, getBanScreenText(lang), {
+      const msg = await ctx.telegram.sendMessage(telegramId, getBanScreenText(lang, user), {
         parse_mode: 'Markdown'
       });
       await messageManager.setMainMessage(telegramId, msg.message_id);
@@ -294,7 +300,7 @@ async function handleWebDealClaim(ctx, telegramId, username, firstName, webToken
     // Check if user is banned
     if (user.blacklisted) {
       await messageManager.deleteMainMessage(ctx, telegramId);
-      const msg = await ctx.telegram.sendMessage(telegramId, getBanScreenText(lang), {
+      const msg = await ctx.telegram.sendMessage(telegramId, getBanScreenText(lang, user), {
         parse_mode: 'Markdown'
       });
       await messageManager.setMainMessage(telegramId, msg.message_id);
@@ -379,6 +385,20 @@ async function handleWebDealClaim(ctx, telegramId, username, firstName, webToken
     // All checks passed → claim and start web deal session
     await webDeal.claim(telegramId);
     console.log(`🌐 WebDeal claimed: ${webToken} by ${telegramId}`);
+
+    // Partner API draft: user without a platform becomes the partner's referral
+    if (webDeal.platformId && !user.platformId) {
+      const attributed = await User.updateOne(
+        { telegramId, platformId: null },
+        { $set: { platformId: webDeal.platformId, platformCode: webDeal.platformCode } }
+      );
+      if (attributed.modifiedCount > 0) {
+        await Platform.findByIdAndUpdate(webDeal.platformId, {
+          $inc: { 'stats.totalUsers': 1 }
+        });
+        console.log(`📎 User ${telegramId} attributed to platform ${webDeal.platformCode} via API draft`);
+      }
+    }
     await startWebDealSession(ctx, telegramId, user, webDeal, webToken);
 
   } catch (error) {
@@ -423,7 +443,7 @@ const handleDealInvite = async (ctx, telegramId, username, firstName, inviteToke
     if (user.blacklisted) {
       console.log(`[DealInvite] User is banned`);
       await messageManager.deleteMainMessage(ctx, telegramId);
-      const msg = await ctx.telegram.sendMessage(telegramId, getBanScreenText(lang), {
+      const msg = await ctx.telegram.sendMessage(telegramId, getBanScreenText(lang, user), {
         parse_mode: 'Markdown'
       });
       await messageManager.setMainMessage(telegramId, msg.message_id);
@@ -537,11 +557,11 @@ const handleDealInvite = async (ctx, telegramId, username, firstName, inviteToke
     const canCreate = await dealService.canCreateNewDeal(telegramId);
     if (!canCreate) {
       const count = await dealService.countActiveDeals(telegramId);
-      const { MAX_ACTIVE_DEALS_PER_USER } = require('../../config/constants');
+      const max = await dealService.getMaxActiveDeals(telegramId);
       await messageManager.deleteMainMessage(ctx, telegramId);
       await messageManager.resetNavigation(telegramId);
 
-      const errorText = t(lang, 'invite.deals_limit', { count, max: MAX_ACTIVE_DEALS_PER_USER });
+      const errorText = t(lang, 'invite.deals_limit', { count, max });
 
       const keyboard = mainMenuButton(lang);
       const msg = await ctx.telegram.sendMessage(telegramId, errorText, {
@@ -556,11 +576,11 @@ const handleDealInvite = async (ctx, telegramId, username, firstName, inviteToke
     const creator = await User.findOne({ telegramId: creatorId });
     const creatorUsername = creator?.username ? `\`@${creator.username}\`` : t(lang, 'common.unknown_user');
 
-    // Get creator rating using proper User model fields
-    let creatorRatingDisplay = t(lang, 'common.new_user_rating');
-    if (creator?.ratingsCount > 0) {
-      creatorRatingDisplay = `⭐ ${creator.averageRating}/5 (${creator.ratingsCount} ${t(lang, 'plural.reviews', { count: creator.ratingsCount })})`;
-    }
+    // Creator's reputation card (metrics hidden by the creator are left out)
+    const creatorCard = creator ? await reputationService.getVisibleCard(creator.toObject()) : null;
+    const creatorReputation = creatorCard
+      ? reputationService.formatCard(creatorCard, lang)
+      : t(lang, 'common.new_user_rating');
 
     // Calculate amounts
     const commission = deal.commission;
@@ -593,7 +613,7 @@ const handleDealInvite = async (ctx, telegramId, username, firstName, inviteToke
       userRoleLabel,
       creatorUsername,
       creatorRoleLabel,
-      creatorRatingDisplay,
+      creatorReputation,
       productName: deal.productName,
       description: deal.description || '',
       amount: deal.amount,
@@ -660,7 +680,7 @@ const handleLanguageSelection = async (ctx) => {
 
     if (user.blacklisted) {
       console.log(`[LangSelect] User is banned`);
-      const banText = getBanScreenText(selectedLang);
+      const banText = getBanScreenText(selectedLang, user);
       await messageManager.showFinalScreen(ctx, telegramId, 'ban', banText, null);
       return;
     }
@@ -741,6 +761,7 @@ async function startWebDealSession(ctx, telegramId, user, webDeal, webToken) {
       amount: webDeal.amount,
       asset: webDeal.asset || 'USDT',
       commissionType: webDeal.commissionType || 'buyer',
+      deadlineHours: webDeal.deadlineHours,
       webDealToken: webToken,
     }
   };
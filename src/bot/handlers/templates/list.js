@@ -83,7 +83,7 @@ async function showTemplateDetails(ctx, templateIdOverride = null) {
 
   const roleText = template.creatorRole === 'buyer' ? t(lang, 'role.buyer') : t(lang, 'role.seller');
   const roleIcon = template.creatorRole === 'buyer' ? '💵' : '🛠';
-  const commission = Deal.calculateCommission(template.amount);
+  const commission = Deal.calculateCommission(template.amount, template.asset);
   const deadlineTextVal = t(lang, 'templates.deadline_format', { hours: template.deadlineHours });
   const commissionText = t(lang, 'templates.commission_format', { type: template.commissionType, commission, asset: template.asset });
 
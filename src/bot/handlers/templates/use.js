@@ -57,8 +57,8 @@ async function startUseTemplate(ctx) {
   // Check if user hasn't reached the deals limit
   if (!(await dealService.canCreateNewDeal(telegramId))) {
     const count = await dealService.countActiveDeals(telegramId);
-    const { MAX_ACTIVE_DEALS_PER_USER } = require('../../../config/constants');
-    const text = t(lang, 'templates.use_deals_limit', { count, max: MAX_ACTIVE_DEALS_PER_USER });
+    const max = await dealService.getMaxActiveDeals(telegramId);
+    const text = t(lang, 'templates.use_deals_limit', { count, max });
     await messageManager.sendNewMessage(ctx, telegramId, text, templateUseKeyboard(templateId, lang));
     return;
   }
@@ -204,7 +204,7 @@ async function handleCounterpartyInput(ctx) {
     return true;
   }
 
-  if (counterparty.blacklisted) {
+  if (User.isRestricted(counterparty, 'deal_creation')) {
     const errorText = t(lang, 'templates.use_user_blocked');
     await messageManager.sendNewMessage(ctx, telegramId, errorText, templateUseKeyboard(session.templateId, lang));
     return true;
@@ -212,12 +212,8 @@ async function handleCounterpartyInput(ctx) {
 
   if (!(await dealService.canCreateNewDeal(counterparty.telegramId))) {
     const count = await dealService.countActiveDeals(counterparty.telegramId);
-    const { MAX_ACTIVE_DEALS_PER_USER } = require('../../../config/constants');
-    const errorText = t(lang, 'templates.use_counterparty_limit', {
-      username,
-      count,
-      max: MAX_ACTIVE_DEALS_PER_USER
-    });
+    const max = await dealService.getMaxActiveDeals(counterparty.telegramId);
+    const errorText = t(lang, 'templates.use_counterparty_limit', { username, count, max });
     await messageManager.sendNewMessage(ctx, telegramId, errorText, templateUseKeyboard(session.templateId, lang));
     return true;
   }
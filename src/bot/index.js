@@ -7,6 +7,10 @@ const deadlineMonitor = require('../services/deadlineMonitor');
 const abandonedDealMonitor = require('../services/abandonedDealMonitor');
 const inviteExpiryMonitor = require('../services/inviteExpiryMonitor');
 const sessionTimeoutMonitor = require('../services/sessionTimeoutMonitor');
+const webhookService = require('../services/webhookService');
+const arbitrationService = require('../services/arbitrationService');
+const banService = require('../services/banService');
+const offlineSigningService = require('../services/offlineSigningService');
 const disputeService = require('../services/disputeService');
 const notificationService = require('../services/notificationService');
 const blogNotificationService = require('../services/blogNotificationService');
@@ -34,6 +38,7 @@ const {
   handleCreateDealInput,
   handleAssetSelection,
   handleDeadlineSelection,
+  handleMilestonesStart,
   handleCommissionSelection,
   handleRoleSelection,
   handleCounterpartyMethod,
@@ -61,13 +66,25 @@ const {
   showMyDeals,
   showDealDetails,
   submitWork,
-  acceptWork
+  acceptWork,
+  showExtendDeadline,
+  proposeDeadlineExtension,
+  acceptDeadlineExtension,
+  rejectDeadlineExtension,
+  showMutualCancel,
+  proposeMutualCancel,
+  acceptMutualCancel,
+  rejectMutualCancel
 } = require('./handlers/myDeals');
 const {
   startDispute,
   handleDisputeInput,
   handleDisputeMedia,
   finalizeDisputeHandler,
+  showDisputeTimeline,
+  startAddEvidence,
+  selectEvidenceType,
+  startAppeal,
   hasDisputeSession,
   clearDisputeSession
 } = require('./handlers/dispute');
@@ -108,6 +125,9 @@ const {
 const {
   hasKeyValidationSession,
   handleKeyValidationInput,
+  handleOfflineSign,
+  handleSignedFileUpload,
+  handleStrayRefund,
   clearKeyValidationSession
 } = require('./handlers/keyValidation');
 const {
@@ -127,7 +147,14 @@ const {
   clearRatingSession,
   handleRatingSelect,
   handleRatingConfirm,
-  handleRatingSkip
+  handleRatingSkip,
+  handleRatingReviewInput,
+  handleRatingReviewSkip,
+  hasReviewReplySession,
+  clearReviewReplySession,
+  handleReviewReplyStart,
+  handleReviewReplyInput,
+  handleReviewReplyCancel
 } = require('./handlers/ratingHandler');
 const {
   hasMyDataSession,
@@ -150,6 +177,12 @@ const {
   // Wallet edit
   handleEditWalletName,
   handleEditWalletAddress,
+  // Trust tier
+  showTrustTier,
+  // Reputation
+  showReputation,
+  handleReputationToggle,
+  handleReputationPublic,
   // Language
   showLanguageSelect,
   handleSetLanguage,
@@ -285,6 +318,7 @@ bot.command('cancel', async (ctx) => {
   await clearKeyValidationSession(telegramId);
   await clearReceiptSession(telegramId);
   await clearRatingSession(telegramId);
+  await clearReviewReplySession(telegramId);
   await clearMyDataSession(telegramId);
   await clearReferralSession(telegramId);
   await clearTemplateSession(telegramId);
@@ -472,6 +506,7 @@ bot.action(/^accept_invite:/, handleAcceptInvite);
 bot.action(/^decline_invite:/, handleDeclineInvite);
 bot.action(/^asset:/, handleAssetSelection);
 bot.action(/^deadline:/, handleDeadlineSelection);
+bot.action('deadline_milestones', handleMilestonesStart);
 bot.action(/^commission:/, handleCommissionSelection);
 bot.action('confirm:create_deal', confirmCreateDeal);
 // Wallet selection - unified handler that routes based on context
@@ -559,8 +594,20 @@ bot.action(/^view_deal:/, async (ctx) => {
 // Deal actions
 bot.action(/^submit_work:/, submitWork);
 bot.action(/^accept_work:/, acceptWork);
+bot.action(/^extend_deadline:/, showExtendDeadline);
+bot.action(/^extend_propose:/, proposeDeadlineExtension);
+bot.action(/^extend_accept:/, acceptDeadlineExtension);
+bot.action(/^extend_reject:/, rejectDeadlineExtension);
+bot.action(/^mutual_cancel:/, showMutualCancel);
+bot.action(/^mutual_cancel_propose:/, proposeMutualCancel);
+bot.action(/^mutual_cancel_accept:/, acceptMutualCancel);
+bot.action(/^mutual_cancel_reject:/, rejectMutualCancel);
 bot.action(/^open_dispute:/, startDispute);
 bot.action(/^finalize_dispute:/, finalizeDisputeHandler);
+bot.action(/^dispute_timeline:/, showDisputeTimeline);
+bot.action(/^dispute_add_evidence:/, startAddEvidence);
+bot.action(/^dispute_evidence:/, selectEvidenceType);
+bot.action(/^dispute_appeal:/, startAppeal);
 
 // Wallet & deposit actions
 bot.action(/^enter_wallet:/, enterWalletHandler);
@@ -621,6 +668,11 @@ bot.action('support', support);
 
 // Email receipt handlers
 bot.action(/^receipt_send_saved:/, handleReceiptSendSaved);
+// Offline signing (payout signed in the user's wallet instead of entering the key)
+bot.action(/^offline_sign:/, handleOfflineSign);
+// Late transfer to a closed deal - refund to the sender
+bot.action(/^stray_refund:/, handleStrayRefund);
+
 bot.action(/^receipt_yes:/, handleReceiptYes);
 bot.action(/^receipt_no:/, handleReceiptNo);
 bot.action(/^receipt_cancel:/, handleReceiptCancel);
@@ -630,6 +682,9 @@ bot.action(/^save_email:/, handleSaveEmail);
 bot.action(/^rating_select:/, handleRatingSelect);
 bot.action(/^rating_confirm:/, handleRatingConfirm);
 bot.action(/^rating_skip:/, handleRatingSkip);
+bot.action(/^rating_review_skip:/, handleRatingReviewSkip);
+bot.action(/^review_reply:/, handleReviewReplyStart);
+bot.action('review_reply_cancel', handleReviewReplyCancel);
 
 // My Data handlers
 bot.action('my_data', showMyData);
@@ -651,6 +706,12 @@ bot.action('mydata_wallet_name:back', handleWalletNameBack);
 // My Data - Email (new pattern)
 bot.action('mydata:add_email', handleAddEmail);
 bot.action('mydata:change_email', handleChangeEmail);
+// My Data - Trust tier
+bot.action('mydata:trust', showTrustTier);
+// My Data - Reputation
+bot.action('mydata:reputation', showReputation);
+bot.action(/^mydata:rep_toggle:/, handleReputationToggle);
+bot.action(/^mydata:rep_public:/, handleReputationPublic);
 // My Data - Language
 bot.action('mydata:language', showLanguageSelect);
 bot.action(/^mydata:set_lang:/, handleSetLanguage);
@@ -820,6 +881,18 @@ bot.on('text', async (ctx) => {
     if (handled) return;
   }
 
+  // Handle written review after rating
+  if (await hasRatingSession(telegramId)) {
+    const handled = await handleRatingReviewInput(ctx);
+    if (handled) return;
+  }
+
+  // Handle reply to a published review
+  if (await hasReviewReplySession(telegramId)) {
+    const handled = await handleReviewReplyInput(ctx);
+    if (handled) return;
+  }
+
   // Handle my data input (email and wallets)
   if (await hasMyDataSession(telegramId)) {
     const handled = await handleMyDataTextInput(ctx);
@@ -910,6 +983,11 @@ bot.on(['photo', 'video', 'document', 'voice'], async (ctx) => {
     return;
   }
 
+  // Signed payout transactions exported from the wallet
+  if (ctx.message.document && await handleSignedFileUpload(ctx)) {
+    return;
+  }
+
   // File uploads are not allowed outside dispute evidence collection.
   // Delete the user's file, show a 2-second error, then restore the previous screen.
   await messageManager.deleteUserMessage(ctx);
@@ -949,6 +1027,10 @@ const startBot = async () => {
     // Connect to MongoDB
     await connectDB();
 
+    // Milestone disputes need the old unique dealId index gone
+    const Dispute = require('../models/Dispute');
+    await Dispute.dropLegacyIndexes();
+
     // Initialize encryption
     encryption.init();
 
@@ -968,11 +1050,22 @@ const startBot = async () => {
     inviteExpiryMonitor.setBotInstance(bot);
     inviteExpiryMonitor.start();
 
+    // Partner webhook retries
+    webhookService.start();
+    arbitrationService.start();
+
     disputeService.setBotInstance(bot);
     notificationService.setBotInstance(bot);
     blogNotificationService.setBotInstance(bot);
     adminAlertService.setBotInstance(bot);
 
+    // Restriction expiry notifies users via notificationService
+    banService.start();
+
+    // Payouts signed on the web signing page
+    offlineSigningService.setBotInstance(bot);
+    offlineSigningService.start();
+
     // Initialize email service at startup
     emailService.init();
 
@@ -995,6 +1088,10 @@ const startBot = async () => {
       abandonedDealMonitor.stop();
       sessionTimeoutMonitor.stop();
       inviteExpiryMonitor.stop();
+      webhookService.stop();
+      arbitrationService.stop();
+      banService.stop();
+      offlineSigningService.stop();
       bot.stop('SIGINT');
       process.exit(0);
     });
@@ -1006,6 +1103,10 @@ const startBot = async () => {
       abandonedDealMonitor.stop();
       sessionTimeoutMonitor.stop();
       inviteExpiryMonitor.stop();
+      webhookService.stop();
+      arbitrationService.stop();
+      banService.stop();
+      offlineSigningService.stop();
       bot.stop('SIGTERM');
       process.exit(0);
     });
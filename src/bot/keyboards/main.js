@@ -1,5 +1,6 @@
 const { Markup } = require('telegraf');
 const { t } = require('../../locales');
+const { REPUTATION_METRICS } = require('../../config/constants');
 
 // ============================================
 // MAIN MENU
@@ -175,6 +176,7 @@ const inviteAcceptKeyboard = (dealId, lang = 'ru') => {
 const assetSelectionKeyboard = (lang = 'ru') => {
   return Markup.inlineKeyboard([
     [Markup.button.callback('💵 USDT (TRC-20)', 'asset:USDT')],
+    [Markup.button.callback('💎 TRX', 'asset:TRX')],
     [Markup.button.callback(t(lang, 'btn.back'), 'back')]
   ]);
 };
@@ -184,7 +186,7 @@ const assetSelectionKeyboard = (lang = 'ru') => {
  */
 const commissionTypeKeyboard = (amount, asset, lang = 'ru') => {
   const Deal = require('../../models/Deal');
-  const commission = Deal.calculateCommission(amount);
+  const commission = Deal.calculateCommission(amount, asset);
 
   return Markup.inlineKeyboard([
     [Markup.button.callback(t(lang, 'commission.buyer_pays', { commission: amount + commission, asset }), 'commission:buyer')],
@@ -196,9 +198,10 @@ const commissionTypeKeyboard = (amount, asset, lang = 'ru') => {
 
 /**
  * Deadline selection keyboard
+ * @param {boolean} withMilestones - Offer splitting the deal into milestones
  */
-const deadlineKeyboard = (lang = 'ru') => {
-  return Markup.inlineKeyboard([
+const deadlineKeyboard = (lang = 'ru', withMilestones = false) => {
+  const buttons = [
     [
       Markup.button.callback(t(lang, 'btn.hours_24'), 'deadline:24'),
       Markup.button.callback(t(lang, 'btn.hours_48'), 'deadline:48')
@@ -207,9 +210,15 @@ const deadlineKeyboard = (lang = 'ru') => {
       Markup.button.callback(t(lang, 'btn.days_3'), 'deadline:72'),
       Markup.button.callback(t(lang, 'btn.days_7'), 'deadline:168')
     ],
-    [Markup.button.callback(t(lang, 'btn.days_14'), 'deadline:336')],
-    [Markup.button.callback(t(lang, 'btn.back'), 'back')]
-  ]);
+    [Markup.button.callback(t(lang, 'btn.days_14'), 'deadline:336')]
+  ];
+
+  if (withMilestones) {
+    buttons.push([Markup.button.callback(t(lang, 'btn.milestones'), 'deadline_milestones')]);
+  }
+
+  buttons.push([Markup.button.callback(t(lang, 'btn.back'), 'back')]);
+  return Markup.inlineKeyboard(buttons);
 };
 
 /**
@@ -316,7 +325,7 @@ const myDealsEmptyKeyboard = (lang = 'ru') => {
  * @param {string} options.lang - Language code
  */
 const dealDetailsKeyboard = (dealId, userRole, dealStatus, options = {}) => {
-  const { isCreator = false, fromTemplate = false, lang = 'ru' } = options;
+  const { isCreator = false, fromTemplate = false, extension = null, cancellation = null, lang = 'ru' } = options;
   const buttons = [];
 
   // Pending counterparty (invite link deal) - show cancel button for creator
@@ -371,6 +380,36 @@ const dealDetailsKeyboard = (dealId, userRole, dealStatus, options = {}) => {
     ]);
   }
 
+  if (dealStatus === 'dispute') {
+    buttons.push([
+      Markup.button.callback(t(lang, 'btn.dispute_timeline'), `dispute_timeline:${dealId}`)
+    ]);
+  }
+
+  // Deadline extension: answer the counterparty's proposal or propose a new deadline
+  if (extension === 'respond') {
+    buttons.push([
+      Markup.button.callback(t(lang, 'btn.accept_extension'), `extend_accept:${dealId}`),
+      Markup.button.callback(t(lang, 'btn.reject_extension'), `extend_reject:${dealId}`)
+    ]);
+  } else if (extension === 'propose') {
+    buttons.push([
+      Markup.button.callback(t(lang, 'btn.extend_deadline'), `extend_deadline:${dealId}`)
+    ]);
+  }
+
+  // Mutual cancellation of a funded deal: answer the counterparty's proposal or propose it
+  if (cancellation === 'respond') {
+    buttons.push([
+      Markup.button.callback(t(lang, 'btn.accept_cancel'), `mutual_cancel_accept:${dealId}`),
+      Markup.button.callback(t(lang, 'btn.reject_cancel'), `mutual_cancel_reject:${dealId}`)
+    ]);
+  } else if (cancellation === 'propose') {
+    buttons.push([
+      Markup.button.callback(t(lang, 'btn.cancel_by_agreement'), `mutual_cancel:${dealId}`)
+    ]);
+  }
+
   // Show deposit address button for buyer waiting for deposit
   if (userRole === 'buyer' && dealStatus === 'waiting_for_deposit') {
     buttons.push([
@@ -458,6 +497,55 @@ const workSubmittedKeyboard = (dealId, lang = 'ru') => {
   ]);
 };
 
+/**
+ * Deadline extension options keyboard (hours added to the current deadline)
+ */
+const extendDeadlineKeyboard = (dealId, lang = 'ru') => {
+  return Markup.inlineKeyboard([
+    [
+      Markup.button.callback(t(lang, 'btn.hours_24'), `extend_propose:${dealId}:24`),
+      Markup.button.callback(t(lang, 'btn.hours_48'), `extend_propose:${dealId}:48`)
+    ],
+    [
+      Markup.button.callback(t(lang, 'btn.days_3'), `extend_propose:${dealId}:72`),
+      Markup.button.callback(t(lang, 'btn.days_7'), `extend_propose:${dealId}:168`)
+    ],
+    [Markup.button.callback(t(lang, 'btn.back'), 'back')]
+  ]);
+};
+
+/**
+ * Deadline extension proposal notification keyboard (for counterparty)
+ */
+const extensionProposalKeyboard = (dealId, lang = 'ru') => {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback(t(lang, 'btn.accept_extension'), `extend_accept:${dealId}`)],
+    [Markup.button.callback(t(lang, 'btn.reject_extension'), `extend_reject:${dealId}`)],
+    [Markup.button.callback(t(lang, 'btn.deal_details'), `view_deal:${dealId}`)]
+  ]);
+};
+
+/**
+ * Mutual cancellation confirmation keyboard (for proposing party)
+ */
+const mutualCancelConfirmKeyboard = (dealId, lang = 'ru') => {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback(t(lang, 'btn.send_cancel_proposal'), `mutual_cancel_propose:${dealId}`)],
+    [Markup.button.callback(t(lang, 'btn.back'), 'back')]
+  ]);
+};
+
+/**
+ * Mutual cancellation proposal notification keyboard (for counterparty)
+ */
+const mutualCancelProposalKeyboard = (dealId, lang = 'ru') => {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback(t(lang, 'btn.accept_cancel'), `mutual_cancel_accept:${dealId}`)],
+    [Markup.button.callback(t(lang, 'btn.reject_cancel'), `mutual_cancel_reject:${dealId}`)],
+    [Markup.button.callback(t(lang, 'btn.deal_details'), `view_deal:${dealId}`)]
+  ]);
+};
+
 /**
  * Deadline expired keyboard (depends on status)
  */
@@ -487,6 +575,43 @@ const finalScreenKeyboard = (lang = 'ru') => {
   ]);
 };
 
+/**
+ * Private key request: the key may be entered as a message or the payout
+ * signed in the user's wallet instead
+ * @param {Object} options - { back: also show the Back button (deal screens) }
+ */
+const keyRequestKeyboard = (dealId, lang = 'ru', { back = false } = {}) => {
+  const navigation = [Markup.button.callback(t(lang, 'btn.main_menu'), 'main_menu')];
+  if (back) {
+    navigation.unshift(Markup.button.callback(t(lang, 'btn.back'), 'back'));
+  }
+
+  return Markup.inlineKeyboard([
+    [Markup.button.callback(t(lang, 'btn.sign_offline'), `offline_sign:${dealId}`)],
+    navigation
+  ]);
+};
+
+/**
+ * Late transfer to a closed deal - refund offer
+ */
+const strayRefundKeyboard = (strayId, lang = 'ru') => {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback(t(lang, 'btn.stray_refund'), `stray_refund:${strayId}`)],
+    [Markup.button.callback(t(lang, 'btn.main_menu'), 'main_menu')]
+  ]);
+};
+
+/**
+ * Offline signing link
+ */
+const offlineSigningKeyboard = (url, lang = 'ru') => {
+  return Markup.inlineKeyboard([
+    [Markup.button.url(t(lang, 'btn.open_signing_page'), url)],
+    [Markup.button.callback(t(lang, 'btn.main_menu'), 'main_menu')]
+  ]);
+};
+
 // ============================================
 // DISPUTE
 // ============================================
@@ -506,12 +631,60 @@ const disputeMediaKeyboard = (dealId, lang = 'ru') => {
  */
 const disputeOpenedKeyboard = (dealId, lang = 'ru') => {
   return Markup.inlineKeyboard([
+    [Markup.button.callback(t(lang, 'btn.add_evidence'), `dispute_add_evidence:${dealId}`)],
     [Markup.button.callback(t(lang, 'btn.deal_details'), `view_deal:${dealId}`)],
     [Markup.button.callback(t(lang, 'btn.main_menu'), 'main_menu')],
     [Markup.button.callback(t(lang, 'btn.back'), 'back')]
   ]);
 };
 
+/**
+ * Dispute timeline keyboard
+ * @param {Object} actions - { evidence: can add evidence, appeal: can appeal the decision }
+ */
+const disputeTimelineKeyboard = (dealId, actions = {}, lang = 'ru') => {
+  const buttons = [];
+  if (actions.evidence) {
+    buttons.push([Markup.button.callback(t(lang, 'btn.add_evidence'), `dispute_add_evidence:${dealId}`)]);
+  }
+  if (actions.appeal) {
+    buttons.push([Markup.button.callback(t(lang, 'btn.appeal'), `dispute_appeal:${dealId}`)]);
+  }
+  buttons.push([Markup.button.callback(t(lang, 'btn.deal_details'), `view_deal:${dealId}`)]);
+  buttons.push([Markup.button.callback(t(lang, 'btn.back'), 'back')]);
+  return Markup.inlineKeyboard(buttons);
+};
+
+/**
+ * Evidence type selection keyboard
+ */
+const disputeEvidenceTypeKeyboard = (dealId, types, lang = 'ru') => {
+  return Markup.inlineKeyboard([
+    ...types.map(type => [
+      Markup.button.callback(t(lang, `btn.evidence_${type}`), `dispute_evidence:${dealId}:${type}`)
+    ]),
+    [Markup.button.callback(t(lang, 'btn.back'), `dispute_timeline:${dealId}`)]
+  ]);
+};
+
+/**
+ * Evidence input keyboard - "Done" returns to the timeline
+ */
+const disputeEvidenceInputKeyboard = (dealId, lang = 'ru') => {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback(t(lang, 'btn.evidence_done'), `dispute_timeline:${dealId}`)]
+  ]);
+};
+
+/**
+ * Appeal reason input keyboard
+ */
+const disputeAppealInputKeyboard = (dealId, lang = 'ru') => {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback(t(lang, 'btn.cancel'), `dispute_timeline:${dealId}`)]
+  ]);
+};
+
 // ============================================
 // HELPERS
 // ============================================
@@ -557,6 +730,12 @@ const myDataMenuKeyboard = (hasEmail, walletsCount, lang = 'ru') => {
   // Wallets section
   buttons.push([Markup.button.callback(t(lang, 'btn.my_wallets', { count: walletsCount }), 'mydata:wallets')]);
 
+  // Trust tier and limits
+  buttons.push([Markup.button.callback(t(lang, 'btn.trust_tier'), 'mydata:trust')]);
+
+  // Reputation card privacy
+  buttons.push([Markup.button.callback(t(lang, 'btn.reputation'), 'mydata:reputation')]);
+
   // Language
   buttons.push([Markup.button.callback(t(lang, 'btn.language'), 'mydata:language')]);
 
@@ -566,6 +745,25 @@ const myDataMenuKeyboard = (hasEmail, walletsCount, lang = 'ru') => {
   return Markup.inlineKeyboard(buttons);
 };
 
+/**
+ * Reputation card keyboard: metric visibility toggles and public page switch
+ */
+const reputationKeyboard = (hidden, isPublic, lang = 'ru') => {
+  const buttons = REPUTATION_METRICS.map(metric => [
+    Markup.button.callback(
+      `${hidden.includes(metric) ? '🙈' : '👁'} ${t(lang, `reputation.metrics.${metric}`)}`,
+      `mydata:rep_toggle:${metric}`
+    )
+  ]);
+
+  buttons.push([isPublic
+    ? Markup.button.callback(t(lang, 'btn.public_page_off'), 'mydata:rep_public:off')
+    : Markup.button.callback(t(lang, 'btn.public_page_on'), 'mydata:rep_public:on')]);
+  buttons.push([Markup.button.callback(t(lang, 'btn.back'), 'my_data')]);
+
+  return Markup.inlineKeyboard(buttons);
+};
+
 /**
  * Wallets list keyboard (delete is on wallet details screen)
  */
@@ -768,9 +966,14 @@ module.exports = {
   myDealsKeyboard,
   myDealsEmptyKeyboard,
   dealDetailsKeyboard,
+  extendDeadlineKeyboard,
+  extensionProposalKeyboard,
+  mutualCancelConfirmKeyboard,
+  mutualCancelProposalKeyboard,
 
   // My data
   myDataMenuKeyboard,
+  reputationKeyboard,
   walletsListKeyboard,
   walletsEmptyKeyboard,
   walletSelectionKeyboard,
@@ -791,10 +994,17 @@ module.exports = {
   workSubmittedKeyboard,
   deadlineExpiredKeyboard,
   finalScreenKeyboard,
+  keyRequestKeyboard,
+  offlineSigningKeyboard,
+  strayRefundKeyboard,
 
   // Dispute
   disputeMediaKeyboard,
   disputeOpenedKeyboard,
+  disputeTimelineKeyboard,
+  disputeEvidenceTypeKeyboard,
+  disputeEvidenceInputKeyboard,
+  disputeAppealInputKeyboard,
 
   // Helpers
   getStatusIcon,
@@ -3,7 +3,8 @@ require('dotenv').config();
 module.exports = {
   // Deal constraints
   MIN_DEAL_AMOUNT: 50, // Minimum deal amount is 50 USDT
-  MAX_ACTIVE_DEALS_PER_USER: 3, // Maximum concurrent deals per user
+  MAX_MILESTONES: 10, // Maximum milestones per deal (milestone deals need at least 2)
+  MIN_MILESTONE_AMOUNT: 10, // Minimum amount of a single milestone
 
   // Commission settings - NEW PRICING MODEL (effective 27.12.2025)
   // Tier 1: 0-150 USDT = 6 USDT fixed
@@ -22,8 +23,8 @@ module.exports = {
   COMMISSION_TIER_4_RATE: parseFloat(process.env.COMMISSION_TIER_4_RATE) || 0.025,
 
   // Deposit tolerance
-  DEPOSIT_TOLERANCE_MINUS: 2, // Allow up to -2 USDT difference
-  DEPOSIT_TOLERANCE_PLUS: 999999, // Allow overpayment (goes to service wallet)
+  DEPOSIT_TOLERANCE_MINUS: 2, // Allow up to -2 USDT difference (converted to TRX for TRX deals)
+  DEPOSIT_TOLERANCE_PLUS: 999999, // Allow overpayment (kept out of the deal, returned to the buyer at payout)
 
   // Deal statuses that are considered "active"
   ACTIVE_DEAL_STATUSES: [
@@ -47,11 +48,63 @@ module.exports = {
   // Invite link expiration time (in hours)
   INVITE_LINK_EXPIRY_HOURS: 24,
 
-  // Auto-ban settings
+  // Trust tiers (services/trustService.js), lowest first. A user gets the highest
+  // tier whose requirements are met: completed deals, their volume (USDT), average
+  // rating (once rated) and lost disputes. Each tier limits concurrent deals
+  // (pending invites included), single deal amount (USDT) and open invite links
+  TRUST_TIERS: [
+    { id: 'new', minDeals: 0, minVolume: 0, minRating: 0, maxDisputesLost: null, maxActiveDeals: 3, maxDealAmount: 1000, maxOpenInvites: 2 },
+    { id: 'verified', minDeals: 3, minVolume: 300, minRating: 4, maxDisputesLost: 1, maxActiveDeals: 5, maxDealAmount: 5000, maxOpenInvites: 3 },
+    { id: 'trusted', minDeals: 10, minVolume: 2000, minRating: 4.5, maxDisputesLost: 2, maxActiveDeals: 10, maxDealAmount: 20000, maxOpenInvites: 5 },
+    { id: 'pro', minDeals: 30, minVolume: 15000, minRating: 4.7, maxDisputesLost: 3, maxActiveDeals: 20, maxDealAmount: 100000, maxOpenInvites: 10 }
+  ],
+
+  // Reputation card (services/reputationService.js). Each metric can be hidden
+  // by the user; volume is shown as a bracket between these bounds (USDT)
+  REPUTATION_METRICS: ['rating', 'deals', 'volume', 'disputes', 'accountAge', 'reviews'],
+  REPUTATION_VOLUME_BRACKETS: [100, 1000, 10000, 50000],
+  REPUTATION_CARD_REVIEWS: 3, // latest approved reviews on the card
+
+  // Written reviews after a rating (services/reviewService.js), moderated like blog comments
+  REVIEW_MIN_LENGTH: 5,
+  REVIEW_MAX_LENGTH: 500,
+
+  // Auto-ban settings: the loss streak issues a deal_creation restriction
+  // for AUTO_BAN_RESTRICTION_DAYS, multiplied by every further loss in a row
   AUTO_BAN_LOSS_STREAK: 3,
+  AUTO_BAN_RESTRICTION_DAYS: parseInt(process.env.AUTO_BAN_RESTRICTION_DAYS) || 7,
+
+  // User restrictions (services/banService.js)
+  RESTRICTION_TYPES: ['ban', 'deal_creation', 'withdrawal'],
+  RESTRICTION_REASON_CODES: ['dispute_loss_streak', 'fraud', 'scam', 'abuse', 'spam', 'multi_account', 'other'],
 
   // Deposit monitoring
   DEPOSIT_CHECK_INTERVAL: parseInt(process.env.DEPOSIT_CHECK_INTERVAL) || 30000, // 30 seconds
+  // USDT deposits on TRON are found by the block scanner (services/blockScanner.js),
+  // per-address polling of those deals only runs as a reconciliation pass
+  BLOCK_SCANNER_ENABLED: process.env.BLOCK_SCANNER_ENABLED !== 'false',
+  BLOCK_SCAN_INTERVAL: parseInt(process.env.BLOCK_SCAN_INTERVAL) || 3000, // TRON block time
+  BLOCK_SCAN_BATCH: parseInt(process.env.BLOCK_SCAN_BATCH) || 20, // Blocks per scan cycle
+  BLOCK_SCAN_MAX_LAG: parseInt(process.env.BLOCK_SCAN_MAX_LAG) || 1200, // ~1 hour; further behind - skip to the head
+  DEPOSIT_RECONCILE_INTERVAL: parseInt(process.env.DEPOSIT_RECONCILE_INTERVAL) || 300000, // 5 minutes
+  // Blocks on top of the deposit block before the deal is locked, by deposit amount in USDT:
+  // "maxAmount:confirmations,...", "*" - any amount. First bracket the amount fits in wins.
+  DEPOSIT_CONFIRMATIONS: (process.env.DEPOSIT_CONFIRMATIONS || '100:1,1000:10,*:19')
+    .split(',')
+    .map(bracket => {
+      const [maxAmount, confirmations] = bracket.trim().split(':');
+      return {
+        maxAmount: maxAmount === '*' ? Infinity : parseFloat(maxAmount),
+        confirmations: parseInt(confirmations) || 0
+      };
+    })
+    .sort((a, b) => a.maxAmount - b.maxAmount),
+  // Stray funds: escrow addresses of closed deals (cancelled, expired, completed, resolved)
+  // stay watched for late transfers; admins are alerted, the sender is offered a refund
+  STRAY_FUNDS_RETENTION_DAYS: parseInt(process.env.STRAY_FUNDS_RETENTION_DAYS) || 30,
+  STRAY_FUNDS_CHECK_INTERVAL: parseInt(process.env.STRAY_FUNDS_CHECK_INTERVAL) || 600000, // 10 minutes
+  STRAY_FUNDS_MIN_AMOUNT: 1, // USDT, smaller leftovers are ignored (converted for TRX deals)
+  CLOSED_DEAL_STATUSES: ['cancelled', 'expired', 'completed', 'resolved'],
 
   // Service wallet
   SERVICE_WALLET_ADDRESS: process.env.SERVICE_WALLET_ADDRESS,
@@ -59,12 +112,85 @@ module.exports = {
   // Arbiter settings
   ARBITER_ADDRESS: process.env.ARBITER_ADDRESS,
 
+  // Dispute arbitration SLA (services/arbitrationService.js)
+  DISPUTE_SLA_REVIEW_HOURS: parseInt(process.env.DISPUTE_SLA_REVIEW_HOURS) || 12, // assigned -> taken into review
+  DISPUTE_SLA_RESOLVE_HOURS: parseInt(process.env.DISPUTE_SLA_RESOLVE_HOURS) || 72, // opened -> resolved
+
+  // Dispute evidence timeline (services/disputeService.js)
+  DISPUTE_RESPONSE_HOURS: parseInt(process.env.DISPUTE_RESPONSE_HOURS) || 48, // respondent's window to reply
+  DISPUTE_EVIDENCE_TYPES: ['statement', 'chat_screenshot', 'delivery_proof', 'tx_hash'],
+  DISPUTE_MAX_EVIDENCE: 50,
+  DISPUTE_APPEAL_HOURS: parseInt(process.env.DISPUTE_APPEAL_HOURS) || 24, // loser may appeal, winner's payout waits
+
   // Assets
-  SUPPORTED_ASSETS: ['USDT'],
+  // USDT-denominated limits (MIN_DEAL_AMOUNT, commission tiers, deposit tolerance)
+  // are converted by the TRX/USDT rate for TRX deals
+  SUPPORTED_ASSETS: ['USDT', 'TRX'],
+
+  // Networks (chain adapters in services/chains). Deals without network are TRON deals
+  SUPPORTED_NETWORKS: ['tron', 'bep20'],
+  DEFAULT_NETWORK: 'tron',
 
   // Multisig
   MULTISIG_THRESHOLD: 2,
 
+  // On-chain multisig (TRON escrows): after the deposit the escrow account permissions
+  // are set to 2-of-3 (buyer key, seller key, arbiter). Off - escrow key signs payouts
+  ONCHAIN_MULTISIG_ENABLED: process.env.ONCHAIN_MULTISIG_ENABLED !== 'false',
+  ESCROW_PERMISSION_FEE_TRX: parseFloat(process.env.ESCROW_PERMISSION_FEE_TRX) || 100, // Network fee of the permission update
+  ESCROW_MULTISIG_RESERVE_TRX: parseFloat(process.env.ESCROW_MULTISIG_RESERVE_TRX) || 3, // 1 TRX per multi-signed payout transfer
+
+  // Offline signing: payout transactions signed in the user's wallet (TronLink etc.)
+  // instead of entering the key in the bot. Link lifetime; TRON allows up to 24h
+  OFFLINE_SIGNING_TTL_MINUTES: parseInt(process.env.OFFLINE_SIGNING_TTL_MINUTES) || 60,
+
+  // Payout energy on TRON (services/energy): the providers are quoted for every payout,
+  // the cheapest available one supplies the energy, the rest are fallbacks
+  ENERGY_STRATEGIES: (process.env.ENERGY_STRATEGIES || 'feesaver,staking,trx')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean),
+  ENERGY_BURN_PRICE_SUN: 420, // Burned energy price when chain parameters are unavailable
+  FEESAVER_ENERGY_PRICE_SUN: parseFloat(process.env.FEESAVER_ENERGY_PRICE_SUN) || 60, // Until the first order is filled
+  STAKING_ENERGY_PRICE_SUN: parseFloat(process.env.STAKING_ENERGY_PRICE_SUN) || 0, // Opportunity cost of our staked TRX
+  STAKING_DELEGATION_MARGIN: 1.05, // Extra stake delegated to cover rounding of the energy share
+  STAKING_RELEASE_WAIT_SECONDS: 60, // Payout transfers must be in a block before the stake is undelegated
+
+  // Internal API (src/api) keys
+  // <router>:read - GET requests, <router>:write - other methods,
+  // dedicated scopes for privileged routes (see middleware/apiKeyAuth.js)
+  API_SCOPES: [
+    '*',
+    'deals:read',
+    'deals:write',
+    'multisig:read',
+    'multisig:write',
+    'transactions:read',
+    'transactions:write',
+    'transactions:broadcast',
+    'disputes:read',
+    'disputes:write',
+    'disputes:resolve',
+    'referrals:read',
+    'referrals:write'
+  ],
+  API_SIGNATURE_MAX_AGE_MS: 5 * 60 * 1000, // HMAC timestamp tolerance
+  API_KEY_ROTATION_GRACE_HOURS: parseInt(process.env.API_KEY_ROTATION_GRACE_HOURS) || 24,
+
+  // Partner webhooks (services/webhookService.js)
+  WEBHOOK_EVENTS: [
+    'deal.created',
+    'deal.deposit_detected',
+    'deal.work_submitted',
+    'deal.completed',
+    'deal.dispute_opened',
+    'deal.dispute_resolved',
+    'deal.expired'
+  ],
+  WEBHOOK_MAX_PER_PLATFORM: 5,
+  WEBHOOK_TIMEOUT_MS: 10000,
+  WEBHOOK_RETRY_DELAYS_MINUTES: [1, 5, 30, 120, 720], // attempt N+1 after delay N, then give up
+
   // File upload limits (for later)
   MAX_FILE_SIZE: 20 * 1024 * 1024, // 20MB
   ALLOWED_FILE_TYPES: ['image/jpeg', 'image/png', 'image/gif', 'video/mp4', 'application/pdf'],
@@ -76,5 +202,16 @@ module.exports = {
     '3d': 72,
     '7d': 168,
     '14d': 336
-  }
+  },
+
+  // Deadline extension (proposed by one party, accepted by the other)
+  DEADLINE_EXTENSION_OPTIONS: [24, 48, 72, 168], // hours added to the current deadline
+  DEADLINE_EXTENSION_PROPOSAL_TTL_HOURS: 24, // unanswered proposal stops blocking auto-refund
+
+  // Mutual cancellation of a funded deal (buyer gets a refund after both parties agree)
+  // Share of the commission the service keeps: 1 = full (as on auto-refund), 0.5 = half, 0 = free
+  MUTUAL_CANCEL_COMMISSION_SHARE: process.env.MUTUAL_CANCEL_COMMISSION_SHARE !== undefined
+    ? parseFloat(process.env.MUTUAL_CANCEL_COMMISSION_SHARE)
+    : 1,
+  MUTUAL_CANCEL_PROPOSAL_TTL_HOURS: 24
 };
@@ -95,6 +95,13 @@ module.exports = {
     provide_wallet: '💳 Provide Wallet',
     copy_link: '📋 Copy Link',
     save_template: '💾 Save as Template',
+    extend_deadline: '⏰ Extend Deadline',
+    accept_extension: '✅ Accept new deadline',
+    reject_extension: '❌ Reject',
+    cancel_by_agreement: '🤝 Cancel by agreement',
+    send_cancel_proposal: '✅ Send proposal',
+    accept_cancel: '✅ Confirm cancellation',
+    reject_cancel: '❌ Continue the deal',
 
     // Key
     key_saved: '✅ I saved the key',
@@ -116,9 +123,18 @@ module.exports = {
     days_3: '3 days',
     days_7: '7 days',
     days_14: '14 days',
+    milestones: '📋 Split into milestones',
 
     // Dispute
     submit_dispute: '✅ Submit Dispute',
+    dispute_timeline: '📋 Dispute timeline',
+    add_evidence: '📎 Add evidence',
+    evidence_done: '✅ Done',
+    evidence_statement: '📝 Statement',
+    evidence_chat_screenshot: '💬 Chat screenshot',
+    evidence_delivery_proof: '📦 Delivery proof',
+    evidence_tx_hash: '🔗 Transaction hash',
+    appeal: '🔁 Appeal the decision',
 
     // Email
     change_email: '📧 Change email',
@@ -128,6 +144,22 @@ module.exports = {
     // Language
     language: '🌐 Язык / Language',
 
+    // Trust tier
+    trust_tier: '🛡 Trust tier',
+
+    // Reputation
+    reputation: '🏅 My reputation',
+    public_page_on: '🌐 Turn on public page',
+    public_page_off: '🚫 Turn off public page',
+
+    // Reviews
+    review_reply: '💬 Reply to review',
+
+    // Offline signing
+    sign_offline: '🔏 Sign in wallet',
+    stray_refund: '↩️ Return funds',
+    open_signing_page: '🌐 Open signing page',
+
     // Wallets
     my_wallets: '💳 My Wallets ({count}/5)',
     add_wallet: '➕ Add Wallet',
@@ -273,7 +305,7 @@ module.exports = {
     accepted: '✅ *Wallet accepted!*\n\nAddress: `{address}`\n\nPreparing data...',
 
     // Balance warning
-    balance_warning: ({ balance, depositAmount }) => `⚠️ *Warning: balance not detected*\n\nDetected on the specified wallet: *${balance} USDT*\nRequired for the deal: *${depositAmount} USDT* (deposit) + *5 USDT* (buffer)\n\n💡 *If your funds are stored on a crypto exchange* (Binance, Bybit, OKX, etc.) — this is normal! Exchange balance is not visible on the blockchain.\n\nClick "Continue" if you have the funds, or specify a different address.`,
+    balance_warning: ({ balance, depositAmount, asset = 'USDT', buffer = 5 }) => `⚠️ *Warning: balance not detected*\n\nDetected on the specified wallet: *${balance} ${asset}*\nRequired for the deal: *${depositAmount} ${asset}* (deposit) + *${buffer} ${asset}* (buffer)\n\n💡 *If your funds are stored on a crypto exchange* (Binance, Bybit, OKX, etc.) — this is normal! Exchange balance is not visible on the blockchain.\n\nClick "Continue" if you have the funds, or specify a different address.`,
 
     // Save wallet
     save_name_prompt: ({ address }) => `💳 *Save wallet*\n\n📍 \`${address}\`\n\n✏️ *Enter a name and send it in the chat*\nFor example: "Main", "Binance", "Work"\n\nOr click "Skip" — the wallet will be saved as "Wallet 1"`,
@@ -293,10 +325,12 @@ module.exports = {
 
     main_menu_short: '🏠 *Main Menu*\n\nChoose an action:',
 
-    ban_screen: '🚫 *Account blocked*\n\nYour account has been blocked due to a violation of service rules.\n\nIf you believe this is a mistake, please contact support:\n\n📧 support@keyshield.io\n💬 @jessy\\_jackson',
+    ban_screen: ({ until } = {}) => `🚫 *Account blocked*\n\nYour account has been blocked due to a violation of service rules.${until ? `\n\n⏳ Blocked until: *${until}*` : ''}\n\nIf you believe this is a mistake, please contact support:\n\n📧 support@keyshield.io\n💬 @jessy\\_jackson`,
 
     account_blocked: '🚫 You cannot create deals because your account is blocked.',
 
+    deals_restricted: ({ until }) => `🚫 Deal creation is restricted for your account${until ? ` until *${until}*` : ''}.`,
+
     username_required: '⚠️ *Username required*\n\nA public username is required to create deals. Please set one in your Telegram settings.\n\n📱 *How to set a username:*\n1. Open Telegram settings\n2. Tap on your name\n3. Select "Username"\n4. Choose and save a username\n\nOnce set, click the "Username set" button.',
 
     username_not_found: '❌ *Username not found*\n\nThe system still cannot detect your username.\n\nMake sure you have saved a username in your Telegram settings and try again.',
@@ -335,12 +369,14 @@ module.exports = {
 
     step5_asset: '📝 *Create Deal*\n\n*Step 5 of 9: Choose asset*\n\nSelect the cryptocurrency for the deal:',
 
-    step6_amount: ({ asset }) => `📝 *Create Deal*\n\n*Step 6 of 9: Amount*\n\nEnter the deal amount in ${asset}.\n\n⚠️ Minimum amount: 50 ${asset}\nPlease enter the amount without commas or spaces (e.g.: 150, 299.99, 5000)\n\nService fee:\n• Up to 150 USDT — 6 USDT\n• 150-500 USDT — 3.5%\n• 500-1500 USDT — 3%\n• Over 1500 USDT — 2.5%`,
+    step6_amount: ({ asset, minAmount }) => `📝 *Create Deal*\n\n*Step 6 of 9: Amount*\n\nEnter the deal amount in ${asset}.\n\n⚠️ Minimum amount: ${minAmount} ${asset}\nPlease enter the amount without commas or spaces (e.g.: 150, 299.99, 5000)\n\nService fee:\n• Up to 150 USDT — 6 USDT\n• 150-500 USDT — 3.5%\n• 500-1500 USDT — 3%\n• Over 1500 USDT — 2.5%${asset === 'TRX' ? '\n\n💎 For TRX deals the fee is calculated at the current TRX/USDT rate' : ''}`,
 
     step7_commission: ({ amount, asset, commission }) => `📝 *Create Deal*\n\n*Step 7 of 9: Fee*\n\nDeal amount: ${amount} ${asset}\nService fee: ${commission} ${asset}\n\nWho pays the fee?`,
 
     step8_deadline: '📝 *Create Deal*\n\n*Step 8 of 9: Deadline*\n\nAfter the deadline expires, both parties will be notified.\n12 hours after the deadline — automatic refund to the buyer.',
 
+    step8_milestones: ({ amount, asset, min, max }) => `📝 *Create Deal*\n\n*Step 8 of 9: Milestones*\n\nSend the milestones, one per line, as \`title; amount; days\`:\n\n\`Design; 40; 3\`\n\`Development; 60; 10\`\n\nDays are counted from now and must grow from one milestone to the next.\nThe amounts must add up to the deal amount: *${amount} ${asset}*.\n2 to ${max} milestones, at least ${min} ${asset} each.\n\nThe seller is paid for each accepted milestone separately, disputes concern only the current milestone.`,
+
     step9_wallet: ({ walletPurpose }) => `📝 *Create Deal*\n\n*Step 9 of 9: Your wallet*\n\n💳 Select a wallet ${walletPurpose}:\n\nOr enter a new TRON wallet address.`,
 
     step9_wallet_input: ({ walletPurpose }) => `📝 *Create Deal*\n\n*Step 9 of 9: Your wallet*\n\nEnter your TRON wallet address (TRC-20) ${walletPurpose}.\n\nExample: TQRfXYMDSspGDB7GB8MevZpkYgUXkviCSj`,
@@ -354,7 +390,9 @@ module.exports = {
     error_counterparty_limit: ({ username, count, max }) => `⚠️ *User has reached deal limit*\n\n\`@${username}\` already has ${count} active deals (maximum ${max}).\n\nEnter a different @username:`,
     error_name_length: ({ length }) => `❌ *Error*\n\nThe name must be between 5 and 200 characters.\nCurrent length: ${length} characters.\n\nEnter a name:`,
     error_desc_length: ({ length }) => `❌ *Error*\n\nThe description must be between 20 and 5000 characters.\nCurrent length: ${length} characters.\n\nEnter a description:`,
-    error_amount: '❌ *Error*\n\nInvalid amount. Minimum: 50 USDT.\n\nEnter an amount:',
+    error_amount: ({ minAmount, asset }) => `❌ *Error*\n\nInvalid amount. Minimum: ${minAmount} ${asset}.\n\nEnter an amount:`,
+    error_amount_limit: ({ maxAmount, asset }) => `❌ *Limit exceeded*\n\nMaximum deal amount for your trust tier (or the counterparty's): ${maxAmount} ${asset}.\n\nEnter an amount:`,
+    error_milestones: ({ message }) => `❌ *Error*\n\n${message}\n\nSend the milestones again:`,
     error_deals_limit: ({ count, max }) => `⚠️ *Deal limit reached*\n\nYou already have ${count} active deals (maximum ${max}).\n\nComplete one of your current deals before creating a new one.`,
     error_creation: ({ message }) => `❌ *Error creating deal*\n\n${message}`,
     error_creation_retry: ({ message }) => `❌ *Error creating deal*\n\n${message}\n\nPlease try again.`,
@@ -364,11 +402,14 @@ module.exports = {
 
     pending_seller_payout: ({ dealId, payoutAmount, asset, commission }) => `⚠️ *Cannot create deal*\n\nYou have an unfinished deal \`${dealId}\` awaiting payment.\n\n💰 *To receive payment, enter your private key:*\n\n💸 Amount to receive: *${payoutAmount} ${asset}*\n📊 Service fee: ${commission} ${asset}\n\n⚠️ This is the key that was issued to you when you provided your wallet.\n\n❗️ *Without entering the key, the funds will NOT be transferred!*`,
 
+    pending_split_payout: ({ dealId, payoutAmount, asset, commission }) => `⚠️ *Cannot create deal*\n\nThe arbiter split the funds of deal \`${dealId}\` and your share has not been received yet.\n\n💰 *To receive your share, enter your private key:*\n\n💸 Amount to receive: *${payoutAmount} ${asset}*\n📊 Service fee: ${commission} ${asset}\n\n⚠️ This is the key that was issued to you when you provided your wallet.\n\n❗️ *Without entering the key, the funds will NOT be transferred!*`,
+
     pending_other_party: ({ dealId }) => `⚠️ *You have an unfinished deal*\n\nDeal \`${dealId}\` is awaiting action from the other participant.\n\nPlease wait for the current deal to be completed before creating a new one.`,
 
     // Confirmation
     confirm_title: '📝 *Deal Confirmation*',
     confirm_check: 'Review the details and click "Create Deal".',
+    milestone_line: ({ number, title, amount, asset, deadline }) => `${number}. ${title} — ${amount} ${asset} (${deadline})`,
     confirm_invite_note: ({ counterpartyLabel }) => `⚠️ After creation, you will receive a link for the ${counterpartyLabel}.\nThe link is valid for *24 hours*.`,
     confirm_invite_counterparty: '🔗 _Will be determined via link_',
 
@@ -434,9 +475,10 @@ module.exports = {
     you_receive: '📤 *You receive:*',
     status_label: '📊 *Status:*',
     deadline_label: '⏰ *Deadline:*',
+    milestones_label: '📍 *Milestones:*',
     escrow_address: '🔐 *Escrow address:*',
     deposit_label: '✅ *Deposit:*',
-    check_tronscan: 'Check on TronScan',
+    check_tronscan: 'Check on {explorer}',
     transaction_link_label: 'Transaction',
     invite_link: '🔗 *Invitation link:*',
     invite_expires: ({ date }) => `⏰ Valid until: ${date}`,
@@ -462,7 +504,10 @@ module.exports = {
     pending_seller_release: ({ dealId, productName, releaseAmount, asset, commission }) => `✅ *Work accepted automatically!*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\nThe buyer did not respond within 12 hours after work submission.\nThe work has been accepted automatically!\n\n💰 *To receive funds, enter your private key:*\n\n💸 Amount to receive: *${releaseAmount} ${asset}*\n📊 Service fee: ${commission} ${asset}\n\n⚠️ This is the key that was issued to you when you provided your wallet.\n\n❗️ *Without entering the key, the funds will NOT be transferred!*\n❗️ *If you lost the key, the funds will remain locked forever!*`,
     pending_buyer_autoaccept: ({ dealId, productName }) => `✅ *Work accepted automatically*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\nYou did not respond within 12 hours after work submission.\nThe work has been accepted automatically.\n\n💸 Funds are being transferred to the seller (minus service fee).\n\nThe seller has been sent a request to enter their private key to receive funds.`,
     pending_seller_payout: ({ dealId, productName, releaseAmount, asset, commission }) => `🎉 *Buyer accepted the work!*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\n💰 *To receive funds, enter your private key:*\n\n💸 Amount to receive: *${releaseAmount} ${asset}*\n📊 Service fee: ${commission} ${asset}\n\n⚠️ This is the key that was issued to you when you provided your wallet.\n\n❗️ Without entering the key, the funds will NOT be transferred!`,
+    pending_milestone_payout: ({ dealId, productName, number, total, releaseAmount, asset, commission }) => `🎉 *Buyer accepted milestone ${number} of ${total}!*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\n💰 *To receive funds for this milestone, enter your private key:*\n\n💸 Amount to receive: *${releaseAmount} ${asset}*\n📊 Service fee: ${commission} ${asset}\n\n⚠️ This is the key that was issued to you when you provided your wallet.\n\n❗️ Without entering the key, the funds will NOT be transferred!`,
     pending_buyer_waiting: ({ dealId, productName }) => `✅ *Work accepted!*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\n⏳ *Awaiting confirmation from the seller*\n\nThe seller must enter their private key to receive funds.\nYou will be notified when the deal is completed.`,
+    pending_split_payout: ({ dealId, productName, payoutAmount, asset, commission }) => `⚖️ *Dispute resolved with a split*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\n💰 *To receive your share, enter your private key:*\n\n💸 Your share: *${payoutAmount} ${asset}*\n📊 Service fee: ${commission} ${asset}\n\n⚠️ This is the key that was issued to you when you provided your wallet.\n\n❗️ Without entering the key, the funds will NOT be transferred!`,
+    pending_split_waiting: ({ dealId, productName }) => `⚖️ *Dispute resolved with a split*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\n✅ Your share has already been transferred.\n\n⏳ *Waiting for the other participant to enter their key.*\nThe deal will be completed once both shares are paid out.`,
 
     // Decline / Cancel
     deal_declined_you: ({ dealId, productName }) => `❌ *Deal declined*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\nThe deal was cancelled at your request.`,
@@ -534,7 +579,7 @@ module.exports = {
 
     opened: ({ dealId, productName, mediaCount }) => `✅ *Dispute opened*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\n📎 Files attached: ${mediaCount}\n\nThe arbiter has been notified and will review your complaint shortly.\n\nYou will be notified about the decision.`,
 
-    notify_other: ({ dealId, productName, role }) => `⚠️ *Dispute opened*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\n${role} has opened a dispute for this deal.\nAn arbiter will review the complaint and make a decision.\n\nYou can provide your evidence by contacting support.`,
+    notify_other: ({ dealId, productName, role, deadline }) => `⚠️ *Dispute opened*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\n${role} has opened a dispute for this deal.\nAn arbiter will review the complaint and make a decision.\n\n📎 Reply with your evidence by *${deadline}* using the button below.\nIf you do not reply in time, the arbiter may decide in favour of the other party.`,
 
     error: ({ message }) => `❌ Error creating dispute: ${message}`,
 
@@ -542,18 +587,147 @@ module.exports = {
 
     resolve_loser: ({ dealId, productName, lossStreak }) => `❌ *Dispute resolved against you*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\n⚠️ *Disputes lost in a row: ${lossStreak} of 3*\n\n_After 3 consecutive dispute losses, your account will be automatically blocked._\n_The counter resets after your first dispute win._`,
 
-    resolve_loser_banned: ({ dealId, productName, lossStreak }) => `❌ *Dispute resolved against you*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\n⚠️ *Disputes lost in a row: ${lossStreak} of 3*\n\n🚫 *Your account has been blocked!*\nYou lost 3 disputes in a row.\n\nBlocked users cannot:\n• Create new deals\n• Participate in deals as a counterparty\n\nTo unblock, contact support: @jessy\\_jackson`,
+    resolve_loser_restricted: ({ dealId, productName, lossStreak, until }) => `❌ *Dispute resolved against you*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\n⚠️ *Disputes lost in a row: ${lossStreak} of 3*\n\n🚫 *Deal creation restricted until ${until}*\n\nUntil then you cannot:\n• Create new deals\n• Participate in deals as a counterparty\n\nEvery further loss in a row extends the restriction. Questions: @jessy\\_jackson`,
+
+    resolve_split: ({ dealId, productName, buyerPercent, sellerPercent, payoutAmount, asset, commission }) => `⚖️ *Dispute resolved with a split*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\nThe arbiter split the funds: ${buyerPercent}% to the buyer, ${sellerPercent}% to the seller.\n\n💰 *To receive your share, enter your private key:*\n\n💸 Your share: *${payoutAmount} ${asset}*\n📊 Service fee: ${commission} ${asset}\n\n⚠️ This is the key you received when you provided your wallet.\n\n❗️ *Without entering the key, funds will NOT be transferred!*\n❗️ *If you lost your key, the funds will remain locked forever!*`,
 
     ban_notification: '🚫 *Your account has been blocked*\n\nYou lost 3 disputes in a row, resulting in an automatic account block.\n\nBlocked users cannot:\n• Create new deals\n• Participate in deals as a counterparty\n\nIf you believe this is a mistake, contact support:\n💬 @jessy\\_jackson',
+
+    // Evidence timeline
+    evidence_types: {
+      claim: 'Claim',
+      statement: 'Statement',
+      chat_screenshot: 'Chat screenshot',
+      delivery_proof: 'Delivery proof',
+      tx_hash: 'Transaction',
+      comment: 'Comment',
+      appeal: 'Appeal',
+      appeal_confirmed: 'Decision upheld',
+      appeal_reversed: 'Decision reversed',
+    },
+    evidence_hints: {
+      statement: 'Send a text explanation of your position.',
+      chat_screenshot: 'Send screenshots of the conversation (photos or documents). A caption is optional.',
+      delivery_proof: 'Send photos, videos or documents confirming delivery. A caption is optional.',
+      tx_hash: 'Send the transaction hash (TRON or BSC).',
+    },
+    arbiter_label: 'Arbiter',
+
+    timeline: ({ dealId, productName, entries, footer }) => `📋 *Dispute timeline*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\n${entries}${footer}`,
+    timeline_entry: ({ date, author, type, text, files }) => `*${type}* · ${author} · _${date}_${text ? `\n${text}` : ''}${files ? `\n📎 Files: ${files}` : ''}`,
+    timeline_more: ({ count }) => `_…and ${count} earlier entries_\n\n`,
+    response_due_you: ({ deadline }) => `\n\n⏳ *Reply by ${deadline}* — otherwise the arbiter may decide in favour of the other party.`,
+    response_due_other: ({ deadline }) => `\n\n⏳ The other party has until ${deadline} to reply.`,
+    response_missed: '\n\n⌛ The respondent did not reply in time. The arbiter may decide by default.',
+    resolved_note: '\n\n✅ The dispute has been resolved.',
+    appeal_open_you: ({ deadline }) => `\n\n🔁 You can appeal the decision until ${deadline}.`,
+    appeal_open_other: ({ deadline }) => `\n\n🔁 The other party can appeal the decision until ${deadline}. After that you will be asked for your key.`,
+    appeal_pending: '\n\n🔁 The appeal is being reviewed by another arbiter. The payout is on hold.',
+
+    evidence_choose: ({ dealId }) => `📎 *Add evidence*\n\n🆔 Deal: \`${dealId}\`\n\nChoose the evidence type:`,
+    evidence_prompt: ({ dealId, type, hint, count }) => `📎 *${type}*\n\n🆔 Deal: \`${dealId}\`\n\n${hint}\n\n_Added: ${count}_\n\nPress *"Done"* when finished.`,
+    evidence_text_only: 'Send the transaction hash as text.',
+    evidence_error: ({ message }) => `❌ Evidence not added: ${message}`,
+    notify_evidence: ({ dealId, role, type }) => `📎 *New evidence in dispute*\n\n🆔 Deal: \`${dealId}\`\n\n${role} added: ${type}.`,
+
+    // Appeal
+    resolve_winner_appeal_window: ({ dealId, productName, deadline }) => `✅ *Dispute resolved in your favour!*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\nThe other party can appeal the decision until *${deadline}*.\nAfter that we will ask for your private key to release the funds.`,
+    appeal_hint: ({ deadline }) => `\n\n🔁 *Disagree?* You can appeal until ${deadline} — another arbiter will review the appeal.`,
+    appeal_prompt: ({ dealId, deadline }) => `🔁 *Appeal*\n\n🆔 Deal: \`${dealId}\`\n\nExplain why the decision is wrong (at least 20 characters). You can mention new evidence in the text.\n\n⏳ File by: ${deadline}`,
+    appeal_text_only: 'Send the reason for the appeal as text.',
+    appeal_error: ({ message }) => `❌ Appeal not filed: ${message}`,
+    appeal_filed: ({ dealId }) => `✅ *Appeal filed*\n\n🆔 Deal: \`${dealId}\`\n\nAnother arbiter will review it. We will let you know the outcome.`,
+    appeal_filed_other: ({ dealId, productName }) => `🔁 *Dispute decision appealed*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\nThe other party filed an appeal. The payout is on hold until another arbiter reviews it.`,
+    appeal_confirmed_winner: ({ dealId, productName }) => `✅ *Appeal rejected*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\nThe decision in your favour stands. You will be asked for your private key shortly.`,
+    appeal_confirmed_loser: ({ dealId, productName, comment }) => `❌ *Appeal rejected*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\nThe decision stands.${comment ? `\n\n💬 ${comment}` : ''}`,
+    appeal_reversed_winner: ({ dealId, productName, comment }) => `✅ *Appeal upheld*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\nThe decision was reversed in your favour and your dispute stats were recalculated.${comment ? `\n\n💬 ${comment}` : ''}\n\nYou will be asked for your private key shortly.`,
+    appeal_reversed_loser: ({ dealId, productName, comment, lossStreak, restrictedUntil }) => `❌ *Decision reversed on appeal*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\nThe dispute was decided in favour of the other party.${comment ? `\n\n💬 ${comment}` : ''}\n\n⚠️ *Disputes lost in a row: ${lossStreak} of 3*${restrictedUntil ? `\n\n🚫 *Deal creation restricted until ${restrictedUntil}*` : ''}`,
+  },
+
+  // ============================================
+  // USER RESTRICTIONS
+  // ============================================
+  restriction: {
+    types: {
+      ban: 'Account block',
+      deal_creation: 'Deal restriction',
+      withdrawal: 'Withdrawal freeze',
+    },
+    issued: ({ type, until }) => `🚫 *${type}*\n\nA restriction has been applied to your account${until ? ` until *${until}*` : ' indefinitely'}.\n\nIf you believe this is a mistake, contact support: @jessy\\_jackson`,
+    lifted: ({ type }) => `✅ *Restriction lifted*\n\n${type} is no longer in effect.`,
+    expired: ({ type }) => `🔓 *Restriction expired*\n\n${type} is no longer in effect.`,
+  },
+
+  // ============================================
+  // TRUST TIERS
+  // ============================================
+  trust: {
+    tiers: {
+      new: 'Newcomer',
+      verified: 'Verified',
+      trusted: 'Trusted',
+      pro: 'Pro',
+    },
+    title: ({ tier, maxActiveDeals, maxDealAmount, maxOpenInvites, completedDeals, volume, ratingDisplay, disputesLost }) => `🛡 *Trust tier: ${tier}*\n\n📊 *Your limits:*\n• Concurrent active deals: ${maxActiveDeals}\n• Maximum deal amount: ${maxDealAmount} USDT\n• Open invite links: ${maxOpenInvites}\n\n📜 *Your history:*\n• Completed deals: ${completedDeals}\n• Volume: ${volume} USDT\n• Rating: ${ratingDisplay}\n• Disputes lost: ${disputesLost}`,
+    pinned: '_Tier or limits are set by the administration._',
+    next_title: ({ tier, maxActiveDeals, maxDealAmount }) => `📈 *Next tier: ${tier}*\n_Up to ${maxActiveDeals} active deals, amount up to ${maxDealAmount} USDT_\n\nStill required:`,
+    need_deals: ({ current, required }) => `• Complete deals: ${current}/${required}`,
+    need_volume: ({ current, required }) => `• Reach volume: ${current}/${required} USDT`,
+    need_rating: ({ current, required }) => `• Raise rating: ${current} → ${required}+`,
+    need_disputes: ({ current, required }) => `• Disputes lost: ${current} (at most ${required} allowed)`,
+    max_tier: '🏆 You have the highest trust tier.',
+  },
+
+  // ============================================
+  // REPUTATION CARD
+  // ============================================
+  reputation: {
+    metrics: {
+      rating: 'Rating',
+      deals: 'Deals',
+      volume: 'Volume',
+      disputes: 'Disputes',
+      accountAge: 'Account age',
+      reviews: 'Reviews',
+    },
+    line_rating: ({ average, count, reviews }) => `⭐ ${average}/5 (${count} ${reviews})`,
+    line_no_rating: '⭐ No reviews yet',
+    line_deals: ({ count }) => `✅ Completed deals: ${count}`,
+    line_volume: ({ min, max }) => `💰 Volume: ${max === null ? `over ${min}` : min > 0 ? `${min}–${max}` : `under ${max}`} USDT`,
+    line_disputes: ({ total, lost, ratio }) => `⚖️ Disputes: ${total} (${ratio}% of deals), lost: ${lost}`,
+    line_since: ({ date }) => `📅 On KeyShield since ${date}`,
+    reviews_title: '💬 *Reviews:*',
+    line_review: ({ stars, text }) => `${stars} "${text}"`,
+    line_reply: ({ text }) => `   ↳ _Reply:_ ${text}`,
+    all_hidden: '_The user has hidden their reputation_',
+    title: ({ card }) => `🏅 *My reputation*\n\nThis is how counterparties see your card before accepting a deal:\n\n${card}\n\n_Tap a metric to hide or show it._`,
+    public_on: ({ url }) => `🌐 *Public page is on:*\n${url}`,
+    public_off: '🌐 Public page is off. Turn it on to share your reputation by link.',
+  },
+
+  // ============================================
+  // WRITTEN REVIEWS
+  // ============================================
+  review: {
+    published: ({ dealId, stars, text }) => `💬 *New review about you*\n\n🆔 Deal: \`${dealId}\`\n${stars}\n"${text}"\n\nThe review is published on your reputation card. You can leave one public reply.`,
+    reply_ask: ({ min, max }) => `✍️ *Reply to review*\n\nSend your reply as a message (${min}–${max} characters). You can reply only once.`,
+    reply_sent: '✅ *Reply sent*\n\nIt will appear under the review after moderation.',
+    reply_cancelled: '↩️ Reply to the review cancelled.',
+    reply_exists: '❌ You have already replied to this review.',
+    not_found: '❌ Review not found or not published yet.',
   },
 
   // ============================================
   // DEPOSIT MONITOR
   // ============================================
   deposit: {
-    insufficient: ({ dealId, received, expected, shortfall, asset, multisigAddress, tolerance }) => `⚠️ *Insufficient deposit!*\n\n🆔 Deal: \`${dealId}\`\n💸 Received: ${received} ${asset}\n💸 Required: ${expected} ${asset}\n\n❌ Shortfall: ${shortfall} ${asset}\n\nPlease transfer an additional ${shortfall} ${asset} to the address:\n\`${multisigAddress}\`\n\n⚠️ A tolerance of up to -${tolerance} ${asset} is allowed.`,
+    pending: ({ dealId, amount, asset, confirmations }) => `⏳ *Deposit received, waiting for confirmations*\n\n🆔 Deal: \`${dealId}\`\n💸 Amount: ${amount} ${asset}\n\nThe transfer was found on the blockchain. The deal will be locked after ${confirmations} network confirmations — this usually takes about a minute.`,
+
+    rejected: ({ dealId, amount, asset, txHash, multisigAddress }) => `❌ *Transfer not confirmed by the network*\n\n🆔 Deal: \`${dealId}\`\n💸 Amount: ${amount} ${asset}\n🔗 TX: \`${txHash}\`\n\nThe transaction was dropped or reverted — the funds did not arrive at the deal address.\nCheck your wallet and send the transfer again to the address:\n\`${multisigAddress}\``,
+
+    partial: ({ dealId, received, expected, remaining, asset, multisigAddress, tolerance }) => `⚠️ *Deposit partially received*\n\n🆔 Deal: \`${dealId}\`\n💸 You've sent ${received} of ${expected} ${asset}\n\n❗ Send ${remaining} ${asset} more\n\nTransfer the remaining amount to the same address:\n\`${multisigAddress}\`\n\nAll transfers add up — the deal will be locked as soon as the full amount arrives.\n⚠️ A tolerance of up to -${tolerance} ${asset} is allowed.`,
 
-    overpayment: ({ overpayment, asset }) => `\n\n⚠️ *Overpayment: ${overpayment} ${asset}*\nThe difference will go to the service balance.\nContact support for a refund.`,
+    overpayment: ({ overpayment, asset }) => `\n\n⚠️ *Overpayment: ${overpayment} ${asset}*\nThe difference is not part of the deal and will be returned to your wallet with the final payout.`,
 
     buyer_confirmed: ({ dealId, productName, depositAmount, dealAmount, asset, overpaymentNote, txHash }) => `✅ *Deposit confirmed!*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n💸 Deposit: ${depositAmount} ${asset}\n💸 Deal amount: ${dealAmount} ${asset}\n\nFunds are frozen in a multisig wallet.\nThe seller can begin work.${overpaymentNote}\n\n[Transaction](https://tronscan.org/#/transaction/${txHash})`,
 
@@ -566,6 +740,8 @@ module.exports = {
     timeout_creator: ({ dealId, productName, amount, asset }) => `⏰ *Deal cancelled*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n💰 ${amount} ${asset}\n\nNo deposit received within 24 hours.\nThe deal has been automatically cancelled.\n\nYou can create a new deal at any time.`,
 
     timeout_counterparty: ({ dealId, productName, amount, asset }) => `⏰ *Deal cancelled*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n💰 ${amount} ${asset}\n\nNo deposit received within 24 hours.\nThe deal has been automatically cancelled.`,
+
+    timeout_partial: ({ dealId, productName, received, expected, asset }) => `⏰ *Deal cancelled*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n💰 Received ${received} of ${expected} ${asset}\n\nThe full deposit was not received within 24 hours.\nThe deal has been automatically cancelled, the received funds will be offered back to the sender.`,
   },
 
   // ============================================
@@ -620,14 +796,87 @@ module.exports = {
     buyer_refund_success: ({ dealId, productName, refundAmount, asset, commission, txHash }) => `✅ *Refund completed!*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\n💸 Refunded: *${refundAmount} ${asset}*\n📊 Service fee: ${commission} ${asset}\n\n[Transaction](https://tronscan.org/#/transaction/${txHash})`,
 
     seller_refund_notify: ({ dealId, productName, refundAmount, asset, txHash }) => `⚠️ *Deal completed with refund*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\nThe deal deadline expired without confirmation of completion.\nFunds have been returned to the buyer.\n\n💸 Refunded: ${refundAmount} ${asset}\n\n[Transaction](https://tronscan.org/#/transaction/${txHash})`,
+    seller_cancel_refund_notify: ({ dealId, productName, refundAmount, asset, txHash }) => `🤝 *Deal cancelled by agreement*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\nFunds have been returned to the buyer.\n\n💸 Refunded: ${refundAmount} ${asset}\n\n[Transaction](https://tronscan.org/#/transaction/${txHash})`,
 
     buyer_refund_error: ({ dealId, errorMessage }) => `❌ *Refund error*\n\n🆔 Deal: \`${dealId}\`\nError: ${errorMessage}\n\nPlease contact support: @jessy\\_jackson`,
 
     dispute_winner: ({ dealId, productName, payoutAmount, asset, commission, txHash }) => `✅ *Funds received!*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\n💸 Received: *${payoutAmount} ${asset}*\n📊 Service fee: ${commission} ${asset}\n\n[Transaction](https://tronscan.org/#/transaction/${txHash})`,
 
+    dispute_split_success: ({ dealId, productName, payoutAmount, asset, commission, txHash }) => `✅ *Your share received!*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\n💸 Received: *${payoutAmount} ${asset}*\n📊 Service fee: ${commission} ${asset}\n\n[Transaction](https://tronscan.org/#/transaction/${txHash})`,
+    milestone_success: ({ dealId, productName, number, total, title, payoutAmount, asset, commission, txHash }) => `✅ *Funds for milestone ${number} of ${total} received!*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n📍 ${title}\n\n💸 Received: *${payoutAmount} ${asset}*\n📊 Service fee: ${commission} ${asset}\n\n[Transaction](https://tronscan.org/#/transaction/${txHash})`,
+
     dispute_error: ({ dealId, errorMessage }) => `❌ *Payout error*\n\n🆔 Deal: \`${dealId}\`\nError: ${errorMessage}\n\nPlease contact support: @jessy\\_jackson`,
   },
 
+  // ============================================
+  // OFFLINE SIGNING (payout signed in the user's wallet)
+  // ============================================
+  offlineSign: {
+    link: ({ dealId, payoutAmount, asset, commission, minutes }) => `🔏 *Sign in wallet*\n\n🆔 Deal: \`${dealId}\`\n💸 Payout: *${payoutAmount} ${asset}*\n📊 Service fee: ${commission} ${asset}\n\nOpen the signing page and confirm the transactions in TronLink — your private key never leaves your wallet.\n\nOther wallets: download the transactions on the page, sign them and upload them back or send the JSON file here.\n\n⏳ The link is valid for ${minutes} min.`,
+    unavailable: '⚠️ Wallet signing is not available for this deal — its escrow is not an on-chain multisig.\n\nEnter your private key in reply to the payout request.',
+    no_payout: '⚠️ No payout is waiting for your signature.',
+    no_request: '⚠️ First press «🔏 Sign in wallet» under the key request.',
+    invalid_file: '❌ Could not read the signed transactions.\n\nSend the JSON exported from your wallet after signing.',
+    prepare_error: ({ error }) => `❌ *Could not prepare the transactions*\n\n${error}`,
+    rejected: ({ error }) => `❌ *Signature rejected*\n\n${error}`,
+    failed: ({ dealId }) => `❌ *Signed payout failed*\n\n🆔 Deal: \`${dealId}\`\n\nPlease contact support: @jessy\\_jackson`,
+  },
+
+  // ============================================
+  // STRAY FUNDS (late transfers to closed deals)
+  // ============================================
+  stray: {
+    detected: ({ dealId, amount, asset, txHash, fromAddress }) => `🪙 *Transfer to a closed deal address*\n\n🆔 Deal: \`${dealId}\`\n💸 Amount: *${amount} ${asset}*\n🔗 TX: \`${txHash}\`\n\nThe deal is already closed, these funds are not part of it. They can be returned to the sender address:\n\`${fromAddress}\`\n\nPress «Return funds» and confirm the refund with the deal private key.`,
+    enter_key: ({ dealId, amount, asset, fromAddress }) => `↩️ *Return funds*\n\n🆔 Deal: \`${dealId}\`\n💸 Amount: *${amount} ${asset}*\n📥 To address: \`${fromAddress}\`\n\n💰 *Enter your private key:*\n\n⚠️ This is the key that was issued to you when you provided your wallet.`,
+    refunded: ({ dealId, amount, asset, txHash }) => `✅ *Funds returned*\n\n🆔 Deal: \`${dealId}\`\n💸 Returned: *${amount} ${asset}*\n🔗 TX: \`${txHash}\``,
+    refund_failed: ({ dealId }) => `❌ *Could not return the funds*\n\n🆔 Deal: \`${dealId}\`\n\nThe funds stay on the deal address, the admins have been notified. Try again later or contact support: @jessy\\_jackson`,
+    not_available: '⚠️ This transfer has already been returned or is not waiting for a refund.',
+  },
+
+  // ============================================
+  // DEADLINE EXTENSION
+  // ============================================
+  extension: {
+    choose: ({ dealId, deadline }) => `⏰ *Extend deadline*\n\nDeal: \`${dealId}\`\nCurrent deadline: *${deadline}*\n\nChoose how much time to add. The new deadline applies only after the other participant accepts it.`,
+    proposed_you: ({ dealId, newDeadline }) => `⏰ *Proposal sent*\n\nDeal: \`${dealId}\`\nProposed deadline: *${newDeadline}*\n\nWaiting for the other participant's answer. Auto-refund and auto-release are paused for up to 24 hours.`,
+    proposed_other: ({ dealId, productName, role, deadline, newDeadline }) => `⏰ *New deadline proposed*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\n${role} proposes to extend the deadline.\n\nCurrent deadline: ${deadline}\nNew deadline: *${newDeadline}*\n\nAuto-refund and auto-release are paused until you answer (up to 24 hours).`,
+    accepted_you: ({ dealId, productName, newDeadline }) => `✅ *Deadline extended*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\nNew deadline: *${newDeadline}*`,
+    accepted_other: ({ dealId, productName, newDeadline }) => `✅ *New deadline accepted*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\nNew deadline: *${newDeadline}*`,
+    rejected_you: ({ dealId, productName }) => `❌ *Proposal rejected*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\nThe deadline stays the same.`,
+    rejected_other: ({ dealId, productName, newDeadline }) => `❌ *New deadline rejected*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\nThe other participant rejected the deadline ${newDeadline}. The deadline stays the same.`,
+    pending_yours: ({ newDeadline }) => `⏳ _You proposed a new deadline: ${newDeadline}_`,
+    pending_theirs: ({ newDeadline }) => `⏳ *The other participant proposes a new deadline:* ${newDeadline}`,
+    not_allowed: ({ status }) => `❌ The deadline cannot be extended with status: ${status}`,
+    failed: '❌ Could not update the deadline. The proposal may have expired or the deal has changed — open the deal again.',
+  },
+
+  // ============================================
+  // MUTUAL CANCELLATION
+  // ============================================
+  mutualCancel: {
+    confirm: ({ dealId, refundAmount, asset, commission }) => `🤝 *Cancel by agreement*\n\nDeal: \`${dealId}\`\n\nThe deal will be cancelled only if the other participant confirms. After that the buyer enters their private key and gets a refund.\n\n💸 Refund to buyer: *${refundAmount} ${asset}*\n📊 Service fee: ${commission} ${asset}\n\nThis is not a dispute and does not affect dispute statistics.`,
+    proposed_you: ({ dealId }) => `🤝 *Proposal sent*\n\nDeal: \`${dealId}\`\n\nWaiting for the other participant to confirm the cancellation (up to 24 hours).`,
+    proposed_other: ({ dealId, productName, role, refundAmount, asset, commission }) => `🤝 *Cancellation proposed*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\n${role} proposes to cancel the deal by agreement.\n\n💸 Refund to buyer: *${refundAmount} ${asset}*\n📊 Service fee: ${commission} ${asset}\n\nIf you confirm, the deal is cancelled and the funds are returned to the buyer.`,
+    rejected_you: ({ dealId }) => `✅ *Cancellation rejected*\n\nDeal: \`${dealId}\`\n\nThe deal continues.`,
+    rejected_other: ({ dealId, productName }) => `❌ *Cancellation rejected*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\nThe other participant wants to continue the deal.`,
+    buyer_key: ({ dealId, productName, refundAmount, asset, commission }) => `🤝 *Deal cancelled by agreement*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\n💰 *To receive a refund, enter your private key:*\n\n💸 Refund amount: *${refundAmount} ${asset}*\n📊 Service fee: ${commission} ${asset}\n\n⚠️ This is the key that was issued to you when you provided your wallet.\n\n❗️ *Without entering the key, the funds will NOT be refunded!*`,
+    seller_waiting: ({ dealId, productName }) => `🤝 *Deal cancelled by agreement*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n\n💸 Funds are being returned to the buyer.\nThe buyer has been sent a request to enter their private key.`,
+    pending_yours: '⏳ _You proposed to cancel the deal_',
+    pending_theirs: '⏳ *The other participant proposes to cancel the deal*',
+    not_allowed: ({ status }) => `❌ The deal cannot be cancelled by agreement with status: ${status}`,
+    failed: '❌ Could not cancel the deal. The proposal may have expired or the deal has changed — open the deal again.',
+  },
+
+  // ============================================
+  // MILESTONES
+  // ============================================
+  milestone: {
+    next_info: ({ number, total, title, amount, asset, deadline }) => `▶️ *Current milestone ${number} of ${total}:* ${title}\n💰 ${amount} ${asset}\n⏰ Deadline: ${deadline}`,
+    next_started: ({ dealId, productName }) => `📍 *Next milestone started*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}`,
+    released_notify: ({ dealId, productName, number, total, title, payoutAmount, asset, txHash }) => `✅ *Milestone ${number} of ${total} paid*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n📍 ${title}\n\n💸 Transferred to the seller: ${payoutAmount} ${asset}\n\n[Transaction](https://tronscan.org/#/transaction/${txHash})`,
+    refunded_notify: ({ dealId, productName, number, total, title, payoutAmount, asset, txHash }) => `↩️ *Funds for milestone ${number} of ${total} returned to the buyer*\n\n🆔 Deal: \`${dealId}\`\n📦 ${productName}\n📍 ${title}\n\n💸 Refunded: ${payoutAmount} ${asset}\n\n[Transaction](https://tronscan.org/#/transaction/${txHash})`,
+  },
+
   // ============================================
   // NOTIFICATION SERVICE
   // ============================================
@@ -675,7 +924,7 @@ module.exports = {
     copy_link_text: ({ inviteLink }) => `🔗 *Link for counterparty:*\n\n\`${inviteLink}\`\n\n_Tap the link to copy_`,
 
     // Invite acceptance screen
-    acceptance: ({ dealId, userRoleLabel, creatorUsername, creatorRoleLabel, creatorRatingDisplay, productName, description, amount, asset, commission, paymentInfo }) => `📨 *Deal invitation*\n\n🆔 ID: \`${dealId}\`\n\n*Your role:* ${userRoleLabel}\n*Counterparty:* ${creatorUsername} (${creatorRoleLabel})\n*Rating:* ${creatorRatingDisplay}\n\n📦 *Product/service:* ${productName}\n${description ? `📝 *Description:* ${description}\n` : ''}💰 *Amount:* ${amount} ${asset}\n📊 *Fee:* ${commission} ${asset}\n${paymentInfo}\n\n⚠️ *Note:* To accept the deal, you will need to provide your TRON wallet.\n\nDo you want to accept this deal?`,
+    acceptance: ({ dealId, userRoleLabel, creatorUsername, creatorRoleLabel, creatorReputation, productName, description, amount, asset, commission, paymentInfo }) => `📨 *Deal invitation*\n\n🆔 ID: \`${dealId}\`\n\n*Your role:* ${userRoleLabel}\n*Counterparty:* ${creatorUsername} (${creatorRoleLabel})\n🏅 *Counterparty reputation:*\n${creatorReputation}\n\n📦 *Product/service:* ${productName}\n${description ? `📝 *Description:* ${description}\n` : ''}💰 *Amount:* ${amount} ${asset}\n📊 *Fee:* ${commission} ${asset}\n${paymentInfo}\n\n⚠️ *Note:* To accept the deal, you will need to provide your TRON wallet.\n\nDo you want to accept this deal?`,
     to_pay: ({ amount, asset }) => `💸 *To pay:* ${amount} ${asset}`,
     you_receive: ({ amount, asset }) => `💸 *You will receive:* ${amount} ${asset}`,
   },
@@ -712,6 +961,8 @@ module.exports = {
 
     withdraw_pending_exists: ({ withdrawalId, status }) => `⚠️ *You already have an active request*\n\nRequest: \`${withdrawalId}\`\nStatus: ${status}\n\nPlease wait for the current request to be completed.`,
 
+    withdraw_frozen: ({ until }) => `🧊 *Withdrawals frozen*\n\nReferral balance withdrawals are temporarily unavailable for your account${until ? ` until *${until}*` : ''}.\n\nYour balance is kept. Questions: @jessy\\_jackson`,
+
     withdraw_select_wallet: ({ balance }) => `💸 *Withdraw referral balance*\n\n💰 Amount to withdraw: *${balance} USDT*\n\n`,
     withdraw_select_saved: 'Select a wallet from saved ones or enter a new TRC-20 address:',
     withdraw_enter_address: 'Enter a TRC-20 wallet address to receive the payout:',
@@ -750,6 +1001,9 @@ module.exports = {
     },
     saved: '✅ Rating saved',
     thank_you: ({ stars, username, finalMessage }) => `✅ *Thank you for your rating!*\n\nYou gave ${stars} to \`@${username}\`\n\n${finalMessage}`,
+    ask_review: ({ stars, username, min, max }) => `✅ *Rating saved:* ${stars}\n\nWould you like to leave a short review of \`@${username}\`? Send it as a message (${min}–${max} characters).\n\n_The review appears on the reputation card after moderation._`,
+    review_invalid: ({ min, max }) => `❌ The text must be ${min} to ${max} characters long. Please try again:`,
+    review_sent: ({ finalMessage }) => `✅ *Thank you for the review!*\n\nIt will be published after moderation.\n\n${finalMessage}`,
     rating_display: ({ average, count, word }) => `⭐ ${average} (${count} ${word})`,
   },
 
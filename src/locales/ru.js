@@ -95,6 +95,13 @@ module.exports = {
     provide_wallet: '💳 Указать кошелёк',
     copy_link: '📋 Скопировать ссылку',
     save_template: '💾 Сохранить как шаблон',
+    extend_deadline: '⏰ Продлить срок',
+    accept_extension: '✅ Принять новый срок',
+    reject_extension: '❌ Отклонить',
+    cancel_by_agreement: '🤝 Отменить по согласию',
+    send_cancel_proposal: '✅ Отправить предложение',
+    accept_cancel: '✅ Подтвердить отмену',
+    reject_cancel: '❌ Продолжить сделку',
 
     // Key
     key_saved: '✅ Я сохранил ключ',
@@ -116,9 +123,18 @@ module.exports = {
     days_3: '3 дня',
     days_7: '7 дней',
     days_14: '14 дней',
+    milestones: '📋 Разбить на этапы',
 
     // Dispute
     submit_dispute: '✅ Отправить спор',
+    dispute_timeline: '📋 Ход спора',
+    add_evidence: '📎 Добавить доказательство',
+    evidence_done: '✅ Готово',
+    evidence_statement: '📝 Пояснение',
+    evidence_chat_screenshot: '💬 Скриншот переписки',
+    evidence_delivery_proof: '📦 Подтверждение доставки',
+    evidence_tx_hash: '🔗 Хеш транзакции',
+    appeal: '🔁 Обжаловать решение',
 
     // Email
     change_email: '📧 Изменить email',
@@ -128,6 +144,22 @@ module.exports = {
     // Language
     language: '🌐 Язык / Language',
 
+    // Trust tier
+    trust_tier: '🛡 Уровень доверия',
+
+    // Reputation
+    reputation: '🏅 Моя репутация',
+    public_page_on: '🌐 Включить публичную страницу',
+    public_page_off: '🚫 Выключить публичную страницу',
+
+    // Reviews
+    review_reply: '💬 Ответить на отзыв',
+
+    // Offline signing
+    sign_offline: '🔏 Подписать в кошельке',
+    stray_refund: '↩️ Вернуть средства',
+    open_signing_page: '🌐 Открыть страницу подписи',
+
     // Wallets
     my_wallets: '💳 Мои кошельки ({count}/5)',
     add_wallet: '➕ Добавить кошелёк',
@@ -273,7 +305,7 @@ module.exports = {
     accepted: '✅ *Кошелёк принят!*\n\nАдрес: `{address}`\n\nПодготовка данных...',
 
     // Balance warning
-    balance_warning: ({ balance, depositAmount }) => `⚠️ *Внимание: баланс не обнаружен*\n\nНа указанном кошельке обнаружено: *${balance} USDT*\nДля сделки необходимо: *${depositAmount} USDT* (депозит) + *5 USDT* (буфер)\n\n💡 *Если ваши средства хранятся на криптобирже* (Binance, Bybit, OKX и др.) — это нормально! Баланс на бирже не виден в блокчейне.\n\nНажмите «Продолжить», если средства у вас есть, или укажите другой адрес.`,
+    balance_warning: ({ balance, depositAmount, asset = 'USDT', buffer = 5 }) => `⚠️ *Внимание: баланс не обнаружен*\n\nНа указанном кошельке обнаружено: *${balance} ${asset}*\nДля сделки необходимо: *${depositAmount} ${asset}* (депозит) + *${buffer} ${asset}* (буфер)\n\n💡 *Если ваши средства хранятся на криптобирже* (Binance, Bybit, OKX и др.) — это нормально! Баланс на бирже не виден в блокчейне.\n\nНажмите «Продолжить», если средства у вас есть, или укажите другой адрес.`,
 
     // Save wallet
     save_name_prompt: ({ address }) => `💳 *Сохранение кошелька*\n\n📍 \`${address}\`\n\n✏️ *Введите название и отправьте в чат*\nНапример: "Основной", "Binance", "Рабочий"\n\nИли нажмите «Пропустить» — кошелёк сохранится как "Кошелёк 1"`,
@@ -293,10 +325,12 @@ module.exports = {
 
     main_menu_short: '🏠 *Главное меню*\n\nВыберите действие:',
 
-    ban_screen: '🚫 *Аккаунт заблокирован*\n\nВаш аккаунт заблокирован из-за нарушения правил сервиса.\n\nЕсли вы считаете, что блокировка ошибочна, обратитесь в поддержку:\n\n📧 support@keyshield.io\n💬 @jessy\\_jackson',
+    ban_screen: ({ until } = {}) => `🚫 *Аккаунт заблокирован*\n\nВаш аккаунт заблокирован из-за нарушения правил сервиса.${until ? `\n\n⏳ Блокировка действует до: *${until}*` : ''}\n\nЕсли вы считаете, что блокировка ошибочна, обратитесь в поддержку:\n\n📧 support@keyshield.io\n💬 @jessy\\_jackson`,
 
     account_blocked: '🚫 Вы не можете создавать сделки, так как ваш аккаунт заблокирован.',
 
+    deals_restricted: ({ until }) => `🚫 Создание сделок для вашего аккаунта ограничено${until ? ` до *${until}*` : ''}.`,
+
     username_required: '⚠️ *Необходим username*\n\nДля создания сделок необходимо установить публичный username (ник) в настройках Telegram.\n\n📱 *Как установить username:*\n1. Откройте настройки Telegram\n2. Нажмите на своё имя\n3. Выберите "Имя пользователя"\n4. Придумайте и сохраните username\n\nПосле установки нажмите кнопку "Ник установлен".',
 
     username_not_found: '❌ *Ник не найден*\n\nСистема по-прежнему не видит ваш username.\n\nУбедитесь, что вы сохранили username в настройках Telegram и попробуйте снова.',
@@ -335,12 +369,14 @@ module.exports = {
 
     step5_asset: '📝 *Создание сделки*\n\n*Шаг 5 из 9: Выбор актива*\n\nВыберите криптовалюту для сделки:',
 
-    step6_amount: ({ asset }) => `📝 *Создание сделки*\n\n*Шаг 6 из 9: Сумма*\n\nВведите сумму сделки в ${asset}.\n\n⚠️ Минимальная сумма: 50 ${asset}\nПросьба ввободить сумму без запятых и пробелов (например: 150, 299.99, 5000)\n\nКомиссия сервиса:\n• До 150 USDT — 6 USDT\n• 150-500 USDT — 3.5%\n• 500-1500 USDT — 3%\n• Свыше 1500 USDT — 2.5%`,
+    step6_amount: ({ asset, minAmount }) => `📝 *Создание сделки*\n\n*Шаг 6 из 9: Сумма*\n\nВведите сумму сделки в ${asset}.\n\n⚠️ Минимальная сумма: ${minAmount} ${asset}\nПросьба ввободить сумму без запятых и пробелов (например: 150, 299.99, 5000)\n\nКомиссия сервиса:\n• До 150 USDT — 6 USDT\n• 150-500 USDT — 3.5%\n• 500-1500 USDT — 3%\n• Свыше 1500 USDT — 2.5%${asset === 'TRX' ? '\n\n💎 Для сделок в TRX комиссия считается по текущему курсу TRX/USDT' : ''}`,
 
     step7_commission: ({ amount, asset, commission }) => `📝 *Создание сделки*\n\n*Шаг 7 из 9: Комиссия*\n\nСумма сделки: ${amount} ${asset}\nКомиссия сервиса: ${commission} ${asset}\n\nКто оплачивает комиссию?`,
 
     step8_deadline: '📝 *Создание сделки*\n\n*Шаг 8 из 9: Срок выполнения*\n\nПосле истечения срока обе стороны получат уведомление.\nЧерез 12 часов после дедлайна — автовозврат покупателю.',
 
+    step8_milestones: ({ amount, asset, min, max }) => `📝 *Создание сделки*\n\n*Шаг 8 из 9: Этапы*\n\nОтправьте этапы, по одному в строке, в виде \`название; сумма; дни\`:\n\n\`Дизайн; 40; 3\`\n\`Разработка; 60; 10\`\n\nДни считаются от текущего момента и должны расти от этапа к этапу.\nСумма этапов должна равняться сумме сделки: *${amount} ${asset}*.\nОт 2 до ${max} этапов, не меньше ${min} ${asset} каждый.\n\nПродавец получает оплату за каждый принятый этап отдельно, спор касается только текущего этапа.`,
+
     step9_wallet: ({ walletPurpose }) => `📝 *Создание сделки*\n\n*Шаг 9 из 9: Ваш кошелёк*\n\n💳 Выберите кошелёк ${walletPurpose}:\n\nИли введите новый адрес TRON-кошелька.`,
 
     step9_wallet_input: ({ walletPurpose }) => `📝 *Создание сделки*\n\n*Шаг 9 из 9: Ваш кошелёк*\n\nВведите адрес вашего TRON-кошелька (TRC-20) ${walletPurpose}.\n\nПример: TQRfXYMDSspGDB7GB8MevZpkYgUXkviCSj`,
@@ -354,7 +390,9 @@ module.exports = {
     error_counterparty_limit: ({ username, count, max }) => `⚠️ *У пользователя достигнут лимит сделок*\n\nУ \`@${username}\` уже ${count} активных сделок (максимум ${max}).\n\nВведите другой @username:`,
     error_name_length: ({ length }) => `❌ *Ошибка*\n\nНазвание должно быть от 5 до 200 символов.\nСейчас: ${length} символов.\n\nВведите название:`,
     error_desc_length: ({ length }) => `❌ *Ошибка*\n\nОписание должно быть от 20 до 5000 символов.\nСейчас: ${length} символов.\n\nВведите описание:`,
-    error_amount: '❌ *Ошибка*\n\nНеверная сумма. Минимум: 50 USDT.\n\nВведите сумму:',
+    error_amount: ({ minAmount, asset }) => `❌ *Ошибка*\n\nНеверная сумма. Минимум: ${minAmount} ${asset}.\n\nВведите сумму:`,
+    error_amount_limit: ({ maxAmount, asset }) => `❌ *Превышен лимит*\n\nМаксимальная сумма сделки для вашего уровня доверия (или уровня контрагента): ${maxAmount} ${asset}.\n\nВведите сумму:`,
+    error_milestones: ({ message }) => `❌ *Ошибка*\n\n${message}\n\nОтправьте этапы ещё раз:`,
     error_deals_limit: ({ count, max }) => `⚠️ *Достигнут лимит сделок*\n\nУ вас уже ${count} активных сделок (максимум ${max}).\n\nЗавершите одну из текущих сделок перед созданием новой.`,
     error_creation: ({ message }) => `❌ *Ошибка при создании сделки*\n\n${message}`,
     error_creation_retry: ({ message }) => `❌ *Ошибка создания сделки*\n\n${message}\n\nПопробуйте ещё раз.`,
@@ -364,11 +402,14 @@ module.exports = {
 
     pending_seller_payout: ({ dealId, payoutAmount, asset, commission }) => `⚠️ *Невозможно создать сделку*\n\nУ вас есть незавершённая сделка \`${dealId}\`, ожидающая получения средств.\n\n💰 *Для получения средств введите ваш приватный ключ:*\n\n💸 К получению: *${payoutAmount} ${asset}*\n📊 Комиссия сервиса: ${commission} ${asset}\n\n⚠️ Это ключ, который был выдан вам при указании кошелька.\n\n❗️ *Без ввода ключа средства НЕ будут переведены!*`,
 
+    pending_split_payout: ({ dealId, payoutAmount, asset, commission }) => `⚠️ *Невозможно создать сделку*\n\nПо сделке \`${dealId}\` арбитр разделил средства, и ваша доля ещё не получена.\n\n💰 *Для получения доли введите ваш приватный ключ:*\n\n💸 К получению: *${payoutAmount} ${asset}*\n📊 Комиссия сервиса: ${commission} ${asset}\n\n⚠️ Это ключ, который был выдан вам при указании кошелька.\n\n❗️ *Без ввода ключа средства НЕ будут переведены!*`,
+
     pending_other_party: ({ dealId }) => `⚠️ *У вас есть незавершённая сделка*\n\nСделка \`${dealId}\` ожидает действий от другого участника.\n\nДождитесь завершения текущей сделки перед созданием новой.`,
 
     // Confirmation
     confirm_title: '📝 *Подтверждение сделки*',
     confirm_check: 'Проверьте данные и нажмите «Создать сделку».',
+    milestone_line: ({ number, title, amount, asset, deadline }) => `${number}. ${title} — ${amount} ${asset} (${deadline})`,
     confirm_invite_note: ({ counterpartyLabel }) => `⚠️ После создания вы получите ссылку для ${counterpartyLabel}.\nСсылка действует *24 часа*.`,
     confirm_invite_counterparty: '🔗 _Будет определён по ссылке_',
 
@@ -434,9 +475,10 @@ module.exports = {
     you_receive: '📤 *Вы получите:*',
     status_label: '📊 *Статус:*',
     deadline_label: '⏰ *Дедлайн:*',
+    milestones_label: '📍 *Этапы:*',
     escrow_address: '🔐 *Escrow-адрес:*',
     deposit_label: '✅ *Депозит:*',
-    check_tronscan: 'Проверить на TronScan',
+    check_tronscan: 'Проверить на {explorer}',
     transaction_link_label: 'Транзакция',
     invite_link: '🔗 *Ссылка-приглашение:*',
     invite_expires: ({ date }) => `⏰ Действует до: ${date}`,
@@ -462,7 +504,10 @@ module.exports = {
     pending_seller_release: ({ dealId, productName, releaseAmount, asset, commission }) => `✅ *Работа принята автоматически!*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\nПокупатель не ответил в течение 12 часов после сдачи работы.\nРабота принята автоматически!\n\n💰 *Для получения средств введите ваш приватный ключ:*\n\n💸 К получению: *${releaseAmount} ${asset}*\n📊 Комиссия сервиса: ${commission} ${asset}\n\n⚠️ Это ключ, который был выдан вам при указании кошелька.\n\n❗️ *Без ввода ключа средства НЕ будут переведены!*\n❗️ *Если вы потеряли ключ - средства останутся заблокированными навсегда!*`,
     pending_buyer_autoaccept: ({ dealId, productName }) => `✅ *Работа принята автоматически*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\nВы не ответили в течение 12 часов после сдачи работы.\nРабота принята автоматически.\n\n💸 Средства переводятся продавцу (за вычетом комиссии сервиса).\n\nПродавцу отправлен запрос на ввод приватного ключа для получения средств.`,
     pending_seller_payout: ({ dealId, productName, releaseAmount, asset, commission }) => `🎉 *Покупатель принял работу!*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\n💰 *Для получения средств введите ваш приватный ключ:*\n\n💸 К получению: *${releaseAmount} ${asset}*\n📊 Комиссия сервиса: ${commission} ${asset}\n\n⚠️ Это ключ, который был выдан вам при указании кошелька.\n\n❗️ Без ввода ключа средства НЕ будут переведены!`,
+    pending_milestone_payout: ({ dealId, productName, number, total, releaseAmount, asset, commission }) => `🎉 *Покупатель принял этап ${number} из ${total}!*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\n💰 *Для получения средств за этап введите ваш приватный ключ:*\n\n💸 К получению: *${releaseAmount} ${asset}*\n📊 Комиссия сервиса: ${commission} ${asset}\n\n⚠️ Это ключ, который был выдан вам при указании кошелька.\n\n❗️ Без ввода ключа средства НЕ будут переведены!`,
     pending_buyer_waiting: ({ dealId, productName }) => `✅ *Работа принята!*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\n⏳ *Ожидаем подтверждение от продавца*\n\nПродавец должен ввести свой приватный ключ для получения средств.\nВы получите уведомление, когда сделка будет завершена.`,
+    pending_split_payout: ({ dealId, productName, payoutAmount, asset, commission }) => `⚖️ *Спор решён разделом средств*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\n💰 *Для получения вашей доли введите приватный ключ:*\n\n💸 Ваша доля: *${payoutAmount} ${asset}*\n📊 Комиссия сервиса: ${commission} ${asset}\n\n⚠️ Это ключ, который был выдан вам при указании кошелька.\n\n❗️ Без ввода ключа средства НЕ будут переведены!`,
+    pending_split_waiting: ({ dealId, productName }) => `⚖️ *Спор решён разделом средств*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\n✅ Ваша доля уже переведена.\n\n⏳ *Ожидаем, пока второй участник введёт свой ключ.*\nСделка завершится после выплаты обеих долей.`,
 
     // Decline / Cancel
     deal_declined_you: ({ dealId, productName }) => `❌ *Сделка отклонена*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\nСделка была отменена по вашему запросу.`,
@@ -534,7 +579,7 @@ module.exports = {
 
     opened: ({ dealId, productName, mediaCount }) => `✅ *Спор открыт*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\n📎 Прикреплено файлов: ${mediaCount}\n\nАрбитр получил уведомление и рассмотрит вашу жалобу в ближайшее время.\n\nВы получите уведомление о решении.`,
 
-    notify_other: ({ dealId, productName, role }) => `⚠️ *Открыт спор*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\n${role} открыл спор по данной сделке.\nАрбитр рассмотрит жалобу и вынесет решение.\n\nВы можете предоставить свои доказательства, обратившись в поддержку.`,
+    notify_other: ({ dealId, productName, role, deadline }) => `⚠️ *Открыт спор*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\n${role} открыл спор по данной сделке.\nАрбитр рассмотрит жалобу и вынесет решение.\n\n📎 Предоставьте свои доказательства до *${deadline}* кнопкой ниже.\nЕсли вы не ответите в срок, арбитр может решить спор в пользу другой стороны.`,
 
     error: ({ message }) => `❌ Ошибка при создании спора: ${message}`,
 
@@ -542,18 +587,147 @@ module.exports = {
 
     resolve_loser: ({ dealId, productName, lossStreak }) => `❌ *Спор решён не в вашу пользу*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\n⚠️ *Проигранных споров подряд: ${lossStreak} из 3*\n\n_После 3 проигранных споров подряд — автоматическая блокировка аккаунта._\n_Счётчик сбрасывается после первой победы в споре._`,
 
-    resolve_loser_banned: ({ dealId, productName, lossStreak }) => `❌ *Спор решён не в вашу пользу*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\n⚠️ *Проигранных споров подряд: ${lossStreak} из 3*\n\n🚫 *Ваш аккаунт заблокирован!*\nВы проиграли 3 спора подряд.\n\nЗаблокированные пользователи не могут:\n• Создавать новые сделки\n• Участвовать в сделках как контрагент\n\nДля разблокировки обратитесь в поддержку: @jessy\\_jackson`,
+    resolve_loser_restricted: ({ dealId, productName, lossStreak, until }) => `❌ *Спор решён не в вашу пользу*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\n⚠️ *Проигранных споров подряд: ${lossStreak} из 3*\n\n🚫 *Создание сделок ограничено до ${until}*\n\nДо этой даты вы не можете:\n• Создавать новые сделки\n• Участвовать в сделках как контрагент\n\nКаждый следующий проигрыш подряд продлевает ограничение. Вопросы: @jessy\\_jackson`,
+
+    resolve_split: ({ dealId, productName, buyerPercent, sellerPercent, payoutAmount, asset, commission }) => `⚖️ *Спор решён разделом средств*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\nАрбитр разделил средства: покупателю ${buyerPercent}%, продавцу ${sellerPercent}%.\n\n💰 *Для получения вашей доли введите приватный ключ:*\n\n💸 Ваша доля: *${payoutAmount} ${asset}*\n📊 Комиссия сервиса: ${commission} ${asset}\n\n⚠️ Это ключ, который вы получили при указании кошелька.\n\n❗️ *Без ввода ключа средства НЕ будут переведены!*\n❗️ *Если вы потеряли ключ, средства останутся заблокированными навсегда!*`,
 
     ban_notification: '🚫 *Ваш аккаунт заблокирован*\n\nВы проиграли 3 спора подряд, что привело к автоматической блокировке аккаунта.\n\nЗаблокированные пользователи не могут:\n• Создавать новые сделки\n• Участвовать в сделках как контрагент\n\nЕсли вы считаете, что блокировка ошибочна, обратитесь в поддержку:\n💬 @jessy\\_jackson',
+
+    // Evidence timeline
+    evidence_types: {
+      claim: 'Претензия',
+      statement: 'Пояснение',
+      chat_screenshot: 'Скриншот переписки',
+      delivery_proof: 'Подтверждение доставки',
+      tx_hash: 'Транзакция',
+      comment: 'Комментарий',
+      appeal: 'Апелляция',
+      appeal_confirmed: 'Решение оставлено в силе',
+      appeal_reversed: 'Решение отменено',
+    },
+    evidence_hints: {
+      statement: 'Отправьте текстом пояснение своей позиции.',
+      chat_screenshot: 'Отправьте скриншоты переписки (фото или документы). Подпись необязательна.',
+      delivery_proof: 'Отправьте фото, видео или документы, подтверждающие доставку. Подпись необязательна.',
+      tx_hash: 'Отправьте хеш транзакции (TRON или BSC).',
+    },
+    arbiter_label: 'Арбитр',
+
+    timeline: ({ dealId, productName, entries, footer }) => `📋 *Ход спора*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\n${entries}${footer}`,
+    timeline_entry: ({ date, author, type, text, files }) => `*${type}* · ${author} · _${date}_${text ? `\n${text}` : ''}${files ? `\n📎 Файлов: ${files}` : ''}`,
+    timeline_more: ({ count }) => `_…и ещё ${count} более ранних записей_\n\n`,
+    response_due_you: ({ deadline }) => `\n\n⏳ *Ответьте до ${deadline}* — иначе арбитр может решить спор в пользу другой стороны.`,
+    response_due_other: ({ deadline }) => `\n\n⏳ Другая сторона может ответить до ${deadline}.`,
+    response_missed: '\n\n⌛ Ответчик не ответил в срок. Арбитр может решить спор по умолчанию.',
+    resolved_note: '\n\n✅ Спор решён.',
+    appeal_open_you: ({ deadline }) => `\n\n🔁 Вы можете обжаловать решение до ${deadline}.`,
+    appeal_open_other: ({ deadline }) => `\n\n🔁 Другая сторона может обжаловать решение до ${deadline}. После этого вы получите запрос ключа.`,
+    appeal_pending: '\n\n🔁 Апелляция на рассмотрении у другого арбитра. Выплата приостановлена.',
+
+    evidence_choose: ({ dealId }) => `📎 *Добавить доказательство*\n\n🆔 Сделка: \`${dealId}\`\n\nВыберите тип доказательства:`,
+    evidence_prompt: ({ dealId, type, hint, count }) => `📎 *${type}*\n\n🆔 Сделка: \`${dealId}\`\n\n${hint}\n\n_Добавлено: ${count}_\n\nНажмите *«Готово»*, когда закончите.`,
+    evidence_text_only: 'Отправьте хеш транзакции текстом.',
+    evidence_error: ({ message }) => `❌ Доказательство не добавлено: ${message}`,
+    notify_evidence: ({ dealId, role, type }) => `📎 *Новое доказательство по спору*\n\n🆔 Сделка: \`${dealId}\`\n\n${role} добавил: ${type}.`,
+
+    // Appeal
+    resolve_winner_appeal_window: ({ dealId, productName, deadline }) => `✅ *Спор решён в вашу пользу!*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\nДругая сторона может обжаловать решение до *${deadline}*.\nПосле этого мы попросим ввести приватный ключ для получения средств.`,
+    appeal_hint: ({ deadline }) => `\n\n🔁 *Не согласны?* Решение можно обжаловать до ${deadline} — апелляцию рассмотрит другой арбитр.`,
+    appeal_prompt: ({ dealId, deadline }) => `🔁 *Апелляция*\n\n🆔 Сделка: \`${dealId}\`\n\nОпишите, почему решение неверно (минимум 20 символов). Новые доказательства можно добавить в сообщении текстом.\n\n⏳ Подать до: ${deadline}`,
+    appeal_text_only: 'Отправьте причину апелляции текстом.',
+    appeal_error: ({ message }) => `❌ Апелляция не подана: ${message}`,
+    appeal_filed: ({ dealId }) => `✅ *Апелляция подана*\n\n🆔 Сделка: \`${dealId}\`\n\nЕё рассмотрит другой арбитр. Мы сообщим о результате.`,
+    appeal_filed_other: ({ dealId, productName }) => `🔁 *Решение по спору обжаловано*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\nДругая сторона подала апелляцию. Выплата приостановлена до решения другого арбитра.`,
+    appeal_confirmed_winner: ({ dealId, productName }) => `✅ *Апелляция отклонена*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\nРешение в вашу пользу оставлено в силе. Сейчас придёт запрос приватного ключа.`,
+    appeal_confirmed_loser: ({ dealId, productName, comment }) => `❌ *Апелляция отклонена*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\nРешение оставлено в силе.${comment ? `\n\n💬 ${comment}` : ''}`,
+    appeal_reversed_winner: ({ dealId, productName, comment }) => `✅ *Апелляция удовлетворена*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\nРешение отменено в вашу пользу, статистика споров пересчитана.${comment ? `\n\n💬 ${comment}` : ''}\n\nСейчас придёт запрос приватного ключа.`,
+    appeal_reversed_loser: ({ dealId, productName, comment, lossStreak, restrictedUntil }) => `❌ *Решение отменено по апелляции*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\nСпор решён в пользу другой стороны.${comment ? `\n\n💬 ${comment}` : ''}\n\n⚠️ *Проигранных споров подряд: ${lossStreak} из 3*${restrictedUntil ? `\n\n🚫 *Создание сделок ограничено до ${restrictedUntil}*` : ''}`,
+  },
+
+  // ============================================
+  // USER RESTRICTIONS
+  // ============================================
+  restriction: {
+    types: {
+      ban: 'Блокировка аккаунта',
+      deal_creation: 'Ограничение на сделки',
+      withdrawal: 'Заморозка вывода',
+    },
+    issued: ({ type, until }) => `🚫 *${type}*\n\nК вашему аккаунту применено ограничение${until ? ` до *${until}*` : ' на неопределённый срок'}.\n\nЕсли вы считаете, что это ошибка, обратитесь в поддержку: @jessy\\_jackson`,
+    lifted: ({ type }) => `✅ *Ограничение снято*\n\n${type} больше не действует.`,
+    expired: ({ type }) => `🔓 *Срок ограничения истёк*\n\n${type} больше не действует.`,
+  },
+
+  // ============================================
+  // TRUST TIERS
+  // ============================================
+  trust: {
+    tiers: {
+      new: 'Новичок',
+      verified: 'Проверенный',
+      trusted: 'Надёжный',
+      pro: 'Профи',
+    },
+    title: ({ tier, maxActiveDeals, maxDealAmount, maxOpenInvites, completedDeals, volume, ratingDisplay, disputesLost }) => `🛡 *Уровень доверия: ${tier}*\n\n📊 *Ваши лимиты:*\n• Активных сделок одновременно: ${maxActiveDeals}\n• Максимальная сумма сделки: ${maxDealAmount} USDT\n• Открытых ссылок-приглашений: ${maxOpenInvites}\n\n📜 *Ваша история:*\n• Завершённых сделок: ${completedDeals}\n• Оборот: ${volume} USDT\n• Рейтинг: ${ratingDisplay}\n• Проигранных споров: ${disputesLost}`,
+    pinned: '_Уровень или лимиты установлены администрацией._',
+    next_title: ({ tier, maxActiveDeals, maxDealAmount }) => `📈 *Следующий уровень: ${tier}*\n_До ${maxActiveDeals} активных сделок, сумма до ${maxDealAmount} USDT_\n\nОсталось выполнить:`,
+    need_deals: ({ current, required }) => `• Завершить сделок: ${current}/${required}`,
+    need_volume: ({ current, required }) => `• Набрать оборот: ${current}/${required} USDT`,
+    need_rating: ({ current, required }) => `• Поднять рейтинг: ${current} → от ${required}`,
+    need_disputes: ({ current, required }) => `• Проигранных споров: ${current} (допустимо не более ${required})`,
+    max_tier: '🏆 У вас максимальный уровень доверия.',
+  },
+
+  // ============================================
+  // REPUTATION CARD
+  // ============================================
+  reputation: {
+    metrics: {
+      rating: 'Рейтинг',
+      deals: 'Сделки',
+      volume: 'Оборот',
+      disputes: 'Споры',
+      accountAge: 'Возраст аккаунта',
+      reviews: 'Отзывы',
+    },
+    line_rating: ({ average, count, reviews }) => `⭐ ${average}/5 (${count} ${reviews})`,
+    line_no_rating: '⭐ Пока без отзывов',
+    line_deals: ({ count }) => `✅ Завершённых сделок: ${count}`,
+    line_volume: ({ min, max }) => `💰 Оборот: ${max === null ? `от ${min}` : min > 0 ? `${min}–${max}` : `до ${max}`} USDT`,
+    line_disputes: ({ total, lost, ratio }) => `⚖️ Споров: ${total} (${ratio}% сделок), проиграно: ${lost}`,
+    line_since: ({ date }) => `📅 В KeyShield с ${date}`,
+    reviews_title: '💬 *Отзывы:*',
+    line_review: ({ stars, text }) => `${stars} «${text}»`,
+    line_reply: ({ text }) => `   ↳ _Ответ:_ ${text}`,
+    all_hidden: '_Пользователь скрыл свою репутацию_',
+    title: ({ card }) => `🏅 *Моя репутация*\n\nТак вашу карточку видят контрагенты перед принятием сделки:\n\n${card}\n\n_Нажмите на показатель, чтобы скрыть или показать его._`,
+    public_on: ({ url }) => `🌐 *Публичная страница включена:*\n${url}`,
+    public_off: '🌐 Публичная страница выключена. Включите её, чтобы делиться репутацией по ссылке.',
+  },
+
+  // ============================================
+  // WRITTEN REVIEWS
+  // ============================================
+  review: {
+    published: ({ dealId, stars, text }) => `💬 *Новый отзыв о вас*\n\n🆔 Сделка: \`${dealId}\`\n${stars}\n«${text}»\n\nОтзыв опубликован в вашей карточке репутации. Вы можете оставить один публичный ответ.`,
+    reply_ask: ({ min, max }) => `✍️ *Ответ на отзыв*\n\nНапишите ответ сообщением (${min}–${max} символов). Ответить можно только один раз.`,
+    reply_sent: '✅ *Ответ отправлен*\n\nОн появится под отзывом после проверки модератором.',
+    reply_cancelled: '↩️ Ответ на отзыв отменён.',
+    reply_exists: '❌ Вы уже ответили на этот отзыв.',
+    not_found: '❌ Отзыв не найден или ещё не опубликован.',
   },
 
   // ============================================
   // DEPOSIT MONITOR
   // ============================================
   deposit: {
-    insufficient: ({ dealId, received, expected, shortfall, asset, multisigAddress, tolerance }) => `⚠️ *Недостаточный депозит!*\n\n🆔 Сделка: \`${dealId}\`\n💸 Получено: ${received} ${asset}\n💸 Требуется: ${expected} ${asset}\n\n❌ Недостаёт: ${shortfall} ${asset}\n\nПожалуйста, переведите ещё ${shortfall} ${asset} на адрес:\n\`${multisigAddress}\`\n\n⚠️ Допускается отклонение до -${tolerance} ${asset}.`,
+    pending: ({ dealId, amount, asset, confirmations }) => `⏳ *Депозит получен, ждём подтверждений*\n\n🆔 Сделка: \`${dealId}\`\n💸 Сумма: ${amount} ${asset}\n\nПеревод найден в блокчейне. Сделка будет заблокирована после ${confirmations} подтверждений сети — обычно это занимает около минуты.`,
+
+    rejected: ({ dealId, amount, asset, txHash, multisigAddress }) => `❌ *Перевод не подтверждён сетью*\n\n🆔 Сделка: \`${dealId}\`\n💸 Сумма: ${amount} ${asset}\n🔗 TX: \`${txHash}\`\n\nТранзакция отменена или откатилась — средства на адрес сделки не поступили.\nПроверьте кошелёк и повторите перевод на адрес:\n\`${multisigAddress}\``,
+
+    partial: ({ dealId, received, expected, remaining, asset, multisigAddress, tolerance }) => `⚠️ *Депозит получен частично*\n\n🆔 Сделка: \`${dealId}\`\n💸 Вы отправили ${received} из ${expected} ${asset}\n\n❗ Осталось отправить: ${remaining} ${asset}\n\nПереведите недостающую сумму на тот же адрес:\n\`${multisigAddress}\`\n\nВсе переводы суммируются — сделка будет заблокирована, как только придёт вся сумма.\n⚠️ Допускается отклонение до -${tolerance} ${asset}.`,
 
-    overpayment: ({ overpayment, asset }) => `\n\n⚠️ *Переплата: ${overpayment} ${asset}*\nРазница пойдёт на баланс сервиса.\nДля возврата свяжитесь с поддержкой.`,
+    overpayment: ({ overpayment, asset }) => `\n\n⚠️ *Переплата: ${overpayment} ${asset}*\nРазница не участвует в сделке и будет возвращена на ваш кошелёк вместе с итоговой выплатой.`,
 
     buyer_confirmed: ({ dealId, productName, depositAmount, dealAmount, asset, overpaymentNote, txHash }) => `✅ *Депозит подтверждён!*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n💸 Депозит: ${depositAmount} ${asset}\n💸 Сумма сделки: ${dealAmount} ${asset}\n\nСредства заморожены в multisig-кошельке.\nПродавец может начать работу.${overpaymentNote}\n\n[Транзакция](https://tronscan.org/#/transaction/${txHash})`,
 
@@ -566,6 +740,8 @@ module.exports = {
     timeout_creator: ({ dealId, productName, amount, asset }) => `⏰ *Сделка отменена*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n💰 ${amount} ${asset}\n\nДепозит не поступил в течение 24 часов.\nСделка автоматически отменена.\n\nВы можете создать новую сделку в любое время.`,
 
     timeout_counterparty: ({ dealId, productName, amount, asset }) => `⏰ *Сделка отменена*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n💰 ${amount} ${asset}\n\nДепозит не поступил в течение 24 часов.\nСделка автоматически отменена.`,
+
+    timeout_partial: ({ dealId, productName, received, expected, asset }) => `⏰ *Сделка отменена*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n💰 Получено ${received} из ${expected} ${asset}\n\nПолный депозит не поступил в течение 24 часов.\nСделка автоматически отменена, полученные средства будут предложены к возврату отправителю.`,
   },
 
   // ============================================
@@ -620,14 +796,87 @@ module.exports = {
     buyer_refund_success: ({ dealId, productName, refundAmount, asset, commission, txHash }) => `✅ *Возврат выполнен!*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\n💸 Возвращено: *${refundAmount} ${asset}*\n📊 Комиссия сервиса: ${commission} ${asset}\n\n[Транзакция](https://tronscan.org/#/transaction/${txHash})`,
 
     seller_refund_notify: ({ dealId, productName, refundAmount, asset, txHash }) => `⚠️ *Сделка завершена возвратом*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\nСрок сделки истёк без подтверждения выполнения.\nСредства возвращены покупателю.\n\n💸 Возвращено: ${refundAmount} ${asset}\n\n[Транзакция](https://tronscan.org/#/transaction/${txHash})`,
+    seller_cancel_refund_notify: ({ dealId, productName, refundAmount, asset, txHash }) => `🤝 *Сделка отменена по согласию*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\nСредства возвращены покупателю.\n\n💸 Возвращено: ${refundAmount} ${asset}\n\n[Транзакция](https://tronscan.org/#/transaction/${txHash})`,
 
     buyer_refund_error: ({ dealId, errorMessage }) => `❌ *Ошибка возврата*\n\n🆔 Сделка: \`${dealId}\`\nОшибка: ${errorMessage}\n\nПожалуйста, свяжитесь с поддержкой: @jessy\\_jackson`,
 
     dispute_winner: ({ dealId, productName, payoutAmount, asset, commission, txHash }) => `✅ *Средства получены!*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\n💸 Получено: *${payoutAmount} ${asset}*\n📊 Комиссия сервиса: ${commission} ${asset}\n\n[Транзакция](https://tronscan.org/#/transaction/${txHash})`,
 
+    dispute_split_success: ({ dealId, productName, payoutAmount, asset, commission, txHash }) => `✅ *Ваша доля получена!*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\n💸 Получено: *${payoutAmount} ${asset}*\n📊 Комиссия сервиса: ${commission} ${asset}\n\n[Транзакция](https://tronscan.org/#/transaction/${txHash})`,
+    milestone_success: ({ dealId, productName, number, total, title, payoutAmount, asset, commission, txHash }) => `✅ *Средства за этап ${number} из ${total} получены!*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n📍 ${title}\n\n💸 Получено: *${payoutAmount} ${asset}*\n📊 Комиссия сервиса: ${commission} ${asset}\n\n[Транзакция](https://tronscan.org/#/transaction/${txHash})`,
+
     dispute_error: ({ dealId, errorMessage }) => `❌ *Ошибка выплаты*\n\n🆔 Сделка: \`${dealId}\`\nОшибка: ${errorMessage}\n\nПожалуйста, свяжитесь с поддержкой: @jessy\\_jackson`,
   },
 
+  // ============================================
+  // OFFLINE SIGNING (payout signed in the user's wallet)
+  // ============================================
+  offlineSign: {
+    link: ({ dealId, payoutAmount, asset, commission, minutes }) => `🔏 *Подпись в кошельке*\n\n🆔 Сделка: \`${dealId}\`\n💸 Выплата: *${payoutAmount} ${asset}*\n📊 Комиссия сервиса: ${commission} ${asset}\n\nОткройте страницу подписи и подтвердите транзакции в TronLink — приватный ключ не покидает ваш кошелёк.\n\nДругой кошелёк: скачайте транзакции на странице, подпишите их и загрузите обратно или пришлите сюда JSON-файлом.\n\n⏳ Ссылка действует ${minutes} мин.`,
+    unavailable: '⚠️ Подпись в кошельке недоступна для этой сделки — её эскроу не является on-chain мультисигом.\n\nВведите приватный ключ в ответ на запрос выплаты.',
+    no_payout: '⚠️ Нет выплаты, ожидающей вашей подписи.',
+    no_request: '⚠️ Сначала нажмите «🔏 Подписать в кошельке» под запросом ключа.',
+    invalid_file: '❌ Не удалось прочитать подписанные транзакции.\n\nПришлите JSON, экспортированный из кошелька после подписи.',
+    prepare_error: ({ error }) => `❌ *Не удалось подготовить транзакции*\n\n${error}`,
+    rejected: ({ error }) => `❌ *Подпись не принята*\n\n${error}`,
+    failed: ({ dealId }) => `❌ *Выплата по подписи не выполнена*\n\n🆔 Сделка: \`${dealId}\`\n\nПожалуйста, свяжитесь с поддержкой: @jessy\\_jackson`,
+  },
+
+  // ============================================
+  // STRAY FUNDS (late transfers to closed deals)
+  // ============================================
+  stray: {
+    detected: ({ dealId, amount, asset, txHash, fromAddress }) => `🪙 *Перевод на адрес закрытой сделки*\n\n🆔 Сделка: \`${dealId}\`\n💸 Сумма: *${amount} ${asset}*\n🔗 TX: \`${txHash}\`\n\nСделка уже закрыта, эти средства в неё не входят. Их можно вернуть на адрес отправителя:\n\`${fromAddress}\`\n\nНажмите «Вернуть средства» и подтвердите возврат приватным ключом сделки.`,
+    enter_key: ({ dealId, amount, asset, fromAddress }) => `↩️ *Возврат средств*\n\n🆔 Сделка: \`${dealId}\`\n💸 Сумма: *${amount} ${asset}*\n📥 На адрес: \`${fromAddress}\`\n\n💰 *Введите ваш приватный ключ:*\n\n⚠️ Это ключ, который был выдан вам при указании кошелька.`,
+    refunded: ({ dealId, amount, asset, txHash }) => `✅ *Средства возвращены*\n\n🆔 Сделка: \`${dealId}\`\n💸 Возвращено: *${amount} ${asset}*\n🔗 TX: \`${txHash}\``,
+    refund_failed: ({ dealId }) => `❌ *Не удалось вернуть средства*\n\n🆔 Сделка: \`${dealId}\`\n\nСредства остаются на адресе сделки, администраторы уже получили уведомление. Попробуйте ещё раз позже или свяжитесь с поддержкой: @jessy\\_jackson`,
+    not_available: '⚠️ Этот перевод уже возвращён или не ожидает возврата.',
+  },
+
+  // ============================================
+  // DEADLINE EXTENSION
+  // ============================================
+  extension: {
+    choose: ({ dealId, deadline }) => `⏰ *Продление срока*\n\nСделка: \`${dealId}\`\nТекущий дедлайн: *${deadline}*\n\nВыберите, на сколько продлить срок. Новый дедлайн вступит в силу только после согласия второго участника.`,
+    proposed_you: ({ dealId, newDeadline }) => `⏰ *Предложение отправлено*\n\nСделка: \`${dealId}\`\nПредложенный дедлайн: *${newDeadline}*\n\nОжидаем ответа второго участника. Автовозврат и автовыплата приостановлены на срок до 24 часов.`,
+    proposed_other: ({ dealId, productName, role, deadline, newDeadline }) => `⏰ *Предложен новый срок*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\n${role} предлагает продлить срок сделки.\n\nТекущий дедлайн: ${deadline}\nНовый дедлайн: *${newDeadline}*\n\nАвтовозврат и автовыплата приостановлены до вашего ответа (не более 24 часов).`,
+    accepted_you: ({ dealId, productName, newDeadline }) => `✅ *Срок продлён*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\nНовый дедлайн: *${newDeadline}*`,
+    accepted_other: ({ dealId, productName, newDeadline }) => `✅ *Новый срок принят*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\nНовый дедлайн: *${newDeadline}*`,
+    rejected_you: ({ dealId, productName }) => `❌ *Предложение отклонено*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\nСрок сделки не изменился.`,
+    rejected_other: ({ dealId, productName, newDeadline }) => `❌ *Новый срок отклонён*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\nВторой участник отклонил дедлайн ${newDeadline}. Срок сделки не изменился.`,
+    pending_yours: ({ newDeadline }) => `⏳ _Вы предложили новый дедлайн: ${newDeadline}_`,
+    pending_theirs: ({ newDeadline }) => `⏳ *Второй участник предлагает новый дедлайн:* ${newDeadline}`,
+    not_allowed: ({ status }) => `❌ Нельзя продлить срок сделки в статусе: ${status}`,
+    failed: '❌ Не удалось изменить срок. Возможно, предложение истекло или сделка изменилась — откройте сделку заново.',
+  },
+
+  // ============================================
+  // MUTUAL CANCELLATION
+  // ============================================
+  mutualCancel: {
+    confirm: ({ dealId, refundAmount, asset, commission }) => `🤝 *Отмена по согласию*\n\nСделка: \`${dealId}\`\n\nСделка будет отменена, только если второй участник подтвердит. После этого покупатель вводит свой приватный ключ и получает возврат.\n\n💸 Возврат покупателю: *${refundAmount} ${asset}*\n📊 Комиссия сервиса: ${commission} ${asset}\n\nЭто не спор — статистика споров не меняется.`,
+    proposed_you: ({ dealId }) => `🤝 *Предложение отправлено*\n\nСделка: \`${dealId}\`\n\nОжидаем, пока второй участник подтвердит отмену (до 24 часов).`,
+    proposed_other: ({ dealId, productName, role, refundAmount, asset, commission }) => `🤝 *Предложена отмена сделки*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\n${role} предлагает отменить сделку по согласию.\n\n💸 Возврат покупателю: *${refundAmount} ${asset}*\n📊 Комиссия сервиса: ${commission} ${asset}\n\nЕсли вы подтвердите, сделка будет отменена, а средства вернутся покупателю.`,
+    rejected_you: ({ dealId }) => `✅ *Отмена отклонена*\n\nСделка: \`${dealId}\`\n\nСделка продолжается.`,
+    rejected_other: ({ dealId, productName }) => `❌ *Отмена отклонена*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\nВторой участник хочет продолжить сделку.`,
+    buyer_key: ({ dealId, productName, refundAmount, asset, commission }) => `🤝 *Сделка отменена по согласию*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\n💰 *Для получения возврата введите ваш приватный ключ:*\n\n💸 Сумма возврата: *${refundAmount} ${asset}*\n📊 Комиссия сервиса: ${commission} ${asset}\n\n⚠️ Это ключ, который был выдан вам при указании кошелька.\n\n❗️ *Без ввода ключа средства НЕ будут возвращены!*`,
+    seller_waiting: ({ dealId, productName }) => `🤝 *Сделка отменена по согласию*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n\n💸 Средства возвращаются покупателю.\nПокупателю отправлен запрос на ввод приватного ключа.`,
+    pending_yours: '⏳ _Вы предложили отменить сделку_',
+    pending_theirs: '⏳ *Второй участник предлагает отменить сделку*',
+    not_allowed: ({ status }) => `❌ Нельзя отменить сделку по согласию в статусе: ${status}`,
+    failed: '❌ Не удалось отменить сделку. Возможно, предложение истекло или сделка изменилась — откройте сделку заново.',
+  },
+
+  // ============================================
+  // MILESTONES
+  // ============================================
+  milestone: {
+    next_info: ({ number, total, title, amount, asset, deadline }) => `▶️ *Текущий этап ${number} из ${total}:* ${title}\n💰 ${amount} ${asset}\n⏰ Дедлайн: ${deadline}`,
+    next_started: ({ dealId, productName }) => `📍 *Начат следующий этап*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}`,
+    released_notify: ({ dealId, productName, number, total, title, payoutAmount, asset, txHash }) => `✅ *Этап ${number} из ${total} оплачен*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n📍 ${title}\n\n💸 Продавцу переведено: ${payoutAmount} ${asset}\n\n[Транзакция](https://tronscan.org/#/transaction/${txHash})`,
+    refunded_notify: ({ dealId, productName, number, total, title, payoutAmount, asset, txHash }) => `↩️ *Средства за этап ${number} из ${total} возвращены покупателю*\n\n🆔 Сделка: \`${dealId}\`\n📦 ${productName}\n📍 ${title}\n\n💸 Возвращено: ${payoutAmount} ${asset}\n\n[Транзакция](https://tronscan.org/#/transaction/${txHash})`,
+  },
+
   // ============================================
   // NOTIFICATION SERVICE
   // ============================================
@@ -675,7 +924,7 @@ module.exports = {
     copy_link_text: ({ inviteLink }) => `🔗 *Ссылка для контрагента:*\n\n\`${inviteLink}\`\n\n_Нажмите на ссылку, чтобы скопировать_`,
 
     // Invite acceptance screen
-    acceptance: ({ dealId, userRoleLabel, creatorUsername, creatorRoleLabel, creatorRatingDisplay, productName, description, amount, asset, commission, paymentInfo }) => `📨 *Приглашение в сделку*\n\n🆔 ID: \`${dealId}\`\n\n*Ваша роль:* ${userRoleLabel}\n*Контрагент:* ${creatorUsername} (${creatorRoleLabel})\n*Рейтинг:* ${creatorRatingDisplay}\n\n📦 *Товар/услуга:* ${productName}\n${description ? `📝 *Описание:* ${description}\n` : ''}💰 *Сумма:* ${amount} ${asset}\n📊 *Комиссия:* ${commission} ${asset}\n${paymentInfo}\n\n⚠️ *Внимание:* Для принятия сделки вам нужно будет указать ваш TRON-кошелёк.\n\nХотите принять эту сделку?`,
+    acceptance: ({ dealId, userRoleLabel, creatorUsername, creatorRoleLabel, creatorReputation, productName, description, amount, asset, commission, paymentInfo }) => `📨 *Приглашение в сделку*\n\n🆔 ID: \`${dealId}\`\n\n*Ваша роль:* ${userRoleLabel}\n*Контрагент:* ${creatorUsername} (${creatorRoleLabel})\n🏅 *Репутация контрагента:*\n${creatorReputation}\n\n📦 *Товар/услуга:* ${productName}\n${description ? `📝 *Описание:* ${description}\n` : ''}💰 *Сумма:* ${amount} ${asset}\n📊 *Комиссия:* ${commission} ${asset}\n${paymentInfo}\n\n⚠️ *Внимание:* Для принятия сделки вам нужно будет указать ваш TRON-кошелёк.\n\nХотите принять эту сделку?`,
     to_pay: ({ amount, asset }) => `💸 *К оплате:* ${amount} ${asset}`,
     you_receive: ({ amount, asset }) => `💸 *Вы получите:* ${amount} ${asset}`,
   },
@@ -713,6 +962,8 @@ module.exports = {
 
     withdraw_pending_exists: ({ withdrawalId, status }) => `⚠️ *У вас уже есть активная заявка*\n\nЗаявка: \`${withdrawalId}\`\nСтатус: ${status}\n\nДождитесь завершения текущей заявки.`,
 
+    withdraw_frozen: ({ until }) => `🧊 *Вывод средств заморожен*\n\nВывод реферального баланса для вашего аккаунта временно недоступен${until ? ` до *${until}*` : ''}.\n\nБаланс сохраняется. Вопросы: @jessy\\_jackson`,
+
     withdraw_select_wallet: ({ balance }) => `💸 *Вывод реферального баланса*\n\n💰 Сумма к выводу: *${balance} USDT*\n\n`,
     withdraw_select_saved: 'Выберите кошелёк из сохранённых или введите новый адрес TRC-20:',
     withdraw_enter_address: 'Введите адрес кошелька TRC-20 для получения выплаты:',
@@ -751,6 +1002,9 @@ module.exports = {
     },
     saved: '✅ Оценка сохранена',
     thank_you: ({ stars, username, finalMessage }) => `✅ *Спасибо за оценку!*\n\nВы поставили ${stars} \`@${username}\`\n\n${finalMessage}`,
+    ask_review: ({ stars, username, min, max }) => `✅ *Оценка сохранена:* ${stars}\n\nХотите оставить короткий отзыв о \`@${username}\`? Напишите его сообщением (${min}–${max} символов).\n\n_Отзыв появится в карточке репутации после проверки модератором._`,
+    review_invalid: ({ min, max }) => `❌ Текст должен содержать от ${min} до ${max} символов. Напишите ещё раз:`,
+    review_sent: ({ finalMessage }) => `✅ *Спасибо за отзыв!*\n\nОн будет опубликован после проверки модератором.\n\n${finalMessage}`,
     rating_display: ({ average, count, word }) => `⭐ ${average} (${count} ${word})`,
   },
 
@@ -95,6 +95,13 @@ module.exports = {
     provide_wallet: '💳 Вказати гаманець',
     copy_link: '📋 Скопіювати посилання',
     save_template: '💾 Зберегти як шаблон',
+    extend_deadline: '⏰ Продовжити термін',
+    accept_extension: '✅ Прийняти новий термін',
+    reject_extension: '❌ Відхилити',
+    cancel_by_agreement: '🤝 Скасувати за згодою',
+    send_cancel_proposal: '✅ Надіслати пропозицію',
+    accept_cancel: '✅ Підтвердити скасування',
+    reject_cancel: '❌ Продовжити угоду',
 
     // Key
     key_saved: '✅ Я зберіг ключ',
@@ -116,9 +123,18 @@ module.exports = {
     days_3: '3 дні',
     days_7: '7 днів',
     days_14: '14 днів',
+    milestones: '📋 Розбити на етапи',
 
     // Dispute
     submit_dispute: '✅ Надіслати спір',
+    dispute_timeline: '📋 Хід спору',
+    add_evidence: '📎 Додати доказ',
+    evidence_done: '✅ Готово',
+    evidence_statement: '📝 Пояснення',
+    evidence_chat_screenshot: '💬 Скріншот листування',
+    evidence_delivery_proof: '📦 Підтвердження доставки',
+    evidence_tx_hash: '🔗 Хеш транзакції',
+    appeal: '🔁 Оскаржити рішення',
 
     // Email
     change_email: '📧 Змінити email',
@@ -128,6 +144,22 @@ module.exports = {
     // Language
     language: '🌐 Язык / Language',
 
+    // Trust tier
+    trust_tier: '🛡 Рівень довіри',
+
+    // Reputation
+    reputation: '🏅 Моя репутація',
+    public_page_on: '🌐 Увімкнути публічну сторінку',
+    public_page_off: '🚫 Вимкнути публічну сторінку',
+
+    // Reviews
+    review_reply: '💬 Відповісти на відгук',
+
+    // Offline signing
+    sign_offline: '🔏 Підписати в гаманці',
+    stray_refund: '↩️ Повернути кошти',
+    open_signing_page: '🌐 Відкрити сторінку підпису',
+
     // Wallets
     my_wallets: '💳 Мої гаманці ({count}/5)',
     add_wallet: '➕ Додати гаманець',
@@ -273,7 +305,7 @@ module.exports = {
     accepted: '✅ *Гаманець прийнято!*\n\nАдреса: `{address}`\n\nПідготовка даних...',
 
     // Balance warning
-    balance_warning: ({ balance, depositAmount }) => `⚠️ *Увага: баланс не виявлено*\n\nНа вказаному гаманці виявлено: *${balance} USDT*\nДля угоди необхідно: *${depositAmount} USDT* (депозит) + *5 USDT* (буфер)\n\n💡 *Якщо ваші кошти зберігаються на криптобіржі* (Binance, Bybit, OKX тощо) — це нормально! Баланс на біржі не видно в блокчейні.\n\nНатисніть «Продовжити», якщо кошти у вас є, або вкажіть іншу адресу.`,
+    balance_warning: ({ balance, depositAmount, asset = 'USDT', buffer = 5 }) => `⚠️ *Увага: баланс не виявлено*\n\nНа вказаному гаманці виявлено: *${balance} ${asset}*\nДля угоди необхідно: *${depositAmount} ${asset}* (депозит) + *${buffer} ${asset}* (буфер)\n\n💡 *Якщо ваші кошти зберігаються на криптобіржі* (Binance, Bybit, OKX тощо) — це нормально! Баланс на біржі не видно в блокчейні.\n\nНатисніть «Продовжити», якщо кошти у вас є, або вкажіть іншу адресу.`,
 
     // Save wallet
     save_name_prompt: ({ address }) => `💳 *Збереження гаманця*\n\n📍 \`${address}\`\n\n✏️ *Введіть назву та надішліть у чат*\nНаприклад: "Основний", "Binance", "Робочий"\n\nАбо натисніть «Пропустити» — гаманець збережеться як "Гаманець 1"`,
@@ -293,10 +325,12 @@ module.exports = {
 
     main_menu_short: '🏠 *Головне меню*\n\nОберіть дію:',
 
-    ban_screen: '🚫 *Акаунт заблоковано*\n\nВаш акаунт заблоковано через порушення правил сервісу.\n\nЯкщо ви вважаєте, що блокування помилкове, зверніться до підтримки:\n\n📧 support@keyshield.io\n💬 @jessy\\_jackson',
+    ban_screen: ({ until } = {}) => `🚫 *Акаунт заблоковано*\n\nВаш акаунт заблоковано через порушення правил сервісу.${until ? `\n\n⏳ Блокування діє до: *${until}*` : ''}\n\nЯкщо ви вважаєте, що блокування помилкове, зверніться до підтримки:\n\n📧 support@keyshield.io\n💬 @jessy\\_jackson`,
 
     account_blocked: '🚫 Ви не можете створювати угоди, оскільки ваш акаунт заблоковано.',
 
+    deals_restricted: ({ until }) => `🚫 Створення угод для вашого акаунта обмежено${until ? ` до *${until}*` : ''}.`,
+
     username_required: '⚠️ *Необхідний username*\n\nДля створення угод необхідно встановити публічний username (нік) у налаштуваннях Telegram.\n\n📱 *Як встановити username:*\n1. Відкрийте налаштування Telegram\n2. Натисніть на своє ім\'я\n3. Оберіть "Ім\'я користувача"\n4. Придумайте та збережіть username\n\nПісля встановлення натисніть кнопку "Нік встановлено".',
 
     username_not_found: '❌ *Нік не знайдено*\n\nСистема досі не бачить ваш username.\n\nПереконайтеся, що ви зберегли username у налаштуваннях Telegram, та спробуйте знову.',
@@ -335,12 +369,14 @@ module.exports = {
 
     step5_asset: '📝 *Створення угоди*\n\n*Крок 5 з 9: Вибір активу*\n\nОберіть криптовалюту для угоди:',
 
-    step6_amount: ({ asset }) => `📝 *Створення угоди*\n\n*Крок 6 з 9: Сума*\n\nВведіть суму угоди в ${asset}.\n\n⚠️ Мінімальна сума: 50 ${asset}\nБудь ласка, введіть суму без ком та пробілів (наприклад: 150, 299.99, 5000)\n\nКомісія сервісу:\n• До 150 USDT — 6 USDT\n• 150-500 USDT — 3.5%\n• 500-1500 USDT — 3%\n• Понад 1500 USDT — 2.5%`,
+    step6_amount: ({ asset, minAmount }) => `📝 *Створення угоди*\n\n*Крок 6 з 9: Сума*\n\nВведіть суму угоди в ${asset}.\n\n⚠️ Мінімальна сума: ${minAmount} ${asset}\nБудь ласка, введіть суму без ком та пробілів (наприклад: 150, 299.99, 5000)\n\nКомісія сервісу:\n• До 150 USDT — 6 USDT\n• 150-500 USDT — 3.5%\n• 500-1500 USDT — 3%\n• Понад 1500 USDT — 2.5%${asset === 'TRX' ? '\n\n💎 Для угод у TRX комісія рахується за поточним курсом TRX/USDT' : ''}`,
 
     step7_commission: ({ amount, asset, commission }) => `📝 *Створення угоди*\n\n*Крок 7 з 9: Комісія*\n\nСума угоди: ${amount} ${asset}\nКомісія сервісу: ${commission} ${asset}\n\nХто сплачує комісію?`,
 
     step8_deadline: '📝 *Створення угоди*\n\n*Крок 8 з 9: Термін виконання*\n\nПісля закінчення терміну обидві сторони отримають сповіщення.\nЧерез 12 годин після дедлайну — автоповернення покупцеві.',
 
+    step8_milestones: ({ amount, asset, min, max }) => `📝 *Створення угоди*\n\n*Крок 8 з 9: Етапи*\n\nНадішліть етапи, по одному в рядку, у вигляді \`назва; сума; дні\`:\n\n\`Дизайн; 40; 3\`\n\`Розробка; 60; 10\`\n\nДні рахуються від поточного моменту і мають зростати від етапу до етапу.\nСума етапів має дорівнювати сумі угоди: *${amount} ${asset}*.\nВід 2 до ${max} етапів, не менше ${min} ${asset} кожен.\n\nПродавець отримує оплату за кожен прийнятий етап окремо, спір стосується лише поточного етапу.`,
+
     step9_wallet: ({ walletPurpose }) => `📝 *Створення угоди*\n\n*Крок 9 з 9: Ваш гаманець*\n\n💳 Оберіть гаманець ${walletPurpose}:\n\nАбо введіть нову адресу TRON-гаманця.`,
 
     step9_wallet_input: ({ walletPurpose }) => `📝 *Створення угоди*\n\n*Крок 9 з 9: Ваш гаманець*\n\nВведіть адресу вашого TRON-гаманця (TRC-20) ${walletPurpose}.\n\nПриклад: TQRfXYMDSspGDB7GB8MevZpkYgUXkviCSj`,
@@ -354,7 +390,9 @@ module.exports = {
     error_counterparty_limit: ({ username, count, max }) => `⚠️ *У користувача досягнуто ліміт угод*\n\nУ \`@${username}\` вже ${count} активних угод (максимум ${max}).\n\nВведіть інший @username:`,
     error_name_length: ({ length }) => `❌ *Помилка*\n\nНазва має бути від 5 до 200 символів.\nЗараз: ${length} символів.\n\nВведіть назву:`,
     error_desc_length: ({ length }) => `❌ *Помилка*\n\nОпис має бути від 20 до 5000 символів.\nЗараз: ${length} символів.\n\nВведіть опис:`,
-    error_amount: '❌ *Помилка*\n\nНевірна сума. Мінімум: 50 USDT.\n\nВведіть суму:',
+    error_amount: ({ minAmount, asset }) => `❌ *Помилка*\n\nНевірна сума. Мінімум: ${minAmount} ${asset}.\n\nВведіть суму:`,
+    error_amount_limit: ({ maxAmount, asset }) => `❌ *Перевищено ліміт*\n\nМаксимальна сума угоди для вашого рівня довіри (або рівня контрагента): ${maxAmount} ${asset}.\n\nВведіть суму:`,
+    error_milestones: ({ message }) => `❌ *Помилка*\n\n${message}\n\nНадішліть етапи ще раз:`,
     error_deals_limit: ({ count, max }) => `⚠️ *Досягнуто ліміт угод*\n\nУ вас вже ${count} активних угод (максимум ${max}).\n\nЗавершіть одну з поточних угод перед створенням нової.`,
     error_creation: ({ message }) => `❌ *Помилка при створенні угоди*\n\n${message}`,
     error_creation_retry: ({ message }) => `❌ *Помилка створення угоди*\n\n${message}\n\nСпробуйте ще раз.`,
@@ -364,11 +402,14 @@ module.exports = {
 
     pending_seller_payout: ({ dealId, payoutAmount, asset, commission }) => `⚠️ *Неможливо створити угоду*\n\nУ вас є незавершена угода \`${dealId}\`, що очікує отримання коштів.\n\n💰 *Для отримання коштів введіть ваш приватний ключ:*\n\n💸 До отримання: *${payoutAmount} ${asset}*\n📊 Комісія сервісу: ${commission} ${asset}\n\n⚠️ Це ключ, який було видано вам при вказанні гаманця.\n\n❗️ *Без введення ключа кошти НЕ будуть переведені!*`,
 
+    pending_split_payout: ({ dealId, payoutAmount, asset, commission }) => `⚠️ *Неможливо створити угоду*\n\nЗа угодою \`${dealId}\` арбітр розділив кошти, і вашу частку ще не отримано.\n\n💰 *Для отримання частки введіть ваш приватний ключ:*\n\n💸 До отримання: *${payoutAmount} ${asset}*\n📊 Комісія сервісу: ${commission} ${asset}\n\n⚠️ Це ключ, який було видано вам при вказанні гаманця.\n\n❗️ *Без введення ключа кошти НЕ будуть переведені!*`,
+
     pending_other_party: ({ dealId }) => `⚠️ *У вас є незавершена угода*\n\nУгода \`${dealId}\` очікує дій від іншого учасника.\n\nДочекайтеся завершення поточної угоди перед створенням нової.`,
 
     // Confirmation
     confirm_title: '📝 *Підтвердження угоди*',
     confirm_check: 'Перевірте дані та натисніть «Створити угоду».',
+    milestone_line: ({ number, title, amount, asset, deadline }) => `${number}. ${title} — ${amount} ${asset} (${deadline})`,
     confirm_invite_note: ({ counterpartyLabel }) => `⚠️ Після створення ви отримаєте посилання для ${counterpartyLabel}.\nПосилання діє *24 години*.`,
     confirm_invite_counterparty: '🔗 _Буде визначено за посиланням_',
 
@@ -434,9 +475,10 @@ module.exports = {
     you_receive: '📤 *Ви отримаєте:*',
     status_label: '📊 *Статус:*',
     deadline_label: '⏰ *Дедлайн:*',
+    milestones_label: '📍 *Етапи:*',
     escrow_address: '🔐 *Escrow-адреса:*',
     deposit_label: '✅ *Депозит:*',
-    check_tronscan: 'Перевірити в TronScan',
+    check_tronscan: 'Перевірити в {explorer}',
     transaction_link_label: 'Транзакція',
     invite_link: '🔗 *Посилання-запрошення:*',
     invite_expires: ({ date }) => `⏰ Діє до: ${date}`,
@@ -462,7 +504,10 @@ module.exports = {
     pending_seller_release: ({ dealId, productName, releaseAmount, asset, commission }) => `✅ *Роботу прийнято автоматично!*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\nПокупець не відповів протягом 12 годин після здачі роботи.\nРоботу прийнято автоматично!\n\n💰 *Для отримання коштів введіть ваш приватний ключ:*\n\n💸 До отримання: *${releaseAmount} ${asset}*\n📊 Комісія сервісу: ${commission} ${asset}\n\n⚠️ Це ключ, який було видано вам при вказанні гаманця.\n\n❗️ *Без введення ключа кошти НЕ будуть переведені!*\n❗️ *Якщо ви втратили ключ — кошти залишаться заблокованими назавжди!*`,
     pending_buyer_autoaccept: ({ dealId, productName }) => `✅ *Роботу прийнято автоматично*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\nВи не відповіли протягом 12 годин після здачі роботи.\nРоботу прийнято автоматично.\n\n💸 Кошти переводяться продавцеві (за вирахуванням комісії сервісу).\n\nПродавцеві надіслано запит на введення приватного ключа для отримання коштів.`,
     pending_seller_payout: ({ dealId, productName, releaseAmount, asset, commission }) => `🎉 *Покупець прийняв роботу!*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\n💰 *Для отримання коштів введіть ваш приватний ключ:*\n\n💸 До отримання: *${releaseAmount} ${asset}*\n📊 Комісія сервісу: ${commission} ${asset}\n\n⚠️ Це ключ, який було видано вам при вказанні гаманця.\n\n❗️ Без введення ключа кошти НЕ будуть переведені!`,
+    pending_milestone_payout: ({ dealId, productName, number, total, releaseAmount, asset, commission }) => `🎉 *Покупець прийняв етап ${number} з ${total}!*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\n💰 *Для отримання коштів за етап введіть ваш приватний ключ:*\n\n💸 До отримання: *${releaseAmount} ${asset}*\n📊 Комісія сервісу: ${commission} ${asset}\n\n⚠️ Це ключ, який було видано вам при вказанні гаманця.\n\n❗️ Без введення ключа кошти НЕ будуть переведені!`,
     pending_buyer_waiting: ({ dealId, productName }) => `✅ *Роботу прийнято!*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\n⏳ *Очікуємо підтвердження від продавця*\n\nПродавець має ввести свій приватний ключ для отримання коштів.\nВи отримаєте сповіщення, коли угоду буде завершено.`,
+    pending_split_payout: ({ dealId, productName, payoutAmount, asset, commission }) => `⚖️ *Спір вирішено розподілом коштів*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\n💰 *Для отримання вашої частки введіть приватний ключ:*\n\n💸 Ваша частка: *${payoutAmount} ${asset}*\n📊 Комісія сервісу: ${commission} ${asset}\n\n⚠️ Це ключ, який було видано вам при вказанні гаманця.\n\n❗️ Без введення ключа кошти НЕ будуть переведені!`,
+    pending_split_waiting: ({ dealId, productName }) => `⚖️ *Спір вирішено розподілом коштів*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\n✅ Вашу частку вже переведено.\n\n⏳ *Очікуємо, поки другий учасник введе свій ключ.*\nУгоду буде завершено після виплати обох часток.`,
 
     // Decline / Cancel
     deal_declined_you: ({ dealId, productName }) => `❌ *Угоду відхилено*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\nУгоду було скасовано за вашим запитом.`,
@@ -534,7 +579,7 @@ module.exports = {
 
     opened: ({ dealId, productName, mediaCount }) => `✅ *Спір відкрито*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\n📎 Додано файлів: ${mediaCount}\n\nАрбітр отримав сповіщення та розгляне вашу скаргу найближчим часом.\n\nВи отримаєте сповіщення про рішення.`,
 
-    notify_other: ({ dealId, productName, role }) => `⚠️ *Відкрито спір*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\n${role} відкрив спір за цією угодою.\nАрбітр розгляне скаргу та винесе рішення.\n\nВи можете надати свої докази, звернувшись до підтримки.`,
+    notify_other: ({ dealId, productName, role, deadline }) => `⚠️ *Відкрито спір*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\n${role} відкрив спір за цією угодою.\nАрбітр розгляне скаргу та винесе рішення.\n\n📎 Надайте свої докази до *${deadline}* кнопкою нижче.\nЯкщо ви не відповісте вчасно, арбітр може вирішити спір на користь іншої сторони.`,
 
     error: ({ message }) => `❌ Помилка при створенні спору: ${message}`,
 
@@ -542,18 +587,147 @@ module.exports = {
 
     resolve_loser: ({ dealId, productName, lossStreak }) => `❌ *Спір вирішено не на вашу користь*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\n⚠️ *Програних спорів поспіль: ${lossStreak} з 3*\n\n_Після 3 програних спорів поспіль — автоматичне блокування акаунту._\n_Лічильник скидається після першої перемоги у спорі._`,
 
-    resolve_loser_banned: ({ dealId, productName, lossStreak }) => `❌ *Спір вирішено не на вашу користь*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\n⚠️ *Програних спорів поспіль: ${lossStreak} з 3*\n\n🚫 *Ваш акаунт заблоковано!*\nВи програли 3 спори поспіль.\n\nЗаблоковані користувачі не можуть:\n• Створювати нові угоди\n• Брати участь в угодах як контрагент\n\nДля розблокування зверніться до підтримки: @jessy\\_jackson`,
+    resolve_loser_restricted: ({ dealId, productName, lossStreak, until }) => `❌ *Спір вирішено не на вашу користь*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\n⚠️ *Програних спорів поспіль: ${lossStreak} з 3*\n\n🚫 *Створення угод обмежено до ${until}*\n\nДо цієї дати ви не можете:\n• Створювати нові угоди\n• Брати участь в угодах як контрагент\n\nКожен наступний програш поспіль подовжує обмеження. Питання: @jessy\\_jackson`,
+
+    resolve_split: ({ dealId, productName, buyerPercent, sellerPercent, payoutAmount, asset, commission }) => `⚖️ *Спір вирішено розподілом коштів*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\nАрбітр розділив кошти: покупцю ${buyerPercent}%, продавцю ${sellerPercent}%.\n\n💰 *Для отримання вашої частки введіть приватний ключ:*\n\n💸 Ваша частка: *${payoutAmount} ${asset}*\n📊 Комісія сервісу: ${commission} ${asset}\n\n⚠️ Це ключ, який ви отримали при вказанні гаманця.\n\n❗️ *Без введення ключа кошти НЕ будуть переведені!*\n❗️ *Якщо ви втратили ключ, кошти залишаться заблокованими назавжди!*`,
 
     ban_notification: '🚫 *Ваш акаунт заблоковано*\n\nВи програли 3 спори поспіль, що призвело до автоматичного блокування акаунту.\n\nЗаблоковані користувачі не можуть:\n• Створювати нові угоди\n• Брати участь в угодах як контрагент\n\nЯкщо ви вважаєте, що блокування помилкове, зверніться до підтримки:\n💬 @jessy\\_jackson',
+
+    // Evidence timeline
+    evidence_types: {
+      claim: 'Претензія',
+      statement: 'Пояснення',
+      chat_screenshot: 'Скріншот листування',
+      delivery_proof: 'Підтвердження доставки',
+      tx_hash: 'Транзакція',
+      comment: 'Коментар',
+      appeal: 'Апеляція',
+      appeal_confirmed: 'Рішення залишено в силі',
+      appeal_reversed: 'Рішення скасовано',
+    },
+    evidence_hints: {
+      statement: 'Надішліть текстом пояснення своєї позиції.',
+      chat_screenshot: 'Надішліть скріншоти листування (фото або документи). Підпис необовʼязковий.',
+      delivery_proof: 'Надішліть фото, відео або документи, що підтверджують доставку. Підпис необовʼязковий.',
+      tx_hash: 'Надішліть хеш транзакції (TRON або BSC).',
+    },
+    arbiter_label: 'Арбітр',
+
+    timeline: ({ dealId, productName, entries, footer }) => `📋 *Хід спору*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\n${entries}${footer}`,
+    timeline_entry: ({ date, author, type, text, files }) => `*${type}* · ${author} · _${date}_${text ? `\n${text}` : ''}${files ? `\n📎 Файлів: ${files}` : ''}`,
+    timeline_more: ({ count }) => `_…і ще ${count} раніших записів_\n\n`,
+    response_due_you: ({ deadline }) => `\n\n⏳ *Відповідайте до ${deadline}* — інакше арбітр може вирішити спір на користь іншої сторони.`,
+    response_due_other: ({ deadline }) => `\n\n⏳ Інша сторона може відповісти до ${deadline}.`,
+    response_missed: '\n\n⌛ Відповідач не відповів вчасно. Арбітр може вирішити спір за замовчуванням.',
+    resolved_note: '\n\n✅ Спір вирішено.',
+    appeal_open_you: ({ deadline }) => `\n\n🔁 Ви можете оскаржити рішення до ${deadline}.`,
+    appeal_open_other: ({ deadline }) => `\n\n🔁 Інша сторона може оскаржити рішення до ${deadline}. Після цього ви отримаєте запит ключа.`,
+    appeal_pending: '\n\n🔁 Апеляцію розглядає інший арбітр. Виплату призупинено.',
+
+    evidence_choose: ({ dealId }) => `📎 *Додати доказ*\n\n🆔 Угода: \`${dealId}\`\n\nОберіть тип доказу:`,
+    evidence_prompt: ({ dealId, type, hint, count }) => `📎 *${type}*\n\n🆔 Угода: \`${dealId}\`\n\n${hint}\n\n_Додано: ${count}_\n\nНатисніть *«Готово»*, коли закінчите.`,
+    evidence_text_only: 'Надішліть хеш транзакції текстом.',
+    evidence_error: ({ message }) => `❌ Доказ не додано: ${message}`,
+    notify_evidence: ({ dealId, role, type }) => `📎 *Новий доказ у спорі*\n\n🆔 Угода: \`${dealId}\`\n\n${role} додав: ${type}.`,
+
+    // Appeal
+    resolve_winner_appeal_window: ({ dealId, productName, deadline }) => `✅ *Спір вирішено на вашу користь!*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\nІнша сторона може оскаржити рішення до *${deadline}*.\nПісля цього ми попросимо ввести приватний ключ для отримання коштів.`,
+    appeal_hint: ({ deadline }) => `\n\n🔁 *Не згодні?* Рішення можна оскаржити до ${deadline} — апеляцію розгляне інший арбітр.`,
+    appeal_prompt: ({ dealId, deadline }) => `🔁 *Апеляція*\n\n🆔 Угода: \`${dealId}\`\n\nОпишіть, чому рішення неправильне (мінімум 20 символів). Нові докази можна згадати в тексті.\n\n⏳ Подати до: ${deadline}`,
+    appeal_text_only: 'Надішліть причину апеляції текстом.',
+    appeal_error: ({ message }) => `❌ Апеляцію не подано: ${message}`,
+    appeal_filed: ({ dealId }) => `✅ *Апеляцію подано*\n\n🆔 Угода: \`${dealId}\`\n\nЇї розгляне інший арбітр. Ми повідомимо про результат.`,
+    appeal_filed_other: ({ dealId, productName }) => `🔁 *Рішення у спорі оскаржено*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\nІнша сторона подала апеляцію. Виплату призупинено до рішення іншого арбітра.`,
+    appeal_confirmed_winner: ({ dealId, productName }) => `✅ *Апеляцію відхилено*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\nРішення на вашу користь залишено в силі. Незабаром надійде запит приватного ключа.`,
+    appeal_confirmed_loser: ({ dealId, productName, comment }) => `❌ *Апеляцію відхилено*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\nРішення залишено в силі.${comment ? `\n\n💬 ${comment}` : ''}`,
+    appeal_reversed_winner: ({ dealId, productName, comment }) => `✅ *Апеляцію задоволено*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\nРішення скасовано на вашу користь, статистику спорів перераховано.${comment ? `\n\n💬 ${comment}` : ''}\n\nНезабаром надійде запит приватного ключа.`,
+    appeal_reversed_loser: ({ dealId, productName, comment, lossStreak, restrictedUntil }) => `❌ *Рішення скасовано за апеляцією*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\nСпір вирішено на користь іншої сторони.${comment ? `\n\n💬 ${comment}` : ''}\n\n⚠️ *Програних спорів поспіль: ${lossStreak} з 3*${restrictedUntil ? `\n\n🚫 *Створення угод обмежено до ${restrictedUntil}*` : ''}`,
+  },
+
+  // ============================================
+  // USER RESTRICTIONS
+  // ============================================
+  restriction: {
+    types: {
+      ban: 'Блокування акаунта',
+      deal_creation: 'Обмеження на угоди',
+      withdrawal: 'Заморожування виведення',
+    },
+    issued: ({ type, until }) => `🚫 *${type}*\n\nДо вашого акаунта застосовано обмеження${until ? ` до *${until}*` : ' на невизначений строк'}.\n\nЯкщо ви вважаєте, що це помилка, зверніться до підтримки: @jessy\\_jackson`,
+    lifted: ({ type }) => `✅ *Обмеження знято*\n\n${type} більше не діє.`,
+    expired: ({ type }) => `🔓 *Строк обмеження минув*\n\n${type} більше не діє.`,
+  },
+
+  // ============================================
+  // TRUST TIERS
+  // ============================================
+  trust: {
+    tiers: {
+      new: 'Новачок',
+      verified: 'Перевірений',
+      trusted: 'Надійний',
+      pro: 'Профі',
+    },
+    title: ({ tier, maxActiveDeals, maxDealAmount, maxOpenInvites, completedDeals, volume, ratingDisplay, disputesLost }) => `🛡 *Рівень довіри: ${tier}*\n\n📊 *Ваші ліміти:*\n• Активних угод одночасно: ${maxActiveDeals}\n• Максимальна сума угоди: ${maxDealAmount} USDT\n• Відкритих посилань-запрошень: ${maxOpenInvites}\n\n📜 *Ваша історія:*\n• Завершених угод: ${completedDeals}\n• Оборот: ${volume} USDT\n• Рейтинг: ${ratingDisplay}\n• Програних спорів: ${disputesLost}`,
+    pinned: '_Рівень або ліміти встановлені адміністрацією._',
+    next_title: ({ tier, maxActiveDeals, maxDealAmount }) => `📈 *Наступний рівень: ${tier}*\n_До ${maxActiveDeals} активних угод, сума до ${maxDealAmount} USDT_\n\nЗалишилось виконати:`,
+    need_deals: ({ current, required }) => `• Завершити угод: ${current}/${required}`,
+    need_volume: ({ current, required }) => `• Набрати оборот: ${current}/${required} USDT`,
+    need_rating: ({ current, required }) => `• Підняти рейтинг: ${current} → від ${required}`,
+    need_disputes: ({ current, required }) => `• Програних спорів: ${current} (допустимо не більше ${required})`,
+    max_tier: '🏆 У вас максимальний рівень довіри.',
+  },
+
+  // ============================================
+  // REPUTATION CARD
+  // ============================================
+  reputation: {
+    metrics: {
+      rating: 'Рейтинг',
+      deals: 'Угоди',
+      volume: 'Оборот',
+      disputes: 'Спори',
+      accountAge: 'Вік акаунта',
+      reviews: 'Відгуки',
+    },
+    line_rating: ({ average, count, reviews }) => `⭐ ${average}/5 (${count} ${reviews})`,
+    line_no_rating: '⭐ Поки без відгуків',
+    line_deals: ({ count }) => `✅ Завершених угод: ${count}`,
+    line_volume: ({ min, max }) => `💰 Оборот: ${max === null ? `від ${min}` : min > 0 ? `${min}–${max}` : `до ${max}`} USDT`,
+    line_disputes: ({ total, lost, ratio }) => `⚖️ Спорів: ${total} (${ratio}% угод), програно: ${lost}`,
+    line_since: ({ date }) => `📅 У KeyShield з ${date}`,
+    reviews_title: '💬 *Відгуки:*',
+    line_review: ({ stars, text }) => `${stars} «${text}»`,
+    line_reply: ({ text }) => `   ↳ _Відповідь:_ ${text}`,
+    all_hidden: '_Користувач приховав свою репутацію_',
+    title: ({ card }) => `🏅 *Моя репутація*\n\nТак вашу картку бачать контрагенти перед прийняттям угоди:\n\n${card}\n\n_Натисніть на показник, щоб приховати або показати його._`,
+    public_on: ({ url }) => `🌐 *Публічна сторінка увімкнена:*\n${url}`,
+    public_off: '🌐 Публічна сторінка вимкнена. Увімкніть її, щоб ділитися репутацією за посиланням.',
+  },
+
+  // ============================================
+  // WRITTEN REVIEWS
+  // ============================================
+  review: {
+    published: ({ dealId, stars, text }) => `💬 *Новий відгук про вас*\n\n🆔 Угода: \`${dealId}\`\n${stars}\n«${text}»\n\nВідгук опубліковано у вашій картці репутації. Ви можете залишити одну публічну відповідь.`,
+    reply_ask: ({ min, max }) => `✍️ *Відповідь на відгук*\n\nНапишіть відповідь повідомленням (${min}–${max} символів). Відповісти можна лише один раз.`,
+    reply_sent: '✅ *Відповідь надіслано*\n\nВона з\'явиться під відгуком після перевірки модератором.',
+    reply_cancelled: '↩️ Відповідь на відгук скасовано.',
+    reply_exists: '❌ Ви вже відповіли на цей відгук.',
+    not_found: '❌ Відгук не знайдено або ще не опубліковано.',
   },
 
   // ============================================
   // DEPOSIT MONITOR
   // ============================================
   deposit: {
-    insufficient: ({ dealId, received, expected, shortfall, asset, multisigAddress, tolerance }) => `⚠️ *Недостатній депозит!*\n\n🆔 Угода: \`${dealId}\`\n💸 Отримано: ${received} ${asset}\n💸 Необхідно: ${expected} ${asset}\n\n❌ Не вистачає: ${shortfall} ${asset}\n\nБудь ласка, переведіть ще ${shortfall} ${asset} на адресу:\n\`${multisigAddress}\`\n\n⚠️ Допускається відхилення до -${tolerance} ${asset}.`,
+    pending: ({ dealId, amount, asset, confirmations }) => `⏳ *Депозит отримано, чекаємо підтверджень*\n\n🆔 Угода: \`${dealId}\`\n💸 Сума: ${amount} ${asset}\n\nПереказ знайдено в блокчейні. Угоду буде заблоковано після ${confirmations} підтверджень мережі — зазвичай це займає близько хвилини.`,
+
+    rejected: ({ dealId, amount, asset, txHash, multisigAddress }) => `❌ *Переказ не підтверджено мережею*\n\n🆔 Угода: \`${dealId}\`\n💸 Сума: ${amount} ${asset}\n🔗 TX: \`${txHash}\`\n\nТранзакцію скасовано або відкочено — кошти на адресу угоди не надійшли.\nПеревірте гаманець і повторіть переказ на адресу:\n\`${multisigAddress}\``,
+
+    partial: ({ dealId, received, expected, remaining, asset, multisigAddress, tolerance }) => `⚠️ *Депозит отримано частково*\n\n🆔 Угода: \`${dealId}\`\n💸 Ви надіслали ${received} з ${expected} ${asset}\n\n❗ Залишилось надіслати: ${remaining} ${asset}\n\nПереведіть решту суми на ту саму адресу:\n\`${multisigAddress}\`\n\nУсі перекази підсумовуються — угоду буде заблоковано, щойно надійде вся сума.\n⚠️ Допускається відхилення до -${tolerance} ${asset}.`,
 
-    overpayment: ({ overpayment, asset }) => `\n\n⚠️ *Переплата: ${overpayment} ${asset}*\nРізниця піде на баланс сервісу.\nДля повернення зверніться до підтримки.`,
+    overpayment: ({ overpayment, asset }) => `\n\n⚠️ *Переплата: ${overpayment} ${asset}*\nРізниця не бере участі в угоді й буде повернена на ваш гаманець разом з підсумковою виплатою.`,
 
     buyer_confirmed: ({ dealId, productName, depositAmount, dealAmount, asset, overpaymentNote, txHash }) => `✅ *Депозит підтверджено!*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n💸 Депозит: ${depositAmount} ${asset}\n💸 Сума угоди: ${dealAmount} ${asset}\n\nКошти заморожено в multisig-гаманці.\nПродавець може розпочати роботу.${overpaymentNote}\n\n[Транзакція](https://tronscan.org/#/transaction/${txHash})`,
 
@@ -566,6 +740,8 @@ module.exports = {
     timeout_creator: ({ dealId, productName, amount, asset }) => `⏰ *Угоду скасовано*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n💰 ${amount} ${asset}\n\nДепозит не надійшов протягом 24 годин.\nУгоду автоматично скасовано.\n\nВи можете створити нову угоду в будь-який час.`,
 
     timeout_counterparty: ({ dealId, productName, amount, asset }) => `⏰ *Угоду скасовано*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n💰 ${amount} ${asset}\n\nДепозит не надійшов протягом 24 годин.\nУгоду автоматично скасовано.`,
+
+    timeout_partial: ({ dealId, productName, received, expected, asset }) => `⏰ *Угоду скасовано*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n💰 Отримано ${received} з ${expected} ${asset}\n\nПовний депозит не надійшов протягом 24 годин.\nУгоду автоматично скасовано, отримані кошти буде запропоновано повернути відправнику.`,
   },
 
   // ============================================
@@ -620,14 +796,87 @@ module.exports = {
     buyer_refund_success: ({ dealId, productName, refundAmount, asset, commission, txHash }) => `✅ *Повернення виконано!*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\n💸 Повернуто: *${refundAmount} ${asset}*\n📊 Комісія сервісу: ${commission} ${asset}\n\n[Транзакція](https://tronscan.org/#/transaction/${txHash})`,
 
     seller_refund_notify: ({ dealId, productName, refundAmount, asset, txHash }) => `⚠️ *Угоду завершено поверненням*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\nТермін угоди закінчився без підтвердження виконання.\nКошти повернуто покупцеві.\n\n💸 Повернуто: ${refundAmount} ${asset}\n\n[Транзакція](https://tronscan.org/#/transaction/${txHash})`,
+    seller_cancel_refund_notify: ({ dealId, productName, refundAmount, asset, txHash }) => `🤝 *Угоду скасовано за згодою*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\nКошти повернуто покупцю.\n\n💸 Повернуто: ${refundAmount} ${asset}\n\n[Транзакція](https://tronscan.org/#/transaction/${txHash})`,
 
     buyer_refund_error: ({ dealId, errorMessage }) => `❌ *Помилка повернення*\n\n🆔 Угода: \`${dealId}\`\nПомилка: ${errorMessage}\n\nБудь ласка, зверніться до підтримки: @jessy\\_jackson`,
 
     dispute_winner: ({ dealId, productName, payoutAmount, asset, commission, txHash }) => `✅ *Кошти отримано!*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\n💸 Отримано: *${payoutAmount} ${asset}*\n📊 Комісія сервісу: ${commission} ${asset}\n\n[Транзакція](https://tronscan.org/#/transaction/${txHash})`,
 
+    dispute_split_success: ({ dealId, productName, payoutAmount, asset, commission, txHash }) => `✅ *Вашу частку отримано!*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\n💸 Отримано: *${payoutAmount} ${asset}*\n📊 Комісія сервісу: ${commission} ${asset}\n\n[Транзакція](https://tronscan.org/#/transaction/${txHash})`,
+    milestone_success: ({ dealId, productName, number, total, title, payoutAmount, asset, commission, txHash }) => `✅ *Кошти за етап ${number} з ${total} отримано!*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n📍 ${title}\n\n💸 Отримано: *${payoutAmount} ${asset}*\n📊 Комісія сервісу: ${commission} ${asset}\n\n[Транзакція](https://tronscan.org/#/transaction/${txHash})`,
+
     dispute_error: ({ dealId, errorMessage }) => `❌ *Помилка виплати*\n\n🆔 Угода: \`${dealId}\`\nПомилка: ${errorMessage}\n\nБудь ласка, зверніться до підтримки: @jessy\\_jackson`,
   },
 
+  // ============================================
+  // OFFLINE SIGNING (payout signed in the user's wallet)
+  // ============================================
+  offlineSign: {
+    link: ({ dealId, payoutAmount, asset, commission, minutes }) => `🔏 *Підпис у гаманці*\n\n🆔 Угода: \`${dealId}\`\n💸 Виплата: *${payoutAmount} ${asset}*\n📊 Комісія сервісу: ${commission} ${asset}\n\nВідкрийте сторінку підпису та підтвердіть транзакції в TronLink — приватний ключ не залишає ваш гаманець.\n\nІнший гаманець: завантажте транзакції на сторінці, підпишіть їх і завантажте назад або надішліть сюди JSON-файлом.\n\n⏳ Посилання діє ${minutes} хв.`,
+    unavailable: '⚠️ Підпис у гаманці недоступний для цієї угоди — її ескроу не є on-chain мультисигом.\n\nВведіть приватний ключ у відповідь на запит виплати.',
+    no_payout: '⚠️ Немає виплати, що очікує на ваш підпис.',
+    no_request: '⚠️ Спочатку натисніть «🔏 Підписати в гаманці» під запитом ключа.',
+    invalid_file: '❌ Не вдалося прочитати підписані транзакції.\n\nНадішліть JSON, експортований з гаманця після підпису.',
+    prepare_error: ({ error }) => `❌ *Не вдалося підготувати транзакції*\n\n${error}`,
+    rejected: ({ error }) => `❌ *Підпис не прийнято*\n\n${error}`,
+    failed: ({ dealId }) => `❌ *Виплату за підписом не виконано*\n\n🆔 Угода: \`${dealId}\`\n\nБудь ласка, зверніться до підтримки: @jessy\\_jackson`,
+  },
+
+  // ============================================
+  // STRAY FUNDS (late transfers to closed deals)
+  // ============================================
+  stray: {
+    detected: ({ dealId, amount, asset, txHash, fromAddress }) => `🪙 *Переказ на адресу закритої угоди*\n\n🆔 Угода: \`${dealId}\`\n💸 Сума: *${amount} ${asset}*\n🔗 TX: \`${txHash}\`\n\nУгоду вже закрито, ці кошти до неї не входять. Їх можна повернути на адресу відправника:\n\`${fromAddress}\`\n\nНатисніть «Повернути кошти» та підтвердіть повернення приватним ключем угоди.`,
+    enter_key: ({ dealId, amount, asset, fromAddress }) => `↩️ *Повернення коштів*\n\n🆔 Угода: \`${dealId}\`\n💸 Сума: *${amount} ${asset}*\n📥 На адресу: \`${fromAddress}\`\n\n💰 *Введіть ваш приватний ключ:*\n\n⚠️ Це ключ, який був виданий вам під час вказання гаманця.`,
+    refunded: ({ dealId, amount, asset, txHash }) => `✅ *Кошти повернуто*\n\n🆔 Угода: \`${dealId}\`\n💸 Повернуто: *${amount} ${asset}*\n🔗 TX: \`${txHash}\``,
+    refund_failed: ({ dealId }) => `❌ *Не вдалося повернути кошти*\n\n🆔 Угода: \`${dealId}\`\n\nКошти залишаються на адресі угоди, адміністратори вже отримали сповіщення. Спробуйте ще раз пізніше або зверніться до підтримки: @jessy\\_jackson`,
+    not_available: '⚠️ Цей переказ уже повернуто або він не очікує повернення.',
+  },
+
+  // ============================================
+  // DEADLINE EXTENSION
+  // ============================================
+  extension: {
+    choose: ({ dealId, deadline }) => `⏰ *Продовження терміну*\n\nУгода: \`${dealId}\`\nПоточний дедлайн: *${deadline}*\n\nОберіть, на скільки продовжити термін. Новий дедлайн набуде чинності лише після згоди другого учасника.`,
+    proposed_you: ({ dealId, newDeadline }) => `⏰ *Пропозицію надіслано*\n\nУгода: \`${dealId}\`\nЗапропонований дедлайн: *${newDeadline}*\n\nОчікуємо відповіді другого учасника. Автоповернення та автовиплату призупинено на строк до 24 годин.`,
+    proposed_other: ({ dealId, productName, role, deadline, newDeadline }) => `⏰ *Запропоновано новий термін*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\n${role} пропонує продовжити термін угоди.\n\nПоточний дедлайн: ${deadline}\nНовий дедлайн: *${newDeadline}*\n\nАвтоповернення та автовиплату призупинено до вашої відповіді (не більше 24 годин).`,
+    accepted_you: ({ dealId, productName, newDeadline }) => `✅ *Термін продовжено*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\nНовий дедлайн: *${newDeadline}*`,
+    accepted_other: ({ dealId, productName, newDeadline }) => `✅ *Новий термін прийнято*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\nНовий дедлайн: *${newDeadline}*`,
+    rejected_you: ({ dealId, productName }) => `❌ *Пропозицію відхилено*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\nТермін угоди не змінився.`,
+    rejected_other: ({ dealId, productName, newDeadline }) => `❌ *Новий термін відхилено*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\nДругий учасник відхилив дедлайн ${newDeadline}. Термін угоди не змінився.`,
+    pending_yours: ({ newDeadline }) => `⏳ _Ви запропонували новий дедлайн: ${newDeadline}_`,
+    pending_theirs: ({ newDeadline }) => `⏳ *Другий учасник пропонує новий дедлайн:* ${newDeadline}`,
+    not_allowed: ({ status }) => `❌ Неможливо продовжити термін угоди у статусі: ${status}`,
+    failed: '❌ Не вдалося змінити термін. Можливо, пропозиція закінчилася або угода змінилася — відкрийте угоду знову.',
+  },
+
+  // ============================================
+  // MUTUAL CANCELLATION
+  // ============================================
+  mutualCancel: {
+    confirm: ({ dealId, refundAmount, asset, commission }) => `🤝 *Скасування за згодою*\n\nУгода: \`${dealId}\`\n\nУгоду буде скасовано, лише якщо другий учасник підтвердить. Після цього покупець вводить свій приватний ключ і отримує повернення.\n\n💸 Повернення покупцю: *${refundAmount} ${asset}*\n📊 Комісія сервісу: ${commission} ${asset}\n\nЦе не спір — статистика спорів не змінюється.`,
+    proposed_you: ({ dealId }) => `🤝 *Пропозицію надіслано*\n\nУгода: \`${dealId}\`\n\nОчікуємо, поки другий учасник підтвердить скасування (до 24 годин).`,
+    proposed_other: ({ dealId, productName, role, refundAmount, asset, commission }) => `🤝 *Запропоновано скасування угоди*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\n${role} пропонує скасувати угоду за згодою.\n\n💸 Повернення покупцю: *${refundAmount} ${asset}*\n📊 Комісія сервісу: ${commission} ${asset}\n\nЯкщо ви підтвердите, угоду буде скасовано, а кошти повернуться покупцю.`,
+    rejected_you: ({ dealId }) => `✅ *Скасування відхилено*\n\nУгода: \`${dealId}\`\n\nУгода триває.`,
+    rejected_other: ({ dealId, productName }) => `❌ *Скасування відхилено*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\nДругий учасник хоче продовжити угоду.`,
+    buyer_key: ({ dealId, productName, refundAmount, asset, commission }) => `🤝 *Угоду скасовано за згодою*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\n💰 *Для отримання повернення введіть ваш приватний ключ:*\n\n💸 Сума повернення: *${refundAmount} ${asset}*\n📊 Комісія сервісу: ${commission} ${asset}\n\n⚠️ Це ключ, який був виданий вам під час вказання гаманця.\n\n❗️ *Без введення ключа кошти НЕ будуть повернуті!*`,
+    seller_waiting: ({ dealId, productName }) => `🤝 *Угоду скасовано за згодою*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n\n💸 Кошти повертаються покупцю.\nПокупцю надіслано запит на введення приватного ключа.`,
+    pending_yours: '⏳ _Ви запропонували скасувати угоду_',
+    pending_theirs: '⏳ *Другий учасник пропонує скасувати угоду*',
+    not_allowed: ({ status }) => `❌ Неможливо скасувати угоду за згодою у статусі: ${status}`,
+    failed: '❌ Не вдалося скасувати угоду. Можливо, пропозиція закінчилася або угода змінилася — відкрийте угоду знову.',
+  },
+
+  // ============================================
+  // MILESTONES
+  // ============================================
+  milestone: {
+    next_info: ({ number, total, title, amount, asset, deadline }) => `▶️ *Поточний етап ${number} з ${total}:* ${title}\n💰 ${amount} ${asset}\n⏰ Дедлайн: ${deadline}`,
+    next_started: ({ dealId, productName }) => `📍 *Розпочато наступний етап*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}`,
+    released_notify: ({ dealId, productName, number, total, title, payoutAmount, asset, txHash }) => `✅ *Етап ${number} з ${total} оплачено*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n📍 ${title}\n\n💸 Продавцю переведено: ${payoutAmount} ${asset}\n\n[Транзакція](https://tronscan.org/#/transaction/${txHash})`,
+    refunded_notify: ({ dealId, productName, number, total, title, payoutAmount, asset, txHash }) => `↩️ *Кошти за етап ${number} з ${total} повернуто покупцю*\n\n🆔 Угода: \`${dealId}\`\n📦 ${productName}\n📍 ${title}\n\n💸 Повернуто: ${payoutAmount} ${asset}\n\n[Транзакція](https://tronscan.org/#/transaction/${txHash})`,
+  },
+
   // ============================================
   // NOTIFICATION SERVICE
   // ============================================
@@ -675,7 +924,7 @@ module.exports = {
     copy_link_text: ({ inviteLink }) => `🔗 *Посилання для контрагента:*\n\n\`${inviteLink}\`\n\n_Натисніть на посилання, щоб скопіювати_`,
 
     // Invite acceptance screen
-    acceptance: ({ dealId, userRoleLabel, creatorUsername, creatorRoleLabel, creatorRatingDisplay, productName, description, amount, asset, commission, paymentInfo }) => `📨 *Запрошення до угоди*\n\n🆔 ID: \`${dealId}\`\n\n*Ваша роль:* ${userRoleLabel}\n*Контрагент:* ${creatorUsername} (${creatorRoleLabel})\n*Рейтинг:* ${creatorRatingDisplay}\n\n📦 *Товар/послуга:* ${productName}\n${description ? `📝 *Опис:* ${description}\n` : ''}💰 *Сума:* ${amount} ${asset}\n📊 *Комісія:* ${commission} ${asset}\n${paymentInfo}\n\n⚠️ *Увага:* Для прийняття угоди вам потрібно буде вказати ваш TRON-гаманець.\n\nБажаєте прийняти цю угоду?`,
+    acceptance: ({ dealId, userRoleLabel, creatorUsername, creatorRoleLabel, creatorReputation, productName, description, amount, asset, commission, paymentInfo }) => `📨 *Запрошення до угоди*\n\n🆔 ID: \`${dealId}\`\n\n*Ваша роль:* ${userRoleLabel}\n*Контрагент:* ${creatorUsername} (${creatorRoleLabel})\n🏅 *Репутація контрагента:*\n${creatorReputation}\n\n📦 *Товар/послуга:* ${productName}\n${description ? `📝 *Опис:* ${description}\n` : ''}💰 *Сума:* ${amount} ${asset}\n📊 *Комісія:* ${commission} ${asset}\n${paymentInfo}\n\n⚠️ *Увага:* Для прийняття угоди вам потрібно буде вказати ваш TRON-гаманець.\n\nБажаєте прийняти цю угоду?`,
     to_pay: ({ amount, asset }) => `💸 *До сплати:* ${amount} ${asset}`,
     you_receive: ({ amount, asset }) => `💸 *Ви отримаєте:* ${amount} ${asset}`,
   },
@@ -712,6 +961,8 @@ module.exports = {
 
     withdraw_pending_exists: ({ withdrawalId, status }) => `⚠️ *У вас вже є активна заявка*\n\nЗаявка: \`${withdrawalId}\`\nСтатус: ${status}\n\nДочекайтеся завершення поточної заявки.`,
 
+    withdraw_frozen: ({ until }) => `🧊 *Виведення заморожено*\n\nВиведення реферального балансу для вашого акаунта тимчасово недоступне${until ? ` до *${until}*` : ''}.\n\nБаланс зберігається. Питання: @jessy\\_jackson`,
+
     withdraw_select_wallet: ({ balance }) => `💸 *Виведення реферального балансу*\n\n💰 Сума до виведення: *${balance} USDT*\n\n`,
     withdraw_select_saved: 'Оберіть гаманець зі збережених або введіть нову адресу TRC-20:',
     withdraw_enter_address: 'Введіть адресу гаманця TRC-20 для отримання виплати:',
@@ -751,6 +1002,9 @@ module.exports = {
     },
     saved: '✅ Оцінку збережено',
     thank_you: ({ stars, username, finalMessage }) => `✅ *Дякуємо за оцінку!*\n\nВи поставили ${stars} \`@${username}\`\n\n${finalMessage}`,
+    ask_review: ({ stars, username, min, max }) => `✅ *Оцінку збережено:* ${stars}\n\nБажаєте залишити короткий відгук про \`@${username}\`? Напишіть його повідомленням (${min}–${max} символів).\n\n_Відгук з'явиться в картці репутації після перевірки модератором._`,
+    review_invalid: ({ min, max }) => `❌ Текст має містити від ${min} до ${max} символів. Напишіть ще раз:`,
+    review_sent: ({ finalMessage }) => `✅ *Дякуємо за відгук!*\n\nЙого буде опубліковано після перевірки модератором.\n\n${finalMessage}`,
     rating_display: ({ average, count, word }) => `⭐ ${average} (${count} ${word})`,
   },
 
@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { encrypt, decrypt, isEnabled: encryptionEnabled } = require('../utils/encryption');
+const { API_SCOPES, API_KEY_ROTATION_GRACE_HOURS } = require('../config/constants');
+
+// Fields to encrypt/decrypt automatically
+const ENCRYPTED_FIELDS = ['secret', 'previousSecret'];
+
+const apiKeySchema = new mongoose.Schema({
+  // Public identifier, sent in X-Api-Key-Id header
+  keyId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Shared secret (used as API key or as HMAC signing key)
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Previous secret stays valid until previousSecretExpiresAt (rotation grace period)
+  previousSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+  previousSecretExpiresAt: {
+    type: Date,
+    default: null
+  },
+  scopes: [{
+    type: String,
+    enum: API_SCOPES
+  }],
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// Static method to create a new key. Secret is returned only once!
+apiKeySchema.statics.generate = async function(name, scopes = []) {
+  const invalid = scopes.filter(scope => !API_SCOPES.includes(scope));
+  if (invalid.length > 0) {
+    throw new Error(`Unknown scopes: ${invalid.join(', ')}`);
+  }
+
+  const secret = generateSecret();
+  const apiKey = new this({
+    keyId: `ks_${crypto.randomBytes(8).toString('hex')}`,
+    name,
+    secret,
+    scopes
+  });
+
+  await apiKey.save();
+  return { apiKey, secret };
+};
+
+// Method to rotate secret. Old secret stays valid for graceHours.
+apiKeySchema.methods.rotate = async function(graceHours = API_KEY_ROTATION_GRACE_HOURS) {
+  if (typeof graceHours !== 'number' || !Number.isFinite(graceHours) || graceHours < 0) {
+    throw new Error('Grace period must be a non-negative number of hours');
+  }
+
+  const secret = generateSecret();
+
+  this.previousSecret = graceHours > 0 ? this.secret : null;
+  this.previousSecretExpiresAt = graceHours > 0
+    ? new Date(Date.now() + graceHours * 60 * 60 * 1000)
+    : null;
+  this.secret = secret;
+  this.rotatedAt = new Date();
+
+  await this.save();
+  return secret;
+};
+
+// Method to revoke key (cannot be re-enabled, create a new one instead)
+apiKeySchema.methods.revoke = async function() {
+  this.isActive = false;
+  this.revokedAt = new Date();
+  await this.save();
+};
+
+// Secrets accepted right now (current + previous during grace period)
+apiKeySchema.methods.getValidSecrets = function() {
+  const secrets = [this.secret];
+  if (this.previousSecret && this.previousSecretExpiresAt && this.previousSecretExpiresAt > new Date()) {
+    secrets.push(this.previousSecret);
+  }
+  return secrets.filter(Boolean);
+};
+
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes('*') || this.scopes.includes(scope);
+};
+
+// ─── Encryption hooks ───────────────────────────────────
+apiKeySchema.pre('save', function () {
+  if (!encryptionEnabled()) return;
+  for (const field of ENCRYPTED_FIELDS) {
+    if (this[field]) this[field] = encrypt(this[field]);
+  }
+});
+
+function decryptDoc(doc) {
+  if (!doc || !encryptionEnabled()) return;
+  for (const field of ENCRYPTED_FIELDS) {
+    if (doc[field]) doc[field] = decrypt(doc[field]);
+  }
+}
+
+apiKeySchema.post('find', (docs) => docs.forEach(decryptDoc));
+apiKeySchema.post('findOne', decryptDoc);
+apiKeySchema.post('findOneAndUpdate', decryptDoc);
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
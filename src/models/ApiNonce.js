@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const { API_SIGNATURE_MAX_AGE_MS } = require('../config/constants');
+
+/**
+ * API Nonce Model
+ * Nonces of HMAC-signed internal API requests. A signed request is accepted
+ * once - a captured request replayed within the timestamp window is rejected.
+ * Records expire after the window (both directions of the clock skew).
+ */
+const apiNonceSchema = new mongoose.Schema({
+  keyId: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+apiNonceSchema.index({ keyId: 1, nonce: 1 }, { unique: true });
+apiNonceSchema.index({ createdAt: 1 }, { expireAfterSeconds: Math.ceil(2 * API_SIGNATURE_MAX_AGE_MS / 1000) });
+
+/**
+ * Record a nonce as used
+ * @param {string} keyId
+ * @param {string} nonce
+ * @returns {Promise<boolean>} - false if the nonce was already used
+ */
+apiNonceSchema.statics.claim = async function(keyId, nonce) {
+  try {
+    await this.create({ keyId, nonce });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('ApiNonce', apiNonceSchema);
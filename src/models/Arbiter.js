@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+/**
+ * Arbiter — admin panel account that resolves disputes
+ * 'arbiter' works the own queue and unassigned disputes,
+ * 'senior_arbiter' also sees every queue and (re)assigns disputes
+ */
+const arbiterSchema = new mongoose.Schema({
+  // Admin panel login
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Telegram account: assignment / SLA alerts and conflict of interest checks
+  telegramId: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  // Partner platform the arbiter is affiliated with (barred from its deals)
+  platformId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Platform',
+    default: null
+  },
+  role: {
+    type: String,
+    enum: ['arbiter', 'senior_arbiter'],
+    default: 'arbiter'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Takes part in round-robin auto-assignment
+  autoAssign: {
+    type: Boolean,
+    default: true
+  },
+  // Round-robin pointer: the arbiter assigned longest ago goes next
+  lastAssignedAt: {
+    type: Date,
+    default: null
+  },
+  lastLoginAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+arbiterSchema.index({ isActive: 1, autoAssign: 1, lastAssignedAt: 1 });
+
+// Hash password before saving
+arbiterSchema.pre('save', async function(next) {
+  if (this.isModified('passwordHash') && !this.passwordHash.startsWith('$2')) {
+    this.passwordHash = await bcrypt.hash(this.passwordHash, 10);
+  }
+  next();
+});
+
+arbiterSchema.methods.checkPassword = async function(password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+arbiterSchema.methods.toPublic = function() {
+  return {
+    _id: this._id,
+    username: this.username,
+    name: this.name,
+    telegramId: this.telegramId,
+    platformId: this.platformId,
+    role: this.role,
+    isActive: this.isActive,
+    autoAssign: this.autoAssign,
+    lastAssignedAt: this.lastAssignedAt,
+    lastLoginAt: this.lastLoginAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Arbiter', arbiterSchema);
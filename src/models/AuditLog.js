@@ -79,4 +79,8 @@ auditLogSchema.statics.logUserBanned = function(adminId, bannedUserId, details)
   return this.log(adminId, 'ban_user', { ...details, bannedUserId });
 };
 
+auditLogSchema.statics.logApiCall = function(keyId, details, options = {}) {
+  return this.log(null, 'api_call', { ...details, keyId }, options);
+};
+
 module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -9,6 +9,68 @@ const ENCRYPTED_FIELDS = [
   'buyerKey', 'sellerKey', 'arbiterKey',
 ];
 
+// Stage of a milestone deal - each milestone is submitted, accepted and released separately
+const milestoneSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  deadline: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'submitted', 'released', 'refunded', 'split'],
+    default: 'pending'
+  },
+  submittedAt: {
+    type: Date,
+    default: null
+  },
+  // Payout details (filled when milestone funds leave the multisig)
+  payoutAmount: {
+    type: Number,
+    default: null
+  },
+  commission: {
+    type: Number,
+    default: null
+  },
+  // Part of the milestone commission returned to the buyer (split decision)
+  refundedCommission: {
+    type: Number,
+    default: 0
+  },
+  payoutTxHash: {
+    type: String,
+    default: null
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  },
+  // Energy costs of this partial payout (final payout costs go to operationalCosts)
+  energyMethod: {
+    type: String,
+    enum: ['feesaver', 'trx', 'staking', 'none'],
+    default: 'none'
+  },
+  feesaverCostTrx: {
+    type: Number,
+    default: 0
+  },
+  trxReturned: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
 const dealSchema = new mongoose.Schema({
   dealId: {
     type: String,
@@ -63,6 +125,12 @@ const dealSchema = new mongoose.Schema({
     required: true,
     maxlength: 5000
   },
+  // Chain the escrow lives on (see services/chains)
+  network: {
+    type: String,
+    enum: ['tron', 'bep20'],
+    default: 'tron'
+  },
   asset: {
     type: String,
     enum: ['USDT', 'TRX'],
@@ -74,6 +142,11 @@ const dealSchema = new mongoose.Schema({
     required: true,
     min: 10
   },
+  // TRX/USDT rate used for the commission of TRX deals (null for USDT deals)
+  assetPriceUsdt: {
+    type: Number,
+    default: null
+  },
   commission: {
     type: Number,
     required: true
@@ -101,7 +174,7 @@ const dealSchema = new mongoose.Schema({
       'completed',
       'dispute',
       'resolved',
-      'cancelled',
+      'cancelled', // Before deposit, or funded and cancelled by mutual agreement (refund to buyer)
       'expired' // Auto-refunded due to deadline + 12h grace period expiration
     ],
     default: 'created',
@@ -111,14 +184,24 @@ const dealSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  // Milestones (empty for regular deals). amount = sum of milestone amounts,
+  // deadline always mirrors the deadline of the current milestone
+  milestones: {
+    type: [milestoneSchema],
+    default: []
+  },
+  currentMilestone: {
+    type: Number,
+    default: 0
+  },
   uniqueKey: {
     type: String,
     required: true,
     unique: true,
     index: true
   },
-  // SECURITY TODO: These keys should ideally be managed client-side or in secure storage
-  // For MVP, storing references/handles here, but mark for security review
+  // Placeholder keys of the escrow permission template and the arbiter key
+  // (pseudo-multisig deals only, new deals don't store them)
   buyerKey: {
     type: String,
     default: null,
@@ -143,8 +226,18 @@ const dealSchema = new mongoose.Schema({
     type: String,
     default: null
   },
-  // Private keys for pseudo-multisig validation
-  // Users must input these keys to receive payouts
+  // Addresses of the participant keys - the keys in the escrow's 2-of-3 permissions.
+  // Users enter their key to co-sign payouts, only the address is stored
+  buyerKeyAddress: {
+    type: String,
+    default: null
+  },
+  sellerKeyAddress: {
+    type: String,
+    default: null
+  },
+  // Private keys of pseudo-multisig deals (created before on-chain multisig,
+  // cleared by scripts/migrate-onchain-multisig.js)
   buyerPrivateKey: {
     type: String,
     default: null,
@@ -158,9 +251,27 @@ const dealSchema = new mongoose.Schema({
   // Pending key validation status (for auto-payouts and disputes)
   pendingKeyValidation: {
     type: String,
-    enum: [null, 'buyer_refund', 'seller_release', 'seller_payout', 'dispute_buyer', 'dispute_seller'],
+    enum: [null, 'buyer_refund', 'seller_release', 'seller_payout', 'milestone_release', 'mutual_cancel', 'dispute_buyer', 'dispute_seller', 'dispute_split'],
     default: null
   },
+  // Split dispute settlement: each party receives its share after entering its own key
+  splitPayout: {
+    buyerPercent: { type: Number, default: null },
+    buyerAmount: { type: Number, default: null },
+    sellerAmount: { type: Number, default: null },
+    buyerCommission: { type: Number, default: null },
+    sellerCommission: { type: Number, default: null },
+    buyerTxHash: { type: String, default: null },
+    sellerTxHash: { type: String, default: null },
+    buyerPaidAt: { type: Date, default: null },
+    sellerPaidAt: { type: Date, default: null },
+    // Accumulated payout costs of both transfers (saved to operationalCosts when the split is finished)
+    energyMethod: { type: String, enum: ['feesaver', 'trx', 'staking', 'none'], default: 'none' },
+    feesaverEnergyCost: { type: Number, default: 0 },
+    feesaverBandwidthCost: { type: Number, default: 0 },
+    fallbackTrxSent: { type: Number, default: 0 },
+    trxReturned: { type: Number, default: 0 }
+  },
   depositTxHash: {
     type: String,
     default: null
@@ -173,6 +284,21 @@ const dealSchema = new mongoose.Schema({
     type: Number,
     default: null
   },
+  // Deposit ledger: every inbound transfer is a 'deposit' Transaction, the deal
+  // locks once the confirmed total reaches the expected deposit
+  depositReceived: {
+    type: Number,
+    default: 0
+  },
+  // Paid above the expected deposit - returned to the buyer with the final payout
+  overpayment: {
+    type: Number,
+    default: 0
+  },
+  overpaymentRefundTxHash: {
+    type: String,
+    default: null
+  },
   // Flag to prevent duplicate deposit notifications on bot restart
   depositNotificationSent: {
     type: Boolean,
@@ -183,6 +309,22 @@ const dealSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Deadline extension proposed by one party, waiting for the counterparty.
+  // While pending, deadlineMonitor does not auto-refund or auto-release the deal
+  deadlineExtension: {
+    proposedBy: { type: Number, default: null },
+    newDeadline: { type: Date, default: null },
+    proposedAt: { type: Date, default: null },
+    expiresAt: { type: Date, default: null }
+  },
+  // Cancellation of a funded deal by mutual agreement: one party proposes, the other
+  // confirms, then the buyer enters the key for a refund (no dispute, no dispute stats)
+  cancellation: {
+    proposedBy: { type: Number, default: null },
+    proposedAt: { type: Date, default: null },
+    expiresAt: { type: Date, default: null },
+    agreedAt: { type: Date, default: null }
+  },
   // Flag to hide deal from admin dashboard statistics (for test deals)
   isHidden: {
     type: Boolean,
@@ -214,16 +356,19 @@ const dealSchema = new mongoose.Schema({
     activationTrxReturned: { type: Number, default: 0 },  // TRX returned after completion
     activationTrxNet: { type: Number, default: 0 },       // Net activation cost (sent - returned)
 
-    // Energy costs (dynamic estimation)
-    energyMethod: { type: String, enum: ['feesaver', 'trx', 'none'], default: 'none' },
+    // Energy costs (strategy picked per payout by services/energy, details in EnergyDecision)
+    energyMethod: { type: String, enum: ['feesaver', 'trx', 'staking', 'none'], default: 'none' },
     feesaverEnergyCostTrx: { type: Number, default: 0 },  // TRX spent on FeeSaver energy rental (dynamic amount)
     feesaverBandwidthCostTrx: { type: Number, default: 0 }, // TRX spent on FeeSaver bandwidth rental (1000 bw)
     feesaverCostTrx: { type: Number, default: 0 },        // Total FeeSaver cost (energy + bandwidth)
-    fallbackTrxSent: { type: Number, default: 0 },        // TRX sent for fallback (if FeeSaver failed)
+    fallbackTrxSent: { type: Number, default: 0 },        // TRX sent for burned energy (trx strategy)
     fallbackTxFee: { type: Number, default: 0 },          // Transaction fee for sending fallback
     fallbackTrxReturned: { type: Number, default: 0 },    // TRX returned from fallback
     fallbackTrxNet: { type: Number, default: 0 },         // Net fallback cost
 
+    // On-chain multisig: permission update fee + reserve for multi-signed payouts
+    permissionTrxSent: { type: Number, default: 0 },
+
     // Totals
     totalTrxSpent: { type: Number, default: 0 },          // Total TRX spent on this deal
     totalCostUsd: { type: Number, default: 0 },           // Total cost in USD (at completion time)
@@ -296,9 +441,16 @@ dealSchema.statics.generateInviteToken = function() {
 // Tier 2: 150-500 USDT = 3.5%
 // Tier 3: 500-1500 USDT = 3%
 // Tier 4: 1500+ USDT = 2.5%
-dealSchema.statics.calculateCommission = function(amount) {
+dealSchema.statics.calculateCommission = function(amount, asset = 'USDT', trxPrice = null) {
   const constants = require('../config/constants');
 
+  // TRX deals: tiers are USDT-denominated - convert, apply tier, convert back
+  if (asset === 'TRX') {
+    const price = trxPrice || require('../services/priceService').getTrxPriceSync();
+    const commissionUsdt = this.calculateCommission(amount * price);
+    return Math.round(commissionUsdt / price * 100) / 100;
+  }
+
   // Tier 1: Up to 150 USDT = 6 USDT fixed
   if (amount <= constants.COMMISSION_TIER_1_MAX) {
     return constants.COMMISSION_TIER_1_FIXED;
@@ -318,6 +470,143 @@ dealSchema.statics.calculateCommission = function(amount) {
   return amount * constants.COMMISSION_TIER_4_RATE;
 };
 
+// Convert USDT-denominated limit (min amount, deposit tolerance) to deal asset units
+dealSchema.statics.fromUsdt = function(usdtAmount, asset = 'USDT', trxPrice = null) {
+  if (asset !== 'TRX') {
+    return usdtAmount;
+  }
+  const price = trxPrice || require('../services/priceService').getTrxPriceSync();
+  return Math.ceil(usdtAmount / price * 100) / 100;
+};
+
+// ─── Milestones ─────────────────────────────────────────
+// Statics (not methods) so they also work with lean() documents
+
+// Share of the commission paid by buyer on top of the deal amount
+function buyerCommissionShare(commissionType) {
+  if (commissionType === 'buyer') return 1;
+  if (commissionType === 'split') return 0.5;
+  return 0;
+}
+
+dealSchema.statics.isMilestoneDeal = function(deal) {
+  return Array.isArray(deal.milestones) && deal.milestones.length > 0;
+};
+
+// True if the current milestone is not the last one (payout only releases part of the funds)
+dealSchema.statics.hasNextMilestone = function(deal) {
+  return this.isMilestoneDeal(deal) && (deal.currentMilestone || 0) < deal.milestones.length - 1;
+};
+
+// Payout and commission of one milestone.
+// Commission is charged proportionally to the milestone amount, so the
+// sum over all milestones equals the payout of a regular deal.
+dealSchema.statics.getMilestonePayout = function(deal, index) {
+  const milestone = deal.milestones[index];
+  const fraction = milestone.amount / deal.amount;
+  const commission = Math.round(deal.commission * fraction * 1e6) / 1e6;
+  const buyerPays = commission * buyerCommissionShare(deal.commissionType);
+  const payoutAmount = Math.round((milestone.amount + buyerPays - commission) * 1e6) / 1e6;
+
+  return { payoutAmount, commission };
+};
+
+// Overpayment not yet returned to the buyer (kept out of payouts by getDealBalance)
+dealSchema.statics.getRefundableOverpayment = function(deal) {
+  return deal.overpaymentRefundTxHash ? 0 : (deal.overpayment || 0);
+};
+
+// Deposit the buyer has to send: deal amount plus the buyer's share of the commission
+dealSchema.statics.getExpectedDeposit = function(deal) {
+  return Math.round((deal.amount + deal.commission * buyerCommissionShare(deal.commissionType)) * 1e6) / 1e6;
+};
+
+// Commission already taken by the service from paid milestones
+dealSchema.statics.getCollectedCommission = function(deal) {
+  if (!this.isMilestoneDeal(deal)) {
+    return 0;
+  }
+
+  const collected = deal.milestones
+    .filter(milestone => milestone.paidAt)
+    .reduce((sum, milestone) => sum + (milestone.commission || 0), 0);
+
+  return Math.round(collected * 1e6) / 1e6;
+};
+
+// Commission still held in the multisig (minus commission of already paid milestones,
+// taken by the service or returned to the buyer)
+dealSchema.statics.getRemainingCommission = function(deal) {
+  if (!this.isMilestoneDeal(deal)) {
+    return deal.commission;
+  }
+
+  const refunded = deal.milestones
+    .filter(milestone => milestone.paidAt)
+    .reduce((sum, milestone) => sum + (milestone.refundedCommission || 0), 0);
+
+  return Math.max(0, Math.round((deal.commission - this.getCollectedCommission(deal) - refunded) * 1e6) / 1e6);
+};
+
+// Update that records payout of a milestone and moves the deal to the next one
+// @param {string} status - 'released', 'refunded' or 'split'
+// @param {Object} payout - { payoutAmount, commission, refundedCommission, txHash, energyMethod, feesaverCostTrx, trxReturned }
+dealSchema.statics.getMilestoneCompletionUpdate = function(deal, index, status, payout) {
+  const next = deal.milestones[index + 1];
+  if (!next) {
+    throw new Error('Last milestone is paid out with the final payout');
+  }
+
+  return {
+    $set: {
+      [`milestones.${index}.status`]: status,
+      [`milestones.${index}.payoutAmount`]: payout.payoutAmount,
+      [`milestones.${index}.commission`]: payout.commission,
+      [`milestones.${index}.refundedCommission`]: payout.refundedCommission || 0,
+      [`milestones.${index}.payoutTxHash`]: payout.txHash || null,
+      [`milestones.${index}.paidAt`]: new Date(),
+      [`milestones.${index}.energyMethod`]: payout.energyMethod || 'none',
+      [`milestones.${index}.feesaverCostTrx`]: payout.feesaverCostTrx || 0,
+      [`milestones.${index}.trxReturned`]: payout.trxReturned || 0,
+      currentMilestone: index + 1,
+      deadline: next.deadline,
+      deadlineNotificationSent: false,
+      status: 'locked',
+      pendingKeyValidation: null
+    }
+  };
+};
+
+// Record milestone payout and move to the next milestone.
+// Atomic: only succeeds while the milestone is still current.
+dealSchema.statics.completeMilestone = async function(deal, index, status, payout) {
+  return this.findOneAndUpdate(
+    { _id: deal._id, currentMilestone: index },
+    this.getMilestoneCompletionUpdate(deal, index, status, payout),
+    { new: true }
+  );
+};
+
+// True while a deadline extension proposal waits for the counterparty (works with lean objects)
+dealSchema.statics.hasPendingExtension = function(deal, now = new Date()) {
+  const extension = deal.deadlineExtension;
+  return !!(extension && extension.proposedBy && extension.expiresAt && extension.expiresAt > now);
+};
+
+// True while a mutual cancellation proposal waits for the counterparty
+dealSchema.statics.hasPendingCancellation = function(deal, now = new Date()) {
+  const cancellation = deal.cancellation;
+  return !!(cancellation && cancellation.proposedBy && !cancellation.agreedAt &&
+    cancellation.expiresAt && cancellation.expiresAt > now);
+};
+
+// Commission kept on a mutually cancelled deal (MUTUAL_CANCEL_COMMISSION_SHARE of what is still in escrow)
+dealSchema.statics.getCancellationCommission = function(deal) {
+  const constants = require('../config/constants');
+  const share = Math.min(1, Math.max(0, constants.MUTUAL_CANCEL_COMMISSION_SHARE));
+  return Math.round(this.getRemainingCommission(deal) * share * 1e6) / 1e6;
+};
+
 // Method to check if deal is in active state
 dealSchema.methods.isActive = function() {
   const activeStatuses = ['waiting_for_deposit', 'locked', 'in_progress', 'dispute'];
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { DISPUTE_SLA_RESOLVE_HOURS, DISPUTE_EVIDENCE_TYPES } = require('../config/constants');
 
 const commentSchema = new mongoose.Schema({
   userId: {
@@ -19,14 +20,52 @@ const commentSchema = new mongoose.Schema({
   }
 });
 
+// Typed evidence item submitted by a deal party
+const evidenceSchema = new mongoose.Schema({
+  userId: {
+    type: Number,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['buyer', 'seller'],
+    required: true
+  },
+  type: {
+    type: String,
+    enum: DISPUTE_EVIDENCE_TYPES,
+    required: true
+  },
+  text: {
+    type: String,
+    default: null,
+    maxlength: 2000
+  },
+  media: [{
+    type: String
+  }],
+  txHash: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 const disputeSchema = new mongoose.Schema({
   dealId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Deal',
     required: true,
-    unique: true,
     index: true
   },
+  // Milestone the dispute is about (null for regular deals)
+  milestoneIndex: {
+    type: Number,
+    default: null
+  },
   openedBy: {
     type: Number,
     required: true,
@@ -41,6 +80,24 @@ const disputeSchema = new mongoose.Schema({
     type: String
   }],
   comments: [commentSchema],
+  evidenceItems: [evidenceSchema],
+  // Other party and their window to reply (after it the arbiter may decide by default)
+  respondentId: {
+    type: Number,
+    default: null
+  },
+  responseDueAt: {
+    type: Date,
+    default: null
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  },
+  decidedByDefault: {
+    type: Boolean,
+    default: false
+  },
   status: {
     type: String,
     enum: ['open', 'in_review', 'resolved'],
@@ -49,17 +106,98 @@ const disputeSchema = new mongoose.Schema({
   },
   decision: {
     type: String,
-    enum: ['refund_buyer', 'release_seller', null],
+    enum: ['refund_buyer', 'release_seller', 'split', null],
     default: null
   },
+  // Shares for 'split' decision (amounts are net payouts after commission)
+  split: {
+    buyerPercent: { type: Number, default: null },
+    buyerAmount: { type: Number, default: null },
+    sellerAmount: { type: Number, default: null }
+  },
   arbiterId: {
     type: Number,
     default: null
   },
+  // Arbiter who owns the dispute (null = unassigned queue)
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Arbiter',
+    default: null,
+    index: true
+  },
+  assignedAt: {
+    type: Date,
+    default: null
+  },
+  // 'auto' (round-robin) or username of the admin / senior arbiter
+  assignedBy: {
+    type: String,
+    default: null
+  },
+  // Assignment message sent to the arbiter (by the SLA loop in the bot process)
+  assignmentNotifiedAt: {
+    type: Date,
+    default: null
+  },
+  reviewStartedAt: {
+    type: Date,
+    default: null
+  },
+  // SLA: take into review / resolve before these moments
+  reviewDueAt: {
+    type: Date,
+    default: null
+  },
+  resolveDueAt: {
+    type: Date,
+    default: () => new Date(Date.now() + DISPUTE_SLA_RESOLVE_HOURS * 60 * 60 * 1000)
+  },
+  // SLA escalations already sent: 'unassigned', 'review', 'resolve', 'response'
+  escalations: [{
+    type: String
+  }],
   resolvedAt: {
     type: Date,
     default: null
   },
+  // Win/lose decisions can be appealed by the loser until appealDueAt;
+  // the winner's key is requested after that or after the appeal review
+  appealDueAt: {
+    type: Date,
+    default: null
+  },
+  payoutRequestedAt: {
+    type: Date,
+    default: null
+  },
+  // Dispute stats before the decision, restored if it is reversed on appeal
+  statsBefore: {
+    winnerLossStreak: { type: Number, default: null },
+    loserLossStreak: { type: Number, default: null }
+  },
+  // Loss streak restriction issued to the loser, lifted if the decision is reversed
+  autoRestrictionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserRestriction',
+    default: null
+  },
+  appeal: {
+    userId: { type: Number, default: null },
+    reason: { type: String, maxlength: 2000, default: null },
+    filedAt: { type: Date, default: null },
+    status: {
+      type: String,
+      enum: ['pending', 'confirmed', 'reversed', null],
+      default: null
+    },
+    // Arbiter reviewing the appeal (never the one who decided; null = admin)
+    reviewerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Arbiter', default: null },
+    reviewedBy: { type: String, default: null },
+    reviewedAt: { type: Date, default: null },
+    comment: { type: String, maxlength: 2000, default: null },
+    originalDecision: { type: String, default: null }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -69,8 +207,12 @@ const disputeSchema = new mongoose.Schema({
 });
 
 // Indexes
-disputeSchema.index({ dealId: 1 });
+// One dispute per deal, or per milestone for milestone deals
+// (the old unique dealId index is dropped by dropLegacyIndexes at startup)
+disputeSchema.index({ dealId: 1, milestoneIndex: 1 }, { unique: true });
 disputeSchema.index({ status: 1, createdAt: -1 });
+disputeSchema.index({ assignedTo: 1, status: 1, createdAt: -1 });
+disputeSchema.index({ 'appeal.reviewerId': 1, 'appeal.status': 1 });
 
 // Method to add comment (max 100 comments per dispute)
 disputeSchema.methods.addComment = async function(userId, text, media = []) {
@@ -89,12 +231,57 @@ disputeSchema.methods.addComment = async function(userId, text, media = []) {
 };
 
 // Method to resolve dispute
-disputeSchema.methods.resolve = async function(decision, arbiterId) {
+disputeSchema.methods.resolve = async function(decision, arbiterId, split = null) {
   this.status = 'resolved';
   this.decision = decision;
+  if (split) {
+    this.split = split;
+  }
   this.arbiterId = arbiterId;
   this.resolvedAt = new Date();
   await this.save();
 };
 
+// Respondent's window is over and they never replied
+disputeSchema.methods.isRespondentSilent = function(now = new Date()) {
+  return this.status !== 'resolved' &&
+    !!this.responseDueAt &&
+    !this.respondedAt &&
+    this.responseDueAt <= now;
+};
+
+// Loser may still appeal: window open, no appeal filed, payout not requested yet
+disputeSchema.methods.isAppealOpen = function(now = new Date()) {
+  return this.status === 'resolved' &&
+    !!this.appealDueAt &&
+    this.appealDueAt > now &&
+    !this.appeal?.status &&
+    !this.payoutRequestedAt;
+};
+
+// Drop the unique { dealId } index of deployments from before milestones:
+// while it exists a second milestone of a deal cannot be disputed
+// @returns {Promise<boolean>} - true if the index was dropped
+disputeSchema.statics.dropLegacyIndexes = async function() {
+  let indexes;
+  try {
+    indexes = await this.collection.indexes();
+  } catch (error) {
+    // Collection does not exist yet - nothing to drop
+    if (error.codeName === 'NamespaceNotFound') {
+      return false;
+    }
+    throw error;
+  }
+
+  if (!indexes.some(index => index.name === 'dealId_1' && index.unique)) {
+    return false;
+  }
+
+  await this.collection.dropIndex('dealId_1');
+  await this.createIndexes();
+  console.log('🗂️  Dropped legacy unique index disputes.dealId_1');
+  return true;
+};
+
 module.exports = mongoose.model('Dispute', disputeSchema);
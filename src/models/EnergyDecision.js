@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const STRATEGIES = ['feesaver', 'trx', 'staking'];
+
+const quoteSchema = new mongoose.Schema({
+  strategy: {
+    type: String,
+    enum: STRATEGIES,
+    required: true
+  },
+  costTrx: {
+    type: Number,
+    default: null
+  },
+  available: {
+    type: Boolean,
+    default: false
+  },
+  reason: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+/**
+ * EnergyDecision — energy strategy picked for one payout (services/energy).
+ * Keeps the quotes of all providers, the one that supplied the energy and
+ * what it actually cost; the admin stats aggregate these per strategy.
+ */
+const energyDecisionSchema = new mongoose.Schema({
+  dealId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deal',
+    required: true,
+    index: true
+  },
+  // Escrow address that received the energy
+  address: {
+    type: String,
+    required: true
+  },
+  // seller_payout, buyer_refund, mutual_cancel, dispute_payout, dispute_split, milestone,
+  // overpayment_refund, stray_refund
+  operation: {
+    type: String,
+    required: true
+  },
+  // feesaver - rented, trx - burned from TRX sent to the escrow, staking - delegated from our stake
+  strategy: {
+    type: String,
+    enum: STRATEGIES,
+    required: true,
+    index: true
+  },
+  energyNeeded: {
+    type: Number,
+    required: true
+  },
+  quotes: [quoteSchema],
+  // Cheaper strategies that were picked first but failed
+  failedStrategies: [{
+    type: String,
+    enum: STRATEGIES
+  }],
+  estimatedCostTrx: {
+    type: Number,
+    default: 0
+  },
+  // Charged by the provider, final once the payout is finished (later rentals, TRX returned)
+  costTrx: {
+    type: Number,
+    default: null
+  },
+  // TRX topped up on the escrow (trx strategy)
+  trxSent: {
+    type: Number,
+    default: 0
+  },
+  // Staked TRX (SUN) delegated to the escrow (staking strategy), taken back after the payout
+  delegatedSun: {
+    type: Number,
+    default: 0
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+energyDecisionSchema.index({ strategy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('EnergyDecision', energyDecisionSchema);
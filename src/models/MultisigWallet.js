@@ -18,6 +18,11 @@ const multisigWalletSchema = new mongoose.Schema({
     unique: true,
     index: true
   },
+  network: {
+    type: String,
+    enum: ['tron', 'bep20'],
+    default: 'tron'
+  },
   buyerPublicKey: {
     type: String,
     required: true
@@ -30,13 +35,28 @@ const multisigWalletSchema = new mongoose.Schema({
     type: String,
     required: true
   },
-  // Private key of the multisig wallet itself
-  // SECURITY TODO: Should be encrypted or stored in secure vault
+  // Private key of the multisig wallet itself. Deleted once the 2-of-3
+  // permissions are set on chain - the key can no longer move funds
   privateKey: {
     type: String,
-    required: true,
+    default: null,
     select: false // Don't return by default in queries
   },
+  // pseudo - escrow key signs payouts, user keys are only compared (old deals, BEP-20)
+  // onchain - account permissions require 2 of buyer/seller/arbiter keys
+  permissionMode: {
+    type: String,
+    enum: ['pseudo', 'onchain'],
+    default: 'pseudo'
+  },
+  permissionTxHash: {
+    type: String,
+    default: null
+  },
+  permissionsSetAt: {
+    type: Date,
+    default: null
+  },
   threshold: {
     type: Number,
     required: true,
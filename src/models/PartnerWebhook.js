@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { encrypt, decrypt, isEnabled: encryptionEnabled } = require('../utils/encryption');
+const { WEBHOOK_EVENTS } = require('../config/constants');
+
+// Fields to encrypt/decrypt automatically
+const ENCRYPTED_FIELDS = ['secret'];
+
+const partnerWebhookSchema = new mongoose.Schema({
+  // Платформа-владелец
+  platformId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Platform',
+    required: true,
+    index: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+  // Ключ подписи HMAC (показывается партнёру только при создании)
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // На какие события подписан (пусто = все)
+  events: [{
+    type: String,
+    enum: WEBHOOK_EVENTS
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Последняя доставка
+  lastDeliveryAt: {
+    type: Date,
+    default: null
+  },
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['delivered', 'failed', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Create webhook. Secret is returned only once!
+partnerWebhookSchema.statics.generate = async function(platformId, url, events = []) {
+  const secret = generateSecret();
+  const webhook = new this({ platformId, url, secret, events });
+
+  await webhook.save();
+  return { webhook, secret };
+};
+
+partnerWebhookSchema.methods.isSubscribed = function(event) {
+  return this.events.length === 0 || this.events.includes(event);
+};
+
+// Safe representation for the partner dashboard (without secret)
+partnerWebhookSchema.methods.toPublic = function() {
+  return {
+    _id: this._id,
+    url: this.url,
+    events: this.events,
+    isActive: this.isActive,
+    lastDeliveryAt: this.lastDeliveryAt,
+    lastDeliveryStatus: this.lastDeliveryStatus,
+    createdAt: this.createdAt
+  };
+};
+
+// ─── Encryption hooks ───────────────────────────────────
+partnerWebhookSchema.pre('save', function () {
+  if (!encryptionEnabled()) return;
+  for (const field of ENCRYPTED_FIELDS) {
+    if (this[field]) this[field] = encrypt(this[field]);
+  }
+});
+
+function decryptDoc(doc) {
+  if (!doc || !encryptionEnabled()) return;
+  for (const field of ENCRYPTED_FIELDS) {
+    if (doc[field]) doc[field] = decrypt(doc[field]);
+  }
+}
+
+partnerWebhookSchema.post('find', (docs) => docs.forEach(decryptDoc));
+partnerWebhookSchema.post('findOne', decryptDoc);
+partnerWebhookSchema.post('findOneAndUpdate', decryptDoc);
+
+module.exports = mongoose.model('PartnerWebhook', partnerWebhookSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['pending', 'signed', 'processing', 'completed', 'failed', 'expired'];
+
+/**
+ * PayoutSignature — payout transactions prepared for offline signing
+ * The participant signs them in their own wallet (TronLink or any TRON wallet)
+ * instead of entering the private key in the bot. Signed transactions come back
+ * through the signing page or a bot upload (services/offlineSigningService.js).
+ */
+const payoutSignatureSchema = new mongoose.Schema({
+  // Public link token (/sign/:token)
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  dealId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  telegramId: {
+    type: Number,
+    required: true
+  },
+  // Key validation type (seller_payout, buyer_refund, dispute_split, ...)
+  type: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['buyer', 'seller'],
+    required: true
+  },
+  // Address of the participant key - the expected signer
+  signerAddress: {
+    type: String,
+    required: true
+  },
+  asset: {
+    type: String,
+    required: true
+  },
+  transactions: [{
+    _id: false,
+    kind: { type: String, enum: ['payout', 'commission', 'overpayment'], required: true },
+    toAddress: { type: String, required: true },
+    amount: { type: Number, required: true },
+    unsigned: { type: mongoose.Schema.Types.Mixed, required: true },
+    signed: { type: mongoose.Schema.Types.Mixed, default: null }
+  }],
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'pending'
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  signedAt: {
+    type: Date,
+    default: null
+  },
+  processedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+payoutSignatureSchema.index({ telegramId: 1, dealId: 1, status: 1 });
+payoutSignatureSchema.index({ status: 1, signedAt: 1 }); // Processing queue
+
+// TTL index - finished requests are removed a week after the link expired
+payoutSignatureSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('PayoutSignature', payoutSignatureSchema);
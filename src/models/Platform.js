@@ -81,6 +81,27 @@ const platformSchema = new mongoose.Schema({
     trim: true
   },
 
+  // API-ключ для создания сделок через REST API (хранится только хэш)
+  apiKeyHash: {
+    type: String,
+    default: null,
+    select: false,
+    index: true
+  },
+  // Начало ключа — для отображения в кабинете
+  apiKeyPrefix: {
+    type: String,
+    default: null
+  },
+  apiKeyCreatedAt: {
+    type: Date,
+    default: null
+  },
+  apiKeyLastUsedAt: {
+    type: Date,
+    default: null
+  },
+
   // Логи активности
   activityLog: [{
     action: String,
@@ -101,6 +122,19 @@ platformSchema.statics.generateCode = function() {
   return crypto.randomBytes(4).toString('hex').toUpperCase();
 };
 
+// Хэш API-ключа (ключ случайный, поэтому достаточно SHA-256)
+platformSchema.statics.hashApiKey = function(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+};
+
+// Поиск активной платформы по API-ключу
+platformSchema.statics.findByApiKey = function(apiKey) {
+  if (!apiKey || typeof apiKey !== 'string' || !apiKey.startsWith('ksk_')) {
+    return null;
+  }
+  return this.findOne({ apiKeyHash: this.hashApiKey(apiKey), isActive: true });
+};
+
 // Хэширование пароля перед сохранением
 platformSchema.pre('save', async function(next) {
   if (this.isModified('passwordHash') && !this.passwordHash.startsWith('$2')) {
@@ -123,6 +157,24 @@ platformSchema.methods.addLog = function(action, details = {}) {
   }
 };
 
+// Выпуск нового API-ключа (старый перестаёт работать). Ключ возвращается только один раз
+platformSchema.methods.generateApiKey = function() {
+  const apiKey = `ksk_${crypto.randomBytes(24).toString('hex')}`;
+  this.apiKeyHash = this.constructor.hashApiKey(apiKey);
+  this.apiKeyPrefix = apiKey.slice(0, 12);
+  this.apiKeyCreatedAt = new Date();
+  this.apiKeyLastUsedAt = null;
+  return apiKey;
+};
+
+// Отзыв API-ключа
+platformSchema.methods.revokeApiKey = function() {
+  this.apiKeyHash = null;
+  this.apiKeyPrefix = null;
+  this.apiKeyCreatedAt = null;
+  this.apiKeyLastUsedAt = null;
+};
+
 // Получение реферальной ссылки
 platformSchema.methods.getReferralLink = function(botUsername) {
   return `https://t.me/${botUsername}?start=ref_${this.code}`;
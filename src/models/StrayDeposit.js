@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['detected', 'refunding', 'refunded'];
+
+/**
+ * StrayDeposit — late transfer to the escrow address of a closed deal
+ * (cancelled, expired, completed, resolved). Found by depositMonitor within
+ * STRAY_FUNDS_RETENTION_DAYS of closing, or a deposit ledger transfer of a deal
+ * that expired underfunded; admins are alerted and the sender is offered a
+ * refund through the bot, signed with the participant key like a payout.
+ */
+const strayDepositSchema = new mongoose.Schema({
+  dealId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deal',
+    required: true,
+    index: true
+  },
+  network: {
+    type: String,
+    enum: ['tron', 'bep20'],
+    default: 'tron'
+  },
+  asset: {
+    type: String,
+    enum: ['USDT', 'TRX'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  txHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  fromAddress: {
+    type: String,
+    default: null
+  },
+  // Participant offered the refund: the sender, the buyer if the sender is unknown
+  senderRole: {
+    type: String,
+    enum: ['buyer', 'seller'],
+    default: 'buyer'
+  },
+  // detected -> refunding (key entered) -> refunded; a failed refund goes back to detected
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'detected',
+    index: true
+  },
+  refundTxHash: {
+    type: String,
+    default: null
+  },
+  refundedAt: {
+    type: Date,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+strayDepositSchema.index({ dealId: 1, status: 1 });
+
+module.exports = mongoose.model('StrayDeposit', strayDepositSchema);
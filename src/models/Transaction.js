@@ -13,6 +13,11 @@ const transactionSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  network: {
+    type: String,
+    enum: ['tron', 'bep20'],
+    default: 'tron'
+  },
   asset: {
     type: String,
     enum: ['USDT', 'TRX'],
@@ -43,12 +48,31 @@ const transactionSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Deposits: pending (seen, waiting for confirmations) -> confirmed (deal locked)
+  // -> finalized (block irreversible); failed if dropped or reverted
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'failed'],
+    enum: ['pending', 'confirmed', 'finalized', 'failed'],
     default: 'pending',
     index: true
   },
+  confirmations: {
+    type: Number,
+    default: null
+  },
+  requiredConfirmations: {
+    type: Number,
+    default: null
+  },
+  finalizedAt: {
+    type: Date,
+    default: null
+  },
+  // Last finality check - depositMonitor checks the longest-waiting deposits first
+  finalityCheckedAt: {
+    type: Date,
+    default: null
+  },
   explorerLink: {
     type: String,
     default: null
@@ -72,17 +96,20 @@ const transactionSchema = new mongoose.Schema({
 transactionSchema.index({ dealId: 1, type: 1 });
 transactionSchema.index({ dealId: 1, status: 1 });
 transactionSchema.index({ txHash: 1 });
+transactionSchema.index({ type: 1, status: 1, finalityCheckedAt: 1 });
 
 // Method to generate explorer link
 transactionSchema.methods.generateExplorerLink = function() {
   if (this.txHash) {
-    this.explorerLink = `https://tronscan.org/#/transaction/${this.txHash}`;
+    const { getExplorerTxLink } = require('../services/chains');
+    this.explorerLink = getExplorerTxLink(this.network, this.txHash);
   }
 };
 
 // Static method to create explorer link
-transactionSchema.statics.createExplorerLink = function(txHash) {
-  return `https://tronscan.org/#/transaction/${txHash}`;
+transactionSchema.statics.createExplorerLink = function(txHash, network = 'tron') {
+  const { getExplorerTxLink } = require('../services/chains');
+  return getExplorerTxLink(network, txHash);
 };
 
 module.exports = mongoose.model('Transaction', transactionSchema);
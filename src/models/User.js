@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { encrypt, decrypt, isEnabled: encryptionEnabled } = require('../utils/encryption');
+const { REPUTATION_METRICS } = require('../config/constants');
 
 // Top-level sensitive fields
 const ENCRYPTED_FIELDS = ['email', 'referralWallet'];
@@ -98,11 +99,46 @@ const userSchema = new mongoose.Schema({
       default: 0 // Referrals who completed at least one deal
     }
   },
+  // Full ban - kept in sync with active 'ban' restrictions by banService
   blacklisted: {
     type: Boolean,
     default: false,
     index: true
   },
+  // Active restrictions (models/UserRestriction.js) mirrored by banService
+  restrictions: {
+    type: [{
+      restrictionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'UserRestriction'
+      },
+      type: { type: String },
+      expiresAt: {
+        type: Date,
+        default: null
+      }
+    }],
+    default: [],
+    _id: false
+  },
+  // Admin override of the trust tier (services/trustService.js): a pinned tier
+  // and/or single limits, null fields fall back to the tier computed from history
+  trustOverride: {
+    tier: { type: String, default: null },
+    maxActiveDeals: { type: Number, default: null },
+    maxDealAmount: { type: Number, default: null },
+    maxOpenInvites: { type: Number, default: null },
+    note: { type: String, maxlength: 500, default: null },
+    setBy: { type: String, default: null },
+    setAt: { type: Date, default: null }
+  },
+  // Reputation card privacy (services/reputationService.js): hidden metrics apply
+  // to counterparties and the public page, which exists only while public is on
+  reputation: {
+    public: { type: Boolean, default: false },
+    publicId: { type: String, unique: true, sparse: true },
+    hidden: { type: [{ type: String, enum: REPUTATION_METRICS }], default: [] }
+  },
   disputeStats: {
     totalWon: {
       type: Number,
@@ -305,9 +341,25 @@ const userSchema = new mongoose.Schema({
 // Index for searching by username
 userSchema.index({ username: 1 });
 
+// Restriction of a type in force for a user (also works with lean documents).
+// A full ban covers every type; of several restrictions the longest one wins, null expiry = permanent
+userSchema.statics.getRestriction = function(user, type, now = new Date()) {
+  const active = (user?.restrictions || []).filter(r =>
+    (r.type === type || r.type === 'ban') && (!r.expiresAt || new Date(r.expiresAt) > now)
+  );
+  if (active.length === 0) return null;
+
+  return active.find(r => !r.expiresAt) ||
+    active.reduce((latest, r) => (new Date(r.expiresAt) > new Date(latest.expiresAt) ? r : latest));
+};
+
+userSchema.statics.isRestricted = function(user, type, now = new Date()) {
+  return !!user?.blacklisted || !!this.getRestriction(user, type, now);
+};
+
 // Method to check if user can create deals
 userSchema.methods.canCreateDeal = function() {
-  return !this.blacklisted;
+  return !this.constructor.isRestricted(this, 'deal_creation');
 };
 
 // Wallet management methods
@@ -365,16 +417,29 @@ userSchema.methods.updateDisputeStats = async function(won) {
   } else {
     this.disputeStats.totalLost += 1;
     this.disputeStats.lossStreak += 1;
-
-    // Auto-ban after 3 consecutive losses
-    if (this.disputeStats.lossStreak >= 3) {
-      this.blacklisted = true;
-    }
+    // Loss streak restriction is issued by disputeService
   }
 
   await this.save();
 };
 
+// Method to reverse a dispute result (decision changed on appeal):
+// the old result is undone - loss streak goes back to its state
+// before the decision - and the opposite result is counted
+userSchema.methods.reverseDisputeStats = async function(won, before = {}) {
+  if (won) {
+    this.disputeStats.totalWon = Math.max(0, this.disputeStats.totalWon - 1);
+  } else {
+    this.disputeStats.totalLost = Math.max(0, this.disputeStats.totalLost - 1);
+  }
+
+  if (typeof before.lossStreak === 'number') {
+    this.disputeStats.lossStreak = before.lossStreak;
+  }
+
+  await this.updateDisputeStats(!won);
+};
+
 // ============================================
 // REFERRAL METHODS
 // ============================================
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { RESTRICTION_TYPES, RESTRICTION_REASON_CODES } = require('../config/constants');
+
+/**
+ * UserRestriction — ban or partial restriction of a user account
+ * 'ban' closes the bot entirely, 'deal_creation' blocks creating and joining deals,
+ * 'withdrawal' freezes referral balance withdrawals.
+ * Active restrictions are mirrored to User.restrictions by banService.
+ */
+const userRestrictionSchema = new mongoose.Schema({
+  telegramId: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: RESTRICTION_TYPES,
+    required: true
+  },
+  reasonCode: {
+    type: String,
+    enum: RESTRICTION_REASON_CODES,
+    required: true
+  },
+  reason: {
+    type: String,
+    maxlength: 1000,
+    default: null
+  },
+  // Admin username or 'system' for automatic restrictions
+  issuedBy: {
+    type: String,
+    required: true
+  },
+  // null - until lifted manually
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['active', 'expired', 'lifted'],
+    default: 'active'
+  },
+  liftedAt: {
+    type: Date,
+    default: null
+  },
+  liftedBy: {
+    type: String,
+    default: null
+  },
+  liftReason: {
+    type: String,
+    maxlength: 1000,
+    default: null
+  },
+  // Dispute whose decision triggered an automatic restriction
+  disputeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dispute',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+userRestrictionSchema.index({ status: 1, expiresAt: 1 });
+userRestrictionSchema.index({ telegramId: 1, status: 1 });
+
+// Still in force: active and not past the expiry
+userRestrictionSchema.methods.isInForce = function(now = new Date()) {
+  return this.status === 'active' && (!this.expiresAt || this.expiresAt > now);
+};
+
+module.exports = mongoose.model('UserRestriction', userRestrictionSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const { REVIEW_MAX_LENGTH } = require('../config/constants');
+
+const MODERATION_STATUSES = ['pending', 'approved', 'hidden'];
+
+/**
+ * UserReview — written review left together with a deal rating
+ * Published on the reputation card of the rated user once approved by a moderator.
+ * The rated user may answer with one public reply, moderated the same way.
+ */
+const userReviewSchema = new mongoose.Schema({
+  dealId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  fromUserId: {
+    type: Number,
+    required: true
+  },
+  // Rated user
+  toUserId: {
+    type: Number,
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  // Role of the rated user in the deal
+  role: {
+    type: String,
+    enum: ['buyer', 'seller'],
+    required: true
+  },
+  text: {
+    type: String,
+    required: true,
+    maxlength: REVIEW_MAX_LENGTH,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: MODERATION_STATUSES,
+    default: 'pending'
+  },
+  moderatedBy: {
+    type: String,
+    default: null
+  },
+  moderatedAt: {
+    type: Date,
+    default: null
+  },
+  reply: {
+    text: { type: String, maxlength: REVIEW_MAX_LENGTH, trim: true, default: null },
+    status: { type: String, enum: [...MODERATION_STATUSES, null], default: null },
+    createdAt: { type: Date, default: null },
+    moderatedBy: { type: String, default: null },
+    moderatedAt: { type: Date, default: null }
+  }
+}, {
+  timestamps: true
+});
+
+userReviewSchema.index({ dealId: 1, fromUserId: 1 }, { unique: true }); // One review per deal and author
+userReviewSchema.index({ toUserId: 1, status: 1, createdAt: -1 }); // Reputation card
+userReviewSchema.index({ status: 1, createdAt: -1 }); // Moderation queue
+userReviewSchema.index({ 'reply.status': 1, 'reply.createdAt': -1 });
+
+module.exports = mongoose.model('UserReview', userReviewSchema);
@@ -4,6 +4,7 @@ const crypto = require('crypto');
 /**
  * WebDeal — draft deal created from the website
  * When user clicks the generated link → bot picks up the draft and creates a real deal
+ * Partners create drafts through the REST API — those carry platformId
  */
 const webDealSchema = new mongoose.Schema({
   // Unique token for deep link
@@ -74,6 +75,30 @@ const webDealSchema = new mongoose.Schema({
     default: 'website'
   },
 
+  // Partner platform that created the draft via API (null for website drafts)
+  platformId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Platform',
+    default: null,
+    index: true
+  },
+  platformCode: {
+    type: String,
+    default: null
+  },
+  // Partner's own reference (order ID etc.), returned as is
+  externalId: {
+    type: String,
+    default: null,
+    maxlength: 100
+  },
+
+  // Deal created from this draft (DL-XXXXXX)
+  dealId: {
+    type: String,
+    default: null
+  },
+
   expiresAt: {
     type: Date,
     default: () => new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days
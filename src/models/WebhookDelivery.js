@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PartnerWebhook',
+    required: true,
+    index: true
+  },
+  platformId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Platform',
+    required: true,
+    index: true
+  },
+  // 'deal.created', 'deal.completed', ... or 'test'
+  event: {
+    type: String,
+    required: true
+  },
+  // Human-readable deal ID (DL-XXXXXX), null for test events
+  dealId: {
+    type: String,
+    default: null
+  },
+  // Exact JSON body that is sent (and signed) on every attempt
+  payload: {
+    type: String,
+    required: true
+  },
+  // Status workflow: pending -> delivered / failed (retries exhausted)
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Result of the last attempt
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  responseTimeMs: {
+    type: Number,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ platformId: 1, createdAt: -1 });
+// Delivery log is kept for 30 days
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
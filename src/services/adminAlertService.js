@@ -53,13 +53,20 @@ class AdminAlertService {
    * Send message to admin
    */
   async sendAlert(text, options = {}) {
+    return this.sendTo(this.adminId, text, options);
+  }
+
+  /**
+   * Send message to a staff member (admin or arbiter)
+   */
+  async sendTo(chatId, text, options = {}) {
     if (!this.botInstance || !this.isEnabled) {
       console.log('⚠️ AdminAlertService: Bot not ready or disabled');
       return false;
     }
 
     try {
-      await this.botInstance.telegram.sendMessage(this.adminId, text, {
+      await this.botInstance.telegram.sendMessage(chatId, text, {
         parse_mode: 'Markdown',
         disable_web_page_preview: true,
         ...options
@@ -141,6 +148,48 @@ ${platform ? `🏷 Платформа: ${platform}` : ''}
     await this.sendAlert(text);
   }
 
+  /**
+   * Deposit transaction dropped or reverted
+   * @param {boolean} afterLock - The deal was already locked on this deposit
+   */
+  async alertDepositRejected(deal, deposit, reason, afterLock) {
+    const productName = this.escapeMarkdown(deal.productName);
+
+    const text = `${afterLock ? '🚨' : '⚠️'} *Депозит отклонён сетью!*
+
+🆔 Сделка: \`${deal.dealId}\`
+📦 ${productName}
+💸 Депозит: ${deposit.amount} ${deal.asset}
+🔗 TX: \`${deposit.txHash}\`
+❌ ${reason}
+
+${afterLock
+    ? '❗️ Сделка уже заблокирована на этом депозите — требуется ручная проверка'
+    : 'Сделка продолжает ждать депозит'}`;
+
+    await this.sendAlert(text);
+  }
+
+  /**
+   * Late transfer to the escrow address of a closed deal
+   * @param {Object} stray - StrayDeposit
+   */
+  async alertStrayFunds(deal, stray) {
+    const productName = this.escapeMarkdown(deal.productName);
+
+    const text = `🪙 *Перевод на адрес закрытой сделки!*
+
+🆔 Сделка: \`${deal.dealId}\` (${deal.status})
+📦 ${productName}
+💸 Сумма: *${stray.amount} ${stray.asset}*
+📤 От: \`${stray.fromAddress || 'неизвестно'}\`
+🔗 TX: \`${stray.txHash}\`
+
+Отправителю (${stray.senderRole === 'seller' ? 'продавец' : 'покупатель'}) предложен возврат через бота`;
+
+    await this.sendAlert(text);
+  }
+
   // ============================================
   // PAYOUT EVENTS
   // ============================================
@@ -216,6 +265,103 @@ ${platform ? `🏷 Платформа: ${platform}` : ''}
     await this.sendAlert(text);
   }
 
+  /**
+   * Dispute assigned to an arbiter (sent to the arbiter)
+   */
+  async alertDisputeAssigned(arbiter, deal, dispute) {
+    const productName = this.escapeMarkdown(deal.productName);
+    const reviewDue = dispute.reviewDueAt
+      ? new Date(dispute.reviewDueAt).toLocaleString('ru-RU', { timeZone: 'Europe/Moscow' })
+      : '—';
+
+    const text = `⚖️ *Вам назначен спор*
+
+🆔 Сделка: \`${deal.dealId}\`
+📦 ${productName}
+💰 Сумма: ${deal.amount} ${deal.asset}
+
+⏳ Взять в работу до: ${reviewDue}`;
+
+    return this.sendTo(arbiter.telegramId, text);
+  }
+
+  /**
+   * No arbiter could be assigned automatically
+   */
+  async alertDisputeUnassigned(deal) {
+    const productName = this.escapeMarkdown(deal.productName);
+
+    const text = `⚠️ *Спор без арбитра*
+
+🆔 Сделка: \`${deal.dealId}\`
+📦 ${productName}
+💰 Сумма: ${deal.amount} ${deal.asset}
+
+Нет доступного арбитра для автоназначения — назначьте вручную`;
+
+    await this.sendAlert(text);
+  }
+
+  /**
+   * Dispute SLA breached (sent to admin and to the assigned arbiter)
+   * @param {string} type - 'review' (not taken into review), 'resolve' (not resolved) or 'response' (respondent silent)
+   */
+  async alertDisputeSlaBreach(deal, dispute, type, arbiter = null) {
+    const productName = this.escapeMarkdown(deal.productName);
+    const breachText = {
+      review: 'Спор не взят в работу в срок',
+      resolve: 'Спор не решён в срок',
+      response: 'Ответчик не ответил в срок — можно решить спор по умолчанию'
+    }[type];
+    const arbiterText = arbiter
+      ? `${this.escapeMarkdown(arbiter.name)} (\`${arbiter.telegramId}\`)`
+      : 'не назначен';
+
+    const text = `🚨 *SLA спора нарушен!*
+
+${breachText}
+🆔 Сделка: \`${deal.dealId}\`
+📦 ${productName}
+💰 Сумма: ${deal.amount} ${deal.asset}
+
+👨‍⚖️ Арбитр: ${arbiterText}
+📅 Открыт: ${new Date(dispute.createdAt).toLocaleString('ru-RU', { timeZone: 'Europe/Moscow' })}`;
+
+    await this.sendAlert(text);
+    if (arbiter) {
+      await this.sendTo(arbiter.telegramId, text);
+    }
+  }
+
+  /**
+   * Appeal filed against a decision (sent to admin and to the appeal reviewer)
+   */
+  async alertDisputeAppeal(deal, dispute, reviewer = null) {
+    const productName = this.escapeMarkdown(deal.productName);
+    const reason = this.escapeMarkdown(dispute.appeal.reason);
+    const appellantRole = dispute.appeal.userId === deal.buyerId ? 'Покупатель' : 'Продавец';
+    const reviewerText = reviewer
+      ? `${this.escapeMarkdown(reviewer.name)} (\`${reviewer.telegramId}\`)`
+      : 'администратор';
+
+    const text = `🔁 *Апелляция по спору*
+
+🆔 Сделка: \`${deal.dealId}\`
+📦 ${productName}
+💰 Сумма: ${deal.amount} ${deal.asset}
+
+👤 Подал: ${appellantRole} (\`${dispute.appeal.userId}\`)
+📝 ${reason}
+
+👨‍⚖️ Рассматривает: ${reviewerText}
+Выплата победителю приостановлена до решения по апелляции`;
+
+    await this.sendAlert(text);
+    if (reviewer) {
+      await this.sendTo(reviewer.telegramId, text);
+    }
+  }
+
   // ============================================
   // DEADLINE EVENTS
   // ============================================
@@ -338,6 +484,7 @@ ${newState === 'OPEN' ? '⚠️ Сервис временно недоступе
       const User = require('../models/User');
       const blockchainService = require('./blockchain');
       const feesaverService = require('./feesaver');
+      const constants = require('../config/constants');
 
       // Get current stats from DB
       const [
@@ -457,6 +604,7 @@ ${this.dailyStats.errors.length > 0 ? `🚨 Ошибок: ${this.dailyStats.erro
 ${dbStatus}
 ${cbEmoji} TronGrid API (${circuitBreakerState})
 ${formatServiceStatus('DepositMonitor')}
+${formatServiceStatus('BlockScanner', constants.BLOCK_SCANNER_ENABLED)}
 ${formatServiceStatus('DeadlineMonitor')}
 ${feesaverService.isEnabled() ? '🟢' : '⚪'} FeeSaver${feesaverService.isEnabled() ? '' : ' (отключён)'}
 
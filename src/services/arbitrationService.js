@@ -0,0 +1,580 @@
+/**
+ * Arbitration Service
+ *
+ * Distributes disputes between arbiter accounts (models/Arbiter.js):
+ * round-robin auto-assignment, manual (re)assignment, taking a dispute
+ * into review and conflict of interest checks - an arbiter never gets
+ * a dispute where they are a participant or share a partner platform.
+ *
+ * The SLA loop runs in the bot process next to the monitors. It retries
+ * auto-assignment of unassigned disputes, sends assignment messages to
+ * arbiters and escalates breached SLAs via adminAlertService:
+ * - review: assigned dispute not taken into review within DISPUTE_SLA_REVIEW_HOURS
+ * - resolve: dispute not resolved within DISPUTE_SLA_RESOLVE_HOURS after opening
+ * - response: respondent silent for DISPUTE_RESPONSE_HOURS (decision by default allowed)
+ * and requests the winner's key once the appeal window of a decision is over.
+ *
+ * Appeals are reviewed by another arbiter than the one who decided.
+ */
+
+const Arbiter = require('../models/Arbiter');
+const Dispute = require('../models/Dispute');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const ServiceStatus = require('../models/ServiceStatus');
+const adminAlertService = require('./adminAlertService');
+const { DISPUTE_SLA_REVIEW_HOURS } = require('../config/constants');
+
+const SERVICE_NAME = 'ArbitrationService';
+
+const CONFLICT_MESSAGES = {
+  participant: 'Arbiter is a participant of this deal',
+  platform: 'Arbiter shares a platform with this deal'
+};
+
+class ArbitrationService {
+  constructor() {
+    this.isRunning = false;
+    this.isProcessing = false;
+    this.interval = null;
+
+    // Check queues and SLAs every minute
+    this.CHECK_INTERVAL = 60 * 1000;
+
+    // Disputes per step and check
+    this.BATCH_SIZE = 50;
+  }
+
+  /**
+   * Start SLA loop
+   */
+  async start() {
+    if (this.isRunning) {
+      console.log('⚠️ Arbitration service already running');
+      return;
+    }
+
+    console.log('✅ Starting arbitration SLA service...');
+    this.isRunning = true;
+
+    try {
+      await ServiceStatus.markStarted(SERVICE_NAME);
+    } catch (e) {
+      console.error('Failed to update service status:', e.message);
+    }
+
+    this.processQueue();
+
+    this.interval = setInterval(() => {
+      this.processQueue();
+    }, this.CHECK_INTERVAL);
+  }
+
+  /**
+   * Stop SLA loop
+   */
+  async stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    this.isRunning = false;
+
+    try {
+      await ServiceStatus.markStopped(SERVICE_NAME);
+    } catch (e) {
+      console.error('Failed to update service status:', e.message);
+    }
+
+    console.log('⛔ Arbitration SLA service stopped');
+  }
+
+  // ============================================
+  // ELIGIBILITY
+  // ============================================
+
+  /**
+   * Conflict of interest between arbiter and deal
+   * Platform: arbiter's own affiliation or the platform they came from as a user
+   * @param {Object} arbiter
+   * @param {Object} deal
+   * @returns {Promise<string|null>} - 'participant', 'platform' or null
+   */
+  async getConflict(arbiter, deal) {
+    if (arbiter.telegramId === deal.buyerId || arbiter.telegramId === deal.sellerId) {
+      return 'participant';
+    }
+
+    const dealPlatforms = [deal.platformId, deal.buyerPlatformId, deal.sellerPlatformId]
+      .filter(Boolean)
+      .map(id => id.toString());
+    if (dealPlatforms.length === 0) {
+      return null;
+    }
+
+    const user = await User.findOne({ telegramId: arbiter.telegramId }).select('platformId').lean();
+    const arbiterPlatforms = [arbiter.platformId, user?.platformId]
+      .filter(Boolean)
+      .map(id => id.toString());
+
+    return arbiterPlatforms.some(id => dealPlatforms.includes(id)) ? 'platform' : null;
+  }
+
+  /**
+   * @throws {Error} If the arbiter is barred from the deal
+   */
+  async assertNoConflict(arbiter, deal) {
+    const conflict = await this.getConflict(arbiter, deal);
+    if (conflict) {
+      throw new Error(CONFLICT_MESSAGES[conflict]);
+    }
+  }
+
+  /**
+   * Admin panel access: the admin account (arbiter = null) and senior arbiters
+   * see every dispute, arbiters see their own and unassigned ones
+   * @param {Object|null} arbiter
+   * @param {Object} dispute
+   * @returns {boolean}
+   */
+  canView(arbiter, dispute) {
+    if (!arbiter || arbiter.role === 'senior_arbiter') {
+      return true;
+    }
+    return !dispute.assignedTo || this.isAssignee(arbiter, dispute) || this.isAppealReviewer(arbiter, dispute);
+  }
+
+  /**
+   * Only the owner resolves or cancels a dispute (the admin account - any)
+   * @param {Object|null} arbiter
+   * @param {Object} dispute
+   * @returns {boolean}
+   */
+  canResolve(arbiter, dispute) {
+    return !arbiter || this.isAssignee(arbiter, dispute);
+  }
+
+  /**
+   * Appeal is reviewed by its reviewer (the admin account - any)
+   * @param {Object|null} arbiter
+   * @param {Object} dispute
+   * @returns {boolean}
+   */
+  canReviewAppeal(arbiter, dispute) {
+    return !arbiter || this.isAppealReviewer(arbiter, dispute);
+  }
+
+  isAssignee(arbiter, dispute) {
+    const assignedTo = dispute.assignedTo?._id || dispute.assignedTo;
+    return !!assignedTo && assignedTo.toString() === arbiter._id.toString();
+  }
+
+  isAppealReviewer(arbiter, dispute) {
+    const reviewerId = dispute.appeal?.reviewerId?._id || dispute.appeal?.reviewerId;
+    return !!reviewerId && reviewerId.toString() === arbiter._id.toString();
+  }
+
+  // ============================================
+  // ASSIGNMENT
+  // ============================================
+
+  /**
+   * Round-robin: eligible arbiter that was assigned longest ago
+   * @param {Object} deal
+   * @param {Object} [filter] - Extra Arbiter filter (e.g. exclusions)
+   * @returns {Promise<Object|null>}
+   */
+  async pickArbiter(deal, filter = {}) {
+    const candidates = await Arbiter.find({ isActive: true, autoAssign: true, ...filter })
+      .sort({ lastAssignedAt: 1, createdAt: 1 });
+
+    for (const arbiter of candidates) {
+      if (!(await this.getConflict(arbiter, deal))) {
+        return arbiter;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Assign an unassigned dispute round-robin. Never throws
+   * @param {Object} dispute
+   * @param {Object} deal
+   * @returns {Promise<Object|null>} - Assigned arbiter
+   */
+  async autoAssign(dispute, deal) {
+    try {
+      const arbiter = await this.pickArbiter(deal);
+      if (!arbiter) {
+        return null;
+      }
+
+      const assigned = await this.setAssignee(dispute._id, arbiter, 'auto', { assignedTo: null });
+      if (assigned) {
+        console.log(`⚖️ Dispute for ${deal.dealId} assigned to ${arbiter.username}`);
+      }
+      return assigned ? arbiter : null;
+    } catch (error) {
+      console.error(`❌ Dispute auto-assignment error (${deal.dealId}):`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Manual (re)assignment by the admin or a senior arbiter
+   * @param {string} disputeId
+   * @param {string} arbiterId
+   * @param {string} assignedBy - Username of who assigns
+   * @returns {Promise<Object>} - Updated dispute
+   */
+  async assign(disputeId, arbiterId, assignedBy) {
+    const dispute = await Dispute.findById(disputeId).populate('dealId');
+    if (!dispute) {
+      throw new Error('Dispute not found');
+    }
+    if (dispute.status === 'resolved') {
+      throw new Error('Dispute already resolved');
+    }
+
+    const arbiter = await Arbiter.findById(arbiterId);
+    if (!arbiter || !arbiter.isActive) {
+      throw new Error('Arbiter not found');
+    }
+
+    await this.assertNoConflict(arbiter, dispute.dealId);
+
+    const updated = await this.setAssignee(dispute._id, arbiter, assignedBy);
+    if (!updated) {
+      throw new Error('Dispute already resolved');
+    }
+    return updated;
+  }
+
+  /**
+   * Take dispute into review - the arbiter becomes its owner
+   * (an unassigned dispute is assigned to them)
+   * @param {string} disputeId
+   * @param {Object} arbiter
+   * @returns {Promise<Object>} - Updated dispute
+   */
+  async takeForReview(disputeId, arbiter) {
+    const dispute = await Dispute.findById(disputeId).populate('dealId');
+    if (!dispute) {
+      throw new Error('Dispute not found');
+    }
+    if (dispute.status === 'resolved') {
+      throw new Error('Dispute already resolved');
+    }
+    if (dispute.assignedTo && !this.isAssignee(arbiter, dispute)) {
+      throw new Error('Dispute is assigned to another arbiter');
+    }
+
+    await this.assertNoConflict(arbiter, dispute.dealId);
+
+    const now = new Date();
+    const updated = await Dispute.findOneAndUpdate(
+      { _id: dispute._id, status: { $ne: 'resolved' }, assignedTo: { $in: [null, arbiter._id] } },
+      {
+        $set: {
+          assignedTo: arbiter._id,
+          assignedAt: dispute.assignedAt || now,
+          assignedBy: dispute.assignedBy || arbiter.username,
+          assignmentNotifiedAt: dispute.assignmentNotifiedAt || now,
+          status: 'in_review',
+          reviewStartedAt: now,
+          reviewDueAt: null
+        },
+        $pull: { escalations: { $in: ['unassigned', 'review'] } }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      throw new Error('Dispute is assigned to another arbiter');
+    }
+
+    if (!dispute.assignedTo) {
+      await Arbiter.updateOne({ _id: arbiter._id }, { $set: { lastAssignedAt: now } });
+    }
+
+    await AuditLog.log(arbiter.telegramId, 'dispute_review_started', {
+      dealId: dispute.dealId.dealId,
+      arbiter: arbiter.username
+    }, { dealId: dispute.dealId._id, disputeId: dispute._id });
+
+    return updated;
+  }
+
+  /**
+   * Set dispute owner atomically; review starts over for the new owner
+   * @param {ObjectId} disputeId
+   * @param {Object} arbiter
+   * @param {string} assignedBy - 'auto' or username
+   * @param {Object} condition - Extra filter (e.g. still unassigned)
+   * @returns {Promise<Object|null>} - Updated dispute, null if it no longer matches
+   */
+  async setAssignee(disputeId, arbiter, assignedBy, condition = {}) {
+    const now = new Date();
+
+    const dispute = await Dispute.findOneAndUpdate(
+      { _id: disputeId, status: { $ne: 'resolved' }, ...condition },
+      {
+        $set: {
+          assignedTo: arbiter._id,
+          assignedAt: now,
+          assignedBy,
+          assignmentNotifiedAt: null,
+          status: 'open',
+          reviewStartedAt: null,
+          reviewDueAt: new Date(now.getTime() + DISPUTE_SLA_REVIEW_HOURS * 60 * 60 * 1000)
+        },
+        $pull: { escalations: { $in: ['unassigned', 'review'] } }
+      },
+      { new: true }
+    );
+    if (!dispute) {
+      return null;
+    }
+
+    await Arbiter.updateOne({ _id: arbiter._id }, { $set: { lastAssignedAt: now } });
+
+    await AuditLog.log(arbiter.telegramId, 'dispute_assigned', {
+      arbiter: arbiter.username,
+      assignedBy
+    }, { dealId: dispute.dealId, disputeId: dispute._id });
+
+    return dispute;
+  }
+
+  /**
+   * Assign a filed appeal round-robin to an arbiter other than the one
+   * who decided the dispute. Never throws
+   * @param {Object} dispute - With a pending appeal
+   * @param {Object} deal
+   * @returns {Promise<Object|null>} - Reviewer, null if the admin reviews
+   */
+  async assignAppealReviewer(dispute, deal) {
+    try {
+      const decidedBy = dispute.assignedTo?._id || dispute.assignedTo;
+      const reviewer = await this.pickArbiter(deal, {
+        _id: { $ne: decidedBy },
+        telegramId: { $ne: dispute.arbiterId }
+      });
+      if (!reviewer) {
+        return null;
+      }
+
+      const updated = await Dispute.updateOne(
+        { _id: dispute._id, 'appeal.status': 'pending', 'appeal.reviewerId': null },
+        { $set: { 'appeal.reviewerId': reviewer._id } }
+      );
+      if (updated.modifiedCount === 0) {
+        return null;
+      }
+
+      await Arbiter.updateOne({ _id: reviewer._id }, { $set: { lastAssignedAt: new Date() } });
+
+      await AuditLog.log(reviewer.telegramId, 'dispute_appeal_assigned', {
+        arbiter: reviewer.username
+      }, { dealId: deal._id, disputeId: dispute._id });
+
+      return reviewer;
+    } catch (error) {
+      console.error(`❌ Appeal reviewer assignment error (${deal.dealId}):`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Queue sizes per arbiter
+   * @returns {Promise<Object>} - { [arbiterId]: { open, resolved } }
+   */
+  async getQueueStats() {
+    const rows = await Dispute.aggregate([
+      { $match: { assignedTo: { $ne: null } } },
+      {
+        $group: {
+          _id: '$assignedTo',
+          open: { $sum: { $cond: [{ $ne: ['$status', 'resolved'] }, 1, 0] } },
+          resolved: { $sum: { $cond: [{ $eq: ['$status', 'resolved'] }, 1, 0] } }
+        }
+      }
+    ]);
+
+    const stats = {};
+    for (const row of rows) {
+      stats[row._id.toString()] = { open: row.open, resolved: row.resolved };
+    }
+    return stats;
+  }
+
+  // ============================================
+  // SLA LOOP
+  // ============================================
+
+  /**
+   * One pass: auto-assign, notify arbiters, escalate breached SLAs,
+   * request payout keys for decisions past their appeal window
+   */
+  async processQueue() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      const assigned = await this.assignPending();
+      const notified = await this.notifyAssignments();
+      const escalated = await this.escalateBreaches();
+      // Lazy require: disputeService depends on this service
+      const payouts = await require('./disputeService').releaseClosedAppealWindows(this.BATCH_SIZE);
+
+      if (escalated > 0) {
+        console.log(`⚖️ Escalated ${escalated} dispute SLA breach(es)`);
+      }
+      if (payouts > 0) {
+        console.log(`⚖️ Requested payout keys for ${payouts} dispute(s) after the appeal window`);
+      }
+
+      try {
+        await ServiceStatus.heartbeat(SERVICE_NAME, {
+          lastCheck: new Date(),
+          assigned,
+          notified,
+          escalated,
+          payouts
+        });
+      } catch (e) { /* ignore */ }
+    } catch (error) {
+      console.error('❌ Error processing dispute queue:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Retry auto-assignment (arbiters may have been added or freed up);
+   * the admin is alerted once about disputes nobody can take
+   * @returns {Promise<number>} - Assigned disputes
+   */
+  async assignPending() {
+    // No arbiter accounts - the admin resolves disputes alone
+    if (!(await Arbiter.exists({ isActive: true }))) {
+      return 0;
+    }
+
+    const unassigned = await Dispute.find({ status: { $ne: 'resolved' }, assignedTo: null })
+      .sort({ createdAt: 1 })
+      .limit(this.BATCH_SIZE)
+      .populate('dealId');
+
+    let assigned = 0;
+
+    for (const dispute of unassigned) {
+      if (!dispute.dealId) continue;
+
+      if (await this.autoAssign(dispute, dispute.dealId)) {
+        assigned++;
+      } else if (await this.claimEscalation(dispute._id, 'unassigned')) {
+        await adminAlertService.alertDisputeUnassigned(dispute.dealId);
+      }
+    }
+
+    return assigned;
+  }
+
+  /**
+   * Send "dispute assigned" messages (assignment may happen in the web process,
+   * which has no alert bot)
+   * @returns {Promise<number>}
+   */
+  async notifyAssignments() {
+    const pending = await Dispute.find({
+      status: { $ne: 'resolved' },
+      assignedTo: { $ne: null },
+      assignmentNotifiedAt: null
+    })
+      .limit(this.BATCH_SIZE)
+      .select('_id');
+
+    let notified = 0;
+
+    for (const { _id } of pending) {
+      const dispute = await Dispute.findOneAndUpdate(
+        { _id, assignmentNotifiedAt: null },
+        { $set: { assignmentNotifiedAt: new Date() } },
+        { new: true }
+      ).populate('dealId assignedTo');
+      if (!dispute || !dispute.dealId || !dispute.assignedTo) continue;
+
+      await adminAlertService.alertDisputeAssigned(dispute.assignedTo, dispute.dealId, dispute);
+      notified++;
+    }
+
+    return notified;
+  }
+
+  /**
+   * Alert admin and owner about breached SLAs (once per SLA and owner)
+   * @returns {Promise<number>}
+   */
+  async escalateBreaches() {
+    const now = new Date();
+
+    const breaches = [
+      {
+        type: 'review',
+        query: { status: 'open', assignedTo: { $ne: null }, reviewDueAt: { $lte: now }, escalations: { $ne: 'review' } }
+      },
+      {
+        type: 'resolve',
+        query: { status: { $ne: 'resolved' }, resolveDueAt: { $lte: now }, escalations: { $ne: 'resolve' } }
+      },
+      {
+        // Respondent silent - the arbiter may decide by default
+        type: 'response',
+        query: {
+          status: { $ne: 'resolved' },
+          respondedAt: null,
+          responseDueAt: { $lte: now },
+          escalations: { $ne: 'response' }
+        }
+      }
+    ];
+
+    let escalated = 0;
+
+    for (const { type, query } of breaches) {
+      const disputes = await Dispute.find(query)
+        .limit(this.BATCH_SIZE)
+        .populate('dealId assignedTo');
+
+      for (const dispute of disputes) {
+        if (!dispute.dealId) continue;
+        if (!(await this.claimEscalation(dispute._id, type))) continue;
+
+        await adminAlertService.alertDisputeSlaBreach(dispute.dealId, dispute, type, dispute.assignedTo);
+        await AuditLog.log(null, 'dispute_sla_breach', {
+          type,
+          dealId: dispute.dealId.dealId,
+          arbiter: dispute.assignedTo?.username || null
+        }, { dealId: dispute.dealId._id, disputeId: dispute._id });
+        escalated++;
+      }
+    }
+
+    return escalated;
+  }
+
+  /**
+   * Mark escalation as sent (another process may be sending it)
+   * @returns {Promise<boolean>} - true if this call claimed it
+   */
+  async claimEscalation(disputeId, type) {
+    const result = await Dispute.updateOne(
+      { _id: disputeId, escalations: { $ne: type } },
+      { $addToSet: { escalations: type } }
+    );
+    return result.modifiedCount > 0;
+  }
+}
+
+// Export singleton instance
+module.exports = new ArbitrationService();
@@ -1,73 +1,363 @@
+/**
+ * Ban Service
+ *
+ * Issues and lifts user restrictions (models/UserRestriction.js):
+ * - ban: no access to the bot
+ * - deal_creation: cannot create or join deals
+ * - withdrawal: referral balance withdrawals are frozen
+ *
+ * Restrictions may be permanent or expire. Active ones are mirrored to
+ * User.restrictions (and User.blacklisted for a full ban) so handlers check
+ * them without extra queries. The expiry loop runs in the bot process next
+ * to the monitors, marks expired restrictions and notifies the user.
+ */
+
 const User = require('../models/User');
+const UserRestriction = require('../models/UserRestriction');
 const AuditLog = require('../models/AuditLog');
+const ServiceStatus = require('../models/ServiceStatus');
+const notificationService = require('./notificationService');
+const { t, formatDate } = require('../locales');
+const {
+  AUTO_BAN_LOSS_STREAK,
+  RESTRICTION_TYPES,
+  RESTRICTION_REASON_CODES
+} = require('../config/constants');
+
+const SERVICE_NAME = 'BanService';
 
 class BanService {
+  constructor() {
+    this.isRunning = false;
+    this.isProcessing = false;
+    this.interval = null;
+
+    // Check every minute
+    this.CHECK_INTERVAL = 60 * 1000;
+    this.BATCH_SIZE = 50;
+  }
+
+  /**
+   * Start the expiry loop
+   */
+  async start() {
+    if (this.isRunning) {
+      console.log('⚠️ Ban service already running');
+      return;
+    }
+
+    console.log('✅ Starting ban service (restriction expiry)...');
+    this.isRunning = true;
+
+    try {
+      await ServiceStatus.markStarted(SERVICE_NAME);
+    } catch (e) {
+      console.error('Failed to update service status:', e.message);
+    }
+
+    this.expireRestrictions();
+
+    this.interval = setInterval(() => {
+      this.expireRestrictions();
+    }, this.CHECK_INTERVAL);
+  }
+
+  /**
+   * Stop the expiry loop
+   */
+  async stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    this.isRunning = false;
+
+    try {
+      await ServiceStatus.markStopped(SERVICE_NAME);
+    } catch (e) {
+      console.error('Failed to update service status:', e.message);
+    }
+
+    console.log('⛔ Ban service stopped');
+  }
+
+  /**
+   * Issue a restriction
+   * @param {number} telegramId
+   * @param {Object} options
+   * @param {string} options.type - 'ban', 'deal_creation' or 'withdrawal'
+   * @param {string} options.reasonCode - One of RESTRICTION_REASON_CODES
+   * @param {string} options.reason - Free text shown to admins
+   * @param {number} options.durationHours - Omit or 0 for a permanent restriction
+   * @param {string} options.issuedBy - Admin username or 'system'
+   * @param {ObjectId} options.disputeId - Dispute that triggered the restriction
+   * @param {boolean} options.notify - Send the user a notification (default true)
+   * @returns {Promise<Object>} - Created restriction
+   */
+  async issueRestriction(telegramId, options = {}) {
+    const { type, reasonCode, reason, durationHours, issuedBy, disputeId, notify = true } = options;
+
+    if (!RESTRICTION_TYPES.includes(type)) {
+      throw new Error('Invalid restriction type');
+    }
+    if (!RESTRICTION_REASON_CODES.includes(reasonCode)) {
+      throw new Error('Invalid reason code');
+    }
+    if (durationHours !== undefined && durationHours !== null && !(Number(durationHours) >= 0)) {
+      throw new Error('Invalid restriction duration');
+    }
+
+    const user = await User.findOne({ telegramId }).select('telegramId languageCode').lean();
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const hours = Number(durationHours) || 0;
+    const restriction = await UserRestriction.create({
+      telegramId,
+      type,
+      reasonCode,
+      reason: reason ? String(reason).substring(0, 1000) : null,
+      issuedBy: issuedBy || 'system',
+      expiresAt: hours > 0 ? new Date(Date.now() + hours * 60 * 60 * 1000) : null,
+      disputeId: disputeId || null
+    });
+
+    await this.syncUser(telegramId);
+
+    await AuditLog.logUserBanned(0, telegramId, {
+      restrictionId: restriction._id,
+      type,
+      reasonCode,
+      reason: restriction.reason,
+      expiresAt: restriction.expiresAt,
+      issuedBy: restriction.issuedBy
+    });
+
+    if (notify) {
+      await this.notifyUser(user, restriction, 'issued');
+    }
+
+    console.log(`🚫 Restriction ${type} issued to ${telegramId} until ${restriction.expiresAt ? restriction.expiresAt.toISOString() : 'lifted'}`);
+
+    return restriction;
+  }
+
+  /**
+   * Lift an active restriction before it expires
+   * @param {string} restrictionId
+   * @param {string} liftedBy - Admin username or 'system'
+   * @param {string} reason
+   * @param {Object} options - { notify }
+   * @returns {Promise<Object>} - Lifted restriction
+   */
+  async liftRestriction(restrictionId, liftedBy, reason = '', options = {}) {
+    const { notify = true } = options;
+
+    const restriction = await UserRestriction.findOneAndUpdate(
+      { _id: restrictionId, status: 'active' },
+      {
+        $set: {
+          status: 'lifted',
+          liftedAt: new Date(),
+          liftedBy: liftedBy || 'system',
+          liftReason: reason ? String(reason).substring(0, 1000) : null
+        }
+      },
+      { new: true }
+    );
+    if (!restriction) {
+      throw new Error('Restriction not found or not active');
+    }
+
+    await this.syncUser(restriction.telegramId);
+
+    await AuditLog.log(0, 'unban_user', {
+      unbannedUserId: restriction.telegramId,
+      restrictionId: restriction._id,
+      type: restriction.type,
+      liftedBy: restriction.liftedBy,
+      reason: restriction.liftReason
+    });
+
+    if (notify) {
+      const user = await User.findOne({ telegramId: restriction.telegramId }).select('telegramId languageCode').lean();
+      await this.notifyUser(user, restriction, 'lifted');
+    }
+
+    return restriction;
+  }
+
   /**
    * Manually ban a user (admin action)
    * @param {number} telegramId - User to ban
-   * @param {number} adminId - Admin performing the ban
+   * @param {string} issuedBy - Admin performing the ban
    * @param {string} reason - Reason for ban
+   * @param {Object} options - { reasonCode, durationHours }
    * @returns {Promise<Object>}
    */
-  async banUser(telegramId, adminId, reason = '') {
-    const user = await User.findOne({ telegramId });
+  async banUser(telegramId, issuedBy, reason = '', options = {}) {
+    const user = await User.findOne({ telegramId }).select('_id').lean();
 
     if (!user) {
       throw new Error('User not found');
     }
 
-    if (user.blacklisted) {
-      return { user, alreadyBanned: true };
+    if (!options.durationHours) {
+      const permanent = await UserRestriction.exists({ telegramId, type: 'ban', status: 'active', expiresAt: null });
+      if (permanent) {
+        return { alreadyBanned: true };
+      }
     }
 
-    user.blacklisted = true;
-    user.notes = user.notes
-      ? `${user.notes}\n[BAN] ${new Date().toISOString()}: ${reason}`
-      : `[BAN] ${new Date().toISOString()}: ${reason}`;
-
-    await user.save();
-
-    // Log ban
-    await AuditLog.logUserBanned(adminId, telegramId, { reason });
+    const restriction = await this.issueRestriction(telegramId, {
+      type: 'ban',
+      reasonCode: options.reasonCode || 'other',
+      reason,
+      durationHours: options.durationHours,
+      issuedBy
+    });
 
-    return { user, alreadyBanned: false };
+    return { restriction, alreadyBanned: false };
   }
 
   /**
-   * Manually unban a user (admin action)
+   * Manually unban a user (admin action) - lifts every active full ban
    * @param {number} telegramId - User to unban
-   * @param {number} adminId - Admin performing the unban
+   * @param {string} liftedBy - Admin performing the unban
    * @param {string} reason - Reason for unban
    * @returns {Promise<Object>}
    */
-  async unbanUser(telegramId, adminId, reason = '') {
-    const user = await User.findOne({ telegramId });
+  async unbanUser(telegramId, liftedBy, reason = '') {
+    const user = await User.findOne({ telegramId }).select('telegramId languageCode blacklisted').lean();
 
     if (!user) {
       throw new Error('User not found');
     }
 
-    if (!user.blacklisted) {
-      return { user, alreadyUnbanned: true };
+    const bans = await UserRestriction.find({ telegramId, type: 'ban', status: 'active' }).select('_id').lean();
+    if (bans.length === 0 && !user.blacklisted) {
+      return { alreadyUnbanned: true };
     }
 
-    user.blacklisted = false;
-    user.notes = user.notes
-      ? `${user.notes}\n[UNBAN] ${new Date().toISOString()}: ${reason}`
-      : `[UNBAN] ${new Date().toISOString()}: ${reason}`;
+    for (const ban of bans) {
+      await this.liftRestriction(ban._id, liftedBy, reason, { notify: false });
+    }
+    // Also clears a ban set before restrictions existed
+    await this.syncUser(telegramId);
+
+    await this.notifyUser(user, { type: 'ban' }, 'lifted');
+
+    return { alreadyUnbanned: false };
+  }
+
+  /**
+   * Mark restrictions past their expiry as expired and notify the users
+   * @returns {Promise<number>} - Expired restrictions count
+   */
+  async expireRestrictions() {
+    if (this.isProcessing) return 0;
+    this.isProcessing = true;
+
+    let expired = 0;
+    try {
+      const now = new Date();
+      const due = await UserRestriction.find({
+        status: 'active',
+        expiresAt: { $ne: null, $lte: now }
+      }).limit(this.BATCH_SIZE).lean();
+
+      for (const item of due) {
+        // Claim atomically - an admin may lift it at the same time
+        const restriction = await UserRestriction.findOneAndUpdate(
+          { _id: item._id, status: 'active' },
+          { $set: { status: 'expired' } },
+          { new: true }
+        );
+        if (!restriction) continue;
 
-    // Optionally reset loss streak on manual unban
-    // user.disputeStats.lossStreak = 0;
+        await this.syncUser(restriction.telegramId);
+        const user = await User.findOne({ telegramId: restriction.telegramId }).select('telegramId languageCode').lean();
+        await this.notifyUser(user, restriction, 'expired');
+        expired++;
+      }
 
-    await user.save();
+      if (expired > 0) {
+        console.log(`🔓 Expired ${expired} user restriction(s)`);
+      }
 
-    // Log unban
-    await AuditLog.log(adminId, 'unban_user', {
-      unbannedUserId: telegramId,
-      reason
+      try {
+        await ServiceStatus.heartbeat(SERVICE_NAME, {
+          lastCheck: new Date(),
+          expired
+        });
+      } catch (e) { /* ignore */ }
+    } catch (error) {
+      console.error('❌ Error in restriction expiry:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+
+    return expired;
+  }
+
+  /**
+   * Mirror active restrictions to the user document
+   * @param {number} telegramId
+   */
+  async syncUser(telegramId) {
+    const now = new Date();
+    const active = await UserRestriction.find({
+      telegramId,
+      status: 'active',
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    }).select('type expiresAt').lean();
+
+    await User.updateOne({ telegramId }, {
+      $set: {
+        restrictions: active.map(r => ({ restrictionId: r._id, type: r.type, expiresAt: r.expiresAt })),
+        blacklisted: active.some(r => r.type === 'ban')
+      }
     });
+  }
+
+  /**
+   * Restrictions for the admin panel
+   * @param {Object} filters - { status, type, telegramId, page, limit }
+   * @returns {Promise<Object>} - { restrictions, total, page, pages }
+   */
+  async listRestrictions(filters = {}) {
+    const page = Math.max(1, parseInt(filters.page) || 1);
+    const limit = Math.min(100, parseInt(filters.limit) || 20);
+
+    const query = {};
+    if (filters.status && filters.status !== 'all') query.status = filters.status;
+    if (filters.type && filters.type !== 'all') query.type = filters.type;
+    if (filters.telegramId) query.telegramId = parseInt(filters.telegramId);
+
+    const [restrictions, total] = await Promise.all([
+      UserRestriction.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      UserRestriction.countDocuments(query)
+    ]);
+
+    const users = await User.find({ telegramId: { $in: [...new Set(restrictions.map(r => r.telegramId))] } })
+      .select('telegramId username firstName')
+      .lean();
+    const usersById = new Map(users.map(u => [u.telegramId, u]));
 
-    return { user, alreadyUnbanned: false };
+    return {
+      restrictions: restrictions.map(r => ({
+        ...r,
+        user: usersById.get(r.telegramId) || null
+      })),
+      total,
+      page,
+      pages: Math.ceil(total / limit)
+    };
   }
 
   /**
@@ -76,7 +366,7 @@ class BanService {
    * @returns {Promise<boolean>}
    */
   async isUserBanned(telegramId) {
-    const user = await User.findOne({ telegramId });
+    const user = await User.findOne({ telegramId }).select('blacklisted').lean();
     return user ? user.blacklisted : false;
   }
 
@@ -100,26 +390,54 @@ class BanService {
       return null;
     }
 
+    const restrictions = await UserRestriction.find({ telegramId })
+      .sort({ createdAt: -1 })
+      .lean();
+
     return {
       telegramId: user.telegramId,
       username: user.username,
       blacklisted: user.blacklisted,
+      restrictions,
       disputeStats: user.disputeStats,
-      atRisk: user.disputeStats.lossStreak >= 2 && !user.blacklisted,
+      atRisk: user.disputeStats.lossStreak >= AUTO_BAN_LOSS_STREAK - 1 && user.canCreateDeal(),
       notes: user.notes
     };
   }
 
   /**
-   * Get users at risk of auto-ban (2 consecutive losses)
+   * Get users one loss away from the loss streak restriction
    * @returns {Promise<Array>}
    */
   async getUsersAtRisk() {
     return await User.find({
       blacklisted: false,
-      'disputeStats.lossStreak': { $gte: 2 }
+      'disputeStats.lossStreak': { $gte: AUTO_BAN_LOSS_STREAK - 1 }
     }).sort({ 'disputeStats.lossStreak': -1 });
   }
+
+  /**
+   * Tell the user about an issued / lifted / expired restriction
+   * @param {Object} user - { telegramId, languageCode }
+   * @param {Object} restriction
+   * @param {string} event - 'issued', 'lifted' or 'expired'
+   */
+  async notifyUser(user, restriction, event) {
+    if (!user) return;
+
+    const lang = user.languageCode || 'ru';
+    const params = {
+      type: t(lang, `restriction.types.${restriction.type}`),
+      until: restriction.expiresAt ? formatDate(lang, restriction.expiresAt, { second: undefined }) : null
+    };
+
+    // A banned user has no menu to go back to
+    const keyboard = event === 'issued' && restriction.type === 'ban'
+      ? {}
+      : { inline_keyboard: [[{ text: t(lang, 'btn.main_menu'), callback_data: 'main_menu' }]] };
+
+    await notificationService.sendNotification(user.telegramId, t(lang, `restriction.${event}`, params), keyboard);
+  }
 }
 
 module.exports = new BanService();
@@ -0,0 +1,185 @@
+const Deal = require('../models/Deal');
+const ServiceStatus = require('../models/ServiceStatus');
+const blockchainService = require('./blockchain');
+const constants = require('../config/constants');
+
+const SERVICE_NAME = 'BlockScanner';
+
+/**
+ * Block Scanner
+ *
+ * Follows new TRON blocks and matches USDT Transfer events against the escrow
+ * addresses of deals waiting for a deposit - one request per block instead of
+ * one per open deal, and no limit on the number of transfers an address got.
+ *
+ * The last scanned block is stored in ServiceStatus, after a restart the scan
+ * continues from there. A scanner that fell more than BLOCK_SCAN_MAX_LAG blocks
+ * behind skips to the head; the per-address reconciliation pass of
+ * depositMonitor picks up deposits from the skipped blocks.
+ *
+ * Started by depositMonitor, which handles the matched deposits.
+ */
+class BlockScanner {
+  constructor() {
+    this.isRunning = false;
+    this.isScanning = false; // Prevent overlapping scan cycles
+    this.interval = null;
+    this.monitor = null;
+    this.lastBlock = null;
+  }
+
+  /**
+   * Deals whose deposits the scanner detects (USDT on TRON)
+   * @param {Object} deal
+   */
+  covers(deal) {
+    return (deal.network || 'tron') === 'tron' && deal.asset === 'USDT';
+  }
+
+  /**
+   * Start following blocks
+   * @param {Object} monitor - depositMonitor (checkDealDeposit, rateLimiter)
+   */
+  async start(monitor) {
+    if (this.isRunning) {
+      console.log('⚠️  Block scanner already running');
+      return;
+    }
+
+    console.log('✅ Starting block scanner...');
+    this.monitor = monitor;
+    this.isRunning = true;
+
+    try {
+      const status = await ServiceStatus.findOne({ serviceName: SERVICE_NAME }).lean();
+      this.lastBlock = Number.isInteger(status?.stats?.lastBlock) ? status.stats.lastBlock : null;
+      await ServiceStatus.markStarted(SERVICE_NAME);
+    } catch (e) {
+      console.error('Failed to load block scanner cursor:', e.message);
+    }
+
+    this.scan();
+
+    this.interval = setInterval(() => {
+      this.scan();
+    }, constants.BLOCK_SCAN_INTERVAL);
+  }
+
+  /**
+   * Stop following blocks
+   */
+  async stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    this.isRunning = false;
+
+    try {
+      await ServiceStatus.markStopped(SERVICE_NAME);
+    } catch (e) {
+      console.error('Failed to update service status:', e.message);
+    }
+
+    console.log('⛔ Block scanner stopped');
+  }
+
+  /**
+   * Escrow addresses of the deals waiting for a USDT deposit
+   * @returns {Promise<Map<string, Object>>} address -> lean deal
+   */
+  async getWatchedDeals() {
+    const deals = await Deal.find({
+      status: 'waiting_for_deposit',
+      multisigAddress: { $ne: null },
+      asset: 'USDT',
+      network: { $in: ['tron', null] }
+    }).lean();
+
+    return new Map(deals.map(deal => [deal.multisigAddress, deal]));
+  }
+
+  /**
+   * Scan the blocks after the cursor (at most BLOCK_SCAN_BATCH per cycle)
+   */
+  async scan() {
+    if (this.isScanning) {
+      return;
+    }
+
+    this.isScanning = true;
+    let matched = 0;
+
+    try {
+      const head = await blockchainService.getCurrentBlockNumber();
+
+      if (this.lastBlock === null) {
+        // First start - nothing to catch up on, open deals are reconciled by polling
+        this.lastBlock = head - 1;
+      } else if (head - this.lastBlock > constants.BLOCK_SCAN_MAX_LAG) {
+        console.warn(`⚠️ Block scanner is ${head - this.lastBlock} blocks behind, skipping to ${head} (reconciliation covers the gap)`);
+        this.lastBlock = head - 1;
+      }
+
+      const watched = await this.getWatchedDeals();
+      const watchedDeals = watched.size;
+
+      if (watched.size === 0) {
+        // No open escrows - deals created later cannot have deposits in these blocks
+        this.lastBlock = head;
+      }
+
+      const target = Math.min(head, this.lastBlock + constants.BLOCK_SCAN_BATCH);
+
+      for (let blockNumber = this.lastBlock + 1; blockNumber <= target; blockNumber++) {
+        await this.monitor.rateLimiter.waitForToken();
+        const transfers = await blockchainService.getUsdtTransfers(blockNumber);
+
+        // Transfers of the block grouped by deal - a deposit may come in several parts
+        const byAddress = new Map();
+        for (const transfer of transfers) {
+          if (!watched.has(transfer.to)) continue;
+          if (!byAddress.has(transfer.to)) byAddress.set(transfer.to, []);
+          byAddress.get(transfer.to).push(transfer);
+        }
+
+        for (const [address, dealTransfers] of byAddress) {
+          const deal = watched.get(address);
+          matched += dealTransfers.length;
+          const total = dealTransfers.reduce((sum, transfer) => sum + transfer.amount, 0);
+          console.log(`🧱 Block ${blockNumber}: ${dealTransfers.length} transfer(s) of ${total} USDT to deal ${deal.dealId}`);
+          await this.monitor.checkDealDeposit(deal, dealTransfers);
+
+          // A locked deal stops being watched, later transfers are not part of its deposit
+          const fresh = await Deal.findById(deal._id).select('status depositTxHash').lean();
+          if (!fresh || fresh.status !== 'waiting_for_deposit') {
+            watched.delete(address);
+          }
+        }
+
+        this.lastBlock = blockNumber;
+      }
+
+      await ServiceStatus.heartbeat(SERVICE_NAME, {
+        lastBlock: this.lastBlock,
+        headBlock: head,
+        lag: head - this.lastBlock,
+        watchedDeals,
+        matched,
+        lastCheckAt: new Date()
+      });
+    } catch (error) {
+      // The cursor stays at the last fully scanned block - retried next cycle
+      console.error('Error in block scanner:', error.message);
+      try {
+        await ServiceStatus.logError(SERVICE_NAME, error);
+      } catch (e) {
+        // Ignore
+      }
+    } finally {
+      this.isScanning = false;
+    }
+  }
+}
+
+module.exports = new BlockScanner();
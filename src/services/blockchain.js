@@ -3,6 +3,12 @@ const constants = require('../config/constants');
 const CircuitBreaker = require('../utils/CircuitBreaker');
 const adminAlertService = require('./adminAlertService');
 
+// Operations allowed to the escrow active permission (all contract types)
+const ESCROW_ACTIVE_OPERATIONS = '7fff1fc0033e0000000000000000000000000000000000000000000000000000';
+
+// keccak256('Transfer(address,address,uint256)')
+const TRANSFER_EVENT_TOPIC = 'ddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+
 /**
  * Blockchain Service
  * Handles all TRON blockchain operations including multisig wallet creation,
@@ -38,8 +44,9 @@ class BlockchainService {
   /**
    * Verify buyer wallet: check if address exists and has sufficient balance
    * @param {string} address - TRON address to verify
-   * @param {number} requiredAmount - Required USDT amount (deal amount + 5 USDT buffer)
+   * @param {number} requiredAmount - Required amount (deal amount + 5 USDT buffer, in asset units)
    * @param {number} dealAmount - Just the deal amount (for error messages)
+   * @param {string} asset - Deal asset ('USDT' or 'TRX')
    * @returns {Promise<Object>} - { valid, balance, error, errorType }
    *
    * errorType can be:
@@ -49,9 +56,9 @@ class BlockchainService {
    * - 'no_buffer' - Balance >= dealAmount but < requiredAmount (no 5 USDT buffer)
    * - 'api_error' - TRON API is unavailable
    */
-  async verifyBuyerWallet(address, requiredAmount, dealAmount) {
+  async verifyBuyerWallet(address, requiredAmount, dealAmount, asset = 'USDT') {
     // Check cache first
-    const cacheKey = `${address}:${requiredAmount}`;
+    const cacheKey = `${address}:${asset}:${requiredAmount}`;
     const cached = this.balanceCache.get(cacheKey);
     if (cached && Date.now() - cached.timestamp < this.BALANCE_CACHE_TTL) {
       return cached.result;
@@ -78,13 +85,14 @@ class BlockchainService {
         accountExists = false;
       }
 
-      // Step 3: Get USDT balance (even if account seems to not exist, try anyway)
-      const balance = await this.getBalance(address, 'USDT');
+      // Step 3: Get balance in deal asset (even if account seems to not exist, try anyway)
+      const balance = await this.getBalance(address, asset);
+      const buffer = (requiredAmount - dealAmount).toFixed(2);
 
       // If balance is 0 and account doesn't exist, it's likely not found
       if (!accountExists && balance === 0) {
         // Double-check by trying to get TRX balance too
-        const trxBalance = await this.getBalance(address, 'TRX');
+        const trxBalance = asset === 'TRX' ? balance : await this.getBalance(address, 'TRX');
         if (trxBalance === 0) {
           const result = {
             valid: false,
@@ -102,19 +110,19 @@ class BlockchainService {
         const result = {
           valid: false,
           balance,
-          error: `Недостаточно средств. Баланс: ${balance.toFixed(2)} USDT. Требуется: ${requiredAmount.toFixed(2)} USDT (сумма сделки + 5 USDT запас).`,
+          error: `Недостаточно средств. Баланс: ${balance.toFixed(2)} ${asset}. Требуется: ${requiredAmount.toFixed(2)} ${asset} (сумма сделки + ${buffer} ${asset} запас).`,
           errorType: 'insufficient_funds'
         };
         this.balanceCache.set(cacheKey, { result, timestamp: Date.now() });
         return result;
       }
 
-      // Step 5: Check if balance covers deal + 5 USDT buffer
+      // Step 5: Check if balance covers deal + buffer
       if (balance < requiredAmount) {
         const result = {
           valid: false,
           balance,
-          error: `На вашем кошельке есть сумма для покрытия сделки, но нет запаса на случай комиссий.\n\nБаланс: ${balance.toFixed(2)} USDT\nРекомендуем: ${requiredAmount.toFixed(2)} USDT (сумма + 5 USDT)\n\nМы обеспечиваем безопасность платёжеспособности покупателей!`,
+          error: `На вашем кошельке есть сумма для покрытия сделки, но нет запаса на случай комиссий.\n\nБаланс: ${balance.toFixed(2)} ${asset}\nРекомендуем: ${requiredAmount.toFixed(2)} ${asset} (сумма + ${buffer} ${asset})\n\nМы обеспечиваем безопасность платёжеспособности покупателей!`,
           errorType: 'no_buffer'
         };
         this.balanceCache.set(cacheKey, { result, timestamp: Date.now() });
@@ -217,7 +225,9 @@ class BlockchainService {
   }
 
   /**
-   * Create a new TRON account with multisig permissions (2-of-3)
+   * Create a new TRON account for escrow. The 2-of-3 permissions are only
+   * described here - they are applied on chain after the deposit, once the
+   * account is activated and both participant keys are known (escrowPermissionService)
    * @param {string} buyerPublicKey - Buyer's public key
    * @param {string} sellerPublicKey - Seller's public key
    * @param {string} arbiterPublicKey - Arbiter's public key
@@ -229,45 +239,13 @@ class BlockchainService {
       const newAccount = await tronWeb.createAccount();
       const address = newAccount.address.base58;
 
-      // SECURITY TODO: In production, this account should be funded with minimal TRX
-      // for transaction fees by the service, then permissions should be set
-
-      // Configure permissions
-      // TRON Account Permission Structure:
-      // - threshold: minimum weight required (2)
-      // - keys: array of authorized keys with their weights
       const permissionConfig = {
         owner_address: tronWeb.address.toHex(address),
-        actives: [
-          {
-            type: 2, // Active permission
-            permission_name: 'escrow_active',
-            threshold: constants.MULTISIG_THRESHOLD,
-            operations: '7fff1fc0033e0000000000000000000000000000000000000000000000000000', // All operations
-            keys: [
-              {
-                address: tronWeb.address.toHex(tronWeb.address.fromPrivateKey(buyerPublicKey)),
-                weight: 1
-              },
-              {
-                address: tronWeb.address.toHex(tronWeb.address.fromPrivateKey(sellerPublicKey)),
-                weight: 1
-              },
-              {
-                address: tronWeb.address.toHex(tronWeb.address.fromPrivateKey(arbiterPublicKey)),
-                weight: 1
-              }
-            ]
-          }
-        ]
+        ...this.buildEscrowPermissions([buyerPublicKey, sellerPublicKey, arbiterPublicKey].map(
+          key => tronWeb.address.fromPrivateKey(key)
+        ))
       };
 
-      // Note: Actually setting permissions on TRON requires the account to have TRX for fees
-      // and requires calling updateAccountPermissions
-      // For MVP, we're documenting the structure; actual implementation requires:
-      // 1. Fund the new account with minimal TRX (e.g., 10 TRX)
-      // 2. Call tronWeb.trx.updateAccountPermissions(address, ownerPermission, witnessPermission, activesPermissions)
-
       return {
         address,
         privateKey: newAccount.privateKey,
@@ -283,6 +261,86 @@ class BlockchainService {
     }
   }
 
+  /**
+   * Escrow account permissions: owner and active both need MULTISIG_THRESHOLD
+   * of the buyer, seller and arbiter keys (weight 1 each)
+   * @param {Array<string>} keyAddresses - [buyer, seller, arbiter] key addresses
+   * @returns {Object} - { owner, actives }
+   */
+  buildEscrowPermissions(keyAddresses) {
+    const keys = keyAddresses.map(address => ({ address: tronWeb.address.toHex(address), weight: 1 }));
+
+    return {
+      owner: {
+        type: 0, // Owner permission
+        permission_name: 'escrow_owner',
+        threshold: constants.MULTISIG_THRESHOLD,
+        keys
+      },
+      actives: [
+        {
+          type: 2, // Active permission
+          permission_name: 'escrow_active',
+          threshold: constants.MULTISIG_THRESHOLD,
+          operations: ESCROW_ACTIVE_OPERATIONS,
+          keys
+        }
+      ]
+    };
+  }
+
+  /**
+   * Replace the escrow account permissions with the 2-of-3 set.
+   * Signed by the escrow key - the last transaction it can sign alone.
+   * The account must hold ESCROW_PERMISSION_FEE_TRX for the network fee
+   * @param {string} escrowAddress
+   * @param {string} escrowPrivateKey
+   * @param {Array<string>} keyAddresses - [buyer, seller, arbiter] key addresses
+   * @returns {Promise<Object>} - { success, txHash, permissions, error }
+   */
+  async updateEscrowPermissions(escrowAddress, escrowPrivateKey, keyAddresses) {
+    const permissions = this.buildEscrowPermissions(keyAddresses);
+
+    try {
+      const transaction = await tronWeb.transactionBuilder.updateAccountPermissions(
+        escrowAddress,
+        permissions.owner,
+        null,
+        permissions.actives
+      );
+      const signedTx = await this.signTransaction(transaction, escrowPrivateKey);
+      const result = await this.broadcastTransaction(signedTx);
+
+      return { ...result, permissions };
+    } catch (error) {
+      console.error('Error updating escrow permissions:', error);
+      return { success: false, error: error.message, permissions };
+    }
+  }
+
+  /**
+   * Check that the escrow account is controlled by the 2-of-3 key set on chain
+   * @param {string} escrowAddress
+   * @param {Array<string>} keyAddresses - [buyer, seller, arbiter] key addresses
+   * @returns {Promise<boolean>}
+   */
+  async verifyEscrowPermissions(escrowAddress, keyAddresses) {
+    try {
+      const account = await tronWeb.trx.getAccount(escrowAddress);
+      const owner = account?.owner_permission;
+      if (!owner || owner.threshold !== constants.MULTISIG_THRESHOLD) {
+        return false;
+      }
+
+      const expected = keyAddresses.map(address => tronWeb.address.toHex(address).toLowerCase()).sort();
+      const actual = (owner.keys || []).map(key => tronWeb.address.toHex(key.address).toLowerCase()).sort();
+      return expected.length === actual.length && expected.every((address, i) => address === actual[i]);
+    } catch (error) {
+      console.error('Error verifying escrow permissions:', error.message);
+      return false;
+    }
+  }
+
   /**
    * Generate a new key pair for user
    * SECURITY TODO: This should be done client-side in production!
@@ -333,78 +391,185 @@ class BlockchainService {
    * @returns {Promise<Object|null>} - Transaction details or null
    */
   async checkDeposit(address, asset, expectedAmount) {
+    const deposits = await this.getDeposits(address, asset);
+    // If expectedAmount is 0, return any deposit; otherwise check if amount meets minimum
+    return deposits.find(deposit => expectedAmount === 0 || deposit.amount >= expectedAmount * 0.5) || null;
+  }
+
+  /**
+   * All incoming transfers to an address, newest first
+   * @param {string} address - TRON address to monitor
+   * @param {string} asset - 'TRX' or 'USDT'
+   * @returns {Promise<Array<Object>>} - [{ txHash, amount, block, timestamp, from, confirmed }]
+   */
+  async getDeposits(address, asset) {
     // Use circuit breaker to prevent cascading failures
     return await this.circuitBreaker.execute(async () => {
-      return await this._checkDepositInternal(address, asset, expectedAmount);
+      return await this._getDepositsInternal(address, asset);
     });
   }
 
   /**
-   * Internal deposit check (wrapped by circuit breaker)
+   * Internal deposit listing (wrapped by circuit breaker)
+   * TronGrid lists transfers as soon as they are in a block - depositMonitor
+   * waits for confirmations before counting them.
    */
-  async _checkDepositInternal(address, asset, expectedAmount) {
+  async _getDepositsInternal(address, asset) {
+    const deposits = [];
+
     try {
       if (asset === 'USDT') {
         // Query TronGrid for TRC20 transfers
-        const url = `${tronWeb.fullNode.host}/v1/accounts/${address}/transactions/trc20?limit=20`;
+        const url = `${tronWeb.fullNode.host}/v1/accounts/${address}/transactions/trc20?only_to=true&limit=200`;
         const response = await fetch(url, {
           headers: tronWeb.fullNode.headers
         });
         const data = await response.json();
 
-        if (data.data && data.data.length > 0) {
-          for (const tx of data.data) {
-            // Check if it's a transfer to this address
-            if (tx.to === address && tx.token_info?.address === USDT_CONTRACT_ADDRESS) {
-              const amount = parseInt(tx.value) / 1e6; // Convert to USDT
-              // If expectedAmount is 0, return any deposit; otherwise check if amount meets minimum
-              if (expectedAmount === 0 || amount >= expectedAmount * 0.5) {
-                return {
-                  txHash: tx.transaction_id,
-                  amount,
-                  block: tx.block_timestamp,
-                  from: tx.from,
-                  confirmed: true
-                };
-              }
-            }
+        for (const tx of data.data || []) {
+          // Check if it's a transfer to this address
+          if (tx.to === address && tx.token_info?.address === USDT_CONTRACT_ADDRESS) {
+            deposits.push({
+              txHash: tx.transaction_id,
+              amount: parseInt(tx.value) / 1e6, // Convert to USDT
+              block: null, // Not in the TRC-20 history, read from the transaction info
+              timestamp: tx.block_timestamp,
+              from: tx.from,
+              confirmed: false
+            });
           }
         }
       } else if (asset === 'TRX') {
         // Query for TRX transfers
-        const url = `${tronWeb.fullNode.host}/v1/accounts/${address}/transactions?limit=20`;
+        const url = `${tronWeb.fullNode.host}/v1/accounts/${address}/transactions?only_to=true&limit=200`;
         const response = await fetch(url, {
           headers: tronWeb.fullNode.headers
         });
         const data = await response.json();
 
-        if (data.data && data.data.length > 0) {
-          for (const tx of data.data) {
-            if (tx.raw_data?.contract?.[0]?.type === 'TransferContract') {
-              const contract = tx.raw_data.contract[0].parameter.value;
-              if (contract.to_address === tronWeb.address.toHex(address)) {
-                const amount = contract.amount / 1e6;
-                // If expectedAmount is 0, return any deposit; otherwise check if amount meets minimum
-                if (expectedAmount === 0 || amount >= expectedAmount * 0.5) {
-                  return {
-                    txHash: tx.txID,
-                    amount,
-                    block: tx.block_timestamp,
-                    from: tronWeb.address.fromHex(contract.owner_address),
-                    confirmed: true
-                  };
-                }
-              }
+        // TRX sent by the service itself (activation, fallback energy) is not a deposit
+        const arbiterHex = process.env.ARBITER_PRIVATE_KEY
+          ? tronWeb.address.toHex(tronWeb.address.fromPrivateKey(process.env.ARBITER_PRIVATE_KEY))
+          : null;
+
+        for (const tx of data.data || []) {
+          if (tx.raw_data?.contract?.[0]?.type === 'TransferContract') {
+            const contract = tx.raw_data.contract[0].parameter.value;
+            if (contract.to_address === tronWeb.address.toHex(address) && contract.owner_address !== arbiterHex) {
+              deposits.push({
+                txHash: tx.txID,
+                amount: contract.amount / 1e6,
+                block: tx.blockNumber ?? null,
+                timestamp: tx.block_timestamp,
+                from: tronWeb.address.fromHex(contract.owner_address),
+                confirmed: false
+              });
             }
           }
         }
       }
-
-      return null;
     } catch (error) {
       console.error('Error checking deposit:', error);
-      return null;
     }
+
+    return deposits;
+  }
+
+  /**
+   * Get the latest block number
+   * @returns {Promise<number>}
+   */
+  async getCurrentBlockNumber() {
+    return await this.circuitBreaker.execute(async () => {
+      const block = await this.tronWeb.trx.getCurrentBlock();
+      return block.block_header.raw_data.number;
+    });
+  }
+
+  /**
+   * Re-validate a transaction against the chain and count its confirmations.
+   * Transaction info comes from the full node (the solidity node only knows
+   * irreversible blocks), finality from the latest solidified block.
+   * @param {string} txHash
+   * @returns {Promise<Object>} - { found, success, blockNumber, confirmations, finalized };
+   *   found: false - not in any block (dropped, or not mined yet)
+   */
+  async getTransactionConfirmations(txHash) {
+    return await this.circuitBreaker.execute(async () => {
+      const info = await this.tronWeb.trx.getUnconfirmedTransactionInfo(txHash);
+      if (!info?.blockNumber) {
+        return { found: false, success: false, blockNumber: null, confirmations: 0, finalized: false };
+      }
+
+      const [head, solid] = await Promise.all([
+        this.tronWeb.trx.getCurrentBlock(),
+        this.tronWeb.trx.getConfirmedCurrentBlock()
+      ]);
+      const headNumber = head.block_header.raw_data.number;
+      const solidNumber = solid.block_header?.raw_data?.number || 0;
+
+      // TRX transfers have no contract receipt, reverted contract calls have result FAILED
+      const success = info.result !== 'FAILED' && (!info.receipt?.result || info.receipt.result === 'SUCCESS');
+
+      return {
+        found: true,
+        success,
+        blockNumber: info.blockNumber,
+        confirmations: Math.max(0, headNumber - info.blockNumber),
+        finalized: info.blockNumber <= solidNumber
+      };
+    });
+  }
+
+  /**
+   * Get USDT Transfer events of a block (from the transaction receipts' logs)
+   * Logs of failed transactions are skipped.
+   * @param {number} blockNumber
+   * @returns {Promise<Array<{ txHash: string, from: string, to: string, amount: number, block: number }>>}
+   */
+  async getUsdtTransfers(blockNumber) {
+    return await this.circuitBreaker.execute(async () => {
+      const response = await fetch(`${tronWeb.fullNode.host}/wallet/gettransactioninfobyblocknum`, {
+        method: 'POST',
+        headers: { ...tronWeb.fullNode.headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ num: blockNumber })
+      });
+      if (!response.ok) {
+        throw new Error(`Block ${blockNumber} request failed: HTTP ${response.status}`);
+      }
+
+      const infos = await response.json();
+      if (!Array.isArray(infos)) {
+        // Empty blocks come back as {}
+        if (infos?.Error) {
+          throw new Error(infos.Error);
+        }
+        return [];
+      }
+
+      // Log addresses are hex without the 41 prefix
+      const usdtHex = tronWeb.address.toHex(USDT_CONTRACT_ADDRESS).slice(2).toLowerCase();
+      const transfers = [];
+
+      for (const info of infos) {
+        if (info.receipt?.result && info.receipt.result !== 'SUCCESS') continue;
+
+        for (const log of info.log || []) {
+          if (log.address?.toLowerCase() !== usdtHex) continue;
+          if (log.topics?.length !== 3 || log.topics[0] !== TRANSFER_EVENT_TOPIC) continue;
+
+          transfers.push({
+            txHash: info.id,
+            from: tronWeb.address.fromHex(`41${log.topics[1].slice(-40)}`),
+            to: tronWeb.address.fromHex(`41${log.topics[2].slice(-40)}`),
+            amount: Number(BigInt(`0x${log.data || '0'}`)) / 1e6,
+            block: info.blockNumber ?? blockNumber
+          });
+        }
+      }
+
+      return transfers;
+    });
   }
 
   /**
@@ -481,6 +646,28 @@ class BlockchainService {
     }
   }
 
+  /**
+   * Extend the expiration of an unsigned transaction (TronWeb default is 60 seconds).
+   * Needed when the signature comes back later - offline signing in the user's wallet.
+   * Rebuilt locally: raw_data_hex and txID change, existing signatures become invalid
+   * @param {Object} transaction - Unsigned transaction
+   * @param {number} seconds - Lifetime from the transaction timestamp (TRON max: 24h)
+   * @returns {Object} - Transaction with new expiration
+   */
+  extendExpiration(transaction, seconds) {
+    const { txJsonToPb, txPbToRawDataHex, txPbToTxID } = tronWeb.utils.transaction;
+    const extended = JSON.parse(JSON.stringify(transaction));
+    delete extended.signature;
+
+    const lifetime = Math.min(seconds, 24 * 60 * 60) * 1000;
+    extended.raw_data.expiration = (extended.raw_data.timestamp || Date.now()) + lifetime;
+
+    const pb = txJsonToPb(extended);
+    extended.raw_data_hex = txPbToRawDataHex(pb).toLowerCase();
+    extended.txID = txPbToTxID(pb).replace(/^0x/, '');
+    return extended;
+  }
+
   /**
    * Sign a transaction with a private key
    * @param {Object} transaction - Raw transaction
@@ -519,6 +706,8 @@ class BlockchainService {
 
   /**
    * Sign transaction with multiple signatures (multisig)
+   * Uses the owner permission of the account (id 0) - escrow accounts
+   * require MULTISIG_THRESHOLD of their keys there
    * @param {Object} transaction - Raw transaction
    * @param {Array<string>} privateKeys - Array of private keys
    * @returns {Promise<Object>} - Multi-signed transaction
@@ -732,6 +921,77 @@ class BlockchainService {
     }
   }
 
+  /**
+   * Get the price of burned energy (chain parameter getEnergyFee), cached for 10 minutes
+   * @returns {Promise<number>} SUN per energy unit
+   */
+  async getEnergyPrice() {
+    if (this.energyPrice && Date.now() - this.energyPrice.fetchedAt < 600000) {
+      return this.energyPrice.sun;
+    }
+
+    try {
+      const parameters = await this.tronWeb.trx.getChainParameters();
+      const energyFee = parameters.find(parameter => parameter.key === 'getEnergyFee');
+      if (!energyFee?.value) {
+        throw new Error('getEnergyFee parameter not found');
+      }
+
+      this.energyPrice = { sun: energyFee.value, fetchedAt: Date.now() };
+      return energyFee.value;
+    } catch (error) {
+      console.error('Error getting energy price:', error.message);
+      return constants.ENERGY_BURN_PRICE_SUN;
+    }
+  }
+
+  /**
+   * Energy a staking account can still delegate (Stake 2.0)
+   * @param {string} address - Address with TRX frozen for energy
+   * @returns {Promise<Object>} - { maxSun, energyPerTrx }
+   */
+  async getDelegatableEnergy(address) {
+    const [maxSize, resources] = await Promise.all([
+      this.tronWeb.trx.getCanDelegatedMaxSize(address, 'ENERGY'),
+      this.tronWeb.trx.getAccountResources(address)
+    ]);
+
+    // Energy of 1 staked TRX: network energy limit shared by all staked TRX
+    const energyPerTrx = resources.TotalEnergyWeight > 0
+      ? resources.TotalEnergyLimit / resources.TotalEnergyWeight
+      : 0;
+
+    return { maxSun: maxSize?.max_size || 0, energyPerTrx };
+  }
+
+  /**
+   * Delegate energy of frozen TRX to an address (no lock - can be undelegated right away)
+   * @param {string} ownerPrivateKey - Key of the staking account
+   * @param {string} receiverAddress
+   * @param {number} amountSun - Frozen TRX (SUN) whose energy is delegated
+   * @returns {Promise<Object>} - { success, txHash, error }
+   */
+  async delegateEnergy(ownerPrivateKey, receiverAddress, amountSun) {
+    const ownerAddress = this.tronWeb.address.fromPrivateKey(ownerPrivateKey);
+    const tx = await this.tronWeb.transactionBuilder.delegateResource(amountSun, receiverAddress, 'ENERGY', ownerAddress, false);
+    const signedTx = await this.signTransaction(tx, ownerPrivateKey);
+    return this.broadcastTransaction(signedTx);
+  }
+
+  /**
+   * Take back energy delegated with delegateEnergy
+   * @param {string} ownerPrivateKey - Key of the staking account
+   * @param {string} receiverAddress
+   * @param {number} amountSun - Frozen TRX (SUN) delegated to the receiver
+   * @returns {Promise<Object>} - { success, txHash, error }
+   */
+  async undelegateEnergy(ownerPrivateKey, receiverAddress, amountSun) {
+    const ownerAddress = this.tronWeb.address.fromPrivateKey(ownerPrivateKey);
+    const tx = await this.tronWeb.transactionBuilder.undelegateResource(amountSun, receiverAddress, 'ENERGY', ownerAddress);
+    const signedTx = await this.signTransaction(tx, ownerPrivateKey);
+    return this.broadcastTransaction(signedTx);
+  }
+
   /**
    * Send TRX from one address to another
    * @param {string} fromPrivateKey - Sender's private key
@@ -0,0 +1,379 @@
+const { ethers } = require('ethers');
+const CircuitBreaker = require('../../utils/CircuitBreaker');
+
+const ERC20_ABI = [
+  'function balanceOf(address owner) view returns (uint256)',
+  'function transfer(address to, uint256 value) returns (bool)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)'
+];
+
+// Gas of a plain BEP-20 transfer is ~52k, keep a margin for cold storage slots
+const TOKEN_TRANSFER_GAS = 65000;
+const NATIVE_TRANSFER_GAS = 21000;
+
+/**
+ * BNB Smart Chain adapter (USDT BEP-20).
+ *
+ * Talks to any Ethereum JSON-RPC node (BSC_RPC_URL), so it can be pointed
+ * at a local mock node in tests. Unlike TRON there is no energy rental:
+ * the escrow address pays gas in BNB, topped up by ensureFeeBalance().
+ */
+class Bep20Adapter {
+  /**
+   * @param {Object} [options] - Overrides for env settings (used by tests)
+   * @param {string} [options.rpcUrl]
+   * @param {number} [options.chainId]
+   * @param {string} [options.usdtContract]
+   * @param {string} [options.explorerUrl]
+   * @param {string} [options.gasPrivateKey] - Wallet that funds gas of escrow addresses
+   * @param {number} [options.confirmationTimeoutMs]
+   */
+  constructor(options = {}) {
+    this.network = 'bep20';
+    this.nativeAsset = 'BNB';
+    this.assets = ['USDT'];
+
+    this.rpcUrl = options.rpcUrl || process.env.BSC_RPC_URL || 'https://bsc-dataseed.binance.org';
+    this.chainId = options.chainId || parseInt(process.env.BSC_CHAIN_ID) || 56;
+    this.usdtContract = options.usdtContract || process.env.BSC_USDT_CONTRACT || '0x55d398326f99059fF775485246999027B3197955';
+    this.usdtDecimals = 18;
+    this.explorerUrl = options.explorerUrl || process.env.BSC_EXPLORER_URL || 'https://bscscan.com';
+    this.explorerName = 'BscScan';
+    this.gasPrivateKey = options.gasPrivateKey || process.env.BSC_GAS_PRIVATE_KEY || process.env.ARBITER_PRIVATE_KEY;
+    this.depositLookbackBlocks = options.depositLookbackBlocks || parseInt(process.env.BSC_DEPOSIT_LOOKBACK_BLOCKS) || 5000;
+    this.confirmationTimeoutMs = options.confirmationTimeoutMs ?? 60000;
+
+    this.provider = new ethers.JsonRpcProvider(this.rpcUrl, this.chainId, {
+      staticNetwork: true,
+      batchMaxCount: 1
+    });
+    this.tokenInterface = new ethers.Interface(ERC20_ABI);
+    this.transferTopic = this.tokenInterface.getEvent('Transfer').topicHash;
+
+    this.circuitBreaker = new CircuitBreaker({
+      failureThreshold: 5,
+      resetTimeoutMs: 60000,
+      failureWindowMs: 30000,
+      serviceName: 'BSC RPC'
+    });
+  }
+
+  /**
+   * JSON-RPC call through circuit breaker
+   */
+  async rpc(method, params = []) {
+    return this.circuitBreaker.execute(() => this.provider.send(method, params));
+  }
+
+  normalizeKey(privateKey) {
+    return privateKey.startsWith('0x') ? privateKey : `0x${privateKey}`;
+  }
+
+  /**
+   * Escrow wallet is a plain EOA held by the service (same pseudo-multisig model as TRON)
+   * @returns {Promise<Object>} - { address, privateKey, threshold, permissionsJson }
+   */
+  async createEscrowWallet(buyerKey, sellerKey, arbiterKey) {
+    const account = await this.generateAccount();
+    return {
+      address: account.address,
+      privateKey: account.privateKey,
+      buyerPublicKey: buyerKey,
+      sellerPublicKey: sellerKey,
+      arbiterPublicKey: arbiterKey,
+      threshold: 1,
+      permissionsJson: { network: this.network, type: 'eoa' }
+    };
+  }
+
+  async generateAccount() {
+    const wallet = ethers.Wallet.createRandom();
+    return {
+      privateKey: wallet.privateKey.slice(2),
+      publicKey: wallet.signingKey.publicKey,
+      address: wallet.address
+    };
+  }
+
+  isValidAddress(address) {
+    return typeof address === 'string' && ethers.isAddress(address) && address.startsWith('0x');
+  }
+
+  privateKeyToAddress(privateKey) {
+    return new ethers.Wallet(this.normalizeKey(privateKey)).address;
+  }
+
+  /**
+   * @param {string} address
+   * @param {string} asset - 'USDT' or 'BNB'
+   * @returns {Promise<number>}
+   */
+  async getBalance(address, asset = 'USDT') {
+    try {
+      if (asset === this.nativeAsset) {
+        const balance = await this.rpc('eth_getBalance', [address, 'latest']);
+        return Number(ethers.formatEther(balance));
+      }
+
+      if (asset === 'USDT') {
+        const data = this.tokenInterface.encodeFunctionData('balanceOf', [address]);
+        const result = await this.rpc('eth_call', [{ to: this.usdtContract, data }, 'latest']);
+        const [balance] = this.tokenInterface.decodeFunctionResult('balanceOf', result);
+        return Number(ethers.formatUnits(balance, this.usdtDecimals));
+      }
+
+      throw new Error(`Unsupported asset: ${asset}`);
+    } catch (error) {
+      console.error(`Error getting ${asset} balance for ${address} (BSC):`, error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Find latest USDT Transfer event to the address
+   * @param {string} address - Escrow address
+   * @param {string} asset - Only 'USDT' is supported
+   * @param {number} expectedAmount - 0 to return any deposit
+   * @returns {Promise<Object|null>} - { txHash, amount, block, from, confirmed }
+   */
+  async checkDeposit(address, asset, expectedAmount) {
+    const deposits = await this.getDeposits(address, asset);
+    return deposits.find(deposit => expectedAmount === 0 || deposit.amount >= expectedAmount * 0.5) || null;
+  }
+
+  /**
+   * All USDT Transfer events to the address within the lookback window, newest first
+   * @param {string} address - Escrow address
+   * @param {string} asset - Only 'USDT' is supported
+   * @returns {Promise<Array<Object>>} - [{ txHash, amount, block, from, confirmed }]
+   */
+  async getDeposits(address, asset) {
+    if (asset !== 'USDT') {
+      return [];
+    }
+
+    try {
+      const latestBlock = parseInt(await this.rpc('eth_blockNumber'), 16);
+      const fromBlock = Math.max(0, latestBlock - this.depositLookbackBlocks);
+
+      const logs = await this.rpc('eth_getLogs', [{
+        address: this.usdtContract,
+        fromBlock: ethers.toQuantity(fromBlock),
+        toBlock: 'latest',
+        topics: [this.transferTopic, null, ethers.zeroPadValue(address, 32)]
+      }]);
+
+      // Newest first (same order as TronGrid results)
+      return [...logs].reverse().map(log => ({
+        txHash: log.transactionHash,
+        amount: Number(ethers.formatUnits(log.data, this.usdtDecimals)),
+        block: parseInt(log.blockNumber, 16),
+        from: ethers.getAddress(ethers.dataSlice(log.topics[1], 12)),
+        confirmed: false
+      }));
+    } catch (error) {
+      console.error('Error checking deposit (BSC):', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Build unsigned transfer (legacy gas price - BSC does not use EIP-1559 fees)
+   * @returns {Promise<Object>} - Transaction request for signTransaction()
+   */
+  async buildTransfer(fromAddress, toAddress, amount, asset = 'USDT') {
+    try {
+      const [nonce, gasPrice] = await Promise.all([
+        this.rpc('eth_getTransactionCount', [fromAddress, 'pending']),
+        this.rpc('eth_gasPrice')
+      ]);
+
+      const transaction = {
+        type: 0,
+        chainId: this.chainId,
+        nonce: parseInt(nonce, 16),
+        gasPrice: BigInt(gasPrice)
+      };
+
+      if (asset === this.nativeAsset) {
+        transaction.to = toAddress;
+        transaction.value = ethers.parseEther(amount.toFixed(18));
+        transaction.gasLimit = BigInt(NATIVE_TRANSFER_GAS);
+        return transaction;
+      }
+
+      if (asset !== 'USDT') {
+        throw new Error(`Unsupported asset: ${asset}`);
+      }
+
+      // Amounts are kept with 6 decimals across the app
+      const value = ethers.parseUnits(amount.toFixed(6), this.usdtDecimals);
+      const data = this.tokenInterface.encodeFunctionData('transfer', [toAddress, value]);
+
+      let gasLimit = BigInt(TOKEN_TRANSFER_GAS);
+      try {
+        const estimated = BigInt(await this.rpc('eth_estimateGas', [{ from: fromAddress, to: this.usdtContract, data }]));
+        gasLimit = estimated * 12n / 10n;
+      } catch (error) {
+        console.warn(`⚠️ Gas estimation failed (BSC), using default ${TOKEN_TRANSFER_GAS}: ${error.message}`);
+      }
+
+      return {
+        ...transaction,
+        to: this.usdtContract,
+        value: 0n,
+        data,
+        gasLimit
+      };
+    } catch (error) {
+      console.error('Error creating transfer (BSC):', error.message);
+      throw new Error(`Failed to create transaction: ${error.message}`);
+    }
+  }
+
+  /**
+   * @returns {Promise<string>} - Serialized signed transaction
+   */
+  async signTransaction(transaction, privateKey) {
+    try {
+      const wallet = new ethers.Wallet(this.normalizeKey(privateKey));
+      return await wallet.signTransaction(transaction);
+    } catch (error) {
+      console.error('❌ Error signing transaction (BSC):', error.message);
+      throw new Error(`Failed to sign transaction: ${error.message}`);
+    }
+  }
+
+  /**
+   * @returns {Promise<Object>} - { success, txHash, message } (same shape as TRON)
+   */
+  async broadcastTransaction(signedTransaction) {
+    try {
+      const txHash = await this.rpc('eth_sendRawTransaction', [signedTransaction]);
+      return {
+        success: true,
+        txHash,
+        message: 'Transaction broadcast successfully'
+      };
+    } catch (error) {
+      // ethers wraps node errors - keep the node's own message
+      const message = error.error?.message || error.shortMessage || error.message;
+      console.error('Error broadcasting transaction (BSC):', message);
+      return {
+        success: false,
+        error: error.code || 'Unknown error',
+        message: message || 'Transaction failed'
+      };
+    }
+  }
+
+  /**
+   * @returns {Promise<Object>} - { fee, feeAsset, gasLimit }
+   */
+  async estimateTransferFee(fromAddress, toAddress, amount, asset = 'USDT') {
+    const transaction = await this.buildTransfer(fromAddress, toAddress, amount, asset);
+    const fee = transaction.gasLimit * transaction.gasPrice;
+    return {
+      fee: Number(ethers.formatEther(fee)),
+      feeAsset: this.nativeAsset,
+      gasLimit: Number(transaction.gasLimit)
+    };
+  }
+
+  /**
+   * Top up escrow address with BNB for gas of the upcoming token transfers
+   * @param {string} address - Escrow address
+   * @param {number} transfers - Number of token transfers to cover
+   * @returns {Promise<Object>} - { funded, txHash, amount }
+   */
+  async ensureFeeBalance(address, transfers = 2) {
+    const gasPrice = BigInt(await this.rpc('eth_gasPrice'));
+    const needed = gasPrice * BigInt(TOKEN_TRANSFER_GAS) * 12n / 10n * BigInt(transfers);
+    const balance = BigInt(await this.rpc('eth_getBalance', [address, 'latest']));
+
+    if (balance >= needed) {
+      return { funded: false };
+    }
+
+    if (!this.gasPrivateKey) {
+      throw new Error('BSC_GAS_PRIVATE_KEY not configured');
+    }
+
+    const topUp = needed - balance;
+    const gasWallet = this.privateKeyToAddress(this.gasPrivateKey);
+    const nonce = await this.rpc('eth_getTransactionCount', [gasWallet, 'pending']);
+
+    const signed = await this.signTransaction({
+      type: 0,
+      chainId: this.chainId,
+      nonce: parseInt(nonce, 16),
+      gasPrice,
+      gasLimit: BigInt(NATIVE_TRANSFER_GAS),
+      to: address,
+      value: topUp
+    }, this.gasPrivateKey);
+
+    const result = await this.broadcastTransaction(signed);
+    if (!result.success) {
+      throw new Error(`Failed to send BNB for gas: ${result.message}`);
+    }
+
+    await this.waitForTransaction(result.txHash);
+
+    const amount = Number(ethers.formatEther(topUp));
+    console.log(`⛽ Sent ${amount} BNB for gas to ${address}: ${result.txHash}`);
+    return { funded: true, txHash: result.txHash, amount };
+  }
+
+  /**
+   * Re-validate a transaction and count its confirmations
+   * Finality comes from the 'finalized' block tag (BSC fast finality).
+   * @returns {Promise<Object>} - { found, success, blockNumber, confirmations, finalized }
+   */
+  async getTransactionConfirmations(txHash) {
+    const receipt = await this.rpc('eth_getTransactionReceipt', [txHash]);
+    if (!receipt?.blockNumber) {
+      return { found: false, success: false, blockNumber: null, confirmations: 0, finalized: false };
+    }
+
+    const blockNumber = parseInt(receipt.blockNumber, 16);
+    const latestBlock = parseInt(await this.rpc('eth_blockNumber'), 16);
+    const finalizedBlock = await this.rpc('eth_getBlockByNumber', ['finalized', false]);
+
+    return {
+      found: true,
+      success: receipt.status === '0x1',
+      blockNumber,
+      confirmations: Math.max(0, latestBlock - blockNumber),
+      finalized: !!finalizedBlock && blockNumber <= parseInt(finalizedBlock.number, 16)
+    };
+  }
+
+  /**
+   * Poll for receipt until the transaction is mined
+   * @returns {Promise<boolean>} - true if mined successfully
+   */
+  async waitForTransaction(txHash, timeoutMs = this.confirmationTimeoutMs) {
+    const startedAt = Date.now();
+
+    while (Date.now() - startedAt <= timeoutMs) {
+      const receipt = await this.rpc('eth_getTransactionReceipt', [txHash]);
+      if (receipt) {
+        return receipt.status === '0x1';
+      }
+      await new Promise(r => setTimeout(r, 3000));
+    }
+
+    return false;
+  }
+
+  getExplorerTxLink(txHash) {
+    return `${this.explorerUrl}/tx/${txHash}`;
+  }
+
+  getExplorerAddressLink(address) {
+    return `${this.explorerUrl}/address/${address}`;
+  }
+}
+
+module.exports = Bep20Adapter;
@@ -0,0 +1,100 @@
+const blockchainService = require('../blockchain');
+
+/**
+ * TRON chain adapter (USDT TRC-20 and native TRX).
+ * Thin wrapper over BlockchainService - TRON specifics (FeeSaver energy/bandwidth,
+ * activation, fallback TRX) stay in the payout flow and depositMonitor.
+ */
+class TronAdapter {
+  constructor() {
+    this.network = 'tron';
+    this.nativeAsset = 'TRX';
+    this.assets = ['USDT', 'TRX'];
+    this.explorerUrl = 'https://tronscan.org/#';
+    this.explorerName = 'TronScan';
+  }
+
+  /**
+   * Create escrow wallet for a deal
+   * @returns {Promise<Object>} - { address, privateKey, threshold, permissionsJson }
+   */
+  async createEscrowWallet(buyerKey, sellerKey, arbiterKey) {
+    return blockchainService.createMultisigWallet(buyerKey, sellerKey, arbiterKey);
+  }
+
+  async generateAccount() {
+    return blockchainService.generateKeyPair();
+  }
+
+  isValidAddress(address) {
+    return blockchainService.isValidAddress(address);
+  }
+
+  privateKeyToAddress(privateKey) {
+    return blockchainService.privateKeyToAddress(privateKey);
+  }
+
+  async getBalance(address, asset = 'USDT') {
+    return blockchainService.getBalance(address, asset);
+  }
+
+  async checkDeposit(address, asset, expectedAmount) {
+    return blockchainService.checkDeposit(address, asset, expectedAmount);
+  }
+
+  async getDeposits(address, asset) {
+    return blockchainService.getDeposits(address, asset);
+  }
+
+  async getTransactionConfirmations(txHash) {
+    return blockchainService.getTransactionConfirmations(txHash);
+  }
+
+  async buildTransfer(fromAddress, toAddress, amount, asset = 'USDT') {
+    return blockchainService.createReleaseTransaction(fromAddress, toAddress, amount, asset);
+  }
+
+  async signTransaction(transaction, privateKey) {
+    return blockchainService.signTransaction(transaction, privateKey);
+  }
+
+  async broadcastTransaction(signedTransaction) {
+    return blockchainService.broadcastTransaction(signedTransaction);
+  }
+
+  /**
+   * Estimate transfer fee
+   * TRX transfers only burn bandwidth, USDT transfers need energy
+   * @returns {Promise<Object>} - { fee, feeAsset, energy }
+   */
+  async estimateTransferFee(fromAddress, toAddress, amount, asset = 'USDT') {
+    if (asset === 'TRX') {
+      return { fee: 0.3, feeAsset: 'TRX', energy: 0 };
+    }
+
+    const estimate = await blockchainService.estimateTransferEnergy(fromAddress, toAddress, amount);
+    // 1 energy = 420 SUN when burned instead of rented
+    return {
+      fee: Math.round(estimate.energyNeeded * 420 / 1e6 * 100) / 100,
+      feeAsset: 'TRX',
+      energy: estimate.energyNeeded
+    };
+  }
+
+  /**
+   * TRON fees are covered by FeeSaver rental or fallback TRX in the payout flow
+   */
+  async ensureFeeBalance() {
+    return { funded: false };
+  }
+
+  getExplorerTxLink(txHash) {
+    return `${this.explorerUrl}/transaction/${txHash}`;
+  }
+
+  getExplorerAddressLink(address) {
+    return `${this.explorerUrl}/address/${address}`;
+  }
+}
+
+module.exports = TronAdapter;
@@ -0,0 +1,101 @@
+/**
+ * Chain adapters registry
+ *
+ * Every deal records its network (Deal.network). Code that touches the chain
+ * for a deal gets the adapter with getChainAdapter(deal.network).
+ *
+ * Adapter interface:
+ * - network, nativeAsset, assets, explorerName
+ * - createEscrowWallet(buyerKey, sellerKey, arbiterKey) -> { address, privateKey, threshold, permissionsJson }
+ * - generateAccount() -> { privateKey, publicKey, address }
+ * - isValidAddress(address), privateKeyToAddress(privateKey)
+ * - getBalance(address, asset) -> number
+ * - checkDeposit(address, asset, expectedAmount) -> { txHash, amount, block, from, confirmed } | null
+ * - getDeposits(address, asset) -> [{ txHash, amount, block, from, confirmed }], newest first
+ * - getTransactionConfirmations(txHash) -> { found, success, blockNumber, confirmations, finalized }
+ * - buildTransfer(from, to, amount, asset) -> unsigned tx
+ * - signTransaction(tx, privateKey) -> signed tx
+ * - broadcastTransaction(signedTx) -> { success, txHash, message, error }
+ * - estimateTransferFee(from, to, amount, asset) -> { fee, feeAsset, ... }
+ * - ensureFeeBalance(address, transfers) -> { funded, txHash, amount }
+ * - getExplorerTxLink(txHash), getExplorerAddressLink(address)
+ */
+
+const { DEFAULT_NETWORK } = require('../../config/constants');
+
+// Loaded lazily - unused networks don't open RPC clients
+const ADAPTER_LOADERS = {
+  tron: () => new (require('./TronAdapter'))(),
+  bep20: () => new (require('./Bep20Adapter'))()
+};
+
+const adapters = new Map();
+
+/**
+ * @param {string} [network] - Deal network, defaults to DEFAULT_NETWORK (old deals have none)
+ * @returns {Object} Chain adapter
+ */
+function getChainAdapter(network) {
+  const name = network || DEFAULT_NETWORK;
+
+  if (!adapters.has(name)) {
+    const load = ADAPTER_LOADERS[name];
+    if (!load) {
+      throw new Error(`Unsupported network: ${name}`);
+    }
+    adapters.set(name, load());
+  }
+
+  return adapters.get(name);
+}
+
+/**
+ * Replace adapter instance (tests point adapters at a mock node)
+ */
+function setChainAdapter(network, adapter) {
+  adapters.set(network, adapter);
+}
+
+/**
+ * Get funds held in escrow for a deal (in deal asset units).
+ * If the deal asset is the native coin, the escrow balance may also hold coins
+ * sent by the service (activation, fees), so it is capped by the buyer's
+ * deposit minus milestone payouts already made.
+ * The buyer's overpayment is not part of it until refunded (Deal.getRefundableOverpayment).
+ * @param {Object} deal - Deal (network, multisigAddress, asset, actualDepositAmount, milestones, overpayment)
+ * @returns {Promise<number>}
+ */
+async function getDealBalance(deal) {
+  const Deal = require('../../models/Deal');
+  const chain = getChainAdapter(deal.network);
+  const balance = await chain.getBalance(deal.multisigAddress, deal.asset);
+  const overpayment = Deal.getRefundableOverpayment(deal);
+
+  if (deal.asset !== chain.nativeAsset || !deal.actualDepositAmount) {
+    return Math.max(0, Math.round((balance - overpayment) * 1e6) / 1e6);
+  }
+
+  const paidOut = (deal.milestones || []).reduce(
+    (sum, milestone) => sum + (milestone.payoutAmount || 0) + (milestone.commission || 0),
+    0
+  );
+
+  return Math.max(0, Math.min(
+    Math.round((balance - overpayment) * 1e6) / 1e6,
+    Math.round((deal.actualDepositAmount - paidOut - overpayment) * 1e6) / 1e6
+  ));
+}
+
+/**
+ * Explorer link for a transaction (used where no adapter instance is needed)
+ */
+function getExplorerTxLink(network, txHash) {
+  return getChainAdapter(network).getExplorerTxLink(txHash);
+}
+
+module.exports = {
+  getChainAdapter,
+  setChainAdapter,
+  getDealBalance,
+  getExplorerTxLink
+};
@@ -5,9 +5,11 @@ const MultisigWallet = require('../models/MultisigWallet');
 const Session = require('../models/Session');
 const ServiceStatus = require('../models/ServiceStatus');
 const blockchainService = require('./blockchain');
+const { getDealBalance } = require('./chains');
 const feesaverService = require('./feesaver');
 const priceService = require('./priceService');
 const adminAlertService = require('./adminAlertService');
+const webhookService = require('./webhookService');
 const constants = require('../config/constants');
 const messageManager = require('../bot/utils/messageManager');
 const TronWeb = require('tronweb');
@@ -28,6 +30,7 @@ const SERVICE_NAME = 'DeadlineMonitor';
  * 2. +12 hours without action:
  *    - If work_submitted → auto-release to seller (work accepted by default)
  *    - Otherwise → auto-refund to buyer
+ *    (postponed while a deadline extension proposal is pending)
  *
  * Commission is always taken in standard mode (no penalties).
  */
@@ -262,6 +265,12 @@ class DeadlineMonitor {
         console.log(`📬 Deadline notification sent and persisted for deal ${deal.dealId}`);
       }
 
+      // Parties are negotiating a new deadline - wait for the answer
+      if (gracePeriodPassed && Deal.hasPendingExtension(currentDeal, now)) {
+        console.log(`⏭️ Deal ${deal.dealId} has a pending deadline extension, skipping auto-refund/release`);
+        return;
+      }
+
       // If grace period passed → auto-refund or auto-release based on status
       if (gracePeriodPassed) {
         if (currentDeal.status === 'work_submitted') {
@@ -405,11 +414,12 @@ class DeadlineMonitor {
       console.log(`🔐 Requesting buyer's private key for refund on deal ${deal.dealId}...`);
 
       // Get multisig wallet balance
-      const balance = await blockchainService.getBalance(deal.multisigAddress, deal.asset);
+      const balance = await getDealBalance(deal);
 
       if (balance <= 0) {
         console.log(`⏭️ Deal ${deal.dealId} has zero balance, marking as expired...`);
         await Deal.findByIdAndUpdate(deal._id, { status: 'expired' });
+        await webhookService.dispatch(deal, 'deal.expired');
         return;
       }
 
@@ -421,8 +431,8 @@ class DeadlineMonitor {
         return;
       }
 
-      // Calculate amounts
-      const commission = deal.commission;
+      // Calculate amounts (milestone deals: everything left in escrow is refunded)
+      const commission = Deal.getRemainingCommission(deal);
       const refundAmount = balance - commission;
 
       // Update deal status to expired and mark pending key validation
@@ -431,6 +441,8 @@ class DeadlineMonitor {
         pendingKeyValidation: 'buyer_refund'
       });
 
+      await webhookService.dispatch(deal, 'deal.expired', { refundAmount, commission });
+
       // Create key validation session for buyer
       await Session.setSession(deal.buyerId, 'key_validation', {
         dealId: deal.dealId,
@@ -457,6 +469,7 @@ class DeadlineMonitor {
 
       const buyerKeyboard = {
         inline_keyboard: [
+          [{ text: t(buyerLang, 'btn.sign_offline'), callback_data: `offline_sign:${deal.dealId}` }],
           [{ text: t(buyerLang, 'btn.main_menu'), callback_data: 'main_menu' }]
         ]
       };
@@ -541,7 +554,7 @@ class DeadlineMonitor {
       }
 
       // Check if key validation already requested
-      if (currentDeal.pendingKeyValidation === 'seller_release') {
+      if (['seller_release', 'milestone_release'].includes(currentDeal.pendingKeyValidation)) {
         console.log(`⏭️ Deal ${deal.dealId} already has pending key validation, skipping...`);
         return;
       }
@@ -549,11 +562,12 @@ class DeadlineMonitor {
       console.log(`🔐 Requesting seller's private key for release on deal ${deal.dealId}...`);
 
       // Get multisig wallet balance
-      const balance = await blockchainService.getBalance(deal.multisigAddress, deal.asset);
+      const balance = await getDealBalance(deal);
 
       if (balance <= 0) {
         console.log(`⏭️ Deal ${deal.dealId} has zero balance, marking as completed...`);
         await Deal.findByIdAndUpdate(deal._id, { status: 'completed', completedAt: new Date() });
+        await webhookService.dispatch(deal, 'deal.completed');
         return;
       }
 
@@ -566,18 +580,26 @@ class DeadlineMonitor {
       }
 
       // Calculate amounts
-      const commission = deal.commission;
-      const releaseAmount = balance - commission;
+      // Milestone deals: a milestone that is not the last one releases only its funds
+      const keyValidationType = Deal.hasNextMilestone(deal) ? 'milestone_release' : 'seller_release';
+      let commission = Deal.getRemainingCommission(deal);
+      let releaseAmount = balance - commission;
+
+      if (keyValidationType === 'milestone_release') {
+        const payout = Deal.getMilestonePayout(deal, deal.currentMilestone);
+        commission = payout.commission;
+        releaseAmount = payout.payoutAmount;
+      }
 
       // Update deal status to mark pending key validation
       await Deal.findByIdAndUpdate(deal._id, {
-        pendingKeyValidation: 'seller_release'
+        pendingKeyValidation: keyValidationType
       });
 
       // Create key validation session for seller
       await Session.setSession(deal.sellerId, 'key_validation', {
         dealId: deal.dealId,
-        type: 'seller_release',
+        type: keyValidationType,
         attempts: 0,
         releaseAmount,
         commission
@@ -600,6 +622,7 @@ class DeadlineMonitor {
 
       const sellerKeyboard = {
         inline_keyboard: [
+          [{ text: t(sellerLang, 'btn.sign_offline'), callback_data: `offline_sign:${deal.dealId}` }],
           [{ text: t(sellerLang, 'btn.main_menu'), callback_data: 'main_menu' }]
         ]
       };
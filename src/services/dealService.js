@@ -5,6 +5,10 @@ const MultisigWallet = require('../models/MultisigWallet');
 const AuditLog = require('../models/AuditLog');
 const ServiceStatus = require('../models/ServiceStatus');
 const blockchainService = require('./blockchain');
+const priceService = require('./priceService');
+const webhookService = require('./webhookService');
+const trustService = require('./trustService');
+const { getChainAdapter } = require('./chains');
 const constants = require('../config/constants');
 
 class DealService {
@@ -24,13 +28,54 @@ class DealService {
   }
 
   /**
-   * Check if user can create a new deal (hasn't reached the limit)
+   * Check if user can create a new deal (hasn't reached the limit of their trust tier)
    * @param {number} telegramId
    * @returns {Promise<boolean>}
    */
   async canCreateNewDeal(telegramId) {
-    const count = await this.countActiveDeals(telegramId);
-    return count < constants.MAX_ACTIVE_DEALS_PER_USER;
+    const [count, max] = await Promise.all([
+      this.countActiveDeals(telegramId),
+      this.getMaxActiveDeals(telegramId)
+    ]);
+    return count < max;
+  }
+
+  /**
+   * Max concurrent deals of the user's trust tier
+   * @param {number} telegramId
+   * @returns {Promise<number>}
+   */
+  async getMaxActiveDeals(telegramId) {
+    const limits = await trustService.getLimits(telegramId);
+    return limits.maxActiveDeals;
+  }
+
+  /**
+   * Count invite links created by the user that nobody accepted yet
+   * @param {number} telegramId
+   * @returns {Promise<number>}
+   */
+  async countOpenInvites(telegramId) {
+    return await Deal.countDocuments({
+      status: 'pending_counterparty',
+      $or: [
+        { buyerId: telegramId, creatorRole: 'buyer' },
+        { sellerId: telegramId, creatorRole: 'seller' }
+      ]
+    });
+  }
+
+  /**
+   * Max single deal amount allowed for all given users (in deal asset units)
+   * @param {Array<number>} telegramIds - Participants known so far
+   * @param {string} [asset='USDT']
+   * @param {number|null} [trxPrice] - TRX/USDT rate for TRX deals
+   * @returns {Promise<number>}
+   */
+  async getMaxDealAmount(telegramIds, asset = 'USDT', trxPrice = null) {
+    const limits = await Promise.all(telegramIds.map(id => trustService.getLimits(id)));
+    const maxUsdt = Math.min(...limits.map(l => l.maxDealAmount));
+    return Deal.fromUsdt(maxUsdt, asset, trxPrice);
   }
 
   /**
@@ -121,16 +166,18 @@ class DealService {
    * @param {number} sellerId
    * @param {string} description
    * @param {number} amount
+   * @param {string} [asset='USDT']
+   * @param {number|null} [trxPrice] - TRX/USDT rate for TRX deals
    * @returns {Promise<Object>} - { valid, error }
    */
-  async validateDealCreation(buyerId, sellerId, description, amount) {
+  async validateDealCreation(buyerId, sellerId, description, amount, asset = 'USDT', trxPrice = null) {
     // Validate amount first (no DB query needed)
-    if (amount < constants.MIN_DEAL_AMOUNT) {
-      return { valid: false, error: `Minimum deal amount is ${constants.MIN_DEAL_AMOUNT} USDT` };
+    const minAmount = Deal.fromUsdt(constants.MIN_DEAL_AMOUNT, asset, trxPrice);
+    if (amount < minAmount) {
+      return { valid: false, error: `Minimum deal amount is ${minAmount} ${asset}` };
     }
 
     const uniqueKey = Deal.generateUniqueKey(buyerId, sellerId, description);
-    const maxDeals = constants.MAX_ACTIVE_DEALS_PER_USER;
 
     // Execute all queries in parallel (batch optimization)
     const [users, buyerDealsCount, sellerDealsCount, existingDeal] = await Promise.all([
@@ -175,22 +222,34 @@ class DealService {
       return { valid: false, error: 'Seller has not started the bot yet. Ask them to start @YourBotName first.' };
     }
 
-    // Check if users are blacklisted
-    if (buyer.blacklisted) {
+    // Check if users are banned or restricted from deals
+    if (User.isRestricted(buyer, 'deal_creation')) {
       return { valid: false, error: 'Buyer is blacklisted and cannot create deals' };
     }
 
-    if (seller.blacklisted) {
+    if (User.isRestricted(seller, 'deal_creation')) {
       return { valid: false, error: 'Seller is blacklisted and cannot participate in deals' };
     }
 
+    // Trust tier limits of both parties
+    const [buyerLimits, sellerLimits] = await Promise.all([
+      trustService.getLimits(buyer),
+      trustService.getLimits(seller)
+    ]);
+
     // Check active deals limit
-    if (buyerDealsCount >= maxDeals) {
-      return { valid: false, error: `У вас уже ${buyerDealsCount} активных сделок (максимум ${maxDeals}). Завершите одну из них перед созданием новой.` };
+    if (buyerDealsCount >= buyerLimits.maxActiveDeals) {
+      return { valid: false, error: `У вас уже ${buyerDealsCount} активных сделок (максимум ${buyerLimits.maxActiveDeals}). Завершите одну из них перед созданием новой.` };
+    }
+
+    if (sellerDealsCount >= sellerLimits.maxActiveDeals) {
+      return { valid: false, error: `У контрагента уже ${sellerDealsCount} активных сделок (максимум ${sellerLimits.maxActiveDeals}). Он должен завершить одну из них.` };
     }
 
-    if (sellerDealsCount >= maxDeals) {
-      return { valid: false, error: `У контрагента уже ${sellerDealsCount} активных сделок (максимум ${maxDeals}). Он должен завершить одну из них.` };
+    // Check single deal amount limit
+    const maxAmount = Deal.fromUsdt(Math.min(buyerLimits.maxDealAmount, sellerLimits.maxDealAmount), asset, trxPrice);
+    if (amount > maxAmount) {
+      return { valid: false, error: `Сумма сделки превышает лимит уровня доверия участников (максимум ${maxAmount} ${asset}).` };
     }
 
     // Check for duplicate deal
@@ -206,18 +265,19 @@ class DealService {
    * Only checks creator constraints
    * @param {number} creatorId
    * @param {number} amount
+   * @param {string} [asset='USDT']
+   * @param {number|null} [trxPrice] - TRX/USDT rate for TRX deals
    * @returns {Promise<Object>} - { valid, error }
    */
-  async validateInviteDealCreation(creatorId, amount) {
+  async validateInviteDealCreation(creatorId, amount, asset = 'USDT', trxPrice = null) {
     // Validate amount first (no DB query needed)
-    if (amount < constants.MIN_DEAL_AMOUNT) {
-      return { valid: false, error: `Minimum deal amount is ${constants.MIN_DEAL_AMOUNT} USDT` };
+    const minAmount = Deal.fromUsdt(constants.MIN_DEAL_AMOUNT, asset, trxPrice);
+    if (amount < minAmount) {
+      return { valid: false, error: `Minimum deal amount is ${minAmount} ${asset}` };
     }
 
-    const maxDeals = constants.MAX_ACTIVE_DEALS_PER_USER;
-
     // Execute queries in parallel
-    const [creator, activeDealsCount] = await Promise.all([
+    const [creator, activeDealsCount, openInvitesCount] = await Promise.all([
       User.findOne({ telegramId: creatorId }).lean(),
       Deal.countDocuments({
         $or: [
@@ -225,7 +285,8 @@ class DealService {
           { sellerId: creatorId }
         ],
         status: { $in: constants.BLOCKING_DEAL_STATUSES }
-      })
+      }),
+      this.countOpenInvites(creatorId)
     ]);
 
     // Validate creator exists
@@ -233,14 +294,27 @@ class DealService {
       return { valid: false, error: 'User not found' };
     }
 
-    // Check if creator is blacklisted
-    if (creator.blacklisted) {
+    // Check if creator is banned or restricted from deals
+    if (User.isRestricted(creator, 'deal_creation')) {
       return { valid: false, error: 'You are blacklisted and cannot create deals' };
     }
 
+    const limits = await trustService.getLimits(creator);
+
     // Check active deals limit
-    if (activeDealsCount >= maxDeals) {
-      return { valid: false, error: `У вас уже ${activeDealsCount} активных сделок (максимум ${maxDeals}). Завершите одну из них перед созданием новой.` };
+    if (activeDealsCount >= limits.maxActiveDeals) {
+      return { valid: false, error: `У вас уже ${activeDealsCount} активных сделок (максимум ${limits.maxActiveDeals}). Завершите одну из них перед созданием новой.` };
+    }
+
+    // Check open invite links limit
+    if (openInvitesCount >= limits.maxOpenInvites) {
+      return { valid: false, error: `У вас уже ${openInvitesCount} неиспользованных ссылок-приглашений (максимум ${limits.maxOpenInvites}). Дождитесь принятия или отмените одну из них.` };
+    }
+
+    // Check single deal amount limit
+    const maxAmount = Deal.fromUsdt(limits.maxDealAmount, asset, trxPrice);
+    if (amount > maxAmount) {
+      return { valid: false, error: `Сумма сделки превышает лимит вашего уровня доверия (максимум ${maxAmount} ${asset}).` };
     }
 
     return { valid: true };
@@ -263,17 +337,20 @@ class DealService {
       deadlineHours,
       creatorAddress,
       creatorPrivateKey: providedPrivateKey, // Pre-generated key from UI flow
-      fromTemplate = false
+      fromTemplate = false,
+      sourcePlatformId = null, // Partner platform whose API draft this deal comes from
+      sourcePlatformCode = null
     } = dealData;
 
     // Validate
-    const validation = await this.validateInviteDealCreation(creatorId, amount);
+    const trxPrice = await this.getAssetPrice(asset);
+    const validation = await this.validateInviteDealCreation(creatorId, amount, asset, trxPrice);
     if (!validation.valid) {
       throw new Error(validation.error);
     }
 
     // Calculate commission
-    const commission = Deal.calculateCommission(amount);
+    const commission = Deal.calculateCommission(amount, asset, trxPrice);
 
     // Generate deal ID and invite token
     const dealId = await Deal.generateDealId();
@@ -308,9 +385,10 @@ class DealService {
     const sellerAddress = creatorRole === 'seller' ? creatorAddress : null;
 
     // Get platform info from creator (counterparty platform set on accept)
+    // Partner API drafts are attributed to the partner that created them
     const creator = await User.findOne({ telegramId: creatorId });
-    const creatorPlatformId = creator?.platformId || null;
-    const creatorPlatformCode = creator?.platformCode || null;
+    const creatorPlatformId = sourcePlatformId || creator?.platformId || null;
+    const creatorPlatformCode = sourcePlatformId ? sourcePlatformCode : (creator?.platformCode || null);
 
     // Set platform by role
     const buyerPlatformId = creatorRole === 'buyer' ? creatorPlatformId : null;
@@ -332,6 +410,7 @@ class DealService {
       description,
       asset,
       amount,
+      assetPriceUsdt: trxPrice,
       commission,
       commissionType,
       multisigAddress: null, // Will be set when counterparty accepts
@@ -340,8 +419,9 @@ class DealService {
       uniqueKey,
       buyerAddress,
       sellerAddress,
-      buyerPrivateKey: creatorRole === 'buyer' ? creatorPrivateKey : null,
-      sellerPrivateKey: creatorRole === 'seller' ? creatorPrivateKey : null,
+      // Only the key address is stored - the key itself is shown to the creator once
+      buyerKeyAddress: creatorRole === 'buyer' ? blockchainService.privateKeyToAddress(creatorPrivateKey) : null,
+      sellerKeyAddress: creatorRole === 'seller' ? blockchainService.privateKeyToAddress(creatorPrivateKey) : null,
       inviteToken,
       inviteExpiresAt,
       fromTemplate
@@ -357,6 +437,8 @@ class DealService {
       inviteToken: true // Mark as invite-based deal
     });
 
+    await webhookService.dispatch(deal, 'deal.created');
+
     console.log(`📨 Invite deal ${deal.dealId} created by ${creatorId}, token: ${inviteToken}`);
 
     return {
@@ -400,15 +482,22 @@ class DealService {
     if (!counterparty) {
       throw new Error('User not found');
     }
-    if (counterparty.blacklisted) {
+    if (User.isRestricted(counterparty, 'deal_creation')) {
       throw new Error('You are blacklisted and cannot participate in deals');
     }
 
-    // Check counterparty hasn't reached the deals limit
-    const canCreate = await this.canCreateNewDeal(counterpartyId);
-    if (!canCreate) {
-      const count = await this.countActiveDeals(counterpartyId);
-      throw new Error(`У вас уже ${count} активных сделок (максимум ${constants.MAX_ACTIVE_DEALS_PER_USER}). Завершите одну из них.`);
+    // Check counterparty hasn't reached the limits of their trust tier
+    const [count, limits] = await Promise.all([
+      this.countActiveDeals(counterpartyId),
+      trustService.getLimits(counterparty)
+    ]);
+    if (count >= limits.maxActiveDeals) {
+      throw new Error(`У вас уже ${count} активных сделок (максимум ${limits.maxActiveDeals}). Завершите одну из них.`);
+    }
+
+    const maxAmount = Deal.fromUsdt(limits.maxDealAmount, deal.asset, deal.assetPriceUsdt);
+    if (deal.amount > maxAmount) {
+      throw new Error(`Сумма сделки превышает лимит вашего уровня доверия (максимум ${maxAmount} ${deal.asset}).`);
     }
 
     // Generate private key for counterparty
@@ -418,11 +507,12 @@ class DealService {
     // Get arbiter key
     const arbiterPrivateKey = process.env.ARBITER_PRIVATE_KEY;
 
-    // Create multisig wallet now that we have both parties
+    // Create the escrow wallet now that we have both parties. Temp keys only fill
+    // the permission template - the real 2-of-3 is set after the deposit
     const tempBuyerKeys = await blockchainService.generateKeyPair();
     const tempSellerKeys = await blockchainService.generateKeyPair();
 
-    const multisigWallet = await blockchainService.createMultisigWallet(
+    const multisigWallet = await getChainAdapter(deal.network).createEscrowWallet(
       tempBuyerKeys.privateKey,
       tempSellerKeys.privateKey,
       arbiterPrivateKey
@@ -433,21 +523,18 @@ class DealService {
       // Creator is buyer, counterparty is seller
       deal.sellerId = counterpartyId;
       deal.sellerAddress = counterpartyAddress;
-      deal.sellerPrivateKey = counterpartyPrivateKey;
+      deal.sellerKeyAddress = blockchainService.privateKeyToAddress(counterpartyPrivateKey);
       deal.status = 'waiting_for_deposit';
     } else {
       // Creator is seller, counterparty is buyer
       deal.buyerId = counterpartyId;
       deal.buyerAddress = counterpartyAddress;
-      deal.buyerPrivateKey = counterpartyPrivateKey;
+      deal.buyerKeyAddress = blockchainService.privateKeyToAddress(counterpartyPrivateKey);
       deal.status = 'waiting_for_deposit';
     }
 
     // Set multisig info
     deal.multisigAddress = multisigWallet.address;
-    deal.buyerKey = tempBuyerKeys.privateKey;
-    deal.sellerKey = tempSellerKeys.privateKey;
-    deal.arbiterKey = arbiterPrivateKey;
 
     // Clear invite token (link is now used)
     deal.inviteToken = null;
@@ -470,6 +557,7 @@ class DealService {
     const wallet = new MultisigWallet({
       dealId: deal._id,
       address: multisigWallet.address,
+      network: deal.network,
       privateKey: multisigWallet.privateKey,
       buyerPublicKey: tempBuyerKeys.address,
       sellerPublicKey: tempSellerKeys.address,
@@ -568,9 +656,85 @@ class DealService {
     return true;
   }
 
+  /**
+   * Check asset is supported and get TRX/USDT rate for TRX deals.
+   * The rate is stored with the deal so commission stays the same after creation.
+   * @param {string} asset
+   * @returns {Promise<number|null>} - Rate for TRX, null for USDT
+   */
+  async getAssetPrice(asset) {
+    if (!constants.SUPPORTED_ASSETS.includes(asset)) {
+      throw new Error(`Unsupported asset: ${asset}`);
+    }
+
+    return asset === 'TRX' ? await priceService.getTrxPrice() : null;
+  }
+
+  /**
+   * Build milestone list from creation input.
+   * Deadlines are counted from now and must increase from one milestone to the next.
+   * @param {Array<Object>} milestones - [{ title, amount, deadlineHours }]
+   * @param {string} [asset='USDT']
+   * @param {number|null} [trxPrice] - TRX/USDT rate for TRX deals
+   * @returns {Object} - { milestones, amount }
+   */
+  buildMilestones(milestones, asset = 'USDT', trxPrice = null) {
+    if (!Array.isArray(milestones) || milestones.length < 2) {
+      throw new Error('A milestone deal needs at least 2 milestones');
+    }
+
+    if (milestones.length > constants.MAX_MILESTONES) {
+      throw new Error(`Maximum ${constants.MAX_MILESTONES} milestones per deal`);
+    }
+
+    const minAmount = Deal.fromUsdt(constants.MIN_MILESTONE_AMOUNT, asset, trxPrice);
+    const testDeadlineMinutes = parseInt(process.env.TEST_DEADLINE_MINUTES);
+    let previousHours = 0;
+    let amount = 0;
+
+    const result = milestones.map((milestone, index) => {
+      const title = typeof milestone.title === 'string' ? milestone.title.trim() : '';
+      const milestoneAmount = Number(milestone.amount);
+      const deadlineHours = Number(milestone.deadlineHours);
+
+      if (!title || title.length > 200) {
+        throw new Error(`Milestone ${index + 1}: title is required (max 200 characters)`);
+      }
+
+      if (!Number.isFinite(milestoneAmount) || milestoneAmount < minAmount) {
+        throw new Error(`Milestone ${index + 1}: minimum amount is ${minAmount} ${asset}`);
+      }
+
+      if (!Number.isFinite(deadlineHours) || deadlineHours <= previousHours) {
+        throw new Error(`Milestone ${index + 1}: deadline must be later than the previous milestone`);
+      }
+
+      previousHours = deadlineHours;
+      amount += milestoneAmount;
+
+      // TEST MODE: each milestone gets TEST_DEADLINE_MINUTES more
+      const deadline = new Date();
+      if (testDeadlineMinutes > 0) {
+        deadline.setMinutes(deadline.getMinutes() + testDeadlineMinutes * (index + 1));
+      } else {
+        deadline.setHours(deadline.getHours() + deadlineHours);
+      }
+
+      return { title, amount: milestoneAmount, deadline, status: 'pending' };
+    });
+
+    return {
+      milestones: result,
+      amount: Math.round(amount * 1e6) / 1e6
+    };
+  }
+
   /**
    * Create a new deal with multisig wallet
    * @param {Object} dealData
+   * @param {Array<Object>} [dealData.milestones] - [{ title, amount, deadlineHours }];
+   *   if set, amount is the sum of milestone amounts and deadlineHours is ignored
+   * @param {string} [dealData.network='tron'] - Chain of the escrow wallet
    * @returns {Promise<Object>} - Created deal
    */
   async createDeal(dealData) {
@@ -581,7 +745,7 @@ class DealService {
       productName,
       description,
       asset,
-      amount,
+      network = constants.DEFAULT_NETWORK,
       commissionType,
       deadlineHours,
       buyerAddress,
@@ -589,23 +753,47 @@ class DealService {
       fromTemplate = false
     } = dealData;
 
+    let amount = dealData.amount;
+    let milestones = [];
+
+    const chain = getChainAdapter(network);
+    if (!chain.assets.includes(asset)) {
+      throw new Error(`Asset ${asset} is not supported on ${network}`);
+    }
+
+    const trxPrice = await this.getAssetPrice(asset);
+
+    if (dealData.milestones) {
+      const built = this.buildMilestones(dealData.milestones, asset, trxPrice);
+
+      if (amount && Math.abs(amount - built.amount) > 0.01) {
+        throw new Error(`Deal amount must equal the sum of milestone amounts (${built.amount})`);
+      }
+
+      milestones = built.milestones;
+      amount = built.amount;
+    }
+
     // Validate
-    const validation = await this.validateDealCreation(buyerId, sellerId, description, amount);
+    const validation = await this.validateDealCreation(buyerId, sellerId, description, amount, asset, trxPrice);
     if (!validation.valid) {
       throw new Error(validation.error);
     }
 
     // Calculate commission
-    const commission = Deal.calculateCommission(amount);
+    const commission = Deal.calculateCommission(amount, asset, trxPrice);
 
     // Generate deal ID (atomic - guaranteed unique, no loops needed)
     const dealId = await Deal.generateDealId();
 
     // Calculate deadline
     // TEST MODE: Use minutes instead of hours if TEST_DEADLINE_MINUTES is set
+    // Milestone deals use the deadline of the first milestone
     const deadline = new Date();
     const testDeadlineMinutes = parseInt(process.env.TEST_DEADLINE_MINUTES);
-    if (testDeadlineMinutes > 0) {
+    if (milestones.length > 0) {
+      deadline.setTime(milestones[0].deadline.getTime());
+    } else if (testDeadlineMinutes > 0) {
       console.log(`⚠️ TEST MODE: Using ${testDeadlineMinutes} minutes deadline instead of ${deadlineHours} hours`);
       deadline.setMinutes(deadline.getMinutes() + testDeadlineMinutes);
     } else {
@@ -616,12 +804,12 @@ class DealService {
     const uniqueKey = Deal.generateUniqueKey(buyerId, sellerId, description);
 
     // Validate wallet addresses based on creator role
-    // Also generate private key for creator (pseudo-multisig)
+    // Also generate the creator's key (co-signs payouts from the escrow)
     let creatorPrivateKey = null;
 
     if (creatorRole === 'buyer') {
       // Buyer created deal - buyer wallet is required, seller wallet is optional
-      if (!buyerAddress || !blockchainService.isValidAddress(buyerAddress)) {
+      if (!buyerAddress || !chain.isValidAddress(buyerAddress)) {
         throw new Error('Invalid buyer wallet address');
       }
       // Generate private key for buyer (creator)
@@ -630,7 +818,7 @@ class DealService {
       // Seller address is optional - they provide it later
     } else {
       // Seller created deal - seller wallet is required, buyer wallet is optional
-      if (!sellerAddress || !blockchainService.isValidAddress(sellerAddress)) {
+      if (!sellerAddress || !chain.isValidAddress(sellerAddress)) {
         throw new Error('Invalid seller wallet address');
       }
       // Generate private key for seller (creator)
@@ -643,11 +831,11 @@ class DealService {
     const arbiterPrivateKey = process.env.ARBITER_PRIVATE_KEY;
 
     // Create multisig wallet (for escrow only, not for payout addresses)
-    // We still need a multisig wallet to hold funds, but we use user addresses for payouts
+    // Temp keys only fill the permission template - the real 2-of-3 is set after the deposit
     const tempBuyerKeys = await blockchainService.generateKeyPair();
     const tempSellerKeys = await blockchainService.generateKeyPair();
 
-    const multisigWallet = await blockchainService.createMultisigWallet(
+    const multisigWallet = await chain.createEscrowWallet(
       tempBuyerKeys.privateKey,
       tempSellerKeys.privateKey,
       arbiterPrivateKey
@@ -690,22 +878,22 @@ class DealService {
       sellerPlatformId,
       productName,
       description,
+      network,
       asset,
       amount,
+      assetPriceUsdt: trxPrice,
       commission,
       commissionType,
       multisigAddress: multisigWallet.address,
       status: initialStatus,
       deadline,
+      milestones,
       uniqueKey,
-      buyerKey: tempBuyerKeys.privateKey, // Temp keys for multisig structure
-      sellerKey: tempSellerKeys.privateKey, // Not used for payouts
-      arbiterKey: arbiterPrivateKey,
       buyerAddress: buyerAddress || null,  // User-provided wallet for payout
       sellerAddress: sellerAddress || null,  // Will be set when seller provides it
-      // Private keys for pseudo-multisig (set for creator, other set when they provide wallet)
-      buyerPrivateKey: creatorRole === 'buyer' ? creatorPrivateKey : null,
-      sellerPrivateKey: creatorRole === 'seller' ? creatorPrivateKey : null,
+      // Key addresses (set for creator, other set when they provide wallet)
+      buyerKeyAddress: creatorRole === 'buyer' ? blockchainService.privateKeyToAddress(creatorPrivateKey) : null,
+      sellerKeyAddress: creatorRole === 'seller' ? blockchainService.privateKeyToAddress(creatorPrivateKey) : null,
       fromTemplate
     });
 
@@ -715,11 +903,12 @@ class DealService {
     const wallet = new MultisigWallet({
       dealId: deal._id,
       address: multisigWallet.address,
+      network,
       privateKey: multisigWallet.privateKey, // Save multisig wallet private key
       buyerPublicKey: tempBuyerKeys.address,
       sellerPublicKey: tempSellerKeys.address,
       arbiterPublicKey: constants.ARBITER_ADDRESS,
-      threshold: constants.MULTISIG_THRESHOLD,
+      threshold: multisigWallet.threshold,
       permissionsJson: multisigWallet.permissionsJson
     });
 
@@ -734,9 +923,13 @@ class DealService {
       sellerId,
       amount,
       asset,
+      network,
+      milestones: milestones.length,
       multisigAddress: multisigWallet.address
     });
 
+    await webhookService.dispatch(deal, 'deal.created');
+
     // Track successful deal creation for health monitoring
     try {
       await ServiceStatus.trackSuccess('deal_created', {
@@ -861,7 +1054,310 @@ class DealService {
       throw new Error(`Cannot submit work in status: ${deal.status}`);
     }
 
-    return await this.updateDealStatus(dealId, 'in_progress', sellerId);
+    // Milestone deals: work is submitted for the current milestone only
+    if (Deal.isMilestoneDeal(deal)) {
+      const index = deal.currentMilestone;
+      await Deal.updateOne(
+        { _id: deal._id, currentMilestone: index, [`milestones.${index}.status`]: 'pending' },
+        { $set: {
+          [`milestones.${index}.status`]: 'submitted',
+          [`milestones.${index}.submittedAt`]: new Date()
+        } }
+      );
+    }
+
+    const updatedDeal = await this.updateDealStatus(dealId, 'in_progress', sellerId);
+
+    await webhookService.dispatch(updatedDeal, 'deal.work_submitted', {
+      milestoneIndex: Deal.isMilestoneDeal(deal) ? deal.currentMilestone : null
+    });
+
+    return updatedDeal;
+  }
+
+  /**
+   * Check that a deadline extension can be negotiated for the deal
+   * (funds are in escrow, no dispute and no payout in progress)
+   * @param {Object} deal
+   * @returns {boolean}
+   */
+  canExtendDeadline(deal) {
+    return ['locked', 'in_progress', 'work_submitted'].includes(deal.status) &&
+      !deal.pendingKeyValidation;
+  }
+
+  /**
+   * Propose a new deadline to the counterparty (either party).
+   * A new proposal from the same party replaces the previous one.
+   * @param {string} dealId
+   * @param {number} telegramId - Proposing party
+   * @param {number} hours - Hours added to the current deadline (or to now, if it already passed)
+   * @returns {Promise<Object>} - Updated deal
+   */
+  async proposeDeadlineExtension(dealId, telegramId, hours) {
+    if (!constants.DEADLINE_EXTENSION_OPTIONS.includes(hours)) {
+      throw new Error(`Invalid extension: ${hours} hours`);
+    }
+
+    const deal = await this.getDealById(dealId);
+
+    if (!deal) {
+      throw new Error('Deal not found');
+    }
+
+    if (!deal.isParticipant(telegramId)) {
+      throw new Error('Only deal participants can extend the deadline');
+    }
+
+    if (!this.canExtendDeadline(deal)) {
+      throw new Error(`Cannot extend deadline in status: ${deal.status}`);
+    }
+
+    if (Deal.hasPendingExtension(deal) && deal.deadlineExtension.proposedBy !== telegramId) {
+      throw new Error('The counterparty has already proposed a new deadline');
+    }
+
+    const now = new Date();
+    const base = Math.max(deal.deadline.getTime(), now.getTime());
+    const newDeadline = new Date(base + hours * 60 * 60 * 1000);
+    const expiresAt = new Date(now.getTime() + constants.DEADLINE_EXTENSION_PROPOSAL_TTL_HOURS * 60 * 60 * 1000);
+
+    const updated = await Deal.findOneAndUpdate(
+      { _id: deal._id, status: deal.status, pendingKeyValidation: null },
+      { $set: { deadlineExtension: { proposedBy: telegramId, newDeadline, proposedAt: now, expiresAt } } },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw new Error('Deal changed, please try again');
+    }
+
+    await AuditLog.log(telegramId, 'deadline_extension_proposed', {
+      dealId,
+      oldDeadline: deal.deadline,
+      newDeadline,
+      hours
+    }, { dealId: deal._id });
+
+    return updated;
+  }
+
+  /**
+   * Accept or reject the counterparty's deadline extension proposal.
+   * On acceptance the deadline moves (milestone deals: the current and all
+   * following milestones move by the same amount) and expiration notification is re-armed.
+   * @param {string} dealId
+   * @param {number} telegramId - Responding party (must not be the proposer)
+   * @param {boolean} accept
+   * @returns {Promise<Object>} - { deal, proposedBy, newDeadline }
+   */
+  async respondToDeadlineExtension(dealId, telegramId, accept) {
+    const deal = await this.getDealById(dealId);
+
+    if (!deal) {
+      throw new Error('Deal not found');
+    }
+
+    if (!deal.isParticipant(telegramId)) {
+      throw new Error('Only deal participants can respond to the proposal');
+    }
+
+    if (!Deal.hasPendingExtension(deal)) {
+      throw new Error('No pending deadline extension');
+    }
+
+    const { proposedBy, newDeadline } = deal.deadlineExtension;
+
+    if (proposedBy === telegramId) {
+      throw new Error('You cannot respond to your own proposal');
+    }
+
+    const clearProposal = { proposedBy: null, newDeadline: null, proposedAt: null, expiresAt: null };
+    const update = { deadlineExtension: clearProposal };
+
+    if (accept) {
+      if (!this.canExtendDeadline(deal)) {
+        throw new Error(`Cannot extend deadline in status: ${deal.status}`);
+      }
+
+      update.deadline = newDeadline;
+      update.deadlineNotificationSent = false;
+
+      if (Deal.isMilestoneDeal(deal)) {
+        const shift = newDeadline.getTime() - deal.deadline.getTime();
+        for (let i = deal.currentMilestone; i < deal.milestones.length; i++) {
+          update[`milestones.${i}.deadline`] = new Date(deal.milestones[i].deadline.getTime() + shift);
+        }
+      }
+    }
+
+    // Atomic: only the proposal that was shown to the user can be answered
+    const updated = await Deal.findOneAndUpdate(
+      {
+        _id: deal._id,
+        'deadlineExtension.proposedBy': proposedBy,
+        'deadlineExtension.newDeadline': newDeadline,
+        pendingKeyValidation: null
+      },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw new Error('Deal changed, please try again');
+    }
+
+    await AuditLog.log(telegramId, accept ? 'deadline_extended' : 'deadline_extension_rejected', {
+      dealId,
+      proposedBy,
+      oldDeadline: deal.deadline,
+      newDeadline
+    }, { dealId: deal._id });
+
+    return { deal: updated, proposedBy, newDeadline };
+  }
+
+  /**
+   * Check that a funded deal can be cancelled by mutual agreement
+   * (funds are in escrow, no dispute and no payout in progress)
+   * @param {Object} deal
+   * @returns {boolean}
+   */
+  canCancelByAgreement(deal) {
+    return ['locked', 'in_progress'].includes(deal.status) &&
+      !!deal.depositTxHash &&
+      !deal.pendingKeyValidation;
+  }
+
+  /**
+   * Expected refund of a mutually cancelled deal (shown before the buyer enters the key;
+   * the actual refund is the escrow balance minus commission)
+   * @param {Object} deal
+   * @returns {Object} - { refundAmount, commission }
+   */
+  getCancellationRefund(deal) {
+    const { buyerPays } = this.getCommissionBreakdown(deal);
+    const paidOut = (deal.milestones || [])
+      .filter(milestone => milestone.paidAt)
+      .reduce((sum, milestone) => sum + (milestone.payoutAmount || 0) + (milestone.commission || 0), 0);
+    const commission = Deal.getCancellationCommission(deal);
+    const refundAmount = Math.round((deal.amount + buyerPays - paidOut - commission) * 1e6) / 1e6;
+
+    return { refundAmount, commission };
+  }
+
+  /**
+   * Propose to cancel a funded deal (either party).
+   * The buyer gets a refund once the counterparty confirms.
+   * @param {string} dealId
+   * @param {number} telegramId - Proposing party
+   * @returns {Promise<Object>} - Updated deal
+   */
+  async proposeMutualCancellation(dealId, telegramId) {
+    const deal = await this.getDealById(dealId);
+
+    if (!deal) {
+      throw new Error('Deal not found');
+    }
+
+    if (!deal.isParticipant(telegramId)) {
+      throw new Error('Only deal participants can cancel the deal');
+    }
+
+    if (!this.canCancelByAgreement(deal)) {
+      throw new Error(`Cannot cancel deal in status: ${deal.status}`);
+    }
+
+    if (Deal.hasPendingCancellation(deal) && deal.cancellation.proposedBy !== telegramId) {
+      throw new Error('The counterparty has already proposed to cancel the deal');
+    }
+
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + constants.MUTUAL_CANCEL_PROPOSAL_TTL_HOURS * 60 * 60 * 1000);
+
+    const updated = await Deal.findOneAndUpdate(
+      { _id: deal._id, status: deal.status, pendingKeyValidation: null },
+      { $set: { cancellation: { proposedBy: telegramId, proposedAt: now, expiresAt, agreedAt: null } } },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw new Error('Deal changed, please try again');
+    }
+
+    await AuditLog.log(telegramId, 'mutual_cancel_proposed', { dealId }, { dealId: deal._id });
+
+    return updated;
+  }
+
+  /**
+   * Confirm or reject the counterparty's cancellation proposal.
+   * On confirmation the deal becomes 'cancelled' and waits for the buyer's key
+   * (pendingKeyValidation 'mutual_cancel'); no dispute is opened, so dispute stats stay untouched.
+   * @param {string} dealId
+   * @param {number} telegramId - Responding party (must not be the proposer)
+   * @param {boolean} accept
+   * @returns {Promise<Object>} - { deal, proposedBy, commission }
+   */
+  async respondToMutualCancellation(dealId, telegramId, accept) {
+    const deal = await this.getDealById(dealId);
+
+    if (!deal) {
+      throw new Error('Deal not found');
+    }
+
+    if (!deal.isParticipant(telegramId)) {
+      throw new Error('Only deal participants can respond to the proposal');
+    }
+
+    if (!Deal.hasPendingCancellation(deal)) {
+      throw new Error('No pending cancellation');
+    }
+
+    const { proposedBy } = deal.cancellation;
+
+    if (proposedBy === telegramId) {
+      throw new Error('You cannot respond to your own proposal');
+    }
+
+    const filter = {
+      _id: deal._id,
+      'cancellation.proposedBy': proposedBy,
+      'cancellation.agreedAt': null,
+      pendingKeyValidation: null
+    };
+
+    let update;
+    if (accept) {
+      if (!this.canCancelByAgreement(deal)) {
+        throw new Error(`Cannot cancel deal in status: ${deal.status}`);
+      }
+
+      filter.status = { $in: ['locked', 'in_progress'] };
+      update = {
+        status: 'cancelled',
+        pendingKeyValidation: 'mutual_cancel',
+        'cancellation.agreedAt': new Date()
+      };
+    } else {
+      update = { cancellation: { proposedBy: null, proposedAt: null, expiresAt: null, agreedAt: null } };
+    }
+
+    const updated = await Deal.findOneAndUpdate(filter, { $set: update }, { new: true });
+
+    if (!updated) {
+      throw new Error('Deal changed, please try again');
+    }
+
+    const commission = Deal.getCancellationCommission(updated);
+
+    await AuditLog.log(telegramId, accept ? 'mutual_cancel_agreed' : 'mutual_cancel_rejected', {
+      dealId,
+      proposedBy,
+      commission: accept ? commission : undefined
+    }, { dealId: deal._id });
+
+    return { deal: updated, proposedBy, commission };
   }
 
   /**
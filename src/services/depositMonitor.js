@@ -1,14 +1,20 @@
 const Deal = require('../models/Deal');
 const Transaction = require('../models/Transaction');
+const StrayDeposit = require('../models/StrayDeposit');
 const MultisigWallet = require('../models/MultisigWallet');
 const AuditLog = require('../models/AuditLog');
 const ServiceStatus = require('../models/ServiceStatus');
 const blockchainService = require('./blockchain');
+const { getChainAdapter } = require('./chains');
 const adminAlertService = require('./adminAlertService');
+const escrowPermissionService = require('./escrowPermissionService');
+const blockScanner = require('./blockScanner');
+const webhookService = require('./webhookService');
 const constants = require('../config/constants');
 const messageManager = require('../bot/utils/messageManager');
-const { depositReceivedKeyboard, mainMenuButton } = require('../bot/keyboards/main');
+const { depositReceivedKeyboard, mainMenuButton, strayRefundKeyboard } = require('../bot/keyboards/main');
 const User = require('../models/User');
+const priceService = require('./priceService');
 const { t, formatDate, escapeMarkdown } = require('../locales');
 
 // High-load optimization utilities
@@ -40,14 +46,33 @@ class DepositMonitor {
 
     // Auto-cancel deals waiting for deposit longer than 24 hours
     this.DEPOSIT_TIMEOUT_HOURS = 24;
+
+    // Last per-address pass over deals covered by the block scanner
+    this.lastReconcileAt = 0;
+
+    // Locked deposits re-checked per cycle until their block is final
+    this.FINALITY_BATCH_SIZE = 20;
+
+    // Last pass over escrow addresses of closed deals
+    this.lastStrayCheckAt = 0;
   }
 
   /**
    * Add activation task to queue (prevents parallel TRX transfers)
+   * Every task also sets the escrow's on-chain 2-of-3 permissions
+   * @param {Object} deal
+   * @param {Object} options - { activate: false for escrows activated by the deposit itself }
    */
-  async queueActivation(dealId, multisigAddress) {
+  async queueActivation(deal, { activate = true } = {}) {
     return new Promise((resolve, reject) => {
-      this.activationQueue.push({ dealId, multisigAddress, resolve, reject });
+      this.activationQueue.push({
+        deal,
+        dealId: deal._id,
+        multisigAddress: deal.multisigAddress,
+        activate,
+        resolve,
+        reject
+      });
       this.processActivationQueue();
     });
   }
@@ -66,30 +91,38 @@ class DepositMonitor {
       const task = this.activationQueue.shift();
 
       try {
-        const activationAmount = parseInt(process.env.MULTISIG_ACTIVATION_TRX) || 15;
-        console.log(`🔓 [Queue] Activating multisig ${task.multisigAddress} with ${activationAmount} TRX...`);
+        let result = { success: true };
 
-        const result = await blockchainService.activateMultisigWallet(
-          task.multisigAddress,
-          activationAmount
-        );
+        if (task.activate) {
+          const activationAmount = parseInt(process.env.MULTISIG_ACTIVATION_TRX) || 15;
+          console.log(`🔓 [Queue] Activating multisig ${task.multisigAddress} with ${activationAmount} TRX...`);
 
-        if (result.success) {
-          console.log(`✅ [Queue] Activation successful: ${result.txHash}`);
+          result = await blockchainService.activateMultisigWallet(
+            task.multisigAddress,
+            activationAmount
+          );
 
-          // Update deal with activation costs
-          const trxToUsdRate = 0.27;
-          await Deal.findByIdAndUpdate(task.dealId, {
-            'operationalCosts.activationTrx': activationAmount,
-            'operationalCosts.activationUsd': activationAmount * trxToUsdRate
-          });
+          if (result.success) {
+            console.log(`✅ [Queue] Activation successful: ${result.txHash}`);
 
-          task.resolve(result);
-        } else {
-          console.error(`❌ [Queue] Activation failed: ${result.error}`);
-          task.resolve(result); // Don't reject, just return failure
+            // Update deal with activation costs
+            const trxToUsdRate = 0.27;
+            await Deal.findByIdAndUpdate(task.dealId, {
+              'operationalCosts.activationTrx': activationAmount,
+              'operationalCosts.activationUsd': activationAmount * trxToUsdRate
+            });
+          } else {
+            console.error(`❌ [Queue] Activation failed: ${result.error}`);
+          }
         }
 
+        // Failures keep the deal in pseudo-multisig mode, nothing to reject
+        if (result.success) {
+          await escrowPermissionService.setupPermissions(task.deal);
+        }
+
+        task.resolve(result); // Don't reject on failure, just return it
+
         // Wait 2 seconds between activations to ensure blockchain confirms
         if (this.activationQueue.length > 0) {
           await new Promise(r => setTimeout(r, 2000));
@@ -130,6 +163,11 @@ class DepositMonitor {
       console.error('Failed to update service status:', e.message);
     }
 
+    // USDT deposits on TRON - followed block by block
+    if (constants.BLOCK_SCANNER_ENABLED) {
+      blockScanner.start(this);
+    }
+
     // Run immediately
     this.checkDeposits();
 
@@ -152,6 +190,10 @@ class DepositMonitor {
     }
     this.isRunning = false;
 
+    if (blockScanner.isRunning) {
+      await blockScanner.stop();
+    }
+
     // Mark service as stopped in DB
     try {
       await ServiceStatus.markStopped(SERVICE_NAME);
@@ -164,6 +206,9 @@ class DepositMonitor {
 
   /**
    * Check all deals waiting for deposits (optimized with parallel batching)
+   * Deals covered by the block scanner are only polled in the reconciliation
+   * pass, every DEPOSIT_RECONCILE_INTERVAL, or while their deposit waits for
+   * confirmations.
    */
   async checkDeposits() {
     // Prevent overlapping check cycles
@@ -178,12 +223,30 @@ class DepositMonitor {
       // Cancel deals that have been waiting for deposit too long
       await this.cancelExpiredDeposits();
 
+      // Follow deposits of locked deals until they are final
+      await this.checkDepositFinality();
+
+      // Late transfers to closed deals, every STRAY_FUNDS_CHECK_INTERVAL
+      await this.checkStrayFunds();
+
       // Find all deals waiting for deposit
-      const deals = await Deal.find({
+      const waitingDeals = await Deal.find({
         status: 'waiting_for_deposit',
         multisigAddress: { $ne: null }
       }).lean(); // Use lean() for better performance
 
+      const reconcile = !blockScanner.isRunning ||
+        Date.now() - this.lastReconcileAt >= constants.DEPOSIT_RECONCILE_INTERVAL;
+      if (reconcile) {
+        this.lastReconcileAt = Date.now();
+      }
+      const pendingDealIds = new Set(
+        (await Transaction.distinct('dealId', { type: 'deposit', status: 'pending' })).map(String)
+      );
+      const deals = reconcile
+        ? waitingDeals
+        : waitingDeals.filter(deal => !blockScanner.covers(deal) || pendingDealIds.has(String(deal._id)));
+
       if (deals.length === 0) {
         return;
       }
@@ -216,6 +279,7 @@ class DepositMonitor {
       try {
         await ServiceStatus.heartbeat(SERVICE_NAME, {
           lastCheckDeals: deals.length,
+          reconciled: reconcile,
           lastCheckAt: new Date()
         });
       } catch (e) {
@@ -235,7 +299,9 @@ class DepositMonitor {
   }
 
   /**
-   * Cancel deals that have been in waiting_for_deposit for too long
+   * Cancel deals that have been in waiting_for_deposit for too long.
+   * Underfunded deals expire too: the transfers in their deposit ledger are
+   * offered back to the senders (refundDepositLedger)
    */
   async cancelExpiredDeposits() {
     try {
@@ -255,6 +321,11 @@ class DepositMonitor {
 
       for (const deal of expiredDeals) {
         try {
+          // Transfers waiting for confirmations may still complete the deposit
+          if (await Transaction.exists({ dealId: deal._id, type: 'deposit', status: 'pending' })) {
+            continue;
+          }
+
           // Atomic update — only cancel if still waiting_for_deposit
           const updated = await Deal.findOneAndUpdate(
             { _id: deal._id, status: 'waiting_for_deposit' },
@@ -264,10 +335,13 @@ class DepositMonitor {
 
           if (!updated) continue;
 
+          const received = updated.depositReceived || 0;
+
           // Log
           await AuditLog.log(0, 'deal_deposit_timeout', {
             dealId: deal.dealId,
-            waitedHours: this.DEPOSIT_TIMEOUT_HOURS
+            waitedHours: this.DEPOSIT_TIMEOUT_HOURS,
+            depositReceived: received
           }, { dealId: deal._id });
 
           // Notify both parties
@@ -280,14 +354,17 @@ class DepositMonitor {
               dealId: deal.dealId,
               productName: escapeMarkdown(deal.productName),
               amount: deal.amount,
-              asset: deal.asset
+              asset: deal.asset,
+              received,
+              expected: Deal.getExpectedDeposit(deal)
             };
 
             // Notify creator
             try {
               const creatorUser = await User.findOne({ telegramId: creatorId }).select('languageCode').lean();
               const creatorLang = creatorUser?.languageCode || 'ru';
-              await messageManager.showNotification(ctx, creatorId, t(creatorLang, 'deposit.timeout_creator', msgParams), mainMenuButton(creatorLang));
+              const creatorKey = received > 0 ? 'deposit.timeout_partial' : 'deposit.timeout_creator';
+              await messageManager.showNotification(ctx, creatorId, t(creatorLang, creatorKey, msgParams), mainMenuButton(creatorLang));
             } catch (e) {
               console.error(`Error notifying creator ${creatorId}:`, e.message);
             }
@@ -297,13 +374,19 @@ class DepositMonitor {
               try {
                 const cpUser = await User.findOne({ telegramId: counterpartyId }).select('languageCode').lean();
                 const cpLang = cpUser?.languageCode || 'ru';
-                await messageManager.showNotification(ctx, counterpartyId, t(cpLang, 'deposit.timeout_counterparty', msgParams), mainMenuButton(cpLang));
+                const cpKey = received > 0 ? 'deposit.timeout_partial' : 'deposit.timeout_counterparty';
+                await messageManager.showNotification(ctx, counterpartyId, t(cpLang, cpKey, msgParams), mainMenuButton(cpLang));
               } catch (e) {
                 console.error(`Error notifying counterparty ${counterpartyId}:`, e.message);
               }
             }
           }
 
+          // After the notices - the refund offer should be the last message
+          if (received > 0) {
+            await this.refundDepositLedger(updated);
+          }
+
           console.log(`⏰ Deal ${deal.dealId} cancelled — deposit timeout (${this.DEPOSIT_TIMEOUT_HOURS}h)`);
         } catch (error) {
           console.error(`Error cancelling expired deal ${deal.dealId}:`, error.message);
@@ -314,11 +397,52 @@ class DepositMonitor {
     }
   }
 
+  /**
+   * Offer the transfers of an underfunded deal back to their senders.
+   * Every confirmed ledger entry becomes a StrayDeposit, so the refund goes
+   * through the stray refund flow (key validation, one transfer per entry)
+   * @param {Object} deal - Cancelled deal
+   * @returns {Promise<Array>} - New StrayDeposit records
+   */
+  async refundDepositLedger(deal) {
+    const entries = await Transaction.find({
+      dealId: deal._id,
+      type: 'deposit',
+      status: { $in: ['confirmed', 'finalized'] }
+    }).sort({ timestamp: 1 }).lean();
+    const recorded = new Set(await StrayDeposit.distinct('txHash', { dealId: deal._id }));
+
+    const created = [];
+    for (const entry of entries) {
+      if (recorded.has(entry.txHash)) continue;
+
+      const stray = await StrayDeposit.create({
+        dealId: deal._id,
+        network: deal.network || 'tron',
+        asset: deal.asset,
+        amount: entry.amount,
+        txHash: entry.txHash,
+        fromAddress: entry.fromAddress || null,
+        senderRole: entry.fromAddress && entry.fromAddress === deal.sellerAddress ? 'seller' : 'buyer'
+      });
+      created.push(stray);
+      await this.reportStrayFunds(deal, stray);
+    }
+
+    return created;
+  }
+
   /**
    * Check deposit for a specific deal
+   * Every inbound transfer is recorded in the deposit ledger; the deal is locked
+   * once the confirmed transfers add up to the expected deposit, until then the
+   * buyer is told how much is still missing.
    * @param {Object} deal - Deal document (can be lean object)
+   * @param {Object|Object[]} [detectedDeposit] - Transfer(s) found by the block scanner
+   *   ({ txHash, amount, block, from }); without them the escrow address is polled
+   *   for all inbound transfers
    */
-  async checkDealDeposit(deal) {
+  async checkDealDeposit(deal, detectedDeposit = null) {
     try {
       // Check if deposit already recorded (safety check)
       if (deal.depositTxHash) {
@@ -332,68 +456,102 @@ class DepositMonitor {
         return;
       }
 
-      // Calculate expected deposit amount based on commission payer
-      let expectedAmount = deal.amount;
-      if (deal.commissionType === 'buyer') {
-        expectedAmount = deal.amount + deal.commission;
-      } else if (deal.commissionType === 'split') {
-        expectedAmount = deal.amount + (deal.commission / 2);
-      }
+      const expectedAmount = Deal.getExpectedDeposit(deal);
+      // Tolerance is USDT-denominated - TRX deals use the rate fixed at creation
+      const tolerance = Deal.fromUsdt(constants.DEPOSIT_TOLERANCE_MINUS, deal.asset, deal.assetPriceUsdt);
 
-      // Wait for rate limit token before API call
-      await this.rateLimiter.waitForToken();
+      // Deposit ledger - one 'deposit' Transaction per inbound transfer
+      const ledger = await Transaction.find({ dealId: deal._id, type: 'deposit' }).lean();
+      const knownHashes = new Set(ledger.map(tx => tx.txHash));
 
-      // Check blockchain for deposit (pass 0 as amount to get any deposit)
-      const deposit = await blockchainService.checkDeposit(
-        deal.multisigAddress,
-        deal.asset,
-        0 // Don't filter by amount in blockchain service
-      );
+      let transfers = detectedDeposit ? [].concat(detectedDeposit) : null;
+      if (!transfers) {
+        // Wait for rate limit token before API call
+        await this.rateLimiter.waitForToken();
 
-      if (deposit) {
-        console.log(`💰 Deposit detected for deal ${deal.dealId}:`, deposit);
+        // All inbound transfers - partial deposits and top-ups add up
+        transfers = await getChainAdapter(deal.network).getDeposits(deal.multisigAddress, deal.asset);
+      }
 
-        // Calculate difference from expected amount
-        const difference = deposit.amount - expectedAmount;
-        const tolerance = constants.DEPOSIT_TOLERANCE_MINUS;
+      // Transfers waiting for confirmations are re-checked, new ones recorded
+      const newTransfers = transfers.filter(transfer => !knownHashes.has(transfer.txHash));
+      const pendingTransfers = ledger
+        .filter(tx => tx.status === 'pending')
+        .map(tx => ({ txHash: tx.txHash, amount: tx.amount, block: tx.block, from: tx.fromAddress, pendingTx: tx }));
 
-        // Check if deposit is too low (below tolerance)
-        if (difference < -tolerance) {
-          const shortfall = Math.abs(difference + tolerance);
-          console.log(`⚠️ Insufficient deposit for deal ${deal.dealId}: short by ${shortfall} ${deal.asset}`);
+      if (newTransfers.length === 0 && pendingTransfers.length === 0) {
+        return;
+      }
 
-          // Notify buyer to add more funds
-          if (this.botInstance) {
-            // Load buyer language
-            const buyerUser = await User.findOne({ telegramId: deal.buyerId }).select('languageCode').lean();
-            const buyerLang = buyerUser?.languageCode || 'ru';
+      for (const transfer of newTransfers) {
+        console.log(`💰 Deposit detected for deal ${deal.dealId}:`, transfer);
+      }
+      for (const transfer of [...pendingTransfers, ...newTransfers]) {
+        await this.confirmDeposit(deal, transfer, transfer.pendingTx || null);
+      }
 
-            const warningText = t(buyerLang, 'deposit.insufficient', {
-              dealId: deal.dealId,
-              received: deposit.amount,
-              expected: expectedAmount,
-              shortfall: shortfall.toFixed(2),
-              asset: deal.asset,
-              multisigAddress: deal.multisigAddress,
-              tolerance
-            });
+      const entries = await Transaction.find({
+        dealId: deal._id,
+        type: 'deposit',
+        status: { $ne: 'failed' }
+      }).sort({ timestamp: 1 }).lean();
+      const round = (value) => Math.round(value * 1e6) / 1e6;
+      const received = round(entries.reduce((sum, tx) => sum + tx.amount, 0));
+      const confirmedEntries = entries.filter(tx => ['confirmed', 'finalized'].includes(tx.status));
+      const confirmedTotal = round(confirmedEntries.reduce((sum, tx) => sum + tx.amount, 0));
+
+      if (received !== (deal.depositReceived || 0)) {
+        await Deal.updateOne({ _id: deal._id }, { $set: { depositReceived: received } });
+      }
 
-            const warningKeyboard = depositReceivedKeyboard(deal.dealId, buyerLang);
-            const warningCtx = { telegram: this.botInstance.telegram };
-            await messageManager.showNotification(warningCtx, deal.buyerId, warningText, warningKeyboard);
-          }
-          return; // Don't lock deal yet
+      // Prompt the buyer when a new transfer arrived but the deal cannot lock yet
+      const newRecorded = newTransfers.some(transfer => entries.some(tx => tx.txHash === transfer.txHash));
+      if (newRecorded && confirmedTotal < expectedAmount - tolerance && this.botInstance) {
+        const buyerUser = await User.findOne({ telegramId: deal.buyerId }).select('languageCode').lean();
+        const buyerLang = buyerUser?.languageCode || 'ru';
+        const ctx = { telegram: this.botInstance.telegram };
+
+        if (received < expectedAmount - tolerance) {
+          const remaining = round(expectedAmount - received);
+          console.log(`⚠️ Partial deposit for deal ${deal.dealId}: ${received}/${expectedAmount} ${deal.asset}`);
+
+          const text = t(buyerLang, 'deposit.partial', {
+            dealId: deal.dealId,
+            received,
+            expected: expectedAmount,
+            remaining,
+            asset: deal.asset,
+            multisigAddress: deal.multisigAddress,
+            tolerance
+          });
+          await messageManager.showNotification(ctx, deal.buyerId, text, depositReceivedKeyboard(deal.dealId, buyerLang));
+        } else {
+          const text = t(buyerLang, 'deposit.pending', {
+            dealId: deal.dealId,
+            amount: received,
+            asset: deal.asset,
+            confirmations: this.getRequiredConfirmations(deal, Math.max(expectedAmount, received))
+          });
+          await messageManager.showNotification(ctx, deal.buyerId, text, mainMenuButton(buyerLang));
         }
+      }
+
+      // Lock once the confirmed transfers cover the expected deposit
+      if (confirmedTotal >= expectedAmount - tolerance) {
+        const deposit = {
+          txHash: confirmedEntries[confirmedEntries.length - 1].txHash, // Transfer that completed the deposit
+          amount: confirmedTotal,
+          from: confirmedEntries[0].fromAddress
+        };
 
         // Mark as being processed to prevent duplicates
         this.processedDeposits.add(processingKey);
 
         try {
-          // Check if there's overpayment
-          let overpayment = 0;
-          if (difference > 0) {
-            overpayment = difference;
-            console.log(`💰 Overpayment detected: ${overpayment} ${deal.asset} - will go to service wallet`);
+          // Overpayment is kept out of the payouts and returned to the buyer with the final one
+          const overpayment = Math.max(0, round(confirmedTotal - expectedAmount));
+          if (overpayment > 0) {
+            console.log(`💰 Overpayment detected: ${overpayment} ${deal.asset} - will be refunded to the buyer at payout`);
           }
 
           // ATOMIC status update - prevents race conditions!
@@ -402,7 +560,9 @@ class DepositMonitor {
             status: 'locked',
             depositTxHash: deposit.txHash,
             depositDetectedAt: new Date(),
-            actualDepositAmount: deposit.amount
+            actualDepositAmount: deposit.amount,
+            depositReceived: received,
+            overpayment
           };
 
           // Save buyer's address from deposit transaction
@@ -424,28 +584,17 @@ class DepositMonitor {
             return;
           }
 
-          // Queue activation (processed sequentially to avoid blockchain conflicts)
-          try {
-            await this.queueActivation(deal._id, deal.multisigAddress);
-          } catch (error) {
-            console.error(`⚠️ Warning: Error queuing activation:`, error);
-          }
-
-          // Create transaction record
-          const transaction = new Transaction({
-            dealId: deal._id,
-            type: 'deposit',
-            asset: deal.asset,
-            amount: deposit.amount,
-            txHash: deposit.txHash,
-            block: deposit.block,
-            status: 'confirmed',
-            fromAddress: deposit.from,
-            toAddress: deal.multisigAddress
-          });
+          await webhookService.dispatch(updatedDeal, 'deal.deposit_detected');
 
-          transaction.generateExplorerLink();
-          await transaction.save();
+          // Queue activation and on-chain permissions (processed sequentially to avoid blockchain conflicts)
+          // Only TRON accounts need activation; TRX deals are activated by the deposit itself
+          if ((deal.network || 'tron') === 'tron') {
+            try {
+              await this.queueActivation(updatedDeal, { activate: deal.asset !== 'TRX' });
+            } catch (error) {
+              console.error(`⚠️ Warning: Error queuing activation:`, error);
+            }
+          }
 
           // Update multisig wallet balance
           await MultisigWallet.findOneAndUpdate(
@@ -554,6 +703,306 @@ class DepositMonitor {
     }
   }
 
+  /**
+   * Confirmations required for a deposit (DEPOSIT_CONFIRMATIONS bracket of its USDT value)
+   * @param {Object} deal
+   * @param {number} amount - Deposit amount in deal asset units
+   * @returns {number}
+   */
+  getRequiredConfirmations(deal, amount) {
+    const usdtAmount = deal.asset === 'TRX'
+      ? amount * (deal.assetPriceUsdt || priceService.getTrxPriceSync())
+      : amount;
+    const bracket = constants.DEPOSIT_CONFIRMATIONS.find(b => usdtAmount <= b.maxAmount);
+    return bracket ? bracket.confirmations : 0;
+  }
+
+  /**
+   * Create or update the deposit transaction record of a deal
+   * @param {Object} deal
+   * @param {Object} deposit - { txHash, amount, from }
+   * @param {Object} fields - Status, block and confirmation fields to set
+   * @returns {Promise<Object>} Transaction document
+   */
+  async saveDepositTransaction(deal, deposit, fields) {
+    const transaction = await Transaction.findOne({ dealId: deal._id, type: 'deposit', txHash: deposit.txHash }) ||
+      new Transaction({
+        dealId: deal._id,
+        type: 'deposit',
+        network: deal.network,
+        asset: deal.asset,
+        amount: deposit.amount,
+        txHash: deposit.txHash,
+        fromAddress: deposit.from,
+        toAddress: deal.multisigAddress
+      });
+
+    Object.assign(transaction, fields);
+    transaction.generateExplorerLink();
+    await transaction.save();
+    return transaction;
+  }
+
+  /**
+   * Re-validate a deposit transfer on chain and record it in the deposit ledger.
+   * A transfer stays pending until it has the confirmations of the deal's amount
+   * bracket (the whole deposit - splitting it into small transfers does not lower
+   * the depth); dropped (no longer in a block) and reverted transactions are
+   * marked failed and the buyer is told the funds did not arrive.
+   * @param {Object} deal
+   * @param {Object} deposit - { txHash, amount, block, from }
+   * @param {Object|null} pendingTx - Pending ledger record from an earlier cycle
+   * @returns {Promise<string>} - Ledger status: pending, confirmed, finalized or failed
+   */
+  async confirmDeposit(deal, deposit, pendingTx) {
+    await this.rateLimiter.waitForToken();
+    const status = await getChainAdapter(deal.network).getTransactionConfirmations(deposit.txHash);
+    const requiredConfirmations = this.getRequiredConfirmations(
+      deal,
+      Math.max(Deal.getExpectedDeposit(deal), deposit.amount)
+    );
+
+    // Not in a block on first sight: the node may lag behind the indexer, check again next cycle
+    const dropped = !status.found && !!pendingTx;
+    const reverted = status.found && !status.success;
+
+    if (dropped || reverted) {
+      const reason = reverted ? 'Transaction reverted' : 'Transaction dropped from the chain';
+      console.warn(`⚠️ Deposit ${deposit.txHash} for deal ${deal.dealId} rejected: ${reason}`);
+
+      await this.saveDepositTransaction(deal, deposit, { status: 'failed', errorMessage: reason });
+      await AuditLog.log(0, 'deposit_rejected', {
+        dealId: deal.dealId,
+        txHash: deposit.txHash,
+        amount: deposit.amount,
+        reason
+      }, { dealId: deal._id });
+      await adminAlertService.alertDepositRejected(deal, deposit, reason, false);
+
+      if (this.botInstance) {
+        const buyerUser = await User.findOne({ telegramId: deal.buyerId }).select('languageCode').lean();
+        const buyerLang = buyerUser?.languageCode || 'ru';
+        const text = t(buyerLang, 'deposit.rejected', {
+          dealId: deal.dealId,
+          amount: deposit.amount,
+          asset: deal.asset,
+          txHash: deposit.txHash,
+          multisigAddress: deal.multisigAddress
+        });
+        await messageManager.showNotification({ telegram: this.botInstance.telegram }, deal.buyerId, text, mainMenuButton(buyerLang));
+      }
+      return 'failed';
+    }
+
+    if (!status.found || status.confirmations < requiredConfirmations) {
+      await this.saveDepositTransaction(deal, deposit, {
+        block: status.blockNumber || deposit.block || null,
+        status: 'pending',
+        confirmations: status.confirmations,
+        requiredConfirmations
+      });
+
+      console.log(`⏳ Deposit ${deposit.txHash} for deal ${deal.dealId}: ${status.confirmations}/${requiredConfirmations} confirmations`);
+      return 'pending';
+    }
+
+    const ledgerStatus = status.finalized ? 'finalized' : 'confirmed';
+    await this.saveDepositTransaction(deal, deposit, {
+      block: status.blockNumber,
+      status: ledgerStatus,
+      confirmations: status.confirmations,
+      requiredConfirmations,
+      finalizedAt: status.finalized ? new Date() : null
+    });
+    return ledgerStatus;
+  }
+
+  /**
+   * Follow confirmed deposit transfers until their block is irreversible.
+   * A transfer that disappears after the deal was locked on it (deep reorg) is
+   * marked failed and flagged to the admins - the deal is left for manual review.
+   * Each pass takes the deposits checked longest ago (never checked first), so
+   * transfers the node cannot answer for do not hold up the rest of the queue.
+   */
+  async checkDepositFinality() {
+    try {
+      // Deposits recorded before confirmation tracking have no requiredConfirmations
+      const deposits = await Transaction.find({
+        type: 'deposit',
+        status: 'confirmed',
+        requiredConfirmations: { $ne: null }
+      }).sort({ finalityCheckedAt: 1, timestamp: 1 }).limit(this.FINALITY_BATCH_SIZE).lean();
+
+      for (const tx of deposits) {
+        try {
+          // Moves the deposit to the end of the queue even if the check below fails
+          await Transaction.updateOne({ _id: tx._id }, { $set: { finalityCheckedAt: new Date() } });
+
+          await this.rateLimiter.waitForToken();
+          const status = await getChainAdapter(tx.network).getTransactionConfirmations(tx.txHash);
+
+          if (!status.found || !status.success) {
+            const reason = status.found ? 'Transaction reverted' : 'Transaction dropped from the chain';
+            await Transaction.updateOne({ _id: tx._id }, { $set: { status: 'failed', errorMessage: reason } });
+
+            const deal = await Deal.findById(tx.dealId).lean();
+            const afterLock = !!deal && deal.status !== 'waiting_for_deposit';
+            console.error(`🚨 Deposit ${tx.txHash} of deal ${deal?.dealId} rejected: ${reason}`);
+            await AuditLog.log(0, 'deposit_rejected', {
+              dealId: deal?.dealId,
+              txHash: tx.txHash,
+              amount: tx.amount,
+              reason,
+              afterLock
+            }, { dealId: tx.dealId });
+            if (deal) {
+              await adminAlertService.alertDepositRejected(deal, { txHash: tx.txHash, amount: tx.amount }, reason, afterLock);
+            }
+            continue;
+          }
+
+          const update = { block: status.blockNumber, confirmations: status.confirmations };
+          if (status.finalized) {
+            update.status = 'finalized';
+            update.finalizedAt = new Date();
+          }
+          await Transaction.updateOne({ _id: tx._id }, { $set: update });
+        } catch (error) {
+          console.error(`Error checking finality of deposit ${tx.txHash}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('Error in checkDepositFinality:', error.message);
+    }
+  }
+
+  /**
+   * Watch escrow addresses of closed deals for late transfers.
+   * Deals stay watched for STRAY_FUNDS_RETENTION_DAYS after closing
+   * (completedAt; updatedAt for deals cancelled before the deposit).
+   * A deposited deal without completedAt has its payout still ahead (e.g. an
+   * expired deal waiting for the buyer refund) - the refund takes everything, so
+   * it is not watched until then.
+   */
+  async checkStrayFunds() {
+    if (Date.now() - this.lastStrayCheckAt < constants.STRAY_FUNDS_CHECK_INTERVAL) {
+      return;
+    }
+    this.lastStrayCheckAt = Date.now();
+
+    try {
+      const since = new Date(Date.now() - constants.STRAY_FUNDS_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+      const deals = await Deal.find({
+        status: { $in: constants.CLOSED_DEAL_STATUSES },
+        multisigAddress: { $ne: null },
+        $or: [
+          { completedAt: { $gte: since } },
+          { completedAt: null, depositTxHash: null, updatedAt: { $gte: since } }
+        ]
+      }).lean();
+
+      for (const deal of deals) {
+        try {
+          await this.checkDealStrayFunds(deal);
+        } catch (error) {
+          console.error(`Error checking stray funds of deal ${deal.dealId}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('Error in checkStrayFunds:', error.message);
+    }
+  }
+
+  /**
+   * Record late transfers to the escrow address of a closed deal.
+   * The escrow balance is the source of truth: funds the payout swept are gone,
+   * so only the newest unknown transfers that the balance still holds are stray
+   * @param {Object} deal - Closed deal (lean)
+   * @returns {Promise<Array>} - New StrayDeposit records
+   */
+  async checkDealStrayFunds(deal) {
+    const chain = getChainAdapter(deal.network);
+    const round = (value) => Math.round(value * 1e6) / 1e6;
+
+    await this.rateLimiter.waitForToken();
+    const balance = await chain.getBalance(deal.multisigAddress, deal.asset);
+
+    // Stray funds not refunded yet and an unpaid overpayment are already accounted for
+    const recorded = await StrayDeposit.find({ dealId: deal._id }).lean();
+    const open = recorded.filter(stray => stray.status !== 'refunded');
+    let available = round(balance - open.reduce((sum, stray) => sum + stray.amount, 0) - Deal.getRefundableOverpayment(deal));
+
+    const minAmount = Deal.fromUsdt(constants.STRAY_FUNDS_MIN_AMOUNT, deal.asset, deal.assetPriceUsdt);
+    if (available < minAmount) {
+      return [];
+    }
+
+    await this.rateLimiter.waitForToken();
+    const transfers = await chain.getDeposits(deal.multisigAddress, deal.asset);
+    const known = new Set([
+      ...await Transaction.distinct('txHash', { dealId: deal._id, type: 'deposit' }),
+      ...recorded.map(stray => stray.txHash)
+    ]);
+
+    const found = [];
+    // Newest first - late transfers are the latest ones
+    for (const transfer of transfers) {
+      if (known.has(transfer.txHash)) continue;
+      if (transfer.amount > available) break; // Older transfers were swept by the payout
+
+      available = round(available - transfer.amount);
+      const senderRole = transfer.from && transfer.from === deal.sellerAddress ? 'seller' : 'buyer';
+      const stray = await StrayDeposit.create({
+        dealId: deal._id,
+        network: deal.network || 'tron',
+        asset: deal.asset,
+        amount: transfer.amount,
+        txHash: transfer.txHash,
+        fromAddress: transfer.from || null,
+        senderRole
+      });
+      found.push(stray);
+      await this.reportStrayFunds(deal, stray);
+    }
+
+    return found;
+  }
+
+  /**
+   * Alert the admins about a stray transfer and offer the sender a refund
+   * @param {Object} deal
+   * @param {Object} stray - StrayDeposit
+   */
+  async reportStrayFunds(deal, stray) {
+    console.log(`🪙 Stray transfer of ${stray.amount} ${stray.asset} to ${deal.status} deal ${deal.dealId}: ${stray.txHash}`);
+
+    await AuditLog.log(0, 'stray_funds_detected', {
+      dealId: deal.dealId,
+      dealStatus: deal.status,
+      amount: stray.amount,
+      asset: stray.asset,
+      txHash: stray.txHash,
+      from: stray.fromAddress
+    }, { dealId: deal._id });
+
+    await adminAlertService.alertStrayFunds(deal, stray);
+
+    if (this.botInstance) {
+      const telegramId = stray.senderRole === 'seller' ? deal.sellerId : deal.buyerId;
+      const user = await User.findOne({ telegramId }).select('languageCode').lean();
+      const lang = user?.languageCode || 'ru';
+      const text = t(lang, 'stray.detected', {
+        dealId: deal.dealId,
+        amount: stray.amount,
+        asset: stray.asset,
+        txHash: stray.txHash,
+        fromAddress: stray.fromAddress
+      });
+      await messageManager.showNotification({ telegram: this.botInstance.telegram }, telegramId, text,
+        strayRefundKeyboard(stray._id, lang));
+    }
+  }
+
   /**
    * Check for deals that are locked but notifications weren't sent
    * This handles cases where bot was restarted after deposit was detected
@@ -3,10 +3,25 @@ const Deal = require('../models/Deal');
 const User = require('../models/User');
 const Session = require('../models/Session');
 const AuditLog = require('../models/AuditLog');
-const blockchainService = require('./blockchain');
+const { getDealBalance } = require('./chains');
 const notificationService = require('./notificationService');
+const webhookService = require('./webhookService');
+const arbitrationService = require('./arbitrationService');
+const adminAlertService = require('./adminAlertService');
+const banService = require('./banService');
 const messageManager = require('../bot/utils/messageManager');
-const { t } = require('../locales');
+const { t, formatDate } = require('../locales');
+const {
+  DISPUTE_RESPONSE_HOURS,
+  DISPUTE_EVIDENCE_TYPES,
+  DISPUTE_MAX_EVIDENCE,
+  DISPUTE_APPEAL_HOURS,
+  AUTO_BAN_LOSS_STREAK,
+  AUTO_BAN_RESTRICTION_DAYS
+} = require('../config/constants');
+
+// TRON (64 hex) or EVM (0x + 64 hex) transaction hash
+const TX_HASH_REGEX = /^(0x)?[0-9a-fA-F]{64}$/;
 
 class DisputeService {
   /**
@@ -36,19 +51,27 @@ class DisputeService {
       throw new Error(`Cannot open dispute for deal in status: ${deal.status}`);
     }
 
+    // Milestone deals: dispute is scoped to the current milestone
+    const milestoneIndex = Deal.isMilestoneDeal(deal) ? deal.currentMilestone : null;
+
     // Check if dispute already exists
-    const existingDispute = await Dispute.findOne({ dealId: deal._id });
+    const existingDispute = await Dispute.findOne({ dealId: deal._id, milestoneIndex });
     if (existingDispute) {
-      throw new Error('Dispute already exists for this deal');
+      throw new Error(milestoneIndex === null
+        ? 'Dispute already exists for this deal'
+        : 'Dispute already exists for this milestone');
     }
 
-    // Create dispute
+    // Create dispute - the other party gets a window to reply
     const dispute = new Dispute({
       dealId: deal._id,
+      milestoneIndex,
       openedBy: userId,
       reasonText,
       media,
-      status: 'open'
+      status: 'open',
+      respondentId: deal.buyerId === userId ? deal.sellerId : deal.buyerId,
+      responseDueAt: new Date(Date.now() + DISPUTE_RESPONSE_HOURS * 60 * 60 * 1000)
     });
 
     await dispute.save();
@@ -60,9 +83,18 @@ class DisputeService {
     // Log dispute creation
     await AuditLog.logDisputeOpened(userId, deal._id, dispute._id, {
       dealId: deal.dealId,
+      milestoneIndex,
       reasonText: reasonText.substring(0, 200)
     });
 
+    // Round-robin to an arbiter; unassigned disputes are retried by the SLA loop
+    await arbitrationService.autoAssign(dispute, deal);
+
+    await webhookService.dispatch(deal, 'deal.dispute_opened', {
+      milestoneIndex,
+      openedBy: deal.getUserRole(userId)
+    });
+
     return dispute;
   }
 
@@ -80,7 +112,8 @@ class DisputeService {
       throw new Error('Deal not found');
     }
 
-    const dispute = await Dispute.findOne({ dealId: deal._id });
+    // Latest dispute (milestone deals may have one per milestone)
+    const dispute = await Dispute.findOne({ dealId: deal._id }).sort({ createdAt: -1 });
     if (!dispute) {
       throw new Error('Dispute not found');
     }
@@ -100,6 +133,190 @@ class DisputeService {
     return dispute;
   }
 
+  /**
+   * Add typed evidence to the active dispute timeline
+   * First item from the respondent counts as their reply
+   * @param {string} dealId
+   * @param {number} userId - Deal participant
+   * @param {Object} evidence
+   * @param {string} evidence.type - One of DISPUTE_EVIDENCE_TYPES
+   * @param {string} [evidence.text]
+   * @param {Array<string>} [evidence.media] - URLs to media files
+   * @param {string} [evidence.txHash] - For 'tx_hash'
+   * @returns {Promise<Object>} - { dispute, item, isFirstResponse }
+   */
+  async addEvidence(dealId, userId, { type, text = null, media = [], txHash = null }) {
+    const deal = await Deal.findOne({ dealId });
+    if (!deal) {
+      throw new Error('Deal not found');
+    }
+
+    if (!deal.isParticipant(userId)) {
+      throw new Error('Only deal participants can add evidence');
+    }
+
+    const dispute = await Dispute.findOne({ dealId: deal._id }).sort({ createdAt: -1 });
+    if (!dispute || dispute.status === 'resolved') {
+      throw new Error('No active dispute for this deal');
+    }
+
+    if (!DISPUTE_EVIDENCE_TYPES.includes(type)) {
+      throw new Error('Unknown evidence type');
+    }
+
+    text = text?.trim() || null;
+
+    if (type === 'tx_hash') {
+      txHash = txHash?.trim();
+      if (!txHash || !TX_HASH_REGEX.test(txHash)) {
+        throw new Error('Invalid transaction hash');
+      }
+    } else {
+      txHash = null;
+      if (!text && media.length === 0) {
+        throw new Error('Evidence must contain text or a file');
+      }
+    }
+
+    if (dispute.evidenceItems.length >= DISPUTE_MAX_EVIDENCE) {
+      throw new Error(`Evidence limit reached (${DISPUTE_MAX_EVIDENCE})`);
+    }
+
+    dispute.evidenceItems.push({
+      userId,
+      role: deal.getUserRole(userId),
+      type,
+      text,
+      media,
+      txHash
+    });
+
+    const isFirstResponse = userId === dispute.respondentId && !dispute.respondedAt;
+    if (isFirstResponse) {
+      dispute.respondedAt = new Date();
+    }
+
+    await dispute.save();
+
+    await AuditLog.log(userId, 'dispute_evidence', {
+      dealId: deal.dealId,
+      type
+    }, { dealId: deal._id, disputeId: dispute._id });
+
+    return {
+      dispute,
+      item: dispute.evidenceItems[dispute.evidenceItems.length - 1],
+      isFirstResponse
+    };
+  }
+
+  /**
+   * Single timeline of the dispute: opening claim, typed evidence, comments,
+   * appeal and its review
+   * @param {Object} dispute
+   * @param {Object} deal
+   * @returns {Array<Object>} - [{ at, userId, role, type, text, media, txHash }], oldest first
+   */
+  getTimeline(dispute, deal) {
+    const roleOf = userId => deal.buyerId === userId ? 'buyer'
+      : deal.sellerId === userId ? 'seller' : 'arbiter';
+
+    const entries = [
+      {
+        at: dispute.createdAt,
+        userId: dispute.openedBy,
+        role: roleOf(dispute.openedBy),
+        type: 'claim',
+        text: dispute.reasonText,
+        media: dispute.media || [],
+        txHash: null
+      },
+      ...(dispute.evidenceItems || []).map(item => ({
+        at: item.createdAt,
+        userId: item.userId,
+        role: item.role,
+        type: item.type,
+        text: item.text,
+        media: item.media || [],
+        txHash: item.txHash
+      })),
+      ...(dispute.comments || []).map(comment => ({
+        at: comment.createdAt,
+        userId: comment.userId,
+        role: roleOf(comment.userId),
+        type: 'comment',
+        text: comment.text,
+        media: comment.media || [],
+        txHash: null
+      }))
+    ];
+
+    const appeal = dispute.appeal;
+    if (appeal?.filedAt) {
+      entries.push({
+        at: appeal.filedAt,
+        userId: appeal.userId,
+        role: roleOf(appeal.userId),
+        type: 'appeal',
+        text: appeal.reason,
+        media: [],
+        txHash: null
+      });
+    }
+    if (appeal?.reviewedAt) {
+      entries.push({
+        at: appeal.reviewedAt,
+        userId: 0,
+        role: 'arbiter',
+        type: `appeal_${appeal.status}`,
+        text: appeal.comment,
+        media: [],
+        txHash: null
+      });
+    }
+
+    return entries.sort((a, b) => new Date(a.at) - new Date(b.at));
+  }
+
+  /**
+   * Decide in favour of the opener when the respondent missed their window
+   * @param {string} dealId
+   * @param {number} arbiterId
+   * @returns {Promise<Object>}
+   */
+  async resolveByDefault(dealId, arbiterId) {
+    const deal = await Deal.findOne({ dealId });
+    if (!deal) {
+      throw new Error('Deal not found');
+    }
+
+    const dispute = await Dispute.findOne({ dealId: deal._id }).sort({ createdAt: -1 });
+    if (!dispute) {
+      throw new Error('Dispute not found');
+    }
+
+    if (!dispute.isRespondentSilent()) {
+      throw new Error(dispute.respondedAt
+        ? 'Respondent has replied'
+        : 'Respondent still has time to reply');
+    }
+
+    const decision = deal.buyerId === dispute.openedBy ? 'refund_buyer' : 'release_seller';
+
+    dispute.comments.push({
+      userId: 0,
+      text: '[Решение по умолчанию] Ответчик не ответил в отведённый срок',
+      createdAt: new Date()
+    });
+    await dispute.save();
+
+    const result = await this.resolveDispute(dealId, decision, arbiterId);
+
+    await Dispute.updateOne({ _id: dispute._id }, { $set: { decidedByDefault: true } });
+
+    return result;
+  }
+
   /**
    * Set bot instance for sending notifications
    * @param {Object} bot - Telegraf bot instance
@@ -111,18 +328,22 @@ class DisputeService {
   /**
    * Resolve dispute (admin/arbiter action)
    * NO automatic payouts - winner must input their private key!
+   * Win/lose decisions: the loser may appeal within DISPUTE_APPEAL_HOURS,
+   * the winner's key is requested after that (see requestDisputePayout)
    * @param {string} dealId
-   * @param {string} decision - 'refund_buyer' or 'release_seller'
+   * @param {string} decision - 'refund_buyer', 'release_seller' or 'split'
    * @param {number} arbiterId - Admin/arbiter user ID
+   * @param {Object} [split] - For 'split': { buyerPercent } or { buyerAmount, sellerAmount }
    * @returns {Promise<Object>}
    */
-  async resolveDispute(dealId, decision, arbiterId) {
+  async resolveDispute(dealId, decision, arbiterId, split = null) {
     const deal = await Deal.findOne({ dealId });
     if (!deal) {
       throw new Error('Deal not found');
     }
 
-    const dispute = await Dispute.findOne({ dealId: deal._id });
+    // Latest dispute (milestone deals may have one per milestone)
+    const dispute = await Dispute.findOne({ dealId: deal._id }).sort({ createdAt: -1 });
     if (!dispute) {
       throw new Error('Dispute not found');
     }
@@ -131,21 +352,30 @@ class DisputeService {
       throw new Error('Dispute already resolved');
     }
 
-    if (!['refund_buyer', 'release_seller'].includes(decision)) {
+    if (!['refund_buyer', 'release_seller', 'split'].includes(decision)) {
       throw new Error('Invalid decision');
     }
 
-    // Resolve dispute
-    await dispute.resolve(decision, arbiterId);
+    if (decision === 'split') {
+      return await this.resolveSplitDispute(deal, dispute, arbiterId, split);
+    }
 
     // Determine winner and loser
-    const winnerId = decision === 'refund_buyer' ? deal.buyerId : deal.sellerId;
-    const loserId = decision === 'refund_buyer' ? deal.sellerId : deal.buyerId;
-    const winnerRole = decision === 'refund_buyer' ? 'buyer' : 'seller';
+    const { winnerId, loserId, winnerRole } = this.getDecisionParties(deal, decision);
 
     const winner = await User.findOne({ telegramId: winnerId });
     const loser = await User.findOne({ telegramId: loserId });
 
+    // Stats before the decision - restored if it is reversed on appeal
+    dispute.statsBefore = {
+      winnerLossStreak: winner ? winner.disputeStats.lossStreak : null,
+      loserLossStreak: loser ? loser.disputeStats.lossStreak : null
+    };
+    dispute.appealDueAt = new Date(Date.now() + DISPUTE_APPEAL_HOURS * 60 * 60 * 1000);
+
+    // Resolve dispute
+    await dispute.resolve(decision, arbiterId);
+
     // Update dispute stats BEFORE sending notifications (so loser sees correct streak)
     if (winner) {
       await winner.updateDisputeStats(true); // Won - resets loss streak
@@ -158,29 +388,7 @@ class DisputeService {
     // Reload loser to get updated stats
     const updatedLoser = await User.findOne({ telegramId: loserId });
     const lossStreak = updatedLoser?.disputeStats?.lossStreak || 1;
-    const isNowBanned = updatedLoser?.blacklisted || false;
-
-    // Get balance and calculate amounts
-    const balance = await blockchainService.getBalance(deal.multisigAddress, deal.asset);
-    const commission = deal.commission;
-    const payoutAmount = balance - commission;
-
-    // Determine pending key validation type
-    const keyValidationType = decision === 'refund_buyer' ? 'dispute_buyer' : 'dispute_seller';
-
-    // Update deal status to mark pending key validation (NOT resolved yet - wait for key)
-    await Deal.findByIdAndUpdate(deal._id, {
-      pendingKeyValidation: keyValidationType
-    });
-
-    // Create key validation session for winner
-    await Session.setSession(winnerId, 'key_validation', {
-      dealId: deal.dealId,
-      type: keyValidationType,
-      attempts: 0,
-      payoutAmount,
-      commission
-    }, 24); // TTL 24 hours
+    const restriction = await this.applyLossStreakRestriction(updatedLoser, dispute);
 
     // Log decision
     await AuditLog.logArbitrageDecision(arbiterId, deal._id, dispute._id, {
@@ -189,11 +397,18 @@ class DisputeService {
       winnerId,
       loserId,
       loserNewStreak: lossStreak,
-      loserBanned: isNowBanned
+      loserRestrictedUntil: restriction?.expiresAt || null,
+      appealDueAt: dispute.appealDueAt
+    });
+
+    await webhookService.dispatch(deal, 'deal.dispute_resolved', {
+      milestoneIndex: dispute.milestoneIndex,
+      decision,
+      winner: winnerRole
     });
 
     // =============================================
-    // Send notifications (NO auto-payout!)
+    // Send notifications (key is requested after the appeal window)
     // =============================================
 
     // Create mock ctx for messageManager
@@ -209,52 +424,628 @@ class DisputeService {
       const msgParams = {
         dealId: deal.dealId,
         productName: this.escapeMarkdown(deal.productName),
-        payoutAmount: payoutAmount.toFixed(2),
-        asset: deal.asset,
-        commission: commission.toFixed(2),
         lossStreak,
       };
 
-      const mainMenuKeyboard = (lang) => ({
-        inline_keyboard: [
-          [{ text: t(lang, 'btn.main_menu'), callback_data: 'main_menu' }]
-        ]
-      });
-
-      // Notify WINNER - request private key
+      // Notify WINNER - payout after the appeal window
       try {
-        const winnerText = t(winnerLang, 'dispute.resolve_winner', msgParams);
-        await messageManager.showNotification(ctx, winnerId, winnerText, mainMenuKeyboard(winnerLang));
-        console.log(`📬 Key request sent to winner for deal ${deal.dealId}`);
+        const winnerText = t(winnerLang, 'dispute.resolve_winner_appeal_window', {
+          ...msgParams,
+          deadline: formatDate(winnerLang, dispute.appealDueAt, { second: undefined })
+        });
+        await messageManager.showNotification(ctx, winnerId, winnerText, {
+          inline_keyboard: [
+            [{ text: t(winnerLang, 'btn.sign_offline'), callback_data: `offline_sign:${deal.dealId}` }],
+            [{ text: t(winnerLang, 'btn.main_menu'), callback_data: 'main_menu' }]
+          ]
+        });
+        console.log(`📬 Decision sent to winner for deal ${deal.dealId}`);
       } catch (error) {
-        console.error(`Error sending key request to winner:`, error.message);
+        console.error(`Error sending decision to winner:`, error.message);
       }
 
-      // Notify LOSER - inform about loss streak
+      // Notify LOSER - inform about loss streak and the appeal window
       try {
-        const loserKey = isNowBanned ? 'dispute.resolve_loser_banned' : 'dispute.resolve_loser';
-        const loserText = t(loserLang, loserKey, msgParams);
-        await messageManager.showNotification(ctx, loserId, loserText, mainMenuKeyboard(loserLang));
+        const loserText = (restriction
+          ? t(loserLang, 'dispute.resolve_loser_restricted', {
+            ...msgParams,
+            until: formatDate(loserLang, restriction.expiresAt, { second: undefined })
+          })
+          : t(loserLang, 'dispute.resolve_loser', msgParams)) + t(loserLang, 'dispute.appeal_hint', {
+          deadline: formatDate(loserLang, dispute.appealDueAt, { second: undefined })
+        });
+        await messageManager.showNotification(ctx, loserId, loserText, {
+          inline_keyboard: [
+            [{ text: t(loserLang, 'btn.appeal'), callback_data: `dispute_appeal:${deal.dealId}` }],
+            [{ text: t(loserLang, 'btn.main_menu'), callback_data: 'main_menu' }]
+          ]
+        });
         console.log(`📬 Loss notification sent to loser for deal ${deal.dealId}`);
       } catch (error) {
         console.error(`Error sending notification to loser:`, error.message);
       }
     }
 
-    console.log(`🔐 Dispute resolved for deal ${deal.dealId}, awaiting winner's key for payout`);
+    console.log(`⚖️ Dispute resolved for deal ${deal.dealId}, appeal window until ${dispute.appealDueAt.toISOString()}`);
 
     return {
       dispute,
       deal,
       winner,
       loser: updatedLoser,
-      autobanTriggered: isNowBanned,
+      autobanTriggered: !!restriction,
+      keyRequested: false,
+      appealDueAt: dispute.appealDueAt,
+      winnerId
+    };
+  }
+
+  /**
+   * Restrict deal creation for a loser with AUTO_BAN_LOSS_STREAK losses in a row.
+   * Lasts AUTO_BAN_RESTRICTION_DAYS, multiplied by every further loss in a row
+   * @param {Object} loser - User after the stats update
+   * @param {Object} dispute
+   * @returns {Promise<Object|null>} - Issued restriction
+   */
+  async applyLossStreakRestriction(loser, dispute) {
+    const lossStreak = loser?.disputeStats?.lossStreak || 0;
+    if (lossStreak < AUTO_BAN_LOSS_STREAK) {
+      return null;
+    }
+
+    try {
+      const days = AUTO_BAN_RESTRICTION_DAYS * (lossStreak - AUTO_BAN_LOSS_STREAK + 1);
+      const restriction = await banService.issueRestriction(loser.telegramId, {
+        type: 'deal_creation',
+        reasonCode: 'dispute_loss_streak',
+        reason: `${lossStreak} disputes lost in a row`,
+        durationHours: days * 24,
+        issuedBy: 'system',
+        disputeId: dispute._id,
+        notify: false // Part of the decision notification
+      });
+
+      await Dispute.updateOne({ _id: dispute._id }, { $set: { autoRestrictionId: restriction._id } });
+      dispute.autoRestrictionId = restriction._id;
+
+      return restriction;
+    } catch (error) {
+      console.error(`Error issuing loss streak restriction to ${loser.telegramId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Winner, loser and winner's role for a win/lose decision
+   * @param {Object} deal
+   * @param {string} decision - 'refund_buyer' or 'release_seller'
+   * @returns {Object} - { winnerId, loserId, winnerRole }
+   */
+  getDecisionParties(deal, decision) {
+    const buyerWins = decision === 'refund_buyer';
+    return {
+      winnerId: buyerWins ? deal.buyerId : deal.sellerId,
+      loserId: buyerWins ? deal.sellerId : deal.buyerId,
+      winnerRole: buyerWins ? 'buyer' : 'seller'
+    };
+  }
+
+  /**
+   * Ask the winner of a decided dispute for their private key.
+   * Callers claim the dispute first (payoutRequestedAt), so it runs once
+   * @param {Object} dispute - Resolved dispute, decision is final
+   * @param {Object} deal
+   * @returns {Promise<Object>} - { winnerId, payoutAmount, commission }
+   */
+  async requestDisputePayout(dispute, deal) {
+    const { winnerId } = this.getDecisionParties(deal, dispute.decision);
+
+    // Get balance and calculate amounts
+    const balance = await getDealBalance(deal);
+    const { payoutTotal: payoutAmount, commission } = this.getDisputedFunds(deal, balance);
+
+    // Determine pending key validation type
+    const keyValidationType = dispute.decision === 'refund_buyer' ? 'dispute_buyer' : 'dispute_seller';
+
+    // Update deal status to mark pending key validation (NOT resolved yet - wait for key)
+    await Deal.findByIdAndUpdate(deal._id, {
+      pendingKeyValidation: keyValidationType
+    });
+
+    // Create key validation session for winner
+    await Session.setSession(winnerId, 'key_validation', {
+      dealId: deal.dealId,
+      type: keyValidationType,
+      attempts: 0,
+      payoutAmount,
+      commission
+    }, 24); // TTL 24 hours
+
+    const ctx = this.botInstance ? { telegram: this.botInstance.telegram } : null;
+
+    if (ctx) {
+      try {
+        const winnerUser = await User.findOne({ telegramId: winnerId }).select('languageCode').lean();
+        const winnerLang = winnerUser?.languageCode || 'ru';
+
+        const winnerText = t(winnerLang, 'dispute.resolve_winner', {
+          dealId: deal.dealId,
+          productName: this.escapeMarkdown(deal.productName),
+          payoutAmount: payoutAmount.toFixed(2),
+          asset: deal.asset,
+          commission: commission.toFixed(2)
+        });
+        await messageManager.showNotification(ctx, winnerId, winnerText, {
+          inline_keyboard: [
+            [{ text: t(winnerLang, 'btn.sign_offline'), callback_data: `offline_sign:${deal.dealId}` }],
+            [{ text: t(winnerLang, 'btn.main_menu'), callback_data: 'main_menu' }]
+          ]
+        });
+        console.log(`📬 Key request sent to winner for deal ${deal.dealId}`);
+      } catch (error) {
+        console.error(`Error sending key request to winner:`, error.message);
+      }
+    }
+
+    console.log(`🔐 Dispute decision final for deal ${deal.dealId}, awaiting winner's key for payout`);
+
+    return { winnerId, payoutAmount, commission };
+  }
+
+  /**
+   * Request payout keys for decisions whose appeal window closed without an appeal
+   * (SLA loop of arbitrationService)
+   * @param {number} limit - Disputes per pass
+   * @returns {Promise<number>} - Payouts requested
+   */
+  async releaseClosedAppealWindows(limit = 50) {
+    const now = new Date();
+    const due = await Dispute.find({
+      status: 'resolved',
+      appealDueAt: { $lte: now },
+      payoutRequestedAt: null,
+      'appeal.status': null
+    })
+      .limit(limit)
+      .select('_id');
+
+    let requested = 0;
+
+    for (const { _id } of due) {
+      // Claim - an appeal filed at the last moment wins the race
+      const dispute = await Dispute.findOneAndUpdate(
+        { _id, payoutRequestedAt: null, 'appeal.status': null, appealDueAt: { $lte: now } },
+        { $set: { payoutRequestedAt: now } },
+        { new: true }
+      ).populate('dealId');
+      if (!dispute || !dispute.dealId) continue;
+
+      try {
+        await this.requestDisputePayout(dispute, dispute.dealId);
+        requested++;
+      } catch (error) {
+        console.error(`❌ Payout request error after appeal window (${dispute.dealId.dealId}):`, error.message);
+      }
+    }
+
+    return requested;
+  }
+
+  /**
+   * File an appeal against a win/lose decision (losing party, within the window).
+   * The winner's payout waits until another arbiter reviews it
+   * @param {string} dealId
+   * @param {number} userId - Losing party
+   * @param {string} reason
+   * @returns {Promise<Object>} - { dispute, reviewer }
+   */
+  async fileAppeal(dealId, userId, reason) {
+    const deal = await Deal.findOne({ dealId });
+    if (!deal) {
+      throw new Error('Deal not found');
+    }
+
+    const dispute = await Dispute.findOne({ dealId: deal._id }).sort({ createdAt: -1 });
+    if (!dispute || dispute.status !== 'resolved') {
+      throw new Error('Dispute not found');
+    }
+
+    if (!['refund_buyer', 'release_seller'].includes(dispute.decision) ||
+      this.getDecisionParties(deal, dispute.decision).loserId !== userId) {
+      throw new Error('Only the losing party can appeal');
+    }
+
+    const text = (reason || '').trim();
+    if (text.length < 20) {
+      throw new Error('Appeal reason is too short');
+    }
+
+    const now = new Date();
+    const filed = await Dispute.findOneAndUpdate(
+      { _id: dispute._id, 'appeal.status': null, payoutRequestedAt: null, appealDueAt: { $gt: now } },
+      {
+        $set: {
+          appeal: {
+            userId,
+            reason: text.substring(0, 2000),
+            filedAt: now,
+            status: 'pending',
+            reviewerId: null
+          }
+        }
+      },
+      { new: true }
+    );
+    if (!filed) {
+      throw new Error('Appeal window is closed');
+    }
+
+    const reviewer = await arbitrationService.assignAppealReviewer(filed, deal);
+    if (reviewer) {
+      filed.appeal.reviewerId = reviewer._id;
+    }
+
+    await AuditLog.log(userId, 'dispute_appeal_filed', {
+      dealId: deal.dealId,
+      decision: filed.decision,
+      reviewer: reviewer?.username || null
+    }, { dealId: deal._id, disputeId: filed._id });
+
+    await adminAlertService.alertDisputeAppeal(deal, filed, reviewer);
+
+    // Tell the winner their payout waits for the appeal
+    const ctx = this.botInstance ? { telegram: this.botInstance.telegram } : null;
+    if (ctx) {
+      const { winnerId } = this.getDecisionParties(deal, filed.decision);
+      try {
+        const winnerUser = await User.findOne({ telegramId: winnerId }).select('languageCode').lean();
+        const winnerLang = winnerUser?.languageCode || 'ru';
+        const text = t(winnerLang, 'dispute.appeal_filed_other', {
+          dealId: deal.dealId,
+          productName: this.escapeMarkdown(deal.productName)
+        });
+        await messageManager.showNotification(ctx, winnerId, text, {
+          inline_keyboard: [
+            [{ text: t(winnerLang, 'btn.dispute_timeline'), callback_data: `dispute_timeline:${deal.dealId}` }]
+          ]
+        });
+      } catch (error) {
+        console.error(`Error sending appeal notification:`, error.message);
+      }
+    }
+
+    console.log(`🔁 Appeal filed for deal ${deal.dealId} by ${userId}`);
+
+    return { dispute: filed, reviewer };
+  }
+
+  /**
+   * Review a pending appeal: confirm the decision or reverse it.
+   * Reversal swaps winner and loser - dispute stats and auto-ban are recalculated
+   * from the state before the decision. Then the (new) winner's key is requested
+   * @param {string} disputeId
+   * @param {string} outcome - 'confirm' or 'reverse'
+   * @param {Object|null} reviewer - Arbiter document, null for the admin account
+   * @param {string} [comment]
+   * @returns {Promise<Object>} - { dispute, reversed, winnerId, loserId }
+   */
+  async reviewAppeal(disputeId, outcome, reviewer, comment = null) {
+    if (!['confirm', 'reverse'].includes(outcome)) {
+      throw new Error('Invalid appeal outcome');
+    }
+
+    const dispute = await Dispute.findById(disputeId);
+    if (!dispute) {
+      throw new Error('Dispute not found');
+    }
+    if (dispute.appeal?.status !== 'pending') {
+      throw new Error('No pending appeal');
+    }
+    if (!arbitrationService.canReviewAppeal(reviewer, dispute)) {
+      throw new Error('Appeal is assigned to another arbiter');
+    }
+
+    const deal = await Deal.findById(dispute.dealId);
+    if (!deal) {
+      throw new Error('Deal not found');
+    }
+
+    const reversed = outcome === 'reverse';
+    const originalDecision = dispute.decision;
+    const decision = reversed
+      ? (originalDecision === 'refund_buyer' ? 'release_seller' : 'refund_buyer')
+      : originalDecision;
+    const now = new Date();
+
+    const reviewed = await Dispute.findOneAndUpdate(
+      { _id: dispute._id, 'appeal.status': 'pending' },
+      {
+        $set: {
+          decision,
+          payoutRequestedAt: now,
+          'appeal.status': reversed ? 'reversed' : 'confirmed',
+          'appeal.reviewedBy': reviewer?.username || 'admin',
+          'appeal.reviewedAt': now,
+          'appeal.comment': comment ? String(comment).substring(0, 2000) : null,
+          'appeal.originalDecision': originalDecision
+        }
+      },
+      { new: true }
+    );
+    if (!reviewed) {
+      throw new Error('No pending appeal');
+    }
+
+    const { winnerId, loserId, winnerRole } = this.getDecisionParties(deal, decision);
+
+    let restriction = null;
+    if (reversed) {
+      // Original winner loses now, original loser wins
+      const before = dispute.statsBefore || {};
+      const newLoser = await User.findOne({ telegramId: loserId });
+      const newWinner = await User.findOne({ telegramId: winnerId });
+
+      if (newLoser) {
+        await newLoser.reverseDisputeStats(true, { lossStreak: before.winnerLossStreak });
+      }
+      if (newWinner) {
+        await newWinner.reverseDisputeStats(false, { lossStreak: before.loserLossStreak });
+      }
+
+      // Restriction issued for the original decision goes with it
+      if (reviewed.autoRestrictionId) {
+        try {
+          await banService.liftRestriction(reviewed.autoRestrictionId, 'system', 'Dispute decision reversed on appeal', { notify: false });
+        } catch (error) {
+          console.log(`Restriction ${reviewed.autoRestrictionId} already inactive: ${error.message}`);
+        }
+      }
+      restriction = await this.applyLossStreakRestriction(newLoser, reviewed);
+
+      await webhookService.dispatch(deal, 'deal.dispute_resolved', {
+        milestoneIndex: reviewed.milestoneIndex,
+        decision,
+        winner: winnerRole,
+        appeal: 'reversed'
+      });
+    }
+
+    await AuditLog.log(reviewer?.telegramId || 0, 'dispute_appeal_reviewed', {
+      dealId: deal.dealId,
+      outcome: reviewed.appeal.status,
+      originalDecision,
+      decision,
+      reviewer: reviewer?.username || 'admin'
+    }, { dealId: deal._id, disputeId: reviewed._id });
+
+    // Notify both parties about the outcome
+    const ctx = this.botInstance ? { telegram: this.botInstance.telegram } : null;
+    if (ctx) {
+      const loser = await User.findOne({ telegramId: loserId }).select('disputeStats').lean();
+      const parties = [
+        { userId: winnerId, key: reversed ? 'dispute.appeal_reversed_winner' : 'dispute.appeal_confirmed_winner' },
+        { userId: loserId, key: reversed ? 'dispute.appeal_reversed_loser' : 'dispute.appeal_confirmed_loser' }
+      ];
+
+      for (const party of parties) {
+        try {
+          const user = await User.findOne({ telegramId: party.userId }).select('languageCode').lean();
+          const lang = user?.languageCode || 'ru';
+          const text = t(lang, party.key, {
+            dealId: deal.dealId,
+            productName: this.escapeMarkdown(deal.productName),
+            comment: reviewed.appeal.comment ? this.escapeMarkdown(reviewed.appeal.comment) : null,
+            lossStreak: loser?.disputeStats?.lossStreak || 1,
+            restrictedUntil: restriction ? formatDate(lang, restriction.expiresAt, { second: undefined }) : null
+          });
+          await messageManager.showNotification(ctx, party.userId, text, {
+            inline_keyboard: [
+              [{ text: t(lang, 'btn.main_menu'), callback_data: 'main_menu' }]
+            ]
+          });
+        } catch (error) {
+          console.error(`Error sending appeal outcome to ${party.userId}:`, error.message);
+        }
+      }
+    }
+
+    await this.requestDisputePayout(reviewed, deal);
+
+    console.log(`🔁 Appeal for deal ${deal.dealId} ${reviewed.appeal.status}`);
+
+    return { dispute: reviewed, reversed, winnerId, loserId };
+  }
+
+  /**
+   * Resolve dispute by splitting funds between buyer and seller.
+   * Neither side wins or loses, so dispute stats are not touched.
+   * Both parties must input their private keys to receive their shares.
+   * @param {Object} deal
+   * @param {Object} dispute
+   * @param {number} arbiterId
+   * @param {Object} split - { buyerPercent } or { buyerAmount, sellerAmount }
+   * @returns {Promise<Object>}
+   */
+  async resolveSplitDispute(deal, dispute, arbiterId, split) {
+    const balance = await getDealBalance(deal);
+    const shares = this.calculateSplitShares(deal, balance, split);
+
+    await dispute.resolve('split', arbiterId, {
+      buyerPercent: shares.buyerPercent,
+      buyerAmount: shares.buyerAmount,
+      sellerAmount: shares.sellerAmount
+    });
+
+    // Mark deal as pending key validation for BOTH parties (NOT resolved yet - wait for keys)
+    await Deal.findByIdAndUpdate(deal._id, {
+      pendingKeyValidation: 'dispute_split',
+      splitPayout: {
+        buyerPercent: shares.buyerPercent,
+        buyerAmount: shares.buyerAmount,
+        sellerAmount: shares.sellerAmount,
+        buyerCommission: shares.buyerCommission,
+        sellerCommission: shares.sellerCommission
+      }
+    });
+
+    const parties = [
+      { role: 'buyer', userId: deal.buyerId, payoutAmount: shares.buyerAmount, commission: shares.buyerCommission },
+      { role: 'seller', userId: deal.sellerId, payoutAmount: shares.sellerAmount, commission: shares.sellerCommission }
+    ];
+
+    // Create key validation session for each party
+    for (const party of parties) {
+      await Session.setSession(party.userId, 'key_validation', {
+        dealId: deal.dealId,
+        type: 'dispute_split',
+        role: party.role,
+        attempts: 0,
+        payoutAmount: party.payoutAmount,
+        commission: party.commission
+      }, 24); // TTL 24 hours
+    }
+
+    // Log decision
+    await AuditLog.logArbitrageDecision(arbiterId, deal._id, dispute._id, {
+      dealId: deal.dealId,
+      decision: 'split',
+      buyerPercent: shares.buyerPercent,
+      buyerAmount: shares.buyerAmount,
+      sellerAmount: shares.sellerAmount,
+      buyerCommission: shares.buyerCommission,
+      sellerCommission: shares.sellerCommission
+    });
+
+    await webhookService.dispatch(deal, 'deal.dispute_resolved', {
+      milestoneIndex: dispute.milestoneIndex,
+      decision: 'split',
+      buyerPercent: shares.buyerPercent
+    });
+
+    // Notify both parties - request private keys
+    const ctx = this.botInstance ? { telegram: this.botInstance.telegram } : null;
+
+    if (ctx) {
+      for (const party of parties) {
+        try {
+          const user = await User.findOne({ telegramId: party.userId }).select('languageCode').lean();
+          const lang = user?.languageCode || 'ru';
+
+          const text = t(lang, 'dispute.resolve_split', {
+            dealId: deal.dealId,
+            productName: this.escapeMarkdown(deal.productName),
+            buyerPercent: shares.buyerPercent,
+            sellerPercent: Number((100 - shares.buyerPercent).toFixed(2)),
+            payoutAmount: party.payoutAmount.toFixed(2),
+            asset: deal.asset,
+            commission: party.commission.toFixed(2)
+          });
+          const keyboard = {
+            inline_keyboard: [
+              [{ text: t(lang, 'btn.sign_offline'), callback_data: `offline_sign:${deal.dealId}` }],
+              [{ text: t(lang, 'btn.main_menu'), callback_data: 'main_menu' }]
+            ]
+          };
+
+          await messageManager.showNotification(ctx, party.userId, text, keyboard);
+          console.log(`📬 Split key request sent to ${party.role} for deal ${deal.dealId}`);
+        } catch (error) {
+          console.error(`Error sending split key request to ${party.role}:`, error.message);
+        }
+      }
+    }
+
+    console.log(`🔐 Dispute split for deal ${deal.dealId} (buyer ${shares.buyerPercent}%), awaiting both keys for payout`);
+
+    return {
+      dispute,
+      deal,
+      decision: 'split',
       keyRequested: true,
-      winnerId,
-      payoutAmount
+      ...shares
+    };
+  }
+
+  /**
+   * Calculate split shares from arbiter's input.
+   * Exact amounts are shares of deal.amount (or of the current milestone amount),
+   * so the ratio is applied to the disputed funds. Commission is charged only on
+   * the seller's released share: the buyer's share is a refund and comes back in
+   * full, including the commission part it carried.
+   * @param {Object} deal
+   * @param {number} balance - Current multisig balance
+   * @param {Object} split - { buyerPercent } or { buyerAmount, sellerAmount }
+   * @returns {Object} - { buyerPercent, buyerAmount, sellerAmount, buyerCommission, sellerCommission }
+   */
+  calculateSplitShares(deal, balance, split) {
+    if (!split) {
+      throw new Error('Split details are required');
+    }
+
+    // Milestone deals: shares refer to the disputed milestone
+    const disputedAmount = Deal.isMilestoneDeal(deal)
+      ? deal.milestones[deal.currentMilestone].amount
+      : deal.amount;
+
+    let buyerFraction;
+
+    if (split.buyerPercent !== undefined && split.buyerPercent !== null) {
+      const percent = Number(split.buyerPercent);
+      if (!Number.isFinite(percent) || percent <= 0 || percent >= 100) {
+        throw new Error('buyerPercent must be between 0 and 100 (exclusive)');
+      }
+      buyerFraction = percent / 100;
+    } else if (split.buyerAmount !== undefined && split.sellerAmount !== undefined) {
+      const buyerAmount = Number(split.buyerAmount);
+      const sellerAmount = Number(split.sellerAmount);
+      if (!(buyerAmount > 0) || !(sellerAmount > 0)) {
+        throw new Error('Split amounts must be positive');
+      }
+      if (Math.abs(buyerAmount + sellerAmount - disputedAmount) > 0.01) {
+        throw new Error(`Split amounts must add up to the disputed amount (${disputedAmount} ${deal.asset})`);
+      }
+      buyerFraction = buyerAmount / disputedAmount;
+    } else {
+      throw new Error('Split requires buyerPercent or buyerAmount and sellerAmount');
+    }
+
+    const { payoutTotal, commission } = this.getDisputedFunds(deal, balance);
+    if (payoutTotal <= 0) {
+      throw new Error('Balance too low for payout');
+    }
+
+    const round = (value) => Math.round(value * 1e6) / 1e6;
+    const sellerFraction = 1 - buyerFraction;
+    const sellerAmount = round(payoutTotal * sellerFraction);
+    const sellerCommission = round(commission * sellerFraction);
+
+    return {
+      buyerPercent: Math.round(buyerFraction * 10000) / 100,
+      buyerAmount: round(payoutTotal + commission - sellerAmount - sellerCommission),
+      sellerAmount,
+      buyerCommission: 0,
+      sellerCommission
     };
   }
 
+  /**
+   * Funds the dispute decision is about.
+   * Milestone that is not the last one: only its share of the escrow;
+   * otherwise everything left in the multisig minus the remaining commission.
+   * @param {Object} deal
+   * @param {number} balance - Current multisig balance
+   * @returns {Object} - { payoutTotal, commission }
+   */
+  getDisputedFunds(deal, balance) {
+    if (Deal.hasNextMilestone(deal)) {
+      const { payoutAmount, commission } = Deal.getMilestonePayout(deal, deal.currentMilestone);
+      return { payoutTotal: payoutAmount, commission };
+    }
+
+    const commission = Deal.getRemainingCommission(deal);
+    return { payoutTotal: balance - commission, commission };
+  }
+
   /**
    * Send ban notification to user using DELETE+SEND pattern
    * @param {number} userId - Telegram user ID
@@ -283,7 +1074,7 @@ class DisputeService {
       return null;
     }
 
-    return await Dispute.findOne({ dealId: deal._id }).populate('dealId');
+    return await Dispute.findOne({ dealId: deal._id }).sort({ createdAt: -1 }).populate('dealId');
   }
 
   /**
@@ -0,0 +1,54 @@
+const blockchainService = require('../blockchain');
+
+/**
+ * Energy burned from TRX: the arbiter tops the escrow up and the transfers
+ * burn it at the network energy price (the former FeeSaver fallback).
+ * Leftover TRX goes back to the arbiter after the payout (returnLeftoverTRX).
+ */
+class BurnProvider {
+  constructor() {
+    this.name = 'trx';
+  }
+
+  isEnabled() {
+    return !!process.env.ARBITER_PRIVATE_KEY;
+  }
+
+  /**
+   * @param {string} address - Escrow address
+   * @param {number} energy
+   * @returns {Promise<Object>} - { costTrx, available }
+   */
+  async quote(address, energy) {
+    const priceSun = await blockchainService.getEnergyPrice();
+    return { costTrx: energy * priceSun / 1e6, available: true };
+  }
+
+  /**
+   * Send the quoted amount with 10% and 2 TRX for bandwidth on top,
+   * at least FALLBACK_TRX_AMOUNT
+   * @returns {Promise<Object>} - { costTrx, trxSent }
+   */
+  async provide(address, energy, quote) {
+    const fallbackAmount = parseInt(process.env.FALLBACK_TRX_AMOUNT) || 30;
+    const trxAmount = Math.max(fallbackAmount, Math.ceil(quote.costTrx * 1.1) + 2);
+
+    const trxResult = await blockchainService.sendTRX(process.env.ARBITER_PRIVATE_KEY, address, trxAmount);
+    if (!trxResult.success) {
+      throw new Error(`Failed to send TRX: ${trxResult.message}`);
+    }
+
+    console.log(`✅ Sent ${trxAmount} TRX to ${address} for burned energy: ${trxResult.txHash}`);
+    await new Promise(r => setTimeout(r, 3000));
+    return { costTrx: quote.costTrx, trxSent: trxAmount };
+  }
+
+  /**
+   * Leftover TRX is returned by the payout flow, it needs the escrow signatures
+   */
+  async release() {
+    return true;
+  }
+}
+
+module.exports = BurnProvider;
@@ -0,0 +1,56 @@
+const feesaverService = require('../feesaver');
+const constants = require('../../config/constants');
+
+/**
+ * Energy rented from FeeSaver for 1 hour.
+ * FeeSaver has no price endpoint - the quote uses FEESAVER_ENERGY_PRICE_SUN
+ * until the first order is filled, then the price of the last order.
+ */
+class FeeSaverProvider {
+  constructor() {
+    this.name = 'feesaver';
+    this.priceSun = constants.FEESAVER_ENERGY_PRICE_SUN;
+  }
+
+  isEnabled() {
+    return feesaverService.isEnabled();
+  }
+
+  /**
+   * @param {string} address - Escrow address
+   * @param {number} energy
+   * @returns {Promise<Object>} - { costTrx, available, reason }
+   */
+  async quote(address, energy) {
+    const costTrx = energy * this.priceSun / 1e6;
+    const { balance_trx: balance } = await feesaverService.checkBalance();
+
+    if (balance < costTrx) {
+      return { costTrx, available: false, reason: `FeeSaver balance ${balance} TRX` };
+    }
+
+    return { costTrx, available: true };
+  }
+
+  /**
+   * @returns {Promise<Object>} - { costTrx }
+   */
+  async provide(address, energy) {
+    const rental = await feesaverService.rentExactEnergy(address, energy);
+    if (!rental.success) {
+      throw new Error('Energy rental failed');
+    }
+
+    this.priceSun = rental.cost * 1e6 / energy;
+    return { costTrx: rental.cost };
+  }
+
+  /**
+   * Rented energy expires on its own
+   */
+  async release() {
+    return true;
+  }
+}
+
+module.exports = FeeSaverProvider;
@@ -0,0 +1,108 @@
+const blockchainService = require('../blockchain');
+const constants = require('../../config/constants');
+
+/**
+ * Energy of our own staked TRX (Stake 2.0): the staking account
+ * (STAKING_PRIVATE_KEY, TRX frozen for energy) delegates it to the escrow
+ * for the payout and takes it back afterwards. Costs no TRX, the quote is
+ * the opportunity cost STAKING_ENERGY_PRICE_SUN; available while the
+ * account has enough undelegated stake.
+ */
+class StakingProvider {
+  constructor() {
+    this.name = 'staking';
+    this.privateKey = process.env.STAKING_PRIVATE_KEY || null;
+  }
+
+  isEnabled() {
+    return !!this.privateKey;
+  }
+
+  /**
+   * @param {string} address - Escrow address
+   * @param {number} energy
+   * @returns {Promise<Object>} - { costTrx, available, reason, delegateSun }
+   */
+  async quote(address, energy) {
+    const owner = blockchainService.privateKeyToAddress(this.privateKey);
+    const { maxSun, energyPerTrx } = await blockchainService.getDelegatableEnergy(owner);
+    const costTrx = energy * constants.STAKING_ENERGY_PRICE_SUN / 1e6;
+
+    if (!energyPerTrx) {
+      return { costTrx, available: false, reason: 'Energy per staked TRX unknown' };
+    }
+
+    const delegateSun = Math.ceil(energy * constants.STAKING_DELEGATION_MARGIN / energyPerTrx) * 1e6;
+    if (maxSun < delegateSun) {
+      return {
+        costTrx,
+        available: false,
+        reason: `Delegatable stake ${maxSun / 1e6} TRX, needed ${delegateSun / 1e6} TRX`
+      };
+    }
+
+    return { costTrx, available: true, delegateSun };
+  }
+
+  /**
+   * @returns {Promise<Object>} - { costTrx, delegatedSun }
+   */
+  async provide(address, energy, quote) {
+    const result = await blockchainService.delegateEnergy(this.privateKey, address, quote.delegateSun);
+    if (!result.success) {
+      throw new Error(`Energy delegation failed: ${result.message || result.error}`);
+    }
+
+    console.log(`✅ Delegated energy of ${quote.delegateSun / 1e6} staked TRX to ${address}: ${result.txHash}`);
+    await new Promise(r => setTimeout(r, 3000));
+    return { costTrx: quote.costTrx, delegatedSun: quote.delegateSun };
+  }
+
+  /**
+   * Undelegate the stake once the transfers that use it are in a block - a
+   * pending transfer would burn the escrow TRX or run out of energy. Failures
+   * are logged, the stake stays delegated until undelegated by hand
+   * @param {string} address - Escrow address
+   * @param {Object} decision - EnergyDecision with delegatedSun
+   * @param {Array<string>} [txHashes] - Transfers sent with the delegated energy
+   * @returns {Promise<boolean>}
+   */
+  async release(address, decision, txHashes = []) {
+    if (!decision.delegatedSun) {
+      return true;
+    }
+
+    try {
+      await this.waitForTransactions(txHashes);
+
+      const result = await blockchainService.undelegateEnergy(this.privateKey, address, decision.delegatedSun);
+      if (!result.success) {
+        throw new Error(result.message || result.error);
+      }
+      console.log(`✅ Took back ${decision.delegatedSun / 1e6} staked TRX from ${address}: ${result.txHash}`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Undelegating energy from ${address} failed:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Wait until the transactions are in a block (STAKING_RELEASE_WAIT_SECONDS at most)
+   * @param {Array<string>} txHashes
+   */
+  async waitForTransactions(txHashes) {
+    const deadline = Date.now() + constants.STAKING_RELEASE_WAIT_SECONDS * 1000;
+
+    for (const txHash of txHashes) {
+      while (!(await blockchainService.getTransactionConfirmations(txHash)).found) {
+        if (Date.now() >= deadline) {
+          throw new Error(`Transaction ${txHash} is not in a block yet`);
+        }
+        await new Promise(r => setTimeout(r, 3000));
+      }
+    }
+  }
+}
+
+module.exports = StakingProvider;
@@ -0,0 +1,189 @@
+/**
+ * Energy strategy engine
+ *
+ * USDT transfers on TRON need energy. For every payout the engine estimates
+ * it (blockchainService.estimateTransferEnergy), quotes every enabled provider
+ * and takes the energy from the cheapest available one - the next one if that
+ * fails. The decision is recorded as EnergyDecision; the admin stats aggregate
+ * the costs per strategy.
+ *
+ * Provider interface:
+ * - name - strategy, also recorded as Deal.operationalCosts.energyMethod
+ * - isEnabled() -> configured at all
+ * - quote(address, energy) -> { costTrx, available, reason }
+ * - provide(address, energy, quote) -> { costTrx, trxSent, delegatedSun }, throws on failure
+ * - release(address, decision, txHashes) -> true once the lent resources are back (staking),
+ *   txHashes - transfers sent with the energy
+ *
+ * Providers are registered in ENERGY_STRATEGIES order, equal quotes go to the
+ * earlier one. registerProvider() plugs in another provider.
+ */
+
+const EnergyDecision = require('../../models/EnergyDecision');
+const blockchainService = require('../blockchain');
+const adminAlertService = require('../adminAlertService');
+const constants = require('../../config/constants');
+
+const PROVIDER_LOADERS = {
+  feesaver: () => new (require('./FeeSaverProvider'))(),
+  staking: () => new (require('./StakingProvider'))(),
+  trx: () => new (require('./BurnProvider'))()
+};
+
+const TX_FEE = 1.1; // Fee of the TRX top-up transfer (trx strategy)
+
+class EnergyStrategyService {
+  constructor() {
+    this.providers = new Map();
+
+    for (const name of constants.ENERGY_STRATEGIES) {
+      const load = PROVIDER_LOADERS[name];
+      if (!load) {
+        console.warn(`⚠️ Unknown energy strategy: ${name}`);
+        continue;
+      }
+      this.registerProvider(load());
+    }
+  }
+
+  /**
+   * @param {Object} provider - See provider interface above
+   */
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  getProvider(name) {
+    return this.providers.get(name) || null;
+  }
+
+  /**
+   * Energy for transfers from one address. The first transfer pays the energy
+   * penalty of the contract, the following ones are estimated without it
+   * @param {string} fromAddress
+   * @param {Array<Object>} transfers - [{ toAddress, amount }]
+   * @returns {Promise<number>}
+   */
+  async estimateEnergy(fromAddress, transfers) {
+    let energy = 0;
+
+    for (const [index, transfer] of transfers.entries()) {
+      const estimate = await blockchainService.estimateTransferEnergy(fromAddress, transfer.toAddress, transfer.amount, index > 0);
+      energy += estimate.energyNeeded;
+    }
+
+    return energy;
+  }
+
+  /**
+   * Quote the enabled providers
+   * @param {string} address - Escrow address
+   * @param {number} energy
+   * @returns {Promise<Array<Object>>} - [{ strategy, costTrx, available, reason }], cheapest available first
+   */
+  async getQuotes(address, energy) {
+    const quotes = [];
+
+    for (const provider of this.providers.values()) {
+      if (!provider.isEnabled()) {
+        continue;
+      }
+
+      try {
+        quotes.push({ strategy: provider.name, ...(await provider.quote(address, energy)) });
+      } catch (error) {
+        quotes.push({ strategy: provider.name, costTrx: null, available: false, reason: error.message });
+      }
+    }
+
+    return quotes.sort((a, b) =>
+      (b.available - a.available) || ((a.costTrx ?? Infinity) - (b.costTrx ?? Infinity))
+    );
+  }
+
+  /**
+   * Supply the energy for the transfers of a payout
+   * @param {Object} deal
+   * @param {Array<Object>} transfers - [{ toAddress, amount }] in the order they are sent
+   * @param {string} operation - Payout type (EnergyDecision.operation)
+   * @returns {Promise<Object>} - EnergyDecision; costTrx is what the provider charged
+   */
+  async provide(deal, transfers, operation) {
+    const address = deal.multisigAddress;
+    const energyNeeded = await this.estimateEnergy(address, transfers);
+    const quotes = await this.getQuotes(address, energyNeeded);
+    const failedStrategies = [];
+
+    console.log(`🔋 Energy quotes for ${deal.dealId} (${energyNeeded} energy): ${quotes.map(quote =>
+      `${quote.strategy} ${quote.available ? `${quote.costTrx.toFixed(2)} TRX` : `n/a (${quote.reason})`}`
+    ).join(', ')}`);
+
+    for (const quote of quotes.filter(q => q.available)) {
+      let result;
+      try {
+        result = await this.getProvider(quote.strategy).provide(address, energyNeeded, quote);
+      } catch (error) {
+        console.error(`⚠️ Energy strategy ${quote.strategy} failed for ${deal.dealId}: ${error.message}`);
+        failedStrategies.push(quote.strategy);
+        continue;
+      }
+
+      console.log(`✅ Energy for ${deal.dealId}: ${quote.strategy}, ${energyNeeded} energy, ${result.costTrx.toFixed(2)} TRX`);
+
+      const decision = await EnergyDecision.create({
+        dealId: deal._id,
+        address,
+        operation,
+        strategy: quote.strategy,
+        energyNeeded,
+        quotes: quotes.map(({ strategy, costTrx, available, reason }) => ({ strategy, costTrx, available, reason })),
+        failedStrategies,
+        estimatedCostTrx: quote.costTrx,
+        costTrx: result.costTrx,
+        trxSent: result.trxSent || 0,
+        delegatedSun: result.delegatedSun || 0
+      });
+
+      return decision.toObject();
+    }
+
+    throw new Error(`No energy strategy available (${quotes.map(quote => `${quote.strategy}: ${quote.reason || 'failed'}`).join(', ') || 'none enabled'})`);
+  }
+
+  /**
+   * Finish a payout: take back lent resources and record the actual cost.
+   * Also called when the payout failed, only the first call counts. Never throws
+   * @param {Object} decision - From provide()
+   * @param {Object} [costs]
+   * @param {number} [costs.rentalCostTrx] - All FeeSaver energy rentals of the payout (feesaver)
+   * @param {number} [costs.trxReturned] - Leftover TRX returned from the escrow (trx)
+   * @param {Array<string>} [costs.txHashes] - Transfers broadcast with the energy (staking takes it back once they are in a block)
+   */
+  async complete(decision, costs = {}) {
+    if (!decision || decision.completedAt) {
+      return;
+    }
+    decision.completedAt = new Date();
+
+    try {
+      const provider = this.getProvider(decision.strategy);
+      if (provider && !(await provider.release(decision.address, decision, costs.txHashes || []))) {
+        await adminAlertService.alertError(`Energy release ${decision.address}`,
+          new Error(`${decision.strategy}: resources lent to ${decision.address} were not taken back`));
+      }
+
+      let costTrx = decision.costTrx;
+      if (decision.strategy === 'feesaver') {
+        costTrx = costs.rentalCostTrx ?? decision.costTrx;
+      } else if (decision.strategy === 'trx') {
+        costTrx = Math.max(0, decision.trxSent + TX_FEE - (costs.trxReturned || 0));
+      }
+
+      await EnergyDecision.updateOne({ _id: decision._id }, { $set: { costTrx, completedAt: decision.completedAt } });
+    } catch (error) {
+      console.error(`Error completing energy decision ${decision._id}:`, error.message);
+    }
+  }
+}
+
+module.exports = new EnergyStrategyService();
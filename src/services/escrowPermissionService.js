@@ -0,0 +1,229 @@
+/**
+ * Escrow Permission Service
+ *
+ * Turns a funded TRON escrow into a real 2-of-3 multisig account: owner and active
+ * permissions list the buyer key, the seller key and the arbiter, two signatures
+ * required. The escrow's own private key signs the permission update and is
+ * deleted afterwards - from then on no single party (the service included) can
+ * move the funds. Payouts are co-signed by the participant who entered their key
+ * and the arbiter.
+ *
+ * Instead of a key the participant may sign the prepared payout in their own wallet
+ * (offlineSigningService) - then the key does not reach the service at all.
+ *
+ * Deals created before on-chain multisig, BEP-20 deals and deals whose permission
+ * update failed stay in pseudo mode: the escrow key signs, the user key is only
+ * compared.
+ */
+
+const Deal = require('../models/Deal');
+const MultisigWallet = require('../models/MultisigWallet');
+const AuditLog = require('../models/AuditLog');
+const blockchainService = require('./blockchain');
+const adminAlertService = require('./adminAlertService');
+const {
+  ONCHAIN_MULTISIG_ENABLED,
+  ESCROW_PERMISSION_FEE_TRX,
+  ESCROW_MULTISIG_RESERVE_TRX
+} = require('../config/constants');
+
+class EscrowPermissionService {
+  isEnabled() {
+    return ONCHAIN_MULTISIG_ENABLED;
+  }
+
+  /**
+   * Address of the participant key. Pseudo-multisig deals only have the key itself
+   * @param {Object} deal - With +buyerPrivateKey +sellerPrivateKey for old deals
+   * @param {string} role - buyer | seller
+   * @returns {string|null}
+   */
+  getKeyAddress(deal, role) {
+    if (deal[`${role}KeyAddress`]) {
+      return deal[`${role}KeyAddress`];
+    }
+    const legacyKey = deal[`${role}PrivateKey`];
+    return legacyKey ? blockchainService.privateKeyToAddress(legacyKey) : null;
+  }
+
+  /**
+   * Does the entered key belong to the participant
+   * @param {Object} deal - With +buyerPrivateKey +sellerPrivateKey for old deals
+   * @param {string} role - buyer | seller
+   * @param {string} inputKey
+   * @returns {boolean}
+   */
+  matchesKey(deal, role, inputKey) {
+    if (!inputKey) {
+      return false;
+    }
+
+    const keyAddress = deal[`${role}KeyAddress`];
+    if (!keyAddress) {
+      const legacyKey = deal[`${role}PrivateKey`];
+      return !!legacyKey && inputKey === legacyKey;
+    }
+
+    try {
+      return blockchainService.privateKeyToAddress(inputKey) === keyAddress;
+    } catch (error) {
+      return false; // Not a private key at all
+    }
+  }
+
+  /**
+   * Apply the 2-of-3 permissions to a funded escrow. Runs from the deposit monitor
+   * queue (arbiter transfers must not run in parallel) and from the migration script.
+   * On failure the deal stays in pseudo mode and the admins are alerted
+   * @param {Object} deal
+   * @returns {Promise<Object>} - { success, skipped, txHash, error }
+   */
+  async setupPermissions(deal) {
+    if (!this.isEnabled() || (deal.network || 'tron') !== 'tron') {
+      return { success: false, skipped: true };
+    }
+
+    const wallet = await MultisigWallet.findOne({ dealId: deal._id }).select('+privateKey');
+    if (!wallet) {
+      return { success: false, error: 'Multisig wallet not found' };
+    }
+    if (wallet.permissionMode === 'onchain') {
+      return { success: true, skipped: true, txHash: wallet.permissionTxHash };
+    }
+
+    const legacy = await Deal.findById(deal._id).select('+buyerPrivateKey +sellerPrivateKey').lean();
+    const keyAddresses = [
+      this.getKeyAddress(legacy, 'buyer'),
+      this.getKeyAddress(legacy, 'seller'),
+      blockchainService.privateKeyToAddress(process.env.ARBITER_PRIVATE_KEY)
+    ];
+    if (keyAddresses.some(address => !address)) {
+      // Counterparty never received a key (deal created with both addresses)
+      console.log(`ℹ️ Escrow ${deal.dealId}: participant key missing, staying pseudo-multisig`);
+      return { success: false, skipped: true };
+    }
+
+    try {
+      let txHash = wallet.permissionTxHash;
+
+      // Retry after a crash between broadcast and save - don't pay the fee twice
+      const alreadySet = txHash && await blockchainService.verifyEscrowPermissions(wallet.address, keyAddresses);
+
+      if (!alreadySet) {
+        if (!wallet.privateKey) {
+          throw new Error('Multisig wallet key not found');
+        }
+
+        const amount = ESCROW_PERMISSION_FEE_TRX + ESCROW_MULTISIG_RESERVE_TRX;
+        const funding = await blockchainService.sendTRX(process.env.ARBITER_PRIVATE_KEY, wallet.address, amount);
+        if (!funding.success) {
+          throw new Error(`Failed to send TRX: ${funding.message}`);
+        }
+        await Deal.updateOne({ _id: deal._id }, { $set: { 'operationalCosts.permissionTrxSent': amount } });
+        await new Promise(r => setTimeout(r, 3000));
+
+        const result = await blockchainService.updateEscrowPermissions(wallet.address, wallet.privateKey, keyAddresses);
+        if (!result.success) {
+          throw new Error(`Permission update failed: ${result.error || result.message}`);
+        }
+        txHash = result.txHash;
+        await MultisigWallet.updateOne({ _id: wallet._id }, { $set: { permissionTxHash: txHash } });
+        await new Promise(r => setTimeout(r, 3000));
+
+        if (!await blockchainService.verifyEscrowPermissions(wallet.address, keyAddresses)) {
+          throw new Error('Permissions not found on chain after update');
+        }
+      }
+
+      // The escrow key can no longer sign anything - drop it.
+      // Saved through the document so the key fields get encrypted
+      Object.assign(wallet, {
+        permissionMode: 'onchain',
+        permissionTxHash: txHash,
+        permissionsSetAt: new Date(),
+        privateKey: null,
+        buyerPublicKey: keyAddresses[0],
+        sellerPublicKey: keyAddresses[1],
+        permissionsJson: {
+          owner_address: wallet.address,
+          ...blockchainService.buildEscrowPermissions(keyAddresses)
+        }
+      });
+      await wallet.save();
+
+      await AuditLog.log(0, 'escrow_permissions_set', {
+        dealId: deal.dealId,
+        address: wallet.address,
+        txHash
+      }, { dealId: deal._id });
+
+      console.log(`🔐 Escrow ${deal.dealId} is now 2-of-3 on chain: ${txHash}`);
+      return { success: true, txHash };
+    } catch (error) {
+      console.error(`❌ Escrow permissions for ${deal.dealId} failed:`, error.message);
+      await adminAlertService.alertError(`Escrow permissions ${deal.dealId}`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Escrow wallet of a deal, ready for signing
+   * @param {Object} deal
+   * @returns {Promise<Object>} - MultisigWallet with +privateKey
+   */
+  async loadWallet(deal) {
+    const wallet = await MultisigWallet.findOne({ dealId: deal._id }).select('+privateKey');
+    if (!wallet || (wallet.permissionMode !== 'onchain' && !wallet.privateKey)) {
+      throw new Error('Multisig wallet key not found');
+    }
+    return wallet;
+  }
+
+  /**
+   * Sign a transfer from the escrow: participant key + arbiter on chain,
+   * the escrow key in pseudo mode. Offline signing (offlineSigningService) passes
+   * the transactions the participant signed in their wallet instead of a key -
+   * the matching one gets the arbiter signature
+   * @param {Object} chain - Chain adapter of the deal
+   * @param {Object} wallet - loadWallet() result
+   * @param {Object} transaction - Unsigned transaction
+   * @param {string|Object} signer - Key entered by the participant, or { signerAddress, transactions }
+   * @returns {Promise<Object>} - Signed transaction
+   */
+  async signTransaction(chain, wallet, transaction, signer) {
+    if (typeof signer === 'object' && signer !== null) {
+      if (wallet.permissionMode !== 'onchain') {
+        throw new Error('Offline signing requires an on-chain multisig escrow');
+      }
+      return blockchainService.multiSignTransaction(
+        this.findSignedTransaction(signer.transactions, transaction),
+        [process.env.ARBITER_PRIVATE_KEY]
+      );
+    }
+
+    if (wallet.permissionMode === 'onchain') {
+      return blockchainService.multiSignTransaction(transaction, [signer, process.env.ARBITER_PRIVATE_KEY]);
+    }
+    return chain.signTransaction(transaction, wallet.privateKey);
+  }
+
+  /**
+   * Pre-signed transaction with the same transfer (contract parameters) as a freshly
+   * built one - block reference and expiration differ
+   * @param {Array<Object>} signedTransactions
+   * @param {Object} transaction
+   * @returns {Object}
+   */
+  findSignedTransaction(signedTransactions, transaction) {
+    const transfer = JSON.stringify(transaction.raw_data.contract[0].parameter.value);
+    const signed = (signedTransactions || []).find(
+      tx => JSON.stringify(tx.raw_data.contract[0].parameter.value) === transfer
+    );
+    if (!signed) {
+      throw new Error('Signed transaction not found for this transfer');
+    }
+    return signed;
+  }
+}
+
+module.exports = new EscrowPermissionService();
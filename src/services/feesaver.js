@@ -10,7 +10,7 @@ const axios = require('axios');
 class FeeSaverService {
   constructor() {
     this.apiKey = process.env.FEESAVER_API_KEY;
-    this.baseUrl = 'https://api.feesaver.com';
+    this.baseUrl = process.env.FEESAVER_API_URL || 'https://api.feesaver.com';
     this.enabled = process.env.FEESAVER_ENABLED === 'true';
     this.minBalance = parseInt(process.env.FEESAVER_MIN_BALANCE) || 50;
 
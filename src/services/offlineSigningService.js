@@ -0,0 +1,398 @@
+/**
+ * Offline Signing Service
+ *
+ * Alternative to entering the private key in the bot: the payout transactions
+ * (payoutService plan, createReleaseTransaction output) are prepared here and signed in the
+ * participant's own wallet - TronLink via the signing page (/sign/:token) or any
+ * TRON wallet with a JSON download/upload. Only signatures come back; they are
+ * checked against the participant key address, the arbiter co-signs and the
+ * transactions are broadcast. The key never reaches the service.
+ *
+ * Needs an on-chain 2-of-3 escrow (escrowPermissionService): in pseudo mode the
+ * escrow key signs and a participant signature is worthless on chain.
+ *
+ * The signing page is served by the web server process, payouts run in the bot
+ * process - the processing loop here picks up submitted signatures.
+ */
+
+const crypto = require('crypto');
+const TronWeb = require('tronweb');
+const Deal = require('../models/Deal');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const MultisigWallet = require('../models/MultisigWallet');
+const Transaction = require('../models/Transaction');
+const PayoutSignature = require('../models/PayoutSignature');
+const ServiceStatus = require('../models/ServiceStatus');
+const blockchainService = require('./blockchain');
+const escrowPermissionService = require('./escrowPermissionService');
+const payoutService = require('./payoutService');
+const messageManager = require('../bot/utils/messageManager');
+const { mainMenuButton } = require('../bot/keyboards/main');
+const { t } = require('../locales');
+const { OFFLINE_SIGNING_TTL_MINUTES } = require('../config/constants');
+
+const SERVICE_NAME = 'OfflineSigning';
+
+// Signed transactions must outlive the link - processing may take a few minutes
+const EXPIRATION_MARGIN_SECONDS = 15 * 60;
+
+class OfflineSigningService {
+  constructor() {
+    this.botInstance = null;
+    this.isRunning = false;
+    this.isProcessing = false;
+    this.interval = null;
+
+    // Signatures submitted on the web page are picked up within this interval
+    this.CHECK_INTERVAL = 10 * 1000;
+  }
+
+  setBotInstance(bot) {
+    this.botInstance = bot;
+  }
+
+  async start() {
+    if (this.isRunning) {
+      console.log('⚠️ Offline signing service already running');
+      return;
+    }
+
+    console.log('✅ Starting offline signing service...');
+    this.isRunning = true;
+
+    try {
+      await ServiceStatus.markStarted(SERVICE_NAME);
+    } catch (e) {
+      console.error('Failed to update service status:', e.message);
+    }
+
+    this.processSigned();
+
+    this.interval = setInterval(() => {
+      this.processSigned();
+    }, this.CHECK_INTERVAL);
+  }
+
+  async stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    this.isRunning = false;
+
+    try {
+      await ServiceStatus.markStopped(SERVICE_NAME);
+    } catch (e) {
+      console.error('Failed to update service status:', e.message);
+    }
+
+    console.log('⛔ Offline signing service stopped');
+  }
+
+  /**
+   * Signing page URL
+   * @param {string} token
+   * @param {string} lang
+   * @returns {string}
+   */
+  getSigningUrl(token, lang = 'ru') {
+    const domain = process.env.WEB_DOMAIN || 'keyshield.me';
+    const siteUrl = domain.includes('localhost') ? `http://${domain}` : `https://${domain}`;
+    return `${siteUrl}/${lang}/sign/${token}`;
+  }
+
+  /**
+   * Can the deal be paid out with offline signatures
+   * @param {Object} deal
+   * @returns {Promise<boolean>}
+   */
+  async isAvailable(deal) {
+    if ((deal.network || 'tron') !== 'tron') {
+      return false;
+    }
+    const wallet = await MultisigWallet.findOne({ dealId: deal._id }).select('permissionMode').lean();
+    return wallet?.permissionMode === 'onchain';
+  }
+
+  /**
+   * Prepare the payout transactions of a key validation session for signing.
+   * An unexpired request of the same payout is reused
+   * @param {Object} deal - With +buyerPrivateKey +sellerPrivateKey for old deals
+   * @param {Object} session - Key validation session
+   * @param {number} telegramId - Participant asked for the key
+   * @param {string} role - buyer | seller, whose key signs
+   * @returns {Promise<Object>} - PayoutSignature
+   */
+  async createRequest(deal, session, telegramId, role) {
+    if (!await this.isAvailable(deal)) {
+      throw new Error('Offline signing requires an on-chain multisig escrow');
+    }
+
+    const signerAddress = escrowPermissionService.getKeyAddress(deal, role);
+    if (!signerAddress) {
+      throw new Error('Participant key address not found');
+    }
+
+    const existing = await PayoutSignature.findOne({
+      telegramId,
+      dealId: deal.dealId,
+      type: session.type,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    });
+    if (existing) {
+      return existing;
+    }
+
+    const { transfers } = await payoutService.getPlan(deal, session);
+    const lifetime = OFFLINE_SIGNING_TTL_MINUTES * 60;
+    const transactions = [];
+
+    for (const transfer of transfers) {
+      const transaction = await blockchainService.createReleaseTransaction(
+        deal.multisigAddress,
+        transfer.toAddress,
+        transfer.amount,
+        deal.asset
+      );
+      transactions.push({
+        ...transfer,
+        unsigned: blockchainService.extendExpiration(transaction, lifetime + EXPIRATION_MARGIN_SECONDS)
+      });
+    }
+
+    return PayoutSignature.create({
+      token: crypto.randomBytes(24).toString('hex'),
+      dealId: deal.dealId,
+      telegramId,
+      type: session.type,
+      role,
+      signerAddress,
+      asset: deal.asset,
+      transactions,
+      expiresAt: new Date(Date.now() + lifetime * 1000)
+    });
+  }
+
+  /**
+   * Request data for the signing page
+   * @param {string} token
+   * @returns {Promise<Object|null>}
+   */
+  async getPublicRequest(token) {
+    const request = await PayoutSignature.findOne({ token }).lean();
+    if (!request) {
+      return null;
+    }
+
+    const deal = await Deal.findOne({ dealId: request.dealId })
+      .select('dealId productName multisigAddress').lean();
+
+    return {
+      dealId: request.dealId,
+      productName: deal?.productName || null,
+      escrowAddress: deal?.multisigAddress || null,
+      asset: request.asset,
+      role: request.role,
+      signerAddress: request.signerAddress,
+      status: request.status === 'pending' && request.expiresAt <= new Date() ? 'expired' : request.status,
+      error: request.error,
+      expiresAt: request.expiresAt,
+      transactions: request.transactions.map(tx => ({
+        kind: tx.kind,
+        toAddress: tx.toAddress,
+        amount: tx.amount,
+        transaction: tx.unsigned
+      }))
+    };
+  }
+
+  /**
+   * Accept signed transactions. Only the signatures are taken: they must be made
+   * over the prepared transactions by the participant key
+   * @param {string} token
+   * @param {Array|Object} payload - Signed transactions (array, one transaction or { transactions })
+   * @returns {Promise<Object>} - Updated PayoutSignature
+   */
+  async submitSignatures(token, payload) {
+    const request = await PayoutSignature.findOne({ token });
+    if (!request) {
+      throw new Error('Signing request not found');
+    }
+    if (request.status !== 'pending') {
+      throw new Error('Signatures were already submitted');
+    }
+    if (request.expiresAt <= new Date()) {
+      request.status = 'expired';
+      await request.save();
+      throw new Error('Signing link expired');
+    }
+
+    const signedTxs = Array.isArray(payload) ? payload : (payload?.transactions || [payload]);
+    if (signedTxs.length !== request.transactions.length) {
+      throw new Error(`Expected ${request.transactions.length} signed transactions`);
+    }
+
+    const verified = request.transactions.map(tx => {
+      const signed = signedTxs.find(item => item?.txID === tx.unsigned.txID);
+      if (!signed || !Array.isArray(signed.signature) || signed.signature.length === 0) {
+        throw new Error('Signed transaction does not match the payout');
+      }
+
+      // Prepared transaction + submitted signatures, nothing else from the payload
+      const transaction = { ...tx.unsigned, signature: signed.signature };
+      let signers;
+      try {
+        signers = [].concat(TronWeb.Trx.ecRecover(transaction));
+      } catch (error) {
+        throw new Error('Invalid signature');
+      }
+      if (!signers.includes(request.signerAddress)) {
+        throw new Error('Transaction is not signed by the deal key');
+      }
+
+      return transaction;
+    });
+
+    const updated = await PayoutSignature.findOneAndUpdate(
+      { _id: request._id, status: 'pending' },
+      {
+        $set: {
+          ...Object.fromEntries(verified.map((tx, index) => [`transactions.${index}.signed`, tx])),
+          status: 'signed',
+          signedAt: new Date()
+        }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      throw new Error('Signatures were already submitted');
+    }
+
+    console.log(`🔏 Offline signatures received for deal ${request.dealId} (${request.type})`);
+    return updated;
+  }
+
+  /**
+   * Pending request of a user's current key validation
+   * @param {number} telegramId
+   * @param {Object} session - Key validation session
+   * @returns {Promise<Object|null>}
+   */
+  async findPendingRequest(telegramId, session) {
+    return PayoutSignature.findOne({
+      telegramId,
+      dealId: session.dealId,
+      type: session.type,
+      status: 'pending'
+    }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Pay out all signed requests (one at a time - arbiter transfers must not overlap)
+   */
+  async processSigned() {
+    if (this.isProcessing || !this.botInstance) {
+      return;
+    }
+    this.isProcessing = true;
+
+    try {
+      let request;
+      while ((request = await this.claim({ status: 'signed' }))) {
+        await this.processRequest(request);
+      }
+    } catch (error) {
+      console.error('Error processing offline signatures:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Pay out one request right away (bot upload)
+   * @param {Object} request - Signed PayoutSignature
+   * @param {Object} ctx - Bot context of the upload
+   * @returns {Promise<boolean>} - false if the processing loop took it first
+   */
+  async processNow(request, ctx) {
+    const claimed = await this.claim({ _id: request._id, status: 'signed' });
+    if (!claimed) {
+      return false;
+    }
+    await this.processRequest(claimed, ctx);
+    return true;
+  }
+
+  /**
+   * Atomically move a signed request to processing
+   * @param {Object} query
+   * @returns {Promise<Object|null>}
+   */
+  async claim(query) {
+    return PayoutSignature.findOneAndUpdate(
+      query,
+      { $set: { status: 'processing' } },
+      { sort: { signedAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Run the payout with the submitted signatures
+   * @param {Object} request - Claimed PayoutSignature
+   * @param {Object} [ctx] - Bot context, { telegram } of the bot instance by default
+   */
+  async processRequest(request, ctx = { telegram: this.botInstance.telegram }) {
+    const keyValidation = require('../bot/handlers/keyValidation');
+    const user = await User.findOne({ telegramId: request.telegramId }).select('languageCode').lean();
+    const lang = user?.languageCode || 'ru';
+    let payoutStarted = false;
+
+    try {
+      // The payout must still be waiting for this key
+      const session = await Session.getSession(request.telegramId, 'key_validation');
+      const deal = await Deal.findOne({ dealId: request.dealId }).select('+buyerPrivateKey +sellerPrivateKey');
+      if (!deal || !session || session.dealId !== request.dealId || session.type !== request.type) {
+        throw new Error('Payout is no longer waiting for a signature');
+      }
+
+      await keyValidation.clearKeyValidationSession(request.telegramId);
+      await messageManager.updateScreen(ctx, request.telegramId, 'payout_processing', t(lang, 'payout.processing'), { inline_keyboard: [] });
+
+      const signer = {
+        signerAddress: request.signerAddress,
+        transactions: request.transactions.map(tx => tx.signed)
+      };
+      payoutStarted = true;
+      await keyValidation.runPayout(ctx, deal, session, signer);
+
+      // Payout handlers report errors to the user themselves - check the result on record
+      const payoutTxID = request.transactions.find(tx => tx.kind === 'payout').signed.txID;
+      const paid = await Transaction.exists({ dealId: deal._id, txHash: payoutTxID });
+      if (!paid) {
+        throw new Error('Payout transaction was not broadcast');
+      }
+
+      await PayoutSignature.updateOne({ _id: request._id }, { $set: { status: 'completed', processedAt: new Date() } });
+      console.log(`✅ Offline-signed payout completed for deal ${request.dealId}`);
+    } catch (error) {
+      console.error(`❌ Offline-signed payout for deal ${request.dealId} failed:`, error.message);
+      await PayoutSignature.updateOne({ _id: request._id }, {
+        $set: { status: 'failed', error: error.message, processedAt: new Date() }
+      });
+
+      // Failed payouts already showed their own error screen
+      if (!payoutStarted) {
+        try {
+          await messageManager.showNotification(ctx, request.telegramId,
+            t(lang, 'offlineSign.failed', { dealId: request.dealId }), mainMenuButton(lang));
+        } catch (e) {
+          console.error('Error sending offline signing notification:', e.message);
+        }
+      }
+    }
+  }
+}
+
+module.exports = new OfflineSigningService();
@@ -0,0 +1,715 @@
+/**
+ * Payout Service
+ *
+ * Amounts and transfers of every payout a key validation session runs: final
+ * payout to the seller, buyer refund / mutual cancellation, dispute payout,
+ * one share of a split decision, a milestone and a stray funds refund.
+ * The bot (keyValidation) pays out exactly this plan, and offline signing
+ * prepares it for the participant's wallet - signed transfers always match
+ * the ones that are broadcast.
+ *
+ * execute() sends a plan: energy, payout, commission, overpayment refund and
+ * the costs of it all, the same way for every payout type.
+ */
+
+const Deal = require('../models/Deal');
+const Transaction = require('../models/Transaction');
+const StrayDeposit = require('../models/StrayDeposit');
+const blockchainService = require('./blockchain');
+const { getChainAdapter, getDealBalance } = require('./chains');
+const feesaverService = require('./feesaver');
+const energyStrategyService = require('./energy');
+const adminAlertService = require('./adminAlertService');
+const escrowPermissionService = require('./escrowPermissionService');
+
+class PayoutService {
+  /**
+   * Participant who receives the payout - their key signs it
+   * @param {Object} session - Key validation session
+   * @returns {string|null} - buyer | seller, null for unknown types
+   */
+  getRecipientRole(session) {
+    switch (session.type) {
+      case 'seller_payout':
+      case 'seller_release':
+      case 'milestone_release':
+      case 'dispute_seller':
+        return 'seller';
+      case 'buyer_refund':
+      case 'mutual_cancel':
+      case 'dispute_buyer':
+        return 'buyer';
+      case 'dispute_split':
+      case 'stray_refund':
+        return session.role === 'seller' ? 'seller' : 'buyer';
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Which payout a session runs. A dispute on a milestone that is not
+   * the last one settles only that milestone
+   * @param {Object} deal
+   * @param {Object} session - Key validation session
+   * @returns {string|null} - 'final', 'milestone', 'split', 'stray'; null for unknown types
+   */
+  getPlanKind(deal, session) {
+    switch (session.type) {
+      case 'seller_payout':
+      case 'seller_release':
+      case 'buyer_refund':
+      case 'mutual_cancel':
+        return 'final';
+      case 'milestone_release':
+        return 'milestone';
+      case 'dispute_buyer':
+      case 'dispute_seller':
+        return Deal.hasNextMilestone(deal) ? 'milestone' : 'final';
+      case 'dispute_split':
+        return 'split';
+      case 'stray_refund':
+        return 'stray';
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Payout plan of a key validation session
+   * @param {Object} deal
+   * @param {Object} session - Key validation session
+   * @returns {Promise<Object>} - {
+   *   kind, role, toAddress,
+   *   payoutAmount - to the recipient, a buyer's payout includes the deposit overpayment,
+   *   commission, overpayment, waivedCommission (mutual cancellation),
+   *   milestoneIndex (milestone), operation (energy decision),
+   *   transfers - [{ kind: 'payout'|'commission'|'overpayment', toAddress, amount }] in sending order
+   * }
+   */
+  async getPlan(deal, session) {
+    const role = this.getRecipientRole(session);
+
+    let plan;
+    switch (this.getPlanKind(deal, session)) {
+      case 'final':
+        plan = await this.getFinalPlan(deal, session, role);
+        break;
+      case 'milestone':
+        plan = await this.getMilestonePlan(deal, role);
+        break;
+      case 'split':
+        plan = await this.getSplitPlan(deal, role);
+        break;
+      case 'stray':
+        plan = await this.getStrayPlan(deal, session.strayId, role);
+        break;
+      default:
+        throw new Error(`Unknown key validation type: ${session.type}`);
+    }
+
+    // Overpayment goes back within a payout to the buyer, as its own transfer otherwise
+    plan.transfers = [{ kind: 'payout', toAddress: plan.toAddress, amount: plan.payoutAmount }];
+    if (plan.commission > 0) {
+      plan.transfers.push({ kind: 'commission', toAddress: process.env.SERVICE_WALLET_ADDRESS, amount: plan.commission });
+    }
+    if (plan.overpayment > 0 && role !== 'buyer') {
+      plan.transfers.push({ kind: 'overpayment', toAddress: deal.buyerAddress, amount: plan.overpayment });
+    }
+
+    return plan;
+  }
+
+  /**
+   * Everything left in the escrow minus the remaining commission
+   * (mutual cancellation may waive part of it)
+   */
+  async getFinalPlan(deal, session, role) {
+    const balance = await getDealBalance(deal);
+    if (balance <= 0) {
+      throw new Error('Insufficient balance');
+    }
+
+    const remainingCommission = Deal.getRemainingCommission(deal);
+    const commission = session.type === 'mutual_cancel' ? Deal.getCancellationCommission(deal) : remainingCommission;
+    const overpayment = Deal.getRefundableOverpayment(deal);
+    const payoutAmount = balance - commission + (role === 'buyer' ? overpayment : 0);
+
+    if (payoutAmount <= 0) {
+      throw new Error('Balance too low for payout');
+    }
+
+    const operations = {
+      seller_payout: 'seller_payout',
+      seller_release: 'seller_payout',
+      buyer_refund: 'buyer_refund',
+      mutual_cancel: 'mutual_cancel'
+    };
+
+    return {
+      kind: 'final',
+      role,
+      toAddress: role === 'buyer' ? deal.buyerAddress : deal.sellerAddress,
+      payoutAmount,
+      commission,
+      overpayment,
+      waivedCommission: remainingCommission - commission,
+      operation: operations[session.type] || 'dispute_payout'
+    };
+  }
+
+  /**
+   * Current milestone and its part of the commission - later milestones stay in the escrow
+   */
+  async getMilestonePlan(deal, role) {
+    if (!Deal.hasNextMilestone(deal)) {
+      throw new Error('Last milestone is paid out with the final payout');
+    }
+
+    const index = deal.currentMilestone;
+    const { payoutAmount, commission } = Deal.getMilestonePayout(deal, index);
+
+    const balance = await getDealBalance(deal);
+    if (balance < payoutAmount + commission) {
+      throw new Error('Insufficient balance');
+    }
+
+    return {
+      kind: 'milestone',
+      role,
+      toAddress: role === 'buyer' ? deal.buyerAddress : deal.sellerAddress,
+      payoutAmount,
+      commission,
+      overpayment: 0,
+      waivedCommission: 0,
+      milestoneIndex: index,
+      operation: 'milestone'
+    };
+  }
+
+  /**
+   * One share of a split decision (deal.splitPayout). The buyer's share of
+   * the final split also returns the deposit overpayment
+   */
+  async getSplitPlan(deal, role) {
+    const split = deal.splitPayout || {};
+    const share = role === 'buyer' ? split.buyerAmount : split.sellerAmount;
+    const commission = (role === 'buyer' ? split.buyerCommission : split.sellerCommission) || 0;
+
+    if (!share || share <= 0) {
+      throw new Error('Split share not found');
+    }
+
+    if (role === 'buyer' ? split.buyerTxHash : split.sellerTxHash) {
+      throw new Error('Share already paid out');
+    }
+
+    const balance = await getDealBalance(deal);
+    if (balance < share + commission) {
+      throw new Error('Insufficient balance');
+    }
+
+    const overpayment = role === 'buyer' && !Deal.hasNextMilestone(deal) ? Deal.getRefundableOverpayment(deal) : 0;
+
+    return {
+      kind: 'split',
+      role,
+      toAddress: role === 'buyer' ? deal.buyerAddress : deal.sellerAddress,
+      payoutAmount: share + overpayment,
+      commission,
+      overpayment,
+      waivedCommission: 0,
+      operation: 'dispute_split'
+    };
+  }
+
+  /**
+   * Late transfer to a closed deal, back to the address it came from
+   */
+  async getStrayPlan(deal, strayId, role) {
+    const stray = await StrayDeposit.findOne({ _id: strayId, dealId: deal._id, status: 'detected' }).lean();
+    if (!stray || !stray.fromAddress) {
+      throw new Error('Stray transfer is not waiting for a refund');
+    }
+
+    return {
+      kind: 'stray',
+      role,
+      toAddress: stray.fromAddress,
+      payoutAmount: stray.amount,
+      commission: 0,
+      overpayment: 0,
+      waivedCommission: 0,
+      operation: 'stray_refund'
+    };
+  }
+
+  /**
+   * Send a payout plan from the escrow: payout, commission and the seller-side
+   * overpayment refund, energy for them and what it cost. Final payouts save
+   * the operational costs of the deal; deal status and notifications stay
+   * with the caller
+   * @param {Object} deal
+   * @param {Object} plan - getPlan() result, not for stray refunds (sendFromEscrow)
+   * @param {string|Object} signerKey - Recipient's key or offline signatures, co-signs on-chain multisig payouts
+   * @returns {Promise<Object>} - {
+   *   txHash, commissionTxHash (null if not sent), energyMethod,
+   *   costs - FeeSaver { energy, bandwidth, total } (TRX), trxReturned, trxSent
+   * }
+   */
+  async execute(deal, plan, signerKey) {
+    const costs = { energy: 0, bandwidth: 0, total: 0 };
+    // Sent with the energy of the decision - staked energy is taken back once they are in a block
+    const txHashes = [];
+    let energyMethod = 'none';
+    let trxReturned = 0;
+    let energy = null;
+
+    try {
+      const wallet = await escrowPermissionService.loadWallet(deal);
+      const chain = getChainAdapter(deal.network);
+
+      console.log(`💸 Processing ${plan.operation} for deal ${deal.dealId}: ${plan.payoutAmount} ${deal.asset} to ${plan.role}`);
+
+      // Other networks pay gas from the escrow address - top it up for both transfers
+      await chain.ensureFeeBalance(deal.multisigAddress, 2);
+
+      // ============================================
+      // 0. ENERGY AND BANDWIDTH FOR PAYOUT AND COMMISSION
+      // ============================================
+
+      const resources = await this.provideEnergy(deal, chain,
+        plan.transfers.filter(transfer => transfer.kind !== 'overpayment'), plan.operation);
+      energy = resources.energy;
+      energyMethod = resources.energyMethod;
+      costs.energy += resources.feesaverEnergyCost;
+      costs.bandwidth += resources.feesaverBandwidthCost;
+
+      // ============================================
+      // 1. FIRST TRANSFER: Payout to recipient
+      // ============================================
+
+      const payoutTx = await chain.buildTransfer(deal.multisigAddress, plan.toAddress, plan.payoutAmount, deal.asset);
+      const signedPayoutTx = await escrowPermissionService.signTransaction(chain, wallet, payoutTx, signerKey);
+      const payoutResult = await chain.broadcastTransaction(signedPayoutTx);
+
+      if (!payoutResult.success) {
+        throw new Error(`Payout transaction failed: ${payoutResult.error}`);
+      }
+
+      console.log(`✅ Payout successful: ${payoutResult.txHash}`);
+      txHashes.push(payoutResult.txHash);
+
+      const payoutTransaction = new Transaction({
+        dealId: deal._id,
+        type: plan.role === 'buyer' ? 'refund' : 'release',
+        network: deal.network,
+        asset: deal.asset,
+        amount: plan.payoutAmount,
+        txHash: payoutResult.txHash,
+        status: 'confirmed',
+        fromAddress: deal.multisigAddress,
+        toAddress: plan.toAddress
+      });
+      payoutTransaction.generateExplorerLink();
+      await payoutTransaction.save();
+
+      // Payout to the buyer carries the deposit overpayment
+      if (plan.role === 'buyer' && plan.overpayment > 0) {
+        await Deal.updateOne({ _id: deal._id }, { $set: { overpaymentRefundTxHash: payoutResult.txHash } });
+      }
+
+      // ============================================
+      // 2. SECOND TRANSFER: Commission to service
+      // ============================================
+
+      let commissionTxHash = null;
+
+      // Its energy is part of the energy decision above
+      if (plan.commission > 0) {
+        await new Promise(r => setTimeout(r, 3000));
+
+        const commissionTx = await chain.buildTransfer(
+          deal.multisigAddress,
+          process.env.SERVICE_WALLET_ADDRESS,
+          plan.commission,
+          deal.asset
+        );
+        const signedCommissionTx = await escrowPermissionService.signTransaction(chain, wallet, commissionTx, signerKey);
+        const commissionResult = await chain.broadcastTransaction(signedCommissionTx);
+
+        if (commissionResult.success) {
+          // Record transaction immediately (broadcast success = transaction submitted)
+          const commissionTransaction = new Transaction({
+            dealId: deal._id,
+            type: 'fee',
+            network: deal.network,
+            asset: deal.asset,
+            amount: plan.commission,
+            txHash: commissionResult.txHash,
+            status: 'confirmed',
+            toAddress: process.env.SERVICE_WALLET_ADDRESS
+          });
+          commissionTransaction.generateExplorerLink();
+          await commissionTransaction.save();
+          commissionTxHash = commissionResult.txHash;
+          txHashes.push(commissionTxHash);
+          console.log(`✅ Commission transferred: ${commissionResult.txHash}`);
+        } else {
+          console.error(`❌ Commission transfer broadcast failed: ${commissionResult.error}`);
+        }
+      }
+
+      // ============================================
+      // 3. THIRD TRANSFER: Deposit overpayment back to buyer
+      // ============================================
+
+      // Recorded as its own energy decision
+      let overpaymentEnergyCost = 0;
+      if (plan.transfers.some(transfer => transfer.kind === 'overpayment')) {
+        overpaymentEnergyCost = await this.refundOverpayment(deal, wallet, signerKey, chain);
+      }
+
+      // Return leftover TRX only if energy was burned from topped-up TRX (FeeSaver keeps 1 TRX for bandwidth)
+      if (energyMethod === 'trx') {
+        trxReturned = await this.returnLeftoverTRX(deal, wallet, signerKey);
+      }
+
+      // Take back delegated energy, record what the energy cost
+      await energyStrategyService.complete(energy, { rentalCostTrx: costs.energy, trxReturned, txHashes });
+
+      costs.energy += overpaymentEnergyCost;
+      costs.total = costs.energy + costs.bandwidth;
+
+      if (plan.kind === 'final') {
+        await this.saveOperationalCosts(deal, energyMethod, costs, trxReturned, plan.operation, energy?.trxSent);
+      }
+
+      return {
+        txHash: payoutResult.txHash,
+        commissionTxHash,
+        energyMethod,
+        costs,
+        trxReturned,
+        trxSent: energy?.trxSent || 0
+      };
+    } catch (error) {
+      await energyStrategyService.complete(energy, { txHashes });
+      throw error;
+    }
+  }
+
+  /**
+   * Energy and bandwidth for the transfers of a payout (TRON).
+   * Bandwidth is rented from FeeSaver when it is enabled; energy for USDT comes
+   * from the cheapest strategy of the energy engine (services/energy)
+   * @param {Object} deal
+   * @param {Object} chain - Chain adapter of the deal
+   * @param {Array<Object>} transfers - [{ toAddress, amount }] in the order they are sent
+   * @param {string} operation - Payout type (energy decision)
+   * @returns {Promise<Object>} - { energy, energyMethod, feesaverEnergyCost, feesaverBandwidthCost }
+   */
+  async provideEnergy(deal, chain, transfers, operation) {
+    const resources = { energy: null, energyMethod: 'none', feesaverEnergyCost: 0, feesaverBandwidthCost: 0 };
+
+    if (chain.network !== 'tron') {
+      return resources;
+    }
+
+    // 📶 Rent bandwidth once for all transfers (400 rented + 600 free = 1000)
+    if (feesaverService.isEnabled()) {
+      try {
+        const bwRental = await feesaverService.rentBandwidthForDeal(deal.multisigAddress);
+        if (bwRental.success) {
+          resources.feesaverBandwidthCost = bwRental.cost;
+          console.log(`✅ Bandwidth rental successful (${bwRental.bandwidthRented} bw, cost: ${bwRental.cost} TRX)`);
+        }
+      } catch (error) {
+        console.error(`⚠️ Bandwidth rental failed: ${error.message}, will use TRX for bandwidth`);
+      }
+    }
+
+    // Plain TRX transfers need no energy
+    if (deal.asset === 'TRX') {
+      return resources;
+    }
+
+    // 🔋 Energy for all transfers at once - TRON sees all delegated energy
+    resources.energy = await energyStrategyService.provide(deal, transfers.filter(transfer => transfer.amount > 0), operation);
+    resources.energyMethod = resources.energy.strategy;
+    if (resources.energy.strategy === 'feesaver') {
+      resources.feesaverEnergyCost = resources.energy.costTrx;
+    }
+
+    return resources;
+  }
+
+  /**
+   * Return leftover TRX from multisig to arbiter
+   * Called ONLY when fallback TRX was used (not FeeSaver)
+   * Returns: (balance - 1.1 TRX) to keep minimum for potential future fees
+   * @param {Object} deal
+   * @param {Object} wallet - Escrow wallet (escrowPermissionService.loadWallet)
+   * @param {string|Object} signerKey - Participant key, co-signs on-chain multisig escrows
+   */
+  async returnLeftoverTRX(deal, wallet, signerKey) {
+    if (typeof signerKey === 'object') {
+      // Offline signatures cover only the prepared payout transfers
+      console.log(`ℹ️ Leftover TRX stays on ${deal.dealId}: payout was signed offline`);
+      return 0;
+    }
+
+    try {
+      await new Promise(r => setTimeout(r, 5000)); // Wait for previous tx to settle
+
+      const trxBalance = await blockchainService.getBalance(deal.multisigAddress, 'TRX');
+      // Keep 1.1 TRX for potential future fees (+ the multi-signature fee of this transfer), return the rest
+      const multiSignFee = wallet.permissionMode === 'onchain' ? 1 : 0;
+      const returnAmount = trxBalance - 1.1 - multiSignFee;
+
+      if (returnAmount > 0.5) {
+        const arbiterAddress = blockchainService.privateKeyToAddress(process.env.ARBITER_PRIVATE_KEY);
+        const returnTx = await blockchainService.tronWeb.transactionBuilder.sendTrx(
+          arbiterAddress,
+          Math.floor(returnAmount * 1e6),
+          deal.multisigAddress
+        );
+        const signedReturnTx = await escrowPermissionService.signTransaction(blockchainService, wallet, returnTx, signerKey);
+        const returnResult = await blockchainService.broadcastTransaction(signedReturnTx);
+
+        if (returnResult.success) {
+          console.log(`✅ Returned ${returnAmount.toFixed(2)} TRX to service wallet from ${deal.dealId}`);
+          return returnAmount;
+        }
+      } else {
+        console.log(`ℹ️ TRX balance too low to return: ${trxBalance} TRX on ${deal.dealId}`);
+      }
+    } catch (error) {
+      console.error(`Error returning TRX from ${deal.dealId}:`, error.message);
+    }
+
+    return 0;
+  }
+
+  /**
+   * Single transfer from the escrow outside the regular payout (overpayment and
+   * stray funds refunds). Energy for USDT on TRON comes from the energy strategy
+   * engine unless the escrow has enough left from the payout; TRX topped up for
+   * burned energy goes back to the arbiter afterwards
+   * @param {Object} deal
+   * @param {Object} wallet - Escrow wallet (escrowPermissionService.loadWallet)
+   * @param {string|Object} signerKey - Participant key or offline signatures
+   * @param {Object} chain - Chain adapter of the deal
+   * @param {string} toAddress
+   * @param {number} amount - In deal asset
+   * @param {string} operation - 'overpayment_refund' or 'stray_refund' (energy decision)
+   * @returns {Promise<Object>} - { txHash, energyCost } (FeeSaver rental, TRX)
+   */
+  async sendFromEscrow(deal, wallet, signerKey, chain, toAddress, amount, operation) {
+    let energy = null;
+    let trxReturned = 0;
+    let txHash = null;
+
+    try {
+      if (chain.network === 'tron' && deal.asset !== 'TRX') {
+        const MIN_ENERGY_FOR_TRANSFER = 65000;
+        const availableEnergy = await blockchainService.getAvailableEnergy(deal.multisigAddress);
+
+        if (availableEnergy < MIN_ENERGY_FOR_TRANSFER) {
+          energy = await energyStrategyService.provide(deal, [{ toAddress, amount }], operation);
+        }
+      }
+
+      // Other networks pay gas from the escrow address
+      await chain.ensureFeeBalance(deal.multisigAddress, 1);
+
+      const transferTx = await chain.buildTransfer(deal.multisigAddress, toAddress, amount, deal.asset);
+      const signedTransferTx = await escrowPermissionService.signTransaction(chain, wallet, transferTx, signerKey);
+      const result = await chain.broadcastTransaction(signedTransferTx);
+
+      if (!result.success) {
+        throw new Error(`Transfer failed: ${result.error}`);
+      }
+      txHash = result.txHash;
+
+      const refundTransaction = new Transaction({
+        dealId: deal._id,
+        type: 'refund',
+        network: deal.network,
+        asset: deal.asset,
+        amount,
+        txHash: result.txHash,
+        status: 'confirmed',
+        fromAddress: deal.multisigAddress,
+        toAddress
+      });
+      refundTransaction.generateExplorerLink();
+      await refundTransaction.save();
+
+      if (energy?.strategy === 'trx') {
+        trxReturned = await this.returnLeftoverTRX(deal, wallet, signerKey);
+      }
+
+      return { txHash, energyCost: energy?.strategy === 'feesaver' ? energy.costTrx : 0 };
+    } finally {
+      await energyStrategyService.complete(energy, { trxReturned, txHashes: txHash ? [txHash] : [] });
+    }
+  }
+
+  /**
+   * Return the deposit overpayment to the buyer after a final payout to the seller.
+   * Payouts to the buyer include it in the payout transfer instead.
+   * A failed refund is flagged to the admins, the funds stay on the escrow
+   * @param {Object} deal
+   * @param {Object} wallet - Escrow wallet (escrowPermissionService.loadWallet)
+   * @param {string|Object} signerKey - Participant key or offline signatures
+   * @param {Object} chain - Chain adapter of the deal
+   * @returns {Promise<number>} - FeeSaver energy cost (TRX)
+   */
+  async refundOverpayment(deal, wallet, signerKey, chain) {
+    const overpayment = Deal.getRefundableOverpayment(deal);
+    if (overpayment <= 0) {
+      return 0;
+    }
+
+    try {
+      if (!deal.buyerAddress) {
+        throw new Error('Buyer address not set');
+      }
+
+      console.log(`💸 Refunding overpayment of ${overpayment} ${deal.asset} to buyer of ${deal.dealId}`);
+      await new Promise(r => setTimeout(r, 3000));
+
+      const { txHash, energyCost } = await this.sendFromEscrow(deal, wallet, signerKey, chain, deal.buyerAddress, overpayment, 'overpayment_refund');
+
+      await Deal.updateOne({ _id: deal._id }, { $set: { overpaymentRefundTxHash: txHash } });
+      console.log(`✅ Overpayment refunded: ${txHash}`);
+      return energyCost;
+    } catch (error) {
+      console.error(`❌ Overpayment refund of ${deal.dealId} failed:`, error.message);
+      await adminAlertService.alertError(`Overpayment refund ${deal.dealId}`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Save operational costs to deal
+   *
+   * COST BREAKDOWN:
+   *
+   * 1. Activation (USDT deals; TRX deals are activated by the deposit itself):
+   *    - activationTrxSent: 1 TRX (MULTISIG_ACTIVATION_TRX)
+   *    - activationTxFee: 1.1 TRX (fee for sending TRX from service wallet)
+   *    - Total activation: 2.1 TRX
+   *
+   * 1b. On-chain multisig (TRON): permissionTrxSent = ESCROW_PERMISSION_FEE_TRX
+   *    + ESCROW_MULTISIG_RESERVE_TRX, sent once after the deposit
+   *
+   * 2. FeeSaver rentals (dynamic):
+   *    - feesaverBandwidthCostTrx: ~0.4 TRX (1000 bw minimum for 1h), whenever FeeSaver is enabled
+   *    - feesaverEnergyCostTrx: energy of all transfers (feesaver strategy)
+   *    - feesaverCostTrx: total of bandwidth + energy
+   *
+   * 3. Energy strategy (services/energy, cheapest per payout):
+   *    - feesaver: covered by 2.
+   *    - trx: energy burned from TRX the arbiter sends to the escrow
+   *      - fallbackTrxSent: quoted burn + margin, at least FALLBACK_TRX_AMOUNT
+   *      - fallbackTxFee: 1.1 TRX (fee for sending TRX)
+   *      - fallbackTrxReturned: varies (balance - 1.1 TRX)
+   *    - staking: energy delegated from our own stake - no TRX spent
+   *
+   * @param {Object} deal - Deal object
+   * @param {string} energyMethod - 'feesaver', 'trx', 'staking' or 'none'
+   * @param {Object} feesaverCosts - FeeSaver costs breakdown {energy: number, bandwidth: number, total: number}
+   * @param {number} trxReturned - TRX returned to service wallet
+   * @param {string} operationType - Type of operation for logging
+   * @param {number} [trxSent] - TRX sent for burned energy (trx strategy), FALLBACK_TRX_AMOUNT if unknown
+   */
+  async saveOperationalCosts(deal, energyMethod, feesaverCosts, trxReturned, operationType, trxSent) {
+    try {
+      const priceService = require('./priceService');
+      const TX_FEE = 1.1; // Standard TRON transaction fee
+      const isTrxDeal = deal.asset === 'TRX';
+      const activationTrx = isTrxDeal ? 0 : (parseInt(process.env.MULTISIG_ACTIVATION_TRX) || 1);
+      const activationTxFee = isTrxDeal ? 0 : TX_FEE;
+      const fallbackSent = trxSent || parseInt(process.env.FALLBACK_TRX_AMOUNT) || 30;
+
+      // On-chain multisig: permission update fee + multi-signature reserve, sent after the deposit
+      const permissionTrx = deal.operationalCosts?.permissionTrxSent || 0;
+
+      // FeeSaver: energy (feesaver strategy) and bandwidth (rented with any strategy)
+      const energyCost = feesaverCosts?.energy || 0;
+      const bandwidthCost = feesaverCosts?.bandwidth || 0;
+      const totalFeesaver = feesaverCosts?.total || (energyCost + bandwidthCost);
+
+      const updateData = {
+        'operationalCosts.energyMethod': energyMethod,
+        'operationalCosts.activationTrxSent': activationTrx,
+        'operationalCosts.activationTxFee': activationTxFee,
+        'operationalCosts.activationTrxReturned': 0, // Nothing returned from activation
+        'operationalCosts.feesaverEnergyCostTrx': energyCost,
+        'operationalCosts.feesaverBandwidthCostTrx': bandwidthCost,
+        'operationalCosts.feesaverCostTrx': totalFeesaver
+      };
+
+      // Activation + its tx fee + permissions + FeeSaver
+      let totalTrxSpent = activationTrx + activationTxFee + permissionTrx + totalFeesaver;
+
+      if (energyMethod === 'trx') {
+        // Energy burned from topped-up TRX
+        updateData['operationalCosts.fallbackTrxSent'] = fallbackSent;
+        updateData['operationalCosts.fallbackTxFee'] = TX_FEE;
+        updateData['operationalCosts.fallbackTrxReturned'] = trxReturned;
+        updateData['operationalCosts.fallbackTrxNet'] = fallbackSent + TX_FEE - trxReturned;
+
+        totalTrxSpent += fallbackSent + TX_FEE - trxReturned;
+      } else {
+        updateData['operationalCosts.fallbackTrxSent'] = 0;
+        updateData['operationalCosts.fallbackTxFee'] = 0;
+        updateData['operationalCosts.fallbackTrxReturned'] = 0;
+        updateData['operationalCosts.fallbackTrxNet'] = 0;
+      }
+
+      // Calculate net activation cost (sent + fee - returned)
+      const activationNet = activationTrx + activationTxFee;
+      updateData['operationalCosts.activationTrxNet'] = activationNet;
+
+      updateData['operationalCosts.totalTrxSpent'] = totalTrxSpent;
+
+      // Get TRX price and calculate USD cost
+      try {
+        const trxPrice = await priceService.getTrxPrice();
+        const totalCostUsd = totalTrxSpent * trxPrice;
+        updateData['operationalCosts.totalCostUsd'] = totalCostUsd;
+        updateData['operationalCosts.trxPriceAtCompletion'] = trxPrice;
+      } catch (priceError) {
+        console.warn('Could not get TRX price:', priceError.message);
+      }
+
+      await Deal.findByIdAndUpdate(deal._id, { $set: updateData });
+
+      console.log(`\n📊 Operational costs saved for ${deal.dealId}:`);
+      console.log(`   Type: ${operationType}`);
+      console.log(`   Method: ${energyMethod}`);
+      console.log(`   Activation: ${activationTrx} + ${activationTxFee} fee = ${activationNet.toFixed(2)} TRX`);
+      if (permissionTrx > 0) {
+        console.log(`   Escrow permissions: ${permissionTrx.toFixed(2)} TRX`);
+      }
+      if (totalFeesaver > 0) {
+        console.log(`   FeeSaver Energy: ${energyCost.toFixed(2)} TRX`);
+        console.log(`   FeeSaver Bandwidth: ${bandwidthCost.toFixed(2)} TRX`);
+        console.log(`   FeeSaver Total: ${totalFeesaver.toFixed(2)} TRX`);
+      }
+      if (energyMethod === 'trx') {
+        console.log(`   Burned TRX: ${fallbackSent} + ${TX_FEE} fee - ${trxReturned.toFixed(2)} returned = ${(fallbackSent + TX_FEE - trxReturned).toFixed(2)} TRX`);
+      }
+      console.log(`   ════════════════════════════`);
+      console.log(`   TOTAL: ${totalTrxSpent.toFixed(2)} TRX\n`);
+
+    } catch (error) {
+      console.error('Error saving operational costs:', error.message);
+    }
+  }
+}
+
+module.exports = new PayoutService();
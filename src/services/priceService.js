@@ -74,6 +74,16 @@ async function trxToUsdt(trxAmount) {
   return trxAmount * price;
 }
 
+/**
+ * Convert USDT amount to TRX
+ * @param {number} usdtAmount - Amount in USDT
+ * @returns {Promise<number>} Amount in TRX
+ */
+async function usdtToTrx(usdtAmount) {
+  const price = await getTrxPrice();
+  return usdtAmount / price;
+}
+
 /**
  * Get cached price synchronously (for non-async contexts)
  * Returns fallback if no cache available
@@ -98,6 +108,7 @@ async function refreshPrice() {
 module.exports = {
   getTrxPrice,
   trxToUsdt,
+  usdtToTrx,
   getTrxPriceSync,
   refreshPrice,
   FALLBACK_TRX_RATE
@@ -0,0 +1,336 @@
+/**
+ * Re-encryption Service
+ *
+ * Moves encrypted fields to the active encryption key after a key rotation
+ * (see utils/encryption.js). Works on the raw collections in _id order,
+ * batch by batch; the cursor of every collection is stored in ServiceStatus,
+ * so an interrupted run continues where it stopped.
+ *
+ * Each document is updated only if its encrypted values did not change in the
+ * meantime - a concurrent save already re-encrypts them with the active key.
+ *
+ * Runs in the web server process (admin panel) or from the command line:
+ *   node scripts/reencrypt.js [--report] [--restart]
+ */
+
+const mongoose = require('mongoose');
+const encryption = require('../utils/encryption');
+const ServiceStatus = require('../models/ServiceStatus');
+
+const SERVICE_NAME = 'Reencryption';
+const BATCH_SIZE = 100;
+const BATCH_DELAY_MS = 200; // Pause between batches - keep the database load low
+
+// Encrypted fields per collection (mirrors the models' ENCRYPTED_FIELDS)
+const COLLECTIONS = [
+  {
+    name: 'deals',
+    fields: ['buyerAddress', 'sellerAddress', 'buyerPrivateKey', 'sellerPrivateKey', 'buyerKey', 'sellerKey', 'arbiterKey']
+  },
+  {
+    name: 'users',
+    fields: ['email', 'referralWallet'],
+    arrayField: { path: 'wallets', field: 'address' }
+  },
+  {
+    name: 'multisigwallets',
+    fields: ['privateKey', 'buyerPublicKey', 'sellerPublicKey', 'arbiterPublicKey']
+  },
+  {
+    name: 'apikeys',
+    fields: ['secret', 'previousSecret']
+  },
+  {
+    name: 'partnerwebhooks',
+    fields: ['secret']
+  }
+];
+
+class ReencryptionService {
+  constructor() {
+    this.isRunning = false;
+    this.stopRequested = false;
+    this.state = null;
+  }
+
+  /**
+   * Values of the sensitive fields of a raw document
+   * @returns {Array<string|undefined>}
+   */
+  getValues(doc, collection) {
+    const values = collection.fields.map(field => doc[field]);
+    const { arrayField } = collection;
+    if (arrayField && Array.isArray(doc[arrayField.path])) {
+      values.push(...doc[arrayField.path].map(item => item?.[arrayField.field]));
+    }
+    return values;
+  }
+
+  /**
+   * Projection of the encrypted fields
+   */
+  getProjection(collection) {
+    const projection = {};
+    for (const field of collection.fields) {
+      projection[field] = 1;
+    }
+    if (collection.arrayField) {
+      projection[collection.arrayField.path] = 1;
+    }
+    return projection;
+  }
+
+  /**
+   * Build the update of one document
+   * @returns {{ filter: Object, set: Object, failed: number }}
+   *   filter - current values (the update is skipped if they changed),
+   *   failed - values that no loaded key can decrypt
+   */
+  buildUpdate(doc, collection) {
+    const filter = { _id: doc._id };
+    const set = {};
+    let failed = 0;
+
+    const reencrypt = (value) => {
+      const result = encryption.reencrypt(value);
+      if (result === value && encryption.needsReencryption(value)) {
+        failed++;
+      }
+      return result;
+    };
+
+    for (const field of collection.fields) {
+      const value = doc[field];
+      if (!encryption.needsReencryption(value)) continue;
+      const result = reencrypt(value);
+      if (result !== value) {
+        filter[field] = value;
+        set[field] = result;
+      }
+    }
+
+    const { arrayField } = collection;
+    const items = arrayField && doc[arrayField.path];
+    if (Array.isArray(items)) {
+      let changed = false;
+      const updated = items.map(item => {
+        const value = item?.[arrayField.field];
+        if (!encryption.needsReencryption(value)) return item;
+        const result = reencrypt(value);
+        if (result === value) return item;
+        changed = true;
+        return { ...item, [arrayField.field]: result };
+      });
+      if (changed) {
+        filter[arrayField.path] = items;
+        set[arrayField.path] = updated;
+      }
+    }
+
+    return { filter, set, failed };
+  }
+
+  /**
+   * Current progress (last stored state if no run is active in this process)
+   */
+  async getProgress() {
+    if (this.state) {
+      return { ...this.state, isRunning: this.isRunning };
+    }
+    const status = await ServiceStatus.findOne({ serviceName: SERVICE_NAME }).lean();
+    return { ...(status?.stats || {}), isRunning: false };
+  }
+
+  async saveState() {
+    await ServiceStatus.heartbeat(SERVICE_NAME, this.state);
+  }
+
+  /**
+   * Start (or resume) the re-encryption in the background
+   * @param {Object} options
+   * @param {boolean} options.restart - Start over instead of resuming
+   * @returns {Promise<Object>} progress
+   */
+  async start({ restart = false } = {}) {
+    if (this.isRunning) {
+      throw new Error('Re-encryption is already running');
+    }
+    if (!encryption.isEnabled()) {
+      throw new Error('Encryption is not enabled');
+    }
+
+    this.isRunning = true;
+    try {
+      await this.prepare(restart);
+    } catch (error) {
+      this.isRunning = false;
+      throw error;
+    }
+    this.run().catch(error => {
+      console.error('[Reencryption] Error:', error);
+    });
+
+    return this.getProgress();
+  }
+
+  /**
+   * Continue a run that was interrupted by a restart
+   */
+  async resume() {
+    const status = await ServiceStatus.findOne({ serviceName: SERVICE_NAME }).lean();
+    if (status?.stats?.status !== 'running' || !encryption.isEnabled()) return false;
+
+    console.log('🔐 Resuming interrupted re-encryption');
+    await this.start();
+    return true;
+  }
+
+  /**
+   * Ask the running job to stop after the current batch
+   */
+  stop() {
+    if (this.isRunning) {
+      this.stopRequested = true;
+    }
+  }
+
+  /**
+   * Load the stored state or start a new one for the active key
+   */
+  async prepare(restart) {
+    const status = await ServiceStatus.findOne({ serviceName: SERVICE_NAME }).lean();
+    const stored = status?.stats;
+    const activeKeyId = encryption.getActiveKeyId();
+
+    const resumable = !restart && stored?.keyId === activeKeyId &&
+      ['running', 'stopped'].includes(stored.status);
+
+    this.state = resumable ? { ...stored } : {
+      keyId: activeKeyId,
+      status: 'running',
+      collections: Object.fromEntries(COLLECTIONS.map(c => [c.name, { lastId: null, done: false }])),
+      processed: 0,
+      updated: 0,
+      failed: 0,
+      startedAt: new Date(),
+      completedAt: null,
+      error: null
+    };
+    this.state.status = 'running';
+    this.state.error = null;
+    await this.saveState();
+  }
+
+  /**
+   * Process all collections, batch by batch
+   * Call prepare() first; start() does both.
+   */
+  async run() {
+    this.isRunning = true;
+    this.stopRequested = false;
+    const db = mongoose.connection.db;
+
+    try {
+      for (const collection of COLLECTIONS) {
+        const progress = this.state.collections[collection.name] || { lastId: null, done: false };
+        this.state.collections[collection.name] = progress;
+        if (progress.done) continue;
+
+        console.log(`🔐 Re-encrypting ${collection.name}...`);
+
+        while (!this.stopRequested) {
+          const query = progress.lastId ? { _id: { $gt: new mongoose.Types.ObjectId(progress.lastId) } } : {};
+          const docs = await db.collection(collection.name)
+            .find(query, { projection: this.getProjection(collection) })
+            .sort({ _id: 1 })
+            .limit(BATCH_SIZE)
+            .toArray();
+
+          if (docs.length === 0) {
+            progress.done = true;
+            break;
+          }
+
+          for (const doc of docs) {
+            const { filter, set, failed } = this.buildUpdate(doc, collection);
+            this.state.failed += failed;
+            if (Object.keys(set).length > 0) {
+              const result = await db.collection(collection.name).updateOne(filter, { $set: set });
+              this.state.updated += result.modifiedCount;
+            }
+            this.state.processed++;
+          }
+
+          progress.lastId = docs[docs.length - 1]._id.toString();
+          await this.saveState();
+          await new Promise(resolve => setTimeout(resolve, BATCH_DELAY_MS));
+        }
+
+        if (this.stopRequested) break;
+      }
+
+      if (this.stopRequested) {
+        this.state.status = 'stopped';
+        console.log('🔐 Re-encryption stopped');
+      } else {
+        this.state.status = 'completed';
+        this.state.completedAt = new Date();
+        console.log(`🔐 Re-encryption complete: ${this.state.updated} updated, ${this.state.failed} not decryptable`);
+      }
+    } catch (error) {
+      // Stays resumable - the cursor of the failed batch was not advanced
+      this.state.status = 'stopped';
+      this.state.error = error.message;
+      await ServiceStatus.logError(SERVICE_NAME, error);
+      throw error;
+    } finally {
+      this.isRunning = false;
+      await this.saveState();
+      await ServiceStatus.markStopped(SERVICE_NAME);
+    }
+
+    return this.state;
+  }
+
+  /**
+   * Number of records per key version in every collection
+   * A record is counted once under each key its values use; "v1" are values
+   * without a key id, "plaintext" - records with unencrypted sensitive values.
+   *
+   * @returns {Promise<Object>} { activeKeyId, loadedKeys, collections: [{ name, total, keys, plaintext }] }
+   */
+  async getReport() {
+    const db = mongoose.connection.db;
+    const collections = [];
+
+    for (const collection of COLLECTIONS) {
+      const keys = {};
+      let total = 0;
+      let plaintext = 0;
+
+      const cursor = db.collection(collection.name).find({}, { projection: this.getProjection(collection) });
+      for await (const doc of cursor) {
+        total++;
+        const values = this.getValues(doc, collection).filter(value => typeof value === 'string' && value);
+
+        const keyIds = new Set(values.filter(encryption.isEncrypted).map(encryption.getKeyId));
+        for (const keyId of keyIds) {
+          keys[keyId] = (keys[keyId] || 0) + 1;
+        }
+        if (values.some(value => !encryption.isEncrypted(value))) {
+          plaintext++;
+        }
+      }
+
+      collections.push({ name: collection.name, total, keys, plaintext });
+    }
+
+    return {
+      activeKeyId: encryption.getActiveKeyId(),
+      loadedKeys: encryption.getKeyIds(),
+      collections
+    };
+  }
+}
+
+module.exports = new ReencryptionService();
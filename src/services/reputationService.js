@@ -0,0 +1,219 @@
+/**
+ * Reputation Service
+ *
+ * Builds the reputation card of a user: rating, completed deals, volume bracket,
+ * dispute ratio, account age and the latest approved reviews. The card is shown to counterparties before they
+ * accept an invite and on the opt-in public page (/u/:publicId).
+ *
+ * Users control the card in the bot (User.reputation): hidden metrics are left out
+ * everywhere, the public page exists only while it is switched on.
+ */
+
+const crypto = require('crypto');
+const Deal = require('../models/Deal');
+const User = require('../models/User');
+const trustService = require('./trustService');
+const reviewService = require('./reviewService');
+const { t, formatDate, escapeMarkdown } = require('../locales');
+const { REPUTATION_METRICS, REPUTATION_VOLUME_BRACKETS, REPUTATION_CARD_REVIEWS } = require('../config/constants');
+
+const CARD_FIELDS = 'telegramId username createdAt averageRating ratingsCount disputeStats reputation';
+
+class ReputationService {
+  /**
+   * Volume bracket the amount falls into
+   * @param {number} volume - USDT
+   * @returns {Object} - { min, max } (max null for the top bracket)
+   */
+  getVolumeBracket(volume) {
+    let min = 0;
+    for (const bound of REPUTATION_VOLUME_BRACKETS) {
+      if (volume < bound) {
+        return { min, max: bound };
+      }
+      min = bound;
+    }
+    return { min, max: null };
+  }
+
+  /**
+   * Full reputation card, privacy settings not applied
+   * @param {Object|number} userOrId - User document or telegramId
+   * @returns {Promise<Object|null>}
+   */
+  async getCard(userOrId) {
+    const user = typeof userOrId === 'number'
+      ? await User.findOne({ telegramId: userOrId }).select(CARD_FIELDS).lean()
+      : userOrId;
+    if (!user) {
+      return null;
+    }
+
+    const [history, resolvedDeals, reviews] = await Promise.all([
+      trustService.getHistory(user),
+      Deal.countDocuments({
+        $or: [{ buyerId: user.telegramId }, { sellerId: user.telegramId }],
+        status: 'resolved'
+      }),
+      reviewService.getApproved(user.telegramId, REPUTATION_CARD_REVIEWS)
+    ]);
+
+    // Share of finished deals (completed or closed by arbitration) that went to dispute
+    const disputes = (user.disputeStats?.totalWon || 0) + (user.disputeStats?.totalLost || 0);
+    const finishedDeals = history.completedDeals + resolvedDeals;
+
+    return {
+      username: user.username || null,
+      rating: { average: history.averageRating, count: history.ratingsCount },
+      deals: history.completedDeals,
+      volume: this.getVolumeBracket(history.volume),
+      disputes: {
+        total: disputes,
+        lost: history.disputesLost,
+        ratio: finishedDeals > 0 ? Math.round(Math.min(disputes / finishedDeals, 1) * 100) : 0
+      },
+      accountAge: { since: user.createdAt },
+      reviews
+    };
+  }
+
+  /**
+   * Card with the user's hidden metrics removed
+   * @param {Object|number} userOrId - User document or telegramId
+   * @returns {Promise<Object|null>}
+   */
+  async getVisibleCard(userOrId) {
+    const user = typeof userOrId === 'number'
+      ? await User.findOne({ telegramId: userOrId }).select(CARD_FIELDS).lean()
+      : userOrId;
+    if (!user) {
+      return null;
+    }
+
+    const card = await this.getCard(user);
+    for (const metric of user.reputation?.hidden || []) {
+      delete card[metric];
+    }
+    return card;
+  }
+
+  /**
+   * Card for the public page
+   * @param {string} publicId
+   * @returns {Promise<Object|null>} - null if the page is off or does not exist
+   */
+  async getPublicCard(publicId) {
+    if (typeof publicId !== 'string' || !publicId) {
+      return null;
+    }
+    const user = await User.findOne({ 'reputation.publicId': publicId, 'reputation.public': true })
+      .select(CARD_FIELDS)
+      .lean();
+    return user ? this.getVisibleCard(user) : null;
+  }
+
+  /**
+   * Show or hide a metric
+   * @param {number} telegramId
+   * @param {string} metric - One of REPUTATION_METRICS
+   * @returns {Promise<Object>} - Updated User.reputation
+   */
+  async toggleMetric(telegramId, metric) {
+    if (!REPUTATION_METRICS.includes(metric)) {
+      throw new Error('Invalid reputation metric');
+    }
+
+    const user = await User.findOne({ telegramId }).select('reputation');
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const hidden = user.reputation.hidden.includes(metric)
+      ? { $pull: { 'reputation.hidden': metric } }
+      : { $addToSet: { 'reputation.hidden': metric } };
+    const updated = await User.findOneAndUpdate({ telegramId }, hidden, { new: true }).select('reputation').lean();
+    return updated.reputation;
+  }
+
+  /**
+   * Switch the public page on or off. The link id is kept, so a page switched
+   * back on has the same address
+   * @param {number} telegramId
+   * @param {boolean} enabled
+   * @returns {Promise<Object>} - Updated User.reputation
+   */
+  async setPublic(telegramId, enabled) {
+    const user = await User.findOne({ telegramId }).select('reputation').lean();
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const update = { 'reputation.public': !!enabled };
+    if (enabled && !user.reputation?.publicId) {
+      update['reputation.publicId'] = crypto.randomBytes(8).toString('hex');
+    }
+    const updated = await User.findOneAndUpdate({ telegramId }, { $set: update }, { new: true }).select('reputation').lean();
+    return updated.reputation;
+  }
+
+  /**
+   * Card as bot text, one line per visible metric
+   * @param {Object} card - getCard() / getVisibleCard() result
+   * @param {string} [lang='ru']
+   * @returns {string}
+   */
+  formatCard(card, lang = 'ru') {
+    const lines = [];
+
+    if (card.rating) {
+      lines.push(card.rating.count > 0
+        ? t(lang, 'reputation.line_rating', {
+          average: card.rating.average,
+          count: card.rating.count,
+          reviews: t(lang, 'plural.reviews', { count: card.rating.count })
+        })
+        : t(lang, 'reputation.line_no_rating'));
+    }
+    if (card.deals !== undefined) {
+      lines.push(t(lang, 'reputation.line_deals', { count: card.deals }));
+    }
+    if (card.volume) {
+      lines.push(t(lang, 'reputation.line_volume', card.volume));
+    }
+    if (card.disputes) {
+      lines.push(t(lang, 'reputation.line_disputes', card.disputes));
+    }
+    if (card.accountAge) {
+      lines.push(t(lang, 'reputation.line_since', { date: formatDate(lang, card.accountAge.since, { hour: undefined, minute: undefined, second: undefined }) }));
+    }
+
+    if (card.reviews?.length > 0) {
+      lines.push('', t(lang, 'reputation.reviews_title'));
+      for (const review of card.reviews) {
+        lines.push(t(lang, 'reputation.line_review', {
+          stars: '⭐'.repeat(review.rating),
+          text: escapeMarkdown(review.text)
+        }));
+        if (review.reply) {
+          lines.push(t(lang, 'reputation.line_reply', { text: escapeMarkdown(review.reply) }));
+        }
+      }
+    }
+
+    return lines.length > 0 ? lines.join('\n') : t(lang, 'reputation.all_hidden');
+  }
+
+  /**
+   * Public page URL
+   * @param {string} publicId
+   * @param {string} [lang='ru']
+   * @returns {string}
+   */
+  getPublicUrl(publicId, lang = 'ru') {
+    const domain = process.env.WEB_DOMAIN || 'keyshield.me';
+    const siteUrl = domain.includes('localhost') ? `http://${domain}` : `https://${domain}`;
+    return `${siteUrl}/${lang}/u/${publicId}`;
+  }
+}
+
+module.exports = new ReputationService();
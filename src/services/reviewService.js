@@ -0,0 +1,262 @@
+/**
+ * Review Service
+ *
+ * Written reviews left after a deal rating. A review goes to the moderation
+ * queue (pending -> approved / hidden, like blog comments) and is shown on the
+ * reputation card of the rated user once approved. The rated user is notified
+ * and may answer with one public reply, which is moderated the same way.
+ */
+
+const UserReview = require('../models/UserReview');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const notificationService = require('./notificationService');
+const { t, escapeMarkdown } = require('../locales');
+const { REVIEW_MIN_LENGTH, REVIEW_MAX_LENGTH } = require('../config/constants');
+
+const MODERATION_STATUSES = ['pending', 'approved', 'hidden'];
+
+class ReviewService {
+  /**
+   * Trimmed review / reply text
+   * @param {string} text
+   * @returns {string}
+   */
+  normalizeText(text) {
+    const normalized = typeof text === 'string' ? text.trim() : '';
+    if (normalized.length < REVIEW_MIN_LENGTH || normalized.length > REVIEW_MAX_LENGTH) {
+      throw new Error('Invalid review length');
+    }
+    return normalized;
+  }
+
+  /**
+   * Add a written review to a rating the author has already left
+   * @param {Object} data - { dealId, fromUserId, toUserId, text }
+   * @returns {Promise<Object>} - Created review (pending)
+   */
+  async createReview({ dealId, fromUserId, toUserId, text }) {
+    const body = this.normalizeText(text);
+
+    // The star rating is the source of truth for score and role
+    const rated = await User.findOne({ telegramId: toUserId }).select('ratings').lean();
+    const rating = rated?.ratings?.find(r => r.dealId === dealId && r.fromUserId === fromUserId);
+    if (!rating) {
+      throw new Error('Rating not found');
+    }
+
+    try {
+      const review = await UserReview.create({
+        dealId,
+        fromUserId,
+        toUserId,
+        rating: rating.rating,
+        role: rating.role,
+        text: body
+      });
+      return review.toObject();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('Review already exists');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Public reply of the rated user (one per review)
+   * @param {string} reviewId
+   * @param {number} telegramId - Must be the rated user
+   * @param {string} text
+   * @returns {Promise<Object>} - Updated review, reply pending
+   */
+  async addReply(reviewId, telegramId, text) {
+    const body = this.normalizeText(text);
+
+    const review = await UserReview.findOne({ _id: reviewId, toUserId: telegramId }).lean();
+    if (!review) {
+      throw new Error('Review not found');
+    }
+    if (review.status !== 'approved') {
+      throw new Error('Review is not published');
+    }
+
+    // Atomic: a second reply sent at the same time is rejected
+    const updated = await UserReview.findOneAndUpdate(
+      { _id: reviewId, 'reply.text': null },
+      {
+        $set: {
+          'reply.text': body,
+          'reply.status': 'pending',
+          'reply.createdAt': new Date(),
+          'reply.moderatedBy': null,
+          'reply.moderatedAt': null
+        }
+      },
+      { new: true }
+    ).lean();
+    if (!updated) {
+      throw new Error('Reply already exists');
+    }
+
+    return updated;
+  }
+
+  /**
+   * Approve / hide a review (admin action). The rated user is notified the first
+   * time the review is published
+   * @param {string} reviewId
+   * @param {string} status - pending | approved | hidden
+   * @param {string} moderatedBy - Admin username
+   * @returns {Promise<Object>}
+   */
+  async moderateReview(reviewId, status, moderatedBy) {
+    if (!MODERATION_STATUSES.includes(status)) {
+      throw new Error('Invalid status');
+    }
+
+    const before = await UserReview.findByIdAndUpdate(
+      reviewId,
+      { $set: { status, moderatedBy, moderatedAt: new Date() } }
+    ).lean();
+    if (!before) {
+      throw new Error('Review not found');
+    }
+
+    await AuditLog.log(0, 'review_moderated', { reviewId, dealId: before.dealId, status, moderatedBy });
+
+    const review = { ...before, status, moderatedBy };
+    if (status === 'approved' && !before.moderatedAt) {
+      await this.notifyPublished(review).catch(error => {
+        console.error('Review notification error:', error.message);
+      });
+    }
+
+    return review;
+  }
+
+  /**
+   * Approve / hide the reply of a review (admin action)
+   * @param {string} reviewId
+   * @param {string} status - pending | approved | hidden
+   * @param {string} moderatedBy - Admin username
+   * @returns {Promise<Object>}
+   */
+  async moderateReply(reviewId, status, moderatedBy) {
+    if (!MODERATION_STATUSES.includes(status)) {
+      throw new Error('Invalid status');
+    }
+
+    const review = await UserReview.findOneAndUpdate(
+      { _id: reviewId, 'reply.text': { $ne: null } },
+      { $set: { 'reply.status': status, 'reply.moderatedBy': moderatedBy, 'reply.moderatedAt': new Date() } },
+      { new: true }
+    ).lean();
+    if (!review) {
+      throw new Error('Reply not found');
+    }
+
+    await AuditLog.log(0, 'review_reply_moderated', { reviewId, dealId: review.dealId, status, moderatedBy });
+    return review;
+  }
+
+  /**
+   * Reviews for the admin panel
+   * @param {Object} filters - { status, replyStatus, toUserId, page, limit }
+   * @returns {Promise<Object>} - { reviews, total, page, pages }
+   */
+  async listReviews(filters = {}) {
+    const page = Math.max(1, parseInt(filters.page) || 1);
+    const limit = Math.min(100, parseInt(filters.limit) || 20);
+
+    const query = {};
+    if (filters.status && filters.status !== 'all') query.status = filters.status;
+    if (filters.replyStatus && filters.replyStatus !== 'all') query['reply.status'] = filters.replyStatus;
+    if (filters.toUserId) query.toUserId = parseInt(filters.toUserId);
+
+    const [reviews, total] = await Promise.all([
+      UserReview.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      UserReview.countDocuments(query)
+    ]);
+
+    const ids = new Set(reviews.flatMap(r => [r.fromUserId, r.toUserId]));
+    const users = await User.find({ telegramId: { $in: [...ids] } })
+      .select('telegramId username firstName')
+      .lean();
+    const usersById = new Map(users.map(u => [u.telegramId, u]));
+
+    return {
+      reviews: reviews.map(r => ({
+        ...r,
+        fromUser: usersById.get(r.fromUserId) || null,
+        toUser: usersById.get(r.toUserId) || null
+      })),
+      total,
+      page,
+      pages: Math.ceil(total / limit)
+    };
+  }
+
+  /**
+   * Size of the moderation queue
+   * @returns {Promise<Object>} - { reviews, replies }
+   */
+  async getPendingCounts() {
+    const [reviews, replies] = await Promise.all([
+      UserReview.countDocuments({ status: 'pending' }),
+      UserReview.countDocuments({ 'reply.status': 'pending' })
+    ]);
+    return { reviews, replies };
+  }
+
+  /**
+   * Latest approved reviews of a user, with approved replies only
+   * @param {number} telegramId
+   * @param {number} limit
+   * @returns {Promise<Array>} - [{ rating, role, text, createdAt, reply }]
+   */
+  async getApproved(telegramId, limit) {
+    const reviews = await UserReview.find({ toUserId: telegramId, status: 'approved' })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    return reviews.map(r => ({
+      rating: r.rating,
+      role: r.role,
+      text: r.text,
+      createdAt: r.createdAt,
+      reply: r.reply?.status === 'approved' ? r.reply.text : null
+    }));
+  }
+
+  /**
+   * Tell the rated user their review is published and offer a reply
+   * @param {Object} review
+   */
+  async notifyPublished(review) {
+    const user = await User.findOne({ telegramId: review.toUserId }).select('telegramId languageCode').lean();
+    if (!user) return;
+
+    const lang = user.languageCode || 'ru';
+    const text = t(lang, 'review.published', {
+      dealId: review.dealId,
+      stars: '⭐'.repeat(review.rating),
+      text: escapeMarkdown(review.text)
+    });
+    const keyboard = {
+      inline_keyboard: [
+        [{ text: t(lang, 'btn.review_reply'), callback_data: `review_reply:${review._id}` }],
+        [{ text: t(lang, 'btn.main_menu'), callback_data: 'main_menu' }]
+      ]
+    };
+
+    await notificationService.sendNotification(user.telegramId, text, keyboard);
+  }
+}
+
+module.exports = new ReviewService();
@@ -0,0 +1,219 @@
+/**
+ * Trust Service
+ *
+ * Computes the user's trust tier (TRUST_TIERS) from their history:
+ * completed deals, their volume in USDT, average rating and lost disputes.
+ * The tier sets the deal limits enforced by dealService - concurrent deals,
+ * single deal amount and open invite links.
+ *
+ * Admins may pin a tier or override single limits per user (User.trustOverride).
+ */
+
+const Deal = require('../models/Deal');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { TRUST_TIERS } = require('../config/constants');
+
+const LIMIT_FIELDS = ['maxActiveDeals', 'maxDealAmount', 'maxOpenInvites'];
+
+class TrustService {
+  /**
+   * Tier by id
+   * @param {string} tierId
+   * @returns {Object|null}
+   */
+  getTier(tierId) {
+    return TRUST_TIERS.find(tier => tier.id === tierId) || null;
+  }
+
+  /**
+   * History the tiers are computed from
+   * @param {Object} user - User document (lean is fine)
+   * @returns {Promise<Object>} - { completedDeals, volume, averageRating, ratingsCount, disputesLost }
+   */
+  async getHistory(user) {
+    const [totals] = await Deal.aggregate([
+      {
+        $match: {
+          $or: [{ buyerId: user.telegramId }, { sellerId: user.telegramId }],
+          status: 'completed'
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          count: { $sum: 1 },
+          // TRX deals are counted at the rate stored on the deal
+          volume: { $sum: { $multiply: ['$amount', { $ifNull: ['$assetPriceUsdt', 1] }] } }
+        }
+      }
+    ]);
+
+    return {
+      completedDeals: totals?.count || 0,
+      volume: Math.round((totals?.volume || 0) * 100) / 100,
+      averageRating: user.averageRating || 0,
+      ratingsCount: user.ratingsCount || 0,
+      disputesLost: user.disputeStats?.totalLost || 0
+    };
+  }
+
+  /**
+   * Requirements of a tier the history does not meet yet
+   * @param {Object} history
+   * @param {Object} tier
+   * @returns {Array<Object>} - [{ key, current, required }], empty if the tier is reached
+   */
+  getMissingRequirements(history, tier) {
+    const missing = [];
+
+    if (history.completedDeals < tier.minDeals) {
+      missing.push({ key: 'deals', current: history.completedDeals, required: tier.minDeals });
+    }
+    if (history.volume < tier.minVolume) {
+      missing.push({ key: 'volume', current: history.volume, required: tier.minVolume });
+    }
+    // Rating counts once the user has been rated
+    if (history.ratingsCount > 0 && history.averageRating < tier.minRating) {
+      missing.push({ key: 'rating', current: history.averageRating, required: tier.minRating });
+    }
+    if (tier.maxDisputesLost !== null && history.disputesLost > tier.maxDisputesLost) {
+      missing.push({ key: 'disputes', current: history.disputesLost, required: tier.maxDisputesLost });
+    }
+
+    return missing;
+  }
+
+  /**
+   * Trust profile: computed and effective tier, limits and the way to the next tier
+   * @param {Object|number} userOrId - User document or telegramId
+   * @returns {Promise<Object|null>} - { tier, computedTier, pinned, limits, overridden, history, next }
+   */
+  async getProfile(userOrId) {
+    const user = typeof userOrId === 'number'
+      ? await User.findOne({ telegramId: userOrId })
+        .select('telegramId averageRating ratingsCount disputeStats trustOverride')
+        .lean()
+      : userOrId;
+    if (!user) {
+      return null;
+    }
+
+    const history = await this.getHistory(user);
+
+    // Highest tier whose requirements are all met
+    let computedIndex = 0;
+    TRUST_TIERS.forEach((tier, index) => {
+      if (this.getMissingRequirements(history, tier).length === 0) {
+        computedIndex = index;
+      }
+    });
+
+    const override = user.trustOverride || {};
+    const pinnedTier = override.tier ? this.getTier(override.tier) : null;
+    const tier = pinnedTier || TRUST_TIERS[computedIndex];
+
+    const limits = {};
+    const overridden = [];
+    for (const field of LIMIT_FIELDS) {
+      if (typeof override[field] === 'number') {
+        limits[field] = override[field];
+        overridden.push(field);
+      } else {
+        limits[field] = tier[field];
+      }
+    }
+
+    const nextTier = TRUST_TIERS[TRUST_TIERS.indexOf(tier) + 1] || null;
+
+    return {
+      tier: tier.id,
+      computedTier: TRUST_TIERS[computedIndex].id,
+      pinned: !!pinnedTier,
+      limits,
+      overridden,
+      history,
+      next: nextTier
+        ? { tier: nextTier.id, limits: this.pickLimits(nextTier), missing: this.getMissingRequirements(history, nextTier) }
+        : null,
+      override: user.trustOverride || null
+    };
+  }
+
+  /**
+   * Effective limits of a user
+   * @param {Object|number} userOrId - User document or telegramId
+   * @returns {Promise<Object>} - { maxActiveDeals, maxDealAmount, maxOpenInvites }
+   */
+  async getLimits(userOrId) {
+    const profile = await this.getProfile(userOrId);
+    return profile ? profile.limits : this.pickLimits(TRUST_TIERS[0]);
+  }
+
+  /**
+   * Pin a tier and/or override limits (admin action). null / empty fields are reset
+   * @param {number} telegramId
+   * @param {Object} override - { tier, maxActiveDeals, maxDealAmount, maxOpenInvites, note }
+   * @param {string} setBy - Admin username
+   * @returns {Promise<Object>} - Updated trust profile
+   */
+  async setOverride(telegramId, override = {}, setBy = 'admin') {
+    const tier = override.tier || null;
+    if (tier && !this.getTier(tier)) {
+      throw new Error('Invalid trust tier');
+    }
+
+    const update = {
+      'trustOverride.tier': tier,
+      'trustOverride.note': override.note ? String(override.note).substring(0, 500) : null,
+      'trustOverride.setBy': setBy,
+      'trustOverride.setAt': new Date()
+    };
+
+    for (const field of LIMIT_FIELDS) {
+      const value = override[field];
+      if (value === null || value === undefined || value === '') {
+        update[`trustOverride.${field}`] = null;
+        continue;
+      }
+      const number = Number(value);
+      if (!Number.isFinite(number) || number < 0) {
+        throw new Error(`Invalid ${field}`);
+      }
+      update[`trustOverride.${field}`] = field === 'maxDealAmount' ? number : Math.floor(number);
+    }
+
+    const user = await User.findOneAndUpdate({ telegramId }, { $set: update }, { new: true })
+      .select('telegramId averageRating ratingsCount disputeStats trustOverride')
+      .lean();
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    await AuditLog.log(0, 'trust_override', {
+      telegramId,
+      tier,
+      maxActiveDeals: update['trustOverride.maxActiveDeals'],
+      maxDealAmount: update['trustOverride.maxDealAmount'],
+      maxOpenInvites: update['trustOverride.maxOpenInvites'],
+      setBy
+    });
+
+    return this.getProfile(user);
+  }
+
+  /**
+   * Deal limits of a tier
+   * @param {Object} tier
+   * @returns {Object} - { maxActiveDeals, maxDealAmount, maxOpenInvites }
+   */
+  pickLimits(tier) {
+    return {
+      maxActiveDeals: tier.maxActiveDeals,
+      maxDealAmount: tier.maxDealAmount,
+      maxOpenInvites: tier.maxOpenInvites
+    };
+  }
+}
+
+module.exports = new TrustService();
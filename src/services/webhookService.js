@@ -0,0 +1,415 @@
+/**
+ * Partner Webhook Service
+ *
+ * Sends signed JSON events to partner platforms when their referred deals
+ * change status (deal.created, deal.deposit_detected, ... see WEBHOOK_EVENTS).
+ *
+ * Every event is stored in WebhookDelivery first and sent right away.
+ * Failed attempts are retried with backoff (WEBHOOK_RETRY_DELAYS_MINUTES)
+ * by the delivery loop, which runs in the bot process next to the monitors.
+ *
+ * Signature: X-KeyShield-Signature = "sha256=" + HMAC-SHA256(secret, "<timestamp>.<raw body>"),
+ * timestamp (Unix ms) is sent in X-KeyShield-Timestamp.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const axios = require('axios');
+const Deal = require('../models/Deal');
+const PartnerWebhook = require('../models/PartnerWebhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const ServiceStatus = require('../models/ServiceStatus');
+const {
+  WEBHOOK_EVENTS,
+  WEBHOOK_TIMEOUT_MS,
+  WEBHOOK_RETRY_DELAYS_MINUTES
+} = require('../config/constants');
+
+const SERVICE_NAME = 'WebhookService';
+
+// Hosts partners must not point webhooks at
+const PRIVATE_HOST_PATTERNS = [
+  /^localhost$/i,
+  /^127\./,
+  /^10\./,
+  /^192\.168\./,
+  /^172\.(1[6-9]|2\d|3[01])\./,
+  /^169\.254\./,
+  /^0\./,
+  /^\[?::1\]?$/,
+  /^\[?f[cd][0-9a-f]{2}:/i
+];
+
+class WebhookService {
+  constructor() {
+    this.isRunning = false;
+    this.isProcessing = false;
+    this.interval = null;
+
+    // Check for due retries every 30 seconds
+    this.CHECK_INTERVAL = 30 * 1000;
+
+    // Deliveries per check
+    this.BATCH_SIZE = 20;
+
+    // A delivery being sent is not picked up by another process for this long
+    this.LEASE_MS = WEBHOOK_TIMEOUT_MS * 3;
+  }
+
+  /**
+   * Start retry loop
+   */
+  async start() {
+    if (this.isRunning) {
+      console.log('⚠️ Webhook service already running');
+      return;
+    }
+
+    console.log('✅ Starting webhook delivery service...');
+    this.isRunning = true;
+
+    try {
+      await ServiceStatus.markStarted(SERVICE_NAME);
+    } catch (e) {
+      console.error('Failed to update service status:', e.message);
+    }
+
+    this.processPending();
+
+    this.interval = setInterval(() => {
+      this.processPending();
+    }, this.CHECK_INTERVAL);
+  }
+
+  /**
+   * Stop retry loop
+   */
+  async stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    this.isRunning = false;
+
+    try {
+      await ServiceStatus.markStopped(SERVICE_NAME);
+    } catch (e) {
+      console.error('Failed to update service status:', e.message);
+    }
+
+    console.log('⛔ Webhook delivery service stopped');
+  }
+
+  /**
+   * Check webhook URL entered by partner: HTTPS (HTTP allowed outside production)
+   * and not pointing to localhost / private networks
+   * @param {string} url
+   * @returns {boolean}
+   */
+  isValidUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      return false;
+    }
+
+    const allowHttp = process.env.NODE_ENV !== 'production';
+    if (parsed.protocol !== 'https:' && !(allowHttp && parsed.protocol === 'http:')) {
+      return false;
+    }
+
+    return !PRIVATE_HOST_PATTERNS.some(pattern => pattern.test(parsed.hostname));
+  }
+
+  /**
+   * Validate event list entered by partner
+   * @param {Array<string>} events
+   * @returns {Array<string>} - Unknown events
+   */
+  getUnknownEvents(events = []) {
+    return events.filter(event => !WEBHOOK_EVENTS.includes(event));
+  }
+
+  /**
+   * HMAC-SHA256 signature of a delivery body
+   * @param {string} secret
+   * @param {string} timestamp - Unix time in milliseconds
+   * @param {string} body - Raw JSON body
+   * @returns {string} hex signature
+   */
+  sign(secret, timestamp, body) {
+    return crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+  }
+
+  /**
+   * Delay before the next attempt, null when retries are exhausted
+   * @param {number} attempts - Attempts made so far
+   * @returns {number|null} - Milliseconds
+   */
+  getRetryDelay(attempts) {
+    const minutes = WEBHOOK_RETRY_DELAYS_MINUTES[attempts - 1];
+    return minutes === undefined ? null : minutes * 60 * 1000;
+  }
+
+  /**
+   * Partner platforms of a deal (main + buyer/seller side, without duplicates)
+   * @param {Object} deal
+   * @returns {Array<string>}
+   */
+  getDealPlatformIds(deal) {
+    const ids = [deal.platformId, deal.buyerPlatformId, deal.sellerPlatformId]
+      .filter(Boolean)
+      .map(id => id.toString());
+    return [...new Set(ids)];
+  }
+
+  /**
+   * Deal fields shared with partners
+   * @param {Object} deal
+   * @returns {Object}
+   */
+  serializeDeal(deal) {
+    return {
+      dealId: deal.dealId,
+      status: deal.status,
+      productName: deal.productName,
+      asset: deal.asset,
+      network: deal.network || 'tron',
+      amount: deal.amount,
+      commission: deal.commission,
+      commissionType: deal.commissionType,
+      creatorRole: deal.creatorRole,
+      multisigAddress: deal.multisigAddress || null,
+      depositTxHash: deal.depositTxHash || null,
+      milestones: deal.milestones?.length || 0,
+      currentMilestone: deal.milestones?.length ? deal.currentMilestone : null,
+      deadline: deal.deadline || null,
+      createdAt: deal.createdAt,
+      completedAt: deal.completedAt || null
+    };
+  }
+
+  /**
+   * Build JSON body of an event
+   * @param {ObjectId} deliveryId
+   * @param {string} event
+   * @param {Object} data
+   * @returns {string}
+   */
+  buildPayload(deliveryId, event, data) {
+    return JSON.stringify({
+      id: deliveryId.toString(),
+      event,
+      createdAt: new Date().toISOString(),
+      data
+    });
+  }
+
+  /**
+   * Queue event for all subscribed webhooks of the deal's partners and send it.
+   * Never throws: webhook problems must not break the deal flow.
+   * @param {Object} deal - Deal document or lean object
+   * @param {string} event - One of WEBHOOK_EVENTS
+   * @param {Object} extra - Event-specific data (merged into payload data)
+   */
+  async dispatch(deal, event, extra = {}) {
+    try {
+      const platformIds = this.getDealPlatformIds(deal);
+      if (platformIds.length === 0) {
+        return;
+      }
+
+      const webhooks = (await PartnerWebhook.find({
+        platformId: { $in: platformIds },
+        isActive: true
+      }).select('+secret')).filter(webhook => webhook.isSubscribed(event));
+
+      if (webhooks.length === 0) {
+        return;
+      }
+
+      // Callers may pass a deal loaded before the status update
+      const currentDeal = await Deal.findById(deal._id).lean() || deal;
+      const data = { deal: this.serializeDeal(currentDeal), ...extra };
+
+      for (const webhook of webhooks) {
+        const delivery = await this.enqueue(webhook, event, currentDeal.dealId, data);
+
+        this.attempt(delivery, webhook).catch(error => {
+          console.error(`❌ Webhook delivery ${delivery._id} error:`, error.message);
+        });
+      }
+
+      console.log(`🪝 Webhook ${event} queued for deal ${currentDeal.dealId} (${webhooks.length} endpoint(s))`);
+    } catch (error) {
+      console.error(`❌ Error dispatching webhook ${event}:`, error.message);
+    }
+  }
+
+  /**
+   * Send test event to a webhook (partner dashboard button). Not retried.
+   * @param {ObjectId} platformId
+   * @param {string} webhookId
+   * @returns {Promise<Object>} - Delivery
+   */
+  async sendTestEvent(platformId, webhookId) {
+    const webhook = await PartnerWebhook.findOne({ _id: webhookId, platformId }).select('+secret');
+    if (!webhook) {
+      throw new Error('Webhook not found');
+    }
+
+    const delivery = await this.enqueue(webhook, 'test', null, {
+      message: 'KeyShield webhook test event'
+    });
+
+    return this.attempt(delivery, webhook);
+  }
+
+  /**
+   * Create delivery record. It is leased to the caller, so the retry loop
+   * does not send it a second time while the first attempt is running.
+   */
+  async enqueue(webhook, event, dealId, data) {
+    const _id = new mongoose.Types.ObjectId();
+
+    return WebhookDelivery.create({
+      _id,
+      webhookId: webhook._id,
+      platformId: webhook.platformId,
+      event,
+      dealId,
+      payload: this.buildPayload(_id, event, data),
+      nextAttemptAt: new Date(Date.now() + this.LEASE_MS)
+    });
+  }
+
+  /**
+   * Make one HTTP attempt and record the result
+   * @param {Object} delivery - WebhookDelivery document
+   * @param {Object} webhook - PartnerWebhook document with secret
+   * @returns {Promise<Object>} - Updated delivery
+   */
+  async attempt(delivery, webhook) {
+    const timestamp = Date.now().toString();
+    const startedAt = Date.now();
+    let responseStatus = null;
+    let error = null;
+
+    try {
+      const response = await axios.post(webhook.url, delivery.payload, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'KeyShield-Webhooks/1.0',
+          'X-KeyShield-Event': delivery.event,
+          'X-KeyShield-Delivery': delivery._id.toString(),
+          'X-KeyShield-Timestamp': timestamp,
+          'X-KeyShield-Signature': `sha256=${this.sign(webhook.secret, timestamp, delivery.payload)}`
+        },
+        timeout: WEBHOOK_TIMEOUT_MS,
+        maxRedirects: 0,
+        // Body is already serialized - send exactly what was signed
+        transformRequest: [(body) => body],
+        validateStatus: () => true
+      });
+
+      responseStatus = response.status;
+      if (responseStatus < 200 || responseStatus >= 300) {
+        error = `HTTP ${responseStatus}`;
+      }
+    } catch (err) {
+      error = err.code || err.message;
+    }
+
+    delivery.attempts += 1;
+    delivery.responseStatus = responseStatus;
+    delivery.responseTimeMs = Date.now() - startedAt;
+    delivery.lastError = error;
+
+    if (!error) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = new Date();
+    } else {
+      const delay = delivery.event === 'test' ? null : this.getRetryDelay(delivery.attempts);
+      if (delay === null) {
+        delivery.status = 'failed';
+        console.warn(`🪝 Webhook delivery ${delivery._id} (${delivery.event}) failed after ${delivery.attempts} attempt(s): ${error}`);
+      } else {
+        delivery.nextAttemptAt = new Date(Date.now() + delay);
+      }
+    }
+
+    await delivery.save();
+
+    await PartnerWebhook.updateOne({ _id: webhook._id }, {
+      $set: {
+        lastDeliveryAt: new Date(),
+        lastDeliveryStatus: error ? 'failed' : 'delivered'
+      }
+    });
+
+    return delivery;
+  }
+
+  /**
+   * Retry deliveries that are due
+   */
+  async processPending() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      const now = new Date();
+      const due = await WebhookDelivery.find({
+        status: 'pending',
+        nextAttemptAt: { $lte: now }
+      })
+        .sort({ nextAttemptAt: 1 })
+        .limit(this.BATCH_SIZE)
+        .select('_id');
+
+      let sent = 0;
+
+      for (const { _id } of due) {
+        // Claim the delivery (another process may be sending it)
+        const delivery = await WebhookDelivery.findOneAndUpdate(
+          { _id, status: 'pending', nextAttemptAt: { $lte: now } },
+          { $set: { nextAttemptAt: new Date(Date.now() + this.LEASE_MS) } },
+          { new: true }
+        );
+        if (!delivery) continue;
+
+        const webhook = await PartnerWebhook.findById(delivery.webhookId).select('+secret');
+        if (!webhook || !webhook.isActive) {
+          delivery.status = 'failed';
+          delivery.lastError = 'Webhook deleted or disabled';
+          await delivery.save();
+          continue;
+        }
+
+        await this.attempt(delivery, webhook);
+        sent++;
+      }
+
+      if (sent > 0) {
+        console.log(`🪝 Retried ${sent} webhook delivery(ies)`);
+      }
+
+      try {
+        await ServiceStatus.heartbeat(SERVICE_NAME, {
+          lastCheck: new Date(),
+          retried: sent
+        });
+      } catch (e) { /* ignore */ }
+    } catch (error) {
+      console.error('❌ Error processing webhook deliveries:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+}
+
+module.exports = new WebhookService();
@@ -5,9 +5,18 @@
  * GCM mode provides both confidentiality AND authenticity
  * (tamper detection — if ciphertext is modified, decrypt fails).
  *
- * Encrypted format: "enc:v1:<iv_hex>:<authTag_hex>:<ciphertext_hex>"
- * The "enc:v1:" prefix lets us detect already-encrypted values
- * and support future algorithm changes (v2, etc).
+ * Encrypted format: "enc:v2:<keyId>:<iv_hex>:<authTag_hex>:<ciphertext_hex>"
+ * Legacy format:    "enc:v1:<iv_hex>:<authTag_hex>:<ciphertext_hex>" (no key id)
+ *
+ * Key rotation: several keys are loaded at once, new values are encrypted
+ * with the active key, old values are decrypted with the key named in the
+ * ciphertext. v1 values are tried against every loaded key — the auth tag
+ * tells which one fits. services/reencryptionService.js moves stored data
+ * to the active key.
+ *
+ *   ENCRYPTION_KEY=<hex>              key with id "1" (single-key setups)
+ *   ENCRYPTION_KEYS=2:<hex>,3:<hex>   additional keys as id:hex pairs
+ *   ENCRYPTION_KEY_ID=3               active key (default: "1" or the first listed)
  */
 
 const crypto = require('crypto');
@@ -15,23 +24,74 @@ const crypto = require('crypto');
 const ALGORITHM = 'aes-256-gcm';
 const IV_LENGTH = 16;       // 128-bit IV for GCM
 const AUTH_TAG_LENGTH = 16;  // 128-bit auth tag
-const PREFIX = 'enc:v1:';
+const PREFIX = 'enc:v2:';
+const LEGACY_PREFIX = 'enc:v1:';
+const LEGACY_KEY_ID = 'v1'; // Report label of values without a key id
+const DEFAULT_KEY_ID = '1';
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,16}$/;
+const KEY_HEX_PATTERN = /^[0-9a-fA-F]{64}$/;
 
-let _key = null;
+let _keys = new Map(); // keyId -> Buffer
+let _activeKeyId = null;
 
 /**
- * Initialize encryption with key from environment.
+ * Parse ENCRYPTION_KEY / ENCRYPTION_KEYS into a keyId -> key map
+ * @returns {Map<string, Buffer>}
+ */
+function loadKeys() {
+  const keys = new Map();
+
+  const hex = process.env.ENCRYPTION_KEY;
+  if (hex) {
+    if (KEY_HEX_PATTERN.test(hex)) {
+      keys.set(DEFAULT_KEY_ID, Buffer.from(hex, 'hex'));
+    } else {
+      console.warn('⚠️  ENCRYPTION_KEY is invalid (need 64 hex chars), ignored.');
+    }
+  }
+
+  const list = (process.env.ENCRYPTION_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  for (const entry of list) {
+    const [keyId, keyHex] = entry.split(':');
+    if (!KEY_ID_PATTERN.test(keyId || '') || !KEY_HEX_PATTERN.test(keyHex || '')) {
+      console.warn(`⚠️  ENCRYPTION_KEYS entry "${keyId || entry}" is invalid (need id:64_hex_chars), ignored.`);
+      continue;
+    }
+    if (keys.has(keyId)) {
+      console.warn(`⚠️  Encryption key id "${keyId}" is defined twice, the first one is used.`);
+      continue;
+    }
+    keys.set(keyId, Buffer.from(keyHex, 'hex'));
+  }
+
+  return keys;
+}
+
+/**
+ * Initialize encryption with keys from environment.
  * Call once at app startup.
  * @returns {boolean} true if encryption is available
  */
 function init() {
-  const hex = process.env.ENCRYPTION_KEY;
-  if (!hex || hex.length !== 64) {
+  const keys = loadKeys();
+  if (keys.size === 0) {
     console.warn('⚠️  ENCRYPTION_KEY not set or invalid (need 64 hex chars). Encryption disabled.');
+    _keys = new Map();
+    _activeKeyId = null;
     return false;
   }
-  _key = Buffer.from(hex, 'hex'); // 32 bytes = 256 bits
-  console.log('🔐 AES-256-GCM encryption initialized');
+
+  const activeKeyId = process.env.ENCRYPTION_KEY_ID || keys.keys().next().value;
+  if (!keys.has(activeKeyId)) {
+    console.error(`❌ ENCRYPTION_KEY_ID "${activeKeyId}" is not among the loaded keys. Encryption disabled.`);
+    _keys = new Map();
+    _activeKeyId = null;
+    return false;
+  }
+
+  _keys = keys;
+  _activeKeyId = activeKeyId;
+  console.log(`🔐 AES-256-GCM encryption initialized (active key: ${activeKeyId}, loaded: ${keys.size})`);
   return true;
 }
 
@@ -39,7 +99,23 @@ function init() {
  * Check if encryption is enabled
  */
 function isEnabled() {
-  return _key !== null;
+  return _activeKeyId !== null;
+}
+
+/**
+ * Id of the key new values are encrypted with
+ * @returns {string|null}
+ */
+function getActiveKeyId() {
+  return _activeKeyId;
+}
+
+/**
+ * Ids of all loaded keys
+ * @returns {string[]}
+ */
+function getKeyIds() {
+  return [..._keys.keys()];
 }
 
 /**
@@ -50,18 +126,53 @@ function isEnabled() {
  * @returns {string}
  */
 function encrypt(plaintext) {
-  if (!_key || !plaintext || typeof plaintext !== 'string') return plaintext;
+  if (!_activeKeyId || !plaintext || typeof plaintext !== 'string') return plaintext;
   if (isEncrypted(plaintext)) return plaintext; // Already encrypted
 
   const iv = crypto.randomBytes(IV_LENGTH);
-  const cipher = crypto.createCipheriv(ALGORITHM, _key, iv, { authTagLength: AUTH_TAG_LENGTH });
+  const cipher = crypto.createCipheriv(ALGORITHM, _keys.get(_activeKeyId), iv, { authTagLength: AUTH_TAG_LENGTH });
 
   let encrypted = cipher.update(plaintext, 'utf8', 'hex');
   encrypted += cipher.final('hex');
 
   const authTag = cipher.getAuthTag().toString('hex');
 
-  return `${PREFIX}${iv.toString('hex')}:${authTag}:${encrypted}`;
+  return `${PREFIX}${_activeKeyId}:${iv.toString('hex')}:${authTag}:${encrypted}`;
+}
+
+/**
+ * Split an encrypted value into its parts
+ * @param {string} ciphertext
+ * @returns {{ keyId: string|null, ivHex: string, authTagHex: string, encryptedHex: string }|null}
+ *   keyId is null for v1 values
+ */
+function parse(ciphertext) {
+  if (ciphertext.startsWith(PREFIX)) {
+    const parts = ciphertext.slice(PREFIX.length).split(':');
+    if (parts.length !== 4) return null;
+    const [keyId, ivHex, authTagHex, encryptedHex] = parts;
+    return { keyId, ivHex, authTagHex, encryptedHex };
+  }
+
+  const parts = ciphertext.slice(LEGACY_PREFIX.length).split(':');
+  if (parts.length !== 3) return null;
+  const [ivHex, authTagHex, encryptedHex] = parts;
+  return { keyId: null, ivHex, authTagHex, encryptedHex };
+}
+
+/**
+ * Decrypt with one key, throws if the key does not fit
+ */
+function decryptWithKey(key, { ivHex, authTagHex, encryptedHex }) {
+  const iv = Buffer.from(ivHex, 'hex');
+  const authTag = Buffer.from(authTagHex, 'hex');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv, { authTagLength: AUTH_TAG_LENGTH });
+  decipher.setAuthTag(authTag);
+
+  let decrypted = decipher.update(encryptedHex, 'hex', 'utf8');
+  decrypted += decipher.final('utf8');
+
+  return decrypted;
 }
 
 /**
@@ -72,40 +183,83 @@ function encrypt(plaintext) {
  * @returns {string}
  */
 function decrypt(ciphertext) {
-  if (!_key || !ciphertext || typeof ciphertext !== 'string') return ciphertext;
+  if (!_activeKeyId || !ciphertext || typeof ciphertext !== 'string') return ciphertext;
   if (!isEncrypted(ciphertext)) return ciphertext; // Not encrypted, return as-is
 
-  const withoutPrefix = ciphertext.slice(PREFIX.length);
-  const parts = withoutPrefix.split(':');
-
-  if (parts.length !== 3) {
+  const parsed = parse(ciphertext);
+  if (!parsed) {
     console.error('🔐 Invalid encrypted format');
     return ciphertext;
   }
 
-  const [ivHex, authTagHex, encryptedHex] = parts;
-
-  try {
-    const iv = Buffer.from(ivHex, 'hex');
-    const authTag = Buffer.from(authTagHex, 'hex');
-    const decipher = crypto.createDecipheriv(ALGORITHM, _key, iv, { authTagLength: AUTH_TAG_LENGTH });
-    decipher.setAuthTag(authTag);
-
-    let decrypted = decipher.update(encryptedHex, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
+  if (parsed.keyId !== null) {
+    const key = _keys.get(parsed.keyId);
+    if (!key) {
+      console.error(`🔐 Decryption failed: key "${parsed.keyId}" is not loaded`);
+      return ciphertext;
+    }
+    try {
+      return decryptWithKey(key, parsed);
+    } catch (error) {
+      console.error('🔐 Decryption failed:', error.message);
+      return ciphertext; // Return as-is on failure (don't crash)
+    }
+  }
 
-    return decrypted;
-  } catch (error) {
-    console.error('🔐 Decryption failed:', error.message);
-    return ciphertext; // Return as-is on failure (don't crash)
+  // v1 - the key is unknown, the auth tag only matches the right one
+  for (const key of _keys.values()) {
+    try {
+      return decryptWithKey(key, parsed);
+    } catch (error) {
+      // Try the next key
+    }
   }
+
+  console.error('🔐 Decryption failed: no loaded key fits the v1 value');
+  return ciphertext;
 }
 
 /**
  * Check if a value is already encrypted
  */
 function isEncrypted(value) {
-  return typeof value === 'string' && value.startsWith(PREFIX);
+  return typeof value === 'string' && (value.startsWith(PREFIX) || value.startsWith(LEGACY_PREFIX));
+}
+
+/**
+ * Key version of a stored value: key id, "v1" for legacy values,
+ * null if the value is not encrypted
+ * @param {string} value
+ * @returns {string|null}
+ */
+function getKeyId(value) {
+  if (!isEncrypted(value)) return null;
+  if (value.startsWith(LEGACY_PREFIX)) return LEGACY_KEY_ID;
+  const parsed = parse(value);
+  return parsed ? parsed.keyId : null;
+}
+
+/**
+ * Check if an encrypted value is not encrypted with the active key
+ * @param {string} value
+ */
+function needsReencryption(value) {
+  return isEnabled() && isEncrypted(value) && getKeyId(value) !== _activeKeyId;
+}
+
+/**
+ * Re-encrypt a value with the active key.
+ * Returns the value unchanged if it is already on the active key,
+ * not encrypted, or cannot be decrypted with the loaded keys.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function reencrypt(value) {
+  if (!needsReencryption(value)) return value;
+  const plaintext = decrypt(value);
+  if (plaintext === value) return value; // Decryption failed
+  return encrypt(plaintext);
 }
 
 /**
@@ -114,7 +268,7 @@ function isEncrypted(value) {
  * @param {string[]} fields - dot notation not supported, top-level only
  */
 function encryptFields(obj, fields) {
-  if (!_key || !obj) return;
+  if (!_activeKeyId || !obj) return;
   for (const field of fields) {
     if (obj[field] && typeof obj[field] === 'string') {
       obj[field] = encrypt(obj[field]);
@@ -128,7 +282,7 @@ function encryptFields(obj, fields) {
  * @param {string[]} fields
  */
 function decryptFields(obj, fields) {
-  if (!_key || !obj) return;
+  if (!_activeKeyId || !obj) return;
   for (const field of fields) {
     if (obj[field] && typeof obj[field] === 'string') {
       obj[field] = decrypt(obj[field]);
@@ -143,15 +297,21 @@ function decryptFields(obj, fields) {
 function generateKey() {
   const key = crypto.randomBytes(32).toString('hex');
   console.log(`\nGenerated ENCRYPTION_KEY:\n\n  ${key}\n\nAdd to .env:\n  ENCRYPTION_KEY=${key}\n`);
+  console.log(`Key rotation - add as a new key and make it active:\n  ENCRYPTION_KEYS=<id>:${key}\n  ENCRYPTION_KEY_ID=<id>\n`);
   return key;
 }
 
 module.exports = {
   init,
   isEnabled,
+  getActiveKeyId,
+  getKeyIds,
   encrypt,
   decrypt,
   isEncrypted,
+  getKeyId,
+  needsReencryption,
+  reencrypt,
   encryptFields,
   decryptFields,
   generateKey,
@@ -383,6 +383,334 @@ router.post('/api/wallet/delete', authenticatePartner, async (req, res) => {
   }
 });
 
+// ============ Webhooks ============
+
+const PartnerWebhook = require('../../models/PartnerWebhook');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const webhookService = require('../../services/webhookService');
+const { WEBHOOK_EVENTS, WEBHOOK_MAX_PER_PLATFORM } = require('../../config/constants');
+
+// Validate url/events from request body, returns error text or null
+function validateWebhookInput({ url, events }) {
+  if (url !== undefined && (typeof url !== 'string' || !webhookService.isValidUrl(url))) {
+    return 'Укажите публичный URL с HTTPS';
+  }
+  if (events !== undefined) {
+    if (!Array.isArray(events) || webhookService.getUnknownEvents(events).length > 0) {
+      return 'Неизвестный тип события';
+    }
+  }
+  return null;
+}
+
+// API: List webhooks
+router.get('/api/webhooks', authenticatePartner, async (req, res) => {
+  try {
+    const webhooks = await PartnerWebhook.find({ platformId: req.platform._id }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      webhooks: webhooks.map(webhook => webhook.toPublic()),
+      events: WEBHOOK_EVENTS,
+      maxWebhooks: WEBHOOK_MAX_PER_PLATFORM
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API: Create webhook (secret is returned only once)
+router.post('/api/webhooks', authenticatePartner, async (req, res) => {
+  try {
+    const platform = req.platform;
+    const { url, events = [] } = req.body;
+
+    const inputError = !url ? 'Укажите URL' : validateWebhookInput({ url, events });
+    if (inputError) {
+      return res.status(400).json({ success: false, error: inputError });
+    }
+
+    const count = await PartnerWebhook.countDocuments({ platformId: platform._id });
+    if (count >= WEBHOOK_MAX_PER_PLATFORM) {
+      return res.status(400).json({ success: false, error: `Максимум ${WEBHOOK_MAX_PER_PLATFORM} вебхуков` });
+    }
+
+    const { webhook, secret } = await PartnerWebhook.generate(platform._id, url.trim(), events);
+
+    platform.addLog('webhook_created', { webhookId: webhook._id, url: webhook.url });
+    await platform.save();
+
+    res.json({ success: true, webhook: webhook.toPublic(), secret });
+  } catch (error) {
+    console.error('Partner webhook create error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API: Update webhook (url, events, isActive)
+router.put('/api/webhooks/:id', authenticatePartner, async (req, res) => {
+  try {
+    const platform = req.platform;
+    const { url, events, isActive } = req.body;
+
+    const webhook = await PartnerWebhook.findOne({ _id: req.params.id, platformId: platform._id });
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: 'Вебхук не найден' });
+    }
+
+    const inputError = validateWebhookInput({ url, events });
+    if (inputError) {
+      return res.status(400).json({ success: false, error: inputError });
+    }
+
+    if (url !== undefined) webhook.url = url.trim();
+    if (events !== undefined) webhook.events = events;
+    if (isActive !== undefined) webhook.isActive = !!isActive;
+    await webhook.save();
+
+    platform.addLog('webhook_updated', { webhookId: webhook._id, url: webhook.url, isActive: webhook.isActive });
+    await platform.save();
+
+    res.json({ success: true, webhook: webhook.toPublic() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API: Delete webhook
+router.delete('/api/webhooks/:id', authenticatePartner, async (req, res) => {
+  try {
+    const platform = req.platform;
+
+    const webhook = await PartnerWebhook.findOneAndDelete({ _id: req.params.id, platformId: platform._id });
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: 'Вебхук не найден' });
+    }
+
+    platform.addLog('webhook_deleted', { webhookId: webhook._id, url: webhook.url });
+    await platform.save();
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API: Send test event
+router.post('/api/webhooks/:id/test', authenticatePartner, async (req, res) => {
+  try {
+    const delivery = await webhookService.sendTestEvent(req.platform._id, req.params.id);
+    res.json({ success: true, delivery });
+  } catch (error) {
+    if (error.message === 'Webhook not found') {
+      return res.status(404).json({ success: false, error: 'Вебхук не найден' });
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API: Delivery log
+router.get('/api/webhooks/deliveries', authenticatePartner, async (req, res) => {
+  try {
+    const { webhookId, status, page = 1, limit = 20 } = req.query;
+
+    const query = { platformId: req.platform._id };
+    if (webhookId) query.webhookId = webhookId;
+    if (status) query.status = status;
+
+    const deliveries = await WebhookDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await WebhookDelivery.countDocuments(query);
+
+    res.json({
+      success: true,
+      deliveries,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============ Partner REST API ============
+
+const rateLimit = require('express-rate-limit');
+const WebDeal = require('../../models/WebDeal');
+const { MIN_DEAL_AMOUNT, DEADLINE_OPTIONS } = require('../../config/constants');
+
+const API_DEADLINE_HOURS = Object.values(DEADLINE_OPTIONS);
+
+const partnerApiLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 60, // 60 requests per minute per IP
+  message: { success: false, error: 'Слишком много запросов, попробуйте позже' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Middleware для запросов по API-ключу (заголовок X-API-Key)
+const authenticateApiKey = async (req, res, next) => {
+  try {
+    const platform = await Platform.findByApiKey(req.headers['x-api-key']);
+
+    if (!platform) {
+      return res.status(401).json({ success: false, error: 'Неверный API-ключ' });
+    }
+
+    await Platform.updateOne({ _id: platform._id }, { $set: { apiKeyLastUsedAt: new Date() } });
+
+    req.platform = platform;
+    next();
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Draft + linked deal as returned by the API
+async function serializeApiDeal(webDeal) {
+  const deal = webDeal.dealId ? await Deal.findOne({ dealId: webDeal.dealId }).lean() : null;
+  const expired = webDeal.status === 'pending' && new Date() > webDeal.expiresAt;
+
+  return {
+    token: webDeal.token,
+    externalId: webDeal.externalId,
+    status: expired ? 'expired' : webDeal.status,
+    claimLink: `https://t.me/${BOT_USERNAME}?start=web_${webDeal.token}`,
+    creatorRole: webDeal.creatorRole,
+    productName: webDeal.productName,
+    description: webDeal.description,
+    amount: webDeal.amount,
+    asset: webDeal.asset,
+    deadlineHours: webDeal.deadlineHours,
+    commissionType: webDeal.commissionType,
+    createdAt: webDeal.createdAt,
+    expiresAt: webDeal.expiresAt,
+    claimedAt: webDeal.claimedAt,
+    deal: deal ? webhookService.serializeDeal(deal) : null
+  };
+}
+
+// API: API key info (the key itself is never returned again)
+router.get('/api/api-key', authenticatePartner, async (req, res) => {
+  const platform = req.platform;
+
+  res.json({
+    success: true,
+    apiKey: platform.apiKeyPrefix ? {
+      prefix: platform.apiKeyPrefix,
+      createdAt: platform.apiKeyCreatedAt,
+      lastUsedAt: platform.apiKeyLastUsedAt
+    } : null
+  });
+});
+
+// API: Issue new API key (previous key stops working)
+router.post('/api/api-key', authenticatePartner, async (req, res) => {
+  try {
+    const platform = req.platform;
+
+    const apiKey = platform.generateApiKey();
+    platform.addLog('api_key_generated', { prefix: platform.apiKeyPrefix, ip: req.ip });
+    await platform.save();
+
+    res.json({
+      success: true,
+      apiKey,
+      info: { prefix: platform.apiKeyPrefix, createdAt: platform.apiKeyCreatedAt, lastUsedAt: null }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API: Revoke API key
+router.delete('/api/api-key', authenticatePartner, async (req, res) => {
+  try {
+    const platform = req.platform;
+
+    platform.revokeApiKey();
+    platform.addLog('api_key_revoked', { ip: req.ip });
+    await platform.save();
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// REST API: Create prefilled deal, returns claim link for the creator
+router.post('/api/v1/deals', partnerApiLimiter, authenticateApiKey, async (req, res) => {
+  try {
+    const platform = req.platform;
+    const { creatorRole, productName, description, amount, deadlineHours = 72, commissionType = 'buyer', externalId } = req.body;
+
+    if (!['buyer', 'seller'].includes(creatorRole)) {
+      return res.status(400).json({ success: false, error: 'creatorRole: buyer или seller' });
+    }
+    if (typeof productName !== 'string' || productName.trim().length < 2 || productName.length > 200) {
+      return res.status(400).json({ success: false, error: 'productName: от 2 до 200 символов' });
+    }
+    if (description !== undefined && (typeof description !== 'string' || description.length > 2000)) {
+      return res.status(400).json({ success: false, error: 'description: до 2000 символов' });
+    }
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < MIN_DEAL_AMOUNT) {
+      return res.status(400).json({ success: false, error: `amount: минимум ${MIN_DEAL_AMOUNT} USDT` });
+    }
+    if (!API_DEADLINE_HOURS.includes(deadlineHours)) {
+      return res.status(400).json({ success: false, error: `deadlineHours: ${API_DEADLINE_HOURS.join(', ')}` });
+    }
+    if (!['buyer', 'seller', 'split'].includes(commissionType)) {
+      return res.status(400).json({ success: false, error: 'commissionType: buyer, seller или split' });
+    }
+    if (externalId !== undefined && (typeof externalId !== 'string' || externalId.length > 100)) {
+      return res.status(400).json({ success: false, error: 'externalId: строка до 100 символов' });
+    }
+
+    const webDeal = await WebDeal.create({
+      creatorRole,
+      productName: productName.trim(),
+      description: description || '',
+      amount,
+      deadlineHours,
+      commissionType,
+      source: `api_${platform.code}`,
+      platformId: platform._id,
+      platformCode: platform.code,
+      externalId: externalId || null
+    });
+
+    platform.addLog('api_deal_created', { token: webDeal.token, externalId: webDeal.externalId, amount });
+    await platform.save();
+
+    res.status(201).json({ success: true, deal: await serializeApiDeal(webDeal) });
+  } catch (error) {
+    console.error('Partner API deal create error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// REST API: Deal status by draft token
+router.get('/api/v1/deals/:token', partnerApiLimiter, authenticateApiKey, async (req, res) => {
+  try {
+    const webDeal = await WebDeal.findOne({ token: req.params.token, platformId: req.platform._id });
+    if (!webDeal) {
+      return res.status(404).json({ success: false, error: 'Сделка не найдена' });
+    }
+
+    res.json({ success: true, deal: await serializeApiDeal(webDeal) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // ============ HTML Templates ============
 
 function getLoginPage(error) {
@@ -0,0 +1,234 @@
+/**
+ * Internal API Auth Tests
+ * apiKeyAuth (HMAC signature, timestamp window, nonce replay, revoked keys)
+ * and requireScope (keys and nonces are kept in memory - no MongoDB needed)
+ *
+ * Run: node tests/apiKeyAuth.test.js
+ */
+
+const EventEmitter = require('events');
+const { apiKeyAuth, requireScope, signRequest } = require('../src/api/middleware/apiKeyAuth');
+const ApiKey = require('../src/models/ApiKey');
+const ApiNonce = require('../src/models/ApiNonce');
+const AuditLog = require('../src/models/AuditLog');
+const { API_SIGNATURE_MAX_AGE_MS } = require('../src/config/constants');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition, details) {
+  if (condition) {
+    passed++;
+    console.log(`✅ ${description}: PASS`);
+  } else {
+    failed++;
+    console.log(`❌ ${description}: FAIL`);
+  }
+  if (details) {
+    console.log(`   ${details}`);
+  }
+}
+
+const SECRET = 'test-secret';
+
+const apiKey = new ApiKey({
+  keyId: 'ks_test',
+  name: 'Support',
+  secret: SECRET,
+  scopes: ['deals:read', 'disputes:write']
+});
+apiKey.save = async () => {};
+
+// In-memory stand-ins for the collections
+const usedNonces = new Set();
+const auditCalls = [];
+
+ApiKey.findOne = (filter) => ({
+  select: async () => (filter.keyId === apiKey.keyId && filter.isActive === apiKey.isActive ? apiKey : null)
+});
+ApiKey.updateOne = async () => ({});
+ApiNonce.claim = async (keyId, nonce) => {
+  const key = `${keyId}:${nonce}`;
+  if (usedNonces.has(key)) return false;
+  usedNonces.add(key);
+  return true;
+};
+AuditLog.logApiCall = async (keyId, details) => {
+  auditCalls.push({ keyId, ...details });
+};
+
+let nonceCounter = 0;
+
+/**
+ * Signed request; `overrides` replaces single headers
+ */
+function createRequest({ method = 'GET', url = '/api/deals/DL-TEST01', body = '', overrides = {} } = {}) {
+  const timestamp = String(Date.now());
+  const nonce = `nonce-${++nonceCounter}`;
+  const headers = {
+    'x-api-key-id': apiKey.keyId,
+    'x-timestamp': timestamp,
+    'x-nonce': nonce,
+    'x-signature': signRequest(SECRET, timestamp, nonce, method, url, body)
+  };
+
+  for (const [name, value] of Object.entries(overrides)) {
+    headers[name.toLowerCase()] = value;
+  }
+
+  return {
+    method,
+    originalUrl: url,
+    rawBody: body,
+    body: body ? JSON.parse(body) : {},
+    ip: '127.0.0.1',
+    get: (name) => headers[name.toLowerCase()]
+  };
+}
+
+function createResponse() {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+}
+
+/**
+ * Run apiKeyAuth; resolves with { res, passed } (passed = next() called)
+ */
+async function authenticate(req) {
+  const res = createResponse();
+  let nextCalled = false;
+  await apiKeyAuth(req, res, (error) => {
+    if (error) throw error;
+    nextCalled = true;
+  });
+  return { res, passed: nextCalled };
+}
+
+function authorize(req, routerName, path) {
+  const res = createResponse();
+  let nextCalled = false;
+  req.path = path;
+  requireScope(routerName)(req, res, () => { nextCalled = true; });
+  return { res, passed: nextCalled };
+}
+
+async function run() {
+  console.log('🧪 Internal API Auth Tests\n');
+
+  // Test 1: Valid signature
+  const valid = createRequest();
+  let result = await authenticate(valid);
+  check('Valid signature accepted', result.passed && valid.apiKey?.keyId === apiKey.keyId &&
+    valid.apiKey.authMethod === 'hmac', result.res.body?.error);
+
+  // Test 2: Replay of the same request
+  result = await authenticate(valid);
+  check('Replayed request rejected', !result.passed && result.res.statusCode === 401 &&
+    result.res.body.error === 'Request already processed', result.res.body?.error);
+
+  // Test 3: Bad signature
+  result = await authenticate(createRequest({ overrides: { 'X-Signature': 'f'.repeat(64) } }));
+  check('Bad signature rejected', !result.passed && result.res.statusCode === 401 &&
+    result.res.body.error === 'Invalid API credentials', result.res.body?.error);
+
+  // Test 4: Signature of another body
+  const tampered = createRequest({ method: 'POST', url: '/api/disputes/DL-TEST01/notes', body: '{"note":"a"}' });
+  tampered.rawBody = '{"note":"b"}';
+  result = await authenticate(tampered);
+  check('Tampered body rejected', !result.passed && result.res.statusCode === 401);
+
+  // Test 5: A rejected request does not use up its nonce
+  const retried = createRequest();
+  const forged = {
+    ...retried,
+    get: (name) => (name.toLowerCase() === 'x-signature' ? 'f'.repeat(64) : retried.get(name))
+  };
+  await authenticate(forged);
+  result = await authenticate(retried);
+  check('Nonce of a rejected request stays usable', result.passed, result.res.body?.error);
+
+  // Test 6: Expired timestamp
+  const expired = String(Date.now() - API_SIGNATURE_MAX_AGE_MS - 1000);
+  result = await authenticate(createRequest({
+    overrides: {
+      'X-Timestamp': expired,
+      'X-Signature': signRequest(SECRET, expired, 'nonce-expired', 'GET', '/api/deals/DL-TEST01'),
+      'X-Nonce': 'nonce-expired'
+    }
+  }));
+  check('Expired timestamp rejected', !result.passed && result.res.statusCode === 401 &&
+    result.res.body.error === 'Request timestamp is missing or expired', result.res.body?.error);
+
+  // Test 7: Missing nonce
+  result = await authenticate(createRequest({ overrides: { 'X-Nonce': undefined } }));
+  check('Missing nonce rejected', !result.passed && result.res.statusCode === 401 &&
+    result.res.body.error === 'Request nonce is missing or invalid', result.res.body?.error);
+
+  // Test 8: Plain secret
+  result = await authenticate(createRequest({
+    overrides: { 'X-Signature': undefined, 'X-Api-Key': SECRET }
+  }));
+  check('Plain secret accepted', result.passed);
+
+  // Test 9: Wrong scope
+  const reader = createRequest({ method: 'POST', url: '/api/deals/DL-TEST01/cancel', body: '{}' });
+  await authenticate(reader);
+  result = authorize(reader, 'deals', '/DL-TEST01/cancel');
+  check('Missing scope rejected', !result.passed && result.res.statusCode === 403 &&
+    result.res.body.error === 'API key lacks required scope: deals:write', result.res.body?.error);
+
+  // Test 10: Dedicated route scope
+  const resolver = createRequest({ method: 'POST', url: '/api/disputes/resolve', body: '{"dealId":"DL-TEST01"}' });
+  await authenticate(resolver);
+  result = authorize(resolver, 'disputes', '/resolve');
+  check('Route scope required over router scope', !result.passed && result.res.statusCode === 403 &&
+    result.res.body.error === 'API key lacks required scope: disputes:resolve', result.res.body?.error);
+
+  // Test 11: Granted write scope is audited
+  const writer = createRequest({ method: 'POST', url: '/api/disputes/DL-TEST01/notes', body: '{"dealId":"DL-TEST01"}' });
+  await authenticate(writer);
+  result = authorize(writer, 'disputes', '/DL-TEST01/notes');
+  result.res.emit('finish');
+  await new Promise(resolve => setImmediate(resolve));
+  check('Write call passes and is audited', result.passed && auditCalls.length === 1 &&
+    auditCalls[0].scope === 'disputes:write' && auditCalls[0].dealId === 'DL-TEST01',
+    JSON.stringify(auditCalls));
+
+  // Test 12: Read call is not audited
+  const lookup = createRequest();
+  await authenticate(lookup);
+  result = authorize(lookup, 'deals', '/DL-TEST01');
+  result.res.emit('finish');
+  await new Promise(resolve => setImmediate(resolve));
+  check('Read call passes without audit', result.passed && auditCalls.length === 1);
+
+  // Test 13: Scope check without authentication
+  result = authorize(createRequest(), 'deals', '/DL-TEST01');
+  check('Scope check requires authentication', !result.passed && result.res.statusCode === 401);
+
+  // Test 14: Revoked key
+  await apiKey.revoke();
+  result = await authenticate(createRequest());
+  check('Revoked key rejected', !result.passed && result.res.statusCode === 401 &&
+    result.res.body.error === 'Invalid API key', result.res.body?.error);
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`Internal API Auth Tests Complete: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(60));
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run().catch(error => {
+  console.error(`❌ Error in test: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,158 @@
+/**
+ * Chain Adapters Tests
+ * BEP-20 adapter against a local mock JSON-RPC node
+ *
+ * Run: node tests/chainAdapters.test.js
+ */
+
+const { ethers } = require('ethers');
+const MockEvmNode = require('./mocks/evmRpcNode');
+const Bep20Adapter = require('../src/services/chains/Bep20Adapter');
+const { getChainAdapter, setChainAdapter, getDealBalance } = require('../src/services/chains');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition, details) {
+  if (condition) {
+    passed++;
+    console.log(`✅ ${description}: PASS`);
+  } else {
+    failed++;
+    console.log(`❌ ${description}: FAIL`);
+  }
+  if (details) {
+    console.log(`   ${details}`);
+  }
+}
+
+async function run() {
+  console.log('🧪 Chain Adapters Tests\n');
+
+  const node = new MockEvmNode({ chainId: 97 });
+  await node.start();
+
+  const gasWallet = ethers.Wallet.createRandom();
+  const buyer = ethers.Wallet.createRandom();
+  const seller = ethers.Wallet.createRandom();
+
+  const chain = new Bep20Adapter({
+    rpcUrl: node.url,
+    chainId: 97,
+    usdtContract: node.tokenAddress,
+    explorerUrl: 'https://testnet.bscscan.com',
+    gasPrivateKey: gasWallet.privateKey,
+    confirmationTimeoutMs: 5000
+  });
+
+  try {
+    // Test 1: Registry
+    check('Default network is tron', getChainAdapter().network === 'tron');
+    let unsupported = false;
+    try {
+      getChainAdapter('solana');
+    } catch (error) {
+      unsupported = error.message.includes('Unsupported network');
+    }
+    check('Unknown network is rejected', unsupported);
+
+    // Test 2: Escrow wallet and addresses
+    const escrow = await chain.createEscrowWallet('buyerKey', 'sellerKey', 'arbiterKey');
+    check('Escrow address is valid', chain.isValidAddress(escrow.address), escrow.address);
+    check('Private key matches escrow address', chain.privateKeyToAddress(escrow.privateKey) === escrow.address);
+    check('TRON address is rejected', !chain.isValidAddress('TJRabPrwbZy45sbavfcjinPJC18kjpRTv8'));
+
+    // Test 3: Deposit detection
+    node.setBalance(buyer.address, ethers.parseEther('1'));
+    node.setTokenBalance(buyer.address, ethers.parseUnits('150', 18));
+
+    check('No deposit before transfer', await chain.checkDeposit(escrow.address, 'USDT', 100) === null);
+
+    const depositTx = await chain.buildTransfer(buyer.address, escrow.address, 100, 'USDT');
+    const signedDeposit = await chain.signTransaction(depositTx, buyer.privateKey);
+    const depositResult = await chain.broadcastTransaction(signedDeposit);
+    check('Buyer deposit broadcast', depositResult.success, depositResult.txHash);
+
+    const deposit = await chain.checkDeposit(escrow.address, 'USDT', 100);
+    check(
+      'Deposit detected',
+      deposit && deposit.txHash === depositResult.txHash && deposit.amount === 100 && deposit.from === buyer.address,
+      deposit && `Amount: ${deposit.amount} USDT, block ${deposit.block}`
+    );
+    check('Escrow USDT balance', await chain.getBalance(escrow.address, 'USDT') === 100);
+
+    const fresh = await chain.getTransactionConfirmations(depositResult.txHash);
+    const unknown = await chain.getTransactionConfirmations(ethers.ZeroHash);
+    check(
+      'Fresh deposit has no confirmations',
+      fresh.found && fresh.success && fresh.confirmations === 0 && !fresh.finalized && !unknown.found,
+      `Block ${fresh.blockNumber}, confirmations: ${fresh.confirmations}`
+    );
+
+    // Test 4: Gas top-up
+    node.setBalance(gasWallet.address, ethers.parseEther('1'));
+    const fee = await chain.estimateTransferFee(escrow.address, seller.address, 95, 'USDT');
+    check('Fee estimated in BNB', fee.feeAsset === 'BNB' && fee.fee > 0, `Fee: ${fee.fee} BNB, gas ${fee.gasLimit}`);
+
+    const topUp = await chain.ensureFeeBalance(escrow.address, 2);
+    check('Escrow funded with gas', topUp.funded && await chain.getBalance(escrow.address, 'BNB') > 0, `Sent: ${topUp.amount} BNB`);
+
+    const secondTopUp = await chain.ensureFeeBalance(escrow.address, 2);
+    check('No second top-up when balance suffices', !secondTopUp.funded);
+
+    // Test 5: Payout
+    const payoutTx = await chain.buildTransfer(escrow.address, seller.address, 95, 'USDT');
+    const signedPayout = await chain.signTransaction(payoutTx, escrow.privateKey);
+    const payoutResult = await chain.broadcastTransaction(signedPayout);
+    check('Payout broadcast', payoutResult.success, payoutResult.txHash);
+    check('Seller received USDT', await chain.getBalance(seller.address, 'USDT') === 95);
+
+    // Gas top-up and payout were mined on top of the deposit
+    const settled = await chain.getTransactionConfirmations(depositResult.txHash);
+    check('Deposit finalized', settled.confirmations === 2 && settled.finalized, `Confirmations: ${settled.confirmations}`);
+
+    // Test 6: Failed broadcast has TRON-compatible shape
+    const overdraftTx = await chain.buildTransfer(escrow.address, seller.address, 50, 'USDT');
+    const overdraft = await chain.broadcastTransaction(await chain.signTransaction(overdraftTx, escrow.privateKey));
+    check('Overdraft rejected', !overdraft.success && overdraft.message.includes('exceeds balance'), overdraft.message);
+
+    // Test 7: Deal balance through registry
+    setChainAdapter('bep20', chain);
+    const dealBalance = await getDealBalance({
+      network: 'bep20',
+      multisigAddress: escrow.address,
+      asset: 'USDT',
+      actualDepositAmount: 100
+    });
+    check('Deal balance via registry', dealBalance === 5, `Balance: ${dealBalance} USDT`);
+
+    const withOverpayment = await getDealBalance({
+      network: 'bep20',
+      multisigAddress: escrow.address,
+      asset: 'USDT',
+      actualDepositAmount: 100,
+      overpayment: 2
+    });
+    check('Overpayment kept out of the deal balance', withOverpayment === 3, `Balance: ${withOverpayment} USDT`);
+
+    // Test 8: Explorer links
+    check(
+      'Explorer links',
+      chain.getExplorerTxLink('0xabc') === 'https://testnet.bscscan.com/tx/0xabc' &&
+        getChainAdapter('tron').getExplorerTxLink('abc') === 'https://tronscan.org/#/transaction/abc'
+    );
+  } finally {
+    await node.stop();
+  }
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`Chain Adapters Tests Complete: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(60));
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run().catch(error => {
+  console.error(`❌ Error in test: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,233 @@
+/**
+ * Deal Lifecycle Tests
+ * createDeal → deposit → accept work / deadline → key validation → payout,
+ * against the mock TRON node and a test MongoDB (see tests/harness.js)
+ *
+ * Run: node tests/dealLifecycle.test.js
+ */
+
+const { runSuite, BUYER_ID, SELLER_ID } = require('./harness');
+
+runSuite('Deal Lifecycle Tests', async ({ harness, check, section }) => {
+  const { node, telegram } = harness;
+
+  // Services read env at require time - load after the harness is up
+  const dealService = require('../src/services/dealService');
+  const depositMonitor = require('../src/services/depositMonitor');
+  const deadlineMonitor = require('../src/services/deadlineMonitor');
+  const feesaverService = require('../src/services/feesaver');
+  const { acceptWork, acceptMutualCancel } = require('../src/bot/handlers/myDeals');
+  const { handleKeyValidationInput } = require('../src/bot/handlers/keyValidation');
+  const Deal = require('../src/models/Deal');
+  const User = require('../src/models/User');
+  const Transaction = require('../src/models/Transaction');
+  const Session = require('../src/models/Session');
+  const AuditLog = require('../src/models/AuditLog');
+
+  await harness.createParties();
+
+  // ============================================
+  section('Deposit detection');
+  // ============================================
+
+  {
+    const wallet = harness.createWallet();
+    const { deal } = await dealService.createDeal({
+      creatorRole: 'seller',
+      buyerId: BUYER_ID,
+      sellerId: SELLER_ID,
+      productName: 'Short deposit',
+      description: 'Lifecycle test deal: short deposit',
+      asset: 'USDT',
+      amount: 100,
+      commissionType: 'buyer',
+      deadlineHours: 48,
+      buyerAddress: harness.createWallet().address,
+      sellerAddress: wallet.address
+    });
+    check('Deal waits for deposit', deal.status === 'waiting_for_deposit');
+
+    await depositMonitor.checkDealDeposit(deal);
+    check('No deposit - deal untouched', (await Deal.findById(deal._id)).status === 'waiting_for_deposit');
+
+    node.sendUsdt(harness.createWallet().address, deal.multisigAddress, 50);
+    await depositMonitor.checkDealDeposit(await Deal.findById(deal._id));
+    const shortDeal = await Deal.findById(deal._id);
+    check('Short deposit does not lock the deal', shortDeal.status === 'waiting_for_deposit' && !shortDeal.depositTxHash);
+    check('Buyer warned about short deposit', telegram.messagesTo(BUYER_ID).length > 0);
+  }
+
+  await harness.clearDatabase();
+  await harness.createParties();
+
+  // ============================================
+  section('Accept work → seller payout (FeeSaver)');
+  // ============================================
+
+  {
+    feesaverService.enabled = true;
+    const ordersBefore = node.feesaver.orders.length;
+
+    const { deal, creatorPrivateKey, sellerWallet, depositAmount } = await harness.createFundedDeal({
+      creatorRole: 'seller',
+      amount: 100,
+      description: 'accept work'
+    });
+
+    check('Deposit locks the deal', deal.status === 'locked' && deal.actualDepositAmount === depositAmount,
+      `Deposit: ${deal.actualDepositAmount} USDT`);
+    check('Escrow activated with TRX', node.getTrxBalance(deal.multisigAddress) === 15);
+    check('Deposit transaction recorded', !!(await Transaction.findOne({ dealId: deal._id, type: 'deposit' })));
+
+    await dealService.submitWork(deal.dealId, SELLER_ID);
+    await acceptWork(harness.callbackCtx(BUYER_ID, `accept_work:${deal.dealId}`));
+
+    const pending = await Deal.findById(deal._id);
+    check('Seller key requested', pending.pendingKeyValidation === 'seller_payout');
+    check('Key validation session created', !!(await Session.getSession(SELLER_ID, 'key_validation')));
+
+    await handleKeyValidationInput(harness.messageCtx(SELLER_ID, 'not-a-key'));
+    check('Wrong key is rejected', (await Deal.findById(deal._id)).status === 'in_progress');
+
+    await handleKeyValidationInput(harness.messageCtx(SELLER_ID, creatorPrivateKey));
+
+    const completed = await Deal.findById(deal._id);
+    check('Deal completed', completed.status === 'completed' && !!completed.completedAt);
+    check('Seller received deal amount', node.getUsdtBalance(sellerWallet.address) === 100,
+      `Seller: ${node.getUsdtBalance(sellerWallet.address)} USDT`);
+    check('Service received commission', node.getUsdtBalance(harness.serviceWallet.address) === deal.commission,
+      `Service: ${node.getUsdtBalance(harness.serviceWallet.address)} USDT`);
+    check('Escrow emptied', node.getUsdtBalance(deal.multisigAddress) === 0);
+    check('Energy rented from FeeSaver', node.feesaver.orders.length > ordersBefore,
+      `Orders: ${node.feesaver.orders.length - ordersBefore}`);
+
+    const payoutTypes = (await Transaction.find({ dealId: deal._id })).map(tx => tx.type).sort();
+    check('Release and fee transactions recorded', payoutTypes.join(',') === 'deposit,fee,release', payoutTypes.join(', '));
+    check('Seller notified', telegram.messagesTo(SELLER_ID).some(m => m.text.includes(deal.dealId)));
+  }
+
+  // ============================================
+  section('Deadline → auto-refund (TRX fallback)');
+  // ============================================
+
+  {
+    feesaverService.enabled = false;
+
+    const { deal, creatorPrivateKey, buyerWallet, depositAmount } = await harness.createFundedDeal({
+      creatorRole: 'buyer',
+      amount: 200,
+      description: 'auto refund'
+    });
+    const buyerBalanceAfterDeposit = node.getUsdtBalance(buyerWallet.address);
+
+    await harness.expireDeadline(deal);
+    await deadlineMonitor.checkDeadlines();
+
+    const expired = await Deal.findById(deal._id);
+    check('Expired deal waits for buyer key', expired.status === 'expired' && expired.pendingKeyValidation === 'buyer_refund');
+
+    await handleKeyValidationInput(harness.messageCtx(BUYER_ID, creatorPrivateKey));
+
+    const refunded = await Deal.findById(deal._id);
+    const refund = node.getUsdtBalance(buyerWallet.address) - buyerBalanceAfterDeposit;
+    check('Refund transaction recorded', !!(await Transaction.findOne({ dealId: deal._id, type: 'refund' })));
+    check('Buyer refunded deposit minus commission', Math.abs(refund - (depositAmount - deal.commission)) < 1e-6,
+      `Refund: ${refund} USDT, status: ${refunded.status}`);
+    check('Escrow emptied', node.getUsdtBalance(deal.multisigAddress) === 0);
+  }
+
+  // ============================================
+  section('Deadline after submitted work → auto-release');
+  // ============================================
+
+  {
+    feesaverService.enabled = false;
+
+    const { deal, creatorPrivateKey, sellerWallet } = await harness.createFundedDeal({
+      creatorRole: 'seller',
+      amount: 300,
+      description: 'auto release'
+    });
+
+    await harness.expireDeadline(deal, 'work_submitted');
+    await deadlineMonitor.checkDeadlines();
+
+    const pending = await Deal.findById(deal._id).lean();
+    check('Seller key requested for release', pending.pendingKeyValidation === 'seller_release');
+
+    await handleKeyValidationInput(harness.messageCtx(SELLER_ID, creatorPrivateKey));
+
+    const released = await Deal.findById(deal._id).lean();
+    check('Deal completed', released.status === 'completed');
+    check('Seller received deal amount', node.getUsdtBalance(sellerWallet.address) === 300,
+      `Seller: ${node.getUsdtBalance(sellerWallet.address)} USDT`);
+  }
+
+  // ============================================
+  section('Deadline extension blocks auto-refund');
+  // ============================================
+
+  {
+    const { deal } = await harness.createFundedDeal({
+      creatorRole: 'buyer',
+      amount: 120,
+      description: 'deadline extension'
+    });
+
+    await harness.expireDeadline(deal);
+    await dealService.proposeDeadlineExtension(deal.dealId, SELLER_ID, 48);
+    await deadlineMonitor.checkDeadlines();
+
+    const waiting = await Deal.findById(deal._id);
+    check('No auto-refund while proposal is pending', waiting.status === 'locked' && !waiting.pendingKeyValidation);
+
+    const { deal: extended } = await dealService.respondToDeadlineExtension(deal.dealId, BUYER_ID, true);
+    check('Deadline moved on acceptance', extended.deadline > new Date() && !extended.deadlineNotificationSent);
+    check('Extension written to audit log', !!(await AuditLog.findOne({ dealId: deal._id, action: 'deadline_extended' })));
+  }
+
+  // ============================================
+  section('Mutual cancellation → buyer refund');
+  // ============================================
+
+  {
+    const { deal, creatorPrivateKey, buyerWallet, depositAmount } = await harness.createFundedDeal({
+      creatorRole: 'buyer',
+      amount: 150,
+      description: 'mutual cancel'
+    });
+    const buyerBalanceAfterDeposit = node.getUsdtBalance(buyerWallet.address);
+
+    await dealService.proposeMutualCancellation(deal.dealId, SELLER_ID);
+    await acceptMutualCancel(harness.callbackCtx(BUYER_ID, `mutual_cancel_accept:${deal.dealId}`));
+
+    const agreed = await Deal.findById(deal._id);
+    check('Agreed deal waits for buyer key', agreed.status === 'cancelled' && agreed.pendingKeyValidation === 'mutual_cancel');
+
+    // Cancelled deal must not be picked up by auto-refund
+    await harness.expireDeadline(deal);
+    await deadlineMonitor.checkDeadlines();
+    check('Deadline monitor leaves cancelled deal alone', (await Deal.findById(deal._id)).status === 'cancelled');
+
+    await handleKeyValidationInput(harness.messageCtx(BUYER_ID, creatorPrivateKey));
+
+    const cancelled = await Deal.findById(deal._id);
+    const refund = node.getUsdtBalance(buyerWallet.address) - buyerBalanceAfterDeposit;
+    const expectedRefund = depositAmount - Deal.getCancellationCommission(deal);
+    check('Deal cancelled after refund', cancelled.status === 'cancelled' && !cancelled.pendingKeyValidation);
+    check('Buyer refunded per cancellation policy', Math.abs(refund - expectedRefund) < 1e-6, `Refund: ${refund} USDT`);
+
+    const stats = (await User.find({ telegramId: { $in: [BUYER_ID, SELLER_ID] } })).map(user => user.disputeStats);
+    check('Dispute stats untouched', stats.every(s => s.totalLost === 0 && s.totalWon === 0 && s.lossStreak === 0));
+  }
+
+  // ============================================
+  section('Deadline monitor ignores finished deals');
+  // ============================================
+
+  {
+    const messagesBefore = telegram.messages.length;
+    await deadlineMonitor.checkDeadlines();
+    check('No notifications for completed deals', telegram.messages.length === messagesBefore);
+  }
+});
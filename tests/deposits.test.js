@@ -0,0 +1,333 @@
+/**
+ * Deposit Tests
+ * Block scanner, confirmations, deposit ledger, stray funds and underfunded expiry,
+ * against the mock TRON node and a test MongoDB (see tests/harness.js)
+ *
+ * Run: node tests/deposits.test.js
+ */
+
+const { runSuite, BUYER_ID, SELLER_ID } = require('./harness');
+
+runSuite('Deposit Tests', async ({ harness, check, section }) => {
+  const { node, telegram } = harness;
+
+  // Services read env at require time - load after the harness is up
+  const dealService = require('../src/services/dealService');
+  const depositMonitor = require('../src/services/depositMonitor');
+  const feesaverService = require('../src/services/feesaver');
+  const { acceptWork } = require('../src/bot/handlers/myDeals');
+  const { handleKeyValidationInput, handleStrayRefund } = require('../src/bot/handlers/keyValidation');
+  const Deal = require('../src/models/Deal');
+  const Transaction = require('../src/models/Transaction');
+  const Session = require('../src/models/Session');
+  const constants = require('../src/config/constants');
+
+  await harness.createParties();
+
+  // ============================================
+  section('Block scanner');
+  // ============================================
+
+  {
+    const blockScanner = require('../src/services/blockScanner');
+    const ServiceStatus = require('../src/models/ServiceStatus');
+
+    const buyerWallet = harness.createWallet();
+    const { deal } = await dealService.createDeal({
+      creatorRole: 'seller',
+      buyerId: BUYER_ID,
+      sellerId: SELLER_ID,
+      productName: 'Test block scanner',
+      description: 'Lifecycle test deal: block scanner',
+      asset: 'USDT',
+      amount: 100,
+      commissionType: 'buyer',
+      deadlineHours: 48,
+      buyerAddress: buyerWallet.address,
+      sellerAddress: harness.createWallet().address
+    });
+
+    // First cycle starts at the head
+    blockScanner.monitor = depositMonitor;
+    blockScanner.lastBlock = null;
+    await blockScanner.scan();
+
+    const pollsBefore = node.requests.filter(path => path.endsWith('/transactions/trc20')).length;
+    node.sendUsdt(buyerWallet.address, deal.multisigAddress, 100 + deal.commission);
+    const depositBlock = node.blockNumber;
+    await blockScanner.scan();
+
+    const locked = await Deal.findById(deal._id);
+    const depositTx = await Transaction.findOne({ dealId: deal._id, type: 'deposit' });
+    check('Deposit matched from the Transfer event', locked.status === 'locked' &&
+      locked.actualDepositAmount === 100 + deal.commission && depositTx?.block === depositBlock,
+      `Status: ${locked.status}, block: ${depositTx?.block}`);
+    check('Escrow address not polled',
+      node.requests.filter(path => path.endsWith('/transactions/trc20')).length === pollsBefore);
+
+    const status = await ServiceStatus.findOne({ serviceName: 'BlockScanner' }).lean();
+    check('Cursor stored for restarts', status?.stats?.lastBlock === depositBlock, `Cursor: ${status?.stats?.lastBlock}`);
+  }
+
+  // ============================================
+  section('Deposit confirmations');
+  // ============================================
+
+  {
+    const defaultConfirmations = constants.DEPOSIT_CONFIRMATIONS;
+    constants.DEPOSIT_CONFIRMATIONS = [{ maxAmount: Infinity, confirmations: 3 }];
+    node.solidityLag = 5;
+
+    const createDeal = async (description) => (await dealService.createDeal({
+      creatorRole: 'seller',
+      buyerId: BUYER_ID,
+      sellerId: SELLER_ID,
+      productName: `Test ${description}`,
+      description: `Lifecycle test deal: ${description}`,
+      asset: 'USDT',
+      amount: 100,
+      commissionType: 'buyer',
+      deadlineHours: 48,
+      buyerAddress: harness.createWallet().address,
+      sellerAddress: harness.createWallet().address
+    })).deal;
+
+    try {
+      const deal = await createDeal('confirmations');
+      const sellerMessagesBefore = telegram.messagesTo(SELLER_ID).length;
+      node.sendUsdt(harness.createWallet().address, deal.multisigAddress, 100 + deal.commission);
+      await depositMonitor.checkDealDeposit(await Deal.findById(deal._id));
+
+      let depositTx = await Transaction.findOne({ dealId: deal._id, type: 'deposit' });
+      check('Fresh deposit is pending, deal not locked',
+        (await Deal.findById(deal._id)).status === 'waiting_for_deposit' &&
+        depositTx?.status === 'pending' && depositTx.requiredConfirmations === 3,
+        `Transaction: ${depositTx?.status}, ${depositTx?.confirmations}/${depositTx?.requiredConfirmations}`);
+      check('Buyer told the deposit waits for confirmations',
+        telegram.messagesTo(BUYER_ID).some(m => m.text.includes(deal.dealId) && m.text.includes('⏳')));
+
+      node.mineBlocks(2);
+      await depositMonitor.checkDealDeposit(await Deal.findById(deal._id));
+      depositTx = await Transaction.findOne({ dealId: deal._id, type: 'deposit' });
+      check('Not locked below the required depth',
+        (await Deal.findById(deal._id)).status === 'waiting_for_deposit' && depositTx.confirmations === 2 &&
+        telegram.messagesTo(SELLER_ID).length === sellerMessagesBefore);
+
+      node.mineBlocks(1);
+      await depositMonitor.checkDealDeposit(await Deal.findById(deal._id));
+      depositTx = await Transaction.findOne({ dealId: deal._id, type: 'deposit' });
+      check('Locked at the required depth', (await Deal.findById(deal._id)).status === 'locked' &&
+        depositTx.status === 'confirmed' && depositTx.confirmations === 3,
+        `Transaction: ${depositTx.status}`);
+
+      node.mineBlocks(2);
+      await depositMonitor.checkDepositFinality();
+      depositTx = await Transaction.findOne({ dealId: deal._id, type: 'deposit' });
+      check('Deposit finalized once its block is solidified', depositTx.status === 'finalized' && !!depositTx.finalizedAt);
+
+      const droppedDeal = await createDeal('dropped deposit');
+      const txID = node.sendUsdt(harness.createWallet().address, droppedDeal.multisigAddress, 100 + droppedDeal.commission);
+      await depositMonitor.checkDealDeposit(await Deal.findById(droppedDeal._id));
+      node.dropTransaction(txID);
+      node.mineBlocks(3);
+      await depositMonitor.checkDealDeposit(await Deal.findById(droppedDeal._id));
+
+      const dropped = await Deal.findById(droppedDeal._id);
+      const droppedTx = await Transaction.findOne({ dealId: droppedDeal._id, type: 'deposit' });
+      check('Dropped deposit rejected before lock', dropped.status === 'waiting_for_deposit' && !dropped.depositTxHash &&
+        droppedTx?.status === 'failed', `Transaction: ${droppedTx?.status} (${droppedTx?.errorMessage})`);
+      check('Buyer told the transfer was not confirmed',
+        telegram.messagesTo(BUYER_ID).some(m => m.text.includes(droppedDeal.dealId) && m.text.includes(txID)));
+
+      // A full batch of older deposits that are not final yet must not hold up newer ones
+      node.solidityLag = 100;
+      const backlogWallet = harness.createWallet();
+      const backlog = await Transaction.insertMany(
+        Array.from({ length: depositMonitor.FINALITY_BATCH_SIZE + 1 }, (_, i) => ({
+          dealId: droppedDeal._id,
+          type: 'deposit',
+          asset: 'USDT',
+          amount: 1,
+          txHash: node.sendUsdt(backlogWallet.address, droppedDeal.multisigAddress, 1),
+          status: 'confirmed',
+          requiredConfirmations: 3,
+          timestamp: new Date(Date.now() - (depositMonitor.FINALITY_BATCH_SIZE - i) * 60000)
+        }))
+      );
+      await depositMonitor.checkDepositFinality();
+      node.mineBlocks(100);
+      await depositMonitor.checkDepositFinality();
+      const newest = await Transaction.findById(backlog[backlog.length - 1]._id);
+      check('Newest deposit checked once the older batch had its turn', newest.status === 'finalized',
+        `Transaction: ${newest.status}`);
+      await Transaction.deleteMany({ _id: { $in: backlog.map(tx => tx._id) } });
+    } finally {
+      constants.DEPOSIT_CONFIRMATIONS = defaultConfirmations;
+      node.solidityLag = 0;
+    }
+  }
+
+  // ============================================
+  section('Deposit ledger');
+  // ============================================
+
+  {
+    feesaverService.enabled = true;
+    const buyerWallet = harness.createWallet();
+    const sellerWallet = harness.createWallet();
+    const { deal, creatorPrivateKey } = await dealService.createDeal({
+      creatorRole: 'seller',
+      buyerId: BUYER_ID,
+      sellerId: SELLER_ID,
+      productName: 'Test deposit ledger',
+      description: 'Lifecycle test deal: deposit ledger',
+      asset: 'USDT',
+      amount: 100,
+      commissionType: 'buyer',
+      deadlineHours: 48,
+      buyerAddress: buyerWallet.address,
+      sellerAddress: sellerWallet.address
+    });
+    const expected = 100 + deal.commission;
+
+    node.sendUsdt(buyerWallet.address, deal.multisigAddress, 60);
+    await depositMonitor.checkDealDeposit(await Deal.findById(deal._id));
+    const partial = await Deal.findById(deal._id);
+    check('Partial transfer recorded, deal not locked',
+      partial.status === 'waiting_for_deposit' && partial.depositReceived === 60, `Received: ${partial.depositReceived}`);
+    check('Buyer told how much is missing', telegram.messagesTo(BUYER_ID).some(m =>
+      m.text.includes(deal.dealId) && m.text.includes(`${expected - 60} ${deal.asset}`)));
+
+    // Top-up with 5 USDT too much
+    node.sendUsdt(buyerWallet.address, deal.multisigAddress, expected - 60 + 5);
+    await depositMonitor.checkDealDeposit(await Deal.findById(deal._id));
+    const locked = await Deal.findById(deal._id);
+    check('Transfers add up to the deposit', locked.status === 'locked' && locked.actualDepositAmount === expected + 5 &&
+      (await Transaction.countDocuments({ dealId: deal._id, type: 'deposit' })) === 2,
+      `Status: ${locked.status}, deposit: ${locked.actualDepositAmount}`);
+    check('Overpayment kept aside', locked.overpayment === 5);
+
+    await dealService.submitWork(deal.dealId, SELLER_ID);
+    await acceptWork(harness.callbackCtx(BUYER_ID, `accept_work:${deal.dealId}`));
+    await handleKeyValidationInput(harness.messageCtx(SELLER_ID, creatorPrivateKey));
+
+    const completed = await Deal.findById(deal._id);
+    check('Seller paid the deal amount only', completed.status === 'completed' && node.getUsdtBalance(sellerWallet.address) === 100,
+      `Seller: ${node.getUsdtBalance(sellerWallet.address)} USDT`);
+    check('Overpayment returned to the buyer', node.getUsdtBalance(buyerWallet.address) === 5 &&
+      !!completed.overpaymentRefundTxHash, `Buyer: ${node.getUsdtBalance(buyerWallet.address)} USDT`);
+    check('Escrow emptied', node.getUsdtBalance(deal.multisigAddress) === 0);
+  }
+
+  // ============================================
+  section('Stray funds');
+  // ============================================
+
+  {
+    const StrayDeposit = require('../src/models/StrayDeposit');
+    const buyerWallet = harness.createWallet();
+    const { deal, creatorPrivateKey } = await dealService.createDeal({
+      creatorRole: 'buyer',
+      buyerId: BUYER_ID,
+      sellerId: SELLER_ID,
+      productName: 'Test stray funds',
+      description: 'Lifecycle test deal: stray funds',
+      asset: 'USDT',
+      amount: 100,
+      commissionType: 'buyer',
+      deadlineHours: 48,
+      buyerAddress: buyerWallet.address,
+      sellerAddress: harness.createWallet().address
+    });
+    await Deal.updateOne({ _id: deal._id }, { $set: { status: 'cancelled' } });
+
+    // Transfer after the deal was cancelled
+    const txID = node.sendUsdt(buyerWallet.address, deal.multisigAddress, 20);
+    depositMonitor.lastStrayCheckAt = 0;
+    await depositMonitor.checkStrayFunds();
+
+    const stray = await StrayDeposit.findOne({ dealId: deal._id });
+    check('Late transfer to a cancelled deal detected', stray?.txHash === txID && stray.amount === 20 &&
+      stray.senderRole === 'buyer' && stray.status === 'detected', `Stray: ${stray?.status}`);
+    check('Sender offered a refund', telegram.messagesTo(BUYER_ID).some(m => m.text.includes(deal.dealId) && m.text.includes(txID)));
+
+    depositMonitor.lastStrayCheckAt = 0;
+    await depositMonitor.checkStrayFunds();
+    check('Stray transfer recorded once', (await StrayDeposit.countDocuments({ dealId: deal._id })) === 1);
+
+    await handleStrayRefund(harness.callbackCtx(SELLER_ID, `stray_refund:${stray._id}`));
+    check('Other participant cannot claim the refund', !(await Session.getSession(SELLER_ID, 'key_validation')));
+
+    await handleStrayRefund(harness.callbackCtx(BUYER_ID, `stray_refund:${stray._id}`));
+    check('Sender key requested', (await Session.getSession(BUYER_ID, 'key_validation'))?.type === 'stray_refund');
+
+    await handleKeyValidationInput(harness.messageCtx(BUYER_ID, creatorPrivateKey));
+    const refunded = await StrayDeposit.findById(stray._id);
+    check('Stray funds returned to the sender', refunded.status === 'refunded' && !!refunded.refundTxHash &&
+      node.getUsdtBalance(buyerWallet.address) === 20, `Sender: ${node.getUsdtBalance(buyerWallet.address)} USDT`);
+
+    const completedStrays = await StrayDeposit.countDocuments({ dealId: { $ne: deal._id } });
+    check('Swept deposits of completed deals not flagged', completedStrays === 0, `Other strays: ${completedStrays}`);
+
+    // Expired, buyer refund not done yet - the refund returns the extra transfer too
+    const { deal: expired, buyerWallet: expiredBuyer } = await harness.createFundedDeal({
+      creatorRole: 'buyer',
+      amount: 100,
+      description: 'expired awaiting refund'
+    });
+    await Deal.updateOne({ _id: expired._id }, { $set: { status: 'expired', pendingKeyValidation: 'buyer_refund' } });
+    node.sendUsdt(expiredBuyer.address, expired.multisigAddress, 20);
+    depositMonitor.lastStrayCheckAt = 0;
+    await depositMonitor.checkStrayFunds();
+    check('Expired deal awaiting the refund not watched', (await StrayDeposit.countDocuments({ dealId: expired._id })) === 0);
+  }
+
+  // ============================================
+  section('Underfunded deal expiry');
+  // ============================================
+
+  {
+    const StrayDeposit = require('../src/models/StrayDeposit');
+    const buyerWallet = harness.createWallet();
+    const { deal, creatorPrivateKey } = await dealService.createDeal({
+      creatorRole: 'buyer',
+      buyerId: BUYER_ID,
+      sellerId: SELLER_ID,
+      productName: 'Test underfunded expiry',
+      description: 'Lifecycle test deal: underfunded expiry',
+      asset: 'USDT',
+      amount: 100,
+      commissionType: 'buyer',
+      deadlineHours: 48,
+      buyerAddress: buyerWallet.address,
+      sellerAddress: harness.createWallet().address
+    });
+
+    const txID = node.sendUsdt(buyerWallet.address, deal.multisigAddress, 60);
+    await depositMonitor.checkDealDeposit(await Deal.findById(deal._id));
+
+    // Raw update: createdAt is managed by mongoose timestamps
+    const createdAt = new Date(Date.now() - (depositMonitor.DEPOSIT_TIMEOUT_HOURS + 1) * 60 * 60 * 1000);
+    await Deal.collection.updateOne({ _id: deal._id }, { $set: { createdAt } });
+    await depositMonitor.cancelExpiredDeposits();
+
+    const cancelled = await Deal.findById(deal._id);
+    check('Underfunded deal expires', cancelled.status === 'cancelled' && cancelled.depositReceived === 60,
+      `Status: ${cancelled.status}`);
+
+    const stray = await StrayDeposit.findOne({ dealId: deal._id });
+    check('Recorded transfer offered back to the sender', stray?.txHash === txID && stray.amount === 60 &&
+      stray.senderRole === 'buyer' && stray.status === 'detected' &&
+      telegram.messagesTo(BUYER_ID).some(m => m.text.includes(deal.dealId) && m.text.includes(txID)));
+
+    depositMonitor.lastStrayCheckAt = 0;
+    await depositMonitor.checkStrayFunds();
+    check('Ledger refund not flagged again as stray', (await StrayDeposit.countDocuments({ dealId: deal._id })) === 1);
+
+    await handleStrayRefund(harness.callbackCtx(BUYER_ID, `stray_refund:${stray._id}`));
+    await handleKeyValidationInput(harness.messageCtx(BUYER_ID, creatorPrivateKey));
+    check('Partial deposit returned to the buyer', node.getUsdtBalance(buyerWallet.address) === 60 &&
+      (await StrayDeposit.findById(stray._id)).status === 'refunded',
+      `Buyer: ${node.getUsdtBalance(buyerWallet.address)} USDT`);
+  }
+});
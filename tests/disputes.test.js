@@ -0,0 +1,331 @@
+/**
+ * Dispute Tests
+ * Arbiter assignment, evidence, appeals, loss streak and admin restrictions,
+ * against the mock TRON node and a test MongoDB (see tests/harness.js)
+ *
+ * Run: node tests/disputes.test.js
+ */
+
+const { runSuite, BUYER_ID, SELLER_ID } = require('./harness');
+
+runSuite('Dispute Tests', async ({ harness, check, section }) => {
+  const { node } = harness;
+
+  // Services read env at require time - load after the harness is up
+  const dealService = require('../src/services/dealService');
+  const { handleKeyValidationInput } = require('../src/bot/handlers/keyValidation');
+  const Deal = require('../src/models/Deal');
+  const User = require('../src/models/User');
+  const Session = require('../src/models/Session');
+  const Dispute = require('../src/models/Dispute');
+  const Arbiter = require('../src/models/Arbiter');
+  const arbitrationService = require('../src/services/arbitrationService');
+  const disputeService = require('../src/services/disputeService');
+  const banService = require('../src/services/banService');
+  const UserRestriction = require('../src/models/UserRestriction');
+  const constants = require('../src/config/constants');
+
+  await harness.createParties();
+
+  // ============================================
+  section('Dispute assignment and SLA');
+  // ============================================
+
+  {
+    const { deal } = await harness.createFundedDeal({
+      creatorRole: 'buyer',
+      amount: 120,
+      description: 'arbitration'
+    });
+
+    // Buyer's own arbiter account must never get the dispute
+    await Arbiter.create({ username: 'conflicted', passwordHash: 'password123', name: 'Conflicted', telegramId: BUYER_ID });
+    const first = await Arbiter.create({ username: 'first', passwordHash: 'password123', name: 'First', telegramId: 2001 });
+    const second = await Arbiter.create({ username: 'second', passwordHash: 'password123', name: 'Second', telegramId: 2002 });
+
+    const openDispute = milestoneIndex => Dispute.create({
+      dealId: deal._id, milestoneIndex, openedBy: BUYER_ID, reasonText: 'Arbitration test'
+    });
+    const disputeA = await openDispute(0);
+    const disputeB = await openDispute(1);
+
+    const assignedA = await arbitrationService.autoAssign(disputeA, deal);
+    const assignedB = await arbitrationService.autoAssign(disputeB, deal);
+    check('Participant arbiter skipped', assignedA?.username === 'first', `Assigned: ${assignedA?.username}`);
+    check('Next dispute goes round-robin', assignedB?.username === 'second', `Assigned: ${assignedB?.username}`);
+
+    const assigned = await Dispute.findById(disputeA._id);
+    check('Review SLA set on assignment', assigned.assignedTo.equals(first._id) && assigned.reviewDueAt > new Date());
+    check('Only the assignee may resolve',
+      arbitrationService.canResolve(first, assigned) && !arbitrationService.canResolve(second, assigned));
+
+    await Dispute.updateOne({ _id: disputeA._id }, { $set: { reviewDueAt: new Date(Date.now() - 60000) } });
+    await arbitrationService.escalateBreaches();
+    await arbitrationService.escalateBreaches();
+    const breached = await Dispute.findById(disputeA._id);
+    check('Review breach escalated once', breached.escalations.filter(type => type === 'review').length === 1);
+
+    const taken = await arbitrationService.takeForReview(disputeA._id, first);
+    check('Taking into review clears the breach', taken.status === 'in_review' && !taken.escalations.includes('review'));
+
+    let error = null;
+    try {
+      await arbitrationService.takeForReview(disputeB._id, first);
+    } catch (e) {
+      error = e.message;
+    }
+    check('Cannot take another arbiter\'s dispute', error === 'Dispute is assigned to another arbiter', error);
+
+    await Dispute.deleteMany({ dealId: deal._id });
+    await Arbiter.deleteMany({});
+  }
+
+  // ============================================
+  section('Dispute evidence timeline');
+  // ============================================
+
+  {
+    const { deal } = await harness.createFundedDeal({
+      creatorRole: 'buyer',
+      amount: 110,
+      description: 'evidence'
+    });
+
+    const dispute = await disputeService.openDispute(deal.dealId, BUYER_ID, 'Seller never delivered the item', []);
+    check('Respondent gets a reply window', dispute.respondentId === SELLER_ID && dispute.responseDueAt > new Date());
+
+    let error = null;
+    try {
+      await disputeService.addEvidence(deal.dealId, SELLER_ID, { type: 'tx_hash', txHash: 'not-a-hash' });
+    } catch (e) {
+      error = e.message;
+    }
+    check('Malformed tx hash rejected', error === 'Invalid transaction hash', error);
+
+    const { isFirstResponse } = await disputeService.addEvidence(deal.dealId, SELLER_ID, {
+      type: 'delivery_proof',
+      text: 'Tracking number attached',
+      media: ['https://example.com/tracking.jpg']
+    });
+    await disputeService.addEvidence(deal.dealId, BUYER_ID, { type: 'tx_hash', txHash: 'a'.repeat(64) });
+    check('Respondent reply recorded', isFirstResponse);
+
+    const updated = await Dispute.findById(dispute._id);
+    const types = disputeService.getTimeline(updated, deal).map(entry => `${entry.role}:${entry.type}`);
+    check('Timeline in order', types.join(',') === 'buyer:claim,seller:delivery_proof,buyer:tx_hash', types.join(', '));
+
+    error = null;
+    try {
+      await disputeService.resolveByDefault(deal.dealId, 0);
+    } catch (e) {
+      error = e.message;
+    }
+    check('No default decision after a reply', error === 'Respondent has replied', error);
+
+    await Dispute.updateOne({ _id: dispute._id }, { $set: { respondedAt: null, responseDueAt: new Date(Date.now() - 60000) } });
+    check('Silent respondent detected', (await Dispute.findById(dispute._id)).isRespondentSilent());
+
+    await Dispute.deleteMany({ dealId: deal._id });
+  }
+
+  // ============================================
+  section('Dispute appeal');
+  // ============================================
+
+  {
+    const { deal } = await harness.createFundedDeal({
+      creatorRole: 'buyer',
+      amount: 130,
+      description: 'appeal'
+    });
+
+    const decider = await Arbiter.create({ username: 'decider', passwordHash: 'password123', name: 'Decider', telegramId: 2003 });
+    await Arbiter.create({ username: 'reviewer', passwordHash: 'password123', name: 'Reviewer', telegramId: 2004 });
+
+    const opened = await disputeService.openDispute(deal.dealId, BUYER_ID, 'Item does not match the description', []);
+    check('Dispute assigned to the first arbiter', opened.assignedTo?.equals(decider._id));
+
+    await disputeService.resolveDispute(deal.dealId, 'release_seller', decider.telegramId);
+    const decided = await Deal.findById(deal._id);
+    check('Winner key waits for the appeal window',
+      !decided.pendingKeyValidation && !(await Session.getSession(SELLER_ID, 'key_validation')));
+    check('Nothing released while the window is open', await disputeService.releaseClosedAppealWindows() === 0);
+
+    let error = null;
+    try {
+      await disputeService.fileAppeal(deal.dealId, SELLER_ID, 'The winner should not be able to appeal');
+    } catch (e) {
+      error = e.message;
+    }
+    check('Only the loser may appeal', error === 'Only the losing party can appeal', error);
+
+    const { reviewer } = await disputeService.fileAppeal(deal.dealId, BUYER_ID, 'The arbiter ignored my photos of the item');
+    check('Appeal goes to another arbiter', reviewer?.username === 'reviewer', `Reviewer: ${reviewer?.username}`);
+
+    const appealed = await Dispute.findOne({ dealId: deal._id });
+    await Dispute.updateOne({ _id: appealed._id }, { $set: { appealDueAt: new Date(Date.now() - 60000) } });
+    check('Pending appeal holds the payout', await disputeService.releaseClosedAppealWindows() === 0);
+
+    error = null;
+    try {
+      await disputeService.reviewAppeal(appealed._id, 'reverse', decider);
+    } catch (e) {
+      error = e.message;
+    }
+    check('Deciding arbiter cannot review the appeal', error === 'Appeal is assigned to another arbiter', error);
+
+    const { dispute: reversed } = await disputeService.reviewAppeal(appealed._id, 'reverse', reviewer, 'Photos prove the mismatch');
+    check('Decision reversed', reversed.decision === 'refund_buyer' && reversed.appeal.originalDecision === 'release_seller');
+
+    const buyer = await User.findOne({ telegramId: BUYER_ID });
+    const seller = await User.findOne({ telegramId: SELLER_ID });
+    check('Loss moved from buyer to seller',
+      buyer.disputeStats.totalLost === 0 && buyer.disputeStats.totalWon === 1 && buyer.disputeStats.lossStreak === 0 &&
+      seller.disputeStats.totalWon === 0 && seller.disputeStats.totalLost === 1 && seller.disputeStats.lossStreak === 1);
+
+    const payout = await Deal.findById(deal._id);
+    check('New winner key requested',
+      payout.pendingKeyValidation === 'dispute_buyer' && !!(await Session.getSession(BUYER_ID, 'key_validation')));
+
+    await Session.deleteSession(BUYER_ID, 'key_validation');
+    await Deal.updateOne({ _id: deal._id }, { $set: { pendingKeyValidation: null } });
+    await User.updateMany(
+      { telegramId: { $in: [BUYER_ID, SELLER_ID] } },
+      { $set: { 'disputeStats.totalWon': 0, 'disputeStats.totalLost': 0, 'disputeStats.lossStreak': 0 } }
+    );
+    await Dispute.deleteMany({ dealId: deal._id });
+    await Arbiter.deleteMany({});
+  }
+
+  // ============================================
+  section('Loss streak restriction');
+  // ============================================
+
+  {
+    const { deal } = await harness.createFundedDeal({
+      creatorRole: 'buyer',
+      amount: 140,
+      description: 'loss streak'
+    });
+
+    await User.updateOne({ telegramId: SELLER_ID }, { $set: { 'disputeStats.lossStreak': 2 } });
+    await disputeService.openDispute(deal.dealId, BUYER_ID, 'Seller never delivered the item', []);
+    const { autobanTriggered } = await disputeService.resolveDispute(deal.dealId, 'refund_buyer', 0);
+
+    const restriction = await UserRestriction.findOne({ telegramId: SELLER_ID, status: 'active' });
+    const days = restriction ? (restriction.expiresAt - restriction.createdAt) / (24 * 60 * 60 * 1000) : 0;
+    check('Third loss in a row restricts deal creation', autobanTriggered &&
+      restriction?.type === 'deal_creation' && restriction.reasonCode === 'dispute_loss_streak' &&
+      Math.round(days) === constants.AUTO_BAN_RESTRICTION_DAYS, `Days: ${days}`);
+
+    let seller = await User.findOne({ telegramId: SELLER_ID });
+    check('Restriction is not a full ban', !seller.blacklisted && !seller.canCreateDeal());
+
+    const validation = await dealService.validateDealCreation(BUYER_ID, SELLER_ID, 'Restricted seller deal description', 100);
+    check('Restricted seller cannot join deals', !validation.valid && /Seller/.test(validation.error || ''), validation.error);
+
+    await UserRestriction.updateOne({ _id: restriction._id }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+    check('Expired restriction released', await banService.expireRestrictions() === 1);
+
+    seller = await User.findOne({ telegramId: SELLER_ID });
+    const expired = await UserRestriction.findById(restriction._id);
+    check('Seller can create deals again', seller.canCreateDeal() && seller.restrictions.length === 0 && expired.status === 'expired');
+
+    await User.updateMany(
+      { telegramId: { $in: [BUYER_ID, SELLER_ID] } },
+      { $set: { 'disputeStats.totalWon': 0, 'disputeStats.totalLost': 0, 'disputeStats.lossStreak': 0, restrictions: [] } }
+    );
+    await Dispute.deleteMany({ dealId: deal._id });
+    await UserRestriction.deleteMany({});
+  }
+
+  // ============================================
+  section('Admin restrictions');
+  // ============================================
+
+  {
+    const restriction = await banService.issueRestriction(BUYER_ID, {
+      type: 'deal_creation',
+      reasonCode: 'other',
+      reason: 'Chargeback investigation',
+      durationHours: 24,
+      issuedBy: 'admin_test'
+    });
+
+    let buyer = await User.findOne({ telegramId: BUYER_ID });
+    check('Admin restriction mirrored to the user', restriction.issuedBy === 'admin_test' &&
+      buyer.restrictions.length === 1 && buyer.restrictions[0].type === 'deal_creation' && !buyer.canCreateDeal());
+    check('Restriction lapses at its expiry',
+      !User.isRestricted(buyer, 'deal_creation', new Date(Date.now() + 25 * 60 * 60 * 1000)));
+
+    const validation = await dealService.validateDealCreation(BUYER_ID, SELLER_ID, 'Restricted buyer deal description', 100);
+    check('Restricted buyer cannot create deals', !validation.valid && /Buyer/.test(validation.error || ''), validation.error);
+
+    const lifted = await banService.liftRestriction(restriction._id, 'admin_test', 'Investigation closed');
+    buyer = await User.findOne({ telegramId: BUYER_ID });
+    check('Admin lifts the restriction', lifted.status === 'lifted' && lifted.liftedBy === 'admin_test' &&
+      buyer.restrictions.length === 0 && buyer.canCreateDeal());
+
+    let error = null;
+    try {
+      await banService.liftRestriction(restriction._id, 'admin_test');
+    } catch (e) {
+      error = e.message;
+    }
+    check('Lifted restriction cannot be lifted again', error === 'Restriction not found or not active', error);
+
+    await UserRestriction.updateOne({ _id: restriction._id }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+    check('Lifted restriction not expired again', await banService.expireRestrictions() === 0 &&
+      (await UserRestriction.findById(restriction._id)).status === 'lifted');
+
+    const { restriction: ban } = await banService.banUser(BUYER_ID, 'admin_test', 'Fraud');
+    buyer = await User.findOne({ telegramId: BUYER_ID });
+    check('Permanent ban blocks the user', !ban.expiresAt && buyer.blacklisted && !buyer.canCreateDeal());
+    check('Repeated permanent ban skipped', (await banService.banUser(BUYER_ID, 'admin_test')).alreadyBanned);
+
+    await banService.unbanUser(BUYER_ID, 'admin_test', 'Appeal accepted');
+    buyer = await User.findOne({ telegramId: BUYER_ID });
+    check('Unban lifts the ban', !buyer.blacklisted && buyer.restrictions.length === 0 &&
+      (await UserRestriction.findById(ban._id)).status === 'lifted');
+
+    const { restriction: temporary } = await banService.banUser(BUYER_ID, 'admin_test', 'Spam', { durationHours: 1 });
+    await UserRestriction.updateOne({ _id: temporary._id }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+    check('Temporary ban expires', await banService.expireRestrictions() === 1 &&
+      !(await User.findOne({ telegramId: BUYER_ID })).blacklisted &&
+      (await UserRestriction.findById(temporary._id)).status === 'expired');
+
+    await UserRestriction.deleteMany({});
+  }
+
+  // ============================================
+  section('Dispute split');
+  // ============================================
+
+  {
+    const { deal, creatorPrivateKey, buyerWallet } = await harness.createFundedDeal({
+      creatorRole: 'buyer',
+      amount: 100,
+      description: 'split'
+    });
+
+    await disputeService.openDispute(deal.dealId, BUYER_ID, 'Half of the items are missing', []);
+    await disputeService.resolveDispute(deal.dealId, 'split', 0, { buyerPercent: 50 });
+
+    // Commission only on the released half, the refunded half comes back whole
+    const split = (await Deal.findById(deal._id)).splitPayout;
+    check('Seller share charged half the commission', split.sellerAmount === 50 && split.sellerCommission === deal.commission / 2,
+      `Seller: ${split.sellerAmount} + ${split.sellerCommission}`);
+    check('Buyer share refunded without commission', split.buyerAmount === 50 + deal.commission / 2 && split.buyerCommission === 0,
+      `Buyer: ${split.buyerAmount} + ${split.buyerCommission}`);
+
+    const buyerBefore = node.getUsdtBalance(buyerWallet.address);
+    await handleKeyValidationInput(harness.messageCtx(BUYER_ID, creatorPrivateKey));
+    const paid = await Deal.findById(deal._id);
+    check('Buyer received the full share', paid.splitPayout.buyerPaidAt &&
+      node.getUsdtBalance(buyerWallet.address) - buyerBefore === split.buyerAmount,
+      `Buyer got ${node.getUsdtBalance(buyerWallet.address) - buyerBefore}`);
+    check('Seller share and its commission stay in escrow',
+      node.getUsdtBalance(deal.multisigAddress) === split.sellerAmount + split.sellerCommission,
+      `Escrow: ${node.getUsdtBalance(deal.multisigAddress)}`);
+  }
+});
@@ -0,0 +1,92 @@
+/**
+ * Energy Strategy Tests
+ * Choice between staked energy, FeeSaver rental and TRX burn for payouts,
+ * against the mock TRON node and a test MongoDB (see tests/harness.js)
+ *
+ * Run: node tests/energyStrategy.test.js
+ */
+
+const { runSuite, BUYER_ID, SELLER_ID } = require('./harness');
+
+runSuite('Energy Strategy Tests', async ({ harness, check, section }) => {
+  const { node } = harness;
+
+  // Services read env at require time - load after the harness is up
+  const dealService = require('../src/services/dealService');
+  const feesaverService = require('../src/services/feesaver');
+  const { acceptWork } = require('../src/bot/handlers/myDeals');
+  const { handleKeyValidationInput } = require('../src/bot/handlers/keyValidation');
+  const Deal = require('../src/models/Deal');
+  const Transaction = require('../src/models/Transaction');
+  const constants = require('../src/config/constants');
+
+  await harness.createParties();
+
+  // ============================================
+  section('Energy strategy');
+  // ============================================
+
+  {
+    const energyStrategyService = require('../src/services/energy');
+    const StakingProvider = require('../src/services/energy/StakingProvider');
+    const EnergyDecision = require('../src/models/EnergyDecision');
+
+    feesaverService.enabled = true;
+    const stakingWallet = harness.createWallet();
+    node.setTrxBalance(stakingWallet.address, 10);
+    node.setEnergyStake(stakingWallet.address, 20000);
+    const staking = new StakingProvider();
+    staking.privateKey = stakingWallet.privateKey;
+    energyStrategyService.registerProvider(staking);
+
+    const payout = async (description) => {
+      const { deal, creatorPrivateKey, sellerWallet } = await harness.createFundedDeal({ creatorRole: 'seller', amount: 100, description });
+      await dealService.submitWork(deal.dealId, SELLER_ID);
+      await acceptWork(harness.callbackCtx(BUYER_ID, `accept_work:${deal.dealId}`));
+      await handleKeyValidationInput(harness.messageCtx(SELLER_ID, creatorPrivateKey));
+      return {
+        deal: await Deal.findById(deal._id),
+        decision: await EnergyDecision.findOne({ dealId: deal._id }),
+        sellerWallet
+      };
+    };
+
+    const staked = await payout('staked energy');
+    check('Staked energy picked as the cheapest', staked.decision?.strategy === 'staking' &&
+      staked.decision.quotes.map(q => q.strategy).join(',') === 'staking,feesaver,trx',
+      staked.decision?.quotes.map(q => `${q.strategy} ${q.costTrx}`).join(', '));
+    check('Payout done with delegated energy', staked.deal.status === 'completed' &&
+      node.getUsdtBalance(staked.sellerWallet.address) === 100 &&
+      staked.deal.operationalCosts.energyMethod === 'staking');
+    check('Delegation taken back after the payout', node.getDelegatedStake(stakingWallet.address) === 0 &&
+      !!staked.decision.completedAt && node.getAccount(staked.deal.multisigAddress).energyLimit === 0,
+      `Delegated: ${node.getDelegatedStake(stakingWallet.address) / 1e6} TRX`);
+
+    // Stake used up elsewhere - next cheapest strategy
+    node.setEnergyStake(stakingWallet.address, 100);
+    const rented = await payout('stake exhausted');
+    const stakingQuote = rented.decision?.quotes.find(q => q.strategy === 'staking');
+    check('Falls back to FeeSaver without enough stake', rented.decision?.strategy === 'feesaver' &&
+      stakingQuote && !stakingQuote.available && rented.deal.status === 'completed',
+      `Strategy: ${rented.decision?.strategy}, staking: ${stakingQuote?.reason}`);
+
+    // Stake is taken back only once the transfers that use it are in a block
+    node.setEnergyStake(stakingWallet.address, 20000);
+    const escrowAddress = harness.createWallet().address;
+    const { delegatedSun } = await staking.provide(escrowAddress, 30000, await staking.quote(escrowAddress, 30000));
+    const releaseWait = constants.STAKING_RELEASE_WAIT_SECONDS;
+    constants.STAKING_RELEASE_WAIT_SECONDS = 0;
+
+    const pendingRelease = await staking.release(escrowAddress, { delegatedSun }, ['ab'.repeat(32)]);
+    check('Stake stays delegated while the payout is not in a block', !pendingRelease &&
+      node.getDelegatedStake(stakingWallet.address, escrowAddress) === delegatedSun);
+
+    const payoutTx = await Transaction.findOne({ dealId: staked.deal._id, type: 'release' });
+    const minedRelease = await staking.release(escrowAddress, { delegatedSun }, [payoutTx.txHash]);
+    check('Stake taken back once the payout is in a block', minedRelease &&
+      node.getDelegatedStake(stakingWallet.address, escrowAddress) === 0);
+
+    constants.STAKING_RELEASE_WAIT_SECONDS = releaseWait;
+    energyStrategyService.registerProvider(new StakingProvider());
+  }
+});
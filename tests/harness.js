@@ -0,0 +1,328 @@
+/**
+ * Deal lifecycle test harness
+ *
+ * Runs the real services against in-process fakes:
+ * - MockTronNode (TronGrid + FeeSaver API) - blockchain.js and feesaver.js are pointed at it
+ * - MongoDB from mongodb-memory-server (or MONGODB_TEST_URI if set). It downloads
+ *   mongod on first use; MONGOMS_SYSTEM_BINARY points it to a local binary instead.
+ *   Without either the suite is skipped (runSuite); on CI (CI env set) a skip
+ *   fails the run - the scenarios must not silently stop running there
+ * - Fake Telegram API that records every message
+ *
+ * Env is set before any src module is loaded: config/tron.js creates TronWeb
+ * at require time and feesaver.js reads its settings in the constructor.
+ * So require services only after createHarness() resolves.
+ *
+ * Sleeps in src/ (settle waits, FeeSaver delegation, rate limits) are skipped,
+ * timers of libraries (MongoDB driver etc.) keep their real delays.
+ *
+ * Each tests/*.test.js file that needs the harness runs its sections through
+ * runSuite() - one process, one database per file.
+ */
+
+const path = require('path');
+const TronWeb = require('tronweb');
+const mongoose = require('mongoose');
+const MockTronNode = require('./mocks/tronNode');
+const { createFakeTelegram } = require('./mocks/telegram');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+
+// Deal parties created by createParties()
+const BUYER_ID = 1001;
+const SELLER_ID = 1002;
+
+/**
+ * Make setTimeout calls from src/ fire immediately
+ */
+function skipAppSleeps() {
+  const originalSetTimeout = global.setTimeout;
+
+  global.setTimeout = function (callback, delay, ...args) {
+    // [0] Error, [1] this wrapper, [2] caller
+    const caller = new Error().stack.split('\n')[2] || '';
+    const fromApp = caller.includes(SRC_DIR) && !caller.includes('node_modules');
+    return originalSetTimeout(callback, fromApp ? 0 : delay, ...args);
+  };
+
+  return () => {
+    global.setTimeout = originalSetTimeout;
+  };
+}
+
+function createWallet() {
+  const account = TronWeb.utils.accounts.generateAccount();
+  return { address: account.address.base58, privateKey: account.privateKey };
+}
+
+/**
+ * MongoDB of the suite: MONGODB_TEST_URI or mongodb-memory-server
+ * @returns {Promise<Object>} - { uri, server }; throws with code MONGODB_UNAVAILABLE
+ */
+async function startMongo() {
+  if (process.env.MONGODB_TEST_URI) {
+    return { uri: process.env.MONGODB_TEST_URI, server: null };
+  }
+
+  try {
+    const { MongoMemoryServer } = require('mongodb-memory-server');
+    const server = await MongoMemoryServer.create();
+    return { uri: server.getUri('keyshield-test'), server };
+  } catch (error) {
+    // A configured local binary that does not start is an error, not a skip
+    if (process.env.MONGOMS_SYSTEM_BINARY) {
+      throw error;
+    }
+    const unavailable = new Error(`MongoDB not available (${error.message})`);
+    unavailable.code = 'MONGODB_UNAVAILABLE';
+    throw unavailable;
+  }
+}
+
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.feesaver=true] - Enable FeeSaver (can be toggled later via feesaverService.enabled)
+ * @param {Object} [options.node] - MockTronNode options
+ * @returns {Promise<Object>} - Harness
+ */
+async function createHarness(options = {}) {
+  // First - nothing to shut down if there is no MongoDB
+  const mongo = await startMongo();
+
+  const node = new MockTronNode(options.node);
+  await node.start();
+
+  const arbiter = createWallet();
+  const serviceWallet = createWallet();
+
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    TRON_FULL_NODE: node.url,
+    TRON_SOLIDITY_NODE: node.url,
+    TRON_EVENT_SERVER: node.url,
+    TRONGRID_API_KEY: '',
+    ARBITER_PRIVATE_KEY: arbiter.privateKey,
+    ARBITER_ADDRESS: arbiter.address,
+    SERVICE_WALLET_ADDRESS: serviceWallet.address,
+    FEESAVER_API_URL: `${node.url}/feesaver`,
+    FEESAVER_API_KEY: node.feesaver.token,
+    FEESAVER_ENABLED: options.feesaver === false ? 'false' : 'true',
+    MULTISIG_ACTIVATION_TRX: '15',
+    FALLBACK_TRX_AMOUNT: '30',
+    // Lock on the first check; tests that need confirmations set constants.DEPOSIT_CONFIRMATIONS
+    DEPOSIT_CONFIRMATIONS: '*:0',
+    ENCRYPTION_KEY: process.env.ENCRYPTION_KEY || 'a'.repeat(64)
+  });
+  delete process.env.TEST_DEADLINE_MINUTES;
+  delete process.env.TEST_GRACE_MINUTES;
+
+  // Arbiter pays activation and fallback TRX
+  node.setTrxBalance(arbiter.address, 10000);
+
+  await mongoose.connect(mongo.uri);
+
+  require('../src/utils/encryption').init();
+
+  const restoreTimers = skipAppSleeps();
+
+  const telegram = createFakeTelegram();
+  const bot = { telegram };
+
+  require('../src/services/depositMonitor').setBotInstance(bot);
+  require('../src/services/deadlineMonitor').setBotInstance(bot);
+  require('../src/services/adminAlertService').setBotInstance(bot);
+
+  const User = require('../src/models/User');
+
+  return {
+    node,
+    telegram,
+    bot,
+    arbiter,
+    serviceWallet,
+    createWallet,
+
+    /**
+     * Create a user who has started the bot
+     */
+    async createUser(telegramId, username = `user${telegramId}`) {
+      return User.create({ telegramId, username, firstName: username, languageCode: 'en' });
+    },
+
+    /**
+     * Create the buyer (BUYER_ID) and the seller (SELLER_ID) of the deals
+     */
+    async createParties() {
+      await this.createUser(BUYER_ID, 'buyer');
+      await this.createUser(SELLER_ID, 'seller');
+    },
+
+    /**
+     * Create funded deal: createDeal + buyer transfer + depositMonitor pass
+     * @param {Array<Object>} [milestones] - [{ title, amount, deadlineHours }], amount is their sum
+     */
+    async createFundedDeal({ creatorRole, amount, description, milestones }) {
+      const dealService = require('../src/services/dealService');
+      const depositMonitor = require('../src/services/depositMonitor');
+      const Deal = require('../src/models/Deal');
+
+      const buyerWallet = createWallet();
+      const sellerWallet = createWallet();
+
+      const result = await dealService.createDeal({
+        creatorRole,
+        buyerId: BUYER_ID,
+        sellerId: SELLER_ID,
+        productName: `Test ${description}`,
+        description: `Lifecycle test deal: ${description}`,
+        asset: 'USDT',
+        amount,
+        commissionType: 'buyer',
+        deadlineHours: 48,
+        milestones,
+        buyerAddress: buyerWallet.address,
+        sellerAddress: sellerWallet.address
+      });
+
+      const deal = result.deal;
+      const depositAmount = deal.amount + deal.commission;
+      node.sendUsdt(buyerWallet.address, deal.multisigAddress, depositAmount);
+
+      await depositMonitor.checkDealDeposit(await Deal.findById(deal._id));
+
+      return {
+        deal: await Deal.findById(deal._id),
+        creatorPrivateKey: result.creatorPrivateKey,
+        buyerWallet,
+        sellerWallet,
+        depositAmount
+      };
+    },
+
+    /**
+     * Move deadline so that the grace period is over
+     */
+    async expireDeadline(deal, status) {
+      const deadlineMonitor = require('../src/services/deadlineMonitor');
+      const Deal = require('../src/models/Deal');
+
+      const update = { deadline: new Date(Date.now() - deadlineMonitor.GRACE_PERIOD_MS - 60000) };
+      if (status) {
+        update.status = status;
+      }
+      // Raw update: work_submitted is not part of the schema enum
+      await Deal.collection.updateOne({ _id: deal._id }, { $set: update });
+    },
+
+    /**
+     * Context of an inline button press
+     */
+    callbackCtx(telegramId, data) {
+      return {
+        from: { id: telegramId },
+        chat: { id: telegramId },
+        callbackQuery: { data },
+        state: { lang: 'en' },
+        telegram,
+        answerCbQuery: async () => true
+      };
+    },
+
+    /**
+     * Context of a text message
+     */
+    messageCtx(telegramId, text) {
+      return {
+        from: { id: telegramId },
+        chat: { id: telegramId },
+        message: { message_id: Date.now(), text },
+        state: { lang: 'en' },
+        telegram
+      };
+    },
+
+    async clearDatabase() {
+      const collections = await mongoose.connection.db.collections();
+      await Promise.all(collections.map(collection => collection.deleteMany({})));
+      telegram.clear();
+    },
+
+    async close() {
+      restoreTimers();
+      await mongoose.disconnect();
+      if (mongo.server) {
+        await mongo.server.stop();
+      }
+      await node.stop();
+    }
+  };
+}
+
+/**
+ * Run one test file: harness up, sections, summary, exit code.
+ * Skipped (exit 0) when no MongoDB is available
+ * @param {string} title - e.g. 'Deal Lifecycle Tests'
+ * @param {Function} body - async ({ harness, check, section }) => {}
+ */
+function runSuite(title, body) {
+  let passed = 0;
+  let failed = 0;
+
+  function check(description, condition, details) {
+    if (condition) {
+      passed++;
+      console.log(`✅ ${description}: PASS`);
+    } else {
+      failed++;
+      console.log(`❌ ${description}: FAIL`);
+    }
+    if (details) {
+      console.log(`   ${details}`);
+    }
+  }
+
+  function section(sectionTitle) {
+    console.log(`\n━━━ ${sectionTitle} ━━━`);
+  }
+
+  async function run() {
+    console.log(`🧪 ${title}\n`);
+
+    let harness;
+    try {
+      harness = await createHarness();
+    } catch (error) {
+      if (error.code !== 'MONGODB_UNAVAILABLE') {
+        throw error;
+      }
+      const onCi = !!process.env.CI && !['0', 'false'].includes(process.env.CI.toLowerCase());
+      console.log(`⏭️  ${title} skipped: ${error.message}`);
+      console.log('   Set MONGODB_TEST_URI to a test database, or MONGOMS_SYSTEM_BINARY to a local mongod binary');
+      if (onCi) {
+        console.log('\n' + '!'.repeat(60));
+        console.log(`❌ ${title} NOT RUN on CI: MongoDB is unavailable`);
+        console.log('!'.repeat(60));
+      }
+      process.exit(onCi ? 1 : 0);
+    }
+
+    try {
+      await body({ harness, check, section });
+    } finally {
+      await harness.close();
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`${title} Complete: ${passed} passed, ${failed} failed`);
+    console.log('='.repeat(60));
+
+    process.exit(failed > 0 ? 1 : 0);
+  }
+
+  run().catch(error => {
+    console.error(`❌ Error in test: ${error.stack || error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { createHarness, createWallet, runSuite, BUYER_ID, SELLER_ID };
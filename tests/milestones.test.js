@@ -0,0 +1,229 @@
+/**
+ * Milestone Deal Tests
+ * Milestone plan, staged release, per-milestone disputes and the final payout,
+ * against the mock TRON node and a test MongoDB (see tests/harness.js)
+ *
+ * Run: node tests/milestones.test.js
+ */
+
+const { runSuite, BUYER_ID, SELLER_ID } = require('./harness');
+
+runSuite('Milestone Deal Tests', async ({ harness, check, section }) => {
+  const { node } = harness;
+
+  // Services read env at require time - load after the harness is up
+  const dealService = require('../src/services/dealService');
+  const disputeService = require('../src/services/disputeService');
+  const { acceptWork } = require('../src/bot/handlers/myDeals');
+  const { handleKeyValidationInput } = require('../src/bot/handlers/keyValidation');
+  const Deal = require('../src/models/Deal');
+  const Dispute = require('../src/models/Dispute');
+  const Session = require('../src/models/Session');
+
+  const near = (a, b) => Math.abs(a - b) < 1e-6;
+
+  await harness.createParties();
+
+  // ============================================
+  section('Milestone plan');
+  // ============================================
+
+  {
+    const errorOf = (milestones) => {
+      try {
+        dealService.buildMilestones(milestones);
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    };
+
+    let error = errorOf([{ title: 'Everything', amount: 100, deadlineHours: 24 }]);
+    check('Single milestone rejected', error === 'A milestone deal needs at least 2 milestones', error);
+
+    error = errorOf([
+      { title: 'Design', amount: 50, deadlineHours: 48 },
+      { title: 'Build', amount: 50, deadlineHours: 24 }
+    ]);
+    check('Deadlines must increase', error === 'Milestone 2: deadline must be later than the previous milestone', error);
+
+    error = errorOf([
+      { title: 'Design', amount: 5, deadlineHours: 24 },
+      { title: 'Build', amount: 50, deadlineHours: 48 }
+    ]);
+    check('Milestone below the minimum rejected', /^Milestone 1: minimum amount/.test(error || ''), error);
+
+    const { milestones, amount } = dealService.buildMilestones([
+      { title: ' Design ', amount: 40, deadlineHours: 24 },
+      { title: 'Build', amount: 60.5, deadlineHours: 48 }
+    ]);
+    check('Deal amount is the sum of milestones', amount === 100.5, `Amount: ${amount}`);
+    check('Milestones start pending with increasing deadlines',
+      milestones.every(milestone => milestone.status === 'pending') &&
+      milestones[0].title === 'Design' && milestones[1].deadline > milestones[0].deadline);
+
+    error = null;
+    try {
+      await dealService.createDeal({
+        creatorRole: 'buyer',
+        buyerId: BUYER_ID,
+        sellerId: SELLER_ID,
+        productName: 'Mismatched milestones',
+        description: 'Milestone test deal: mismatched amount',
+        asset: 'USDT',
+        amount: 150,
+        commissionType: 'buyer',
+        milestones: [
+          { title: 'Design', amount: 40, deadlineHours: 24 },
+          { title: 'Build', amount: 60, deadlineHours: 48 }
+        ],
+        buyerAddress: harness.createWallet().address
+      });
+    } catch (e) {
+      error = e.message;
+    }
+    check('Deal amount must match the milestones', /sum of milestone amounts/.test(error || ''), error);
+  }
+
+  // ============================================
+  section('Staged release');
+  // ============================================
+
+  // One deal through all milestones: release, buyer dispute win, split, final payout
+  const { deal, creatorPrivateKey, buyerWallet, sellerWallet, depositAmount } = await harness.createFundedDeal({
+    creatorRole: 'buyer',
+    description: 'milestones',
+    milestones: [
+      { title: 'Design', amount: 40, deadlineHours: 24 },
+      { title: 'Build', amount: 60, deadlineHours: 48 },
+      { title: 'Testing', amount: 50, deadlineHours: 72 },
+      { title: 'Launch', amount: 50, deadlineHours: 96 }
+    ]
+  });
+
+  // Seller receives a key when providing the wallet in the bot
+  const sellerKey = harness.createWallet();
+  await Deal.updateOne({ _id: deal._id }, { $set: { sellerKeyAddress: sellerKey.address } });
+
+  const service = harness.serviceWallet.address;
+  let escrowBalance = depositAmount;
+
+  {
+    check('Milestone deal funded', deal.status === 'locked' && deal.amount === 200 && deal.currentMilestone === 0,
+      `Amount: ${deal.amount}, deposit: ${depositAmount}`);
+    check('Deal deadline is the first milestone deadline', deal.deadline.getTime() === deal.milestones[0].deadline.getTime());
+
+    await dealService.submitWork(deal.dealId, SELLER_ID);
+    check('Work submitted for the current milestone',
+      (await Deal.findById(deal._id)).milestones[0].status === 'submitted');
+
+    await acceptWork(harness.callbackCtx(BUYER_ID, `accept_work:${deal.dealId}`));
+    check('Seller key requested for the milestone', (await Deal.findById(deal._id)).pendingKeyValidation === 'milestone_release');
+
+    const { payoutAmount, commission } = Deal.getMilestonePayout(deal, 0);
+    await handleKeyValidationInput(harness.messageCtx(SELLER_ID, sellerKey.privateKey));
+
+    const released = await Deal.findById(deal._id);
+    escrowBalance -= payoutAmount + commission;
+    check('Milestone released', released.milestones[0].status === 'released' && !!released.milestones[0].paidAt &&
+      released.milestones[0].commission === commission);
+    check('Deal moved to the next milestone', released.currentMilestone === 1 && released.status === 'locked' &&
+      !released.pendingKeyValidation && released.deadline.getTime() === released.milestones[1].deadline.getTime());
+    check('Seller received the milestone payout', near(node.getUsdtBalance(sellerWallet.address), payoutAmount),
+      `Seller: ${node.getUsdtBalance(sellerWallet.address)}`);
+    check('Service received the milestone commission', near(node.getUsdtBalance(service), commission),
+      `Service: ${node.getUsdtBalance(service)}`);
+    check('Later milestones stay in escrow', near(node.getUsdtBalance(deal.multisigAddress), escrowBalance),
+      `Escrow: ${node.getUsdtBalance(deal.multisigAddress)}`);
+
+    let error = null;
+    try {
+      await Deal.completeMilestone(deal, 0, 'released', { payoutAmount, commission });
+    } catch (e) {
+      error = e.message;
+    }
+    check('Milestone cannot be completed twice',
+      !error && (await Deal.findById(deal._id)).currentMilestone === 1, error);
+  }
+
+  // ============================================
+  section('Milestone dispute');
+  // ============================================
+
+  {
+    const opened = await disputeService.openDispute(deal.dealId, BUYER_ID, 'The build does not start', []);
+    check('Dispute scoped to the current milestone', opened.milestoneIndex === 1);
+
+    await disputeService.resolveDispute(deal.dealId, 'refund_buyer', 0);
+    await Dispute.updateOne({ _id: opened._id }, { $set: { appealDueAt: new Date(Date.now() - 60000) } });
+    await disputeService.releaseClosedAppealWindows();
+    check('Buyer key requested for the milestone', (await Deal.findById(deal._id)).pendingKeyValidation === 'dispute_buyer');
+
+    const current = await Deal.findById(deal._id);
+    const { payoutAmount, commission } = Deal.getMilestonePayout(current, 1);
+    const buyerBefore = node.getUsdtBalance(buyerWallet.address);
+    await handleKeyValidationInput(harness.messageCtx(BUYER_ID, creatorPrivateKey));
+
+    const refunded = await Deal.findById(deal._id);
+    escrowBalance -= payoutAmount + commission;
+    check('Milestone refunded, deal goes on', refunded.milestones[1].status === 'refunded' &&
+      refunded.currentMilestone === 2 && refunded.status === 'locked');
+    check('Buyer received only the disputed milestone',
+      near(node.getUsdtBalance(buyerWallet.address) - buyerBefore, payoutAmount) &&
+      near(node.getUsdtBalance(deal.multisigAddress), escrowBalance),
+      `Buyer got ${node.getUsdtBalance(buyerWallet.address) - buyerBefore}, escrow: ${node.getUsdtBalance(deal.multisigAddress)}`);
+  }
+
+  // ============================================
+  section('Milestone split → final payout');
+  // ============================================
+
+  {
+    await disputeService.openDispute(deal.dealId, BUYER_ID, 'Half of the tests are missing', []);
+    await disputeService.resolveDispute(deal.dealId, 'split', 0, { buyerPercent: 50 });
+
+    const current = await Deal.findById(deal._id);
+    const split = current.splitPayout;
+    const { commission } = Deal.getMilestonePayout(current, 2);
+    check('Split shares only the disputed milestone', near(split.sellerAmount, 25) && near(split.buyerAmount, 25 + commission / 2),
+      `Seller: ${split.sellerAmount}, buyer: ${split.buyerAmount}`);
+
+    const serviceBefore = node.getUsdtBalance(service);
+    await handleKeyValidationInput(harness.messageCtx(BUYER_ID, creatorPrivateKey));
+    check('Milestone waits for the second share', (await Deal.findById(deal._id)).currentMilestone === 2);
+    await handleKeyValidationInput(harness.messageCtx(SELLER_ID, sellerKey.privateKey));
+
+    const settled = await Deal.findById(deal._id);
+    escrowBalance -= split.buyerAmount + split.sellerAmount + split.sellerCommission;
+    check('Split milestone settled', settled.milestones[2].status === 'split' && settled.currentMilestone === 3 &&
+      settled.status === 'locked' && !settled.pendingKeyValidation);
+    check('Service took commission of the seller share only',
+      near(node.getUsdtBalance(service) - serviceBefore, split.sellerCommission) &&
+      near(settled.milestones[2].commission, split.sellerCommission) &&
+      near(settled.milestones[2].refundedCommission, commission - split.sellerCommission),
+      `Service got ${node.getUsdtBalance(service) - serviceBefore}`);
+    check('Commission refunded to the buyer is no longer held',
+      near(Deal.getRemainingCommission(settled), Deal.getMilestonePayout(settled, 3).commission),
+      `Remaining: ${Deal.getRemainingCommission(settled)}`);
+
+    await dealService.submitWork(deal.dealId, SELLER_ID);
+    await acceptWork(harness.callbackCtx(BUYER_ID, `accept_work:${deal.dealId}`));
+    check('Last milestone paid with the final payout', (await Deal.findById(deal._id)).pendingKeyValidation === 'seller_payout');
+
+    const sellerBefore = node.getUsdtBalance(sellerWallet.address);
+    const serviceBeforeFinal = node.getUsdtBalance(service);
+    const { payoutAmount, commission: finalCommission } = Deal.getMilestonePayout(settled, 3);
+    await handleKeyValidationInput(harness.messageCtx(SELLER_ID, sellerKey.privateKey));
+
+    const completed = await Deal.findById(deal._id);
+    check('Deal completed', completed.status === 'completed' && completed.milestones[3].status === 'released');
+    check('Seller received the full last milestone', near(node.getUsdtBalance(sellerWallet.address) - sellerBefore, payoutAmount),
+      `Seller got ${node.getUsdtBalance(sellerWallet.address) - sellerBefore}, expected ${payoutAmount}`);
+    check('Service received the last milestone commission',
+      near(node.getUsdtBalance(service) - serviceBeforeFinal, finalCommission),
+      `Service got ${node.getUsdtBalance(service) - serviceBeforeFinal}, expected ${finalCommission}`);
+    check('Escrow emptied', near(node.getUsdtBalance(deal.multisigAddress), 0) && near(escrowBalance, payoutAmount + finalCommission),
+      `Escrow: ${node.getUsdtBalance(deal.multisigAddress)}`);
+    check('No key request left', !(await Session.getSession(SELLER_ID, 'key_validation')));
+  }
+});
@@ -0,0 +1,257 @@
+/**
+ * Mock EVM JSON-RPC node
+ *
+ * Minimal in-memory BSC node for chain adapter tests: native balances,
+ * one BEP-20 token contract, nonces, Transfer logs and receipts.
+ * Every accepted transaction is mined into its own block immediately,
+ * the 'finalized' block trails the head by finalityLag blocks.
+ */
+
+const http = require('http');
+const { ethers } = require('ethers');
+
+const ERC20_ABI = [
+  'function balanceOf(address owner) view returns (uint256)',
+  'function transfer(address to, uint256 value) returns (bool)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)'
+];
+
+const GAS_PRICE = 3000000000n; // 3 gwei
+const NATIVE_TRANSFER_GAS = 21000n;
+const TOKEN_TRANSFER_GAS = 52000n;
+
+class MockEvmNode {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.chainId]
+   * @param {string} [options.tokenAddress] - Address of the mock USDT contract
+   * @param {number} [options.finalityLag] - Blocks between the head and the finalized block
+   */
+  constructor(options = {}) {
+    this.chainId = options.chainId || 97;
+    this.tokenAddress = ethers.getAddress(options.tokenAddress || '0x337610d27c682E347C9cD60BD4b3b107C9d34dDd');
+    this.token = new ethers.Interface(ERC20_ABI);
+    this.transferTopic = this.token.getEvent('Transfer').topicHash;
+
+    this.blockNumber = 100;
+    this.finalityLag = options.finalityLag ?? 2;
+    this.balances = new Map();
+    this.tokenBalances = new Map();
+    this.nonces = new Map();
+    this.logs = [];
+    this.receipts = new Map();
+    this.calls = [];
+
+    this.server = null;
+    this.url = null;
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this.url;
+  }
+
+  async stop() {
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+
+  // ============ State helpers ============
+
+  key(address) {
+    return address.toLowerCase();
+  }
+
+  setBalance(address, wei) {
+    this.balances.set(this.key(address), BigInt(wei));
+  }
+
+  getBalance(address) {
+    return this.balances.get(this.key(address)) || 0n;
+  }
+
+  setTokenBalance(address, units) {
+    this.tokenBalances.set(this.key(address), BigInt(units));
+  }
+
+  getTokenBalance(address) {
+    return this.tokenBalances.get(this.key(address)) || 0n;
+  }
+
+  // ============ HTTP / JSON-RPC ============
+
+  handle(req, res) {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch (error) {
+        return this.send(res, { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+      }
+
+      const response = Array.isArray(payload)
+        ? payload.map(request => this.dispatch(request))
+        : this.dispatch(payload);
+
+      this.send(res, response);
+    });
+  }
+
+  send(res, response) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(response));
+  }
+
+  dispatch({ id, method, params = [] }) {
+    this.calls.push(method);
+
+    const handler = this.methods[method];
+    if (!handler) {
+      return { jsonrpc: '2.0', id, error: { code: -32601, message: `Method not found: ${method}` } };
+    }
+
+    try {
+      return { jsonrpc: '2.0', id, result: handler.call(this, ...params) };
+    } catch (error) {
+      return { jsonrpc: '2.0', id, error: { code: -32000, message: error.message } };
+    }
+  }
+
+  // ============ Chain logic ============
+
+  applyTransaction(raw) {
+    const tx = ethers.Transaction.from(raw);
+    const from = tx.from;
+    const nonce = this.nonces.get(this.key(from)) || 0;
+
+    if (tx.chainId !== BigInt(this.chainId)) {
+      throw new Error('invalid chain id');
+    }
+    if (tx.nonce !== nonce) {
+      throw new Error(`nonce mismatch: expected ${nonce}, got ${tx.nonce}`);
+    }
+
+    const isTokenTransfer = tx.to && this.key(tx.to) === this.key(this.tokenAddress);
+    const gasUsed = isTokenTransfer ? TOKEN_TRANSFER_GAS : NATIVE_TRANSFER_GAS;
+    if (gasUsed > tx.gasLimit) {
+      throw new Error('intrinsic gas too low');
+    }
+
+    const maxCost = tx.gasLimit * tx.gasPrice + tx.value;
+    if (this.getBalance(from) < maxCost) {
+      throw new Error('insufficient funds for gas * price + value');
+    }
+
+    this.blockNumber++;
+    const logs = [];
+
+    if (isTokenTransfer) {
+      const [to, value] = this.token.decodeFunctionData('transfer', tx.data);
+      if (this.getTokenBalance(from) < value) {
+        throw new Error('execution reverted: BEP20: transfer amount exceeds balance');
+      }
+      this.setTokenBalance(from, this.getTokenBalance(from) - value);
+      this.setTokenBalance(to, this.getTokenBalance(to) + value);
+
+      const log = {
+        address: this.tokenAddress,
+        topics: [this.transferTopic, ethers.zeroPadValue(from, 32), ethers.zeroPadValue(to, 32)],
+        data: ethers.toBeHex(value, 32),
+        blockNumber: ethers.toQuantity(this.blockNumber),
+        transactionHash: tx.hash,
+        logIndex: '0x0'
+      };
+      this.logs.push(log);
+      logs.push(log);
+    } else {
+      this.setBalance(tx.to, this.getBalance(tx.to) + tx.value);
+    }
+
+    this.setBalance(from, this.getBalance(from) - tx.value - gasUsed * tx.gasPrice);
+    this.nonces.set(this.key(from), nonce + 1);
+
+    this.receipts.set(tx.hash, {
+      transactionHash: tx.hash,
+      blockNumber: ethers.toQuantity(this.blockNumber),
+      from,
+      to: tx.to,
+      gasUsed: ethers.toQuantity(gasUsed),
+      status: '0x1',
+      logs
+    });
+
+    return tx.hash;
+  }
+}
+
+MockEvmNode.prototype.methods = {
+  eth_chainId() {
+    return ethers.toQuantity(this.chainId);
+  },
+
+  net_version() {
+    return String(this.chainId);
+  },
+
+  eth_blockNumber() {
+    return ethers.toQuantity(this.blockNumber);
+  },
+
+  eth_gasPrice() {
+    return ethers.toQuantity(GAS_PRICE);
+  },
+
+  eth_getBalance(address) {
+    return ethers.toQuantity(this.getBalance(address));
+  },
+
+  eth_getTransactionCount(address) {
+    return ethers.toQuantity(this.nonces.get(this.key(address)) || 0);
+  },
+
+  eth_call({ to, data }) {
+    if (this.key(to) !== this.key(this.tokenAddress)) {
+      return '0x';
+    }
+    const [owner] = this.token.decodeFunctionData('balanceOf', data);
+    return this.token.encodeFunctionResult('balanceOf', [this.getTokenBalance(owner)]);
+  },
+
+  eth_estimateGas({ to }) {
+    const isToken = to && this.key(to) === this.key(this.tokenAddress);
+    return ethers.toQuantity(isToken ? TOKEN_TRANSFER_GAS : NATIVE_TRANSFER_GAS);
+  },
+
+  eth_getLogs({ address, fromBlock, topics = [] }) {
+    const from = fromBlock ? parseInt(fromBlock, 16) : 0;
+
+    return this.logs.filter(log => {
+      if (address && this.key(log.address) !== this.key(address)) return false;
+      if (parseInt(log.blockNumber, 16) < from) return false;
+      return topics.every((topic, i) => topic === null || topic === undefined || this.key(log.topics[i]) === this.key(topic));
+    });
+  },
+
+  eth_sendRawTransaction(raw) {
+    return this.applyTransaction(raw);
+  },
+
+  eth_getTransactionReceipt(hash) {
+    return this.receipts.get(hash) || null;
+  },
+
+  eth_getBlockByNumber(tag) {
+    const number = tag === 'finalized'
+      ? Math.max(0, this.blockNumber - this.finalityLag)
+      : tag === 'latest' ? this.blockNumber : parseInt(tag, 16);
+    return number > this.blockNumber ? null : { number: ethers.toQuantity(number), transactions: [] };
+  }
+};
+
+module.exports = MockEvmNode;
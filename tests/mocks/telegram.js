@@ -0,0 +1,74 @@
+/**
+ * Fake Telegram API
+ *
+ * Stands in for bot.telegram: records every message instead of sending it.
+ * Methods the tests don't care about resolve to true.
+ */
+
+class FakeTelegram {
+  constructor() {
+    this.messages = [];
+    this.nextMessageId = 1;
+  }
+
+  async sendMessage(chatId, text, extra = {}) {
+    const message = {
+      message_id: this.nextMessageId++,
+      chat: { id: chatId },
+      date: Math.floor(Date.now() / 1000),
+      text,
+      extra
+    };
+    this.messages.push(message);
+    return message;
+  }
+
+  async editMessageText(chatId, messageId, inlineMessageId, text, extra = {}) {
+    const message = this.messages.find(m => m.chat.id === chatId && m.message_id === messageId);
+    if (message) {
+      message.text = text;
+      message.extra = extra;
+    }
+    return true;
+  }
+
+  async deleteMessage(chatId, messageId) {
+    const message = this.messages.find(m => m.chat.id === chatId && m.message_id === messageId);
+    if (message) {
+      message.deleted = true;
+    }
+    return true;
+  }
+
+  /**
+   * Messages sent to a chat, oldest first
+   */
+  messagesTo(chatId) {
+    return this.messages.filter(m => m.chat.id === chatId);
+  }
+
+  lastMessageTo(chatId) {
+    const messages = this.messagesTo(chatId);
+    return messages[messages.length - 1] || null;
+  }
+
+  clear() {
+    this.messages = [];
+  }
+}
+
+/**
+ * @returns {FakeTelegram} - Proxy that answers any other Bot API method with true
+ */
+function createFakeTelegram() {
+  return new Proxy(new FakeTelegram(), {
+    get(target, prop) {
+      if (prop in target) {
+        return typeof target[prop] === 'function' ? target[prop].bind(target) : target[prop];
+      }
+      return async () => true;
+    }
+  });
+}
+
+module.exports = { FakeTelegram, createFakeTelegram };
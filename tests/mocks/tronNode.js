@@ -0,0 +1,849 @@
+/**
+ * Mock TRON node
+ *
+ * In-process fake of the TronGrid HTTP API (the subset TronWeb and
+ * blockchain.js use) plus the FeeSaver API under /feesaver.
+ * Point the services at it with TRON_FULL_NODE=<url> and
+ * FEESAVER_API_URL=<url>/feesaver before they are required.
+ *
+ * Ledger model:
+ * - TRX and one TRC-20 token (USDT) balances per account
+ * - TRC-20 transfers burn delegated energy first, then TRX at energyPriceSun
+ * - Every transaction uses BANDWIDTH_PER_TX bandwidth (free limit, then burned TRX)
+ * - Sending TRX to a new account costs ACCOUNT_CREATE_FEE_SUN
+ * - Account permission updates (multisig) cost PERMISSION_UPDATE_FEE_SUN, every
+ *   transaction with more than one signature MULTI_SIGN_FEE_SUN; signatures are
+ *   checked against the account permissions (weights and threshold) once set
+ * - Every accepted transaction is mined into its own block immediately,
+ *   block timestamps advance by 3 seconds from a fixed start - runs are deterministic
+ * - USDT transfers leave a Transfer event log in the transaction info
+ * - Stake 2.0: energy of TRX staked with setEnergyStake() can be delegated to
+ *   other accounts (ENERGY_PER_STAKED_TRX per TRX) and taken back
+ * - The solidity node's latest block trails the head by solidityLag blocks;
+ *   mineBlocks() and dropTransaction() simulate confirmations and a fork
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const TronWeb = require('tronweb');
+const { ethers } = require('ethers');
+
+const { txJsonToPb, txPbToRawDataHex, txPbToTxID } = TronWeb.utils.transaction;
+
+const DEFAULT_USDT_CONTRACT = 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t';
+const GENESIS_TIMESTAMP = 1700000000000;
+const BLOCK_TIME_MS = 3000;
+
+const ENERGY_PER_TRANSFER = 65000;
+const ENERGY_PRICE_SUN = 210;
+const BANDWIDTH_PER_TX = 300;
+const FREE_BANDWIDTH = 600;
+const BANDWIDTH_PRICE_SUN = 1000;
+const ACCOUNT_CREATE_FEE_SUN = 1000000;
+const PERMISSION_UPDATE_FEE_SUN = 100000000;
+const MULTI_SIGN_FEE_SUN = 1000000;
+const TOTAL_ENERGY_LIMIT = 180000000000;
+const TOTAL_ENERGY_WEIGHT = 18000000000; // Staked TRX of the network - 10 energy per TRX
+const ENERGY_PER_STAKED_TRX = TOTAL_ENERGY_LIMIT / TOTAL_ENERGY_WEIGHT;
+
+// keccak256('Transfer(address,address,uint256)')
+const TRANSFER_EVENT_TOPIC = 'ddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+
+// FeeSaver prices
+const ENERGY_RENTAL_SUN = 40;       // per energy unit
+const BANDWIDTH_RENTAL_SUN = 600;   // per bandwidth unit
+
+const TRC20_ABI = [
+  {
+    name: 'balanceOf',
+    type: 'Function',
+    stateMutability: 'View',
+    inputs: [{ name: 'who', type: 'address' }],
+    outputs: [{ name: '', type: 'uint256' }]
+  },
+  {
+    name: 'transfer',
+    type: 'Function',
+    stateMutability: 'Nonpayable',
+    inputs: [{ name: '_to', type: 'address' }, { name: '_value', type: 'uint256' }],
+    outputs: [{ name: '', type: 'bool' }]
+  }
+];
+
+class MockTronNode {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.usdtContract] - Base58 address of the mock USDT contract
+   * @param {number} [options.energyPriceSun] - SUN burned per energy unit when none is delegated
+   * @param {number} [options.feesaverBalance] - FeeSaver account balance in TRX
+   * @param {number} [options.solidityLag] - Blocks between the head and the last solidified block
+   */
+  constructor(options = {}) {
+    this.usdtContract = options.usdtContract || DEFAULT_USDT_CONTRACT;
+    this.usdtContractHex = TronWeb.address.toHex(this.usdtContract).toLowerCase();
+    this.energyPriceSun = options.energyPriceSun || ENERGY_PRICE_SUN;
+    this.solidityLag = options.solidityLag || 0;
+
+    this.blockNumber = 1000;
+    this.accounts = new Map();     // hex address -> account state
+    this.transactions = new Map(); // txID -> { transaction, info }
+    this.trc20Transfers = [];      // TronGrid /transactions/trc20 records
+    this.trxTransfers = [];        // Signed TransferContract transactions
+    this.transferLogs = new Map(); // txID -> USDT Transfer event log
+
+    this.feesaver = {
+      token: options.feesaverToken || 'test-feesaver-token',
+      balance: options.feesaverBalance ?? 1000,
+      orders: []
+    };
+
+    this.requests = [];
+    this.server = null;
+    this.url = null;
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this.url;
+  }
+
+  async stop() {
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+
+  // ============ Ledger ============
+
+  toHex(address) {
+    return (address.startsWith('41') && address.length === 42
+      ? address
+      : TronWeb.address.toHex(address)).toLowerCase();
+  }
+
+  toBase58(address) {
+    return TronWeb.address.fromHex(this.toHex(address));
+  }
+
+  getAccount(address, create = false) {
+    const hex = this.toHex(address);
+    if (!this.accounts.has(hex) && create) {
+      this.accounts.set(hex, {
+        address: hex,
+        createTime: this.timestamp(),
+        balance: 0,
+        usdt: 0n,
+        energyLimit: 0,
+        energyUsed: 0,
+        netLimit: 0,
+        netUsed: 0,
+        freeNetUsed: 0,
+        energyStakeSun: 0,
+        energyDelegatedSun: {}, // receiver hex -> delegated stake
+        permissions: null // { owner, actives } after AccountPermissionUpdateContract
+      });
+    }
+    return this.accounts.get(hex) || null;
+  }
+
+  timestamp() {
+    return GENESIS_TIMESTAMP + this.blockNumber * BLOCK_TIME_MS;
+  }
+
+  mineBlock() {
+    this.blockNumber++;
+    return { blockNumber: this.blockNumber, timestamp: this.timestamp() };
+  }
+
+  /**
+   * Mine empty blocks (confirmations for earlier transactions)
+   */
+  mineBlocks(count) {
+    for (let i = 0; i < count; i++) {
+      this.mineBlock();
+    }
+  }
+
+  currentBlock(number = this.blockNumber) {
+    return {
+      blockID: crypto.createHash('sha256').update(`block:${number}`).digest('hex'),
+      block_header: { raw_data: { number, timestamp: GENESIS_TIMESTAMP + number * BLOCK_TIME_MS } }
+    };
+  }
+
+  /**
+   * Remove a USDT transfer from the chain as a fork would (balances restored)
+   */
+  dropTransaction(txID) {
+    const record = this.trc20Transfers.find(tx => tx.transaction_id === txID);
+    if (record) {
+      const value = BigInt(record.value);
+      this.getAccount(record.to).usdt -= value;
+      this.getAccount(record.from).usdt += value;
+      this.trc20Transfers = this.trc20Transfers.filter(tx => tx !== record);
+    }
+    this.transferLogs.delete(txID);
+    this.transactions.delete(txID);
+  }
+
+  /**
+   * Set TRX balance (creates the account)
+   */
+  setTrxBalance(address, trx) {
+    this.getAccount(address, true).balance = Math.round(trx * 1e6);
+  }
+
+  /**
+   * Set TRX staked for energy (Stake 2.0), delegatable to other accounts
+   */
+  setEnergyStake(address, trx) {
+    this.getAccount(address, true).energyStakeSun = Math.round(trx * 1e6);
+  }
+
+  /**
+   * Stake (SUN) the account has delegated, in total or to one receiver
+   */
+  getDelegatedStake(address, receiver = null) {
+    const delegated = this.getAccount(address)?.energyDelegatedSun || {};
+    if (receiver) {
+      return delegated[this.toHex(receiver)] || 0;
+    }
+    return Object.values(delegated).reduce((sum, sun) => sum + sun, 0);
+  }
+
+  /**
+   * Set USDT balance without a transfer record
+   */
+  setUsdtBalance(address, usdt) {
+    this.getAccount(address, true).usdt = BigInt(Math.round(usdt * 1e6));
+  }
+
+  getTrxBalance(address) {
+    return (this.getAccount(address)?.balance || 0) / 1e6;
+  }
+
+  getUsdtBalance(address) {
+    return Number(this.getAccount(address)?.usdt || 0n) / 1e6;
+  }
+
+  /**
+   * External USDT transfer (e.g. buyer deposit from a wallet the service does not control)
+   * @returns {string} - txID
+   */
+  sendUsdt(from, to, usdt) {
+    const value = BigInt(Math.round(usdt * 1e6));
+    const sender = this.getAccount(from, true);
+    if (sender.usdt < value) {
+      sender.usdt = value;
+    }
+    const txID = crypto.createHash('sha256')
+      .update(`external:${from}:${to}:${value}:${this.blockNumber}`)
+      .digest('hex');
+
+    const block = this.mineBlock();
+    this.applyTokenTransfer(from, to, value, txID, block);
+    this.transactions.set(txID, {
+      transaction: { txID, raw_data: { timestamp: block.timestamp } },
+      info: this.buildInfo(txID, block, { energy_usage_total: ENERGY_PER_TRANSFER })
+    });
+    return txID;
+  }
+
+  /**
+   * External TRX transfer
+   * @returns {string} - txID
+   */
+  sendTrx(from, to, trx) {
+    const amount = Math.round(trx * 1e6);
+    const fromHex = this.toHex(from);
+    const toHex = this.toHex(to);
+    const block = this.mineBlock();
+
+    const sender = this.getAccount(fromHex, true);
+    sender.balance = Math.max(sender.balance, amount) - amount;
+    this.getAccount(toHex, true).balance += amount;
+
+    const transaction = this.buildTransaction('TransferContract', {
+      owner_address: fromHex,
+      to_address: toHex,
+      amount
+    });
+    this.trxTransfers.push({ ...transaction, block_timestamp: block.timestamp });
+    this.transactions.set(transaction.txID, { transaction, info: this.buildInfo(transaction.txID, block) });
+    return transaction.txID;
+  }
+
+  applyTokenTransfer(from, to, value, txID, block) {
+    const sender = this.getAccount(from, true);
+    const recipient = this.getAccount(to, true);
+    sender.usdt -= value;
+    recipient.usdt += value;
+
+    this.trc20Transfers.push({
+      transaction_id: txID,
+      token_info: { symbol: 'USDT', address: this.usdtContract, decimals: 6, name: 'Tether USD' },
+      block_timestamp: block.timestamp,
+      from: this.toBase58(from),
+      to: this.toBase58(to),
+      type: 'Transfer',
+      value: value.toString()
+    });
+
+    // Log addresses and topics carry hex addresses without the 41 prefix
+    const topic = (address) => this.toHex(address).slice(2).padStart(64, '0');
+    this.transferLogs.set(txID, {
+      address: this.usdtContractHex.slice(2),
+      topics: [TRANSFER_EVENT_TOPIC, topic(from), topic(to)],
+      data: value.toString(16).padStart(64, '0')
+    });
+  }
+
+  buildInfo(txID, block, receipt = {}) {
+    const info = {
+      id: txID,
+      fee: receipt.fee || 0,
+      blockNumber: block.blockNumber,
+      blockTimeStamp: block.timestamp,
+      receipt: { result: 'SUCCESS', ...receipt }
+    };
+    if (this.transferLogs.has(txID)) {
+      info.log = [this.transferLogs.get(txID)];
+    }
+    return info;
+  }
+
+  /**
+   * Build unsigned transaction the way a full node does (raw_data_hex and txID match raw_data)
+   */
+  buildTransaction(type, value, extraRawData = {}) {
+    const timestamp = this.timestamp();
+    const blockHash = this.currentBlock().blockID;
+
+    const transaction = {
+      visible: false,
+      raw_data: {
+        contract: [{
+          parameter: { value, type_url: `type.googleapis.com/protocol.${type}` },
+          type
+        }],
+        ref_block_bytes: (this.blockNumber & 0xffff).toString(16).padStart(4, '0'),
+        ref_block_hash: blockHash.slice(16, 32),
+        expiration: timestamp + 60000,
+        ...extraRawData,
+        timestamp
+      }
+    };
+
+    const pb = txJsonToPb(transaction);
+    transaction.raw_data_hex = txPbToRawDataHex(pb).toLowerCase();
+    transaction.txID = txPbToTxID(pb).replace(/^0x/, '');
+    return transaction;
+  }
+
+  /**
+   * Check signatures of a broadcast transaction: the owner address signs,
+   * or the keys of the used permission reach its threshold once permissions are set
+   */
+  verifySignature(transaction) {
+    const digest = crypto.createHash('sha256')
+      .update(Buffer.from(transaction.raw_data_hex, 'hex'))
+      .digest('hex');
+
+    if (digest !== transaction.txID) {
+      return 'txID does not match raw_data';
+    }
+
+    const contract = transaction.raw_data.contract[0];
+    const owner = contract.parameter.value.owner_address.toLowerCase();
+    const signers = new Set((transaction.signature || []).map(signature => {
+      const publicKey = ethers.SigningKey.recoverPublicKey(`0x${digest}`, `0x${signature}`);
+      return `41${ethers.computeAddress(publicKey).slice(2)}`.toLowerCase();
+    }));
+
+    const permissions = this.getAccount(owner)?.permissions;
+    if (!permissions) {
+      return signers.has(owner) ? null : 'Validate signature error';
+    }
+
+    const permissionId = contract.Permission_id || 0;
+    const permission = permissionId === 0
+      ? permissions.owner
+      : permissions.actives.find(active => active.id === permissionId);
+    if (!permission) {
+      return `Permission ${permissionId} does not exist`;
+    }
+
+    const weight = permission.keys
+      .filter(key => signers.has(key.address))
+      .reduce((sum, key) => sum + key.weight, 0);
+    return weight >= permission.threshold ? null : `Signature weight ${weight} is below threshold ${permission.threshold}`;
+  }
+
+  /**
+   * Permission as stored on the account (hex key addresses)
+   */
+  normalizePermission(permission, id) {
+    return {
+      id,
+      permission_name: permission.permission_name,
+      threshold: permission.threshold,
+      keys: permission.keys.map(key => ({ address: this.toHex(key.address), weight: key.weight })),
+      ...(permission.operations && { operations: permission.operations })
+    };
+  }
+
+  /**
+   * Burn energy (delegated first) and bandwidth for a transaction
+   * @returns {Object|null} - { energyFee, netFee } or null if TRX is insufficient
+   */
+  chargeResources(account, energy, extraSun = 0) {
+    const availableEnergy = Math.max(0, account.energyLimit - account.energyUsed);
+    const energyFromStake = Math.min(availableEnergy, energy);
+    const energyFee = (energy - energyFromStake) * this.energyPriceSun;
+
+    const availableNet = Math.max(0, account.netLimit - account.netUsed);
+    const freeNet = Math.max(0, FREE_BANDWIDTH - account.freeNetUsed);
+    let netFee = 0;
+    let netSource = null;
+    if (availableNet >= BANDWIDTH_PER_TX) {
+      netSource = 'staked';
+    } else if (freeNet >= BANDWIDTH_PER_TX) {
+      netSource = 'free';
+    } else {
+      netFee = BANDWIDTH_PER_TX * BANDWIDTH_PRICE_SUN;
+    }
+
+    if (account.balance < energyFee + netFee + extraSun) {
+      return null;
+    }
+
+    account.energyUsed += energyFromStake;
+    if (netSource === 'staked') account.netUsed += BANDWIDTH_PER_TX;
+    if (netSource === 'free') account.freeNetUsed += BANDWIDTH_PER_TX;
+    account.balance -= energyFee + netFee;
+
+    return { energyFee, netFee, energyFromStake };
+  }
+
+  broadcast(transaction) {
+    if (this.transactions.has(transaction.txID)) {
+      return { result: false, code: 'DUP_TRANSACTION_ERROR', message: this.hexMessage('Dup transaction') };
+    }
+
+    const signatureError = this.verifySignature(transaction);
+    if (signatureError) {
+      return { result: false, code: 'SIGERROR', message: this.hexMessage(signatureError) };
+    }
+
+    const contract = transaction.raw_data.contract[0];
+    const value = contract.parameter.value;
+    const sender = this.getAccount(value.owner_address);
+    if (!sender) {
+      return { result: false, code: 'CONTRACT_VALIDATE_ERROR', message: this.hexMessage('Account does not exist') };
+    }
+
+    const multiSignFee = (transaction.signature || []).length > 1 ? MULTI_SIGN_FEE_SUN : 0;
+    let info;
+
+    if (contract.type === 'TransferContract') {
+      const recipientExists = !!this.getAccount(value.to_address);
+      const createFee = recipientExists ? 0 : ACCOUNT_CREATE_FEE_SUN;
+      const fees = this.chargeResources(sender, 0, value.amount + createFee + multiSignFee);
+      if (!fees) {
+        return { result: false, code: 'CONTRACT_VALIDATE_ERROR', message: this.hexMessage('balance is not sufficient') };
+      }
+
+      const block = this.mineBlock();
+      sender.balance -= value.amount + createFee + multiSignFee;
+      this.getAccount(value.to_address, true).balance += value.amount;
+      this.trxTransfers.push({ ...transaction, block_timestamp: block.timestamp });
+      info = this.buildInfo(transaction.txID, block, { net_fee: fees.netFee });
+      info.fee = fees.netFee + createFee + multiSignFee;
+    } else if (contract.type === 'AccountPermissionUpdateContract') {
+      const fees = this.chargeResources(sender, 0, PERMISSION_UPDATE_FEE_SUN + multiSignFee);
+      if (!fees) {
+        return { result: false, code: 'CONTRACT_VALIDATE_ERROR', message: this.hexMessage('Account balance is not sufficient for permission update') };
+      }
+
+      const block = this.mineBlock();
+      sender.balance -= PERMISSION_UPDATE_FEE_SUN + multiSignFee;
+      sender.permissions = {
+        owner: this.normalizePermission(value.owner, 0),
+        actives: (value.actives || []).map((active, index) => this.normalizePermission(active, index + 2))
+      };
+      info = this.buildInfo(transaction.txID, block, { net_fee: fees.netFee });
+      info.fee = fees.netFee + PERMISSION_UPDATE_FEE_SUN + multiSignFee;
+    } else if (contract.type === 'DelegateResourceContract' || contract.type === 'UnDelegateResourceContract') {
+      const isDelegate = contract.type === 'DelegateResourceContract';
+      const receiverHex = this.toHex(value.receiver_address);
+      const delegated = sender.energyDelegatedSun[receiverHex] || 0;
+
+      if (value.resource !== 'ENERGY') {
+        return { result: false, code: 'CONTRACT_VALIDATE_ERROR', message: this.hexMessage('Only energy delegation is supported') };
+      }
+      if (isDelegate && sender.energyStakeSun - this.getDelegatedStake(value.owner_address) < value.balance) {
+        return { result: false, code: 'CONTRACT_VALIDATE_ERROR', message: this.hexMessage('delegateBalance must be less than or equal to available FreezeEnergyV2 balance') };
+      }
+      if (!isDelegate && delegated < value.balance) {
+        return { result: false, code: 'CONTRACT_VALIDATE_ERROR', message: this.hexMessage('insufficient delegatedFrozenBalance(Energy)') };
+      }
+
+      const fees = this.chargeResources(sender, 0, multiSignFee);
+      if (!fees) {
+        return { result: false, code: 'CONTRACT_VALIDATE_ERROR', message: this.hexMessage('balance is not sufficient') };
+      }
+
+      const block = this.mineBlock();
+      const receiver = this.getAccount(receiverHex, true);
+      const energy = Math.floor(value.balance / 1e6 * ENERGY_PER_STAKED_TRX);
+      sender.balance -= multiSignFee;
+      if (isDelegate) {
+        sender.energyDelegatedSun[receiverHex] = delegated + value.balance;
+        receiver.energyLimit += energy;
+      } else {
+        sender.energyDelegatedSun[receiverHex] = delegated - value.balance;
+        receiver.energyLimit = Math.max(0, receiver.energyLimit - energy);
+        receiver.energyUsed = Math.min(receiver.energyUsed, receiver.energyLimit);
+      }
+      info = this.buildInfo(transaction.txID, block, { net_fee: fees.netFee });
+      info.fee = fees.netFee + multiSignFee;
+    } else if (contract.type === 'TriggerSmartContract') {
+      if (value.contract_address.toLowerCase() !== this.usdtContractHex) {
+        return { result: false, code: 'CONTRACT_VALIDATE_ERROR', message: this.hexMessage('No contract or not a smart contract') };
+      }
+
+      const { to, amount } = this.decodeTransfer(value.data);
+      if (sender.usdt < amount) {
+        return { result: false, code: 'CONTRACT_VALIDATE_ERROR', message: this.hexMessage('REVERT opcode executed') };
+      }
+
+      const fees = this.chargeResources(sender, ENERGY_PER_TRANSFER, multiSignFee);
+      if (!fees) {
+        return { result: false, code: 'CONTRACT_VALIDATE_ERROR', message: this.hexMessage('Not enough energy for this transaction') };
+      }
+
+      const block = this.mineBlock();
+      sender.balance -= multiSignFee;
+      this.applyTokenTransfer(value.owner_address, to, amount, transaction.txID, block);
+      info = this.buildInfo(transaction.txID, block, {
+        energy_usage: fees.energyFromStake,
+        energy_fee: fees.energyFee,
+        energy_usage_total: ENERGY_PER_TRANSFER,
+        net_fee: fees.netFee
+      });
+      info.fee = fees.energyFee + fees.netFee + multiSignFee;
+    } else {
+      return { result: false, code: 'CONTRACT_VALIDATE_ERROR', message: this.hexMessage(`Unsupported contract ${contract.type}`) };
+    }
+
+    this.transactions.set(transaction.txID, { transaction, info });
+    return { result: true, txid: transaction.txID };
+  }
+
+  decodeTransfer(data) {
+    // a9059cbb + address(32 bytes) + uint256(32 bytes)
+    const params = data.slice(8);
+    return {
+      to: `41${params.slice(24, 64)}`,
+      amount: BigInt(`0x${params.slice(64, 128)}`)
+    };
+  }
+
+  hexMessage(message) {
+    return Buffer.from(message).toString('hex');
+  }
+
+  // ============ HTTP ============
+
+  handle(req, res) {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, this.url);
+      let params = Object.fromEntries(url.searchParams);
+      if (body) {
+        try {
+          params = { ...params, ...JSON.parse(body) };
+        } catch (error) {
+          return this.send(res, 400, { Error: 'Invalid JSON' });
+        }
+      }
+
+      this.requests.push(url.pathname);
+
+      try {
+        const result = this.route(url.pathname, params);
+        if (result === undefined) {
+          return this.send(res, 404, { Error: `Unknown endpoint ${url.pathname}` });
+        }
+        this.send(res, 200, result);
+      } catch (error) {
+        this.send(res, 200, { Error: error.message });
+      }
+    });
+  }
+
+  send(res, status, payload) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  }
+
+  route(pathname, params) {
+    const trc20History = pathname.match(/^\/v1\/accounts\/(\w+)\/transactions\/trc20$/);
+    if (trc20History) {
+      return this.listTrc20(trc20History[1], params);
+    }
+
+    const trxHistory = pathname.match(/^\/v1\/accounts\/(\w+)\/transactions$/);
+    if (trxHistory) {
+      return this.listTrx(trxHistory[1], params);
+    }
+
+    if (pathname.startsWith('/feesaver/')) {
+      return this.routeFeesaver(pathname.slice('/feesaver'.length), params);
+    }
+
+    if (pathname === '/walletsolidity/getnowblock') {
+      return this.currentBlock(Math.max(0, this.blockNumber - this.solidityLag));
+    }
+
+    // Solidity node shares the full node API
+    const method = pathname.replace(/^\/walletsolidity\//, '/wallet/');
+    const handler = this.walletMethods[method];
+    return handler ? handler.call(this, params) : undefined;
+  }
+
+  listTrc20(address, params) {
+    const limit = parseInt(params.limit) || 20;
+    const onlyTo = params.only_to === 'true';
+    const data = this.trc20Transfers
+      .filter(tx => tx.to === address || (!onlyTo && tx.from === address))
+      .reverse()
+      .slice(0, limit);
+    return { data, success: true, meta: { page_size: data.length } };
+  }
+
+  listTrx(address, params) {
+    const limit = parseInt(params.limit) || 20;
+    const hex = this.toHex(address);
+    const data = this.trxTransfers
+      .filter(tx => {
+        const value = tx.raw_data.contract[0].parameter.value;
+        return value.to_address === hex || (params.only_to !== 'true' && value.owner_address === hex);
+      })
+      .reverse()
+      .slice(0, limit);
+    return { data, success: true, meta: { page_size: data.length } };
+  }
+
+  routeFeesaver(pathname, params) {
+    if (params.token !== this.feesaver.token) {
+      return { err: 'Invalid token' };
+    }
+
+    switch (pathname) {
+      case '/balance':
+        return { balance_trx: this.feesaver.balance, user_id: 1 };
+      case '/refill':
+        return { deposit_address: 'TFeeSaverDepositAddress', instructions: 'Send TRX' };
+      case '/buyenergy':
+      case '/buyBw': {
+        const volume = parseInt(params.volume);
+        const isEnergy = pathname === '/buyenergy';
+        const summa = volume * (isEnergy ? ENERGY_RENTAL_SUN : BANDWIDTH_RENTAL_SUN) / 1e6;
+
+        if (summa > this.feesaver.balance) {
+          return { err: 'Insufficient balance' };
+        }
+
+        const account = this.getAccount(params.target, true);
+        if (isEnergy) {
+          account.energyLimit += volume;
+        } else {
+          account.netLimit += volume;
+        }
+        this.feesaver.balance = Math.round((this.feesaver.balance - summa) * 1e6) / 1e6;
+
+        const order = {
+          status: 'Filled',
+          order_id: this.feesaver.orders.length + 1,
+          volume,
+          summa,
+          balance: this.feesaver.balance,
+          txid: crypto.createHash('sha256').update(`feesaver:${this.feesaver.orders.length}`).digest('hex'),
+          activationPrice: 0,
+          resource: isEnergy ? 'energy' : 'bandwidth',
+          target: params.target
+        };
+        this.feesaver.orders.push(order);
+        return order;
+      }
+      default:
+        return undefined;
+    }
+  }
+}
+
+MockTronNode.prototype.walletMethods = {
+  '/wallet/getnodeinfo'() {
+    return { configNodeInfo: { codeVersion: 'mock' }, block: `Num:${this.blockNumber}` };
+  },
+
+  // TronWeb builds TRX transfers locally and only asks for the reference block
+  '/wallet/getblock'() {
+    return this.currentBlock();
+  },
+
+  '/wallet/getnowblock'() {
+    return this.currentBlock();
+  },
+
+  '/wallet/getaccount'({ address }) {
+    const account = this.getAccount(address);
+    if (!account) {
+      return {};
+    }
+    return {
+      address: account.address,
+      balance: account.balance,
+      create_time: account.createTime,
+      ...(account.permissions && {
+        owner_permission: account.permissions.owner,
+        active_permission: account.permissions.actives.map(active => ({ type: 'Active', ...active }))
+      })
+    };
+  },
+
+  '/wallet/getaccountresource'({ address }) {
+    const account = this.getAccount(address);
+    if (!account) {
+      return {};
+    }
+    return {
+      freeNetLimit: FREE_BANDWIDTH,
+      freeNetUsed: account.freeNetUsed,
+      NetLimit: account.netLimit,
+      NetUsed: account.netUsed,
+      EnergyLimit: account.energyLimit,
+      EnergyUsed: account.energyUsed,
+      TotalEnergyLimit: TOTAL_ENERGY_LIMIT,
+      TotalEnergyWeight: TOTAL_ENERGY_WEIGHT
+    };
+  },
+
+  '/wallet/getcandelegatedmaxsize'({ owner_address, type }) {
+    const account = this.getAccount(owner_address);
+    if (!account || type !== 1) {
+      return {};
+    }
+    return { max_size: account.energyStakeSun - this.getDelegatedStake(owner_address) };
+  },
+
+  '/wallet/getchainparameters'() {
+    return {
+      chainParameter: [
+        { key: 'getTransactionFee', value: BANDWIDTH_PRICE_SUN },
+        { key: 'getEnergyFee', value: this.energyPriceSun },
+        { key: 'getCreateAccountFee', value: ACCOUNT_CREATE_FEE_SUN },
+        { key: 'getMultiSignFee', value: MULTI_SIGN_FEE_SUN }
+      ]
+    };
+  },
+
+  '/wallet/getcontract'({ value }) {
+    if (this.toHex(value) !== this.usdtContractHex) {
+      return {};
+    }
+    return {
+      contract_address: this.usdtContractHex,
+      origin_address: this.usdtContractHex,
+      name: 'TetherToken',
+      bytecode: '',
+      abi: { entrys: TRC20_ABI }
+    };
+  },
+
+  '/wallet/createtransaction'({ owner_address, to_address, amount }) {
+    if (!this.getAccount(owner_address)) {
+      return { Error: 'class org.tron.core.exception.ContractValidateException : Validate TransferContract error, no OwnerAccount.' };
+    }
+    return this.buildTransaction('TransferContract', { to_address, owner_address, amount });
+  },
+
+  '/wallet/triggersmartcontract'({ contract_address, function_selector, parameter, fee_limit, call_value, owner_address }) {
+    if (this.toHex(contract_address) !== this.usdtContractHex || function_selector !== 'transfer(address,uint256)') {
+      return { result: { code: 'CONTRACT_VALIDATE_ERROR', message: this.hexMessage('Unsupported call') } };
+    }
+
+    const selector = ethers.id(function_selector).slice(2, 10);
+    const value = {
+      data: selector + parameter,
+      owner_address,
+      contract_address
+    };
+    if (call_value) {
+      value.call_value = call_value;
+    }
+
+    return {
+      result: { result: true },
+      transaction: this.buildTransaction('TriggerSmartContract', value, { fee_limit })
+    };
+  },
+
+  '/wallet/triggerconstantcontract'({ contract_address, function_selector, parameter, owner_address }) {
+    if (this.toHex(contract_address) !== this.usdtContractHex) {
+      return { result: { code: 'CONTRACT_VALIDATE_ERROR', message: this.hexMessage('No contract') } };
+    }
+
+    if (function_selector === 'balanceOf(address)') {
+      const balance = this.getAccount(`41${parameter.slice(24, 64)}`)?.usdt || 0n;
+      return {
+        result: { result: true },
+        constant_result: [balance.toString(16).padStart(64, '0')],
+        energy_used: 935
+      };
+    }
+
+    if (function_selector === 'transfer(address,uint256)') {
+      const sender = this.getAccount(owner_address);
+      const amount = BigInt(`0x${parameter.slice(64, 128)}`);
+      if (!sender || sender.usdt < amount) {
+        return { result: { result: true }, constant_result: ['0'.padStart(64, '0')], energy_used: 0, transaction: {}, message: 'REVERT opcode executed' };
+      }
+      return {
+        result: { result: true },
+        constant_result: ['1'.padStart(64, '0')],
+        energy_used: ENERGY_PER_TRANSFER,
+        energy_penalty: 0
+      };
+    }
+
+    return { result: { code: 'CONTRACT_VALIDATE_ERROR', message: this.hexMessage('Unsupported call') } };
+  },
+
+  '/wallet/broadcasttransaction'(transaction) {
+    return this.broadcast(transaction);
+  },
+
+  '/wallet/gettransactionbyid'({ value }) {
+    return this.transactions.get(value)?.transaction || {};
+  },
+
+  '/wallet/gettransactioninfobyid'({ value }) {
+    return this.transactions.get(value)?.info || {};
+  },
+
+  // Empty blocks return {} like the real node
+  '/wallet/gettransactioninfobyblocknum'({ num }) {
+    const infos = [...this.transactions.values()]
+      .map(({ info }) => info)
+      .filter(info => info.blockNumber === Number(num));
+    return infos.length > 0 ? infos : {};
+  }
+};
+
+module.exports = MockTronNode;
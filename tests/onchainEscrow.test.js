@@ -0,0 +1,148 @@
+/**
+ * On-chain Escrow Tests
+ * 2-of-3 permissions on the escrow account and offline signing of payouts,
+ * against the mock TRON node and a test MongoDB (see tests/harness.js)
+ *
+ * Run: node tests/onchainEscrow.test.js
+ */
+
+const { runSuite, BUYER_ID, SELLER_ID } = require('./harness');
+
+runSuite('On-chain Escrow Tests', async ({ harness, check, section }) => {
+  const { node } = harness;
+
+  // Services read env at require time - load after the harness is up
+  const dealService = require('../src/services/dealService');
+  const depositMonitor = require('../src/services/depositMonitor');
+  const feesaverService = require('../src/services/feesaver');
+  const { acceptWork } = require('../src/bot/handlers/myDeals');
+  const { handleKeyValidationInput, handleOfflineSign } = require('../src/bot/handlers/keyValidation');
+  const Deal = require('../src/models/Deal');
+  const constants = require('../src/config/constants');
+
+  await harness.createParties();
+
+  // ============================================
+  section('On-chain 2-of-3 escrow');
+  // ============================================
+
+  {
+    feesaverService.enabled = true;
+    const MultisigWallet = require('../src/models/MultisigWallet');
+    const blockchainService = require('../src/services/blockchain');
+
+    const buyerWallet = harness.createWallet();
+    const sellerWallet = harness.createWallet();
+    const result = await dealService.createDeal({
+      creatorRole: 'seller',
+      buyerId: BUYER_ID,
+      sellerId: SELLER_ID,
+      productName: 'Test on-chain multisig',
+      description: 'Lifecycle test deal: on-chain multisig',
+      asset: 'USDT',
+      amount: 100,
+      commissionType: 'buyer',
+      deadlineHours: 48,
+      buyerAddress: buyerWallet.address,
+      sellerAddress: sellerWallet.address
+    });
+
+    // Buyer receives a key when providing the wallet in the bot
+    const buyerKey = harness.createWallet();
+    await Deal.updateOne({ _id: result.deal._id }, { $set: { buyerKeyAddress: buyerKey.address } });
+    const storedKeys = await Deal.findById(result.deal._id).select('+buyerPrivateKey +sellerPrivateKey').lean();
+    check('Participant private keys are not stored', !storedKeys.buyerPrivateKey && !storedKeys.sellerPrivateKey);
+
+    const escrowKey = (await MultisigWallet.findOne({ dealId: result.deal._id }).select('+privateKey')).privateKey;
+    node.sendUsdt(buyerWallet.address, result.deal.multisigAddress, 100 + result.deal.commission);
+    await depositMonitor.checkDealDeposit(await Deal.findById(result.deal._id));
+
+    const deal = await Deal.findById(result.deal._id);
+    const wallet = await MultisigWallet.findOne({ dealId: deal._id }).select('+privateKey');
+    const permissions = node.getAccount(deal.multisigAddress).permissions;
+    check('Escrow permissions set on chain', wallet.permissionMode === 'onchain' && !!wallet.permissionTxHash &&
+      permissions?.owner.threshold === constants.MULTISIG_THRESHOLD && permissions.owner.keys.length === 3);
+    check('Escrow key deleted', !wallet.privateKey);
+
+    // Raw read: the model decrypts on load
+    const stored = await MultisigWallet.collection.findOne({ _id: wallet._id });
+    check('Participant keys stored encrypted', stored.buyerPublicKey !== buyerKey.address &&
+      wallet.buyerPublicKey === buyerKey.address && stored.sellerPublicKey !== wallet.sellerPublicKey);
+    check('Permission fee recorded', deal.operationalCosts.permissionTrxSent ===
+      constants.ESCROW_PERMISSION_FEE_TRX + constants.ESCROW_MULTISIG_RESERVE_TRX);
+
+    const theftTx = await blockchainService.createReleaseTransaction(deal.multisigAddress, buyerWallet.address, 10, 'USDT');
+    const singleKey = await blockchainService.broadcastTransaction(await blockchainService.signTransaction(theftTx, escrowKey))
+      .catch(error => ({ success: false, error: error.message }));
+    check('Old escrow key alone cannot move funds', !singleKey.success && node.getUsdtBalance(buyerWallet.address) === 0);
+
+    await dealService.submitWork(deal.dealId, SELLER_ID);
+    await acceptWork(harness.callbackCtx(BUYER_ID, `accept_work:${deal.dealId}`));
+    await handleKeyValidationInput(harness.messageCtx(SELLER_ID, buyerKey.privateKey));
+    check('Buyer key is not accepted for seller payout', (await Deal.findById(deal._id)).status === 'in_progress');
+
+    await handleKeyValidationInput(harness.messageCtx(SELLER_ID, result.creatorPrivateKey));
+    check('Payout co-signed by seller key and arbiter', (await Deal.findById(deal._id)).status === 'completed' &&
+      node.getUsdtBalance(sellerWallet.address) === 100,
+      `Seller: ${node.getUsdtBalance(sellerWallet.address)} USDT`);
+  }
+
+  // ============================================
+  section('Offline signing');
+  // ============================================
+
+  {
+    feesaverService.enabled = true;
+    const blockchainService = require('../src/services/blockchain');
+    const offlineSigningService = require('../src/services/offlineSigningService');
+    const PayoutSignature = require('../src/models/PayoutSignature');
+
+    const buyerWallet = harness.createWallet();
+    const sellerWallet = harness.createWallet();
+    const result = await dealService.createDeal({
+      creatorRole: 'seller',
+      buyerId: BUYER_ID,
+      sellerId: SELLER_ID,
+      productName: 'Test offline signing',
+      description: 'Lifecycle test deal: offline signing',
+      asset: 'USDT',
+      amount: 100,
+      commissionType: 'buyer',
+      deadlineHours: 48,
+      buyerAddress: buyerWallet.address,
+      sellerAddress: sellerWallet.address
+    });
+
+    const buyerKey = harness.createWallet();
+    await Deal.updateOne({ _id: result.deal._id }, { $set: { buyerKeyAddress: buyerKey.address } });
+    node.sendUsdt(buyerWallet.address, result.deal.multisigAddress, 100 + result.deal.commission);
+    await depositMonitor.checkDealDeposit(await Deal.findById(result.deal._id));
+
+    const deal = await Deal.findById(result.deal._id);
+    await dealService.submitWork(deal.dealId, SELLER_ID);
+    await acceptWork(harness.callbackCtx(BUYER_ID, `accept_work:${deal.dealId}`));
+    await handleOfflineSign(harness.callbackCtx(SELLER_ID, `offline_sign:${deal.dealId}`));
+
+    const request = await PayoutSignature.findOne({ dealId: deal.dealId, telegramId: SELLER_ID });
+    check('Unsigned payout prepared', request?.status === 'pending' &&
+      request.transactions.some(tx => tx.kind === 'payout' && tx.toAddress === sellerWallet.address && tx.amount === 100));
+
+    // The wallet signs with the escrow owner permission (id 0)
+    const signAll = (privateKey) => Promise.all(request.transactions.map(tx =>
+      blockchainService.tronWeb.trx.multiSign(tx.unsigned, privateKey, 0)));
+
+    const forged = await offlineSigningService.submitSignatures(request.token, await signAll(buyerKey.privateKey))
+      .then(() => null, error => error.message);
+    check('Signature of another key rejected', !!forged, forged);
+
+    await offlineSigningService.submitSignatures(request.token, await signAll(result.creatorPrivateKey));
+    offlineSigningService.setBotInstance(harness.bot);
+    await offlineSigningService.processSigned();
+
+    const processed = await PayoutSignature.findById(request._id);
+    check('Payout co-signed by arbiter and broadcast', processed.status === 'completed' &&
+      (await Deal.findById(deal._id)).status === 'completed' &&
+      node.getUsdtBalance(sellerWallet.address) === 100,
+      `Request: ${processed.status}, seller: ${node.getUsdtBalance(sellerWallet.address)} USDT`);
+  }
+});
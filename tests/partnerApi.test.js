@@ -0,0 +1,160 @@
+/**
+ * Partner REST API Tests
+ * API key auth, validation and prefilled deal creation of /partner/api/v1
+ * (platforms and drafts are kept in memory - no MongoDB needed)
+ *
+ * Run: node tests/partnerApi.test.js
+ */
+
+const express = require('express');
+const Platform = require('../src/models/Platform');
+const WebDeal = require('../src/models/WebDeal');
+const partnerRouter = require('../src/web/routes/partner');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition, details) {
+  if (condition) {
+    passed++;
+    console.log(`✅ ${description}: PASS`);
+  } else {
+    failed++;
+    console.log(`❌ ${description}: FAIL`);
+  }
+  if (details) {
+    console.log(`   ${details}`);
+  }
+}
+
+const platform = new Platform({
+  name: 'Test Shop',
+  code: 'TESTSHOP',
+  telegramChannel: '@testshop',
+  login: 'testshop',
+  passwordHash: 'unused'
+});
+const apiKey = platform.generateApiKey();
+platform.save = async () => platform;
+
+// In-memory stand-ins for the collections
+const drafts = [];
+
+Platform.findOne = async (filter) =>
+  (filter.apiKeyHash === platform.apiKeyHash && filter.isActive === platform.isActive ? platform : null);
+Platform.updateOne = async () => ({});
+WebDeal.create = async (data) => {
+  const webDeal = new WebDeal(data);
+  const error = webDeal.validateSync();
+  if (error) throw error;
+  drafts.push(webDeal);
+  return webDeal;
+};
+WebDeal.findOne = async (filter) =>
+  drafts.find(draft => draft.token === filter.token && String(draft.platformId) === String(filter.platformId)) || null;
+
+function startServer() {
+  const app = express();
+  app.use(express.json());
+  app.use('/partner', partnerRouter);
+
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}/partner/api/v1` });
+    });
+  });
+}
+
+async function run() {
+  console.log('🧪 Partner REST API Tests\n');
+
+  const { server, baseUrl } = await startServer();
+
+  const request = async (method, path, body, key = apiKey) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(key ? { 'X-API-Key': key } : {}) },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const validDeal = {
+    creatorRole: 'buyer',
+    productName: 'Logo design',
+    description: 'Vector logo, 3 revisions',
+    amount: 150,
+    deadlineHours: 72,
+    commissionType: 'split',
+    externalId: 'order-1001'
+  };
+
+  try {
+    // Test 1: Missing key
+    let result = await request('POST', '/deals', validDeal, null);
+    check('Request without API key rejected', result.status === 401 && result.body.success === false,
+      result.body.error);
+
+    // Test 2: Unknown key
+    result = await request('POST', '/deals', validDeal, `ksk_${'0'.repeat(48)}`);
+    check('Unknown API key rejected', result.status === 401 && drafts.length === 0, result.body.error);
+
+    // Test 3: Validation
+    const invalid = [
+      [{ creatorRole: 'arbiter' }, /^creatorRole/],
+      [{ productName: 'x' }, /^productName/],
+      [{ amount: 10 }, /^amount/],
+      [{ amount: '150' }, /^amount/],
+      [{ deadlineHours: 5 }, /^deadlineHours/],
+      [{ commissionType: 'platform' }, /^commissionType/],
+      [{ externalId: 'x'.repeat(101) }, /^externalId/]
+    ];
+
+    for (const [fields, error] of invalid) {
+      result = await request('POST', '/deals', { ...validDeal, ...fields });
+      check(`Invalid ${Object.keys(fields)[0]} rejected`, result.status === 400 && error.test(result.body.error),
+        result.body.error);
+    }
+    check('Nothing stored for invalid requests', drafts.length === 0);
+
+    // Test 4: Prefilled deal
+    result = await request('POST', '/deals', validDeal);
+    const deal = result.body.deal;
+    check('Prefilled deal created', result.status === 201 && drafts.length === 1 && deal.status === 'pending',
+      JSON.stringify(result.body));
+    check('Draft keeps the partner parameters', deal.productName === validDeal.productName &&
+      deal.amount === 150 && deal.commissionType === 'split' && deal.externalId === 'order-1001' &&
+      deal.deal === null);
+    check('Draft linked to the platform', String(drafts[0].platformId) === String(platform._id) &&
+      drafts[0].source === `api_${platform.code}`);
+    check('Claim link opens the draft in the bot', deal.claimLink.endsWith(`?start=web_${drafts[0].token}`),
+      deal.claimLink);
+    check('Creation logged for the platform',
+      platform.activityLog.some(entry => entry.action === 'api_deal_created' && entry.details.token === deal.token));
+
+    // Test 5: Status lookup
+    result = await request('GET', `/deals/${deal.token}`);
+    check('Deal status by token', result.status === 200 && result.body.deal.token === deal.token);
+
+    result = await request('GET', '/deals/unknown');
+    check('Unknown token not found', result.status === 404);
+
+    // Test 6: Revoked key
+    platform.revokeApiKey();
+    result = await request('GET', `/deals/${deal.token}`);
+    check('Revoked API key rejected', result.status === 401, result.body.error);
+  } finally {
+    server.close();
+  }
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`Partner REST API Tests Complete: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(60));
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run().catch(error => {
+  console.error(`❌ Error in test: ${error.message}`);
+  process.exit(1);
+});
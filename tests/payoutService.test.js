@@ -0,0 +1,335 @@
+/**
+ * Payout Executor Tests
+ * payoutService plans and sends every payout type - release, refund, mutual
+ * cancellation, dispute payouts, split shares, milestones and stray refunds -
+ * against the mock TRON node and a test MongoDB (see tests/harness.js)
+ *
+ * Run: node tests/payoutService.test.js
+ */
+
+const { runSuite } = require('./harness');
+
+runSuite('Payout Executor Tests', async ({ harness, check, section }) => {
+  const { node } = harness;
+
+  // Services read env at require time - load after the harness is up
+  const payoutService = require('../src/services/payoutService');
+  const escrowPermissionService = require('../src/services/escrowPermissionService');
+  const { getChainAdapter } = require('../src/services/chains');
+  const Deal = require('../src/models/Deal');
+  const Transaction = require('../src/models/Transaction');
+  const StrayDeposit = require('../src/models/StrayDeposit');
+  const constants = require('../src/config/constants');
+
+  const near = (a, b) => Math.abs(a - b) < 1e-6;
+  const service = harness.serviceWallet.address;
+  // Pseudo-multisig escrows sign with their own key, the participant key is only passed through
+  const signerKey = harness.createWallet().privateKey;
+
+  await harness.createParties();
+
+  /**
+   * Plan and send the payout of a key validation session, with what the
+   * recipient and the service wallet received
+   */
+  async function pay(dealId, session) {
+    const deal = await Deal.findById(dealId);
+    const plan = await payoutService.getPlan(deal, session);
+    const recipient = plan.toAddress;
+    const before = {
+      recipient: node.getUsdtBalance(recipient),
+      service: node.getUsdtBalance(service)
+    };
+
+    const result = await payoutService.execute(deal, plan, signerKey);
+
+    return {
+      plan,
+      result,
+      received: node.getUsdtBalance(recipient) - before.recipient,
+      serviceReceived: node.getUsdtBalance(service) - before.service
+    };
+  }
+
+  // ============================================
+  section('Release to the seller');
+  // ============================================
+
+  {
+    const { deal, sellerWallet, depositAmount } = await harness.createFundedDeal({
+      creatorRole: 'buyer',
+      amount: 100,
+      description: 'executor release'
+    });
+
+    const { plan, result, received, serviceReceived } = await pay(deal._id, { type: 'seller_payout' });
+    check('Release plan: amount to the seller, commission to the service', plan.kind === 'final' &&
+      plan.toAddress === sellerWallet.address && plan.payoutAmount === 100 && plan.commission === deal.commission &&
+      plan.transfers.map(transfer => transfer.kind).join() === 'payout,commission');
+    check('Seller and service paid', near(received, 100) && near(serviceReceived, deal.commission) &&
+      near(node.getUsdtBalance(deal.multisigAddress), depositAmount - 100 - deal.commission),
+      `Seller: ${received}, service: ${serviceReceived}`);
+
+    const release = await Transaction.findOne({ txHash: result.txHash });
+    const fee = await Transaction.findOne({ txHash: result.commissionTxHash });
+    check('Release and fee recorded', release?.type === 'release' && release.amount === 100 &&
+      fee?.type === 'fee' && fee.amount === deal.commission);
+    check('Operational costs of the final payout saved',
+      !!(await Deal.findById(deal._id)).operationalCosts?.energyMethod, result.energyMethod);
+  }
+
+  // ============================================
+  section('Refund with the deposit overpayment');
+  // ============================================
+
+  {
+    const { deal, buyerWallet } = await harness.createFundedDeal({
+      creatorRole: 'buyer',
+      amount: 100,
+      description: 'executor refund'
+    });
+
+    // Buyer sent 5 USDT too much - recorded by the deposit monitor
+    node.sendUsdt(buyerWallet.address, deal.multisigAddress, 5);
+    await Deal.updateOne({ _id: deal._id }, { $set: { overpayment: 5 } });
+
+    const { plan, result, received, serviceReceived } = await pay(deal._id, { type: 'buyer_refund' });
+    check('Refund carries the overpayment in one transfer', plan.toAddress === buyerWallet.address &&
+      plan.payoutAmount === 105 && plan.overpayment === 5 &&
+      plan.transfers.map(transfer => transfer.kind).join() === 'payout,commission');
+    check('Buyer refunded, service keeps the commission', near(received, 105) && near(serviceReceived, deal.commission),
+      `Buyer: ${received}, service: ${serviceReceived}`);
+
+    const refunded = await Deal.findById(deal._id);
+    check('Overpayment marked returned', refunded.overpaymentRefundTxHash === result.txHash &&
+      (await Transaction.findOne({ txHash: result.txHash }))?.type === 'refund');
+  }
+
+  // ============================================
+  section('Release returns the overpayment separately');
+  // ============================================
+
+  {
+    const { deal, buyerWallet } = await harness.createFundedDeal({
+      creatorRole: 'buyer',
+      amount: 100,
+      description: 'executor release overpayment'
+    });
+
+    node.sendUsdt(buyerWallet.address, deal.multisigAddress, 3);
+    await Deal.updateOne({ _id: deal._id }, { $set: { overpayment: 3 } });
+    const buyerBefore = node.getUsdtBalance(buyerWallet.address);
+
+    const { plan, received } = await pay(deal._id, { type: 'seller_payout' });
+    check('Overpayment is its own transfer', plan.payoutAmount === 100 &&
+      plan.transfers.map(transfer => transfer.kind).join() === 'payout,commission,overpayment' && near(received, 100));
+    check('Buyer got the overpayment back', near(node.getUsdtBalance(buyerWallet.address) - buyerBefore, 3) &&
+      !!(await Deal.findById(deal._id)).overpaymentRefundTxHash && near(node.getUsdtBalance(deal.multisigAddress), 0),
+      `Escrow left: ${node.getUsdtBalance(deal.multisigAddress)}`);
+  }
+
+  // ============================================
+  section('Mutual cancellation');
+  // ============================================
+
+  {
+    const { deal, buyerWallet } = await harness.createFundedDeal({
+      creatorRole: 'buyer',
+      amount: 100,
+      description: 'executor mutual cancel'
+    });
+
+    const share = constants.MUTUAL_CANCEL_COMMISSION_SHARE;
+    constants.MUTUAL_CANCEL_COMMISSION_SHARE = 0.5;
+    try {
+      const { plan, received, serviceReceived } = await pay(deal._id, { type: 'mutual_cancel' });
+      check('Half of the commission waived', plan.toAddress === buyerWallet.address &&
+        plan.commission === deal.commission / 2 && plan.waivedCommission === deal.commission / 2 &&
+        plan.operation === 'mutual_cancel');
+      check('Buyer gets the waived part back', near(received, 100 + deal.commission / 2) &&
+        near(serviceReceived, deal.commission / 2), `Buyer: ${received}, service: ${serviceReceived}`);
+    } finally {
+      constants.MUTUAL_CANCEL_COMMISSION_SHARE = share;
+    }
+  }
+
+  // ============================================
+  section('Dispute payouts');
+  // ============================================
+
+  {
+    const { deal: buyerWin, buyerWallet } = await harness.createFundedDeal({
+      creatorRole: 'buyer',
+      amount: 100,
+      description: 'executor dispute buyer'
+    });
+
+    let { plan, received, serviceReceived } = await pay(buyerWin._id, { type: 'dispute_buyer' });
+    check('Dispute won by the buyer refunds the deal', plan.kind === 'final' && plan.operation === 'dispute_payout' &&
+      plan.toAddress === buyerWallet.address && near(received, 100) && near(serviceReceived, buyerWin.commission));
+
+    const { deal: sellerWin, sellerWallet } = await harness.createFundedDeal({
+      creatorRole: 'buyer',
+      amount: 100,
+      description: 'executor dispute seller'
+    });
+
+    ({ plan, received, serviceReceived } = await pay(sellerWin._id, { type: 'dispute_seller' }));
+    check('Dispute won by the seller releases the deal', plan.operation === 'dispute_payout' &&
+      plan.toAddress === sellerWallet.address && near(received, 100) && near(serviceReceived, sellerWin.commission));
+  }
+
+  // ============================================
+  section('Split shares');
+  // ============================================
+
+  {
+    const { deal, buyerWallet, sellerWallet } = await harness.createFundedDeal({
+      creatorRole: 'buyer',
+      amount: 100,
+      description: 'executor split'
+    });
+
+    // 50/50 decision: commission on the seller half, the buyer half comes back whole
+    await Deal.updateOne({ _id: deal._id }, {
+      $set: {
+        splitPayout: {
+          buyerPercent: 50,
+          buyerAmount: 50 + deal.commission / 2,
+          sellerAmount: 50,
+          buyerCommission: 0,
+          sellerCommission: deal.commission / 2
+        }
+      }
+    });
+
+    const seller = await pay(deal._id, { type: 'dispute_split', role: 'seller' });
+    check('Seller share pays its commission', seller.plan.kind === 'split' &&
+      seller.plan.toAddress === sellerWallet.address && near(seller.received, 50) &&
+      near(seller.serviceReceived, deal.commission / 2), `Seller: ${seller.received}, service: ${seller.serviceReceived}`);
+
+    const buyer = await pay(deal._id, { type: 'dispute_split', role: 'buyer' });
+    check('Buyer share sent without commission', buyer.plan.toAddress === buyerWallet.address &&
+      buyer.plan.transfers.length === 1 && near(buyer.received, 50 + deal.commission / 2) && near(buyer.serviceReceived, 0));
+    check('Escrow emptied by both shares', near(node.getUsdtBalance(deal.multisigAddress), 0),
+      `Escrow: ${node.getUsdtBalance(deal.multisigAddress)}`);
+
+    await Deal.updateOne({ _id: deal._id }, { $set: { 'splitPayout.sellerTxHash': seller.result.txHash } });
+    let error = null;
+    try {
+      await payoutService.getPlan(await Deal.findById(deal._id), { type: 'dispute_split', role: 'seller' });
+    } catch (e) {
+      error = e.message;
+    }
+    check('Paid share is not planned again', error === 'Share already paid out', error);
+  }
+
+  // ============================================
+  section('Milestone payouts');
+  // ============================================
+
+  {
+    const { deal, buyerWallet, sellerWallet, depositAmount } = await harness.createFundedDeal({
+      creatorRole: 'buyer',
+      description: 'executor milestones',
+      milestones: [
+        { title: 'Design', amount: 60, deadlineHours: 24 },
+        { title: 'Build', amount: 40, deadlineHours: 48 },
+        { title: 'Launch', amount: 50, deadlineHours: 72 }
+      ]
+    });
+
+    const first = Deal.getMilestonePayout(deal, 0);
+    const release = await pay(deal._id, { type: 'milestone_release' });
+    check('Milestone release pays only the current milestone', release.plan.kind === 'milestone' &&
+      release.plan.milestoneIndex === 0 && release.plan.toAddress === sellerWallet.address &&
+      near(release.received, first.payoutAmount) && near(release.serviceReceived, first.commission) &&
+      near(node.getUsdtBalance(deal.multisigAddress), depositAmount - first.payoutAmount - first.commission));
+    check('Milestone payout leaves the operational costs to the final one',
+      !(await Deal.findById(deal._id)).operationalCosts?.energyMethod);
+
+    await Deal.completeMilestone(deal, 0, 'released', { ...first, txHash: release.result.txHash });
+
+    const second = Deal.getMilestonePayout(deal, 1);
+    const refund = await pay(deal._id, { type: 'dispute_buyer' });
+    check('Dispute on a milestone refunds only that milestone', refund.plan.kind === 'milestone' &&
+      refund.plan.milestoneIndex === 1 && refund.plan.toAddress === buyerWallet.address &&
+      near(refund.received, second.payoutAmount) && near(refund.serviceReceived, second.commission));
+
+    await Deal.completeMilestone(await Deal.findById(deal._id), 1, 'refunded', { ...second, txHash: refund.result.txHash });
+
+    let error = null;
+    try {
+      await payoutService.getPlan(await Deal.findById(deal._id), { type: 'milestone_release' });
+    } catch (e) {
+      error = e.message;
+    }
+    check('Last milestone goes with the final payout', error === 'Last milestone is paid out with the final payout', error);
+
+    const last = Deal.getMilestonePayout(deal, 2);
+    const final = await pay(deal._id, { type: 'seller_payout' });
+    check('Final payout pays the last milestone', final.plan.kind === 'final' &&
+      near(final.received, last.payoutAmount) && near(final.serviceReceived, last.commission) &&
+      near(node.getUsdtBalance(deal.multisigAddress), 0), `Seller: ${final.received}, service: ${final.serviceReceived}`);
+  }
+
+  // ============================================
+  section('Stray transfer refund');
+  // ============================================
+
+  {
+    const { deal } = await harness.createFundedDeal({
+      creatorRole: 'buyer',
+      amount: 100,
+      description: 'executor stray'
+    });
+    await pay(deal._id, { type: 'seller_payout' });
+    await Deal.updateOne({ _id: deal._id }, { $set: { status: 'completed' } });
+
+    const sender = harness.createWallet();
+    const txHash = node.sendUsdt(sender.address, deal.multisigAddress, 7);
+    const stray = await StrayDeposit.create({
+      dealId: deal._id,
+      asset: 'USDT',
+      amount: 7,
+      txHash,
+      fromAddress: sender.address,
+      senderRole: 'buyer'
+    });
+
+    const completed = await Deal.findById(deal._id);
+    const plan = await payoutService.getPlan(completed, { type: 'stray_refund', strayId: stray._id, role: 'buyer' });
+    check('Stray refund goes back to the sender', plan.kind === 'stray' && plan.toAddress === sender.address &&
+      plan.payoutAmount === 7 && plan.transfers.length === 1);
+
+    const senderBefore = node.getUsdtBalance(sender.address);
+    const wallet = await escrowPermissionService.loadWallet(completed);
+    const refund = await payoutService.sendFromEscrow(completed, wallet, signerKey, getChainAdapter(completed.network),
+      plan.toAddress, plan.payoutAmount, plan.operation);
+    check('Stray transfer refunded', near(node.getUsdtBalance(sender.address) - senderBefore, 7) &&
+      (await Transaction.findOne({ txHash: refund.txHash }))?.type === 'refund');
+
+    await StrayDeposit.updateOne({ _id: stray._id }, { $set: { status: 'refunded' } });
+    let error = null;
+    try {
+      await payoutService.getPlan(completed, { type: 'stray_refund', strayId: stray._id, role: 'buyer' });
+    } catch (e) {
+      error = e.message;
+    }
+    check('Refunded stray is not planned again', error === 'Stray transfer is not waiting for a refund', error);
+  }
+
+  // ============================================
+  section('Unknown payout type');
+  // ============================================
+
+  {
+    let error = null;
+    try {
+      await payoutService.getPlan({}, { type: 'arbiter_bonus' });
+    } catch (e) {
+      error = e.message;
+    }
+    check('Unknown session type rejected', error === 'Unknown key validation type: arbiter_bonus', error);
+  }
+});
@@ -0,0 +1,131 @@
+/**
+ * Reputation Tests
+ * Trust tiers, reputation cards and written reviews,
+ * against the mock TRON node and a test MongoDB (see tests/harness.js)
+ *
+ * Run: node tests/reputation.test.js
+ */
+
+const { runSuite, BUYER_ID, SELLER_ID } = require('./harness');
+
+runSuite('Reputation Tests', async ({ harness, check, section }) => {
+  // Services read env at require time - load after the harness is up
+  const dealService = require('../src/services/dealService');
+  const trustService = require('../src/services/trustService');
+  const reputationService = require('../src/services/reputationService');
+  const reviewService = require('../src/services/reviewService');
+  const Deal = require('../src/models/Deal');
+  const User = require('../src/models/User');
+  const UserReview = require('../src/models/UserReview');
+  const constants = require('../src/config/constants');
+
+  await harness.createParties();
+
+  // Deal history the tier and the card are computed from
+  const { deal: finished } = await harness.createFundedDeal({ creatorRole: 'buyer', amount: 200, description: 'reputation' });
+  await Deal.updateOne({ _id: finished._id }, { $set: { status: 'completed', completedAt: new Date() } });
+
+  // ============================================
+  section('Trust tier limits');
+  // ============================================
+
+  {
+    const profile = await trustService.getProfile(BUYER_ID);
+    const completed = await Deal.countDocuments({ $or: [{ buyerId: BUYER_ID }, { sellerId: BUYER_ID }], status: 'completed' });
+    check('Tier history counts completed deals', profile.history.completedDeals === completed, `${profile.history.completedDeals} vs ${completed}`);
+
+    const newTier = constants.TRUST_TIERS[0];
+    const overLimit = newTier.maxDealAmount + 500;
+    await trustService.setOverride(BUYER_ID, { tier: 'new' }, 'test');
+    let validation = await dealService.validateDealCreation(BUYER_ID, SELLER_ID, 'Trust tier amount limit deal', overLimit);
+    check('Amount above tier limit rejected', !validation.valid && /уровня доверия/.test(validation.error || ''), validation.error);
+
+    await trustService.setOverride(BUYER_ID, { tier: 'new', maxDealAmount: overLimit * 2 }, 'test');
+    await trustService.setOverride(SELLER_ID, { maxDealAmount: overLimit * 2 }, 'test');
+    validation = await dealService.validateDealCreation(BUYER_ID, SELLER_ID, 'Trust tier amount limit deal', overLimit);
+    check('Admin override raises the amount limit', validation.valid, validation.error);
+
+    await trustService.setOverride(BUYER_ID, { maxActiveDeals: 0 }, 'test');
+    check('Admin override blocks new deals', !(await dealService.canCreateNewDeal(BUYER_ID)));
+
+    await trustService.setOverride(BUYER_ID, {}, 'test');
+    await trustService.setOverride(SELLER_ID, {}, 'test');
+    const reset = await trustService.getProfile(BUYER_ID);
+    check('Reset override returns computed tier', !reset.pinned && reset.overridden.length === 0 && reset.tier === reset.computedTier);
+  }
+
+  // ============================================
+  section('Reputation card privacy');
+  // ============================================
+
+  {
+    const card = await reputationService.getCard(SELLER_ID);
+    const completed = await Deal.countDocuments({ $or: [{ buyerId: SELLER_ID }, { sellerId: SELLER_ID }], status: 'completed' });
+    check('Card counts completed deals', card.deals === completed && card.volume.min >= 0, JSON.stringify(card));
+
+    await reputationService.toggleMetric(SELLER_ID, 'disputes');
+    const visible = await reputationService.getVisibleCard(SELLER_ID);
+    check('Hidden metric left out of the card', visible.disputes === undefined && visible.deals === completed);
+
+    let reputation = await reputationService.setPublic(SELLER_ID, false);
+    check('Public page is opt-in', await reputationService.getPublicCard(reputation.publicId || 'missing') === null);
+
+    reputation = await reputationService.setPublic(SELLER_ID, true);
+    const publicCard = await reputationService.getPublicCard(reputation.publicId);
+    check('Public page shows visible metrics only', publicCard && publicCard.deals === completed && publicCard.disputes === undefined);
+
+    await User.updateOne({ telegramId: SELLER_ID }, { $set: { reputation: { public: false, hidden: [] } } });
+  }
+
+  // ============================================
+  section('Written reviews');
+  // ============================================
+
+  {
+    const dealId = 'DL-REVIEW-1';
+    const seller = await User.findOne({ telegramId: SELLER_ID });
+    const { averageRating, ratingsCount } = seller;
+    await seller.addRating(BUYER_ID, dealId, 5, 'seller');
+
+    let rejected = false;
+    try {
+      await reviewService.createReview({ dealId: 'DL-NO-RATING', fromUserId: BUYER_ID, toUserId: SELLER_ID, text: 'Great seller' });
+    } catch (error) {
+      rejected = error.message === 'Rating not found';
+    }
+    check('Review requires a rating', rejected);
+
+    const review = await reviewService.createReview({ dealId, fromUserId: BUYER_ID, toUserId: SELLER_ID, text: '  Fast and honest  ' });
+    check('Review takes score and role from the rating', review.rating === 5 && review.role === 'seller' && review.status === 'pending' && review.text === 'Fast and honest');
+
+    let card = await reputationService.getCard(SELLER_ID);
+    check('Pending review not on the card', card.reviews.length === 0);
+
+    await reviewService.moderateReview(review._id, 'approved', 'admin');
+    card = await reputationService.getCard(SELLER_ID);
+    check('Approved review on the card', card.reviews.length === 1 && card.reviews[0].text === 'Fast and honest' && card.reviews[0].reply === null);
+
+    await reviewService.addReply(review._id, SELLER_ID, 'Thank you!');
+    card = await reputationService.getCard(SELLER_ID);
+    check('Pending reply not on the card', card.reviews[0].reply === null);
+
+    await reviewService.moderateReply(review._id, 'approved', 'admin');
+    card = await reputationService.getCard(SELLER_ID);
+    check('Approved reply on the card', card.reviews[0].reply === 'Thank you!');
+
+    rejected = false;
+    try {
+      await reviewService.addReply(review._id, SELLER_ID, 'Second reply');
+    } catch (error) {
+      rejected = error.message === 'Reply already exists';
+    }
+    check('Only one reply per review', rejected);
+
+    await reviewService.moderateReview(review._id, 'hidden', 'admin');
+    card = await reputationService.getCard(SELLER_ID);
+    check('Hidden review removed from the card', card.reviews.length === 0);
+
+    await UserReview.deleteMany({});
+    await User.updateOne({ telegramId: SELLER_ID }, { $pull: { ratings: { dealId } }, $set: { averageRating, ratingsCount } });
+  }
+});
@@ -0,0 +1,161 @@
+/**
+ * TRX Deal Tests
+ * Rate-converted commission, USDT-denominated limits and the deposit
+ * tolerance of TRX deals (deposit ledger is kept in memory - no MongoDB needed)
+ *
+ * Run: node tests/trxDeals.test.js
+ */
+
+const mongoose = require('mongoose');
+const Deal = require('../src/models/Deal');
+const Transaction = require('../src/models/Transaction');
+const depositMonitor = require('../src/services/depositMonitor');
+const priceService = require('../src/services/priceService');
+const constants = require('../src/config/constants');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition, details) {
+  if (condition) {
+    passed++;
+    console.log(`✅ ${description}: PASS`);
+  } else {
+    failed++;
+    console.log(`❌ ${description}: FAIL`);
+  }
+  if (details) {
+    console.log(`   ${details}`);
+  }
+}
+
+const TRX_PRICE = 0.25; // USDT per TRX
+
+// In-memory deposit ledger; confirmDeposit records transfers as confirmed
+let ledger = [];
+let lockAttempts = [];
+
+const query = (filter) => {
+  const result = {
+    sort: () => result,
+    lean: async () => ledger.filter(tx => !filter.status || tx.status !== filter.status.$ne)
+  };
+  return result;
+};
+
+Transaction.find = query;
+Deal.updateOne = async () => ({});
+Deal.findOneAndUpdate = async (filter, update) => {
+  lockAttempts.push(update.$set);
+  return null; // Deal already handled - stops before activation and notifications
+};
+depositMonitor.confirmDeposit = async (deal, transfer) => {
+  ledger.push({ txHash: transfer.txHash, amount: transfer.amount, fromAddress: transfer.from, status: 'confirmed' });
+  return 'confirmed';
+};
+
+function createTrxDeal(dealId, amount, commissionType = 'buyer') {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    dealId,
+    asset: 'TRX',
+    network: 'tron',
+    amount,
+    commission: Deal.calculateCommission(amount, 'TRX', TRX_PRICE),
+    commissionType,
+    assetPriceUsdt: TRX_PRICE,
+    multisigAddress: 'TEscrowAddressForTrxDealTests000',
+    buyerId: 1001,
+    depositReceived: 0,
+    status: 'waiting_for_deposit'
+  };
+}
+
+/**
+ * Feed one transfer to the deposit check; resolves with the lock update (or null)
+ */
+async function deposit(deal, amount) {
+  ledger = [];
+  lockAttempts = [];
+  await depositMonitor.checkDealDeposit(deal, {
+    txHash: `${deal.dealId}-tx`,
+    amount,
+    block: 1,
+    from: 'TBuyerAddressForTrxDealTests00000'
+  });
+  return lockAttempts[0] || null;
+}
+
+async function run() {
+  console.log('🧪 TRX Deal Tests\n');
+
+  // Test 1: USDT tiers
+  check('USDT tier 1 is fixed', Deal.calculateCommission(100) === constants.COMMISSION_TIER_1_FIXED);
+  check('USDT tier 2 is a rate', Math.abs(Deal.calculateCommission(400) - 400 * constants.COMMISSION_TIER_2_RATE) < 1e-9);
+
+  // Test 2: TRX commission follows the USDT tiers at the rate
+  // 400 TRX = 100 USDT -> 6 USDT fixed -> 24 TRX
+  let commission = Deal.calculateCommission(400, 'TRX', TRX_PRICE);
+  check('TRX tier 1 converted by the rate', commission === 24, `Commission: ${commission}`);
+
+  // 1000 TRX = 250 USDT -> 3.5% -> 8.75 USDT -> 35 TRX
+  commission = Deal.calculateCommission(1000, 'TRX', TRX_PRICE);
+  check('TRX tier 2 converted by the rate', commission === 35, `Commission: ${commission}`);
+
+  // Tier boundary is in USDT: 600 TRX = 150 USDT (tier 1), 604 TRX = 151 USDT (tier 2)
+  check('Tier boundary is USDT-denominated',
+    Deal.calculateCommission(600, 'TRX', TRX_PRICE) === 24 &&
+    Deal.calculateCommission(604, 'TRX', TRX_PRICE) === Math.round(151 * constants.COMMISSION_TIER_2_RATE / TRX_PRICE * 100) / 100);
+
+  commission = Deal.calculateCommission(333, 'TRX', 0.3);
+  check('TRX commission rounded to 0.01', commission === Math.round(commission * 100) / 100 && commission === 20,
+    `Commission: ${commission}`);
+
+  // Test 3: Without a fixed rate the current price is used
+  const currentPrice = priceService.getTrxPriceSync();
+  commission = Deal.calculateCommission(1000, 'TRX');
+  check('Current rate used without a fixed one',
+    commission === Deal.calculateCommission(1000, 'TRX', currentPrice), `Rate: ${currentPrice}, commission: ${commission}`);
+
+  // Test 4: USDT limits converted to TRX
+  check('Deposit tolerance converted to TRX', Deal.fromUsdt(constants.DEPOSIT_TOLERANCE_MINUS, 'TRX', TRX_PRICE) === 8);
+  check('Minimum amount converted to TRX', Deal.fromUsdt(constants.MIN_DEAL_AMOUNT, 'TRX', TRX_PRICE) === 200);
+  check('Converted limits rounded up', Deal.fromUsdt(1, 'TRX', 0.3) === 3.34);
+  check('USDT limits unchanged', Deal.fromUsdt(constants.DEPOSIT_TOLERANCE_MINUS) === constants.DEPOSIT_TOLERANCE_MINUS);
+
+  // Test 5: Deposit tolerance of a TRX deal (1000 TRX + 35 TRX commission, tolerance 8 TRX)
+  const deal = createTrxDeal('DL-TRX001', 1000);
+  check('Expected deposit includes TRX commission', Deal.getExpectedDeposit(deal) === 1035);
+
+  let lock = await deposit(deal, 1035);
+  check('Exact TRX deposit locks the deal', lock?.status === 'locked' && lock.actualDepositAmount === 1035 &&
+    lock.overpayment === 0);
+
+  lock = await deposit(createTrxDeal('DL-TRX002', 1000), 1027);
+  check('Shortfall within the converted tolerance locks', lock?.status === 'locked' && lock.actualDepositAmount === 1027);
+
+  lock = await deposit(createTrxDeal('DL-TRX003', 1000), 1026.99);
+  check('Shortfall beyond the converted tolerance waits', lock === null);
+
+  lock = await deposit(createTrxDeal('DL-TRX004', 1000), 1100);
+  check('TRX overpayment kept out of the deal', lock?.status === 'locked' && lock.overpayment === 65);
+
+  // Test 6: Tolerance uses the rate fixed at creation, not the current one
+  const cheapRate = { ...createTrxDeal('DL-TRX005', 1000), assetPriceUsdt: 0.1 };
+  cheapRate.commission = Deal.calculateCommission(1000, 'TRX', 0.1);
+  // 1000 TRX = 100 USDT -> 6 USDT -> 60 TRX; tolerance 2 USDT -> 20 TRX
+  lock = await deposit(cheapRate, 1060 - 19);
+  check('Tolerance follows the deal rate', cheapRate.commission === 60 && lock?.status === 'locked',
+    `Commission: ${cheapRate.commission}`);
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`TRX Deal Tests Complete: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(60));
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run().catch(error => {
+  console.error(`❌ Error in test: ${error.message}`);
+  process.exit(1);
+});
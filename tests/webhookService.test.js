@@ -0,0 +1,151 @@
+/**
+ * Webhook Service Tests
+ * Signing, retry schedule and HTTP attempts against a local receiver
+ * (delivery records are kept in memory - no MongoDB needed)
+ *
+ * Run: node tests/webhookService.test.js
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const webhookService = require('../src/services/webhookService');
+const PartnerWebhook = require('../src/models/PartnerWebhook');
+const { WEBHOOK_RETRY_DELAYS_MINUTES } = require('../src/config/constants');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition, details) {
+  if (condition) {
+    passed++;
+    console.log(`✅ ${description}: PASS`);
+  } else {
+    failed++;
+    console.log(`❌ ${description}: FAIL`);
+  }
+  if (details) {
+    console.log(`   ${details}`);
+  }
+}
+
+/**
+ * Local partner endpoint: records requests, answers with `status`
+ */
+function createReceiver() {
+  const receiver = { requests: [], status: 200 };
+
+  receiver.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      receiver.requests.push({ headers: req.headers, body });
+      res.writeHead(receiver.status);
+      res.end();
+    });
+  });
+
+  return new Promise(resolve => {
+    receiver.server.listen(0, '127.0.0.1', () => {
+      receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hook`;
+      resolve(receiver);
+    });
+  });
+}
+
+function createDelivery(event = 'deal.completed') {
+  const _id = new mongoose.Types.ObjectId();
+  return {
+    _id,
+    event,
+    payload: webhookService.buildPayload(_id, event, { deal: { dealId: 'DL-TEST01' } }),
+    attempts: 0,
+    status: 'pending',
+    save: async () => {}
+  };
+}
+
+async function run() {
+  console.log('🧪 Webhook Service Tests\n');
+
+  const receiver = await createReceiver();
+
+  // Attempts update webhook stats - not needed here
+  PartnerWebhook.updateOne = async () => ({});
+
+  const webhook = { _id: new mongoose.Types.ObjectId(), url: receiver.url, secret: 'whsec_test' };
+
+  try {
+    // Test 1: URL validation
+    check('HTTPS URL accepted', webhookService.isValidUrl('https://partner.example.com/hook'));
+    check('Garbage rejected', !webhookService.isValidUrl('not a url'));
+    check('Non-HTTP scheme rejected', !webhookService.isValidUrl('ftp://partner.example.com/hook'));
+    check('Private hosts rejected',
+      !webhookService.isValidUrl('https://localhost/hook') &&
+      !webhookService.isValidUrl('https://192.168.1.10/hook') &&
+      !webhookService.isValidUrl('https://172.20.0.5/hook'));
+
+    // Test 2: Event validation
+    check('Unknown events detected',
+      webhookService.getUnknownEvents(['deal.completed', 'deal.teleported']).join() === 'deal.teleported');
+
+    // Test 3: Deal platforms
+    const platformId = new mongoose.Types.ObjectId();
+    const ids = webhookService.getDealPlatformIds({ platformId, buyerPlatformId: platformId, sellerPlatformId: null });
+    check('Platform IDs deduplicated', ids.length === 1 && ids[0] === platformId.toString());
+
+    // Test 4: Successful delivery is signed
+    const delivery = createDelivery();
+    await webhookService.attempt(delivery, webhook);
+
+    const request = receiver.requests[0];
+    const timestamp = request?.headers['x-keyshield-timestamp'];
+    const expected = crypto.createHmac('sha256', webhook.secret).update(`${timestamp}.${request?.body}`).digest('hex');
+    check('Delivered on 2xx', delivery.status === 'delivered' && delivery.attempts === 1 && !!delivery.deliveredAt);
+    check('Body sent exactly as stored', request?.body === delivery.payload);
+    check('Signature verifies', request?.headers['x-keyshield-signature'] === `sha256=${expected}`);
+    check('Event and delivery headers', request?.headers['x-keyshield-event'] === 'deal.completed' &&
+      request?.headers['x-keyshield-delivery'] === delivery._id.toString());
+
+    // Test 5: Failures are retried with backoff, then given up
+    receiver.status = 500;
+    const failing = createDelivery();
+    await webhookService.attempt(failing, webhook);
+    const delay = failing.nextAttemptAt - Date.now();
+    check('Failed attempt scheduled for retry', failing.status === 'pending' && failing.lastError === 'HTTP 500' &&
+      Math.abs(delay - WEBHOOK_RETRY_DELAYS_MINUTES[0] * 60 * 1000) < 5000,
+      `Next attempt in ${Math.round(delay / 1000)}s`);
+
+    for (let i = 1; i <= WEBHOOK_RETRY_DELAYS_MINUTES.length; i++) {
+      await webhookService.attempt(failing, webhook);
+    }
+    check('Gives up after retry schedule', failing.status === 'failed' &&
+      failing.attempts === WEBHOOK_RETRY_DELAYS_MINUTES.length + 1,
+      `Attempts: ${failing.attempts}`);
+
+    // Test 6: Test events are not retried
+    const testDelivery = createDelivery('test');
+    await webhookService.attempt(testDelivery, webhook);
+    check('Test event not retried', testDelivery.status === 'failed' && testDelivery.attempts === 1);
+
+    // Test 7: Unreachable endpoint
+    receiver.status = 200;
+    const unreachable = createDelivery();
+    await webhookService.attempt(unreachable, { ...webhook, url: 'http://127.0.0.1:1/hook' });
+    check('Connection error recorded', unreachable.status === 'pending' && !!unreachable.lastError &&
+      unreachable.responseStatus === null, unreachable.lastError);
+  } finally {
+    receiver.server.close();
+  }
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`Webhook Service Tests Complete: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(60));
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run().catch(error => {
+  console.error(`❌ Error in test: ${error.message}`);
+  process.exit(1);
+});